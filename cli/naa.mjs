@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * naa.mjs
+ * Command-line runner for scripted and batch calculations (Node.js 20.19+ or 22.7+).
+ * Loads the CSV tables from public/data with DataLoader.parseCSV, builds a NuclearSolver
+ * and runs the scenarios of a JSON or YAML file (format: see validateScenarios in
+ * js/engine/Scenarios.js). The file holds one scenario, a list of them, or
+ * { library, engine, scenarios: [...] }.
+ *
+ *   node cli/naa.mjs scenarios.yaml -f md -o report.md
+ *
+ * Exit codes: 0 all checks passed (or nothing to check), 1 a waste scenario or a max-ppm
+ * scenario with element concentrations is not compliant, 2 usage or input error,
+ * 3 calculation error.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const EXIT = { ok: 0, nonCompliant: 1, usage: 2, calculation: 3 };
+
+// The app's .js files are ES modules without a package.json "type": "module"; Node reads them
+// as such only from 20.19 and 22.7. Checked before they load, since older versions fail with
+// "Cannot use import statement outside a module".
+const [NODE_MAJOR, NODE_MINOR] = process.versions.node.split('.').map(Number);
+if (!(NODE_MAJOR > 22 || (NODE_MAJOR === 22 && NODE_MINOR >= 7) || (NODE_MAJOR === 20 && NODE_MINOR >= 19))) {
+    process.stderr.write(`naa: Node.js 20.19+ or 22.7+ is required (this is ${process.versions.node})\n`);
+    process.exit(EXIT.usage);
+}
+
+const { DataLoader } = await import('../js/store/DataLoader.js');
+const { NuclearSolver, XS_LIBRARIES } = await import('../js/engine/NuclearSolver.js');
+const { validateScenarios, runScenario } = await import('../js/engine/Scenarios.js');
+const { parseYaml } = await import('../js/utils/Yaml.js');
+const { quoteCSV } = await import('../js/utils/Parser.js');
+const FORMATS = ['json', 'csv', 'md'];
+const ENGINES = ['bateman', 'cram'];
+const DEFAULT_DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'public', 'data');
+
+const USAGE = `Usage: node cli/naa.mjs <scenario.json|.yaml> [options]
+
+Options:
+  -f, --format <json|csv|md>   Output format (default: from the output file extension, else json)
+  -o, --output <file>          Write to a file instead of stdout
+      --data <dir>             Folder with the CSV tables (default: public/data)
+      --library <name>         Cross-section library: ${Object.keys(XS_LIBRARIES).join(', ')} (default: max)
+      --engine <name>          Solver engine: ${ENGINES.join(', ')} (default: bateman)
+  -h, --help                   Show this help
+
+Exit codes: 0 compliant, 1 not compliant, 2 usage or input error, 3 calculation error`;
+
+class UsageError extends Error { }
+
+function parseArgs(argv) {
+    const opts = { file: null, format: null, output: null, data: DEFAULT_DATA_DIR, library: null, engine: null, help: false };
+    const valueOf = (i, flag) => {
+        if (i + 1 >= argv.length || argv[i + 1].startsWith('-')) throw new UsageError(`${flag} needs a value`);
+        return argv[i + 1];
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        if (a === '-h' || a === '--help') opts.help = true;
+        else if (a === '-f' || a === '--format') opts.format = valueOf(i++, a);
+        else if (a === '-o' || a === '--output') opts.output = valueOf(i++, a);
+        else if (a === '--data') opts.data = valueOf(i++, a);
+        else if (a === '--library') opts.library = valueOf(i++, a);
+        else if (a === '--engine') opts.engine = valueOf(i++, a);
+        else if (a.startsWith('-')) throw new UsageError(`Unknown option ${a}`);
+        else if (opts.file) throw new UsageError('Only one scenario file can be given');
+        else opts.file = a;
+    }
+    if (!opts.format && opts.output) {
+        const ext = path.extname(opts.output).slice(1).toLowerCase();
+        const fromExt = ext === 'markdown' ? 'md' : ext;
+        if (FORMATS.includes(fromExt)) opts.format = fromExt;
+    }
+    opts.format = opts.format || 'json';
+    if (!FORMATS.includes(opts.format)) throw new UsageError(`Format must be one of ${FORMATS.join(', ')}`);
+    return opts;
+}
+
+function readScenarioFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        throw new UsageError(`Cannot read ${file}: ${e.message}`);
+    }
+    const yaml = /\.ya?ml$/i.test(file);
+    let doc;
+    try {
+        doc = yaml ? parseYaml(text) : JSON.parse(text);
+    } catch (e) {
+        throw new UsageError(`${file}: ${e.message}`);
+    }
+    if (doc && !Array.isArray(doc) && Array.isArray(doc.scenarios)) {
+        return { scenarios: doc.scenarios, library: doc.library, engine: doc.engine };
+    }
+    return { scenarios: Array.isArray(doc) ? doc : [doc] };
+}
+
+function loadSolver(dataDir) {
+    const loader = new DataLoader();
+    const table = key => {
+        const file = path.join(dataDir, path.basename(loader.paths[key]));
+        try {
+            return loader.parseCSV(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            throw new UsageError(`Cannot read ${file}: ${e.message}`);
+        }
+    };
+    return new NuclearSolver(table('xs'), table('chain'), table('limits'), table('resonance'), table('isomer'));
+}
+
+/**
+ * Plain-object result of one scenario.
+ */
+function summarize(r) {
+    let dominant = null;
+    r.activity.forEach((a, iso) => {
+        if (!dominant || a > r.activity.get(dominant)) dominant = iso;
+    });
+    const summary = { totalActivity: r.totalActivity, dominantNuclide: dominant };
+    if (r.sumIndex !== null) summary.sumIndex = r.sumIndex;
+    if (r.maxPPM.size > 0) summary.maxPPM = Object.fromEntries(r.maxPPM);
+    return { name: r.name, type: r.type, compliant: r.compliant, summary, rows: r.rows };
+}
+
+function columnsOf(rows) {
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(k => {
+        if (!columns.includes(k)) columns.push(k);
+    }));
+    return columns;
+}
+
+function toCSV(results) {
+    const columns = ['Scenario', 'Type', 'Compliant', ...columnsOf(results.flatMap(r => r.rows))];
+    const lines = [columns.join(',')];
+    results.forEach(r => r.rows.forEach(row => {
+        const cells = { Scenario: r.name, Type: r.type, Compliant: r.compliant === null ? '' : r.compliant, ...row };
+        lines.push(columns.map(c => quoteCSV(cells[c])).join(','));
+    }));
+    return lines.join('\n') + '\n';
+}
+
+function toMarkdown(results) {
+    const num = v => (typeof v !== 'number' ? String(v ?? '')
+        : Number.isInteger(v) && Math.abs(v) < 1e6 ? String(v) : v.toExponential(4));
+    const cell = v => num(v).replace(/\|/g, '\\|');
+    const out = ['# NAA calculation report', ''];
+    results.forEach(r => {
+        out.push(`## ${r.name} (${r.type})`, '');
+        if (r.compliant !== null) out.push(`- **Compliant:** ${r.compliant ? 'yes' : 'no'}`);
+        out.push(`- **Total activity:** ${num(r.summary.totalActivity)} Bq`);
+        if (r.summary.dominantNuclide) out.push(`- **Dominant nuclide:** ${r.summary.dominantNuclide}`);
+        if (r.summary.sumIndex !== undefined) out.push(`- **Sum index:** ${num(r.summary.sumIndex)}`);
+        if (r.summary.maxPPM) {
+            out.push(`- **Max ppm:** ${Object.entries(r.summary.maxPPM).map(([el, v]) => `${el} ${num(v)}`).join(', ')}`);
+        }
+        out.push('');
+        if (r.rows.length === 0) {
+            out.push('No activation products.', '');
+            return;
+        }
+        const columns = columnsOf(r.rows);
+        out.push(`| ${columns.join(' | ')} |`, `| ${columns.map(() => '---').join(' | ')} |`);
+        r.rows.forEach(row => out.push(`| ${columns.map(c => cell(row[c])).join(' | ')} |`));
+        out.push('');
+    });
+    return out.join('\n');
+}
+
+function format(results, fmt) {
+    if (fmt === 'csv') return toCSV(results);
+    if (fmt === 'md') return toMarkdown(results);
+    return JSON.stringify(results, (key, value) => (value instanceof Map ? Object.fromEntries(value) : value), 2) + '\n';
+}
+
+function main(argv) {
+    let opts;
+    let file;
+    let scenarios;
+    let solver;
+    try {
+        opts = parseArgs(argv);
+        if (opts.help) {
+            process.stdout.write(USAGE + '\n');
+            return EXIT.ok;
+        }
+        if (!opts.file) throw new UsageError('No scenario file given');
+        file = readScenarioFile(opts.file);
+        scenarios = validateScenarios(file.scenarios);
+
+        const library = opts.library || file.library || 'max';
+        const engine = opts.engine || file.engine || 'bateman';
+        if (!XS_LIBRARIES[library]) throw new UsageError(`Unknown library ${library}`);
+        if (!ENGINES.includes(engine)) throw new UsageError(`Unknown engine ${engine}`);
+        solver = loadSolver(opts.data);
+        solver.setLibrary(library);
+        solver.setEngine(engine);
+    } catch (e) {
+        process.stderr.write(`naa: ${e.message}\n`);
+        if (e instanceof UsageError) process.stderr.write(`Run with --help for usage.\n`);
+        return EXIT.usage;
+    }
+
+    let results;
+    try {
+        results = scenarios.map(s => summarize(runScenario(solver, s)));
+    } catch (e) {
+        process.stderr.write(`naa: calculation failed: ${e.message}\n`);
+        return EXIT.calculation;
+    }
+
+    const text = format(results, opts.format);
+    if (opts.output) {
+        try {
+            fs.writeFileSync(opts.output, text);
+        } catch (e) {
+            process.stderr.write(`naa: cannot write ${opts.output}: ${e.message}\n`);
+            return EXIT.usage;
+        }
+    } else {
+        process.stdout.write(text);
+    }
+
+    const failed = results.filter(r => r.compliant === false);
+    failed.forEach(r => process.stderr.write(`naa: ${r.name}: not compliant\n`));
+    return failed.length > 0 ? EXIT.nonCompliant : EXIT.ok;
+}
+
+process.exitCode = main(process.argv.slice(2));
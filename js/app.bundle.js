@@ -2571,6 +2571,2798 @@ Fm-255,100.0,100.0
 Fm-257,1.0,1.0
 Md-257,100.0,100.0
 Md-258+,10.0,10.0
+`,
+    resonance: `Symbol,A,Reaction,I0_barn,Er_eV,Source
+Na,23,"n,g",0.311,3380,k0-NAA
+Al,27,"n,g",0.17,11800,k0-NAA
+Cl,37,"n,g",0.3,13700,k0-NAA
+K,41,"n,g",1.4,2960,k0-NAA
+Sc,45,"n,g",12,5130,k0-NAA
+V,51,"n,g",2.7,7230,k0-NAA
+Cr,50,"n,g",7.8,7530,k0-NAA
+Mn,55,"n,g",14,468,k0-NAA
+Fe,58,"n,g",1.2,637,k0-NAA
+Co,59,"n,g",74,136,k0-NAA
+Ni,64,"n,g",1,14200,k0-NAA
+Cu,63,"n,g",5,1040,k0-NAA
+Cu,65,"n,g",2.2,766,k0-NAA
+Zn,64,"n,g",1.45,2560,k0-NAA
+Zn,68,"n,g",3.1,590,k0-NAA
+Ga,71,"n,g",31,154,k0-NAA
+As,75,"n,g",60,106,k0-NAA
+Se,74,"n,g",510,29.4,k0-NAA
+Br,81,"n,g",50,152,k0-NAA
+Rb,85,"n,g",8.5,839,k0-NAA
+Zr,94,"n,g",0.27,6260,k0-NAA
+Zr,96,"n,g",5.3,338,k0-NAA
+Mo,98,"n,g",6.9,241,k0-NAA
+Mo,100,"n,g",3.8,672,k0-NAA
+Ru,102,"n,g",4.2,181,k0-NAA
+Ag,109,"n,g",1460,5.6,Atlas
+Cd,114,"n,g",9.7,207,k0-NAA
+In,115,"n,g",3300,1.56,Atlas
+Sb,121,"n,g",190,13.1,k0-NAA
+Sb,123,"n,g",120,28.2,k0-NAA
+I,127,"n,g",147,57.6,k0-NAA
+Cs,133,"n,g",396,9.27,Atlas
+La,139,"n,g",12.1,76,k0-NAA
+Ce,140,"n,g",0.5,7200,k0-NAA
+Nd,146,"n,g",2.9,900,k0-NAA
+Sm,152,"n,g",2970,8.53,k0-NAA
+Eu,151,"n,g",3300,0.448,Atlas
+Eu,153,"n,g",1420,5.8,Atlas
+Gd,158,"n,g",62,48.2,Atlas
+Tb,159,"n,g",418,18.1,k0-NAA
+Dy,164,"n,g",340,224,k0-NAA
+Ho,165,"n,g",670,12.3,k0-NAA
+Er,170,"n,g",26,124,k0-NAA
+Tm,169,"n,g",1720,4.8,Atlas
+Yb,168,"n,g",21300,0.61,Atlas
+Yb,174,"n,g",46,602,Atlas
+Yb,176,"n,g",7,412,k0-NAA
+Lu,175,"n,g",550,13.6,Atlas
+Lu,176,"n,g",1087,0.158,k0-NAA
+Hf,180,"n,g",32,115,k0-NAA
+Ta,181,"n,g",660,10.4,Atlas
+W,184,"n,g",15,20.5,Atlas
+W,186,"n,g",485,20.5,Atlas
+Re,185,"n,g",1720,3.4,k0-NAA
+Re,187,"n,g",300,41.1,Atlas
+Ir,191,"n,g",3500,0.65,Atlas
+Ir,193,"n,g",1350,1.36,Atlas
+Pt,198,"n,g",54,52.5,Atlas
+Au,197,"n,g",1550,5.65,k0-NAA
+Hg,202,"n,g",4.3,2400,k0-NAA
+Th,232,"n,g",85,54.4,k0-NAA
+U,238,"n,g",277,16.9,k0-NAA
+`,
+    isomer: `Isomer,Half_Life_s,Mode,Daughter,Branching_Ratio,Source
+Eu-152m,33520,β-,Gd-152,0.72,ENSDF (rounded)
+Eu-152m,33520,EC,Sm-152,0.28,ENSDF (rounded)
+Na-24m,0.0202,IT,Na-24,0.9995,ENSDF (rounded)
+Na-24m,0.0202,β-,Mg-24,0.0005,ENSDF (rounded)
+Cl-38m,0.715,IT,Cl-38,1,ENSDF (rounded)
+Sc-46m,18.75,IT,Sc-46,1,ENSDF (rounded)
+Co-60m,628.0,IT,Co-60,0.9975,ENSDF (rounded)
+Co-60m,628.0,β-,Ni-60,0.0025,ENSDF (rounded)
+Zn-69m,49540,IT,Zn-69,0.99967,ENSDF (rounded)
+Zn-69m,49540,β-,Ga-69,0.00033,ENSDF (rounded)
+Zn-71m,14260,β-,Ga-71,1,ENSDF (rounded)
+Ga-72m,0.0397,IT,Ga-72,1,ENSDF (rounded)
+Ge-71m,0.0204,IT,Ge-71,1,ENSDF (rounded)
+Ge-75m,47.7,IT,Ge-75,0.9997,ENSDF (rounded)
+Ge-75m,47.7,β-,As-75,0.0003,ENSDF (rounded)
+Ge-77m,52.9,β-,As-77,0.81,ENSDF (rounded)
+Ge-77m,52.9,IT,Ge-77,0.19,ENSDF (rounded)
+Se-77m,17.36,IT,Se-77,1,ENSDF (rounded)
+Se-79m,235.2,IT,Se-79,0.99944,ENSDF (rounded)
+Se-79m,235.2,β-,Br-79,0.00056,ENSDF (rounded)
+Se-81m,3437,IT,Se-81,0.9995,ENSDF (rounded)
+Se-81m,3437,β-,Br-81,0.0005,ENSDF (rounded)
+Se-83m,70.1,β-,Br-83,1,ENSDF (rounded)
+Br-80m,15910,IT,Br-80,1,ENSDF (rounded)
+Br-82m,367.8,IT,Br-82,0.976,ENSDF (rounded)
+Br-82m,367.8,β-,Kr-82,0.024,ENSDF (rounded)
+Kr-81m,13.1,IT,Kr-81,1,ENSDF (rounded)
+Kr-83m,6588,IT,Kr-83,1,ENSDF (rounded)
+Kr-85m,16130,β-,Rb-85,0.788,ENSDF (rounded)
+Kr-85m,16130,IT,Kr-85,0.212,ENSDF (rounded)
+Rb-86m,61.02,IT,Rb-86,1,ENSDF (rounded)
+Sr-87m,10130,IT,Sr-87,0.997,ENSDF (rounded)
+Sr-87m,10130,EC,Rb-87,0.003,ENSDF (rounded)
+Y-90m,11480,IT,Y-90,1,ENSDF (rounded)
+Y-91m,2983,IT,Y-91,1,ENSDF (rounded)
+Nb-94m,375.8,IT,Nb-94,0.995,ENSDF (rounded)
+Nb-94m,375.8,β-,Mo-94,0.005,ENSDF (rounded)
+Mo-93m,24660,IT,Mo-93,0.9988,ENSDF (rounded)
+Mo-93m,24660,EC,Nb-93,0.0012,ENSDF (rounded)
+Rh-104m,260.4,IT,Rh-104,0.9987,ENSDF (rounded)
+Rh-104m,260.4,β-,Pd-104,0.0013,ENSDF (rounded)
+Rh-106m,7860,β-,Pd-106,1,ENSDF (rounded)
+Pd-107m,21.3,IT,Pd-107,1,ENSDF (rounded)
+Pd-109m,281.8,IT,Pd-109,1,ENSDF (rounded)
+Pd-111m,19800,IT,Pd-111,0.73,ENSDF (rounded)
+Pd-111m,19800,β-,Ag-111,0.27,ENSDF (rounded)
+Ag-108m,1.382e10,EC,Pd-108,0.913,ENSDF (rounded)
+Ag-108m,1.382e10,IT,Ag-108,0.087,ENSDF (rounded)
+Ag-110m,2.158e7,β-,Cd-110,0.9867,ENSDF (rounded)
+Ag-110m,2.158e7,IT,Ag-110,0.0133,ENSDF (rounded)
+Ag-111m,64.8,IT,Ag-111,0.993,ENSDF (rounded)
+Ag-111m,64.8,β-,Cd-111,0.007,ENSDF (rounded)
+Cd-111m,2910,IT,Cd-111,1,ENSDF (rounded)
+Cd-113m,4.45e8,β-,In-113,0.9986,ENSDF (rounded)
+Cd-113m,4.45e8,IT,Cd-113,0.0014,ENSDF (rounded)
+Cd-115m,3.85e6,β-,In-115,1,ENSDF (rounded)
+Cd-117m,12100,β-,In-117,1,ENSDF (rounded)
+Cd-119m,132,β-,In-119,1,ENSDF (rounded)
+In-114m,4.278e6,IT,In-114,0.9675,ENSDF (rounded)
+In-114m,4.278e6,EC,Cd-114,0.0325,ENSDF (rounded)
+In-116m,3257,β-,Sn-116,1,ENSDF (rounded)
+In-118m,267,β-,Sn-118,1,ENSDF (rounded)
+In-120m,46.2,β-,Sn-120,1,ENSDF (rounded)
+Sn-113m,1284,IT,Sn-113,0.911,ENSDF (rounded)
+Sn-113m,1284,EC,In-113,0.089,ENSDF (rounded)
+Sn-117m,1.2096e6,IT,Sn-117,1,ENSDF (rounded)
+Sn-119m,2.532e7,IT,Sn-119,1,ENSDF (rounded)
+Sn-121m,1.385e9,IT,Sn-121,0.776,ENSDF (rounded)
+Sn-121m,1.385e9,β-,Sb-121,0.224,ENSDF (rounded)
+Sn-123m,2404,β-,Sb-123,1,ENSDF (rounded)
+Sn-125m,571.2,β-,Sb-125,1,ENSDF (rounded)
+Sn-127m,247.8,β-,Sb-127,1,ENSDF (rounded)
+Sb-122m,251.5,IT,Sb-122,1,ENSDF (rounded)
+Sb-124m,93,IT,Sb-124,0.75,ENSDF (rounded)
+Sb-124m,93,β-,Te-124,0.25,ENSDF (rounded)
+Sb-126m,1149,β-,Te-126,0.86,ENSDF (rounded)
+Sb-126m,1149,IT,Sb-126,0.14,ENSDF (rounded)
+Te-123m,1.03e7,IT,Te-123,1,ENSDF (rounded)
+Te-125m,4.959e6,IT,Te-125,1,ENSDF (rounded)
+Te-127m,9.167e6,IT,Te-127,0.976,ENSDF (rounded)
+Te-127m,9.167e6,β-,I-127,0.024,ENSDF (rounded)
+Te-129m,2.903e6,IT,Te-129,0.64,ENSDF (rounded)
+Te-129m,2.903e6,β-,I-129,0.36,ENSDF (rounded)
+Te-131m,1.197e5,β-,I-131,0.741,ENSDF (rounded)
+Te-131m,1.197e5,IT,Te-131,0.259,ENSDF (rounded)
+I-130m,530.4,IT,I-130,0.84,ENSDF (rounded)
+I-130m,530.4,β-,Xe-130,0.16,ENSDF (rounded)
+Xe-129m,7.672e5,IT,Xe-129,1,ENSDF (rounded)
+Xe-131m,1.023e6,IT,Xe-131,1,ENSDF (rounded)
+Xe-133m,1.899e5,IT,Xe-133,1,ENSDF (rounded)
+Xe-135m,917.4,IT,Xe-135,0.9996,ENSDF (rounded)
+Xe-135m,917.4,β-,Cs-135,0.0004,ENSDF (rounded)
+Cs-134m,10480,IT,Cs-134,1,ENSDF (rounded)
+Cs-135m,3180,IT,Cs-135,1,ENSDF (rounded)
+Ba-135m,1.033e5,IT,Ba-135,1,ENSDF (rounded)
+Ba-136m,0.3084,IT,Ba-136,1,ENSDF (rounded)
+Ba-137m,153.1,IT,Ba-137,1,ENSDF (rounded)
+Pr-142m,876,IT,Pr-142,1,ENSDF (rounded)
+Pm-148m,3.567e6,β-,Sm-148,0.958,ENSDF (rounded)
+Pm-148m,3.567e6,IT,Pm-148,0.042,ENSDF (rounded)
+Gd-155m,0.03197,IT,Gd-155,1,ENSDF (rounded)
+Dy-165m,75.42,IT,Dy-165,0.9776,ENSDF (rounded)
+Dy-165m,75.42,β-,Ho-165,0.0224,ENSDF (rounded)
+Ho-166m,3.79e10,β-,Er-166,1,ENSDF (rounded)
+Er-167m,2.269,IT,Er-167,1,ENSDF (rounded)
+Tm-170m,4.12e-6,IT,Tm-170,1,ENSDF (rounded)
+Yb-175m,0.0682,IT,Yb-175,1,ENSDF (rounded)
+Lu-176m,13190,β-,Hf-176,0.999,ENSDF (rounded)
+Lu-176m,13190,EC,Yb-176,0.001,ENSDF (rounded)
+Lu-177m,1.3862e7,β-,Hf-177,0.786,ENSDF (rounded)
+Lu-177m,1.3862e7,IT,Lu-177,0.214,ENSDF (rounded)
+Hf-178m,9.78e8,IT,Hf-178,1,ENSDF (rounded)
+Hf-179m,2.164e6,IT,Hf-179,1,ENSDF (rounded)
+Hf-180m,19910,IT,Hf-180,0.997,ENSDF (rounded)
+Hf-180m,19910,β-,Ta-180,0.003,ENSDF (rounded)
+Ta-182m,950.4,IT,Ta-182,1,ENSDF (rounded)
+W-183m,5.2,IT,W-183,1,ENSDF (rounded)
+W-185m,95.8,IT,W-185,1,ENSDF (rounded)
+Re-188m,1115,IT,Re-188,1,ENSDF (rounded)
+Os-190m,594,IT,Os-190,1,ENSDF (rounded)
+Os-191m,47160,IT,Os-191,1,ENSDF (rounded)
+Ir-192m,87,IT,Ir-192,0.9998,ENSDF (rounded)
+Ir-192m,87,β-,Pt-192,0.0002,ENSDF (rounded)
+Ir-194m,1.478e7,β-,Pt-194,1,ENSDF (rounded)
+Pt-193m,3.741e5,IT,Pt-193,1,ENSDF (rounded)
+Pt-195m,3.465e5,IT,Pt-195,1,ENSDF (rounded)
+Pt-197m,5725,IT,Pt-197,0.967,ENSDF (rounded)
+Pt-197m,5725,β-,Au-197,0.033,ENSDF (rounded)
+Pt-199m,13.6,IT,Pt-199,1,ENSDF (rounded)
+Hg-197m,85680,IT,Hg-197,0.914,ENSDF (rounded)
+Hg-197m,85680,EC,Au-197,0.086,ENSDF (rounded)
+Hg-199m,2560,IT,Hg-199,1,ENSDF (rounded)
+Bi-210m,9.59e13,α,Tl-206,1,ENSDF (rounded)
+Po-211m,25.2,α,Pb-207,0.9998,ENSDF (rounded)
+Po-211m,25.2,IT,Po-211,0.0002,ENSDF (rounded)
+Pa-234m,69.54,β-,U-234,0.9984,ENSDF (rounded)
+Pa-234m,69.54,IT,Pa-234,0.0016,ENSDF (rounded)
+Np-240m,433.2,β-,Pu-240,0.9988,ENSDF (rounded)
+Np-240m,433.2,IT,Np-240,0.0012,ENSDF (rounded)
+Am-242m,4.45e9,IT,Am-242,0.9955,ENSDF (rounded)
+Am-242m,4.45e9,α,Np-238,0.0045,ENSDF (rounded)
+Am-244m,1560,β-,Cm-244,0.99964,ENSDF (rounded)
+Am-244m,1560,EC,Pu-244,0.00036,ENSDF (rounded)
+Es-254m,1.415e5,β-,Fm-254,0.98,ENSDF (rounded)
+Es-254m,1.415e5,IT,Es-254,0.0133,ENSDF (rounded)
+Es-254m,1.415e5,α,Bk-250,0.0033,ENSDF (rounded)
+`,
+    gamma: `Isotope,Energy_keV,Yield,Note
+H-3,,0,pure beta
+C-14,,0,pure beta
+N-16,6128.6,0.67,
+N-16,7115.2,0.049,
+O-19,197.1,0.959,
+O-19,1356.9,0.504,
+F-20,1633.6,1.0,
+Na-24,1368.6,1.0,
+Na-24,2754.0,0.9986,
+Mg-27,843.8,0.718,
+Mg-27,1014.4,0.28,
+Al-28,1779.0,1.0,
+P-32,,0,pure beta
+S-35,,0,pure beta
+Cl-36,,0,pure beta
+Cl-38,1642.7,0.333,
+Cl-38,2167.4,0.444,
+Ar-41,1293.6,0.9916,
+K-40,1460.8,0.1066,
+K-42,1524.6,0.1808,
+Ca-45,,0,pure beta
+Ca-47,1297.1,0.71,
+Ca-47,489.2,0.062,
+Ca-47,807.9,0.062,
+Sc-46,889.3,0.9998,
+Sc-46,1120.5,0.9999,
+Sc-47,159.4,0.683,
+Ti-51,320.1,0.931,
+Ti-51,928.6,0.069,
+V-52,1434.1,1.0,
+Cr-51,320.1,0.0991,
+Cr-55,,0,pure beta
+Mn-54,834.8,0.9998,
+Mn-56,846.8,0.989,
+Mn-56,1810.7,0.269,
+Mn-56,2113.1,0.142,
+Mn-57,122.1,0.16,
+Fe-55,,0,pure EC (X-rays only)
+Fe-59,1099.2,0.565,
+Fe-59,1291.6,0.432,
+Fe-59,192.3,0.0308,
+Fe-60,,0,pure beta
+Fe-61,1205.0,0.44,
+Fe-61,298.0,0.28,
+Co-58,810.8,0.9945,
+Co-58,511.0,0.299,annihilation
+Co-60,1173.2,0.9985,
+Co-60,1332.5,0.9998,
+Co-60m,58.6,0.0204,
+Co-61,67.4,0.85,
+Ni-59,,0,pure EC (X-rays only)
+Ni-63,,0,pure beta
+Ni-65,1481.8,0.2359,
+Ni-65,1115.5,0.1543,
+Ni-65,366.3,0.0481,
+Cu-64,511.0,0.352,annihilation
+Cu-64,1345.8,0.0048,
+Cu-66,1039.2,0.09,
+Zn-65,1115.5,0.5004,
+Zn-65,511.0,0.0284,annihilation
+Zn-69m,438.6,0.948,
+Ga-72,834.0,0.956,
+Ga-72,2201.6,0.269,
+Ga-72,630.0,0.2626,
+As-76,559.1,0.45,
+As-76,657.0,0.062,
+As-76,1216.1,0.034,
+Se-75,136.0,0.585,
+Se-75,264.7,0.589,
+Se-75,279.5,0.2499,
+Se-75,121.1,0.172,
+Se-75,400.7,0.1147,
+Br-82,776.5,0.835,
+Br-82,554.3,0.7076,
+Br-82,619.1,0.4339,
+Br-82,698.4,0.2848,
+Br-82,1044.0,0.2829,
+Br-82,827.8,0.2414,
+Br-82,1317.5,0.2671,
+Rb-86,1077.0,0.0864,
+Sr-85,514.0,0.96,
+Sr-89,,0,pure beta
+Sr-90,,0,pure beta
+Y-90,,0,pure beta
+Zr-95,756.7,0.5438,
+Zr-95,724.2,0.4427,
+Nb-95,765.8,0.9981,
+Nb-92m,934.4,0.9915,
+Mo-99,739.5,0.1213,
+Mo-99,181.1,0.0601,
+Mo-99,777.9,0.0426,
+Tc-99m,140.5,0.885,
+Tc-99,,0,pure beta
+Ru-103,497.1,0.91,
+Ru-103,610.3,0.0576,
+Ag-110m,657.8,0.9438,
+Ag-110m,884.7,0.74,
+Ag-110m,937.5,0.3451,
+Ag-110m,1384.3,0.2472,
+Ag-110m,763.9,0.2231,
+Ag-110m,706.7,0.1648,
+Ag-110m,1505.0,0.1316,
+Cd-115,527.9,0.2745,
+Cd-115,492.4,0.0803,
+In-113m,391.7,0.6494,
+In-114m,190.3,0.1556,
+In-116m,1293.6,0.848,
+In-116m,1097.3,0.585,
+In-116m,416.9,0.272,
+In-116m,2112.3,0.155,
+In-116m,818.7,0.1215,
+Sn-113,255.1,0.0211,
+Sb-122,564.2,0.7067,
+Sb-122,692.6,0.0385,
+Sb-124,602.7,0.9779,
+Sb-124,1691.0,0.4757,
+Sb-124,722.8,0.1081,
+Sb-124,645.9,0.0742,
+Sb-124,2091.0,0.0557,
+I-131,364.5,0.815,
+I-131,637.0,0.0716,
+I-131,284.3,0.0612,
+Cs-134,604.7,0.9762,
+Cs-134,795.9,0.8546,
+Cs-134,569.3,0.1537,
+Cs-134,801.9,0.0869,
+Cs-134,563.2,0.0834,
+Cs-137,661.7,0.851,via Ba-137m
+Ba-131,496.3,0.47,
+Ba-131,123.8,0.2897,
+Ba-131,216.1,0.1966,
+Ba-131,373.3,0.1404,
+Ba-133,356.0,0.6205,
+Ba-133,81.0,0.329,
+Ba-133,302.9,0.1834,
+Ba-139,165.9,0.2381,
+La-140,1596.2,0.954,
+La-140,487.0,0.455,
+La-140,815.8,0.2328,
+La-140,328.8,0.203,
+Ce-141,145.4,0.484,
+Ce-143,293.3,0.428,
+Pr-142,1575.6,0.037,
+Nd-147,91.1,0.281,
+Nd-147,531.0,0.134,
+Pm-147,,0,pure beta
+Pm-149,286.0,0.031,
+Sm-153,103.2,0.2925,
+Sm-153,69.7,0.0473,
+Eu-152,121.8,0.2853,
+Eu-152,344.3,0.2659,
+Eu-152,1408.0,0.2087,
+Eu-152,964.1,0.1451,
+Eu-152,1112.1,0.1367,
+Eu-152,778.9,0.1293,
+Eu-152,1085.8,0.1011,
+Eu-152,244.7,0.0755,
+Eu-152,867.4,0.0423,
+Eu-152,443.9,0.0283,
+Eu-152m,841.6,0.142,
+Eu-152m,963.4,0.117,
+Eu-154,123.1,0.404,
+Eu-154,1274.4,0.348,
+Eu-154,723.3,0.2005,
+Eu-154,1004.8,0.1801,
+Eu-154,873.2,0.1208,
+Eu-154,996.3,0.1048,
+Eu-154,247.9,0.0689,
+Eu-154,591.8,0.0495,
+Eu-154,756.8,0.0452,
+Eu-155,86.5,0.307,
+Eu-155,105.3,0.211,
+Gd-153,97.4,0.29,
+Gd-153,103.2,0.211,
+Gd-159,363.5,0.118,
+Tb-160,879.4,0.301,
+Tb-160,298.6,0.261,
+Tb-160,966.2,0.251,
+Tb-160,1178.0,0.149,
+Tb-160,1271.9,0.0745,
+Tb-160,197.0,0.052,
+Dy-165,94.7,0.0358,
+Dy-165,361.7,0.0084,
+Ho-166,80.6,0.0655,
+Ho-166,1379.4,0.0093,
+Ho-166m,184.4,0.724,
+Ho-166m,810.3,0.573,
+Ho-166m,711.7,0.541,
+Ho-166m,280.5,0.295,
+Ho-166m,529.8,0.094,
+Er-171,308.3,0.64,
+Er-171,295.9,0.289,
+Er-171,111.6,0.205,
+Tm-170,84.3,0.0248,
+Tm-171,,0,pure beta
+Tm-173,398.9,0.88,
+Tm-174,992.1,1.0,
+Tm-174,273.4,0.99,
+Tm-174,366.7,0.93,
+Yb-169,63.1,0.4405,
+Yb-169,198.0,0.3593,
+Yb-169,177.2,0.2216,
+Yb-169,109.8,0.1736,
+Yb-169,130.5,0.1131,
+Yb-169,307.7,0.1005,
+Yb-175,396.3,0.132,
+Yb-175,282.5,0.0613,
+Yb-175,113.8,0.0387,
+Yb-177,150.4,0.2,
+Lu-176m,88.3,0.089,
+Lu-176,306.8,0.94,
+Lu-176,201.8,0.78,
+Lu-176,88.3,0.145,
+Lu-177,208.4,0.1036,
+Lu-177,112.9,0.062,
+Lu-177m,208.4,0.61,
+Lu-177m,228.5,0.373,
+Lu-177m,378.5,0.299,
+Lu-177m,113.0,0.217,
+Lu-177m,418.5,0.212,
+Lu-177m,327.7,0.181,
+Lu-177m,153.3,0.168,
+Lu-177m,281.8,0.142,
+Lu-178,93.3,0.175,
+Lu-178,1340.9,0.034,
+Hf-175,343.4,0.84,
+Hf-181,482.2,0.805,
+Hf-181,133.0,0.433,
+Hf-181,345.9,0.151,
+Hf-181,136.3,0.0586,
+Ta-182,1121.3,0.3524,
+Ta-182,67.7,0.413,
+Ta-182,1221.4,0.2717,
+Ta-182,1189.0,0.1644,
+Ta-182,100.1,0.142,
+Ta-182,1231.0,0.1162,
+Ta-182,222.1,0.0757,
+Ta-182,264.1,0.0361,
+W-187,685.8,0.332,
+W-187,479.6,0.266,
+W-187,72.0,0.1374,
+W-187,134.2,0.104,
+W-187,618.4,0.0757,
+Re-186,137.2,0.0947,
+Re-188,155.0,0.1549,
+Os-191,129.4,0.265,
+Ir-192,316.5,0.8286,
+Ir-192,468.1,0.4784,
+Ir-192,308.5,0.297,
+Ir-192,296.0,0.2871,
+Ir-192,604.4,0.0823,
+Ir-192,612.5,0.0534,
+Ir-192,588.6,0.0452,
+Ir-194,328.4,0.131,
+Ir-194,293.5,0.0253,
+Pt-197,77.4,0.172,
+Pt-197,191.4,0.037,
+Au-198,411.8,0.9562,
+Au-198,675.9,0.0084,
+Hg-203,279.2,0.8146,
+Pb-203,279.2,0.808,
+`,
+    decayEnergy: `Isotope,Mean_Beta_keV,Mean_Gamma_keV,Source
+H-3,5.68,0,ENSDF mean energies (rounded)
+C-14,49.5,0,ENSDF mean energies (rounded)
+N-16,2570,4460,ENSDF mean energies (rounded)
+O-19,1350,873,ENSDF mean energies (rounded)
+F-20,2480,1634,ENSDF mean energies (rounded)
+Na-24,554,4122,ENSDF mean energies (rounded)
+Mg-27,701,887,ENSDF mean energies (rounded)
+Al-28,1242,1779,ENSDF mean energies (rounded)
+P-32,695,0,ENSDF mean energies (rounded)
+S-35,48.8,0,ENSDF mean energies (rounded)
+Cl-36,273,0.3,ENSDF mean energies (rounded)
+Cl-38,1530,1490,ENSDF mean energies (rounded)
+Ar-41,464,1284,ENSDF mean energies (rounded)
+K-40,454,156,ENSDF mean energies (rounded)
+K-42,1430,276,ENSDF mean energies (rounded)
+Ca-45,77.2,0,ENSDF mean energies (rounded)
+Ca-47,345,1056,ENSDF mean energies (rounded)
+Sc-46,112,2010,ENSDF mean energies (rounded)
+Sc-47,162,109,ENSDF mean energies (rounded)
+Ti-51,870,361,ENSDF mean energies (rounded)
+V-52,1070,1434,ENSDF mean energies (rounded)
+Cr-51,3.8,32.5,ENSDF mean energies (rounded)
+Cr-55,1050,0,ENSDF mean energies (rounded)
+Mn-54,4.2,836,ENSDF mean energies (rounded)
+Mn-56,830,1690,ENSDF mean energies (rounded)
+Mn-57,1150,100,ENSDF mean energies (rounded)
+Fe-55,4.2,1.7,ENSDF mean energies (rounded)
+Fe-59,118,1188,ENSDF mean energies (rounded)
+Fe-60,50,0,ENSDF mean energies (rounded)
+Fe-61,1270,1150,ENSDF mean energies (rounded)
+Co-58,34,976,ENSDF mean energies (rounded)
+Co-60,96,2504,ENSDF mean energies (rounded)
+Co-60m,57,2,ENSDF mean energies (rounded)
+Co-61,470,60,ENSDF mean energies (rounded)
+Ni-59,4.5,0.7,ENSDF mean energies (rounded)
+Ni-63,17.4,0,ENSDF mean energies (rounded)
+Ni-65,630,530,ENSDF mean energies (rounded)
+Cu-64,124,184,ENSDF mean energies (rounded)
+Cu-66,1070,94,ENSDF mean energies (rounded)
+Zn-65,6.6,584,ENSDF mean energies (rounded)
+Zn-69m,23,416,ENSDF mean energies (rounded)
+Ga-72,500,2760,ENSDF mean energies (rounded)
+As-76,1066,418,ENSDF mean energies (rounded)
+Se-75,14,394,ENSDF mean energies (rounded)
+Br-82,138,2640,ENSDF mean energies (rounded)
+Rb-86,668,94,ENSDF mean energies (rounded)
+Sr-85,9,507,ENSDF mean energies (rounded)
+Sr-89,585,0,ENSDF mean energies (rounded)
+Sr-90,196,0,ENSDF mean energies (rounded)
+Y-90,933,0,ENSDF mean energies (rounded)
+Zr-95,117,734,ENSDF mean energies (rounded)
+Nb-95,43,764,ENSDF mean energies (rounded)
+Nb-92m,7,925,ENSDF mean energies (rounded)
+Mo-99,389,150,ENSDF mean energies (rounded)
+Tc-99m,16,126,ENSDF mean energies (rounded)
+Tc-99,85,0,ENSDF mean energies (rounded)
+Ru-103,74,470,ENSDF mean energies (rounded)
+Ag-110m,73,2740,ENSDF mean energies (rounded)
+Cd-115,300,170,ENSDF mean energies (rounded)
+In-113m,126,257,ENSDF mean energies (rounded)
+In-114m,130,95,ENSDF mean energies (rounded)
+In-116m,310,2470,ENSDF mean energies (rounded)
+Sn-113,30,34,ENSDF mean energies (rounded)
+Sb-122,550,432,ENSDF mean energies (rounded)
+Sb-124,384,1850,ENSDF mean energies (rounded)
+I-131,182,381,ENSDF mean energies (rounded)
+Cs-134,164,1555,ENSDF mean energies (rounded)
+Cs-137,250,566,incl. Ba-137m
+Ba-131,50,420,ENSDF mean energies (rounded)
+Ba-133,55,404,ENSDF mean energies (rounded)
+Ba-139,900,44,ENSDF mean energies (rounded)
+La-140,530,2310,ENSDF mean energies (rounded)
+Ce-141,171,77,ENSDF mean energies (rounded)
+Ce-143,410,280,ENSDF mean energies (rounded)
+Ce-144,82,20,ENSDF mean energies (rounded)
+Pr-142,810,58,ENSDF mean energies (rounded)
+Pr-143,315,0,ENSDF mean energies (rounded)
+Pr-145,680,20,Estimated from Q-value and main lines
+Pr-146,1500,460,Estimated from Q-value and main lines
+Pr-147,800,500,Estimated from Q-value and main lines
+Pr-148,1500,400,Estimated from Q-value and main lines
+Nd-147,270,140,ENSDF mean energies (rounded)
+Nd-149,380,300,Estimated from Q-value and main lines
+Nd-151,600,700,Estimated from Q-value and main lines
+Pm-147,62,0,ENSDF mean energies (rounded)
+Pm-148,720,580,Estimated from Q-value and main lines
+Pm-149,360,12,ENSDF mean energies (rounded)
+Pm-150,720,1800,Estimated from Q-value and main lines
+Pm-151,300,320,Estimated from Q-value and main lines
+Pm-152,1200,400,Estimated from Q-value and main lines
+Pm-153,650,120,Estimated from Q-value and main lines
+Pm-154,800,1500,Estimated from Q-value and main lines
+Sm-153,270,62,ENSDF mean energies (rounded)
+Sm-151,20,0,ENSDF mean energies (rounded)
+Sm-155,520,100,Estimated from Q-value and main lines
+Eu-152,140,1150,ENSDF mean energies (rounded)
+Eu-152m,550,270,ENSDF mean energies (rounded)
+Eu-154,290,1240,ENSDF mean energies (rounded)
+Eu-155,63,60,ENSDF mean energies (rounded)
+Eu-156,420,1250,Estimated from Q-value and main lines
+Eu-157,370,320,Estimated from Q-value and main lines
+Eu-158,900,1100,Estimated from Q-value and main lines
+Gd-152,0,0,Alpha emitter (T1/2 1e14 y); heat negligible
+Gd-153,40,100,ENSDF mean energies (rounded)
+Gd-159,310,50,ENSDF mean energies (rounded)
+Tb-160,210,1120,ENSDF mean energies (rounded)
+Dy-165,440,26,ENSDF mean energies (rounded)
+Ho-166,695,30,ENSDF mean energies (rounded)
+Ho-166m,150,1750,ENSDF mean energies (rounded)
+Er-171,370,340,ENSDF mean energies (rounded)
+Er-173,600,900,Estimated from Q-value and main lines
+Tm-170,325,5.5,ENSDF mean energies (rounded)
+Tm-171,25,0.7,ENSDF mean energies (rounded)
+Tm-173,310,380,ENSDF mean energies (rounded)
+Tm-174,420,1650,ENSDF mean energies (rounded)
+Yb-169,110,310,ENSDF mean energies (rounded)
+Yb-175,127,42,ENSDF mean energies (rounded)
+Yb-177,400,70,ENSDF mean energies (rounded)
+Lu-176m,470,10,ENSDF mean energies (rounded)
+Lu-176,180,590,ENSDF mean energies (rounded)
+Lu-177,133,35,ENSDF mean energies (rounded)
+Lu-177m,160,850,ENSDF mean energies (rounded)
+Lu-178,760,100,ENSDF mean energies (rounded)
+Hf-175,40,330,ENSDF mean energies (rounded)
+Hf-181,200,550,ENSDF mean energies (rounded)
+Ta-182,160,1300,ENSDF mean energies (rounded)
+W-187,300,480,ENSDF mean energies (rounded)
+Re-186,340,18,ENSDF mean energies (rounded)
+Re-188,760,60,ENSDF mean energies (rounded)
+Os-191,90,80,ENSDF mean energies (rounded)
+Ir-192,220,810,ENSDF mean energies (rounded)
+Ir-194,810,90,ENSDF mean energies (rounded)
+Pt-197,240,20,ENSDF mean energies (rounded)
+Au-198,315,403,ENSDF mean energies (rounded)
+Hg-203,58,238,ENSDF mean energies (rounded)
+Pb-203,48,310,ENSDF mean energies (rounded)
+`,
+    xsPrevious: `Symbol,Z,A,Abundance,MT,Reaction,Max_XS,XS_ENDF_VIII_1,XS_JENDL,XS_JEFF,Daughter_Isotope,Decay_Constant_Lambda,Manual Value,Relative change,key,Origen,InsertadoDesdeFuente,Z_daughter,A_daughter,Half_Life_Seconds_Daughter
+H,1,1,0.99999,102,"n,g",0.333190116,0.333190116,0.333190116,0.332617513,H-2,,0.332587,-0.001813408,"H|<NA>|102|n,g",,FALSE,1,2,
+H,1,2,0.00028,102,"n,g",0.000551002,0.000506902,0.000551002,0.000505035,H-3,1.78E-09,0.000550005,-0.001812711,"H|<NA>|102|n,g",,FALSE,1,3,
+He,2,3,2.00E-06,103,"n,p",5337.702352,5325.677265,5337.702352,5325.677265,H-3,1.78E-09,,#DIV/0!,"He|<NA>|103|n,p",,FALSE,1,3,
+He,2,3,2.00E-06,102,"n,g",5.51E-05,5.51E-05,5.41E-05,5.51E-05,He-4,,5.50E-05,-0.002049564,"He|<NA>|102|n,g",,FALSE,2,4,
+Li,3,7,0.981,102,"n,g",0.045619831,0.045583514,0.045619831,0.045482856,Li-8,0.825175215,0.045402,-0.004797828,"Li|<NA>|102|n,g",,FALSE,3,8,
+Li,3,6,0.078,102,"n,g",0.038634527,0.038570146,0.038634527,0.038570146,Li-7,,0.0385003,-0.003486388,"Li|<NA>|102|n,g",,FALSE,3,7,
+Be,4,9,1,102,"n,g",0.00879029,0.008373892,0.008505468,0.00879029,Be-10,1.45E-14,0.0100308,0.123670096,"Be|<NA>|102|n,g",,FALSE,4,10,
+Be,4,7,,102,"n,g",0.1538418,,0.1538418,,Be-8,,,,"Be|7|102|n,g",FUENTE,TRUE,4,8,
+Be,4,10,,102,"n,g",0.000100182,,0.000100182,,Be-11,,,,"Be|10|102|n,g",FUENTE,TRUE,4,11,
+Be,4,7,,103,"n,p",56777.56,41604.21761,56777.56,,Li-7,,,,"Be|7|103|n,p",FUENTE,TRUE,3,7,
+Be,4,7,,107,"n,a",0.8043532,5.90E-06,0.8043532,,He-4,,,,"Be|7|107|n,a",FUENTE,TRUE,2,4,
+B,5,10,0.204,107,"n,a",3851.153068,3851.153068,3846.899059,3849.537707,Li-7,,,#DIV/0!,"B|<NA>|107|n,a",,FALSE,3,7,
+B,5,10,0.204,102,"n,g",0.501290998,0.396766961,0.501290998,0.500898278,B-11,,0.500004,-0.002573975,"B|<NA>|102|n,g",,FALSE,5,11,
+B,5,11,0.811,102,"n,g",0.005542904,0.005542904,0.005112791,0.005542904,B-12,,0.00550004,-0.007793398,"B|<NA>|102|n,g",,FALSE,5,12,
+B,5,10,0.204,103,"n,p",0.003007746,0.000567029,0.003007746,0.000567029,Be-10,1.45E-14,,#DIV/0!,"B|<NA>|103|n,p",,FALSE,4,10,
+C,6,12,0.9904,102,"n,g",0.003902125,0.0038604,0.003902125,,C-13,,0.00387747,-0.006358528,"C|<NA>|102|n,g",,FALSE,6,13,
+C,6,13,0.0116,102,"n,g",0.001500254,0.001500254,0.001494661,0.001367248,C-14,3.85E-12,0.00150028,1.73E-05,"C|<NA>|102|n,g",,FALSE,6,14,
+C,6,11,,102,"n,g",0.01637999,,0.01637999,,C-12,,,,"C|11|102|n,g",FUENTE,TRUE,6,12,
+C,6,14,,102,"n,g",3.08E-07,,3.08E-07,,C-15,0.28303274,,,"C|14|102|n,g",FUENTE,TRUE,6,15,2.449
+C,6,11,,103,"n,p",136.9009725,,136.9009725,,B-11,,,,"C|11|103|n,p",FUENTE,TRUE,5,11,
+N,7,14,0.99663,103,"n,p",1.933516691,1.83042806,1.933516691,1.83042806,C-14,3.85E-12,,#DIV/0!,"N|<NA>|103|n,p",,FALSE,6,14,
+N,7,14,0.99663,102,"n,g",0.075136626,0.07513553,0.075136626,0.07513553,N-15,,0.0750004,-0.001816337,"N|<NA>|102|n,g",,FALSE,7,15,
+N,7,15,0.00422,102,"n,g",2.40E-05,2.40E-05,2.38E-05,2.40E-05,N-16,0.097215593,2.40E-05,0.00041233,"N|<NA>|102|n,g",,FALSE,7,16,
+O,8,17,0.0004,107,"n,a",0.244712154,0.236266789,0.244712154,0.235,C-14,3.85E-12,,#DIV/0!,"O|<NA>|107|n,a",,FALSE,6,14,
+O,8,17,0.0004,102,"n,g",0.003850095,0.003850095,0.000672483,0.000555119,O-18,,0.00382862,-0.005609071,"O|<NA>|102|n,g",,FALSE,8,18,
+O,8,16,0.99776,102,"n,g",0.000190901,0.000169836,0.000190212,0.000190901,O-17,,0.000189986,-0.004816144,"O|<NA>|102|n,g",,FALSE,8,17,
+O,8,18,0.00222,102,"n,g",0.000161494,0.000161494,0.000140817,0.000158987,O-19,0.025757978,0.000158966,-0.015902772,"O|<NA>|102|n,g",,FALSE,8,19,
+O,8,16,0.99776,107,"n,a",2.75E-32,,2.75E-32,,C-13,,,#DIV/0!,"O|<NA>|107|n,a",,FALSE,6,13,
+F,9,19,1,102,"n,g",0.009607304,0.0095699,0.009587298,0.009607304,F-20,0.062109962,0.00957834,-0.003023906,"F|<NA>|102|n,g",,FALSE,9,20,
+Ne,10,21,0.0027,102,"n,g",0.692950333,0.66875744,0.692950333,0.66875744,Ne-22,,0.691696,-0.001813417,"Ne|<NA>|102|n,g",,FALSE,10,22,
+Ne,10,21,0.0027,107,"n,a",0.692950333,0.66875744,0.692950333,0.000181743,O-18,,,#DIV/0!,"Ne|<NA>|107|n,a",,FALSE,8,18,
+Ne,10,22,0.0925,102,"n,g",0.052797442,0.045577017,0.052797442,0.045577017,Ne-23,0.018612975,0.0527019,-0.001812876,"Ne|<NA>|102|n,g",,FALSE,10,23,
+Ne,10,20,0.9048,102,"n,g",0.036940716,0.036940716,0.036868142,0.036940716,Ne-21,,0.0368739,-0.001812013,"Ne|<NA>|102|n,g",,FALSE,10,21,
+Na,11,23,1,102,"n,g",0.533675684,0.528,0.533675684,0.524788376,Na-24,1.29E-05,0.531551,-0.00399714,"Na|<NA>|102|n,g",,FALSE,11,24,
+Na,11,24,,102,"n,g",2.385072097,,2.385072097,,Na-25,0.011728379,,,"Na|24|102|n,g",FUENTE,TRUE,11,25,59.1
+Na,11,22,,102,"n,g",34224.88,253.0281615,41.33157433,34224.88,Na-23,,,,"Na|22|102|n,g",FUENTE,TRUE,11,23,
+Na,11,22,,107,"n,a",262.6067902,28.95395597,262.6067902,262.0001,F-19,,,,"Na|22|107|n,a",FUENTE,TRUE,9,19,
+Na,11,22,,103,"n,p",28962.75588,28962.75588,27538.03835,27799.42,Ne-22,,,,"Na|22|103|n,p",FUENTE,TRUE,10,22,
+Mg,12,25,0.10034,102,"n,g",0.1907167,0.1907167,0.1907167,0.1907167,Mg-26,,0.190374,-0.001800141,"Mg|<NA>|102|n,g",,FALSE,12,26,
+Mg,12,24,0.7905,102,"n,g",0.050380298,0.050380298,0.050380298,0.050380298,Mg-25,,0.0502894,-0.001807498,"Mg|<NA>|102|n,g",,FALSE,12,25,
+Mg,12,26,0.1109,102,"n,g",0.038378532,0.038378532,0.038378532,0.038378532,Mg-27,0.001221448,0.03831,-0.00178888,"Mg|<NA>|102|n,g",,FALSE,12,27,
+Mg,12,27,,102,"n,g",0.070107835,,,0.070107835,Mg-28,9.21E-06,,,"nan|27|102|n,g",FUENTE,TRUE,12,28,75276
+Mg,12,28,,102,"n,g",4.73E-05,,4.73E-05,,Mg-29,,,,"Mg|28|102|n,g",FUENTE,TRUE,12,29,
+Al,13,27,1,102,"n,g",0.233882507,0.233882507,0.23130139,0.233882507,Al-28,0.005155044,0.233463,-0.001796889,"Al|<NA>|102|n,g",,FALSE,13,28,
+Al,13,26,,102,"n,g",0.605931417,0.070349751,0.07009658,0.605931417,Al-27,,,,"Al|26|102|n,g",FUENTE,TRUE,13,27,
+Al,13,26,,107,"n,a",302.6023453,302.6023453,0.8753838,0.336854963,Na-23,,,,"Al|26|107|n,a",FUENTE,TRUE,11,23,
+Al,13,26,,103,"n,p",1465.420391,1465.420391,2.380276,1.980797371,Mg-26,,,,"Al|26|103|n,p",FUENTE,TRUE,12,26,
+Si,14,28,0.92318,102,"n,g",0.1861753,0.1861753,0.169439852,0.169439663,Si-29,,0.169141,-0.10071065,"Si|<NA>|102|n,g",,FALSE,14,29,
+Si,14,29,0.04699,102,"n,g",0.120173564,0.119614795,0.120173564,0.120173453,Si-30,,0.119961,-0.001771943,"Si|<NA>|102|n,g",,FALSE,14,30,
+Si,14,30,0.0311,102,"n,g",0.108018325,0.108018325,0.107268239,0.107274463,Si-31,7.35E-05,0.107085,-0.00871574,"Si|<NA>|102|n,g",,FALSE,14,31,
+Si,14,32,,102,"n,g",0.571178163,0.571178163,0.050091097,0.571178163,Si-33,,,,"Si|32|102|n,g",FUENTE,TRUE,14,33,
+Si,14,31,,102,"n,g",0.073132999,0.000120416,0.073132999,0.073085528,Si-32,1.44E-10,,,"Si|31|102|n,g",FUENTE,TRUE,14,32,4828209690
+P,15,31,1,102,"n,g",0.170166279,0.170166279,0.166480097,0.164788471,P-32,5.63E-07,0.169361,-0.004754808,"P|<NA>|102|n,g",,FALSE,15,32,
+P,15,32,,102,"n,g",0.4493299,,0.030257223,0.4493299,P-33,3.17E-07,,,"P|32|102|n,g",FUENTE,TRUE,15,33,2189376
+P,15,33,,102,"n,g",0.228670634,,0.006560932,0.228670634,P-34,,,,"P|33|102|n,g",FUENTE,TRUE,15,34,
+P,15,32,,103,"n,p",0.118664,,0.004347187,0.118664,Si-32,1.44E-10,,,"P|32|103|n,p",FUENTE,TRUE,14,32,4828209690
+S,16,32,0.9529,102,"n,g",0.529143792,0.529143792,0.529143792,0.524600067,S-33,,0.528215,-0.00175836,"S|<NA>|102|n,g",,FALSE,16,33,
+S,16,33,0.00797,102,"n,g",0.44979617,0.350674543,0.350674543,0.44979617,S-34,,0.449023,-0.001721894,"S|<NA>|102|n,g",,FALSE,16,34,
+S,16,34,0.0477,102,"n,g",0.256491337,0.223999584,0.223999584,0.256491337,S-35,9.17E-08,0.256054,-0.001707987,"S|<NA>|102|n,g",,FALSE,16,35,
+S,16,36,0.000187,102,"n,g",0.236222495,0.150269518,0.150269518,0.236222495,S-37,0.002287614,0.235815,-0.001728028,"S|<NA>|102|n,g",,FALSE,16,37,
+S,16,33,0.00797,107,"n,a",0.168621,0.168621,0.168621,0.115596384,Si-30,,,,"S|<NA>|107|n,a",,FALSE,14,30,
+S,16,32,0.9529,107,"n,a",0.007033271,0.007,0.007,0.007033271,Si-29,,,,"S|<NA>|107|n,a",,FALSE,14,29,
+S,16,33,0.00797,103,"n,p",0.002010511,0.00161194,0.00161194,0.002010511,P-33,3.17E-07,,,"S|<NA>|103|n,p",,FALSE,15,33,
+S,16,35,,107,"n,a",1.10E-09,,7.10E-12,1.10E-09,Si-32,1.44E-10,,,"S|35|107|n,a",FUENTE,TRUE,14,32,4828209690
+S,16,35,,102,"n,g",0.320372201,0.320372201,0.013867119,0.320372201,S-36,,,,"S|35|102|n,g",FUENTE,TRUE,16,36,
+Cl,17,35,0.761,102,"n,g",43.67991426,43.67991426,43.67991426,43.67990535,Cl-36,7.30E-14,43.6122,-0.001552645,"Cl|<NA>|102|n,g",,FALSE,17,36,
+Cl,17,35,0.761,103,"n,p",0.479998284,0.479998284,0.479998284,0.479998284,S-35,9.17E-08,,,"Cl|<NA>|103|n,p",,FALSE,16,35,
+Cl,17,37,0.245,102,"n,g",0.435471917,0.434949793,0.435471917,0.433750854,Cl-38,0.000310216,0.433122,-0.005425531,"Cl|<NA>|102|n,g",,FALSE,17,38,
+Cl,17,35,0.761,107,"n,a",8.02E-05,8.02E-05,8.01E-05,8.02E-05,P-32,5.63E-07,,,"Cl|<NA>|107|n,a",,FALSE,15,32,
+Cl,17,36,,102,"n,g",10.03753764,10.03753764,10.01300367,10.03504411,Cl-37,,,,"Cl|36|102|n,g",FUENTE,TRUE,17,37,
+Cl,17,34,,102,"n,g",0.125369032,,0.125369032,,Cl-35,,,,"Cl|34|102|n,g",FUENTE,TRUE,17,35,
+Cl,17,34,,103,"n,p",151.0070704,,151.0070704,,S-34,,,,"Cl|34|103|n,p",FUENTE,TRUE,16,34,
+Cl,17,36,,107,"n,a",6.4579075,6.4579075,0.000592083,0.000594321,P-33,3.17E-07,,,"Cl|36|107|n,a",FUENTE,TRUE,15,33,2189376
+Cl,17,36,,103,"n,p",211.9757158,211.9757158,0.046873533,0.04651634,S-36,,,,"Cl|36|103|n,p",FUENTE,TRUE,16,36,
+Cl,17,34,,107,"n,a",84.69200153,,84.69200153,,P-31,,,,"Cl|34|107|n,a",FUENTE,TRUE,15,31,
+Ar,18,36,0.0207,102,"n,g",5.264417425,5.051550838,5.264417425,5.204271966,Ar-37,2.29E-07,5.24318,-0.004050486,"Ar|<NA>|102|n,g",,FALSE,18,37,
+Ar,18,38,0.043,102,"n,g",0.827084635,0.806875085,0.827084635,0.800771769,Ar-39,8.17E-11,0.825781,-0.001578669,"Ar|<NA>|102|n,g",,FALSE,18,39,
+Ar,18,40,1,102,"n,g",0.661182609,0.661182609,0.661182609,0.661182609,Ar-41,0.000105792,0.660152,-0.001561169,"Ar|<NA>|102|n,g",,FALSE,18,41,
+Ar,18,36,0.0207,107,"n,a",0.005578587,,0.005578587,0.005522244,S-33,,,,"Ar|<NA>|107|n,a",,FALSE,16,33,
+Ar,18,36,0.0207,103,"n,p",0.00151592,,0.00151592,0.001506091,Cl-36,7.30E-14,,,"Ar|<NA>|103|n,p",,FALSE,17,36,
+Ar,18,38,0.043,103,"n,p",0,,0,0,Cl-38,0.000310216,,,"Ar|<NA>|103|n,p",,FALSE,17,38,
+Ar,18,42,,102,"n,g",0.386055203,,0.386055203,,Ar-43,,,,"Ar|42|102|n,g",FUENTE,TRUE,18,43,
+Ar,18,37,,102,"n,g",1.487587859,0.9276699,1.487587859,0.9276699,Ar-38,,,,"Ar|37|102|n,g",FUENTE,TRUE,18,38,
+Ar,18,39,,102,"n,g",597.8985748,0.002648876,567.6415694,597.8985748,Ar-40,,,,"Ar|39|102|n,g",FUENTE,TRUE,18,40,
+Ar,18,39,,107,"n,a",10.04953417,10.04953417,0.146539003,0.000292611,S-36,,,,"Ar|39|107|n,a",FUENTE,TRUE,16,36,
+Ar,18,41,,102,"n,g",0.509474287,0.500250975,0.509474287,0.500250975,Ar-42,6.68E-10,,,"Ar|41|102|n,g",FUENTE,TRUE,18,42,1038222868
+Ar,18,37,,107,"n,a",1969.661,1969.661,1075.126214,1969.661,S-34,,,,"Ar|37|107|n,a",FUENTE,TRUE,16,34,
+Ar,18,37,,103,"n,p",68.99844,68.99844,37.22902626,68.99844,Cl-37,,,,"Ar|37|103|n,p",FUENTE,TRUE,17,37,
+K,19,40,0.000117,102,"n,g",90.1639723,30.05465483,90.1639723,30.01680014,K-41,,90.0295,-0.001493647,"K|<NA>|102|n,g",,FALSE,19,41,
+K,19,40,0.000117,103,"n,p",4.407962764,4.406826344,4.407962764,4.40366288,Ar-40,,,,"K|<NA>|103|n,p",,FALSE,18,40,
+K,19,39,0.932581,102,"n,g",2.130624505,2.130624505,2.130624505,2.113252155,K-40,1.76E-17,2.12742,-0.001506287,"K|<NA>|102|n,g",,FALSE,19,40,
+K,19,41,0.067302,102,"n,g",1.463215993,1.463215993,1.463215993,1.445356542,K-42,1.56E-05,1.46113,-0.001427657,"K|<NA>|102|n,g",,FALSE,19,42,
+K,19,40,0.000117,107,"n,a",0.391050284,0.390184696,0.390710492,0.391050284,Cl-37,,,,"K|<NA>|107|n,a",,FALSE,17,37,
+K,19,39,0.932581,107,"n,a",0.004351976,0.004300776,0.004307824,0.004351976,Cl-36,7.30E-14,,,"K|<NA>|107|n,a",,FALSE,17,36,
+K,19,39,0.932581,103,"n,p",5.62E-09,,5.62E-09,1.02E-20,Ar-39,8.17E-11,,,"K|<NA>|103|n,p",,FALSE,18,39,
+K,19,41,0.067302,107,"n,a",0,,0,,Cl-38,0.000310216,,,"K|<NA>|107|n,a",,FALSE,17,38,
+K,19,42,,102,"n,g",0.467035368,,0.467035368,,K-43,8.63E-06,,,"K|42|102|n,g",FUENTE,TRUE,19,43,80280
+K,19,42,,103,"n,p",4.82E-12,,4.82E-12,,Ar-42,6.68E-10,,,"K|42|103|n,p",FUENTE,TRUE,18,42,1038222868
+K,19,43,,102,"n,g",0.186718537,,0.186718537,,K-44,0.000522027,,,"K|43|102|n,g",FUENTE,TRUE,19,44,1327.8
+Ca,20,43,0.00135,102,"n,g",11.6838924,11.6838924,6.213335412,6.199661364,Ca-44,,,,"Ca|<NA>|102|n,g",,FALSE,20,44,
+Ca,20,48,0.00187,102,"n,g",1.094672075,1.094672075,1.094672075,1.08771947,Ca-49,0.001325127,,,"Ca|<NA>|102|n,g",,FALSE,20,49,
+Ca,20,44,0.02086,102,"n,g",0.89769445,0.889962266,0.889962266,0.89769445,Ca-45,4.93E-08,,,"Ca|<NA>|102|n,g",,FALSE,20,45,
+Ca,20,46,4.00E-05,102,"n,g",0.741348237,0.741012365,0.741348237,0.740260327,Ca-47,1.77E-06,,,"Ca|<NA>|102|n,g",,FALSE,20,47,
+Ca,20,42,0.00647,102,"n,g",0.684219286,0.684219286,0.684219286,0.680958304,Ca-43,,,,"Ca|<NA>|102|n,g",,FALSE,20,43,
+Ca,20,40,0.96941,102,"n,g",0.412016679,0.41069925,0.408237893,0.412016679,Ca-41,2.15E-13,0.41136,-0.001596361,"Ca|<NA>|102|n,g",,FALSE,20,41,
+Ca,20,40,0.96941,107,"n,a",0.002513309,0.002486018,,0.002513309,Ar-37,2.29E-07,,,"Ca|<NA>|107|n,a",,FALSE,18,37,
+Ca,20,43,0.00135,107,"n,a",0.000204421,0.000204421,,0.000196052,Ar-40,,,,"Ca|<NA>|107|n,a",,FALSE,18,40,
+Ca,20,42,0.00647,107,"n,a",1.00E-20,1.00E-20,,1.00E-20,Ar-39,8.17E-11,,,"Ca|<NA>|107|n,a",,FALSE,18,39,
+Ca,20,41,,102,"n,g",4.057993,0.014028846,4.02262,4.057993,Ca-42,,,,"Ca|41|102|n,g",FUENTE,TRUE,20,42,
+Ca,20,45,,102,"n,g",14.97811525,14.97811525,0.11949734,14.97811525,Ca-46,,,,"Ca|45|102|n,g",FUENTE,TRUE,20,46,
+Ca,20,47,,102,"n,g",0.69522012,0.69522012,0.029130979,0.69522012,Ca-48,,,,"Ca|47|102|n,g",FUENTE,TRUE,20,48,
+Ca,20,41,,107,"n,a",854.7469524,854.7469524,8.515602,0.00998298,Ar-38,,,,"Ca|41|107|n,a",FUENTE,TRUE,18,38,
+Ca,20,41,,103,"n,p",26.68959427,26.68959427,0.007039755,0.006999951,K-41,,,,"Ca|41|103|n,p",FUENTE,TRUE,19,41,
+Sc,21,45,1,102,"n,g",27.24308819,27.20650756,27.18753996,27.24308819,Sc-46,9.57E-08,,,"Sc|<NA>|102|n,g",,FALSE,21,46,
+Sc,21,45,1,103,"n,p",0.001011168,,,0.001011168,Ca-45,4.93E-08,,,"Sc|<NA>|103|n,p",,FALSE,20,45,
+Sc,21,44,,103,"n,p",212.626068,,4.418259149,212.626068,Ca-44,,,,"Sc|44|103|n,p",FUENTE,TRUE,20,44,
+Sc,21,48,,102,"n,g",2.27222749,,0.163253876,2.27222749,Sc-49,,,,"Sc|48|102|n,g",FUENTE,TRUE,21,49,
+Sc,21,46,,102,"n,g",9.328119422,,8.315121918,9.328119422,Sc-47,2.40E-06,,,"Sc|46|102|n,g",FUENTE,TRUE,21,47,289353.6
+,21,48,,103,"n,p",2.25E-12,,,2.25E-12,Ca-48,,,,"nan|48|103|n,p",FUENTE,TRUE,20,48,
+Sc,21,44,,102,"n,g",5.029445912,,1.594720225,5.029445912,Sc-45,,,,"Sc|44|102|n,g",FUENTE,TRUE,21,45,
+,21,46,,107,"n,a",1.00E-20,,,1.00E-20,K-43,8.63E-06,,,"nan|46|107|n,a",FUENTE,TRUE,19,43,80280
+Sc,21,47,,102,"n,g",2.375924889,,0.303001082,2.375924889,Sc-48,4.41E-06,,,"Sc|47|102|n,g",FUENTE,TRUE,21,48,157212
+Sc,21,46,,103,"n,p",0.040657771,,0.040657771,0.017609555,Ca-46,,,,"Sc|46|103|n,p",FUENTE,TRUE,20,46,
+Sc,21,44,,107,"n,a",0.123620767,,0.004456987,0.123620767,K-41,,,,"Sc|44|107|n,a",FUENTE,TRUE,19,41,
+Ti,22,48,0.7372,102,"n,g",8.330712954,8.330701172,8.330701172,8.330712954,Ti-49,,,,"Ti|<NA>|102|n,g",,FALSE,22,49,
+Ti,22,49,0.0541,102,"n,g",1.86567315,1.86567315,1.86567315,1.863710759,Ti-50,,,,"Ti|<NA>|102|n,g",,FALSE,22,50,
+Ti,22,47,0.0744,102,"n,g",1.628903699,1.628903699,1.628903699,1.628352033,Ti-48,,,,"Ti|<NA>|102|n,g",,FALSE,22,48,
+Ti,22,46,0.0825,102,"n,g",0.609330915,0.590685669,0.590685669,0.609330915,Ti-47,,,,"Ti|<NA>|102|n,g",,FALSE,22,47,
+Ti,22,50,0.0518,102,"n,g",0.181091906,0.179817374,0.179817374,0.181091906,Ti-51,0.002005634,,,"Ti|<NA>|102|n,g",,FALSE,22,51,
+Ti,22,47,0.0744,107,"n,a",8.28E-07,,6.40E-12,8.28E-07,Ca-44,,,,"Ti|<NA>|107|n,a",,FALSE,20,44,
+Ti,22,47,0.0744,103,"n,p",7.14E-14,,7.14E-14,1.00E-20,Sc-47,2.40E-06,,,"Ti|<NA>|103|n,p",,FALSE,21,47,
+Ti,22,49,0.0541,107,"n,a",1.00E-20,,,1.00E-20,Ca-46,,,,"Ti|<NA>|107|n,a",,FALSE,20,46,
+Ti,22,50,0.0518,103,"n,p",0,,0,,Sc-50,,,,"Ti|<NA>|103|n,p",,FALSE,21,50,
+Ti,22,45,,107,"n,a",0.241694696,,0.241694696,,Ca-42,,,,"Ti|45|107|n,a",FUENTE,TRUE,20,42,
+Ti,22,44,,102,"n,g",1.102003799,,1.102003799,1.097925,Ti-45,6.25E-05,,,"Ti|44|102|n,g",FUENTE,TRUE,22,45,11088
+Ti,22,45,,103,"n,p",22.18267284,,22.18267284,,Sc-45,,,,"Ti|45|103|n,p",FUENTE,TRUE,21,45,
+Ti,22,45,,102,"n,g",1.015687468,,1.015687468,,Ti-46,,,,"Ti|45|102|n,g",FUENTE,TRUE,22,46,
+Ti,22,44,,107,"n,a",0.15417,,0.007413852,0.15417,Ca-41,2.15E-13,,,"Ti|44|107|n,a",FUENTE,TRUE,20,41,3.21881E+12
+Ti,22,44,,103,"n,p",4.537982,,0.363489693,4.537982,Sc-44,,,,"Ti|44|103|n,p",FUENTE,TRUE,21,44,
+V,23,50,0.0025,102,"n,g",45.0266194,44.75458052,44.75458052,45.0266194,V-51,,,,"V|<NA>|102|n,g",,FALSE,23,51,
+V,23,51,0.9975,102,"n,g",5.002904673,4.921625377,4.926161279,5.002904673,V-52,0.003086415,,,"V|<NA>|102|n,g",,FALSE,23,52,
+V,23,50,0.0025,103,"n,p",0.000711294,0.000711294,0.000711294,0.000398252,Ti-50,,,,"V|<NA>|103|n,p",,FALSE,22,50,
+V,23,50,0.0025,107,"n,a",1.02E-20,,,1.02E-20,Sc-47,2.40E-06,,,"V|<NA>|107|n,a",,FALSE,21,47,
+V,23,48,,107,"n,a",2.17E-06,,2.10E-07,2.17E-06,Sc-45,,,,"V|48|107|n,a",FUENTE,TRUE,21,45,
+V,23,48,,103,"n,p",83.08439287,,42.56638854,83.08439287,Ti-48,,,,"V|48|103|n,p",FUENTE,TRUE,22,48,
+V,23,49,,102,"n,g",19.28490008,19.28490008,0.616657485,19.23479548,V-50,,,,"V|49|102|n,g",FUENTE,TRUE,23,50,
+V,23,48,,102,"n,g",4.579124461,,1.220169308,4.579124461,V-49,2.43E-08,,,"V|48|102|n,g",FUENTE,TRUE,23,49,28512000
+V,23,49,,103,"n,p",104.1028051,104.1028051,0.300497016,0.472210778,Ti-49,,,,"V|49|103|n,p",FUENTE,TRUE,22,49,
+Cr,24,53,0.09501,102,"n,g",19.4210803,19.4210803,18.43917168,18.11970933,Cr-54,,,,"Cr|<NA>|102|n,g",,FALSE,24,54,
+Cr,24,50,0.04345,102,"n,g",15.42745342,15.24729163,15.42745342,15.42745342,Cr-51,2.90E-07,,,"Cr|<NA>|102|n,g",,FALSE,24,51,
+Cr,24,52,0.83789,102,"n,g",0.857165689,0.856759004,0.857165689,0.857165689,Cr-53,,,,"Cr|<NA>|102|n,g",,FALSE,24,53,
+Cr,24,54,0.02365,102,"n,g",0.41181904,0.41181904,0.41181904,0.41181904,Cr-55,0.003303532,,,"Cr|<NA>|102|n,g",,FALSE,24,55,
+Cr,24,51,,103,"n,p",171.1904199,171.1904199,0.25324264,7.123199248,V-51,,,,"Cr|51|103|n,p",FUENTE,TRUE,23,51,
+Cr,24,49,,107,"n,a",0.0113551,,0.0113551,,Ti-46,,,,"Cr|49|107|n,a",FUENTE,TRUE,22,46,
+Cr,24,48,,102,"n,g",0.526100763,,0.526100763,,Cr-49,,,,"Cr|48|102|n,g",FUENTE,TRUE,24,49,
+Cr,24,51,,102,"n,g",10.01346615,10.01346615,0.278646765,10.01097906,Cr-52,,,,"Cr|51|102|n,g",FUENTE,TRUE,24,52,
+Cr,24,48,,107,"n,a",5.70E-10,,5.70E-10,,Ti-45,6.25E-05,,,"Cr|48|107|n,a",FUENTE,TRUE,22,45,11088
+Cr,24,48,,103,"n,p",14.68067229,,14.68067229,,V-48,,,,"Cr|48|103|n,p",FUENTE,TRUE,23,48,
+Cr,24,49,,102,"n,g",0.526100763,,0.526100763,,Cr-50,,,,"Cr|49|102|n,g",FUENTE,TRUE,24,50,
+Cr,24,49,,103,"n,p",75.47235562,,75.47235562,,V-49,2.43E-08,,,"Cr|49|103|n,p",FUENTE,TRUE,23,49,28512000
+Cr,24,51,,107,"n,a",10.07307284,0.001026516,4.30E-07,10.07307284,Ti-48,,,,"Cr|51|107|n,a",FUENTE,TRUE,22,48,
+Mn,25,55,1,102,"n,g",13.29867105,13.29867105,13.29392113,13.29630656,Mn-56,7.47E-05,,,"Mn|<NA>|102|n,g",,FALSE,25,56,
+Mn,25,54,,107,"n,a",1.60E-06,1.52E-06,1.60E-06,1.52E-06,V-51,,,,"Mn|54|107|n,a",FUENTE,TRUE,23,51,
+Mn,25,53,,102,"n,g",76.63937913,,76.63937913,69.71016,Mn-54,2.57E-08,,,"Mn|53|102|n,g",FUENTE,TRUE,25,54,26982720
+Mn,25,54,,103,"n,p",10.67622587,3.342308329,10.67622587,3.342308329,Cr-54,,,,"Mn|54|103|n,p",FUENTE,TRUE,24,54,
+Mn,25,52,,107,"n,a",0.000237176,,4.99E-11,0.000237176,V-49,2.43E-08,,,"Mn|52|107|n,a",FUENTE,TRUE,23,49,28512000
+Mn,25,52,,103,"n,p",629.4798122,,15.40679354,629.4798122,Cr-52,,,,"Mn|52|103|n,p",FUENTE,TRUE,24,52,
+Mn,25,54,,102,"n,g",38.06923302,37.86091249,38.06923302,37.86091249,Mn-55,,,,"Mn|54|102|n,g",FUENTE,TRUE,25,55,
+,25,53,,107,"n,a",1.00E-20,,,1.00E-20,V-50,,,,"nan|53|107|n,a",FUENTE,TRUE,23,50,
+Mn,25,52,,102,"n,g",59.87303419,,0.624377511,59.87303419,Mn-53,5.87E-15,,,"Mn|52|102|n,g",FUENTE,TRUE,25,53,1.18023E+14
+Mn,25,53,,103,"n,p",1.964257812,,1.964257812,0.4108331,Cr-53,,,,"Mn|53|103|n,p",FUENTE,TRUE,24,53,
+Fe,26,56,0.91754,102,"n,g",2.605151464,2.581169124,2.605151464,2.590149691,Fe-57,,,,"Fe|<NA>|102|n,g",,FALSE,26,57,
+Fe,26,57,0.02119,102,"n,g",2.485547628,2.485547628,2.485547628,2.466812106,Fe-58,,,,"Fe|<NA>|102|n,g",,FALSE,26,58,
+Fe,26,54,0.05845,102,"n,g",2.257337727,2.257337727,2.25724671,2.255413899,Fe-55,8.03E-09,,,"Fe|<NA>|102|n,g",,FALSE,26,55,
+Fe,26,58,0.00282,102,"n,g",1.316710538,1.316710538,1.316710538,1.316710538,Fe-59,1.80E-07,,,"Fe|<NA>|102|n,g",,FALSE,26,59,
+Fe,26,57,0.02119,107,"n,a",4.38E-07,,2.68E-07,4.38E-07,Cr-54,,,,"Fe|<NA>|107|n,a",,FALSE,24,54,
+Fe,26,54,0.05845,107,"n,a",3.00E-20,,,3.00E-20,Cr-51,2.90E-07,,,"Fe|<NA>|107|n,a",,FALSE,24,51,
+Fe,26,54,0.05845,103,"n,p",2.00E-20,,,2.00E-20,Mn-54,2.57E-08,,,"Fe|<NA>|103|n,p",,FALSE,25,54,
+Fe,26,58,0.00282,103,"n,p",0,0,0,0,Mn-58,,,,"Fe|<NA>|103|n,p",,FALSE,25,58,
+Fe,26,59,,102,"n,g",13.01295437,,1.001822117,13.01295437,Fe-60,8.38E-15,,,"Fe|59|102|n,g",FUENTE,TRUE,26,60,8.26791E+13
+Fe,26,55,,107,"n,a",0.027049186,0.008110075,0.027049186,0.008110075,Cr-52,,,,"Fe|55|107|n,a",FUENTE,TRUE,24,52,
+Fe,26,55,,103,"n,p",0.505551049,0.038977798,0.505551049,0.038977798,Mn-55,,,,"Fe|55|103|n,p",FUENTE,TRUE,25,55,
+Fe,26,60,,102,"n,g",0.658795585,,0.226411752,0.658795585,Fe-61,,,,"Fe|60|102|n,g",FUENTE,TRUE,26,61,
+Fe,26,55,,102,"n,g",170.3097474,13.00992849,170.3097474,13.00992849,Fe-56,,,,"Fe|55|102|n,g",FUENTE,TRUE,26,56,
+,26,59,,107,"n,a",1.00E-20,,,1.00E-20,Cr-56,,,,"nan|59|107|n,a",FUENTE,TRUE,24,56,
+Co,27,59,1,102,"n,g",37.36316564,37.23877863,37.36316564,37.23877863,Co-60,4.17E-09,,,"Co|<NA>|102|n,g",,FALSE,27,60,
+Co,27,56,,103,"n,p",122.6207815,,37.6994805,122.6207815,Fe-56,,,,"Co|56|103|n,p",FUENTE,TRUE,26,56,
+Co,27,58,,102,"n,g",136247.7979,135912.9563,136247.7979,1863.274285,Co-59,,,,"Co|58|102|n,g",FUENTE,TRUE,27,59,
+Co,27,57,,107,"n,a",3.29E-10,,2.19E-10,3.29E-10,Mn-54,2.57E-08,,,"Co|57|107|n,a",FUENTE,TRUE,25,54,26982720
+Co,27,57,,103,"n,p",7.874517622,,7.874517622,2.113760982,Fe-57,,,,"Co|57|103|n,p",FUENTE,TRUE,26,57,
+Co,27,56,,102,"n,g",16.2608911,,0.419593077,16.2608911,Co-57,2.95E-08,,,"Co|56|102|n,g",FUENTE,TRUE,27,57,23478336
+Co,27,60,,107,"n,a",9.14E-16,,2.56E-16,9.14E-16,Mn-57,,,,"Co|60|107|n,a",FUENTE,TRUE,25,57,
+Co,27,60,,103,"n,p",8.71E-12,,2.23E-16,8.71E-12,Fe-60,8.38E-15,,,"Co|60|103|n,p",FUENTE,TRUE,26,60,8.26791E+13
+,27,62,,102,"n,g",8.022278014,,,8.022278014,Co-63,,,,"nan|62|102|n,g",FUENTE,TRUE,27,63,
+Co,27,55,,107,"n,a",1.74E-12,,1.74E-12,,Mn-52,,,,"Co|55|107|n,a",FUENTE,TRUE,25,52,
+Co,27,58,,107,"n,a",12.53222779,0.000769692,12.53222779,0.108670584,Mn-55,,,,"Co|58|107|n,a",FUENTE,TRUE,25,55,
+Co,27,55,,103,"n,p",55.75985247,,55.75985247,,Fe-55,8.03E-09,,,"Co|55|103|n,p",FUENTE,TRUE,26,55,86371306.68
+Co,27,57,,102,"n,g",51.09291421,,51.09291421,50.92709111,Co-58,1.13E-07,,,"Co|57|102|n,g",FUENTE,TRUE,27,58,6122304
+Co,27,58,,103,"n,p",35437.57282,35437.57282,15127.77575,1716.077541,Fe-58,,,,"Co|58|103|n,p",FUENTE,TRUE,26,58,
+Co,27,60,,102,"n,g",2.009367658,,2.009367658,1.998401202,Co-61,,,,"Co|60|102|n,g",FUENTE,TRUE,27,61,
+Co,27,56,,107,"n,a",0.025161807,,0.007762924,0.025161807,Mn-53,5.87E-15,,,"Co|56|107|n,a",FUENTE,TRUE,25,53,1.18023E+14
+Co,27,55,,102,"n,g",0.227471652,,0.227471652,,Co-56,1.04E-07,,,"Co|55|102|n,g",FUENTE,TRUE,27,56,6672672
+Ni,28,62,0.036345,102,"n,g",14.92663563,14.92663563,14.92663563,14.22396461,Ni-63,2.19E-10,,,"Ni|<NA>|102|n,g",,FALSE,28,63,
+Ni,28,58,0.680769,102,"n,g",4.628277756,4.22492,4.233533152,4.628277756,Ni-59,2.89E-13,,,"Ni|<NA>|102|n,g",,FALSE,28,59,
+Ni,28,60,0.262231,102,"n,g",2.76867853,2.404539796,2.404539796,2.76867853,Ni-61,,,,"Ni|<NA>|102|n,g",,FALSE,28,61,
+Ni,28,61,0.011399,102,"n,g",2.513142137,2.513142137,2.513142137,2.513142137,Ni-62,,,,"Ni|<NA>|102|n,g",,FALSE,28,62,
+Ni,28,64,0.009256,102,"n,g",1.482655464,1.482655464,1.482655464,1.482655464,Ni-65,7.65E-05,,,"Ni|<NA>|102|n,g",,FALSE,28,65,
+Ni,28,60,0.262231,107,"n,a",3.04E-06,,,3.04E-06,Fe-57,,,,"Ni|<NA>|107|n,a",,FALSE,26,57,
+Ni,28,58,0.680769,107,"n,a",6.67E-15,,,6.67E-15,Fe-55,8.03E-09,,,"Ni|<NA>|107|n,a",,FALSE,26,55,
+Ni,28,56,,107,"n,a",1.66E-07,,7.04E-10,1.66E-07,Fe-53,,,,"Ni|56|107|n,a",FUENTE,TRUE,26,53,
+Ni,28,56,,103,"n,p",6.042639094,,0.151677759,6.042639094,Co-56,1.04E-07,,,"Ni|56|103|n,p",FUENTE,TRUE,27,56,6672672
+Ni,28,66,,102,"n,g",0.940166682,,0.006289027,0.940166682,Ni-67,,,,"Ni|66|102|n,g",FUENTE,TRUE,28,67,
+Ni,28,59,,107,"n,a",12.67881,12.48043984,12.48043984,12.67881,Fe-56,,,,"Ni|59|107|n,a",FUENTE,TRUE,26,56,
+Ni,28,59,,103,"n,p",1.537055,1.450670702,1.450670702,1.537055,Co-59,,,,"Ni|59|103|n,p",FUENTE,TRUE,27,59,
+Ni,28,63,,102,"n,g",24.36884816,24.35566924,24.34980873,24.36884816,Ni-64,,,,"Ni|63|102|n,g",FUENTE,TRUE,28,64,
+Ni,28,57,,107,"n,a",0.708089438,,0.043133509,0.708089438,Fe-54,,,,"Ni|57|107|n,a",FUENTE,TRUE,26,54,
+Ni,28,56,,102,"n,g",0.824806806,,0.013768238,0.824806806,Ni-57,5.41E-06,,,"Ni|56|102|n,g",FUENTE,TRUE,28,57,128160
+Ni,28,57,,103,"n,p",63.3755903,,4.225686245,63.3755903,Co-57,2.95E-08,,,"Ni|57|103|n,p",FUENTE,TRUE,27,57,23478336
+Ni,28,63,,107,"n,a",3.48E-13,,6.95E-14,3.48E-13,Fe-60,8.38E-15,,,"Ni|63|107|n,a",FUENTE,TRUE,26,60,8.26791E+13
+Ni,28,65,,102,"n,g",20.43716859,,20.43716859,,Ni-66,3.53E-06,,,"Ni|65|102|n,g",FUENTE,TRUE,28,66,196560
+Ni,28,57,,102,"n,g",1.685856476,,0.082900565,1.685856476,Ni-58,,,,"Ni|57|102|n,g",FUENTE,TRUE,28,58,
+Ni,28,61,,107,"n,a",0.000461935,,0.000461935,,Fe-58,,,,"Ni|61|107|n,a",FUENTE,TRUE,26,58,
+Ni,28,58,,103,"n,p",1.57E-09,,1.57E-09,,Co-58,1.13E-07,,,"Ni|58|103|n,p",FUENTE,TRUE,27,58,6122304
+Ni,28,59,,102,"n,g",75.87113263,75.87113263,75.87113263,73.46033,Ni-60,,,,"Ni|59|102|n,g",FUENTE,TRUE,28,60,
+Cu,29,63,0.6915,102,"n,g",4.530107895,4.488469229,4.513589864,4.530107895,Cu-64,1.52E-05,,,"Cu|<NA>|102|n,g",,FALSE,29,64,
+Cu,29,65,0.3085,102,"n,g",2.149114983,2.149114983,2.132068927,2.132068927,Cu-66,0.002256338,,,"Cu|<NA>|102|n,g",,FALSE,29,66,
+Cu,29,63,0.6915,103,"n,p",1.43E-05,,1.43E-05,4.23E-13,Ni-63,2.19E-10,,,"Cu|<NA>|103|n,p",,FALSE,28,63,
+Cu,29,63,0.6915,107,"n,a",4.66E-15,,4.66E-15,,Co-60,4.17E-09,,,"Cu|<NA>|107|n,a",,FALSE,27,60,
+,29,66,,107,"n,a",1.00E-20,,,1.00E-20,Co-63,,,,"nan|66|107|n,a",FUENTE,TRUE,27,63,
+Cu,29,64,,107,"n,a",0.000331231,0.000331231,7.54E-08,5.96E-05,Co-61,,,,"Cu|64|107|n,a",FUENTE,TRUE,27,61,
+Cu,29,64,,103,"n,p",557.2182491,557.2182491,449.7910121,190.1120724,Ni-64,,,,"Cu|64|103|n,p",FUENTE,TRUE,28,64,
+,29,66,,102,"n,g",134.664649,,,134.664649,Cu-67,3.11E-06,,,"nan|66|102|n,g",FUENTE,TRUE,29,67,222588
+Cu,29,64,,102,"n,g",270.4919525,0.084670154,270.4919525,269.1940898,Cu-65,,,,"Cu|64|102|n,g",FUENTE,TRUE,29,65,
+,29,66,,103,"n,p",1.58E-06,,,1.58E-06,Ni-66,3.53E-06,,,"nan|66|103|n,p",FUENTE,TRUE,28,66,196560
+Cu,29,67,,102,"n,g",3.75993848,,0.186379936,3.75993848,Cu-68,,,,"Cu|67|102|n,g",FUENTE,TRUE,29,68,
+Zn,30,67,0.0404,102,"n,g",7.566588668,7.50232459,7.482999188,7.566588668,Zn-68,,,,"Zn|<NA>|102|n,g",,FALSE,30,68,
+Zn,30,68,0.1845,102,"n,g",1.073812504,1.066976242,1.066976242,1.073812504,Zn-69,0.000204831,,,"Zn|<NA>|102|n,g",,FALSE,30,69,
+Zn,30,64,0.4917,102,"n,g",0.794096938,0.7871295,0.788563525,0.794096938,Zn-65,3.29E-08,,,"Zn|<NA>|102|n,g",,FALSE,30,65,
+Zn,30,66,0.2773,102,"n,g",0.622991292,0.618901,0.618901,0.622991292,Zn-67,,,,"Zn|<NA>|102|n,g",,FALSE,30,67,
+Zn,30,70,0.0061,102,"n,g",0.09187199,0.09187199,0.09187199,0.091671375,Zn-71,0.004715287,,,"Zn|<NA>|102|n,g",,FALSE,30,71,
+Zn,30,67,0.0404,103,"n,p",0.001236458,0.001236458,,1.00E-20,Cu-67,3.11E-06,,,"Zn|<NA>|103|n,p",,FALSE,29,67,
+Zn,30,67,0.0404,107,"n,a",0.000160251,0.000151682,0.00015929,0.000160251,Ni-64,,,,"Zn|<NA>|107|n,a",,FALSE,28,64,
+Zn,30,66,0.2773,107,"n,a",2.01E-05,2.05E-09,4.93E-10,2.01E-05,Ni-63,2.19E-10,,,"Zn|<NA>|107|n,a",,FALSE,28,63,
+Zn,30,68,0.1845,107,"n,a",2.01E-05,,,2.01E-05,Ni-65,7.65E-05,,,"Zn|<NA>|107|n,a",,FALSE,28,65,
+Zn,30,64,0.4917,107,"n,a",1.11E-05,1.11E-05,1.10E-05,1.10E-05,Ni-61,,,,"Zn|<NA>|107|n,a",,FALSE,28,61,
+Zn,30,64,0.4917,103,"n,p",1.00E-20,,,1.00E-20,Cu-64,1.52E-05,,,"Zn|<NA>|103|n,p",,FALSE,29,64,
+Zn,30,68,0.1845,103,"n,p",0,,0,0,Cu-68,,,,"Zn|<NA>|103|n,p",,FALSE,29,68,
+Zn,30,69,,107,"n,a",0.001194665,0.001194665,1.14E-12,,Ni-66,3.53E-06,,,"Zn|69|107|n,a",FUENTE,TRUE,28,66,196560
+Zn,30,63,,102,"n,g",0.695658072,,0.695658072,,Zn-64,,,,"Zn|63|102|n,g",FUENTE,TRUE,30,64,
+Zn,30,71,,102,"n,g",0.145358312,,0.145358312,,Zn-72,4.14E-06,,,"Zn|71|102|n,g",FUENTE,TRUE,30,72,167400
+Zn,30,65,,103,"n,p",38.60907055,0.003063595,0.003005466,38.60907055,Cu-65,,,,"Zn|65|103|n,p",FUENTE,TRUE,29,65,
+Zn,30,69,,102,"n,g",0.184540604,0.023720482,0.184540604,,Zn-70,,,,"Zn|69|102|n,g",FUENTE,TRUE,30,70,
+Zn,30,62,,107,"n,a",0.049003924,,0.049003924,,Ni-59,2.89E-13,,,"Zn|62|107|n,a",FUENTE,TRUE,28,59,2.39833E+12
+Zn,30,72,,102,"n,g",0.009531624,,0.009531624,,Zn-73,,,,"Zn|72|102|n,g",FUENTE,TRUE,30,73,
+Zn,30,62,,103,"n,p",0.850340141,,0.850340141,,Cu-62,,,,"Zn|62|103|n,p",FUENTE,TRUE,29,62,
+Zn,30,65,,107,"n,a",2.003644213,2.003644213,2.003644213,1.9957538,Ni-62,,,,"Zn|65|107|n,a",FUENTE,TRUE,28,62,
+Zn,30,63,,107,"n,a",3.469507891,,3.469507891,,Ni-60,,,,"Zn|63|107|n,a",FUENTE,TRUE,28,60,
+Zn,30,71,,107,"n,a",2.11E-15,,2.11E-15,,Ni-68,,,,"Zn|71|107|n,a",FUENTE,TRUE,28,68,
+Zn,30,63,,103,"n,p",48.61727459,,48.61727459,,Cu-63,,,,"Zn|63|103|n,p",FUENTE,TRUE,29,63,
+Zn,30,62,,102,"n,g",0.077665645,,0.077665645,,Zn-63,0.000300298,,,"Zn|62|102|n,g",FUENTE,TRUE,30,63,2308.2
+Zn,30,65,,102,"n,g",65.63982721,64.11660321,64.11660321,65.63982721,Zn-66,,,,"Zn|65|102|n,g",FUENTE,TRUE,30,66,
+Ga,31,71,0.39892,102,"n,g",4.738647198,4.738647198,4.215717059,4.600610941,Ga-72,1.37E-05,,,"Ga|<NA>|102|n,g",,FALSE,31,72,
+Ga,31,69,0.60108,102,"n,g",1.748213134,1.733104861,1.720414437,1.748213134,Ga-70,0.000546474,,,"Ga|<NA>|102|n,g",,FALSE,31,70,
+Ga,31,69,0.60108,107,"n,a",1.61E-09,7.45E-11,,1.61E-09,Cu-66,0.002256338,,,"Ga|<NA>|107|n,a",,FALSE,29,66,
+Ga,31,71,0.39892,107,"n,a",1.00E-20,,,1.00E-20,Cu-68,,,,"Ga|<NA>|107|n,a",,FALSE,29,68,
+Ga,31,69,0.60108,103,"n,p",0,,0,0,Zn-69,0.000204831,,,"Ga|<NA>|103|n,p",,FALSE,30,69,
+Ga,31,67,,102,"n,g",9.028884377,,1.575535072,9.028884377,Ga-68,0.000170617,,,"Ga|67|102|n,g",FUENTE,TRUE,31,68,4062.6
+Ga,31,70,,102,"n,g",0.151446465,0.151446465,,,Ga-71,,,,"Ga|70|102|n,g",FUENTE,TRUE,31,71,
+Ga,31,72,,107,"n,a",1.42E-09,,1.42E-09,,Cu-69,,,,"Ga|72|107|n,a",FUENTE,TRUE,29,69,
+Ga,31,72,,103,"n,p",3.29E-19,,3.29E-19,,Zn-72,4.14E-06,,,"Ga|72|103|n,p",FUENTE,TRUE,30,72,167400
+Ga,31,67,,107,"n,a",0.001939538,,0.000108017,0.001939538,Cu-64,1.52E-05,,,"Ga|67|107|n,a",FUENTE,TRUE,29,64,45720
+Ga,31,70,,107,"n,a",0.091937823,0.091937823,,,Cu-67,3.11E-06,,,"Ga|70|107|n,a",FUENTE,TRUE,29,67,222588
+Ga,31,67,,103,"n,p",0.693576143,,0.289934213,0.693576143,Zn-67,,,,"Ga|67|103|n,p",FUENTE,TRUE,30,67,
+Ga,31,70,,103,"n,p",2.990232482,2.990232482,,,Zn-70,,,,"Ga|70|103|n,p",FUENTE,TRUE,30,70,
+Ga,31,72,,102,"n,g",4.089897539,,4.089897539,,Ga-73,3.96E-05,,,"Ga|72|102|n,g",FUENTE,TRUE,31,73,17496
+Ge,32,73,0.0776,102,"n,g",14.73979648,14.72690502,14.72690502,14.73979648,Ge-74,,,,"Ge|<NA>|102|n,g",,FALSE,32,74,
+Ge,32,70,0.2052,102,"n,g",3.0642,3.057070107,3.057070107,3.0642,Ge-71,7.02E-07,,,"Ge|<NA>|102|n,g",,FALSE,32,71,
+Ge,32,72,0.2745,102,"n,g",0.887297054,0.887297054,0.887297054,0.886804767,Ge-73,,,,"Ge|<NA>|102|n,g",,FALSE,32,73,
+Ge,32,74,0.3652,102,"n,g",0.519796014,0.519796014,0.519796014,0.519013846,Ge-75,0.000139556,,,"Ge|<NA>|102|n,g",,FALSE,32,75,
+Ge,32,76,0.0775,102,"n,g",0.154873573,0.154873573,0.154873573,0.154750693,Ge-77,1.70E-05,,,"Ge|<NA>|102|n,g",,FALSE,32,77,
+Ge,32,73,0.0776,107,"n,a",8.90E-06,,,8.90E-06,Zn-70,,,,"Ge|<NA>|107|n,a",,FALSE,30,70,
+Ge,32,70,0.2052,107,"n,a",8.13E-08,,,8.13E-08,Zn-67,,,,"Ge|<NA>|107|n,a",,FALSE,30,67,
+Ge,32,72,0.2745,107,"n,a",1.00E-20,,,1.00E-20,Zn-69,0.000204831,,,"Ge|<NA>|107|n,a",,FALSE,30,69,
+Ge,32,68,,103,"n,p",2.60E-05,,2.60E-05,,Ga-68,0.000170617,,,"Ge|68|103|n,p",FUENTE,TRUE,31,68,4062.6
+Ge,32,71,,107,"n,a",30.23909645,30.23909645,0.014992394,,Zn-68,,,,"Ge|71|107|n,a",FUENTE,TRUE,30,68,
+Ge,32,71,,103,"n,p",5.34E-05,,5.34E-05,,Ga-71,,,,"Ge|71|103|n,p",FUENTE,TRUE,31,71,
+Ge,32,69,,107,"n,a",1.738106445,,1.738106445,,Zn-66,,,,"Ge|69|107|n,a",FUENTE,TRUE,30,66,
+Ge,32,68,,102,"n,g",1.001822117,,1.001822117,,Ge-69,4.93E-06,,,"Ge|68|102|n,g",FUENTE,TRUE,32,69,140580
+Ge,32,69,,103,"n,p",8.71083427,,8.71083427,,Ga-69,,,,"Ge|69|103|n,p",FUENTE,TRUE,31,69,
+Ge,32,71,,102,"n,g",12.55173698,12.55173698,1.460797003,,Ge-72,,,,"Ge|71|102|n,g",FUENTE,TRUE,32,72,
+Ge,32,77,,102,"n,g",0.304550846,,0.304550846,,Ge-78,,,,"Ge|77|102|n,g",FUENTE,TRUE,32,78,
+Ge,32,69,,102,"n,g",4.805929902,,4.805929902,,Ge-70,,,,"Ge|69|102|n,g",FUENTE,TRUE,32,70,
+Ge,32,75,,102,"n,g",0.034752222,0.034752222,,,Ge-76,,,,"Ge|75|102|n,g",FUENTE,TRUE,32,76,
+Ge,32,68,,107,"n,a",0.000963997,,0.000963997,,Zn-65,3.29E-08,,,"Ge|68|107|n,a",FUENTE,TRUE,30,65,21052224
+As,33,75,1,102,"n,g",4.508166137,4.508166137,4.158574058,4.110570957,As-76,7.44E-06,,,"As|<NA>|102|n,g",,FALSE,33,76,
+As,33,75,1,107,"n,a",1.00E-20,,,1.00E-20,Ga-72,1.37E-05,,,"As|<NA>|107|n,a",,FALSE,31,72,
+As,33,72,,102,"n,g",25.48195002,,23.08828761,25.48195002,As-73,9.99E-08,,,"As|72|102|n,g",FUENTE,TRUE,33,73,6937920
+As,33,76,,107,"n,a",1.26E-08,,6.99E-10,1.26E-08,Ga-73,3.96E-05,,,"As|76|107|n,a",FUENTE,TRUE,31,73,17496
+As,33,76,,103,"n,p",0.002791784,,0.002474099,0.002791784,Ge-76,,,,"As|76|103|n,p",FUENTE,TRUE,32,76,
+As,33,71,,107,"n,a",0.004387827,,0.000736418,0.004387827,Ga-68,0.000170617,,,"As|71|107|n,a",FUENTE,TRUE,31,68,4062.6
+As,33,71,,103,"n,p",9.538532316,,9.383473105,9.538532316,Ge-71,7.02E-07,,,"As|71|103|n,p",FUENTE,TRUE,32,71,987552
+As,33,74,,107,"n,a",0.003223976,,0.000624972,0.003223976,Ga-71,,,,"As|74|107|n,a",FUENTE,TRUE,31,71,
+As,33,73,,102,"n,g",16.3051908,16.3051908,4.874283958,16.05529279,As-74,4.51E-07,,,"As|73|102|n,g",FUENTE,TRUE,33,74,1535328
+As,33,74,,103,"n,p",2.523173,,2.523173,2.134873109,Ge-74,,,,"As|74|103|n,p",FUENTE,TRUE,32,74,
+As,33,76,,102,"n,g",19.17734293,,8.35003509,19.17734293,As-77,4.96E-06,,,"As|76|102|n,g",FUENTE,TRUE,33,77,139788
+As,33,72,,107,"n,a",1.843337816,,0.771212617,1.843337816,Ga-69,,,,"As|72|107|n,a",FUENTE,TRUE,31,69,
+As,33,71,,102,"n,g",15.98250127,,7.235718974,15.98250127,As-72,,,,"As|71|102|n,g",FUENTE,TRUE,33,72,
+As,33,72,,103,"n,p",82.8773946,,82.8773946,68.36432657,Ge-72,,,,"As|72|103|n,p",FUENTE,TRUE,32,72,
+As,33,74,,102,"n,g",1240.410554,11.69622409,16.06431336,1240.410554,As-75,,,,"As|74|102|n,g",FUENTE,TRUE,33,75,
+As,33,77,,102,"n,g",156.9356927,,1.17885397,156.9356927,As-78,,,,"As|77|102|n,g",FUENTE,TRUE,33,78,
+As,33,73,,107,"n,a",1.75E-06,,1.78E-07,1.75E-06,Ga-70,0.000546474,,,"As|73|107|n,a",FUENTE,TRUE,31,70,1268.4
+As,33,73,,103,"n,p",0.000157754,,0.000115477,0.000157754,Ge-73,,,,"As|73|103|n,p",FUENTE,TRUE,32,73,
+Se,34,76,0.0923,102,"n,g",85.15198131,85.15198131,85.15198131,84.92489343,Se-77,,,,"Se|<NA>|102|n,g",,FALSE,34,77,
+Se,34,74,0.0086,102,"n,g",52.53250641,51.89250292,51.89250292,52.53250641,Se-75,6.70E-08,,,"Se|<NA>|102|n,g",,FALSE,34,75,
+Se,34,77,0.076,102,"n,g",42.0754514,42.0754514,41.07758609,41.56368698,Se-78,,,,"Se|<NA>|102|n,g",,FALSE,34,78,
+Se,34,80,0.498,102,"n,g",0.611091286,0.611091286,0.611091286,0.577857759,Se-81,0.000626149,,,"Se|<NA>|102|n,g",,FALSE,34,81,
+Se,34,78,0.2369,102,"n,g",0.430769555,0.430769555,0.430769555,0.428666357,Se-79,6.72E-14,,,"Se|<NA>|102|n,g",,FALSE,34,79,
+Se,34,82,0.0882,102,"n,g",0.044492159,0.044492159,0.04427906,0.043930126,Se-83,0.000518047,,,"Se|<NA>|102|n,g",,FALSE,34,83,
+Se,34,77,0.076,107,"n,a",0.00097315,,,0.00097315,Ge-74,,,,"Se|<NA>|107|n,a",,FALSE,32,74,
+Se,34,74,0.0086,107,"n,a",3.11E-06,,,3.11E-06,Ge-71,7.02E-07,,,"Se|<NA>|107|n,a",,FALSE,32,71,
+Se,34,76,0.0923,107,"n,a",1.00E-20,,,1.00E-20,Ge-73,,,,"Se|<NA>|107|n,a",,FALSE,32,73,
+Se,34,77,0.076,103,"n,p",1.00E-20,,,1.00E-20,As-77,4.96E-06,,,"Se|<NA>|103|n,p",,FALSE,33,77,
+Se,34,78,0.2369,107,"n,a",1.00E-20,,,1.00E-20,Ge-75,0.000139556,,,"Se|<NA>|107|n,a",,FALSE,32,75,
+,34,79,,107,"n,a",4.67E-10,,,4.67E-10,Ge-76,,,,"nan|79|107|n,a",FUENTE,TRUE,32,76,
+Se,34,73,,107,"n,a",0.62091091,,0.62091091,,Ge-70,,,,"Se|73|107|n,a",FUENTE,TRUE,32,70,
+Se,34,72,,102,"n,g",0.662731249,,0.662731249,,Se-73,2.69E-05,,,"Se|72|102|n,g",FUENTE,TRUE,34,73,25740
+Se,34,73,,103,"n,p",21.31094925,,21.31094925,,As-73,9.99E-08,,,"Se|73|103|n,p",FUENTE,TRUE,33,73,6937920
+Se,34,75,,102,"n,g",330.708087,330.708087,9.301275513,330.708087,Se-76,,,,"Se|75|102|n,g",FUENTE,TRUE,34,76,
+Se,34,81,,102,"n,g",0.015833767,0.015833767,,,Se-82,,,,"Se|81|102|n,g",FUENTE,TRUE,34,82,
+Se,34,72,,103,"n,p",5.93E-05,,5.93E-05,,As-72,,,,"Se|72|103|n,p",FUENTE,TRUE,33,72,
+Se,34,73,,102,"n,g",20.144637,,20.144637,,Se-74,,,,"Se|73|102|n,g",FUENTE,TRUE,34,74,
+Se,34,75,,103,"n,p",0.090430491,0.090430491,0.00402177,0.090430491,As-75,,,,"Se|75|103|n,p",FUENTE,TRUE,33,75,
+Se,34,79,,102,"n,g",50.09108167,50.09108167,50.09108167,11.00371698,Se-80,,,,"Se|79|102|n,g",FUENTE,TRUE,34,80,
+Se,34,72,,107,"n,a",0.000128498,,0.000128498,,Ge-69,4.93E-06,,,"Se|72|107|n,a",FUENTE,TRUE,32,69,140580
+Se,34,75,,107,"n,a",0.564471804,0.564471804,0.005276995,0.564471804,Ge-72,,,,"Se|75|107|n,a",FUENTE,TRUE,32,72,
+Br,35,79,0.508,102,"n,g",11.01981616,11.01981616,11.01981616,10.37734423,Br-80,0.000653419,,,"Br|<NA>|102|n,g",,FALSE,35,80,
+Br,35,81,0.495,102,"n,g",2.37254534,2.368539432,2.359539807,2.37254534,Br-82,5.46E-06,,,"Br|<NA>|102|n,g",,FALSE,35,82,
+Br,35,79,0.508,103,"n,p",5.21E-10,,,5.21E-10,Se-79,6.72E-14,,,"Br|<NA>|103|n,p",,FALSE,34,79,
+Br,35,79,0.508,107,"n,a",1.00E-20,,,1.00E-20,As-76,7.44E-06,,,"Br|<NA>|107|n,a",,FALSE,33,76,
+Br,35,81,0.495,107,"n,a",1.00E-20,,,1.00E-20,As-78,,,,"Br|<NA>|107|n,a",,FALSE,33,78,
+Br,35,80,,102,"n,g",0.956439908,0.956439908,,,Br-81,,,,"Br|80|102|n,g",FUENTE,TRUE,35,81,
+Br,35,76,,107,"n,a",0.095493179,,0.095493179,,As-73,9.99E-08,,,"Br|76|107|n,a",FUENTE,TRUE,33,73,6937920
+Br,35,76,,103,"n,p",224.4080201,,224.4080201,,Se-76,,,,"Br|76|103|n,p",FUENTE,TRUE,34,76,
+,35,82,,107,"n,a",1.00E-20,,,1.00E-20,As-79,,,,"nan|82|107|n,a",FUENTE,TRUE,33,79,
+Br,35,82,,103,"n,p",8.28E-12,,2.96E-20,8.28E-12,Se-82,,,,"Br|82|103|n,p",FUENTE,TRUE,34,82,
+Br,35,77,,107,"n,a",2.62E-08,,1.46E-09,2.62E-08,As-74,4.51E-07,,,"Br|77|107|n,a",FUENTE,TRUE,33,74,1535328
+Br,35,77,,103,"n,p",0.555990475,,0.521921576,0.555990475,Se-77,,,,"Br|77|103|n,p",FUENTE,TRUE,34,77,
+Br,35,76,,102,"n,g",28.00032466,,28.00032466,,Br-77,3.38E-06,,,"Br|76|102|n,g",FUENTE,TRUE,35,77,205344
+Br,35,80,,107,"n,a",0.000171765,0.000171765,,,As-77,4.96E-06,,,"Br|80|107|n,a",FUENTE,TRUE,33,77,139788
+Br,35,80,,103,"n,p",160.7773011,160.7773011,,,Se-80,,,,"Br|80|103|n,p",FUENTE,TRUE,34,80,
+Br,35,82,,102,"n,g",15.27970636,,5.130780924,15.27970636,Br-83,8.02E-05,,,"Br|82|102|n,g",FUENTE,TRUE,35,83,8640
+Br,35,77,,102,"n,g",21.63640823,,9.409662652,21.63640823,Br-78,,,,"Br|77|102|n,g",FUENTE,TRUE,35,78,
+Kr,36,83,0.115,102,"n,g",202.6930034,198.5008444,202.6930034,197.6471717,Kr-84,,,,"Kr|<NA>|102|n,g",,FALSE,36,84,
+Kr,36,82,0.11593,102,"n,g",19.19533674,19.19533674,19.10455665,18.96032493,Kr-83,,,,"Kr|<NA>|102|n,g",,FALSE,36,83,
+Kr,36,80,0.02286,102,"n,g",11.54233377,11.52060498,11.52060498,11.54233377,Kr-81,9.59E-14,,,"Kr|<NA>|102|n,g",,FALSE,36,81,
+Kr,36,78,0.00355,102,"n,g",6.33875834,4.739401177,4.739401177,6.33875834,Kr-79,5.49E-06,,,"Kr|<NA>|102|n,g",,FALSE,36,79,
+Kr,36,84,0.56987,102,"n,g",0.110204987,0.110190395,0.110204987,0.109858417,Kr-85,2.04E-09,,,"Kr|<NA>|102|n,g",,FALSE,36,85,
+Kr,36,86,0.17279,102,"n,g",0.003025706,0.003025706,0.002999415,0.002964307,Kr-87,0.000151408,,,"Kr|<NA>|102|n,g",,FALSE,36,87,
+Kr,36,78,0.00355,107,"n,a",2.43E-07,,,2.43E-07,Se-75,6.70E-08,,,"Kr|<NA>|107|n,a",,FALSE,34,75,
+Kr,36,83,0.115,107,"n,a",3.85E-08,1.07E-16,,3.85E-08,Se-80,,,,"Kr|<NA>|107|n,a",,FALSE,34,80,
+Kr,36,80,0.02286,107,"n,a",5.67E-13,,,5.67E-13,Se-77,,,,"Kr|<NA>|107|n,a",,FALSE,34,77,
+Kr,36,78,0.00355,103,"n,p",1.00E-20,,,1.00E-20,Br-78,,,,"Kr|<NA>|103|n,p",,FALSE,35,78,
+Kr,36,82,0.11593,107,"n,a",1.00E-20,,,1.00E-20,Se-79,6.72E-14,,,"Kr|<NA>|107|n,a",,FALSE,34,79,
+Kr,36,79,,102,"n,g",6.512042643,0.272183258,6.512042643,,Kr-80,,,,"Kr|79|102|n,g",FUENTE,TRUE,36,80,
+Kr,36,81,,107,"n,a",7.44E-05,7.44E-05,2.53E-06,,Se-78,,,,"Kr|81|107|n,a",FUENTE,TRUE,34,78,
+Kr,36,81,,103,"n,p",1.79E-06,1.79E-06,9.01E-09,,Br-81,,,,"Kr|81|103|n,p",FUENTE,TRUE,35,81,
+Kr,36,76,,107,"n,a",5.72E-05,,5.72E-05,,Se-73,2.69E-05,,,"Kr|76|107|n,a",FUENTE,TRUE,34,73,25740
+Kr,36,85,,102,"n,g",1.665409955,1.665409955,1.663024718,1.656513975,Kr-86,,,,"Kr|85|102|n,g",FUENTE,TRUE,36,86,
+Kr,36,76,,103,"n,p",0.077188261,,0.077188261,,Br-76,,,,"Kr|76|103|n,p",FUENTE,TRUE,35,76,
+Kr,36,79,,107,"n,a",44.53443459,44.53443459,0.051560954,,Se-76,,,,"Kr|79|107|n,a",FUENTE,TRUE,34,76,
+Kr,36,79,,103,"n,p",453.6107144,453.6107144,0.832656409,,Br-79,,,,"Kr|79|103|n,p",FUENTE,TRUE,35,79,
+,36,85,,107,"n,a",1.00E-20,,,1.00E-20,Se-82,,,,"nan|85|107|n,a",FUENTE,TRUE,34,82,
+Kr,36,81,,102,"n,g",19.05721912,19.05721912,8.980030987,,Kr-82,,,,"Kr|81|102|n,g",FUENTE,TRUE,36,82,
+Kr,36,76,,102,"n,g",1.915783827,,1.915783827,,Kr-77,,,,"Kr|76|102|n,g",FUENTE,TRUE,36,77,
+Rb,37,85,0.7217,102,"n,g",0.499655725,0.494323419,0.480862625,0.499655725,Rb-86,4.30E-07,,,"Rb|<NA>|102|n,g",,FALSE,37,86,
+Rb,37,87,0.2783,102,"n,g",0.123319097,0.120217267,0.120217267,0.123319097,Rb-88,0.000649744,,,"Rb|<NA>|102|n,g",,FALSE,37,88,
+Rb,37,85,0.7217,103,"n,p",1.00E-20,,,1.00E-20,Kr-85,2.04E-09,,,"Rb|<NA>|103|n,p",,FALSE,36,85,
+Rb,37,85,0.7217,107,"n,a",1.00E-20,,,1.00E-20,Br-82,5.46E-06,,,"Rb|<NA>|107|n,a",,FALSE,35,82,
+,37,86,,107,"n,a",1.00E-20,,,1.00E-20,Br-83,8.02E-05,,,"nan|86|107|n,a",FUENTE,TRUE,35,83,8640
+Rb,37,84,,102,"n,g",13.02648733,,13.02648733,,Rb-85,,,,"Rb|84|102|n,g",FUENTE,TRUE,37,85,
+,37,86,,103,"n,p",0.000341103,,,0.000341103,Kr-86,,,,"nan|86|103|n,p",FUENTE,TRUE,36,86,
+,37,88,,107,"n,a",1.00E-20,,,1.00E-20,Br-85,,,,"nan|88|107|n,a",FUENTE,TRUE,35,85,
+Rb,37,83,,107,"n,a",1.78E-15,,1.78E-15,,Br-80,0.000653419,,,"Rb|83|107|n,a",FUENTE,TRUE,35,80,1060.8
+Rb,37,84,,103,"n,p",12.02186393,,12.02186393,,Kr-84,,,,"Rb|84|103|n,p",FUENTE,TRUE,36,84,
+,37,88,,102,"n,g",0.996163346,,,0.996163346,Rb-89,0.000762538,,,"nan|88|102|n,g",FUENTE,TRUE,37,89,909
+Rb,37,84,,107,"n,a",0.006010932,,0.006010932,,Br-81,,,,"Rb|84|107|n,a",FUENTE,TRUE,35,81,
+Rb,37,83,,102,"n,g",12.26270079,,12.26270079,,Rb-84,2.45E-07,,,"Rb|83|102|n,g",FUENTE,TRUE,37,84,2831328
+Rb,37,86,,102,"n,g",19.93930615,1.565061398,1.565045872,19.93930615,Rb-87,4.42E-19,,,"Rb|86|102|n,g",FUENTE,TRUE,37,87,1.57E+18
+Rb,37,83,,103,"n,p",0.003089415,,0.003089415,,Kr-83,,,,"Rb|83|103|n,p",FUENTE,TRUE,36,83,
+Sr,38,87,0.07,102,"n,g",17.14676121,16.02819158,17.05790151,17.14676121,Sr-88,,,,"Sr|<NA>|102|n,g",,FALSE,38,88,
+Sr,38,86,0.0986,102,"n,g",1.04189885,1.007009415,1.04189885,1.036114388,Sr-87,,,,"Sr|<NA>|102|n,g",,FALSE,38,87,
+Sr,38,84,0.0056,102,"n,g",0.828955888,0.82341076,0.828955888,0.820970839,Sr-85,1.24E-07,,,"Sr|<NA>|102|n,g",,FALSE,38,85,
+Sr,38,88,0.8258,102,"n,g",0.005799689,0.004062096,0.005799689,0.005776145,Sr-89,1.59E-07,,,"Sr|<NA>|102|n,g",,FALSE,38,89,
+Sr,38,87,0.07,107,"n,a",7.64E-10,,3.12E-16,7.64E-10,Kr-84,,,,"Sr|<NA>|107|n,a",,FALSE,36,84,
+Sr,38,87,0.07,103,"n,p",5.58E-13,,5.58E-13,7.53E-14,Rb-87,4.42E-19,,,"Sr|<NA>|103|n,p",,FALSE,37,87,
+Sr,38,84,0.0056,107,"n,a",7.85E-14,,2.81E-16,7.85E-14,Kr-81,9.59E-14,,,"Sr|<NA>|107|n,a",,FALSE,36,81,
+Sr,38,86,0.0986,107,"n,a",1.00E-20,,,1.00E-20,Kr-83,,,,"Sr|<NA>|107|n,a",,FALSE,36,83,
+Sr,38,85,,103,"n,p",0.137947321,0.137947321,0.001043567,0.00262563,Rb-85,,,,"Sr|85|103|n,p",FUENTE,TRUE,37,85,
+Sr,38,83,,107,"n,a",0.010276371,,0.002022863,0.010276371,Kr-80,,,,"Sr|83|107|n,a",FUENTE,TRUE,36,80,
+Sr,38,83,,103,"n,p",3.970623678,,3.970623678,3.865191864,Rb-83,9.31E-08,,,"Sr|83|103|n,p",FUENTE,TRUE,37,83,7447680
+Sr,38,89,,107,"n,a",1.34E-12,,1.35E-14,1.34E-12,Kr-86,,,,"Sr|89|107|n,a",FUENTE,TRUE,36,86,
+Sr,38,90,,102,"n,g",0.034555973,0.015027331,0.010418948,0.034555973,Sr-91,2.00E-05,,,"Sr|90|102|n,g",FUENTE,TRUE,38,91,34668
+Sr,38,82,,102,"n,g",1.474661429,,1.474661429,,Sr-83,5.94E-06,,,"Sr|82|102|n,g",FUENTE,TRUE,38,83,116676
+Sr,38,83,,102,"n,g",27.16503336,,23.58970413,27.16503336,Sr-84,,,,"Sr|83|102|n,g",FUENTE,TRUE,38,84,
+Sr,38,85,,102,"n,g",19.12086657,0.317350102,9.219216174,19.12086657,Sr-86,,,,"Sr|85|102|n,g",FUENTE,TRUE,38,86,
+,38,90,,107,"n,a",1.00E-20,,,1.00E-20,Kr-87,0.000151408,,,"nan|90|107|n,a",FUENTE,TRUE,36,87,4578
+Sr,38,82,,107,"n,a",4.53E-08,,4.53E-08,,Kr-79,5.49E-06,,,"Sr|82|107|n,a",FUENTE,TRUE,36,79,126144
+Sr,38,89,,102,"n,g",0.420765269,0.420765269,0.420765188,0.4182001,Sr-90,7.63E-10,,,"Sr|89|102|n,g",FUENTE,TRUE,38,90,908523901.8
+Sr,38,82,,103,"n,p",8.78E-07,,8.78E-07,,Rb-82,,,,"Sr|82|103|n,p",FUENTE,TRUE,37,82,
+Sr,38,85,,107,"n,a",0.003243418,0.003243418,4.01E-08,2.01E-05,Kr-82,,,,"Sr|85|107|n,a",FUENTE,TRUE,36,82,
+Y,39,89,1,102,"n,g",1.285813485,1.280579666,1.285813485,1.280579666,Y-90,3.01E-06,,,"Y|<NA>|102|n,g",,FALSE,39,90,
+Y,39,87,,102,"n,g",18.21664764,,2.570064116,18.21664764,Y-88,7.53E-08,,,"Y|87|102|n,g",FUENTE,TRUE,39,88,9210240
+,39,91,,107,"n,a",1.00E-20,,,1.00E-20,Rb-88,0.000649744,,,"nan|91|107|n,a",FUENTE,TRUE,37,88,1066.8
+Y,39,90,,102,"n,g",6.475012712,3.305515907,3.255921023,6.475012712,Y-91,1.37E-07,,,"Y|90|102|n,g",FUENTE,TRUE,39,91,5055264
+Y,39,86,,107,"n,a",0.00010051,,0.00010051,,Rb-83,9.31E-08,,,"Y|86|107|n,a",FUENTE,TRUE,37,83,7447680
+Y,39,86,,103,"n,p",45.24301266,,45.24301266,,Sr-86,,,,"Y|86|103|n,p",FUENTE,TRUE,38,86,
+Y,39,88,,102,"n,g",18.73268949,,9.669825459,18.73268949,Y-89,,,,"Y|88|102|n,g",FUENTE,TRUE,39,89,
+,39,90,,103,"n,p",1.00E-20,,,1.00E-20,Sr-90,7.63E-10,,,"nan|90|103|n,p",FUENTE,TRUE,38,90,908523901.8
+Y,39,91,,102,"n,g",1.402550625,1.402549752,1.402550625,1.397586151,Y-92,,,,"Y|91|102|n,g",FUENTE,TRUE,39,92,
+Y,39,87,,107,"n,a",3.12E-15,,1.79E-17,3.12E-15,Rb-84,2.45E-07,,,"Y|87|107|n,a",FUENTE,TRUE,37,84,2831328
+Y,39,86,,102,"n,g",53.34271113,,53.34271113,,Y-87,,,,"Y|86|102|n,g",FUENTE,TRUE,39,87,
+Y,39,88,,107,"n,a",4.03E-09,,2.92E-10,4.03E-09,Rb-85,,,,"Y|88|107|n,a",FUENTE,TRUE,37,85,
+Y,39,87,,103,"n,p",0.661309528,,0.38440677,0.661309528,Sr-87,,,,"Y|87|103|n,p",FUENTE,TRUE,38,87,
+Y,39,88,,103,"n,p",1.086788124,,0.39874767,1.086788124,Sr-88,,,,"Y|88|103|n,p",FUENTE,TRUE,38,88,
+,39,90,,107,"n,a",1.07E-07,,,1.07E-07,Rb-87,4.42E-19,,,"nan|90|107|n,a",FUENTE,TRUE,37,87,1.57E+18
+Zr,40,91,0.1123,102,"n,g",1.310435768,1.207254229,1.310435768,1.2178709,Zr-92,,,,"Zr|<NA>|102|n,g",,FALSE,40,92,
+Zr,40,92,0.1716,102,"n,g",0.229584519,0.226742053,0.127202319,0.229584519,Zr-93,1.44E-14,,,"Zr|<NA>|102|n,g",,FALSE,40,93,
+Zr,40,94,0.1736,102,"n,g",0.050368865,0.050034094,0.050368865,0.04996065,Zr-95,1.25E-07,,,"Zr|<NA>|102|n,g",,FALSE,40,95,
+Zr,40,96,0.0278,102,"n,g",0.022885336,0.020345862,0.022341604,0.022885336,Zr-97,1.15E-05,,,"Zr|<NA>|102|n,g",,FALSE,40,97,
+Zr,40,90,0.5147,102,"n,g",0.010945839,0.010262847,0.010945839,0.009990977,Zr-91,,,,"Zr|<NA>|102|n,g",,FALSE,40,91,
+Zr,40,91,0.1123,107,"n,a",5.62E-05,5.62E-05,,5.55E-12,Sr-88,,,,"Zr|<NA>|107|n,a",,FALSE,38,88,
+Zr,40,93,,107,"n,a",7.28E-08,7.28E-08,,7.28E-08,Sr-90,7.63E-10,,,"Zr|93|107|n,a",FUENTE,TRUE,38,90,908523901.8
+Zr,40,95,,102,"n,g",6.508500853,1.2064681,1.001817869,6.508500853,Zr-96,,,,"Zr|95|102|n,g",FUENTE,TRUE,40,96,
+Zr,40,86,,103,"n,p",0.007628359,,0.007628359,,Y-86,,,,"Zr|86|103|n,p",FUENTE,TRUE,39,86,
+Zr,40,88,,107,"n,a",1.26E-07,,1.26E-07,2.90E-11,Sr-85,1.24E-07,,,"Zr|88|107|n,a",FUENTE,TRUE,38,85,5603040
+Zr,40,88,,103,"n,p",1.757778918,,1.757778918,3.01E-05,Y-88,7.53E-08,,,"Zr|88|103|n,p",FUENTE,TRUE,39,88,9210240
+Zr,40,86,,107,"n,a",1.54E-08,,1.54E-08,,Sr-83,5.94E-06,,,"Zr|86|107|n,a",FUENTE,TRUE,38,83,116676
+Zr,40,93,,102,"n,g",0.696139573,0.696139573,0.69188387,0.696139573,Zr-94,,,,"Zr|93|102|n,g",FUENTE,TRUE,40,94,
+Zr,40,89,,107,"n,a",2.41E-05,,5.08E-08,2.41E-05,Sr-86,,,,"Zr|89|107|n,a",FUENTE,TRUE,38,86,
+Zr,40,88,,102,"n,g",862568.6537,,862568.6537,10.8248605,Zr-89,2.46E-06,,,"Zr|88|102|n,g",FUENTE,TRUE,40,89,282276
+Zr,40,89,,103,"n,p",12.88124842,,12.88124842,1.971932077,Y-89,,,,"Zr|89|103|n,p",FUENTE,TRUE,39,89,
+,40,95,,107,"n,a",2.54E-12,,,2.54E-12,Sr-92,,,,"nan|95|107|n,a",FUENTE,TRUE,38,92,
+Zr,40,86,,102,"n,g",1.552743533,,1.552743533,,Zr-87,,,,"Zr|86|102|n,g",FUENTE,TRUE,40,87,
+Zr,40,97,,102,"n,g",0.023148801,,0.023148801,,Zr-98,,,,"Zr|97|102|n,g",FUENTE,TRUE,40,98,
+Zr,40,89,,102,"n,g",120.2186393,,120.2186393,14.19744475,Zr-90,,,,"Zr|89|102|n,g",FUENTE,TRUE,40,90,
+Nb,41,93,1,102,"n,g",1.152724012,1.144060909,1.061301748,1.152724012,Nb-94,1.08E-12,,,"Nb|<NA>|102|n,g",,FALSE,41,94,
+Nb,41,93,1,107,"n,a",3.96E-06,,,3.96E-06,Y-90,3.01E-06,,,"Nb|<NA>|107|n,a",,FALSE,39,90,
+Nb,41,93,1,103,"n,p",3.51E-12,,,3.51E-12,Zr-93,1.44E-14,,,"Nb|<NA>|103|n,p",,FALSE,40,93,
+Nb,41,90,,103,"n,p",4.357626186,,4.357626186,,Zr-90,,,,"Nb|90|103|n,p",FUENTE,TRUE,40,90,
+Nb,41,96,,107,"n,a",6.98E-12,,6.98E-12,,Y-93,,,,"Nb|96|107|n,a",FUENTE,TRUE,39,93,
+Nb,41,91,,102,"n,g",9.057854705,,1.801676548,9.057854705,Nb-92,6.33E-16,,,"Nb|91|102|n,g",FUENTE,TRUE,41,92,1.09503E+15
+Nb,41,94,,102,"n,g",15.79401452,15.79401452,14.93406547,11.47141881,Nb-95,2.29E-07,,,"Nb|94|102|n,g",FUENTE,TRUE,41,95,3023136
+Nb,41,91,,107,"n,a",2.31E-10,,4.39E-14,2.31E-10,Y-88,7.53E-08,,,"Nb|91|107|n,a",FUENTE,TRUE,39,88,9210240
+Nb,41,92,,102,"n,g",11.89496109,,1.728844045,11.89496109,Nb-93,,,,"Nb|92|102|n,g",FUENTE,TRUE,41,93,
+,41,94,,107,"n,a",0.000255358,,,0.000255358,Y-91,1.37E-07,,,"nan|94|107|n,a",FUENTE,TRUE,39,91,5055264
+Nb,41,91,,103,"n,p",0.0081894,,0.0081894,0.008151616,Zr-91,,,,"Nb|91|103|n,p",FUENTE,TRUE,40,91,
+,41,94,,103,"n,p",4.70E-05,,,4.70E-05,Zr-94,,,,"nan|94|103|n,p",FUENTE,TRUE,40,94,
+Nb,41,95,,102,"n,g",7.012755328,7.012755328,2.481192307,7.012755328,Nb-96,,,,"Nb|95|102|n,g",FUENTE,TRUE,41,96,
+Nb,41,92,,107,"n,a",0.003357336,,0.001171944,0.003357336,Y-89,,,,"Nb|92|107|n,a",FUENTE,TRUE,39,89,
+Nb,41,90,,102,"n,g",15.70406052,,15.70406052,,Nb-91,,,,"Nb|90|102|n,g",FUENTE,TRUE,41,91,
+Nb,41,92,,103,"n,p",0.044956057,,0.044956057,7.46E-06,Zr-92,,,,"Nb|92|103|n,p",FUENTE,TRUE,40,92,
+Nb,41,95,,107,"n,a",5.35E-10,,5.35E-10,,Y-92,,,,"Nb|95|107|n,a",FUENTE,TRUE,39,92,
+Nb,41,96,,102,"n,g",3.492391447,,3.492391447,,Nb-97,,,,"Nb|96|102|n,g",FUENTE,TRUE,41,97,
+Nb,41,90,,107,"n,a",1.23E-07,,1.23E-07,,Y-87,,,,"Nb|90|107|n,a",FUENTE,TRUE,39,87,
+Mo,42,95,0.15873,102,"n,g",13.6647051,13.41687645,13.6647051,13.41687645,Mo-96,,,,"Mo|<NA>|102|n,g",,FALSE,42,96,
+Mo,42,97,0.09582,102,"n,g",2.49188244,2.200177367,2.49188244,2.49188244,Mo-98,,,,"Mo|<NA>|102|n,g",,FALSE,42,98,
+Mo,42,96,0.16673,102,"n,g",0.596464194,0.596464194,0.447704973,0.447704973,Mo-97,,,,"Mo|<NA>|102|n,g",,FALSE,42,97,
+Mo,42,94,0.09187,102,"n,g",0.340896053,0.340896053,0.339705249,0.339705249,Mo-95,,,,"Mo|<NA>|102|n,g",,FALSE,42,95,
+Mo,42,100,0.09744,102,"n,g",0.199384925,0.199384925,0.194106608,0.194106608,Mo-101,0.000790722,,,"Mo|<NA>|102|n,g",,FALSE,42,101,
+Mo,42,98,0.24292,102,"n,g",0.13234509,0.130209721,0.13234509,0.13234509,Mo-99,2.92E-06,,,"Mo|<NA>|102|n,g",,FALSE,42,99,
+Mo,42,92,0.14649,102,"n,g",0.080004891,0.080004891,0.061438478,0.061438478,Mo-93,5.49E-12,,,"Mo|<NA>|102|n,g",,FALSE,42,93,
+Mo,42,95,0.15873,107,"n,a",0.000171657,0.000171657,3.09E-05,0.000171657,Zr-92,,,,"Mo|<NA>|107|n,a",,FALSE,40,92,
+Mo,42,92,0.14649,103,"n,p",0,0,,,Nb-92,6.33E-16,,,"Mo|<NA>|103|n,p",,FALSE,41,92,
+Mo,42,99,,102,"n,g",13.83134846,8.014572247,8.014572247,13.83134846,Mo-100,,,,"Mo|99|102|n,g",FUENTE,TRUE,42,100,
+Mo,42,93,,103,"n,p",2.27E-06,2.27E-06,1.42E-07,2.27E-06,Nb-93,,,,"Mo|93|103|n,p",FUENTE,TRUE,41,93,
+Mo,42,93,,107,"n,a",0.176948908,0.176948908,0.011866068,0.176948908,Zr-90,,,,"Mo|93|107|n,a",FUENTE,TRUE,40,90,
+,42,99,,107,"n,a",6.02E-05,,,6.02E-05,Zr-96,,,,"nan|99|107|n,a",FUENTE,TRUE,40,96,
+Mo,42,93,,102,"n,g",8.360746475,8.360746475,0.666944932,8.360746475,Mo-94,,,,"Mo|93|102|n,g",FUENTE,TRUE,42,94,
+Tc,43,95,,103,"n,p",0.057263284,,0.057263284,,Mo-95,,,,"Tc|95|103|n,p",FUENTE,TRUE,42,95,
+Tc,43,97,,102,"n,g",16.72522624,,4.037442427,16.72522624,Tc-98,5.23E-15,,,"Tc|97|102|n,g",FUENTE,TRUE,43,98,1.32539E+14
+Tc,43,98,,103,"n,p",1.63E-08,1.63E-08,1.69E-09,1.63E-08,Mo-98,,,,"Tc|98|103|n,p",FUENTE,TRUE,42,98,
+Tc,43,99,,102,"n,g",23.81318864,20.03755774,23.81318864,21.09669115,Tc-100,,,,"Tc|99|102|n,g",FUENTE,TRUE,43,100,
+Tc,43,96,,107,"n,a",0.016819996,,0.002578997,0.016819996,Nb-93,,,,"Tc|96|107|n,a",FUENTE,TRUE,41,93,
+Tc,43,96,,103,"n,p",0.001046871,,0.000423868,0.001046871,Mo-96,,,,"Tc|96|103|n,p",FUENTE,TRUE,42,96,
+Tc,43,95,,102,"n,g",2.97030226,,2.97030226,,Tc-96,,,,"Tc|95|102|n,g",FUENTE,TRUE,43,96,
+Tc,43,99,,107,"n,a",7.92E-08,,2.10E-09,7.92E-08,Nb-96,,,,"Tc|99|107|n,a",FUENTE,TRUE,41,96,
+Tc,43,97,,107,"n,a",1.06E-05,,1.51E-07,1.06E-05,Nb-94,1.08E-12,,,"Tc|97|107|n,a",FUENTE,TRUE,41,94,6.40606E+11
+Tc,43,96,,102,"n,g",21.55247513,,7.703259297,21.55247513,Tc-97,5.22E-15,,,"Tc|96|102|n,g",FUENTE,TRUE,43,97,1.32855E+14
+Tc,43,97,,103,"n,p",3.09E-07,,3.09E-07,5.16E-08,Mo-97,,,,"Tc|97|103|n,p",FUENTE,TRUE,42,97,
+Tc,43,98,,102,"n,g",11.85536078,0.929066389,11.85536078,0.929066389,Tc-99,3.20E-05,,,"Tc|98|102|n,g",FUENTE,TRUE,43,99,21654
+Tc,43,95,,107,"n,a",6.70E-05,,6.70E-05,,Nb-92,6.33E-16,,,"Tc|95|107|n,a",FUENTE,TRUE,41,92,1.09503E+15
+Tc,43,98,,107,"n,a",7.33E-05,1.39E-05,7.33E-05,1.39E-05,Nb-95,2.29E-07,,,"Tc|98|107|n,a",FUENTE,TRUE,41,95,3023136
+Ru,44,98,0.0187,102,"n,g",8.014568751,8.014568751,4.007287535,7.978774883,Ru-99,,,,"Ru|<NA>|102|n,g",,FALSE,44,99,
+Ru,44,99,0.1276,102,"n,g",7.321866757,7.321866757,7.321866757,7.292888938,Ru-100,,,,"Ru|<NA>|102|n,g",,FALSE,44,100,
+Ru,44,100,0.126,102,"n,g",5.880383692,5.800629124,5.851195818,5.880383692,Ru-101,,,,"Ru|<NA>|102|n,g",,FALSE,44,101,
+Ru,44,101,0.1706,102,"n,g",5.239933984,5.233450536,5.239933984,5.202676288,Ru-102,,,,"Ru|<NA>|102|n,g",,FALSE,44,102,
+Ru,44,102,0.3155,102,"n,g",1.272073571,1.272073571,1.179917201,1.272073571,Ru-103,2.04E-07,,,"Ru|<NA>|102|n,g",,FALSE,44,103,
+Ru,44,104,0.1862,102,"n,g",0.472364178,0.472364178,0.469847944,0.472364178,Ru-105,4.34E-05,,,"Ru|<NA>|102|n,g",,FALSE,44,105,
+Ru,44,96,0.0554,102,"n,g",0.290528554,0.290528554,0.207377095,0.289227885,Ru-97,2.77E-06,,,"Ru|<NA>|102|n,g",,FALSE,44,97,
+Ru,44,99,0.1276,107,"n,a",0.00153333,,,0.00153333,Mo-96,,,,"Ru|<NA>|107|n,a",,FALSE,42,96,
+Ru,44,96,0.0554,107,"n,a",0.000129335,,,0.000129335,Mo-93,5.49E-12,,,"Ru|<NA>|107|n,a",,FALSE,42,93,
+Ru,44,98,0.0187,107,"n,a",4.44E-05,,,4.44E-05,Mo-95,,,,"Ru|<NA>|107|n,a",,FALSE,42,95,
+Ru,44,101,0.1706,107,"n,a",1.50E-07,,,1.50E-07,Mo-98,,,,"Ru|<NA>|107|n,a",,FALSE,42,98,
+Ru,44,100,0.126,107,"n,a",5.30E-09,,,5.30E-09,Mo-97,,,,"Ru|<NA>|107|n,a",,FALSE,42,97,
+Ru,44,96,0.0554,103,"n,p",1.00E-20,,,1.00E-20,Tc-96,,,,"Ru|<NA>|103|n,p",,FALSE,43,96,
+Ru,44,99,0.1276,103,"n,p",1.00E-20,,,1.00E-20,Tc-99,3.20E-05,,,"Ru|<NA>|103|n,p",,FALSE,43,99,
+,44,106,,107,"n,a",1.00E-20,,,1.00E-20,Mo-103,,,,"nan|106|107|n,a",FUENTE,TRUE,42,103,
+Ru,44,103,,102,"n,g",9.57084997,1.173729019,9.57084997,1.173729019,Ru-104,,,,"Ru|103|102|n,g",FUENTE,TRUE,44,104,
+Ru,44,105,,102,"n,g",0.390710503,0.389138265,0.390710503,0.389334048,Ru-106,2.15E-08,,,"Ru|105|102|n,g",FUENTE,TRUE,44,106,32279040
+Ru,44,97,,102,"n,g",13.62726022,13.62726022,2.031564773,13.62726022,Ru-98,,,,"Ru|97|102|n,g",FUENTE,TRUE,44,98,
+Ru,44,97,,107,"n,a",0.144068738,0.144068738,0.014456721,0.144068738,Mo-94,,,,"Ru|97|107|n,a",FUENTE,TRUE,42,94,
+Ru,44,106,,102,"n,g",0.14626596,0.14626596,0.145264182,0.14575171,Ru-107,,,,"Ru|106|102|n,g",FUENTE,TRUE,44,107,
+Ru,44,97,,103,"n,p",0.001639582,0.001639582,0.000180794,0.001639582,Tc-97,5.22E-15,,,"Ru|97|103|n,p",FUENTE,TRUE,43,97,1.32855E+14
+Rh,45,103,1,102,"n,g",142.8592794,142.8334811,142.7496573,142.8592794,Rh-104,0.002661856,,,"Rh|<NA>|102|n,g",,FALSE,45,104,
+Rh,45,103,1,107,"n,a",3.50E-10,,3.50E-10,3.71E-15,Tc-100,,,,"Rh|<NA>|107|n,a",,FALSE,43,100,
+Rh,45,103,1,103,"n,p",3.78E-22,,,3.78E-22,Ru-103,2.04E-07,,,"Rh|<NA>|103|n,p",,FALSE,44,103,
+Rh,45,102,,103,"n,p",0.163887637,,0.102216102,0.163887637,Ru-102,,,,"Rh|102|103|n,p",FUENTE,TRUE,44,102,
+Rh,45,105,,107,"n,a",1.11E-16,,1.11E-16,1.01E-20,Tc-102,,,,"Rh|105|107|n,a",FUENTE,TRUE,43,102,
+Rh,45,104,,102,"n,g",40.07287535,5.752224701,40.07287535,39.94058524,Rh-105,5.45E-06,,,"Rh|104|102|n,g",FUENTE,TRUE,45,105,127296
+Rh,45,100,,107,"n,a",0.007066035,,0.007066035,,Tc-97,5.22E-15,,,"Rh|100|107|n,a",FUENTE,TRUE,43,97,1.32855E+14
+Rh,45,100,,103,"n,p",5.378528593,,5.378528593,,Ru-100,,,,"Rh|100|103|n,p",FUENTE,TRUE,44,100,
+Rh,45,99,,102,"n,g",18.04981307,,1.549487886,18.04981307,Rh-100,,,,"Rh|99|102|n,g",FUENTE,TRUE,45,100,
+Rh,45,102,,102,"n,g",33.17985997,,16.86937479,33.17985997,Rh-103,,,,"Rh|102|102|n,g",FUENTE,TRUE,45,103,
+Rh,45,105,,102,"n,g",20939.23388,16030.39025,19082.99672,20939.23388,Rh-106,,,,"Rh|105|102|n,g",FUENTE,TRUE,45,106,
+Rh,45,101,,107,"n,a",1.28E-06,,1.38E-08,1.28E-06,Tc-98,5.23E-15,,,"Rh|101|107|n,a",FUENTE,TRUE,43,98,1.32539E+14
+Rh,45,100,,102,"n,g",8.202947467,,8.202947467,,Rh-101,,,,"Rh|100|102|n,g",FUENTE,TRUE,45,101,
+Rh,45,101,,103,"n,p",2.29E-06,,2.25E-07,2.29E-06,Ru-101,,,,"Rh|101|103|n,p",FUENTE,TRUE,44,101,
+Rh,45,104,,107,"n,a",0.000370384,0.000370384,7.61E-07,2.64E-06,Tc-101,,,,"Rh|104|107|n,a",FUENTE,TRUE,43,101,
+Rh,45,104,,103,"n,p",0.032436692,0.032436692,0.000568056,0.000437087,Ru-104,,,,"Rh|104|103|n,p",FUENTE,TRUE,44,104,
+Rh,45,99,,107,"n,a",0.001348283,,3.48E-05,0.001348283,Tc-96,,,,"Rh|99|107|n,a",FUENTE,TRUE,43,96,
+Rh,45,99,,103,"n,p",0.814702787,,0.010724342,0.814702787,Ru-99,,,,"Rh|99|103|n,p",FUENTE,TRUE,44,99,
+Rh,45,102,,107,"n,a",0.000735159,,0.000125998,0.000735159,Tc-99,3.20E-05,,,"Rh|102|107|n,a",FUENTE,TRUE,43,99,21654
+Rh,45,101,,102,"n,g",20.49014108,,1.900175497,20.49014108,Rh-102,,,,"Rh|101|102|n,g",FUENTE,TRUE,45,102,
+Pd,46,105,0.2233,102,"n,g",20.91287272,20.91287272,20.46739349,20.91287272,Pd-106,,,,"Pd|<NA>|102|n,g",,FALSE,46,106,
+Pd,46,108,0.2646,102,"n,g",8.493707534,8.493707534,8.05317435,8.493707534,Pd-109,1.41E-05,,,"Pd|<NA>|102|n,g",,FALSE,46,109,
+Pd,46,102,0.0102,102,"n,g",1.824576892,1.824576892,1.823396046,1.809163061,Pd-103,4.72E-07,,,"Pd|<NA>|102|n,g",,FALSE,46,103,
+Pd,46,110,0.1172,102,"n,g",0.732603382,0.229416877,0.225937361,0.732603382,Pd-111,0.000493695,,,"Pd|<NA>|102|n,g",,FALSE,46,111,
+Pd,46,104,0.1114,102,"n,g",0.649735579,0.649735579,0.625157385,0.649735579,Pd-105,,,,"Pd|<NA>|102|n,g",,FALSE,46,105,
+Pd,46,106,0.2733,102,"n,g",0.317532919,0.308755163,0.317532919,0.308755163,Pd-107,3.38E-15,,,"Pd|<NA>|102|n,g",,FALSE,46,107,
+Pd,46,105,0.2233,107,"n,a",0.000229719,,0.000229719,,Ru-102,,,,"Pd|<NA>|107|n,a",,FALSE,44,102,
+Pd,46,102,0.0102,107,"n,a",0.000105858,0.000105858,7.53E-06,2.42E-06,Ru-99,,,,"Pd|<NA>|107|n,a",,FALSE,44,99,
+Pd,46,104,0.1114,107,"n,a",4.63E-06,4.63E-06,1.35E-09,4.63E-06,Ru-101,,,,"Pd|<NA>|107|n,a",,FALSE,44,101,
+Pd,46,106,0.2733,107,"n,a",7.86E-08,7.86E-08,2.54E-15,7.86E-08,Ru-103,2.04E-07,,,"Pd|<NA>|107|n,a",,FALSE,44,103,
+Pd,46,108,0.2646,107,"n,a",2.16E-14,2.16E-14,4.31E-22,2.16E-14,Ru-105,4.34E-05,,,"Pd|<NA>|107|n,a",,FALSE,44,105,
+Pd,46,110,0.1172,107,"n,a",5.44E-16,5.44E-16,2.12E-25,1.00E-20,Ru-107,,,,"Pd|<NA>|107|n,a",,FALSE,44,107,
+Pd,46,103,,102,"n,g",21.24966658,21.24966658,5.447176262,21.24189635,Pd-104,,,,"Pd|103|102|n,g",FUENTE,TRUE,46,104,
+Pd,46,100,,107,"n,a",4.91E-05,,4.91E-05,,Ru-97,2.77E-06,,,"Pd|100|107|n,a",FUENTE,TRUE,44,97,250560
+Pd,46,109,,102,"n,g",6.196462293,6.196462293,5.462243818,,Pd-110,,,,"Pd|109|102|n,g",FUENTE,TRUE,46,110,
+Pd,46,100,,103,"n,p",4.67E-08,,4.67E-08,,Rh-100,,,,"Pd|100|103|n,p",FUENTE,TRUE,45,100,
+Pd,46,101,,102,"n,g",3.949943672,,3.949943672,,Pd-102,,,,"Pd|101|102|n,g",FUENTE,TRUE,46,102,
+Pd,46,112,,102,"n,g",0.061400968,,0.061400968,,Pd-113,,,,"Pd|112|102|n,g",FUENTE,TRUE,46,113,
+Pd,46,107,,102,"n,g",10.98895939,2.011146885,10.98895939,2.011146885,Pd-108,,,,"Pd|107|102|n,g",FUENTE,TRUE,46,108,
+Pd,46,109,,107,"n,a",1.01E-06,1.01E-06,2.37E-11,,Ru-106,2.15E-08,,,"Pd|109|107|n,a",FUENTE,TRUE,44,106,32279040
+Pd,46,103,,107,"n,a",0.795600516,0.795600516,0.000464427,0.007608458,Ru-100,,,,"Pd|103|107|n,a",FUENTE,TRUE,44,100,
+Pd,46,101,,103,"n,p",0.028134501,,0.028134501,,Rh-101,,,,"Pd|101|103|n,p",FUENTE,TRUE,45,101,
+Pd,46,107,,107,"n,a",1.18E-06,,1.18E-06,,Ru-104,,,,"Pd|107|107|n,a",FUENTE,TRUE,44,104,
+Pd,46,101,,107,"n,a",0.01252331,,0.01252331,,Ru-98,,,,"Pd|101|107|n,a",FUENTE,TRUE,44,98,
+Pd,46,100,,102,"n,g",0.259913646,,0.259913646,,Pd-101,,,,"Pd|100|102|n,g",FUENTE,TRUE,46,101,
+Ag,47,109,0.48161,102,"n,g",90.87017108,90.38997306,90.38593545,90.87017108,Ag-110,3.21E-08,,,"Ag|<NA>|102|n,g",,FALSE,47,110,
+Ag,47,107,0.51839,102,"n,g",37.70537469,37.53365345,37.70537469,35.30480814,Ag-108,5.25E-11,,,"Ag|<NA>|102|n,g",,FALSE,47,108,
+Ag,47,107,0.51839,107,"n,a",1.53E-08,,1.41E-08,1.53E-08,Rh-104,0.002661856,,,"Ag|<NA>|107|n,a",,FALSE,45,104,
+Ag,47,107,0.51839,103,"n,p",1.48E-11,,1.48E-11,5.86E-12,Pd-107,3.38E-15,,,"Ag|<NA>|103|n,p",,FALSE,46,107,
+Ag,47,109,0.48161,107,"n,a",1.12E-12,,1.12E-12,,Rh-106,,,,"Ag|<NA>|107|n,a",,FALSE,45,106,
+Ag,47,110,,107,"n,a",1.49E-06,,1.49E-06,1.49E-06,Rh-107,,,,"Ag|110|107|n,a",FUENTE,TRUE,45,107,
+Ag,47,110,,103,"n,p",3.12E-05,,7.09E-10,3.12E-05,Pd-110,,,,"Ag|110|103|n,p",FUENTE,TRUE,46,110,
+Ag,47,112,,102,"n,g",18.90421357,18.90421357,,,Ag-113,,,,"Ag|112|102|n,g",FUENTE,TRUE,47,113,
+Ag,47,108,,107,"n,a",0.004333619,0.004333619,3.00E-07,3.82E-05,Rh-105,5.45E-06,,,"Ag|108|107|n,a",FUENTE,TRUE,45,105,127296
+Ag,47,115,,102,"n,g",0.272196336,0.272196336,,,Ag-116,,,,"Ag|115|102|n,g",FUENTE,TRUE,47,116,
+Ag,47,106,,103,"n,p",0.001710567,,0.001710567,0.001686454,Pd-106,,,,"Ag|106|103|n,p",FUENTE,TRUE,46,106,
+Ag,47,118,,102,"n,g",7.991576569,7.991576569,,,Ag-119,,,,"Ag|118|102|n,g",FUENTE,TRUE,47,119,
+Ag,47,111,,107,"n,a",9.75E-20,,9.75E-20,1.00E-20,Rh-108,,,,"Ag|111|107|n,a",FUENTE,TRUE,45,108,
+Ag,47,110,,102,"n,g",82.48422642,82.48422642,82.15543966,81.75351692,Ag-111,1.08E-06,,,"Ag|110|102|n,g",FUENTE,TRUE,47,111,643680
+Ag,47,112,,107,"n,a",5.23E-08,5.23E-08,,,Rh-109,,,,"Ag|112|107|n,a",FUENTE,TRUE,45,109,
+Ag,47,114,,107,"n,a",1.48E-10,1.48E-10,,,Rh-111,,,,"Ag|114|107|n,a",FUENTE,TRUE,45,111,
+Ag,47,113,,102,"n,g",0.503014844,0.503014844,,,Ag-114,,,,"Ag|113|102|n,g",FUENTE,TRUE,47,114,
+Ag,47,106,,107,"n,a",0.000427788,,2.27E-05,0.000427788,Rh-103,,,,"Ag|106|107|n,a",FUENTE,TRUE,45,103,
+Ag,47,105,,102,"n,g",3.511495584,,3.511495584,,Ag-106,,,,"Ag|105|102|n,g",FUENTE,TRUE,47,106,
+Ag,47,116,,102,"n,g",1.32371226,1.32371226,,,Ag-117,,,,"Ag|116|102|n,g",FUENTE,TRUE,47,117,
+Ag,47,108,,102,"n,g",5882.592,7.602199955,17.54120078,5882.592,Ag-109,,,,"Ag|108|102|n,g",FUENTE,TRUE,47,109,
+Ag,47,111,,102,"n,g",3.005465483,3.003790215,3.005465483,2.992795079,Ag-112,,,,"Ag|111|102|n,g",FUENTE,TRUE,47,112,
+Ag,47,105,,107,"n,a",1.20E-07,,1.20E-07,,Rh-102,,,,"Ag|105|107|n,a",FUENTE,TRUE,45,102,
+Ag,47,114,,102,"n,g",5.294035622,5.294035622,,,Ag-115,,,,"Ag|114|102|n,g",FUENTE,TRUE,47,115,
+Ag,47,105,,103,"n,p",0.000378951,,0.000378951,,Pd-105,,,,"Ag|105|103|n,p",FUENTE,TRUE,46,105,
+Ag,47,106,,102,"n,g",157.1665248,,14.1125636,157.1665248,Ag-107,,,,"Ag|106|102|n,g",FUENTE,TRUE,47,107,
+Ag,47,117,,102,"n,g",0.14395091,0.14395091,,,Ag-118,,,,"Ag|117|102|n,g",FUENTE,TRUE,47,118,
+Ag,47,108,,103,"n,p",1.110873013,1.110873013,5.86E-06,0.0167991,Pd-108,,,,"Ag|108|103|n,p",FUENTE,TRUE,46,108,
+Cd,48,113,0.12227,102,"n,g",20195.99108,19891.72197,20092.22839,20195.99108,Cd-114,,,#DIV/0!,"Cd|<NA>|102|n,g",,FALSE,48,114,
+Cd,48,110,0.1247,102,"n,g",11.07398684,11.01867529,11.07398684,11.01867529,Cd-111,,,,"Cd|<NA>|102|n,g",,FALSE,48,111,
+Cd,48,111,0.12795,102,"n,g",7.145061585,6.878646421,7.145061585,6.882446623,Cd-112,,,,"Cd|<NA>|102|n,g",,FALSE,48,112,
+Cd,48,112,0.24109,102,"n,g",2.201983314,2.201983314,2.196280675,2.201983314,Cd-113,1.56E-09,,,"Cd|<NA>|102|n,g",,FALSE,48,113,
+Cd,48,106,0.01245,102,"n,g",0.987463433,0.987463433,0.971228367,0.987463433,Cd-107,2.96E-05,,,"Cd|<NA>|102|n,g",,FALSE,48,107,
+Cd,48,108,0.00888,102,"n,g",0.907323219,0.907323219,0.787916951,0.907323219,Cd-109,1.74E-08,,,"Cd|<NA>|102|n,g",,FALSE,48,109,
+Cd,48,114,0.28754,102,"n,g",0.341024724,0.30591325,0.341024724,0.30591325,Cd-115,1.80E-07,,,"Cd|<NA>|102|n,g",,FALSE,48,115,
+Cd,48,116,0.07512,102,"n,g",0.076298874,0.076298874,0.074977409,0.075985403,Cd-117,7.73E-05,,,"Cd|<NA>|102|n,g",,FALSE,48,117,
+Cd,48,106,0.01245,107,"n,a",6.32E-13,,,6.32E-13,Pd-103,4.72E-07,,,"Cd|<NA>|107|n,a",,FALSE,46,103,
+Cd,48,106,0.01245,103,"n,p",1.79E-13,,,1.79E-13,Ag-106,,,,"Cd|<NA>|103|n,p",,FALSE,47,106,
+Cd,48,111,0.12795,107,"n,a",1.42E-14,,,1.42E-14,Pd-108,,,,"Cd|<NA>|107|n,a",,FALSE,46,108,
+Cd,48,108,0.00888,107,"n,a",1.95E-16,1.95E-16,,1.95E-16,Pd-105,,,,"Cd|<NA>|107|n,a",,FALSE,46,105,
+Cd,48,113,0.12227,107,"n,a",1.34E-16,,,1.34E-16,Pd-110,,,,"Cd|<NA>|107|n,a",,FALSE,46,110,
+Cd,48,110,0.1247,107,"n,a",1.49E-19,1.49E-19,,1.49E-19,Pd-107,3.38E-15,,,"Cd|<NA>|107|n,a",,FALSE,46,107,
+Cd,48,112,0.24109,107,"n,a",1.39E-20,1.39E-20,,1.39E-20,Pd-109,1.41E-05,,,"Cd|<NA>|107|n,a",,FALSE,46,109,
+Cd,48,114,0.28754,107,"n,a",1.77E-21,1.77E-21,,1.77E-21,Pd-111,0.000493695,,,"Cd|<NA>|107|n,a",,FALSE,46,111,
+Cd,48,116,0.07512,107,"n,a",1.20E-22,1.20E-22,,1.20E-22,Pd-113,,,,"Cd|<NA>|107|n,a",,FALSE,46,113,
+Cd,48,111,0.12795,103,"n,p",2.58E-33,,2.58E-33,,Ag-111,1.08E-06,,,"Cd|<NA>|103|n,p",,FALSE,47,111,
+Cd,48,112,0.24109,103,"n,p",6.41E-34,,6.41E-34,,Ag-112,,,,"Cd|<NA>|103|n,p",,FALSE,47,112,
+Cd,48,110,0.1247,103,"n,p",1.45E-34,,1.45E-34,,Ag-110,3.21E-08,,,"Cd|<NA>|103|n,p",,FALSE,47,110,
+Cd,48,116,0.07512,103,"n,p",7.76E-36,,7.76E-36,,Ag-116,,,,"Cd|<NA>|103|n,p",,FALSE,47,116,
+Cd,48,108,0.00888,103,"n,p",2.22E-36,,2.22E-36,,Ag-108,5.25E-11,,,"Cd|<NA>|103|n,p",,FALSE,47,108,
+Cd,48,107,,103,"n,p",0.082677583,0.082677583,,,Ag-107,,,,"Cd|107|103|n,p",FUENTE,TRUE,47,107,
+Cd,48,109,,102,"n,g",701.2753018,527.5955036,701.2753018,527.5955036,Cd-110,,,,"Cd|109|102|n,g",FUENTE,TRUE,48,110,
+Cd,48,107,,102,"n,g",4.616197637,4.616197637,,,Cd-108,,,,"Cd|107|102|n,g",FUENTE,TRUE,48,108,
+Cd,48,115,,102,"n,g",5.00993184,5.00993184,1.550700015,5.00993184,Cd-116,,,,"Cd|115|102|n,g",FUENTE,TRUE,48,116,
+Cd,48,109,,107,"n,a",0.049776606,0.049776606,0.005009109,0.049776606,Pd-106,,,,"Cd|109|107|n,a",FUENTE,TRUE,46,106,
+Cd,48,109,,103,"n,p",6.40E-09,5.29E-09,6.40E-09,5.29E-09,Ag-109,,,,"Cd|109|103|n,p",FUENTE,TRUE,47,109,
+Cd,48,115,,107,"n,a",2.23E-14,,2.23E-14,,Pd-112,,,,"Cd|115|107|n,a",FUENTE,TRUE,46,112,
+Cd,48,107,,107,"n,a",1.610468452,1.610468452,,,Pd-104,,,,"Cd|107|107|n,a",FUENTE,TRUE,46,104,
+In,49,115,0.95719,102,"n,g",202.473462,202.473462,201.3248671,201.3248671,In-116,0.000212792,,,"In|<NA>|102|n,g",,FALSE,49,116,
+In,49,113,0.04281,102,"n,g",12.10075345,12.10075345,12.10075345,12.10075345,In-114,1.62E-07,,,"In|<NA>|102|n,g",,FALSE,49,114,
+In,49,111,,102,"n,g",14.59263696,,14.59263696,,In-112,,,,"In|111|102|n,g",FUENTE,TRUE,49,112,
+In,49,114,,102,"n,g",41.96779625,3.532861079,15.33949792,41.96779625,In-115,4.98E-23,,,"In|114|102|n,g",FUENTE,TRUE,49,115,1.39E+22
+In,49,111,,107,"n,a",2.00E-10,,2.00E-10,,Ag-108,5.25E-11,,,"In|111|107|n,a",FUENTE,TRUE,47,108,13190795101
+In,49,111,,103,"n,p",7.79E-08,,7.79E-08,,Cd-111,,,,"In|111|103|n,p",FUENTE,TRUE,48,111,
+In,49,114,,107,"n,a",6.30E-05,6.30E-05,3.13E-09,6.48E-07,Ag-111,1.08E-06,,,"In|114|107|n,a",FUENTE,TRUE,47,111,643680
+In,49,114,,103,"n,p",0.030673995,0.030673995,1.24E-06,0.000491417,Cd-114,,,,"In|114|103|n,p",FUENTE,TRUE,48,114,
+Sn,50,115,0.0034,102,"n,g",58.31672881,58.10753186,58.31672881,58.31672881,Sn-116,,,,"Sn|<NA>|102|n,g",,FALSE,50,116,
+Sn,50,119,0.0859,102,"n,g",2.17954276,2.17954276,2.17954276,2.17954276,Sn-120,,,,"Sn|<NA>|102|n,g",,FALSE,50,120,
+Sn,50,117,0.0768,102,"n,g",1.081908728,1.072415951,1.081908728,1.081908728,Sn-118,,,,"Sn|<NA>|102|n,g",,FALSE,50,118,
+Sn,50,112,0.0097,102,"n,g",0.861962222,0.851603787,0.861960701,0.861962222,Sn-113,6.97E-08,,,"Sn|<NA>|102|n,g",,FALSE,50,113,
+Sn,50,118,0.2422,102,"n,g",0.22016469,0.22016469,0.215874933,0.215875022,Sn-119,2.74E-08,,,"Sn|<NA>|102|n,g",,FALSE,50,119,
+Sn,50,122,0.0463,102,"n,g",0.146360246,0.146358768,0.13979366,0.146360246,Sn-123,6.21E-08,,,"Sn|<NA>|102|n,g",,FALSE,50,123,
+Sn,50,120,0.3258,102,"n,g",0.143213534,0.139767343,0.143213534,0.143213534,Sn-121,3.99E-10,,,"Sn|<NA>|102|n,g",,FALSE,50,121,
+Sn,50,124,0.0579,102,"n,g",0.136820564,0.136820564,0.135897708,0.129752291,Sn-125,8.32E-07,,,"Sn|<NA>|102|n,g",,FALSE,50,125,
+Sn,50,116,0.1454,102,"n,g",0.127893011,0.127893011,0.12533099,0.12533099,Sn-117,5.83E-07,,,"Sn|<NA>|102|n,g",,FALSE,50,117,
+Sn,50,114,0.0066,102,"n,g",0.125499771,0.125499771,0.125498449,0.125498449,Sn-115,,,,"Sn|<NA>|102|n,g",,FALSE,50,115,
+Sn,50,115,0.0034,107,"n,a",0.000196977,,0.000196977,0.000196977,Cd-112,,,,"Sn|<NA>|107|n,a",,FALSE,48,112,
+Sn,50,112,0.0097,107,"n,a",1.03E-06,,1.03E-06,1.03E-06,Cd-109,1.74E-08,,,"Sn|<NA>|107|n,a",,FALSE,48,109,
+Sn,50,117,0.0768,107,"n,a",3.21E-08,,3.21E-08,3.21E-08,Cd-114,,,,"Sn|<NA>|107|n,a",,FALSE,48,114,
+Sn,50,119,0.0859,107,"n,a",8.46E-11,8.46E-11,8.46E-11,8.46E-11,Cd-116,,,,"Sn|<NA>|107|n,a",,FALSE,48,116,
+Sn,50,114,0.0066,107,"n,a",6.69E-11,,6.69E-11,6.69E-11,Cd-111,,,,"Sn|<NA>|107|n,a",,FALSE,48,111,
+Sn,50,116,0.1454,107,"n,a",2.10E-16,,2.10E-16,2.10E-16,Cd-113,1.56E-09,,,"Sn|<NA>|107|n,a",,FALSE,48,113,
+Sn,50,118,0.2422,107,"n,a",9.73E-26,,9.73E-26,9.73E-26,Cd-115,1.80E-07,,,"Sn|<NA>|107|n,a",,FALSE,48,115,
+Sn,50,120,0.3258,107,"n,a",8.10E-28,,8.10E-28,8.10E-28,Cd-117,7.73E-05,,,"Sn|<NA>|107|n,a",,FALSE,48,117,
+Sn,50,122,0.0463,107,"n,a",1.03E-31,,1.03E-31,,Cd-119,,,,"Sn|<NA>|107|n,a",,FALSE,48,119,
+Sn,50,121,,102,"n,g",42.39798454,42.39798454,1.210851674,16.81729567,Sn-122,,,,"Sn|121|102|n,g",FUENTE,TRUE,50,122,
+,50,125,,107,"n,a",1.00E-20,,,1.00E-20,Cd-122,,,,"nan|125|107|n,a",FUENTE,TRUE,48,122,
+Sn,50,113,,102,"n,g",9.018831045,8.881027652,9.018831045,8.881027652,Sn-114,,,,"Sn|113|102|n,g",FUENTE,TRUE,50,114,
+Sn,50,123,,107,"n,a",1.00E-20,,2.43E-29,1.00E-20,Cd-120,,,,"Sn|123|107|n,a",FUENTE,TRUE,48,120,
+Sn,50,125,,102,"n,g",6.572377512,0.150483977,0.230363951,6.572377512,Sn-126,,,,"Sn|125|102|n,g",FUENTE,TRUE,50,126,
+Sn,50,121,,107,"n,a",7.15E-14,7.15E-14,9.96E-20,5.60E-16,Cd-118,,,,"Sn|121|107|n,a",FUENTE,TRUE,48,118,
+Sn,50,113,,107,"n,a",0.000112274,,0.000112274,,Cd-110,,,,"Sn|113|107|n,a",FUENTE,TRUE,48,110,
+Sn,50,123,,102,"n,g",11.30177808,3.005462534,3.005465483,11.30177808,Sn-124,,,,"Sn|123|102|n,g",FUENTE,TRUE,50,124,
+Sn,50,113,,103,"n,p",2.85E-07,,2.85E-07,,In-113,,,,"Sn|113|103|n,p",FUENTE,TRUE,49,113,
+Sn,50,126,,102,"n,g",1.794993911,0.090485159,0.090163972,1.794993911,Sn-127,,,,"Sn|126|102|n,g",FUENTE,TRUE,50,127,
+Sb,51,121,0.5721,102,"n,g",6.00210138,5.781022058,6.001676186,6.00210138,Sb-122,2.95E-06,,,"Sb|<NA>|102|n,g",,FALSE,51,122,
+Sb,51,123,0.4279,102,"n,g",4.194427641,3.880913984,4.194057901,4.194427641,Sb-124,1.33E-07,,,"Sb|<NA>|102|n,g",,FALSE,51,124,
+,51,126,,103,"n,p",1.00E-20,,,1.00E-20,Sn-126,,,,"nan|126|103|n,p",FUENTE,TRUE,50,126,
+Sb,51,119,,102,"n,g",8.592616285,,8.592616285,,Sb-120,,,,"Sb|119|102|n,g",FUENTE,TRUE,51,120,
+,51,124,,107,"n,a",1.88E-13,,,1.88E-13,In-121,,,,"nan|124|107|n,a",FUENTE,TRUE,49,121,
+Sb,51,122,,102,"n,g",38.03478,7.621062388,15.31825367,38.03478,Sb-123,,,,"Sb|122|102|n,g",FUENTE,TRUE,51,123,
+,51,124,,103,"n,p",1.28E-09,,,1.28E-09,Sn-124,,,,"nan|124|103|n,p",FUENTE,TRUE,50,124,
+,51,126,,107,"n,a",1.00E-20,,,1.00E-20,In-123,,,,"nan|126|107|n,a",FUENTE,TRUE,49,123,
+Sb,51,119,,107,"n,a",4.73E-13,,4.73E-13,,In-116,0.000212792,,,"Sb|119|107|n,a",FUENTE,TRUE,49,116,3257.4
+Sb,51,125,,102,"n,g",12.18062187,5.009113082,1.335728985,12.18062187,Sb-126,,,,"Sb|125|102|n,g",FUENTE,TRUE,51,126,
+Sb,51,119,,103,"n,p",3.17E-08,,3.17E-08,,Sn-119,2.74E-08,,,"Sb|119|103|n,p",FUENTE,TRUE,50,119,25323840
+Sb,51,120,,102,"n,g",19.99195547,,19.99195547,,Sb-121,,,,"Sb|120|102|n,g",FUENTE,TRUE,51,121,
+Sb,51,122,,103,"n,p",0.081841851,0.081841851,0.000626439,0.00230641,Sn-122,,,,"Sb|122|103|n,p",FUENTE,TRUE,50,122,
+,51,125,,107,"n,a",1.00E-20,,,1.00E-20,In-122,,,,"nan|125|107|n,a",FUENTE,TRUE,49,122,
+Sb,51,126,,102,"n,g",17.4686114,13.0237362,2.67766932,17.4686114,Sb-127,,,,"Sb|126|102|n,g",FUENTE,TRUE,51,127,
+Sb,51,120,,107,"n,a",5.00E-11,,5.00E-11,,In-117,,,,"Sb|120|107|n,a",FUENTE,TRUE,49,117,
+Sb,51,120,,103,"n,p",4.68E-10,,4.68E-10,,Sn-120,,,,"Sb|120|103|n,p",FUENTE,TRUE,50,120,
+Sb,51,122,,107,"n,a",1.34E-06,1.34E-06,3.91E-12,1.65E-08,In-119,,,,"Sb|122|107|n,a",FUENTE,TRUE,49,119,
+Sb,51,127,,102,"n,g",7.040683584,,0.22903752,7.040683584,Sb-128,,,,"Sb|127|102|n,g",FUENTE,TRUE,51,128,
+Sb,51,124,,102,"n,g",17.43170885,17.43170885,17.4317012,17.37922192,Sb-125,7.96E-09,,,"Sb|124|102|n,g",FUENTE,TRUE,51,125,87097115.98
+Te,52,123,0.0089,102,"n,g",419.7936183,419.7936183,418.8380169,418.9399483,Te-124,,,,"Te|<NA>|102|n,g",,FALSE,52,124,
+Te,52,124,0.0474,102,"n,g",6.796789119,6.334006941,6.796789119,6.359363446,Te-125,1.40E-07,,,"Te|<NA>|102|n,g",,FALSE,52,125,
+Te,52,122,0.0255,102,"n,g",4.014400168,4.014400168,4.014400168,3.924717438,Te-123,6.73E-08,,,"Te|<NA>|102|n,g",,FALSE,52,123,
+Te,52,120,0.0009,102,"n,g",2.344262817,2.344262817,0.657195191,2.333780467,Te-121,4.18E-07,,,"Te|<NA>|102|n,g",,FALSE,52,121,
+Te,52,125,0.0707,102,"n,g",1.294576149,1.288861246,1.294576149,1.291172453,Te-126,,,,"Te|<NA>|102|n,g",,FALSE,52,126,
+Te,52,126,0.1884,102,"n,g",0.4444857,0.442952362,0.440738182,0.4444857,Te-127,7.36E-08,,,"Te|<NA>|102|n,g",,FALSE,52,127,
+Te,52,128,0.3174,102,"n,g",0.200292499,0.200292499,0.186335778,0.199589214,Te-129,2.39E-07,,,"Te|<NA>|102|n,g",,FALSE,52,129,
+Te,52,130,0.3408,102,"n,g",0.195947136,0.195535965,0.186508139,0.195947136,Te-131,6.42E-06,,,"Te|<NA>|102|n,g",,FALSE,52,131,
+Te,52,123,0.0089,107,"n,a",0.016355966,4.67E-05,0.016355966,4.57E-05,Sn-120,,,,"Te|<NA>|107|n,a",,FALSE,50,120,
+Te,52,120,0.0009,107,"n,a",2.00E-05,,4.36E-06,2.00E-05,Sn-117,5.83E-07,,,"Te|<NA>|107|n,a",,FALSE,50,117,
+Te,52,125,0.0707,107,"n,a",2.34E-06,,2.34E-06,2.06E-06,Sn-122,,,,"Te|<NA>|107|n,a",,FALSE,50,122,
+Te,52,122,0.0255,107,"n,a",1.64E-07,,1.26E-07,1.64E-07,Sn-119,2.74E-08,,,"Te|<NA>|107|n,a",,FALSE,50,119,
+Te,52,124,0.0474,107,"n,a",5.36E-10,,1.58E-10,5.36E-10,Sn-121,3.99E-10,,,"Te|<NA>|107|n,a",,FALSE,50,121,
+Te,52,123,0.0089,103,"n,p",3.94E-13,,1.08E-17,3.94E-13,Sb-123,,,,"Te|<NA>|103|n,p",,FALSE,51,123,
+Te,52,126,0.1884,107,"n,a",1.01E-15,,4.88E-16,1.01E-15,Sn-123,6.21E-08,,,"Te|<NA>|107|n,a",,FALSE,50,123,
+Te,52,125,0.0707,103,"n,p",1.00E-20,,,1.00E-20,Sb-125,7.96E-09,,,"Te|<NA>|103|n,p",,FALSE,51,125,
+Te,52,128,0.3174,107,"n,a",1.00E-20,,1.57E-22,1.00E-20,Sn-125,8.32E-07,,,"Te|<NA>|107|n,a",,FALSE,50,125,
+Te,52,130,0.3408,107,"n,a",1.00E-20,,,1.00E-20,Sn-127,,,,"Te|<NA>|107|n,a",,FALSE,50,127,
+Te,52,129,,102,"n,g",1602.91453,1602.91453,0.770811827,21.37529309,Te-130,,,,"Te|129|102|n,g",FUENTE,TRUE,52,130,
+Te,52,131,,107,"n,a",1.53E-09,1.53E-09,4.15E-15,7.51E-13,Sn-128,,,,"Te|131|107|n,a",FUENTE,TRUE,50,128,
+Te,52,132,,102,"n,g",1.098636036,0.125108706,0.139621948,1.098636036,Te-133,,,,"Te|132|102|n,g",FUENTE,TRUE,52,133,
+Te,52,121,,102,"n,g",63.95831503,35.02832426,63.95831503,39.91669158,Te-122,,,,"Te|121|102|n,g",FUENTE,TRUE,52,122,
+Te,52,127,,102,"n,g",8490.717363,3386.156204,0.824008497,8490.717363,Te-128,,,,"Te|127|102|n,g",FUENTE,TRUE,52,128,
+Te,52,118,,103,"n,p",1.10E-10,,1.10E-10,,Sb-118,,,,"Te|118|103|n,p",FUENTE,TRUE,51,118,
+Te,52,119,,102,"n,g",13.62136911,,13.62136911,,Te-120,,,,"Te|119|102|n,g",FUENTE,TRUE,52,120,
+Te,52,121,,103,"n,p",0.002000754,0.002000754,9.24E-09,4.43E-06,Sb-121,,,,"Te|121|103|n,p",FUENTE,TRUE,51,121,
+Te,52,118,,107,"n,a",0.000165669,,0.000165669,,Sn-115,,,,"Te|118|107|n,a",FUENTE,TRUE,50,115,
+Te,52,129,,107,"n,a",6.45E-10,,3.14E-13,6.45E-10,Sn-126,,,,"Te|129|107|n,a",FUENTE,TRUE,50,126,
+Te,52,119,,103,"n,p",0.004411466,,0.004411466,,Sb-119,,,,"Te|119|103|n,p",FUENTE,TRUE,51,119,
+Te,52,121,,107,"n,a",2.809567405,2.809567405,0.00129475,0.026103761,Sn-118,,,,"Te|121|107|n,a",FUENTE,TRUE,50,118,
+,52,132,,107,"n,a",1.02E-20,,,1.02E-20,Sn-129,,,,"nan|132|107|n,a",FUENTE,TRUE,50,129,
+Te,52,131,,102,"n,g",9.540669484,0.003809711,0.156694992,9.540669484,Te-132,2.51E-06,,,"Te|131|102|n,g",FUENTE,TRUE,52,132,276480
+Te,52,127,,107,"n,a",1.37E-05,,6.00E-09,1.37E-05,Sn-124,,,,"Te|127|107|n,a",FUENTE,TRUE,50,124,
+Te,52,119,,107,"n,a",0.044703276,,0.044703276,,Sn-116,,,,"Te|119|107|n,a",FUENTE,TRUE,50,116,
+Te,52,118,,102,"n,g",1.654749069,,1.654749069,,Te-119,,,,"Te|118|102|n,g",FUENTE,TRUE,52,119,
+I,53,127,1,102,"n,g",6.412285722,6.155687979,6.412285722,5.809591386,I-128,0.000462283,,,"I|<NA>|102|n,g",,FALSE,53,128,
+I,53,127,1,107,"n,a",1.65E-08,1.65E-08,9.55E-12,5.19E-15,Sb-124,1.33E-07,,,"I|<NA>|107|n,a",,FALSE,51,124,
+I,53,127,1,103,"n,p",1.40E-08,1.40E-08,,1.29E-23,Te-127,7.36E-08,,,"I|<NA>|103|n,p",,FALSE,52,127,
+I,53,130,,103,"n,p",1.25E-12,,1.25E-12,,Te-130,,,,"I|130|103|n,p",FUENTE,TRUE,52,130,
+I,53,132,,102,"n,g",0.347004905,0.347004905,,,I-133,9.26E-06,,,"I|132|102|n,g",FUENTE,TRUE,53,133,74880
+I,53,125,,107,"n,a",1.47E-08,,1.47E-08,,Sb-122,2.95E-06,,,"I|125|107|n,a",FUENTE,TRUE,51,122,235008
+I,53,134,,102,"n,g",0.007999875,0.007999875,,,I-135,,,,"I|134|102|n,g",FUENTE,TRUE,53,135,
+I,53,125,,103,"n,p",1.24E-10,,1.24E-10,,Te-125,1.40E-07,,,"I|125|103|n,p",FUENTE,TRUE,52,125,4959360
+I,53,128,,107,"n,a",0.000446387,0.000446387,3.73E-07,2.83E-06,Sb-125,7.96E-09,,,"I|128|107|n,a",FUENTE,TRUE,51,125,87097115.98
+I,53,128,,103,"n,p",0.002726417,0.002726417,7.92E-06,3.41E-05,Te-128,,,,"I|128|103|n,p",FUENTE,TRUE,52,128,
+I,53,129,,102,"n,g",32.58219058,30.45900743,30.36295162,32.58219058,I-130,,,,"I|129|102|n,g",FUENTE,TRUE,53,130,
+I,53,130,,107,"n,a",3.13E-08,,3.13E-08,,Sb-127,,,,"I|130|107|n,a",FUENTE,TRUE,51,127,
+I,53,123,,107,"n,a",1.40E-07,,1.40E-07,,Sb-120,,,,"I|123|107|n,a",FUENTE,TRUE,51,120,
+I,53,131,,107,"n,a",2.51E-18,,2.51E-18,,Sb-128,,,,"I|131|107|n,a",FUENTE,TRUE,51,128,
+I,53,134,,107,"n,a",3.92E-09,3.92E-09,,,Sb-131,,,,"I|134|107|n,a",FUENTE,TRUE,51,131,
+I,53,123,,103,"n,p",3.37E-06,,3.37E-06,,Te-123,6.73E-08,,,"I|123|103|n,p",FUENTE,TRUE,52,123,10298880
+I,53,124,,102,"n,g",60.1755362,,60.1755362,,I-125,1.35E-07,,,"I|124|102|n,g",FUENTE,TRUE,53,125,5132160
+I,53,133,,102,"n,g",0.090396297,0.015274734,0.090396297,,I-134,,,,"I|133|102|n,g",FUENTE,TRUE,53,134,
+I,53,126,,107,"n,a",0.009755688,,0.000320792,0.009755688,Sb-123,,,,"I|126|107|n,a",FUENTE,TRUE,51,123,
+I,53,129,,107,"n,a",1.35E-14,,1.35E-14,4.04E-15,Sb-126,,,,"I|129|107|n,a",FUENTE,TRUE,51,126,
+I,53,135,,102,"n,g",80.15827656,80.15827656,0.002962087,80.15827656,I-136,,,,"I|135|102|n,g",FUENTE,TRUE,53,136,
+I,53,126,,103,"n,p",1.677211431,,1.677211431,1.38782163,Te-126,,,,"I|126|103|n,p",FUENTE,TRUE,52,126,
+I,53,128,,102,"n,g",22.03598881,3.706849629,6.036879025,22.03598881,I-129,1.40E-15,,,"I|128|102|n,g",FUENTE,TRUE,53,129,4.95444E+14
+I,53,132,,107,"n,a",1.22E-07,1.22E-07,,,Sb-129,,,,"I|132|107|n,a",FUENTE,TRUE,51,129,
+I,53,124,,107,"n,a",0.000152487,,0.000152487,,Sb-121,,,,"I|124|107|n,a",FUENTE,TRUE,51,121,
+I,53,130,,102,"n,g",18.0327909,17.48292108,18.0327909,17.48292108,I-131,1.00E-06,,,"I|130|102|n,g",FUENTE,TRUE,53,131,692928
+I,53,123,,102,"n,g",22.19956952,,22.19956952,,I-124,,,,"I|123|102|n,g",FUENTE,TRUE,53,124,
+I,53,124,,103,"n,p",0.411329431,,0.411329431,,Te-124,,,,"I|124|103|n,p",FUENTE,TRUE,52,124,
+I,53,131,,102,"n,g",80.14575179,80.14573994,80.14575179,80.14573994,I-132,,,,"I|131|102|n,g",FUENTE,TRUE,53,132,
+I,53,125,,102,"n,g",895.6288261,,895.6288261,,I-126,,,,"I|125|102|n,g",FUENTE,TRUE,53,126,
+I,53,126,,102,"n,g",5970.85821,,5970.85821,5956.299206,I-127,,,,"I|126|102|n,g",FUENTE,TRUE,53,127,
+Xe,54,124,0.00095,102,"n,g",149.8589642,148.5971367,148.5971367,149.8589642,Xe-125,1.14E-05,,,"Xe|<NA>|102|n,g",,FALSE,54,125,
+Xe,54,131,0.21232,102,"n,g",99.81810396,90.16747832,99.81810396,87.2217237,Xe-132,,,,"Xe|<NA>|102|n,g",,FALSE,54,132,
+Xe,54,129,0.26401,102,"n,g",22.04329125,21.03739841,22.04329125,22.04329125,Xe-130,,,,"Xe|<NA>|102|n,g",,FALSE,54,130,
+Xe,54,128,0.0191,102,"n,g",5.212404997,5.200379864,5.212404997,5.212404997,Xe-129,9.03E-07,,,"Xe|<NA>|102|n,g",,FALSE,54,129,
+Xe,54,130,0.04071,102,"n,g",4.818762504,4.785987859,4.818762504,4.785987859,Xe-131,6.78E-07,,,"Xe|<NA>|102|n,g",,FALSE,54,131,
+Xe,54,126,0.00089,102,"n,g",4.279123527,3.492656722,4.279123527,3.492838622,Xe-127,2.21E-07,,,"Xe|<NA>|102|n,g",,FALSE,54,127,
+Xe,54,132,0.26909,102,"n,g",0.451347037,0.451347037,0.445796558,0.451347037,Xe-133,1.53E-06,,,"Xe|<NA>|102|n,g",,FALSE,54,133,
+Xe,54,134,0.10436,102,"n,g",0.265474107,0.265292006,0.265474107,0.265292006,Xe-135,2.11E-05,,,"Xe|<NA>|102|n,g",,FALSE,54,135,
+Xe,54,136,0.08857,102,"n,g",0.261126996,0.261126996,0.130232559,0.261126996,Xe-137,0.003024202,,,"Xe|<NA>|102|n,g",,FALSE,54,137,
+Xe,54,124,0.00095,107,"n,a",0.000129186,,,0.000129186,Te-121,4.18E-07,,,"Xe|<NA>|107|n,a",,FALSE,52,121,
+Xe,54,131,0.21232,107,"n,a",1.04E-05,,,1.04E-05,Te-128,,,,"Xe|<NA>|107|n,a",,FALSE,52,128,
+Xe,54,126,0.00089,107,"n,a",1.29E-07,,,1.29E-07,Te-123,6.73E-08,,,"Xe|<NA>|107|n,a",,FALSE,52,123,
+Xe,54,124,0.00095,103,"n,p",1.00E-20,,,1.00E-20,I-124,,,,"Xe|<NA>|103|n,p",,FALSE,53,124,
+Xe,54,132,0.26909,103,"n,p",2.45E-32,,2.45E-32,,I-132,,,,"Xe|<NA>|103|n,p",,FALSE,53,132,
+Xe,54,127,,107,"n,a",0.129461612,0.129461612,0.001001822,0.000890002,Te-124,,,,"Xe|127|107|n,a",FUENTE,TRUE,52,124,
+Xe,54,133,,102,"n,g",190.346116,190.346116,0.247753547,190.346116,Xe-134,,,,"Xe|133|102|n,g",FUENTE,TRUE,54,134,
+Xe,54,135,,103,"n,p",1.37E-31,,1.37E-31,,I-135,,,,"Xe|135|103|n,p",FUENTE,TRUE,53,135,
+Xe,54,125,,102,"n,g",561.0202392,9.790067691,561.0202392,,Xe-126,,,,"Xe|125|102|n,g",FUENTE,TRUE,54,126,
+Xe,54,127,,103,"n,p",2.13E-08,,3.55E-09,2.13E-08,I-127,,,,"Xe|127|103|n,p",FUENTE,TRUE,53,127,
+Xe,54,122,,107,"n,a",7.10E-06,,7.10E-06,,Te-119,,,,"Xe|122|107|n,a",FUENTE,TRUE,52,119,
+Xe,54,133,,107,"n,a",4.70E-17,,4.70E-17,,Te-130,,,,"Xe|133|107|n,a",FUENTE,TRUE,52,130,
+Xe,54,122,,103,"n,p",1.09E-07,,1.09E-07,,I-122,,,,"Xe|122|103|n,p",FUENTE,TRUE,53,122,
+Xe,54,123,,102,"n,g",82.59199944,82.59199944,,82.59199944,Xe-124,,,,"Xe|123|102|n,g",FUENTE,TRUE,54,124,
+Xe,54,125,,103,"n,p",0.065439785,0.065439785,0.006947247,,I-125,1.35E-07,,,"Xe|125|103|n,p",FUENTE,TRUE,53,125,5132160
+Xe,54,123,,107,"n,a",0.940224995,0.940224995,,0.940224995,Te-120,,,,"Xe|123|107|n,a",FUENTE,TRUE,52,120,
+Xe,54,123,,103,"n,p",0.246558934,0.246558934,,0.246558934,I-123,1.46E-05,,,"Xe|123|103|n,p",FUENTE,TRUE,53,123,47592
+Xe,54,125,,107,"n,a",2.513356324,2.513356324,0.003005464,,Te-122,,,,"Xe|125|107|n,a",FUENTE,TRUE,52,122,
+Xe,54,135,,102,"n,g",10142679.79,2647493,2759906,10142679.79,Xe-136,,,,"Xe|135|102|n,g",FUENTE,TRUE,54,136,
+Xe,54,127,,102,"n,g",36.20174761,3.301022283,4.763943319,36.20174761,Xe-128,,,,"Xe|127|102|n,g",FUENTE,TRUE,54,128,
+Xe,54,129,,107,"n,a",1.99E-10,,1.99E-10,,Te-126,,,,"Xe|129|107|n,a",FUENTE,TRUE,52,126,
+Xe,54,129,,103,"n,p",2.58E-15,,2.58E-15,,I-129,1.40E-15,,,"Xe|129|103|n,p",FUENTE,TRUE,53,129,4.95444E+14
+Xe,54,122,,102,"n,g",3.810740395,,3.810740395,,Xe-123,,,,"Xe|122|102|n,g",FUENTE,TRUE,54,123,
+,54,135,,107,"n,a",0.000292778,,,0.000292778,Te-132,2.51E-06,,,"nan|135|107|n,a",FUENTE,TRUE,52,132,276480
+Cs,55,133,1,102,"n,g",32.24079022,29.09640046,32.24079022,29.09640046,Cs-134,1.06E-08,,,"Cs|<NA>|102|n,g",,FALSE,55,134,
+Cs,55,133,1,107,"n,a",1.11E-10,,1.11E-10,,I-130,,,,"Cs|<NA>|107|n,a",,FALSE,53,130,
+Cs,55,134,,102,"n,g",140.8521798,140.8521798,140.8521798,140.615054,Cs-135,9.55E-15,,,"Cs|134|102|n,g",FUENTE,TRUE,55,135,7.25809E+13
+Cs,55,137,,102,"n,g",0.270491953,0.250455529,0.270491953,0.268993646,Cs-138,,,,"Cs|137|102|n,g",FUENTE,TRUE,55,138,
+Cs,55,129,,102,"n,g",6.366317402,,6.366317402,,Cs-130,,,,"Cs|129|102|n,g",FUENTE,TRUE,55,130,
+Cs,55,132,,102,"n,g",12.47828926,,12.47828926,,Cs-133,,,,"Cs|132|102|n,g",FUENTE,TRUE,55,133,
+Cs,55,136,,107,"n,a",4.28E-08,,4.42E-09,4.28E-08,I-133,9.26E-06,,,"Cs|136|107|n,a",FUENTE,TRUE,53,133,74880
+Cs,55,135,,102,"n,g",8.676336424,8.676336424,8.587042167,8.314865012,Cs-136,,,,"Cs|135|102|n,g",FUENTE,TRUE,55,136,
+Cs,55,136,,103,"n,p",1.06E-15,,7.31E-16,1.06E-15,Xe-136,,,,"Cs|136|103|n,p",FUENTE,TRUE,54,136,
+Cs,55,131,,107,"n,a",1.09E-10,,1.09E-10,,I-128,0.000462283,,,"Cs|131|107|n,a",FUENTE,TRUE,53,128,1499.4
+Cs,55,131,,103,"n,p",3.79E-11,,3.79E-11,,Xe-131,6.78E-07,,,"Cs|131|103|n,p",FUENTE,TRUE,54,131,1022976
+Cs,55,134,,107,"n,a",1.30E-05,5.76E-06,5.76E-06,1.30E-05,I-131,1.00E-06,,,"Cs|134|107|n,a",FUENTE,TRUE,53,131,692928
+Cs,55,134,,103,"n,p",6.27E-07,6.27E-07,6.27E-07,3.90E-07,Xe-134,,,,"Cs|134|103|n,p",FUENTE,TRUE,54,134,
+Cs,55,137,,107,"n,a",1.68E-18,,1.68E-18,1.00E-20,I-134,,,,"Cs|137|107|n,a",FUENTE,TRUE,53,134,
+Cs,55,136,,102,"n,g",13.02369118,13.02369118,13.02369118,11.96024743,Cs-137,7.28E-10,,,"Cs|136|102|n,g",FUENTE,TRUE,55,137,952072459.8
+Cs,55,129,,107,"n,a",1.07E-08,,1.07E-08,,I-126,,,,"Cs|129|107|n,a",FUENTE,TRUE,53,126,
+Cs,55,129,,103,"n,p",7.59E-06,,7.59E-06,,Xe-129,9.03E-07,,,"Cs|129|103|n,p",FUENTE,TRUE,54,129,767232
+Cs,55,132,,107,"n,a",0.015027331,,0.015027331,,I-129,1.40E-15,,,"Cs|132|107|n,a",FUENTE,TRUE,53,129,4.95444E+14
+Cs,55,131,,102,"n,g",6.922309231,,6.922309231,,Cs-132,,,,"Cs|131|102|n,g",FUENTE,TRUE,55,132,
+Cs,55,132,,103,"n,p",0.000561707,,0.000561707,,Xe-132,,,,"Cs|132|103|n,p",FUENTE,TRUE,54,132,
+Cs,55,135,,107,"n,a",1.28E-14,,1.28E-14,1.28E-14,I-132,,,,"Cs|135|107|n,a",FUENTE,TRUE,53,132,
+Ba,56,130,0.0011,102,"n,g",8.714459871,8.693364925,8.008343201,8.714459871,Ba-131,6.98E-07,,,"Ba|<NA>|102|n,g",,FALSE,56,131,
+Ba,56,132,0.001,102,"n,g",8.089046894,6.541514735,8.089046894,7.012751178,Ba-133,2.09E-09,,,"Ba|<NA>|102|n,g",,FALSE,56,133,
+Ba,56,135,0.0659,102,"n,g",5.880726581,5.880726581,5.806328332,5.806328332,Ba-136,,,,"Ba|<NA>|102|n,g",,FALSE,56,136,
+Ba,56,137,0.1123,102,"n,g",3.606723507,3.606723507,3.606723507,3.606723507,Ba-138,,,,"Ba|<NA>|102|n,g",,FALSE,56,138,
+Ba,56,134,0.0242,102,"n,g",1.503266698,1.503266698,1.503266698,1.503266698,Ba-135,6.71E-06,,,"Ba|<NA>|102|n,g",,FALSE,56,135,
+Ba,56,136,0.0785,102,"n,g",0.681406032,0.680562665,0.681406032,0.681406032,Ba-137,0.004530374,,,"Ba|<NA>|102|n,g",,FALSE,56,137,
+Ba,56,138,0.717,102,"n,g",0.404964709,0.404127367,0.404964709,0.404964709,Ba-139,0.000139086,,,"Ba|<NA>|102|n,g",,FALSE,56,139,
+Ba,56,135,0.0659,107,"n,a",3.71E-06,,3.71E-06,,Xe-132,,,,"Ba|<NA>|107|n,a",,FALSE,54,132,
+Ba,56,130,0.0011,107,"n,a",3.12E-06,,3.12E-06,,Xe-127,2.21E-07,,,"Ba|<NA>|107|n,a",,FALSE,54,127,
+Ba,56,132,0.001,107,"n,a",1.52E-07,,1.52E-07,,Xe-129,9.03E-07,,,"Ba|<NA>|107|n,a",,FALSE,54,129,
+Ba,56,137,0.1123,107,"n,a",1.02E-07,,1.02E-07,,Xe-134,,,,"Ba|<NA>|107|n,a",,FALSE,54,134,
+Ba,56,134,0.0242,107,"n,a",2.07E-10,,2.07E-10,,Xe-131,6.78E-07,,,"Ba|<NA>|107|n,a",,FALSE,54,131,
+Ba,56,136,0.0785,107,"n,a",6.65E-13,,6.65E-13,,Xe-133,1.53E-06,,,"Ba|<NA>|107|n,a",,FALSE,54,133,
+Ba,56,138,0.717,107,"n,a",9.31E-14,,9.31E-14,,Xe-135,2.11E-05,,,"Ba|<NA>|107|n,a",,FALSE,54,135,
+Ba,56,135,0.0659,103,"n,p",5.74E-22,,5.74E-22,,Cs-135,9.55E-15,,,"Ba|<NA>|103|n,p",,FALSE,55,135,
+Ba,56,140,,107,"n,a",2.97E-09,4.03E-15,5.02E-10,2.97E-09,Xe-137,0.003024202,,,"Ba|140|107|n,a",FUENTE,TRUE,54,137,229.2
+Ba,56,140,,102,"n,g",1.597268682,1.597268682,1.572860764,1.594224123,Ba-141,,,,"Ba|140|102|n,g",FUENTE,TRUE,56,141,
+Ba,56,133,,107,"n,a",0.000130181,,4.28E-05,0.000130181,Xe-130,,,,"Ba|133|107|n,a",FUENTE,TRUE,54,130,
+Ba,56,133,,103,"n,p",5.40E-09,,5.40E-09,8.67E-11,Cs-133,,,,"Ba|133|103|n,p",FUENTE,TRUE,55,133,
+Ba,56,128,,107,"n,a",3.33E-05,,3.33E-05,,Xe-125,1.14E-05,,,"Ba|128|107|n,a",FUENTE,TRUE,54,125,60840
+Ba,56,139,,107,"n,a",0.003743261,0.003743261,0.000156199,0.000215373,Xe-136,,,,"Ba|139|107|n,a",FUENTE,TRUE,54,136,
+Ba,56,128,,103,"n,p",8.91E-10,,8.91E-10,,Cs-128,,,,"Ba|128|103|n,p",FUENTE,TRUE,55,128,
+Ba,56,129,,102,"n,g",19.17737327,,19.17737327,,Ba-130,,,,"Ba|129|102|n,g",FUENTE,TRUE,56,130,
+Ba,56,131,,107,"n,a",1.656980419,1.656980419,0.001166259,0.00811653,Xe-128,,,,"Ba|131|107|n,a",FUENTE,TRUE,54,128,
+Ba,56,131,,103,"n,p",0.007176426,0.007176426,6.34E-06,5.37E-05,Cs-131,8.28E-07,,,"Ba|131|103|n,p",FUENTE,TRUE,55,131,837216
+Ba,56,133,,102,"n,g",4.187286049,2.818075767,2.733949947,4.187286049,Ba-134,,,,"Ba|133|102|n,g",FUENTE,TRUE,56,134,
+Ba,56,131,,102,"n,g",43.20605203,2.734904848,7.562843891,43.20605203,Ba-132,,,,"Ba|131|102|n,g",FUENTE,TRUE,56,132,
+Ba,56,129,,107,"n,a",0.017131685,,0.017131685,,Xe-126,,,,"Ba|129|107|n,a",FUENTE,TRUE,54,126,
+Ba,56,128,,102,"n,g",3.110466614,,3.110466614,,Ba-129,,,,"Ba|128|102|n,g",FUENTE,TRUE,56,129,
+Ba,56,139,,102,"n,g",6.190216666,0.030067307,4.708562847,6.190216666,Ba-140,6.29E-07,,,"Ba|139|102|n,g",FUENTE,TRUE,56,140,1101600
+Ba,56,129,,103,"n,p",0.016127081,,0.016127081,,Cs-129,,,,"Ba|129|103|n,p",FUENTE,TRUE,55,129,
+La,57,138,0.0008881,102,"n,g",57.21752582,57.18577062,57.16214275,57.21752582,La-139,,,,"La|<NA>|102|n,g",,FALSE,57,139,
+La,57,139,0.9991119,102,"n,g",9.076775604,9.076775604,8.952691486,9.055407933,La-140,4.78E-06,,,"La|<NA>|102|n,g",,FALSE,57,140,
+La,57,138,0.0008881,107,"n,a",2.48E-05,,6.51E-06,2.48E-05,Cs-135,9.55E-15,,,"La|<NA>|107|n,a",,FALSE,55,135,
+La,57,138,0.0008881,103,"n,p",5.75E-06,,3.03E-09,5.75E-06,Ba-138,,,,"La|<NA>|103|n,p",,FALSE,56,138,
+La,57,139,0.9991119,107,"n,a",1.10E-09,1.10E-09,4.65E-11,,Cs-136,,,,"La|<NA>|107|n,a",,FALSE,55,136,
+La,57,141,,102,"n,g",0.344845136,,0.344845136,,La-142,,,,"La|141|102|n,g",FUENTE,TRUE,57,142,
+La,57,135,,107,"n,a",8.51E-08,,8.51E-08,,Cs-132,,,,"La|135|107|n,a",FUENTE,TRUE,55,132,
+La,57,135,,103,"n,p",1.00E-06,,1.00E-06,,Ba-135,6.71E-06,,,"La|135|103|n,p",FUENTE,TRUE,56,135,103320
+La,57,137,,107,"n,a",5.85E-08,,1.39E-09,5.85E-08,Cs-134,1.06E-08,,,"La|137|107|n,a",FUENTE,TRUE,55,134,65165052.36
+La,57,137,,102,"n,g",150.3661427,,4.887137962,150.3661427,La-138,,,,"La|137|102|n,g",FUENTE,TRUE,57,138,
+La,57,141,,107,"n,a",2.31E-09,,2.31E-09,,Cs-138,,,,"La|141|107|n,a",FUENTE,TRUE,55,138,
+La,57,140,,102,"n,g",13.35236821,2.707837911,2.704919525,13.35236821,La-141,,,,"La|140|102|n,g",FUENTE,TRUE,57,141,
+La,57,135,,102,"n,g",10.65357647,,10.65357647,,La-136,,,,"La|135|102|n,g",FUENTE,TRUE,57,136,
+La,57,137,,103,"n,p",9.26E-10,,2.08E-10,9.26E-10,Ba-137,0.004530374,,,"La|137|103|n,p",FUENTE,TRUE,56,137,153
+La,57,140,,107,"n,a",0.00059981,,0.00055128,0.00059981,Cs-137,7.28E-10,,,"La|140|107|n,a",FUENTE,TRUE,55,137,952072459.8
+Ce,58,136,0.00185,102,"n,g",7.526571284,7.468801876,4.245560183,7.526571284,Ce-137,,,,"Ce|<NA>|102|n,g",,FALSE,58,137,
+Ce,58,138,0.00251,102,"n,g",1.210830067,1.038727125,1.027,1.210830067,Ce-139,5.83E-08,,,"Ce|<NA>|102|n,g",,FALSE,58,139,
+Ce,58,142,0.11114,102,"n,g",0.976362075,0.976362075,0.96263714,0.96263714,Ce-143,5.83E-06,,,"Ce|<NA>|102|n,g",,FALSE,58,143,
+Ce,58,140,0.8845,102,"n,g",0.57949664,0.464461376,0.571195521,0.57949664,Ce-141,2.47E-07,,,"Ce|<NA>|102|n,g",,FALSE,58,141,
+Ce,58,136,0.00185,107,"n,a",1.07E-05,,2.89E-06,1.07E-05,Ba-133,2.09E-09,,,"Ce|<NA>|107|n,a",,FALSE,56,133,
+Ce,58,138,0.00251,107,"n,a",2.37E-08,,1.67E-08,2.37E-08,Ba-135,6.71E-06,,,"Ce|<NA>|107|n,a",,FALSE,56,135,
+Ce,58,140,0.8845,107,"n,a",1.42E-08,,,1.42E-08,Ba-137,0.004530374,,,"Ce|<NA>|107|n,a",,FALSE,56,137,
+Ce,58,136,0.00185,103,"n,p",1.00E-20,,2.79E-32,1.00E-20,La-136,,,,"Ce|<NA>|103|n,p",,FALSE,57,136,
+Ce,58,134,,107,"n,a",6.53E-07,,6.53E-07,,Ba-131,6.98E-07,,,"Ce|134|107|n,a",FUENTE,TRUE,56,131,993600
+Ce,58,143,,102,"n,g",6.012270536,6.012270536,6.010931857,4.494958019,Ce-144,2.82E-08,,,"Ce|143|102|n,g",FUENTE,TRUE,58,144,24615360
+Ce,58,134,,103,"n,p",1.47E-11,,1.47E-11,,La-134,,,,"Ce|134|103|n,p",FUENTE,TRUE,57,134,
+Ce,58,137,,107,"n,a",0.442656066,0.442656066,1.14E-06,0.001742662,Ba-134,,,,"Ce|137|107|n,a",FUENTE,TRUE,56,134,
+Ce,58,135,,102,"n,g",9.775858685,,9.775858685,,Ce-136,,,,"Ce|135|102|n,g",FUENTE,TRUE,58,136,
+Ce,58,137,,103,"n,p",0.002298328,0.002298328,5.29E-06,6.01E-06,La-137,,,,"Ce|137|103|n,p",FUENTE,TRUE,57,137,
+Ce,58,141,,102,"n,g",29.06876731,29.05530417,29.06876731,29.05530417,Ce-142,,,,"Ce|141|102|n,g",FUENTE,TRUE,58,142,
+,58,143,,107,"n,a",3.64E-05,,,3.64E-05,Ba-140,6.29E-07,,,"nan|143|107|n,a",FUENTE,TRUE,56,140,1101600
+Ce,58,135,,107,"n,a",0.00128111,,0.00128111,,Ba-132,,,,"Ce|135|107|n,a",FUENTE,TRUE,56,132,
+Ce,58,144,,102,"n,g",1.001822063,1.001822063,1.001822063,1.001822063,Ce-145,,,,"Ce|144|102|n,g",FUENTE,TRUE,58,145,
+Ce,58,135,,103,"n,p",0.000392004,,0.000392004,,La-135,,,,"Ce|135|103|n,p",FUENTE,TRUE,57,135,
+Ce,58,137,,102,"n,g",490.8977202,6.043904361,7.414323761,490.8977202,Ce-138,,,,"Ce|137|102|n,g",FUENTE,TRUE,58,138,
+Ce,58,141,,107,"n,a",1.05E-12,1.05E-12,,1.05E-12,Ba-138,,,,"Ce|141|107|n,a",FUENTE,TRUE,56,138,
+Ce,58,139,,102,"n,g",500.9529034,500.9529034,1.479229784,437.3104801,Ce-140,,,,"Ce|139|102|n,g",FUENTE,TRUE,58,140,
+Ce,58,134,,102,"n,g",2.797878369,,2.797878369,,Ce-135,,,,"Ce|134|102|n,g",FUENTE,TRUE,58,135,
+Ce,58,139,,107,"n,a",0.003995272,,5.80E-07,0.003995272,Ba-136,,,,"Ce|139|107|n,a",FUENTE,TRUE,56,136,
+Ce,58,139,,103,"n,p",9.48E-11,,1.71E-13,9.48E-11,La-139,,,,"Ce|139|103|n,p",FUENTE,TRUE,57,139,
+Pr,59,141,1,102,"n,g",11.52717785,11.52717785,11.49764248,11.52717785,Pr-142,1.01E-05,,,"Pr|<NA>|102|n,g",,FALSE,59,142,
+Pr,59,141,1,107,"n,a",0.000213282,,0.000213282,,La-138,,,,"Pr|<NA>|107|n,a",,FALSE,57,138,
+Pr,59,142,,107,"n,a",0.017195936,,0.001211657,0.017195936,La-139,,,,"Pr|142|107|n,a",FUENTE,TRUE,57,139,
+Pr,59,142,,103,"n,p",3.21E-08,,3.21E-08,2.19E-08,Ce-142,,,,"Pr|142|103|n,p",FUENTE,TRUE,58,142,
+Pr,59,143,,102,"n,g",90.20415128,90.02800095,90.20414237,90.20415128,Pr-144,,,,"Pr|143|102|n,g",FUENTE,TRUE,59,144,
+Pr,59,143,,107,"n,a",0.008860849,,0.008860849,,La-140,4.78E-06,,,"Pr|143|107|n,a",FUENTE,TRUE,57,140,144979.2
+Pr,59,142,,102,"n,g",20.04426435,20.04426435,18.0327909,19.91086644,Pr-143,5.91E-07,,,"Pr|142|102|n,g",FUENTE,TRUE,59,143,1172448
+Nd,60,143,0.12174,102,"n,g",326.41241,325.7435953,326.41241,325.7476516,Nd-144,,,,"Nd|<NA>|102|n,g",,FALSE,60,144,
+Nd,60,145,0.08293,102,"n,g",50.08509058,42.0683752,49.6463073,50.08509058,Nd-146,,,,"Nd|<NA>|102|n,g",,FALSE,60,146,
+Nd,60,142,0.27152,102,"n,g",18.77610848,18.72871441,18.73285847,18.77610848,Nd-143,,,,"Nd|<NA>|102|n,g",,FALSE,60,143,
+Nd,60,144,0.23798,102,"n,g",3.631244882,3.600319057,3.631244882,3.600319057,Nd-145,,,,"Nd|<NA>|102|n,g",,FALSE,60,145,
+Nd,60,148,0.05756,102,"n,g",2.588367038,2.588367038,2.585536729,2.585536729,Nd-149,0.000111295,,,"Nd|<NA>|102|n,g",,FALSE,60,149,
+Nd,60,146,0.17189,102,"n,g",1.49234932,1.491973075,1.49234932,1.491973075,Nd-147,7.31E-07,,,"Nd|<NA>|102|n,g",,FALSE,60,147,
+Nd,60,150,0.05638,102,"n,g",1.056958666,1.042437021,1.042201719,1.056958666,Nd-151,0.000928654,,,"Nd|<NA>|102|n,g",,FALSE,60,151,
+Nd,60,143,0.12174,107,"n,a",0.020377627,,,0.020377627,Ce-140,,,,"Nd|<NA>|107|n,a",,FALSE,58,140,
+Nd,60,145,0.08293,107,"n,a",9.73E-05,,,9.73E-05,Ce-142,,,,"Nd|<NA>|107|n,a",,FALSE,58,142,
+Nd,60,142,0.27152,107,"n,a",4.89E-05,,,4.89E-05,Ce-139,5.83E-08,,,"Nd|<NA>|107|n,a",,FALSE,58,139,
+Nd,60,148,0.05756,107,"n,a",3.05E-10,,,3.05E-10,Ce-145,,,,"Nd|<NA>|107|n,a",,FALSE,58,145,
+Nd,60,150,0.05638,107,"n,a",3.96E-16,,,3.96E-16,Ce-147,,,,"Nd|<NA>|107|n,a",,FALSE,58,147,
+Nd,60,149,,102,"n,g",6.995863906,6.995863906,3.689209529,,Nd-150,,,,"Nd|149|102|n,g",FUENTE,TRUE,60,150,
+Nd,60,150,,103,"n,p",2.15E-14,2.15E-14,,,Pr-150,,,,"Nd|150|103|n,p",FUENTE,TRUE,59,150,
+Nd,60,141,,102,"n,g",6.255706712,,6.255706712,,Nd-142,,,,"Nd|141|102|n,g",FUENTE,TRUE,60,142,
+Nd,60,140,,107,"n,a",4.85E-08,,4.85E-08,,Ce-137,,,,"Nd|140|107|n,a",FUENTE,TRUE,58,137,
+Nd,60,147,,102,"n,g",441.3827059,441.3827059,143.7579651,441.3827059,Nd-148,,,,"Nd|147|102|n,g",FUENTE,TRUE,60,148,
+Nd,60,140,,103,"n,p",8.70E-12,,8.70E-12,,Pr-140,,,,"Nd|140|103|n,p",FUENTE,TRUE,59,140,
+Nd,60,146,,107,"n,a",1.46E-07,,1.46E-07,,Ce-143,5.83E-06,,,"Nd|146|107|n,a",FUENTE,TRUE,58,143,118944
+Nd,60,149,,107,"n,a",0.001224237,0.001224237,9.55E-10,,Ce-146,,,,"Nd|149|107|n,a",FUENTE,TRUE,58,146,
+Nd,60,141,,107,"n,a",0.000124808,,0.000124808,,Ce-138,,,,"Nd|141|107|n,a",FUENTE,TRUE,58,138,
+Nd,60,140,,102,"n,g",1.564144248,,1.564144248,,Nd-141,,,,"Nd|140|102|n,g",FUENTE,TRUE,60,141,
+Nd,60,141,,103,"n,p",7.81E-05,,7.81E-05,,Pr-141,,,,"Nd|141|103|n,p",FUENTE,TRUE,59,141,
+Nd,60,144,,107,"n,a",1.57E-05,,1.57E-05,,Ce-141,2.47E-07,,,"Nd|144|107|n,a",FUENTE,TRUE,58,141,2808000
+Nd,60,147,,107,"n,a",0.000411938,,0.000411938,,Ce-144,2.82E-08,,,"Nd|147|107|n,a",FUENTE,TRUE,58,144,24615360
+Pm,61,144,,107,"n,a",0.05425575,0.05425575,0.001754912,,Pr-141,,,,"Pm|144|107|n,a",FUENTE,TRUE,59,141,
+Pm,61,144,,103,"n,p",6.19E-06,6.19E-06,1.95E-07,,Nd-144,,,,"Pm|144|103|n,p",FUENTE,TRUE,60,144,
+Pm,61,147,,107,"n,a",0.001054843,0.001054843,0.001054843,,Pr-144,,,,"Pm|147|107|n,a",FUENTE,TRUE,59,144,
+Pm,61,148,,102,"n,g",10693.29645,2003.643776,10614.87941,10693.29645,Pm-149,3.63E-06,,,"Pm|148|102|n,g",FUENTE,TRUE,61,149,191088
+Pm,61,150,,107,"n,a",0.016452,0.016452,9.27E-08,,Pr-147,,,,"Pm|150|107|n,a",FUENTE,TRUE,59,147,
+Pm,61,149,,102,"n,g",1402.550625,1402.550516,1402.550625,1402.550625,Pm-150,,,,"Pm|149|102|n,g",FUENTE,TRUE,61,150,
+Pm,61,150,,103,"n,p",6.23E-16,,6.23E-16,,Nd-150,,,,"Pm|150|103|n,p",FUENTE,TRUE,60,150,
+Pm,61,151,,102,"n,g",500.9109696,150.3039785,500.9109696,150.3039785,Pm-152,,,,"Pm|151|102|n,g",FUENTE,TRUE,61,152,
+Pm,61,145,,107,"n,a",0.001675969,0.001675969,3.10E-06,,Pr-142,1.01E-05,,,"Pm|145|107|n,a",FUENTE,TRUE,59,142,68832
+Pm,61,144,,102,"n,g",5550.022597,5550.022597,15.09625837,,Pm-145,,,,"Pm|144|102|n,g",FUENTE,TRUE,61,145,
+Pm,61,148,,107,"n,a",0.705482862,,0.705482862,0.007077156,Pr-145,,,,"Pm|148|107|n,a",FUENTE,TRUE,59,145,
+Pm,61,143,,102,"n,g",24.88153219,24.88153219,3.073429017,,Pm-144,,,,"Pm|143|102|n,g",FUENTE,TRUE,61,144,
+Pm,61,145,,103,"n,p",8.37E-14,8.37E-14,1.90E-14,,Nd-145,,,,"Pm|145|103|n,p",FUENTE,TRUE,60,145,
+Pm,61,146,,102,"n,g",560651.6565,560651.6565,8415.303643,,Pm-147,8.38E-09,,,"Pm|146|102|n,g",FUENTE,TRUE,61,147,82679146.33
+Pm,61,148,,103,"n,p",3.83E-08,,3.83E-08,5.89E-12,Nd-148,,,,"Pm|148|103|n,p",FUENTE,TRUE,60,148,
+Pm,61,151,,107,"n,a",3.24E-10,,3.24E-10,,Pr-148,,,,"Pm|151|107|n,a",FUENTE,TRUE,59,148,
+Pm,61,150,,102,"n,g",66.12172743,66.12172743,33.65810796,,Pm-151,,,,"Pm|150|102|n,g",FUENTE,TRUE,61,151,
+Pm,61,143,,107,"n,a",8.90E-05,8.90E-05,2.48E-07,,Pr-140,,,,"Pm|143|107|n,a",FUENTE,TRUE,59,140,
+Pm,61,146,,107,"n,a",10.6670774,10.6670774,0.083497681,,Pr-143,5.91E-07,,,"Pm|146|107|n,a",FUENTE,TRUE,59,143,1172448
+Pm,61,143,,103,"n,p",1.25E-06,1.25E-06,2.62E-07,,Nd-143,,,,"Pm|143|103|n,p",FUENTE,TRUE,60,143,
+Pm,61,145,,102,"n,g",70.85555132,70.85555132,5.278729608,,Pm-146,,,,"Pm|145|102|n,g",FUENTE,TRUE,61,146,
+Pm,61,146,,103,"n,p",0.000467407,0.000467407,9.36E-05,,Nd-146,,,,"Pm|146|103|n,p",FUENTE,TRUE,60,146,
+Pm,61,149,,107,"n,a",0.000129017,,0.000129017,0.000129017,Pr-146,,,,"Pm|149|107|n,a",FUENTE,TRUE,59,146,
+Pm,61,147,,102,"n,g",168.6384427,168.0125668,168.0125668,168.6384427,Pm-148,,,,"Pm|147|102|n,g",FUENTE,TRUE,61,148,
+Sm,62,149,0.1382,102,"n,g",40301.99502,40206.1073,40301.99502,40206.1073,Sm-150,,,#DIV/0!,"Sm|<NA>|102|n,g",,FALSE,62,150,
+Sm,62,152,0.2674,102,"n,g",206.3249213,206.296838,206.1927504,206.3249213,Sm-153,4.16E-06,,,"Sm|<NA>|102|n,g",,FALSE,62,153,
+Sm,62,150,0.0737,102,"n,g",101.0674611,100.1793386,101.0674611,100.310228,Sm-151,2.44E-10,,,"Sm|<NA>|102|n,g",,FALSE,62,151,
+Sm,62,147,0.15,102,"n,g",57.25170858,57.08807881,57.25170858,56.93736082,Sm-148,,,,"Sm|<NA>|102|n,g",,FALSE,62,148,
+Sm,62,154,0.2274,102,"n,g",8.407996106,8.337764709,8.407996106,8.337764709,Sm-155,0.000518047,,,"Sm|<NA>|102|n,g",,FALSE,62,155,
+Sm,62,148,0.1125,102,"n,g",2.404533086,2.404533086,2.392778532,2.404533086,Sm-149,,,,"Sm|<NA>|102|n,g",,FALSE,62,149,
+Sm,62,144,0.0308,102,"n,g",1.64330355,1.633007182,1.64330355,1.633007182,Sm-145,2.36E-08,,,"Sm|<NA>|102|n,g",,FALSE,62,145,
+Sm,62,149,0.1382,107,"n,a",0.041955259,0.041955259,0.031040556,0.041955259,Nd-146,,,,"Sm|<NA>|107|n,a",,FALSE,60,146,
+Sm,62,147,0.15,107,"n,a",0.000579785,0.000226421,0.000579785,0.000343077,Nd-144,,,,"Sm|<NA>|107|n,a",,FALSE,60,144,
+Sm,62,144,0.0308,107,"n,a",3.03E-05,,3.03E-05,,Nd-141,,,,"Sm|<NA>|107|n,a",,FALSE,60,141,
+Sm,62,148,0.1125,107,"n,a",1.28E-05,,1.28E-05,,Nd-145,,,,"Sm|<NA>|107|n,a",,FALSE,60,145,
+Sm,62,150,0.0737,107,"n,a",8.12E-06,,3.11E-06,8.12E-06,Nd-147,7.31E-07,,,"Sm|<NA>|107|n,a",,FALSE,60,147,
+Sm,62,152,0.2674,107,"n,a",5.42E-09,,3.74E-10,5.42E-09,Nd-149,0.000111295,,,"Sm|<NA>|107|n,a",,FALSE,60,149,
+Sm,62,154,0.2274,107,"n,a",6.75E-16,,6.75E-16,,Nd-151,0.000928654,,,"Sm|<NA>|107|n,a",,FALSE,60,151,
+Sm,62,147,0.15,103,"n,p",1.00E-20,,,1.00E-20,Pm-147,8.38E-09,,,"Sm|<NA>|103|n,p",,FALSE,61,147,
+Sm,62,148,0.1125,103,"n,p",0,,0,,Pm-148,,,,"Sm|<NA>|103|n,p",,FALSE,61,148,
+Sm,62,152,0.2674,103,"n,p",0,,,0,Pm-152,,,,"Sm|<NA>|103|n,p",,FALSE,61,152,
+Sm,62,153,,102,"n,g",420.791413,420.791413,420.7651767,420.791413,Sm-154,,,,"Sm|153|102|n,g",FUENTE,TRUE,62,154,
+Sm,62,146,,107,"n,a",0.073841465,0.073841465,1.84E-07,0.001711526,Nd-143,,,,"Sm|146|107|n,a",FUENTE,TRUE,60,143,
+Sm,62,145,,102,"n,g",280.5101251,279.2503835,280.5101251,279.2503835,Sm-146,,,,"Sm|145|102|n,g",FUENTE,TRUE,62,146,
+Sm,62,151,,102,"n,g",15235.82565,15214.5177,15235.82565,15207.48283,Sm-152,,,,"Sm|151|102|n,g",FUENTE,TRUE,62,152,
+Sm,62,145,,103,"n,p",2.00E-08,1.27E-08,2.00E-08,1.27E-08,Pm-145,,,,"Sm|145|103|n,p",FUENTE,TRUE,61,145,
+Sm,62,146,,102,"n,g",18.20696319,0.638290234,0.38206177,18.20696319,Sm-147,2.07E-19,,,"Sm|146|102|n,g",FUENTE,TRUE,62,147,3.35E+18
+Sm,62,153,,107,"n,a",2.01E-06,2.01E-06,2.01E-06,,Nd-150,,,,"Sm|153|107|n,a",FUENTE,TRUE,60,150,
+Sm,62,145,,107,"n,a",0.470675682,0.470675682,0.07032647,0.470675682,Nd-142,,,,"Sm|145|107|n,a",FUENTE,TRUE,60,142,
+Sm,62,151,,107,"n,a",0.018060473,,0.010497108,0.018060473,Nd-148,,,,"Sm|151|107|n,a",FUENTE,TRUE,60,148,
+Eu,63,151,0.4781,102,"n,g",9470.885867,9265.832543,9470.885867,9222.823091,Eu-152,1.62E-09,,#DIV/0!,"Eu|<NA>|102|n,g",,FALSE,63,152,
+Eu,63,153,0.5219,102,"n,g",358.0003,358.0003,314.0402748,314.0329213,Eu-154,2.56E-09,,,"Eu|<NA>|102|n,g",,FALSE,63,154,
+Eu,63,151,0.4781,107,"n,a",8.85E-06,8.85E-06,8.85E-06,9.79E-13,Pm-148,,,,"Eu|<NA>|107|n,a",,FALSE,61,148,
+Eu,63,153,0.5219,107,"n,a",7.18E-07,7.11E-07,7.18E-07,7.18E-07,Pm-150,,,,"Eu|<NA>|107|n,a",,FALSE,61,150,
+Eu,63,151,0.4781,103,"n,p",9.69E-14,,,9.69E-14,Sm-151,2.44E-10,,,"Eu|<NA>|103|n,p",,FALSE,62,151,
+Eu,63,155,,102,"n,g",3765.088043,3765.087152,3765.087152,3765.088043,Eu-156,,,,"Eu|155|102|n,g",FUENTE,TRUE,63,156,
+Eu,63,148,,103,"n,p",0.000427822,,0.000427822,,Sm-148,,,,"Eu|148|103|n,p",FUENTE,TRUE,62,148,
+Eu,63,147,,102,"n,g",15.55568875,,15.55568875,,Eu-148,,,,"Eu|147|102|n,g",FUENTE,TRUE,63,148,
+Eu,63,150,,102,"n,g",106.6620088,,106.6620088,,Eu-151,,,,"Eu|150|102|n,g",FUENTE,TRUE,63,151,
+Eu,63,154,,107,"n,a",2.94E-05,1.61E-14,2.94E-05,1.61E-14,Pm-151,,,,"Eu|154|107|n,a",FUENTE,TRUE,61,151,
+Eu,63,146,,107,"n,a",0.033500522,,0.033500522,,Pm-143,,,,"Eu|146|107|n,a",FUENTE,TRUE,61,143,
+Eu,63,154,,103,"n,p",5.32E-09,6.07E-17,5.32E-09,6.07E-17,Sm-154,,,,"Eu|154|103|n,p",FUENTE,TRUE,62,154,
+Eu,63,157,,107,"n,a",3.95E-12,,3.95E-12,,Pm-154,,,,"Eu|157|107|n,a",FUENTE,TRUE,61,154,
+Eu,63,156,,102,"n,g",5199.455266,100.1822128,100.1822117,5199.455266,Eu-157,,,,"Eu|156|102|n,g",FUENTE,TRUE,63,157,
+Eu,63,145,,102,"n,g",9.300534033,,9.300534033,,Eu-146,,,,"Eu|145|102|n,g",FUENTE,TRUE,63,146,
+Eu,63,146,,103,"n,p",0.048400816,,0.048400816,,Sm-146,,,,"Eu|146|103|n,p",FUENTE,TRUE,62,146,
+Eu,63,149,,107,"n,a",1.66E-05,,1.66E-05,,Pm-146,,,,"Eu|149|107|n,a",FUENTE,TRUE,61,146,
+Eu,63,148,,102,"n,g",72.42841948,,72.42841948,,Eu-149,,,,"Eu|148|102|n,g",FUENTE,TRUE,63,149,
+Eu,63,149,,103,"n,p",1.72E-09,,1.72E-09,,Sm-149,,,,"Eu|149|103|n,p",FUENTE,TRUE,62,149,
+Eu,63,152,,107,"n,a",0.759242922,,0.052916064,0.759242922,Pm-149,3.63E-06,,,"Eu|152|107|n,a",FUENTE,TRUE,61,149,191088
+Eu,63,152,,103,"n,p",0.21195205,,0.005369081,0.21195205,Sm-152,,,,"Eu|152|103|n,p",FUENTE,TRUE,62,152,
+Eu,63,155,,107,"n,a",1.66E-10,1.66E-10,1.66E-10,1.23E-13,Pm-152,,,,"Eu|155|107|n,a",FUENTE,TRUE,61,152,
+Eu,63,154,,102,"n,g",1466.987976,1466.987976,1350.442181,1350.718276,Eu-155,4.61E-09,,,"Eu|154|102|n,g",FUENTE,TRUE,63,155,150210968.1
+Eu,63,147,,107,"n,a",0.000229387,,0.000229387,,Pm-144,,,,"Eu|147|107|n,a",FUENTE,TRUE,61,144,
+Eu,63,146,,102,"n,g",38.35164258,,38.35164258,,Eu-147,,,,"Eu|146|102|n,g",FUENTE,TRUE,63,147,
+Eu,63,157,,102,"n,g",4057.378843,111.0368182,4057.378843,111.0368182,Eu-158,,,,"Eu|157|102|n,g",FUENTE,TRUE,63,158,
+Eu,63,147,,103,"n,p",0.000112967,,0.000112967,,Sm-147,2.07E-19,,,"Eu|147|103|n,p",FUENTE,TRUE,62,147,3.35E+18
+Eu,63,150,,107,"n,a",0.001200034,,0.001200034,,Pm-147,8.38E-09,,,"Eu|150|107|n,a",FUENTE,TRUE,61,147,82679146.33
+Eu,63,149,,102,"n,g",20.03673885,,20.03673885,,Eu-150,,,,"Eu|149|102|n,g",FUENTE,TRUE,63,150,
+Eu,63,150,,103,"n,p",0.005529634,,0.005529634,,Sm-150,,,,"Eu|150|103|n,p",FUENTE,TRUE,62,150,
+Eu,63,152,,102,"n,g",25732.41559,12854.5478,255.6579429,25732.41559,Eu-153,,,,"Eu|152|102|n,g",FUENTE,TRUE,63,153,
+Eu,63,145,,107,"n,a",5.21E-05,,5.21E-05,,Pm-142,,,,"Eu|145|107|n,a",FUENTE,TRUE,61,142,
+Eu,63,156,,107,"n,a",1.23E-06,,1.23E-06,1.23E-06,Pm-153,,,,"Eu|156|107|n,a",FUENTE,TRUE,61,153,
+Eu,63,145,,103,"n,p",0.014014156,,0.014014156,,Sm-145,2.36E-08,,,"Eu|145|103|n,p",FUENTE,TRUE,62,145,29376000
+Eu,63,148,,107,"n,a",0.003405649,,0.003405649,,Pm-145,,,,"Eu|148|107|n,a",FUENTE,TRUE,61,145,
+Gd,64,157,0.15657,102,"n,g",253930.6,253351.1503,253930.6,253686.5,Gd-158,,252928,-0.003963974,"Gd|<NA>|102|n,g",,FALSE,64,158,
+Gd,64,155,0.14828,102,"n,g",60897.87188,60897.87188,60733.19484,60886.71,Gd-156,,,#DIV/0!,"Gd|<NA>|102|n,g",,FALSE,64,156,
+Gd,64,152,0.00204,102,"n,g",738.0032551,735.4099263,738.0032551,735.4178271,Gd-153,3.34E-08,,,"Gd|<NA>|102|n,g",,FALSE,64,153,
+Gd,64,154,0.02187,102,"n,g",85.34973579,85.34973579,85.20595694,85.34973579,Gd-155,,,,"Gd|<NA>|102|n,g",,FALSE,64,155,
+Gd,64,158,0.2482,102,"n,g",2.504814703,2.206025784,2.20410535,2.504814703,Gd-159,1.04E-05,,,"Gd|<NA>|102|n,g",,FALSE,64,159,
+Gd,64,156,0.20493,102,"n,g",1.830091479,1.797868195,1.830091479,1.538524241,Gd-157,,,,"Gd|<NA>|102|n,g",,FALSE,64,157,
+Gd,64,160,0.21811,102,"n,g",1.412474229,1.412474229,0.786706286,0.771441411,Gd-161,0.003156408,,,"Gd|<NA>|102|n,g",,FALSE,64,161,
+Gd,64,152,0.00204,107,"n,a",0.007067039,0.006985046,0.007067039,0.006985046,Sm-149,,,,"Gd|<NA>|107|n,a",,FALSE,62,149,
+Gd,64,157,0.15657,107,"n,a",0.000474882,0.000474882,0.000423534,1.06E-14,Sm-154,,,,"Gd|<NA>|107|n,a",,FALSE,62,154,
+Gd,64,155,0.14828,107,"n,a",8.99E-05,6.68E-05,8.99E-05,2.57E-14,Sm-152,,,,"Gd|<NA>|107|n,a",,FALSE,62,152,
+Gd,64,154,0.02187,107,"n,a",1.51E-06,,1.51E-06,,Sm-151,2.44E-10,,,"Gd|<NA>|107|n,a",,FALSE,62,151,
+Gd,64,156,0.20493,107,"n,a",3.43E-10,,3.43E-10,2.55E-14,Sm-153,4.16E-06,,,"Gd|<NA>|107|n,a",,FALSE,62,153,
+Gd,64,158,0.2482,107,"n,a",9.05E-12,,9.05E-12,1.07E-14,Sm-155,0.000518047,,,"Gd|<NA>|107|n,a",,FALSE,62,155,
+Gd,64,160,0.21811,107,"n,a",1.67E-14,,4.43E-15,1.67E-14,Sm-157,,,,"Gd|<NA>|107|n,a",,FALSE,62,157,
+Gd,64,155,0.14828,103,"n,p",1.91E-20,,,1.91E-20,Eu-155,4.61E-09,,,"Gd|<NA>|103|n,p",,FALSE,63,155,
+Gd,64,147,,102,"n,g",12.53008291,,12.53008291,,Gd-148,,,,"Gd|147|102|n,g",FUENTE,TRUE,64,148,
+Gd,64,149,,103,"n,p",1.74E-06,,1.38E-06,1.74E-06,Eu-149,,,,"Gd|149|103|n,p",FUENTE,TRUE,63,149,
+Gd,64,150,,102,"n,g",29.6225395,,1.318758274,29.6225395,Gd-151,,,,"Gd|150|102|n,g",FUENTE,TRUE,64,151,
+,64,161,,102,"n,g",11796.21879,,,11796.21879,Gd-162,,,,"nan|161|102|n,g",FUENTE,TRUE,64,162,
+Gd,64,153,,102,"n,g",22444.06589,22444.06589,22218.31896,22218.30795,Gd-154,,,,"Gd|153|102|n,g",FUENTE,TRUE,64,154,
+Gd,64,147,,107,"n,a",0.024564936,,0.024564936,,Sm-144,,,,"Gd|147|107|n,a",FUENTE,TRUE,62,144,
+Gd,64,150,,107,"n,a",0.003808832,,3.75E-06,0.003808832,Sm-147,2.07E-19,,,"Gd|150|107|n,a",FUENTE,TRUE,62,147,3.35E+18
+Gd,64,147,,103,"n,p",0.001024411,,0.001024411,,Eu-147,,,,"Gd|147|103|n,p",FUENTE,TRUE,63,147,
+Gd,64,148,,102,"n,g",9617.490036,,9617.490036,3135.933747,Gd-149,,,,"Gd|148|102|n,g",FUENTE,TRUE,64,149,
+,64,161,,107,"n,a",5.22E-08,,,5.22E-08,Sm-158,,,,"nan|161|107|n,a",FUENTE,TRUE,62,158,
+Gd,64,153,,107,"n,a",0.034900935,0.034900935,0.032901725,0.003718286,Sm-150,,,,"Gd|153|107|n,a",FUENTE,TRUE,62,150,
+Gd,64,159,,102,"n,g",9.154068908,9.154068908,2.888272702,,Gd-160,,,,"Gd|159|102|n,g",FUENTE,TRUE,64,160,
+Gd,64,151,,102,"n,g",22689.11488,,40.28796928,22689.11488,Gd-152,,,,"Gd|151|102|n,g",FUENTE,TRUE,64,152,
+Gd,64,153,,103,"n,p",2.11E-09,,1.78E-09,2.11E-09,Eu-153,,,,"Gd|153|103|n,p",FUENTE,TRUE,63,153,
+Gd,64,146,,102,"n,g",0.752001592,,0.752001592,,Gd-147,,,,"Gd|146|102|n,g",FUENTE,TRUE,64,147,
+Gd,64,159,,107,"n,a",1.32E-05,1.32E-05,6.68E-12,,Sm-156,,,,"Gd|159|107|n,a",FUENTE,TRUE,62,156,
+,64,148,,103,"n,p",1.01E-20,,,1.01E-20,Eu-148,,,,"nan|148|103|n,p",FUENTE,TRUE,63,148,
+Gd,64,149,,102,"n,g",48.38010597,,22.23754154,48.38010597,Gd-150,,,,"Gd|149|102|n,g",FUENTE,TRUE,64,150,
+Gd,64,151,,107,"n,a",0.011214885,,0.000819747,0.011214885,Sm-148,,,,"Gd|151|107|n,a",FUENTE,TRUE,62,148,
+Gd,64,151,,103,"n,p",7.44E-12,,7.44E-12,6.18E-12,Eu-151,,,,"Gd|151|103|n,p",FUENTE,TRUE,63,151,
+Gd,64,146,,107,"n,a",4.10E-05,,4.10E-05,,Sm-143,,,,"Gd|146|107|n,a",FUENTE,TRUE,62,143,
+Gd,64,146,,103,"n,p",1.20E-09,,1.20E-09,,Eu-146,,,,"Gd|146|103|n,p",FUENTE,TRUE,63,146,
+Gd,64,148,,107,"n,a",8.966338417,,0.510084252,8.966338417,Sm-145,2.36E-08,,,"Gd|148|107|n,a",FUENTE,TRUE,62,145,29376000
+Gd,64,149,,107,"n,a",0.063739965,,0.005211369,0.063739965,Sm-146,,,,"Gd|149|107|n,a",FUENTE,TRUE,62,146,
+Tb,65,159,1,102,"n,g",23.39407023,23.39407023,23.16898262,23.16898262,Tb-160,1.11E-07,,,"Tb|<NA>|102|n,g",,FALSE,65,160,
+Tb,65,159,1,107,"n,a",2.17E-09,,2.17E-09,2.17E-09,Eu-156,,,,"Tb|<NA>|107|n,a",,FALSE,63,156,
+Tb,65,158,,102,"n,g",8071.858932,8071.858932,99.06725186,8070.079801,Tb-159,,,,"Tb|158|102|n,g",FUENTE,TRUE,65,159,
+Tb,65,151,,107,"n,a",7.75E-05,,7.75E-05,,Eu-148,,,,"Tb|151|107|n,a",FUENTE,TRUE,63,148,
+Tb,65,151,,103,"n,p",0.002470665,,0.002470665,,Gd-151,,,,"Tb|151|103|n,p",FUENTE,TRUE,64,151,
+Tb,65,154,,107,"n,a",0.000251867,,0.000251867,,Eu-151,,,,"Tb|154|107|n,a",FUENTE,TRUE,63,151,
+Tb,65,161,,102,"n,g",622.3355144,622.3355144,8.551612233,,Tb-162,,,,"Tb|161|102|n,g",FUENTE,TRUE,65,162,
+Tb,65,154,,103,"n,p",0.086105447,,0.086105447,,Gd-154,,,,"Tb|154|103|n,p",FUENTE,TRUE,64,154,
+Tb,65,153,,102,"n,g",91.5308567,,91.5308567,,Tb-154,,,,"Tb|153|102|n,g",FUENTE,TRUE,65,154,
+Tb,65,157,,107,"n,a",8.98E-11,,8.98E-11,,Eu-154,2.56E-09,,,"Tb|157|107|n,a",FUENTE,TRUE,63,154,271073995
+Tb,65,156,,102,"n,g",316.8982933,,316.8982933,,Tb-157,,,,"Tb|156|102|n,g",FUENTE,TRUE,65,157,
+Tb,65,157,,103,"n,p",2.36E-17,,2.36E-17,,Gd-157,,,,"Tb|157|103|n,p",FUENTE,TRUE,64,157,
+Tb,65,160,,107,"n,a",3.43E-06,,2.97E-06,3.43E-06,Eu-157,,,,"Tb|160|107|n,a",FUENTE,TRUE,63,157,
+,65,160,,103,"n,p",1.00E-20,,,1.00E-20,Gd-160,,,,"nan|160|103|n,p",FUENTE,TRUE,64,160,
+Tb,65,152,,107,"n,a",0.025140342,,0.025140342,,Eu-149,,,,"Tb|152|107|n,a",FUENTE,TRUE,63,149,
+Tb,65,151,,102,"n,g",27.28131368,,27.28131368,,Tb-152,,,,"Tb|151|102|n,g",FUENTE,TRUE,65,152,
+Tb,65,155,,107,"n,a",7.05E-09,,7.05E-09,,Eu-152,1.62E-09,,,"Tb|155|107|n,a",FUENTE,TRUE,63,152,426649640.6
+Tb,65,152,,103,"n,p",0.553376839,,0.553376839,,Gd-152,,,,"Tb|152|103|n,p",FUENTE,TRUE,64,152,
+Tb,65,154,,102,"n,g",224.2789055,,224.2789055,,Tb-155,,,,"Tb|154|102|n,g",FUENTE,TRUE,65,155,
+Tb,65,155,,103,"n,p",3.99E-09,,3.99E-09,,Gd-155,,,,"Tb|155|103|n,p",FUENTE,TRUE,64,155,
+Tb,65,158,,107,"n,a",0.008140353,0.008140353,8.59E-08,1.07E-05,Eu-155,4.61E-09,,,"Tb|158|107|n,a",FUENTE,TRUE,63,155,150210968.1
+Tb,65,158,,103,"n,p",1.54E-05,1.54E-05,1.21E-07,4.66E-08,Gd-158,,,,"Tb|158|103|n,p",FUENTE,TRUE,64,158,
+Tb,65,157,,102,"n,g",32.90593817,,32.90593817,,Tb-158,,,,"Tb|157|102|n,g",FUENTE,TRUE,65,158,
+Tb,65,161,,107,"n,a",4.94E-07,4.94E-07,5.04E-15,,Eu-158,,,,"Tb|161|107|n,a",FUENTE,TRUE,63,158,
+Tb,65,160,,102,"n,g",351.1229091,334.3412673,351.1229091,336.3297165,Tb-161,,,,"Tb|160|102|n,g",FUENTE,TRUE,65,161,
+Tb,65,153,,107,"n,a",1.55E-05,,1.55E-05,,Eu-150,,,,"Tb|153|107|n,a",FUENTE,TRUE,63,150,
+Tb,65,152,,102,"n,g",220.4028226,,220.4028226,,Tb-153,,,,"Tb|152|102|n,g",FUENTE,TRUE,65,153,
+Tb,65,153,,103,"n,p",3.62E-05,,3.62E-05,,Gd-153,3.34E-08,,,"Tb|153|103|n,p",FUENTE,TRUE,64,153,20770560
+Tb,65,156,,107,"n,a",7.05E-06,,7.05E-06,,Eu-153,,,,"Tb|156|107|n,a",FUENTE,TRUE,63,153,
+Tb,65,155,,102,"n,g",55.56445244,,55.56445244,,Tb-156,,,,"Tb|155|102|n,g",FUENTE,TRUE,65,156,
+Tb,65,156,,103,"n,p",0.003769516,,0.003769516,,Gd-156,,,,"Tb|156|103|n,p",FUENTE,TRUE,64,156,
+Dy,66,164,0.2826,102,"n,g",2656.592501,2654.914612,2656.160102,2656.592501,Dy-165,8.26E-05,,,"Dy|<NA>|102|n,g",,FALSE,66,165,
+Dy,66,161,0.18889,102,"n,g",606.0853518,606.0853518,601.1889567,601.3371784,Dy-162,,,,"Dy|<NA>|102|n,g",,FALSE,66,162,
+Dy,66,162,0.25475,102,"n,g",194.9965938,194.9965938,194.134391,194.2610602,Dy-163,,,,"Dy|<NA>|102|n,g",,FALSE,66,163,
+Dy,66,163,0.24896,102,"n,g",125.1081307,125.1081307,124.3497671,123.5971779,Dy-164,,,,"Dy|<NA>|102|n,g",,FALSE,66,164,
+Dy,66,160,0.02329,102,"n,g",56.73496196,55.09451729,56.73496196,55.66439754,Dy-161,,,,"Dy|<NA>|102|n,g",,FALSE,66,161,
+Dy,66,158,0.00095,102,"n,g",43.15901977,43.15901977,43.02539434,42.92591859,Dy-159,5.56E-08,,,"Dy|<NA>|102|n,g",,FALSE,66,159,
+Dy,66,156,0.00056,102,"n,g",33.47816375,33.10965358,33.07882746,33.47816375,Dy-157,2.37E-05,,,"Dy|<NA>|102|n,g",,FALSE,66,157,
+Dy,66,156,0.00056,107,"n,a",0.008931155,,0.000135807,0.008931155,Gd-153,3.34E-08,,,"Dy|<NA>|107|n,a",,FALSE,64,153,
+Dy,66,158,0.00095,107,"n,a",0.005987018,,1.47E-05,0.005987018,Gd-155,,,,"Dy|<NA>|107|n,a",,FALSE,64,155,
+Dy,66,161,0.18889,107,"n,a",0.000673431,,0.000673431,,Gd-158,,,,"Dy|<NA>|107|n,a",,FALSE,64,158,
+Dy,66,160,0.02329,107,"n,a",0.000301191,,9.46E-07,0.000301191,Gd-157,,,,"Dy|<NA>|107|n,a",,FALSE,64,157,
+Dy,66,163,0.24896,107,"n,a",4.80E-06,,4.80E-06,,Gd-160,,,,"Dy|<NA>|107|n,a",,FALSE,64,160,
+Dy,66,162,0.25475,107,"n,a",9.61E-07,,9.61E-07,,Gd-159,1.04E-05,,,"Dy|<NA>|107|n,a",,FALSE,64,159,
+Dy,66,164,0.2826,107,"n,a",2.84E-07,,2.84E-07,1.18E-09,Gd-161,0.003156408,,,"Dy|<NA>|107|n,a",,FALSE,64,161,
+Dy,66,156,0.00056,103,"n,p",9.37E-18,,9.37E-18,1.00E-20,Tb-156,,,,"Dy|<NA>|103|n,p",,FALSE,65,156,
+Dy,66,165,,102,"n,g",3586.929672,,3536.431439,3586.929672,Dy-166,2.36E-06,,,"Dy|165|102|n,g",FUENTE,TRUE,66,166,293760
+Dy,66,155,,102,"n,g",291.1024797,291.1024797,125.9541037,,Dy-156,,,,"Dy|155|102|n,g",FUENTE,TRUE,66,156,
+Dy,66,166,,102,"n,g",0.159909776,,0.159909776,,Dy-167,,,,"Dy|166|102|n,g",FUENTE,TRUE,66,167,
+Dy,66,159,,107,"n,a",0.011529216,0.003795023,0.003795023,0.011529216,Gd-156,,,,"Dy|159|107|n,a",FUENTE,TRUE,64,156,
+Dy,66,159,,103,"n,p",2.73E-11,1.59E-12,1.59E-12,2.73E-11,Tb-159,,,,"Dy|159|103|n,p",FUENTE,TRUE,65,159,
+Dy,66,154,,107,"n,a",0.007571335,0.007571335,0.007571335,,Gd-151,,,,"Dy|154|107|n,a",FUENTE,TRUE,64,151,
+Dy,66,165,,107,"n,a",6.10E-07,,5.26E-10,6.10E-07,Gd-162,,,,"Dy|165|107|n,a",FUENTE,TRUE,64,162,
+Dy,66,154,,103,"n,p",1.94E-17,1.94E-17,1.94E-17,,Tb-154,,,,"Dy|154|103|n,p",FUENTE,TRUE,65,154,
+Dy,66,157,,107,"n,a",0.7130701,0.7130701,6.31E-05,,Gd-154,,,,"Dy|157|107|n,a",FUENTE,TRUE,64,154,
+Dy,66,157,,103,"n,p",0.000212064,0.000212064,1.03E-06,,Tb-157,,,,"Dy|157|103|n,p",FUENTE,TRUE,65,157,
+Dy,66,159,,102,"n,g",6402.528679,601.0931747,601.0931747,6402.528679,Dy-160,,,,"Dy|159|102|n,g",FUENTE,TRUE,66,160,
+Dy,66,166,,107,"n,a",2.72E-22,,2.72E-22,,Gd-163,,,,"Dy|166|107|n,a",FUENTE,TRUE,64,163,
+Dy,66,155,,107,"n,a",7.261200035,7.261200035,0.00296105,,Gd-152,,,,"Dy|155|107|n,a",FUENTE,TRUE,64,152,
+Dy,66,154,,102,"n,g",36.0655907,36.0655907,36.0655907,,Dy-155,,,,"Dy|154|102|n,g",FUENTE,TRUE,66,155,
+Dy,66,155,,103,"n,p",0.050027032,0.050027032,0.000477777,,Tb-155,,,,"Dy|155|103|n,p",FUENTE,TRUE,65,155,
+Dy,66,157,,102,"n,g",294.7783823,294.7783823,66.95196004,,Dy-158,,,,"Dy|157|102|n,g",FUENTE,TRUE,66,158,
+Ho,67,165,1,102,"n,g",64.80946212,64.79437796,64.80946212,64.79437796,Ho-166,1.83E-11,,,"Ho|<NA>|102|n,g",,FALSE,67,166,
+Ho,67,165,1,107,"n,a",7.72E-10,,7.72E-10,,Tb-162,,,,"Ho|<NA>|107|n,a",,FALSE,65,162,
+Ho,67,162,,102,"n,g",39.4540499,,39.4540499,,Ho-163,4.81E-12,,,"Ho|162|102|n,g",FUENTE,TRUE,67,163,1.44215E+11
+Ho,67,164,,103,"n,p",9.51E-10,,9.51E-10,,Dy-164,,,,"Ho|164|103|n,p",FUENTE,TRUE,66,164,
+Ho,67,166,,107,"n,a",6.49E-07,,2.31E-07,6.49E-07,Tb-163,,,,"Ho|166|107|n,a",FUENTE,TRUE,65,163,
+,67,166,,103,"n,p",1.00E-20,,,1.00E-20,Dy-166,2.36E-06,,,"nan|166|103|n,p",FUENTE,TRUE,66,166,293760
+Ho,67,161,,107,"n,a",2.14E-06,,2.14E-06,,Tb-158,,,,"Ho|161|107|n,a",FUENTE,TRUE,65,158,
+Ho,67,161,,103,"n,p",1.64E-09,,1.64E-09,,Dy-161,,,,"Ho|161|103|n,p",FUENTE,TRUE,66,161,
+Ho,67,164,,107,"n,a",1.29E-06,,1.29E-06,,Tb-161,,,,"Ho|164|107|n,a",FUENTE,TRUE,65,161,
+Ho,67,163,,102,"n,g",62.92012848,,39.4540499,62.92012848,Ho-164,,,,"Ho|163|102|n,g",FUENTE,TRUE,67,164,
+Ho,67,166,,102,"n,g",3605.889636,3605.889636,5.759143607,3592.161875,Ho-167,,,,"Ho|166|102|n,g",FUENTE,TRUE,67,167,
+Ho,67,162,,107,"n,a",3.56E-05,,3.56E-05,,Tb-159,,,,"Ho|162|107|n,a",FUENTE,TRUE,65,159,
+Ho,67,161,,102,"n,g",79.01759937,,79.01759937,,Ho-162,,,,"Ho|161|102|n,g",FUENTE,TRUE,67,162,
+Ho,67,163,,103,"n,p",3.29E-20,,3.29E-20,1.00E-20,Dy-163,,,,"Ho|163|103|n,p",FUENTE,TRUE,66,163,
+Ho,67,162,,103,"n,p",2.33E-05,,2.33E-05,,Dy-162,,,,"Ho|162|103|n,p",FUENTE,TRUE,66,162,
+Ho,67,164,,102,"n,g",29.61826795,,29.61826795,,Ho-165,,,,"Ho|164|102|n,g",FUENTE,TRUE,67,165,
+Ho,67,163,,107,"n,a",3.52E-07,,6.01E-08,3.52E-07,Tb-160,1.11E-07,,,"Ho|163|107|n,a",FUENTE,TRUE,65,160,6246720
+Er,68,167,0.22869,102,"n,g",651.7436302,650.0524973,644.7461398,651.7436302,Er-168,,,,"Er|<NA>|102|n,g",,FALSE,68,168,
+Er,68,162,0.00139,102,"n,g",18.94546721,18.94546721,18.94546721,18.94546721,Er-163,0.000154033,,,"Er|<NA>|102|n,g",,FALSE,68,163,
+Er,68,166,0.33503,102,"n,g",17.16900554,16.90223467,16.77340514,17.16900554,Er-167,,,,"Er|<NA>|102|n,g",,FALSE,68,167,
+Er,68,164,0.01601,102,"n,g",12.9749807,12.9749807,12.89436707,12.89436707,Er-165,1.86E-05,,,"Er|<NA>|102|n,g",,FALSE,68,165,
+Er,68,170,0.1491,102,"n,g",8.895203881,8.866832311,8.869462952,8.895203881,Er-171,2.56E-05,,,"Er|<NA>|102|n,g",,FALSE,68,171,
+Er,68,168,0.26978,102,"n,g",2.764347587,2.746232201,2.733864678,2.764347587,Er-169,8.53E-07,,,"Er|<NA>|102|n,g",,FALSE,68,169,
+Er,68,168,0.26978,107,"n,a",9.01E-05,,,9.01E-05,Dy-165,8.26E-05,,,"Er|<NA>|107|n,a",,FALSE,66,165,
+Er,68,167,0.22869,107,"n,a",7.02E-05,,7.02E-05,6.97E-05,Dy-164,,,,"Er|<NA>|107|n,a",,FALSE,66,164,
+Er,68,166,0.33503,107,"n,a",6.99E-05,,,6.99E-05,Dy-163,,,,"Er|<NA>|107|n,a",,FALSE,66,163,
+Er,68,170,0.1491,107,"n,a",3.49E-11,,,3.49E-11,Dy-167,,,,"Er|<NA>|107|n,a",,FALSE,66,167,
+Er,68,161,,107,"n,a",0.001370107,,0.001370107,,Dy-158,,,,"Er|161|107|n,a",FUENTE,TRUE,66,158,
+Er,68,172,,107,"n,a",8.37E-14,,6.11E-21,8.37E-14,Dy-169,,,,"Er|172|107|n,a",FUENTE,TRUE,66,169,
+Er,68,161,,103,"n,p",4.87E-05,,4.87E-05,,Ho-161,,,,"Er|161|103|n,p",FUENTE,TRUE,67,161,
+Er,68,160,,102,"n,g",9.072439056,,9.072439056,,Er-161,,,,"Er|160|102|n,g",FUENTE,TRUE,68,161,
+Er,68,171,,102,"n,g",489.5131765,,280.5101251,489.5131765,Er-172,,,,"Er|171|102|n,g",FUENTE,TRUE,68,172,
+Er,68,163,,102,"n,g",346.8717721,346.8717721,,,Er-164,,,,"Er|163|102|n,g",FUENTE,TRUE,68,164,
+Er,68,169,,102,"n,g",30.98872557,30.98872557,1.046492878,30.92563168,Er-170,,,,"Er|169|102|n,g",FUENTE,TRUE,68,170,
+Er,68,161,,102,"n,g",91.64817453,,91.64817453,,Er-162,,,,"Er|161|102|n,g",FUENTE,TRUE,68,162,
+Er,68,165,,107,"n,a",0.087122039,0.087122039,3.49E-06,,Dy-162,,,,"Er|165|107|n,a",FUENTE,TRUE,66,162,
+Er,68,172,,102,"n,g",14.48771132,,0.115139417,14.48771132,Er-173,,,,"Er|172|102|n,g",FUENTE,TRUE,68,173,
+Er,68,165,,103,"n,p",9.28E-15,,9.28E-15,,Ho-165,,,,"Er|165|103|n,p",FUENTE,TRUE,67,165,
+Er,68,160,,107,"n,a",7.20E-07,,7.20E-07,,Dy-157,2.37E-05,,,"Er|160|107|n,a",FUENTE,TRUE,66,157,29304
+Er,68,171,,107,"n,a",7.07E-08,,1.50E-10,7.07E-08,Dy-168,,,,"Er|171|107|n,a",FUENTE,TRUE,66,168,
+Er,68,160,,103,"n,p",1.11E-15,,1.11E-15,,Ho-160,,,,"Er|160|103|n,p",FUENTE,TRUE,67,160,
+Er,68,163,,107,"n,a",0.572268637,0.572268637,,,Dy-160,,,,"Er|163|107|n,a",FUENTE,TRUE,66,160,
+Er,68,163,,103,"n,p",2.10E-06,2.10E-06,,,Ho-163,4.81E-12,,,"Er|163|103|n,p",FUENTE,TRUE,67,163,1.44215E+11
+Er,68,165,,102,"n,g",112.1651305,112.1651305,28.78745361,,Er-166,,,,"Er|165|102|n,g",FUENTE,TRUE,68,166,
+Er,68,169,,107,"n,a",0.000110543,0.000110543,1.13E-10,9.95E-06,Dy-166,2.36E-06,,,"Er|169|107|n,a",FUENTE,TRUE,66,166,293760
+Tm,69,169,1,102,"n,g",105.468731,105.191601,105.468731,105.4534246,Tm-170,6.24E-08,,,"Tm|<NA>|102|n,g",,FALSE,69,170,
+Tm,69,169,1,107,"n,a",1.00E-05,3.04E-07,5.09E-06,1.00E-05,Ho-166,1.83E-11,,,"Tm|<NA>|107|n,a",,FALSE,67,166,
+Tm,69,169,1,103,"n,p",1.00E-20,,,1.00E-20,Er-169,8.53E-07,,,"Tm|<NA>|103|n,p",,FALSE,68,169,
+Tm,69,172,,107,"n,a",1.87E-11,,1.87E-11,,Ho-169,,,,"Tm|172|107|n,a",FUENTE,TRUE,67,169,
+Tm,69,170,,102,"n,g",92.52033942,92.21002347,92.52033942,91.65989,Tm-171,1.14E-08,,,"Tm|170|102|n,g",FUENTE,TRUE,69,171,60589298.07
+Tm,69,167,,107,"n,a",3.73E-09,,3.73E-09,,Ho-164,,,,"Tm|167|107|n,a",FUENTE,TRUE,67,164,
+Tm,69,165,,102,"n,g",30.89348633,,30.89348633,,Tm-166,,,,"Tm|165|102|n,g",FUENTE,TRUE,69,166,
+Tm,69,167,,103,"n,p",3.44E-12,,3.44E-12,,Er-167,,,,"Tm|167|103|n,p",FUENTE,TRUE,68,167,
+Tm,69,168,,102,"n,g",136.1104078,136.1104078,78.504665,,Tm-169,,,,"Tm|168|102|n,g",FUENTE,TRUE,69,169,
+Tm,69,170,,103,"n,p",2.28E-14,,2.28E-14,8.98E-15,Er-170,,,,"Tm|170|103|n,p",FUENTE,TRUE,68,170,
+Tm,69,171,,102,"n,g",189.9581468,189.9581468,9.910369045,189.4582061,Tm-172,,,,"Tm|171|102|n,g",FUENTE,TRUE,69,172,
+Tm,69,165,,103,"n,p",1.20E-06,,1.20E-06,,Er-165,1.86E-05,,,"Tm|165|103|n,p",FUENTE,TRUE,68,165,37296
+Tm,69,166,,102,"n,g",217.1488967,,217.1488967,,Tm-167,,,,"Tm|166|102|n,g",FUENTE,TRUE,69,167,
+Tm,69,168,,107,"n,a",0.008202839,0.008202839,6.61E-06,,Ho-165,,,,"Tm|168|107|n,a",FUENTE,TRUE,67,165,
+Tm,69,168,,103,"n,p",1.44E-05,1.44E-05,8.76E-07,,Er-168,,,,"Tm|168|103|n,p",FUENTE,TRUE,68,168,
+Tm,69,170,,107,"n,a",3.71E-05,3.71E-05,9.93E-08,9.32E-06,Ho-167,,,,"Tm|170|107|n,a",FUENTE,TRUE,67,167,
+Tm,69,171,,107,"n,a",5.05E-06,5.05E-06,4.08E-13,4.45E-09,Ho-168,,,,"Tm|171|107|n,a",FUENTE,TRUE,67,168,
+Tm,69,172,,102,"n,g",7.659319213,,7.659319213,,Tm-173,,,,"Tm|172|102|n,g",FUENTE,TRUE,69,173,
+Tm,69,165,,107,"n,a",1.17E-07,,1.17E-07,,Ho-162,,,,"Tm|165|107|n,a",FUENTE,TRUE,67,162,
+Tm,69,166,,107,"n,a",0.000248047,,0.000248047,,Ho-163,4.81E-12,,,"Tm|166|107|n,a",FUENTE,TRUE,67,163,1.44215E+11
+Tm,69,166,,103,"n,p",0.005616748,,0.005616748,,Er-166,,,,"Tm|166|103|n,p",FUENTE,TRUE,68,166,
+Tm,69,167,,102,"n,g",15.75525181,,15.75525181,,Tm-168,,,,"Tm|167|102|n,g",FUENTE,TRUE,69,168,
+Yb,70,168,0.00126,102,"n,g",2310.253029,2308.952836,2308.952836,2310.253029,Yb-169,2.51E-07,,,"Yb|<NA>|102|n,g",,FALSE,70,169,
+Yb,70,174,0.31896,102,"n,g",119.799327,63.30920214,63.30920214,119.799327,Yb-175,1.91E-06,,,"Yb|<NA>|102|n,g",,FALSE,70,175,
+Yb,70,171,0.14216,102,"n,g",58.58159343,58.40489561,58.40489561,58.58159343,Yb-172,,,,"Yb|<NA>|102|n,g",,FALSE,70,172,
+Yb,70,173,0.16098,102,"n,g",15.57462525,15.52357219,15.52357219,15.57462525,Yb-174,,,,"Yb|<NA>|102|n,g",,FALSE,70,174,
+Yb,70,170,0.03023,102,"n,g",9.943741563,9.929962186,9.929962186,9.943741563,Yb-171,,,,"Yb|<NA>|102|n,g",,FALSE,70,171,
+Yb,70,176,0.12887,102,"n,g",2.835853936,2.827503189,2.827503189,2.835853936,Yb-177,0.000100807,,,"Yb|<NA>|102|n,g",,FALSE,70,177,
+Yb,70,172,0.21754,102,"n,g",1.314757802,1.314757802,1.314757802,1.29693303,Yb-173,,,,"Yb|<NA>|102|n,g",,FALSE,70,173,
+Yb,70,168,0.00126,107,"n,a",9.85E-05,,,9.85E-05,Er-165,1.86E-05,,,"Yb|<NA>|107|n,a",,FALSE,68,165,
+Yb,70,174,0.31896,107,"n,a",2.00E-05,,,2.00E-05,Er-171,2.56E-05,,,"Yb|<NA>|107|n,a",,FALSE,68,171,
+Yb,70,170,0.03023,107,"n,a",9.93E-06,,,9.93E-06,Er-167,,,,"Yb|<NA>|107|n,a",,FALSE,68,167,
+Yb,70,171,0.14216,107,"n,a",1.47E-06,,,1.47E-06,Er-168,,,,"Yb|<NA>|107|n,a",,FALSE,68,168,
+Yb,70,176,0.12887,107,"n,a",1.00E-06,,,1.00E-06,Er-173,,,,"Yb|<NA>|107|n,a",,FALSE,68,173,
+Yb,70,172,0.21754,107,"n,a",9.99E-07,,,9.99E-07,Er-169,8.53E-07,,,"Yb|<NA>|107|n,a",,FALSE,68,169,
+Yb,70,173,0.16098,107,"n,a",9.94E-07,,,9.94E-07,Er-170,,,,"Yb|<NA>|107|n,a",,FALSE,68,170,
+Yb,70,168,0.00126,103,"n,p",1.00E-20,,,1.00E-20,Tm-168,,,,"Yb|<NA>|103|n,p",,FALSE,69,168,
+Yb,70,171,0.14216,103,"n,p",1.00E-20,,,1.00E-20,Tm-171,1.14E-08,,,"Yb|<NA>|103|n,p",,FALSE,69,171,
+Yb,70,175,,102,"n,g",305.4087678,305.4087678,1.999937028,304.4958054,Yb-176,,,,"Yb|175|102|n,g",FUENTE,TRUE,70,176,
+Yb,70,166,,103,"n,p",1.35E-16,,1.35E-16,,Tm-166,,,,"Yb|166|103|n,p",FUENTE,TRUE,69,166,
+Yb,70,166,,107,"n,a",5.48E-07,,5.48E-07,,Er-163,0.000154033,,,"Yb|166|107|n,a",FUENTE,TRUE,68,163,4500
+Yb,70,169,,107,"n,a",0.404820659,0.404820659,0.00115922,0.083039097,Er-166,,,,"Yb|169|107|n,a",FUENTE,TRUE,68,166,
+Yb,70,169,,103,"n,p",1.05E-08,,1.05E-08,6.12E-09,Tm-169,,,,"Yb|169|103|n,p",FUENTE,TRUE,69,169,
+Yb,70,175,,107,"n,a",7.71E-05,7.71E-05,7.42E-11,2.17E-07,Er-172,,,,"Yb|175|107|n,a",FUENTE,TRUE,68,172,
+Yb,70,166,,102,"n,g",6.87988178,,6.87988178,,Yb-167,,,,"Yb|166|102|n,g",FUENTE,TRUE,70,167,
+Yb,70,169,,102,"n,g",3617.668491,3617.668491,3606.55907,3615.442944,Yb-170,,,,"Yb|169|102|n,g",FUENTE,TRUE,70,170,
+Lu,71,176,0.02586,102,"n,g",2090.005466,2090.005466,2086.972687,2025.078022,Lu-177,5.00E-08,,,"Lu|<NA>|102|n,g",,FALSE,71,177,
+Lu,71,175,0.97414,102,"n,g",23.39211202,23.1144218,22.98161785,23.39211202,Lu-176,5.84E-19,,,"Lu|<NA>|102|n,g",,FALSE,71,176,
+Lu,71,175,0.97414,107,"n,a",6.00E-05,,2.16E-07,6.00E-05,Tm-172,,,,"Lu|<NA>|107|n,a",,FALSE,69,172,
+Lu,71,176,0.02586,107,"n,a",3.66E-05,,2.86E-05,3.66E-05,Tm-173,,,,"Lu|<NA>|107|n,a",,FALSE,69,173,
+Lu,71,175,0.97414,103,"n,p",1.00E-20,,,1.00E-20,Yb-175,1.91E-06,,,"Lu|<NA>|103|n,p",,FALSE,70,175,
+Lu,71,176,0.02586,103,"n,p",1.00E-20,,,1.00E-20,Yb-176,,,,"Lu|<NA>|103|n,p",,FALSE,70,176,
+Lu,71,173,,103,"n,p",2.35E-11,,2.35E-11,3.46E-12,Yb-173,,,,"Lu|173|103|n,p",FUENTE,TRUE,70,173,
+Lu,71,174,,102,"n,g",71.78126893,,21.40221963,71.78126893,Lu-175,,,,"Lu|174|102|n,g",FUENTE,TRUE,71,175,
+Lu,71,177,,102,"n,g",1195.186103,,416.4064485,1195.186103,Lu-178,,,,"Lu|177|102|n,g",FUENTE,TRUE,71,178,
+Lu,71,171,,107,"n,a",8.00E-05,,8.00E-05,,Tm-168,,,,"Lu|171|107|n,a",FUENTE,TRUE,69,168,
+Lu,71,169,,102,"n,g",163.4683073,,163.4683073,,Lu-170,,,,"Lu|169|102|n,g",FUENTE,TRUE,71,170,
+Lu,71,171,,103,"n,p",3.27E-07,,3.27E-07,,Yb-171,,,,"Lu|171|103|n,p",FUENTE,TRUE,70,171,
+Lu,71,172,,102,"n,g",155.9035009,,155.9035009,,Lu-173,,,,"Lu|172|102|n,g",FUENTE,TRUE,71,173,
+Lu,71,174,,107,"n,a",0.000148416,,2.73E-05,0.000148416,Tm-171,1.14E-08,,,"Lu|174|107|n,a",FUENTE,TRUE,69,171,60589298.07
+Lu,71,174,,103,"n,p",1.09E-07,,2.09E-09,1.09E-07,Yb-174,,,,"Lu|174|103|n,p",FUENTE,TRUE,70,174,
+Lu,71,177,,107,"n,a",1.85E-06,,5.42E-07,1.85E-06,Tm-174,,,,"Lu|177|107|n,a",FUENTE,TRUE,69,174,
+Lu,71,169,,107,"n,a",0.000183631,,0.000183631,,Tm-166,,,,"Lu|169|107|n,a",FUENTE,TRUE,69,166,
+Lu,71,172,,107,"n,a",0.001338065,,0.001338065,,Tm-169,,,,"Lu|172|107|n,a",FUENTE,TRUE,69,169,
+Lu,71,169,,103,"n,p",0.000291021,,0.000291021,,Yb-169,2.51E-07,,,"Lu|169|103|n,p",FUENTE,TRUE,70,169,2766528
+Lu,71,170,,102,"n,g",87.99783205,,87.99783205,,Lu-171,,,,"Lu|170|102|n,g",FUENTE,TRUE,71,171,
+Lu,71,171,,102,"n,g",83.55916263,,83.55916263,,Lu-172,,,,"Lu|171|102|n,g",FUENTE,TRUE,71,172,
+Lu,71,172,,103,"n,p",0.000146574,,0.000146574,,Yb-172,,,,"Lu|172|103|n,p",FUENTE,TRUE,70,172,
+Lu,71,173,,102,"n,g",284834.3934,,48.87946256,284834.3934,Lu-174,,,,"Lu|173|102|n,g",FUENTE,TRUE,71,174,
+Lu,71,170,,107,"n,a",0.006017636,,0.006017636,,Tm-167,,,,"Lu|170|107|n,a",FUENTE,TRUE,69,167,
+Lu,71,170,,103,"n,p",0.014290317,,0.014290317,,Yb-170,,,,"Lu|170|103|n,p",FUENTE,TRUE,70,170,
+Lu,71,173,,107,"n,a",2.55E-05,,2.55E-05,2.08E-05,Tm-170,6.24E-08,,,"Lu|173|107|n,a",FUENTE,TRUE,69,170,11111040
+Hf,72,174,0.00161,102,"n,g",652.7656724,563.4795875,563.4795875,652.7656724,Hf-175,1.15E-07,,,"Hf|<NA>|102|n,g",,FALSE,72,175,
+Hf,72,177,0.1858,102,"n,g",372.3987999,372.3987999,372.3987999,371.7488341,Hf-178,,,,"Hf|<NA>|102|n,g",,FALSE,72,178,
+Hf,72,178,0.2728,102,"n,g",84.17871758,84.06736226,84.17871758,82.95972581,Hf-179,3.20E-07,,,"Hf|<NA>|102|n,g",,FALSE,72,179,
+Hf,72,179,0.1363,102,"n,g",40.5663863,40.5663863,40.5663863,39.94239516,Hf-180,,,,"Hf|<NA>|102|n,g",,FALSE,72,180,
+Hf,72,176,0.0524,102,"n,g",22.17185988,22.17185988,22.17185988,16.87522125,Hf-177,,,,"Hf|<NA>|102|n,g",,FALSE,72,177,
+Hf,72,180,0.3512,102,"n,g",13.08007462,12.94211703,12.94211703,13.08007462,Hf-181,1.89E-07,,,"Hf|<NA>|102|n,g",,FALSE,72,181,
+Hf,72,177,0.1858,107,"n,a",7.33E-11,,,7.33E-11,Yb-174,,,,"Hf|<NA>|107|n,a",,FALSE,70,174,
+Hf,72,175,,102,"n,g",80.77541327,80.77541327,22.8345282,61.55911423,Hf-176,,,,"Hf|175|102|n,g",FUENTE,TRUE,72,176,
+Hf,72,171,,107,"n,a",0.000932523,,0.000932523,,Yb-168,,,,"Hf|171|107|n,a",FUENTE,TRUE,70,168,
+Hf,72,179,,107,"n,a",1.06E-10,,1.06E-10,,Yb-176,,,,"Hf|179|107|n,a",FUENTE,TRUE,70,176,
+Hf,72,180,,107,"n,a",1.73E-12,,1.73E-12,,Yb-177,0.000100807,,,"Hf|180|107|n,a",FUENTE,TRUE,70,177,6876
+Hf,72,182,,107,"n,a",2.70E-10,,,2.70E-10,Yb-179,,,,"nan|182|107|n,a",FUENTE,TRUE,70,179,
+Hf,72,170,,102,"n,g",9.795624175,,9.795624175,,Hf-171,,,,"Hf|170|102|n,g",FUENTE,TRUE,72,171,
+Hf,72,181,,102,"n,g",80.14575179,80.14575179,80.14575179,39.91975375,Hf-182,,,,"Hf|181|102|n,g",FUENTE,TRUE,72,182,
+Hf,72,172,,103,"n,p",3.17E-16,,3.17E-16,,Lu-172,,,,"Hf|172|103|n,p",FUENTE,TRUE,71,172,
+Hf,72,173,,102,"n,g",15.60607878,,15.60607878,,Hf-174,,,,"Hf|173|102|n,g",FUENTE,TRUE,72,174,
+Hf,72,172,,107,"n,a",4.29E-06,,4.29E-06,,Yb-169,2.51E-07,,,"Hf|172|107|n,a",FUENTE,TRUE,70,169,2766528
+Hf,72,171,,102,"n,g",142.1355038,,142.1355038,,Hf-172,,,,"Hf|171|102|n,g",FUENTE,TRUE,72,172,
+Hf,72,182,,102,"n,g",133.2422994,133.2422994,133.2422994,18.52408402,Hf-183,,,,"Hf|182|102|n,g",FUENTE,TRUE,72,183,
+Hf,72,173,,103,"n,p",2.18E-08,,2.18E-08,,Lu-173,,,,"Hf|173|103|n,p",FUENTE,TRUE,71,173,
+Hf,72,175,,107,"n,a",0.524441547,0.524441547,4.75E-06,0.000994194,Yb-172,,,,"Hf|175|107|n,a",FUENTE,TRUE,70,172,
+Hf,72,175,,103,"n,p",3.17E-12,,2.15E-12,3.17E-12,Lu-175,,,,"Hf|175|103|n,p",FUENTE,TRUE,71,175,
+Hf,72,178,,107,"n,a",7.07E-11,,7.07E-11,,Yb-175,1.91E-06,,,"Hf|178|107|n,a",FUENTE,TRUE,70,175,362016
+Hf,72,170,,107,"n,a",2.15E-05,,2.15E-05,,Yb-167,,,,"Hf|170|107|n,a",FUENTE,TRUE,70,167,
+Hf,72,181,,107,"n,a",2.50E-06,,,2.50E-06,Yb-178,,,,"nan|181|107|n,a",FUENTE,TRUE,70,178,
+Hf,72,171,,103,"n,p",0.000305354,,0.000305354,,Lu-171,,,,"Hf|171|103|n,p",FUENTE,TRUE,71,171,
+Hf,72,170,,103,"n,p",9.21E-10,,9.21E-10,,Lu-170,,,,"Hf|170|103|n,p",FUENTE,TRUE,71,170,
+Hf,72,173,,107,"n,a",4.45E-05,,4.45E-05,,Yb-170,,,,"Hf|173|107|n,a",FUENTE,TRUE,70,170,
+Hf,72,172,,102,"n,g",6.34299487,,6.34299487,,Hf-173,,,,"Hf|172|102|n,g",FUENTE,TRUE,72,173,
+Ta,73,180,0.0001176,102,"n,g",791.4112617,791.4112617,19.61707192,564.0182873,Ta-181,,,,"Ta|<NA>|102|n,g",,FALSE,73,181,
+Ta,73,181,0.9998824,102,"n,g",20.95103285,20.95103285,20.49728274,20.7091985,Ta-182,7.01E-08,,,"Ta|<NA>|102|n,g",,FALSE,73,182,
+Ta,73,180,0.0001176,107,"n,a",0.000421445,6.87E-11,1.32E-08,0.000421445,Lu-177,5.00E-08,,,"Ta|<NA>|107|n,a",,FALSE,71,177,
+Ta,73,181,0.9998824,107,"n,a",3.75E-05,3.75E-05,6.84E-08,,Lu-178,,,,"Ta|<NA>|107|n,a",,FALSE,71,178,
+Ta,73,180,0.0001176,103,"n,p",6.87E-11,6.87E-11,8.41E-12,2.72E-15,Hf-180,,,,"Ta|<NA>|103|n,p",,FALSE,72,180,
+Ta,73,183,,102,"n,g",7.020447439,,7.020447439,,Ta-184,,,,"Ta|183|102|n,g",FUENTE,TRUE,73,184,
+Ta,73,179,,107,"n,a",0.000176818,,0.000176818,0.000143376,Lu-176,5.84E-19,,,"Ta|179|107|n,a",FUENTE,TRUE,71,176,1.19E+18
+Ta,73,179,,103,"n,p",1.00E-20,,,1.00E-20,Hf-179,3.20E-07,,,"nan|179|103|n,p",FUENTE,TRUE,72,179,2168640
+Ta,73,182,,107,"n,a",0.000706141,,0.000462254,0.000706141,Lu-179,,,,"Ta|182|107|n,a",FUENTE,TRUE,71,179,
+,73,182,,103,"n,p",1.00E-20,,,1.00E-20,Hf-182,,,,"nan|182|103|n,p",FUENTE,TRUE,72,182,
+Ta,73,177,,107,"n,a",6.38E-07,,6.38E-07,,Lu-174,,,,"Ta|177|107|n,a",FUENTE,TRUE,71,174,
+Ta,73,177,,103,"n,p",4.16E-09,,4.16E-09,,Hf-177,,,,"Ta|177|103|n,p",FUENTE,TRUE,72,177,
+Ta,73,179,,102,"n,g",984.7909144,,984.7909144,768.7551633,Ta-180,2.36E-05,,,"Ta|179|102|n,g",FUENTE,TRUE,73,180,29340
+Ta,73,183,,107,"n,a",2.66E-12,,2.66E-12,,Lu-180,,,,"Ta|183|107|n,a",FUENTE,TRUE,71,180,
+Ta,73,182,,102,"n,g",8268.52475,8263.997517,8268.52475,8224.589061,Ta-183,,,,"Ta|182|102|n,g",FUENTE,TRUE,73,183,
+Ta,73,177,,102,"n,g",81.53117101,,81.53117101,,Ta-178,,,,"Ta|177|102|n,g",FUENTE,TRUE,73,178,
+W,74,180,0.0012,102,"n,g",149.5630825,29.70314146,37.6816844,149.5630825,W-181,6.62E-08,,,"W|<NA>|102|n,g",,FALSE,74,181,
+W,74,186,0.2843,102,"n,g",38.36953775,37.95166203,38.157856,38.36953775,W-187,8.12E-06,,,"W|<NA>|102|n,g",,FALSE,74,187,
+W,74,182,0.265,102,"n,g",20.34579794,20.34579794,19.90017503,19.93599679,W-183,,,,"W|<NA>|102|n,g",,FALSE,74,183,
+W,74,183,0.1431,102,"n,g",10.42029909,9.886124958,10.42029909,10.31870152,W-184,,,,"W|<NA>|102|n,g",,FALSE,74,184,
+W,74,184,0.3064,102,"n,g",1.703096197,1.637522273,1.700369459,1.703096197,W-185,1.07E-07,,,"W|<NA>|102|n,g",,FALSE,74,185,
+W,74,180,0.0012,107,"n,a",0.000117982,,0.000117982,4.23E-05,Hf-177,,,,"W|<NA>|107|n,a",,FALSE,72,177,
+W,74,183,0.1431,107,"n,a",3.67E-05,,3.67E-05,,Hf-180,,,,"W|<NA>|107|n,a",,FALSE,72,180,
+W,74,182,0.265,107,"n,a",1.96E-06,,1.96E-06,,Hf-179,3.20E-07,,,"W|<NA>|107|n,a",,FALSE,72,179,
+W,74,184,0.3064,107,"n,a",3.83E-08,,3.83E-08,,Hf-181,1.89E-07,,,"W|<NA>|107|n,a",,FALSE,72,181,
+W,74,186,0.2843,107,"n,a",2.69E-09,,2.69E-09,1.00E-10,Hf-183,,,,"W|<NA>|107|n,a",,FALSE,72,183,
+W,74,180,0.0012,103,"n,p",1.00E-20,,,1.00E-20,Ta-180,2.36E-05,,,"W|<NA>|103|n,p",,FALSE,73,180,
+W,74,181,,103,"n,p",5.50E-19,,5.50E-19,1.00E-20,Ta-181,,,,"W|181|103|n,p",FUENTE,TRUE,73,181,
+W,74,185,,102,"n,g",3.3014616,3.045484567,3.3014616,2.098420377,W-186,,,,"W|185|102|n,g",FUENTE,TRUE,74,186,
+W,74,187,,107,"n,a",1.75E-08,,1.75E-08,,Hf-184,,,,"W|187|107|n,a",FUENTE,TRUE,72,184,
+W,74,188,,102,"n,g",12.02186393,,12.02186393,11.98800625,W-189,,,,"W|188|102|n,g",FUENTE,TRUE,74,189,
+W,74,179,,103,"n,p",5.89E-10,,5.89E-10,,Ta-179,1.21E-08,,,"W|179|103|n,p",FUENTE,TRUE,73,179,57433605.47
+W,74,185,,107,"n,a",0.000555031,0.000555031,4.13E-08,6.06E-08,Hf-182,,,,"W|185|107|n,a",FUENTE,TRUE,72,182,
+W,74,179,,107,"n,a",0.000844786,,0.000844786,,Hf-176,,,,"W|179|107|n,a",FUENTE,TRUE,72,176,
+W,74,178,,102,"n,g",5.217198021,,5.217198021,,W-179,,,,"W|178|102|n,g",FUENTE,TRUE,74,179,
+W,74,181,,102,"n,g",57.11876162,57.11876162,5.485143222,57.09647077,W-182,,,,"W|181|102|n,g",FUENTE,TRUE,74,182,
+W,74,188,,107,"n,a",3.08E-14,,2.49E-14,3.08E-14,Hf-185,,,,"W|188|107|n,a",FUENTE,TRUE,72,185,
+W,74,178,,107,"n,a",2.42E-05,,2.42E-05,,Hf-175,1.15E-07,,,"W|178|107|n,a",FUENTE,TRUE,72,175,6048000
+W,74,181,,107,"n,a",0.044066874,0.044066874,4.79E-06,4.97E-05,Hf-178,,,,"W|181|107|n,a",FUENTE,TRUE,72,178,
+W,74,187,,102,"n,g",64.11660321,,64.11660321,,W-188,,,,"W|187|102|n,g",FUENTE,TRUE,74,188,
+W,74,178,,103,"n,p",7.47E-19,,7.47E-19,,Ta-178,,,,"W|178|103|n,p",FUENTE,TRUE,73,178,
+W,74,179,,102,"n,g",46.57299974,,46.57299974,,W-180,,,,"W|179|102|n,g",FUENTE,TRUE,74,180,
+Re,75,185,0.374,102,"n,g",112.5361722,112.3406906,112.1996215,112.5361722,Re-186,2.16E-06,,,"Re|<NA>|102|n,g",,FALSE,75,186,
+Re,75,187,0.626,102,"n,g",76.83458653,76.83458653,76.51838966,76.80359529,Re-188,1.13E-05,,,"Re|<NA>|102|n,g",,FALSE,75,188,
+Re,75,185,0.374,107,"n,a",1.00E-05,,5.85E-07,1.00E-05,Ta-182,7.01E-08,,,"Re|<NA>|107|n,a",,FALSE,73,182,
+Re,75,187,0.626,107,"n,a",3.68E-08,,1.07E-09,3.68E-08,Ta-184,,,,"Re|<NA>|107|n,a",,FALSE,73,184,
+Re,75,185,0.374,103,"n,p",1.00E-20,,,1.00E-20,W-185,1.07E-07,,,"Re|<NA>|103|n,p",,FALSE,74,185,
+Re,75,188,,107,"n,a",4.59E-09,,8.60E-11,4.59E-09,Ta-185,,,,"Re|188|107|n,a",FUENTE,TRUE,73,185,
+Re,75,183,,107,"n,a",2.37E-06,,2.37E-06,,Ta-180,2.36E-05,,,"Re|183|107|n,a",FUENTE,TRUE,73,180,29340
+Re,75,190,,102,"n,g",5.244537353,,5.244537353,,Re-191,,,,"Re|190|102|n,g",FUENTE,TRUE,75,191,
+Re,75,181,,103,"n,p",1.13E-07,,1.13E-07,,W-181,6.62E-08,,,"Re|181|103|n,p",FUENTE,TRUE,74,181,10471680
+Re,75,182,,102,"n,g",241.8728534,,241.8728534,,Re-183,,,,"Re|182|102|n,g",FUENTE,TRUE,75,183,
+Re,75,186,,107,"n,a",0.001064288,0.001064288,3.23E-11,6.18E-06,Ta-183,,,,"Re|186|107|n,a",FUENTE,TRUE,73,183,
+Re,75,186,,103,"n,p",1.04E-13,,1.04E-13,4.07E-14,W-186,,,,"Re|186|103|n,p",FUENTE,TRUE,74,186,
+Re,75,189,,107,"n,a",5.08E-13,,5.08E-13,,Ta-186,,,,"Re|189|107|n,a",FUENTE,TRUE,73,186,
+Re,75,188,,102,"n,g",1.99382636,,0.200364421,1.99382636,Re-189,,,,"Re|188|102|n,g",FUENTE,TRUE,75,189,
+Re,75,181,,107,"n,a",2.83E-07,,2.83E-07,,Ta-178,,,,"Re|181|107|n,a",FUENTE,TRUE,73,178,
+Re,75,184,,107,"n,a",0.014135223,,0.014135223,,Ta-181,,,,"Re|184|107|n,a",FUENTE,TRUE,73,181,
+Re,75,183,,102,"n,g",22.28242492,,22.28242492,,Re-184,,,,"Re|183|102|n,g",FUENTE,TRUE,75,184,
+Re,75,184,,103,"n,p",2.48E-06,,2.48E-06,,W-184,,,,"Re|184|103|n,p",FUENTE,TRUE,74,184,
+Re,75,186,,102,"n,g",171.6607178,171.6607178,111.6029347,65.81285613,Re-187,,,,"Re|186|102|n,g",FUENTE,TRUE,75,187,
+,75,188,,103,"n,p",1.00E-20,,,1.00E-20,W-188,,,,"nan|188|103|n,p",FUENTE,TRUE,74,188,
+Re,75,190,,107,"n,a",3.60E-11,,3.60E-11,,Ta-187,,,,"Re|190|107|n,a",FUENTE,TRUE,73,187,
+Re,75,189,,102,"n,g",5.244537353,,5.244537353,,Re-190,,,,"Re|189|102|n,g",FUENTE,TRUE,75,190,
+Re,75,182,,107,"n,a",9.46E-06,,9.46E-06,,Ta-179,1.21E-08,,,"Re|182|107|n,a",FUENTE,TRUE,73,179,57433605.47
+Re,75,181,,102,"n,g",67.30520262,,67.30520262,,Re-182,,,,"Re|181|102|n,g",FUENTE,TRUE,75,182,
+Re,75,182,,103,"n,p",0.00081725,,0.00081725,,W-182,,,,"Re|182|103|n,p",FUENTE,TRUE,74,182,
+Re,75,183,,103,"n,p",2.48E-14,,2.48E-14,,W-183,,,,"Re|183|103|n,p",FUENTE,TRUE,74,183,
+Re,75,184,,102,"n,g",8916.214723,,8916.214723,,Re-185,,,,"Re|184|102|n,g",FUENTE,TRUE,75,185,
+Os,76,184,0.0002,102,"n,g",3005.465483,3005.465483,3005.465483,1359.291469,Os-185,8.57E-08,,,"Os|<NA>|102|n,g",,FALSE,76,185,
+Os,76,187,0.0196,102,"n,g",322.0361116,321.1445705,321.1445705,322.0361116,Os-188,,,,"Os|<NA>|102|n,g",,FALSE,76,188,
+Os,76,186,0.0159,102,"n,g",80.19281198,80.19281198,80.19281198,79.92387772,Os-187,,,,"Os|<NA>|102|n,g",,FALSE,76,187,
+Os,76,189,0.1615,102,"n,g",25.04055895,25.04055895,25.04055895,24.93331148,Os-190,,,,"Os|<NA>|102|n,g",,FALSE,76,190,
+Os,76,190,0.2626,102,"n,g",13.13155615,13.13155615,13.13155615,13.06988745,Os-191,5.21E-07,,,"Os|<NA>|102|n,g",,FALSE,76,191,
+Os,76,188,0.1324,102,"n,g",5.524937634,5.524937634,5.524937634,5.483076233,Os-189,,,,"Os|<NA>|102|n,g",,FALSE,76,189,
+Os,76,192,0.4078,102,"n,g",3.122278112,3.122278112,3.122278112,3.114925232,Os-193,6.39E-06,,,"Os|<NA>|102|n,g",,FALSE,76,193,
+Os,76,184,0.0002,107,"n,a",0.009776147,0.00500911,0.00500911,0.009776147,W-181,6.62E-08,,,"Os|<NA>|107|n,a",,FALSE,74,181,
+Os,76,186,0.0159,107,"n,a",0.000450413,0.000450413,0.000450413,9.83E-05,W-183,,,,"Os|<NA>|107|n,a",,FALSE,74,183,
+Os,76,187,0.0196,107,"n,a",9.63E-05,5.07E-05,5.07E-05,9.63E-05,W-184,,,,"Os|<NA>|107|n,a",,FALSE,74,184,
+Os,76,188,0.1324,107,"n,a",2.99E-05,1.24E-05,1.24E-05,2.99E-05,W-185,1.07E-07,,,"Os|<NA>|107|n,a",,FALSE,74,185,
+Os,76,189,0.1615,107,"n,a",2.27E-05,2.27E-05,2.27E-05,9.83E-06,W-186,,,,"Os|<NA>|107|n,a",,FALSE,74,186,
+Os,76,190,0.2626,107,"n,a",2.00E-05,1.99E-09,1.99E-09,2.00E-05,W-187,8.12E-06,,,"Os|<NA>|107|n,a",,FALSE,74,187,
+Os,76,192,0.4078,107,"n,a",1.50E-15,1.20E-15,1.20E-15,1.50E-15,W-189,,,,"Os|<NA>|107|n,a",,FALSE,74,189,
+Os,76,184,0.0002,103,"n,p",1.00E-20,4.72E-21,,1.00E-20,Re-184,,,,"Os|<NA>|103|n,p",,FALSE,75,184,
+Os,76,187,0.0196,103,"n,p",1.00E-20,,,1.00E-20,Re-187,,,,"Os|<NA>|103|n,p",,FALSE,75,187,
+Os,76,185,,102,"n,g",65.58255964,65.58255964,8.825259834,65.41249603,Os-186,,,,"Os|185|102|n,g",FUENTE,TRUE,76,186,
+Os,76,182,,102,"n,g",6.737772816,,6.737772816,,Os-183,,,,"Os|182|102|n,g",FUENTE,TRUE,76,183,
+Os,76,194,,102,"n,g",0.043425576,,0.043425576,,Os-195,,,,"Os|194|102|n,g",FUENTE,TRUE,76,195,
+Os,76,182,,107,"n,a",7.69E-05,,7.69E-05,,W-179,,,,"Os|182|107|n,a",FUENTE,TRUE,74,179,
+Os,76,193,,107,"n,a",1.48E-10,,3.89E-11,1.48E-10,W-190,,,,"Os|193|107|n,a",FUENTE,TRUE,74,190,
+Os,76,191,,102,"n,g",383.6978287,381.7456979,383.6978287,381.7456979,Os-192,,,,"Os|191|102|n,g",FUENTE,TRUE,76,192,
+Os,76,182,,103,"n,p",2.85E-13,,2.85E-13,,Re-182,,,,"Os|182|103|n,p",FUENTE,TRUE,75,182,
+Os,76,183,,102,"n,g",76.96436828,,76.96436828,,Os-184,,,,"Os|183|102|n,g",FUENTE,TRUE,76,184,
+Os,76,185,,107,"n,a",0.761233573,0.761233573,0.000314019,0.00140558,W-182,,,,"Os|185|107|n,a",FUENTE,TRUE,74,182,
+Os,76,185,,103,"n,p",4.12E-11,3.18E-12,1.54E-11,4.12E-11,Re-185,,,,"Os|185|103|n,p",FUENTE,TRUE,75,185,
+Os,76,191,,107,"n,a",2.74E-07,2.74E-07,2.70E-08,2.74E-07,W-188,,,,"Os|191|107|n,a",FUENTE,TRUE,74,188,
+Os,76,183,,107,"n,a",0.002340167,,0.002340167,,W-180,,,,"Os|183|107|n,a",FUENTE,TRUE,74,180,
+Os,76,193,,102,"n,g",38.06923302,,38.06923302,38.02176829,Os-194,,,,"Os|193|102|n,g",FUENTE,TRUE,76,194,
+Os,76,183,,103,"n,p",2.67E-06,,2.67E-06,,Re-183,,,,"Os|183|103|n,p",FUENTE,TRUE,75,183,
+Ir,77,191,0.3723,102,"n,g",959.6474008,955.9662632,959.6474008,955.9662632,Ir-192,1.09E-07,,,"Ir|<NA>|102|n,g",,FALSE,77,192,
+Ir,77,193,0.6277,102,"n,g",111.6006105,111.3063989,111.6006105,111.3063989,Ir-194,9.99E-06,,,"Ir|<NA>|102|n,g",,FALSE,77,194,
+Ir,77,191,0.3723,107,"n,a",5.18E-07,,5.18E-07,,Re-188,1.13E-05,,,"Ir|<NA>|107|n,a",,FALSE,75,188,
+Ir,77,193,0.6277,107,"n,a",2.19E-11,,2.19E-11,,Re-190,,,,"Ir|<NA>|107|n,a",,FALSE,75,190,
+Ir,77,187,,102,"n,g",37.60859684,,37.60859684,,Ir-188,,,,"Ir|187|102|n,g",FUENTE,TRUE,77,188,
+Ir,77,188,,103,"n,p",0.000141873,,0.000141873,,Os-188,,,,"Ir|188|103|n,p",FUENTE,TRUE,76,188,
+Ir,77,189,,103,"n,p",5.76E-15,,5.76E-15,,Os-189,,,,"Ir|189|103|n,p",FUENTE,TRUE,76,189,
+Ir,77,190,,102,"n,g",85.73063934,,82.93122203,85.73063934,Ir-191,,,,"Ir|190|102|n,g",FUENTE,TRUE,77,191,
+Ir,77,194,,107,"n,a",1.67E-06,1.67E-06,1.02E-11,,Re-191,,,,"Ir|194|107|n,a",FUENTE,TRUE,75,191,
+Ir,77,186,,107,"n,a",0.031721059,,0.031721059,,Re-183,,,,"Ir|186|107|n,a",FUENTE,TRUE,75,183,
+Ir,77,192,,103,"n,p",1.29E-11,1.29E-11,1.23E-11,1.29E-11,Os-192,,,,"Ir|192|103|n,p",FUENTE,TRUE,76,192,
+Ir,77,185,,102,"n,g",72.92943147,,72.92943147,,Ir-186,,,,"Ir|185|102|n,g",FUENTE,TRUE,77,186,
+Ir,77,186,,103,"n,p",0.005139217,,0.005139217,,Os-186,,,,"Ir|186|103|n,p",FUENTE,TRUE,76,186,
+Ir,77,189,,107,"n,a",1.79E-06,,1.79E-06,,Re-186,2.16E-06,,,"Ir|189|107|n,a",FUENTE,TRUE,75,186,321408
+Ir,77,196,,102,"n,g",0.830059525,,0.830059525,,Ir-197,,,,"Ir|196|102|n,g",FUENTE,TRUE,77,197,
+Ir,77,187,,103,"n,p",2.93E-07,,2.93E-07,,Os-187,,,,"Ir|187|103|n,p",FUENTE,TRUE,76,187,
+Ir,77,188,,102,"n,g",54.55251315,,54.55251315,,Ir-189,,,,"Ir|188|102|n,g",FUENTE,TRUE,77,189,
+Ir,77,192,,107,"n,a",2.24E-05,2.24E-05,5.54E-09,2.24E-05,Re-189,,,,"Ir|192|107|n,a",FUENTE,TRUE,75,189,
+Ir,77,195,,107,"n,a",2.54E-17,,2.54E-17,,Re-192,,,,"Ir|195|107|n,a",FUENTE,TRUE,75,192,
+Ir,77,185,,107,"n,a",0.000740014,,0.000740014,,Re-182,,,,"Ir|185|107|n,a",FUENTE,TRUE,75,182,
+Ir,77,194,,102,"n,g",1502.733132,602.7056008,1502.733132,,Ir-195,,,,"Ir|194|102|n,g",FUENTE,TRUE,77,195,
+Ir,77,187,,107,"n,a",0.000159281,,0.000159281,,Re-184,,,,"Ir|187|107|n,a",FUENTE,TRUE,75,184,
+Ir,77,186,,102,"n,g",329.7647556,,329.7647556,,Ir-187,,,,"Ir|186|102|n,g",FUENTE,TRUE,77,187,
+Ir,77,190,,107,"n,a",7.44E-05,,4.01E-05,7.44E-05,Re-187,,,,"Ir|190|107|n,a",FUENTE,TRUE,75,187,
+Ir,77,189,,102,"n,g",13.13368312,,13.13368312,,Ir-190,,,,"Ir|189|102|n,g",FUENTE,TRUE,77,190,
+Ir,77,190,,103,"n,p",4.82E-08,,4.82E-08,2.83E-08,Os-190,,,,"Ir|190|103|n,p",FUENTE,TRUE,76,190,
+Ir,77,185,,103,"n,p",9.83E-05,,9.83E-05,,Os-185,8.57E-08,,,"Ir|185|103|n,p",FUENTE,TRUE,76,185,8087040
+Ir,77,192,,102,"n,g",1606.826653,1588.094513,1606.826653,1588.094513,Ir-193,,,,"Ir|192|102|n,g",FUENTE,TRUE,77,193,
+Ir,77,196,,107,"n,a",9.08E-13,,9.08E-13,,Re-193,,,,"Ir|196|107|n,a",FUENTE,TRUE,75,193,
+Ir,77,195,,102,"n,g",1.20408944,,1.20408944,,Ir-196,,,,"Ir|195|102|n,g",FUENTE,TRUE,77,196,
+Ir,77,188,,107,"n,a",0.000550432,,0.000550432,,Re-185,,,,"Ir|188|107|n,a",FUENTE,TRUE,75,185,
+Pt,78,190,0.00012,102,"n,g",153.8845461,153.8845461,151.8142915,153.4658831,Pt-191,2.81E-06,,,"Pt|<NA>|102|n,g",,FALSE,78,191,
+Pt,78,195,0.33775,102,"n,g",30.82023623,27.64262657,30.82023623,27.58715786,Pt-196,,,,"Pt|<NA>|102|n,g",,FALSE,78,196,
+Pt,78,192,0.00782,102,"n,g",10.11243672,10.04477375,10.11243672,10.05053657,Pt-193,4.39E-10,,,"Pt|<NA>|102|n,g",,FALSE,78,193,
+Pt,78,198,0.07356,102,"n,g",3.606938847,3.606938847,3.309421417,3.606043621,Pt-199,0.00037508,,,"Pt|<NA>|102|n,g",,FALSE,78,199,
+Pt,78,194,0.32864,102,"n,g",1.44071301,1.44071301,1.432756977,1.436965138,Pt-195,2.00E-06,,,"Pt|<NA>|102|n,g",,FALSE,78,195,
+Pt,78,196,0.25211,102,"n,g",0.752890671,0.574827459,0.752890671,0.573643693,Pt-197,9.68E-06,,,"Pt|<NA>|102|n,g",,FALSE,78,197,
+Pt,78,190,0.00012,107,"n,a",0.011120344,0.011120344,0.001553529,0.007776636,Os-187,,,,"Pt|<NA>|107|n,a",,FALSE,76,187,
+Pt,78,192,0.00782,107,"n,a",0.000199003,0.000114155,8.55E-07,0.000199003,Os-189,,,,"Pt|<NA>|107|n,a",,FALSE,76,189,
+Pt,78,195,0.33775,107,"n,a",0.000110113,0.000110113,1.36E-06,4.98E-06,Os-192,,,,"Pt|<NA>|107|n,a",,FALSE,76,192,
+Pt,78,194,0.32864,107,"n,a",5.01E-06,1.37E-06,6.75E-10,5.01E-06,Os-191,5.21E-07,,,"Pt|<NA>|107|n,a",,FALSE,76,191,
+Pt,78,196,0.25211,107,"n,a",8.15E-08,8.15E-08,1.50E-12,2.47E-12,Os-193,6.39E-06,,,"Pt|<NA>|107|n,a",,FALSE,76,193,
+Pt,78,198,0.07356,107,"n,a",1.28E-09,1.28E-09,3.07E-16,3.05E-15,Os-195,,,,"Pt|<NA>|107|n,a",,FALSE,76,195,
+Pt,78,190,0.00012,103,"n,p",1.00E-20,,,1.00E-20,Ir-190,,,,"Pt|<NA>|103|n,p",,FALSE,77,190,
+Pt,78,200,,102,"n,g",0.008310052,,0.008310052,,Pt-201,,,,"Pt|200|102|n,g",FUENTE,TRUE,78,201,
+Pt,78,193,,103,"n,p",1.00E-20,,2.76E-22,1.00E-20,Ir-193,,,,"Pt|193|103|n,p",FUENTE,TRUE,77,193,
+Pt,78,188,,107,"n,a",8.72E-07,,8.72E-07,,Os-185,8.57E-08,,,"Pt|188|107|n,a",FUENTE,TRUE,76,185,8087040
+Pt,78,188,,103,"n,p",1.89E-15,,1.89E-15,,Ir-188,,,,"Pt|188|103|n,p",FUENTE,TRUE,77,188,
+Pt,78,191,,107,"n,a",0.111356545,0.111356545,0.000653888,0.000521105,Os-188,,,,"Pt|191|107|n,a",FUENTE,TRUE,76,188,
+Pt,78,191,,103,"n,p",7.05E-10,7.05E-10,1.62E-11,3.12E-11,Ir-191,,,,"Pt|191|103|n,p",FUENTE,TRUE,77,191,
+Pt,78,193,,102,"n,g",50.7208851,50.7208851,7.182662743,50.58977825,Pt-194,,,,"Pt|193|102|n,g",FUENTE,TRUE,78,194,
+Pt,78,197,,107,"n,a",6.32E-07,6.32E-07,4.74E-10,,Os-194,,,,"Pt|197|107|n,a",FUENTE,TRUE,76,194,
+Pt,78,189,,107,"n,a",0.010954245,,0.010954245,,Os-186,,,,"Pt|189|107|n,a",FUENTE,TRUE,76,186,
+Pt,78,188,,102,"n,g",3.436950741,,3.436950741,,Pt-189,,,,"Pt|188|102|n,g",FUENTE,TRUE,78,189,
+Pt,78,189,,103,"n,p",9.90E-07,,9.90E-07,,Ir-189,,,,"Pt|189|103|n,p",FUENTE,TRUE,77,189,
+Pt,78,191,,102,"n,g",61.85885439,61.85885439,40.0869037,61.69889702,Pt-192,,,,"Pt|191|102|n,g",FUENTE,TRUE,78,192,
+Pt,78,202,,102,"n,g",0.002945116,,0.002945116,,Pt-203,,,,"Pt|202|102|n,g",FUENTE,TRUE,78,203,
+Pt,78,197,,102,"n,g",21.36102633,21.36102633,0.565708762,,Pt-198,,,,"Pt|197|102|n,g",FUENTE,TRUE,78,198,
+Pt,78,189,,102,"n,g",92.03136414,,92.03136414,,Pt-190,,,,"Pt|189|102|n,g",FUENTE,TRUE,78,190,
+Pt,78,193,,107,"n,a",0.004697243,0.004697243,4.99E-10,3.28E-05,Os-190,,,,"Pt|193|107|n,a",FUENTE,TRUE,76,190,
+Au,79,197,1,102,"n,g",98.84744746,98.84744746,98.84744746,98.84744746,Au-198,2.98E-06,,,"Au|<NA>|102|n,g",,FALSE,79,198,
+Au,79,197,1,107,"n,a",7.47E-09,,7.47E-09,4.21E-21,Ir-194,9.99E-06,,,"Au|<NA>|107|n,a",,FALSE,77,194,
+Au,79,197,1,103,"n,p",4.21E-21,,,4.21E-21,Pt-197,9.68E-06,,,"Au|<NA>|103|n,p",,FALSE,78,197,
+Au,79,195,,107,"n,a",3.14E-12,,3.14E-12,,Ir-192,1.09E-07,,,"Au|195|107|n,a",FUENTE,TRUE,77,192,6378912
+Au,79,194,,102,"n,g",22.71761491,,22.71761491,,Au-195,,,,"Au|194|102|n,g",FUENTE,TRUE,79,195,
+Au,79,193,,103,"n,p",8.56E-11,,8.56E-11,,Pt-193,4.39E-10,,,"Au|193|103|n,p",FUENTE,TRUE,78,193,1577846304
+Au,79,196,,103,"n,p",1.24E-09,,1.24E-09,,Pt-196,,,,"Au|196|103|n,p",FUENTE,TRUE,78,196,
+Au,79,199,,107,"n,a",1.32E-19,,1.32E-19,,Ir-196,,,,"Au|199|107|n,a",FUENTE,TRUE,77,196,
+Au,79,200,,102,"n,g",0.330767511,,0.330767511,,Au-201,,,,"Au|200|102|n,g",FUENTE,TRUE,79,201,
+Au,79,193,,107,"n,a",1.32E-09,,1.32E-09,,Ir-190,,,,"Au|193|107|n,a",FUENTE,TRUE,77,190,
+Au,79,194,,107,"n,a",8.20E-08,,8.20E-08,,Ir-191,,,,"Au|194|107|n,a",FUENTE,TRUE,77,191,
+Au,79,194,,103,"n,p",1.04E-05,,1.04E-05,,Pt-194,,,,"Au|194|103|n,p",FUENTE,TRUE,78,194,
+Au,79,196,,107,"n,a",6.04E-10,,6.04E-10,,Ir-193,,,,"Au|196|107|n,a",FUENTE,TRUE,77,193,
+Au,79,195,,102,"n,g",4.484655704,,4.484655704,,Au-196,1.30E-06,,,"Au|195|102|n,g",FUENTE,TRUE,79,196,532224
+Au,79,198,,102,"n,g",25145.73064,,25145.73064,,Au-199,,,,"Au|198|102|n,g",FUENTE,TRUE,79,199,
+Au,79,193,,102,"n,g",14.01408732,,14.01408732,,Au-194,,,,"Au|193|102|n,g",FUENTE,TRUE,79,194,
+Au,79,195,,103,"n,p",3.83E-20,,3.83E-20,,Pt-195,2.00E-06,,,"Au|195|103|n,p",FUENTE,TRUE,78,195,346464
+Au,79,198,,107,"n,a",3.93E-09,,3.93E-09,,Ir-195,,,,"Au|198|107|n,a",FUENTE,TRUE,77,195,
+Au,79,196,,102,"n,g",9.886018509,,9.886018509,,Au-197,,,,"Au|196|102|n,g",FUENTE,TRUE,79,197,
+Au,79,198,,103,"n,p",3.39E-15,,3.39E-15,,Pt-198,,,,"Au|198|103|n,p",FUENTE,TRUE,78,198,
+Au,79,200,,107,"n,a",6.69E-19,,6.69E-19,,Ir-197,,,,"Au|200|107|n,a",FUENTE,TRUE,77,197,
+Au,79,199,,102,"n,g",0.422897045,,0.422897045,,Au-200,,,,"Au|199|102|n,g",FUENTE,TRUE,79,200,
+Hg,80,196,0.0015,102,"n,g",3083.99493,3083.99493,3083.99493,3083.99493,Hg-197,3.00E-06,,,"Hg|<NA>|102|n,g",,FALSE,80,197,
+Hg,80,199,0.1694,102,"n,g",2155.742431,2153.613043,2153.613043,2155.742431,Hg-200,,,,"Hg|<NA>|102|n,g",,FALSE,80,200,
+Hg,80,200,0.2314,102,"n,g",29.84108,1.445346287,1.438034388,29.84108,Hg-201,,,,"Hg|<NA>|102|n,g",,FALSE,80,201,
+Hg,80,201,0.1317,102,"n,g",7.796541433,4.911450576,7.796541433,4.856311466,Hg-202,,,,"Hg|<NA>|102|n,g",,FALSE,80,202,
+Hg,80,202,0.2974,102,"n,g",4.96283293,4.96283293,4.961831507,4.919044,Hg-203,1.72E-07,,,"Hg|<NA>|102|n,g",,FALSE,80,203,
+Hg,80,198,0.1004,102,"n,g",1.996052485,1.988861474,1.988861474,1.996052485,Hg-199,,,,"Hg|<NA>|102|n,g",,FALSE,80,199,
+Hg,80,204,0.0682,102,"n,g",0.435270827,0.431032685,0.435270827,0.431032685,Hg-205,0.002247559,,,"Hg|<NA>|102|n,g",,FALSE,80,205,
+Hg,80,196,0.0015,107,"n,a",0.000292413,1.70E-05,0.000292413,1.70E-05,Pt-193,4.39E-10,,,"Hg|<NA>|107|n,a",,FALSE,78,193,
+Hg,80,199,0.1694,107,"n,a",6.49E-05,9.59E-07,6.49E-05,6.32E-05,Pt-196,,,,"Hg|<NA>|107|n,a",,FALSE,78,196,
+Hg,80,202,0.2974,107,"n,a",1.32E-08,1.32E-08,1.84E-14,3.85E-13,Pt-199,0.00037508,,,"Hg|<NA>|107|n,a",,FALSE,78,199,
+Hg,80,198,0.1004,107,"n,a",2.91E-09,2.91E-09,1.74E-09,1.32E-09,Pt-195,2.00E-06,,,"Hg|<NA>|107|n,a",,FALSE,78,195,
+Hg,80,201,0.1317,107,"n,a",2.42E-09,3.03E-10,2.42E-09,1.12E-09,Pt-198,,,,"Hg|<NA>|107|n,a",,FALSE,78,198,
+Hg,80,196,0.0015,103,"n,p",8.80E-11,8.80E-11,,8.80E-11,Au-196,1.30E-06,,,"Hg|<NA>|103|n,p",,FALSE,79,196,
+Hg,80,200,0.2314,107,"n,a",5.70E-12,,5.28E-12,5.70E-12,Pt-197,9.68E-06,,,"Hg|<NA>|107|n,a",,FALSE,78,197,
+Hg,80,199,0.1694,103,"n,p",1.01E-20,,,1.01E-20,Au-199,,,,"Hg|<NA>|103|n,p",,FALSE,79,199,
+Hg,80,204,0.0682,107,"n,a",8.89E-21,,8.89E-21,,Pt-201,,,,"Hg|<NA>|107|n,a",,FALSE,78,201,
+Hg,80,197,,102,"n,g",64.04009861,64.04009861,2.312905795,,Hg-198,,,,"Hg|197|102|n,g",FUENTE,TRUE,80,198,
+Hg,80,193,,107,"n,a",6.43E-06,,6.43E-06,,Pt-190,,,,"Hg|193|107|n,a",FUENTE,TRUE,78,190,
+Hg,80,193,,103,"n,p",1.62E-06,,1.62E-06,,Au-193,,,,"Hg|193|103|n,p",FUENTE,TRUE,79,193,
+Hg,80,203,,102,"n,g",556.6956857,556.6956857,0.097444206,556.6956857,Hg-204,,,,"Hg|203|102|n,g",FUENTE,TRUE,80,204,
+Hg,80,195,,102,"n,g",10.02423204,,10.02423204,,Hg-196,,,,"Hg|195|102|n,g",FUENTE,TRUE,80,196,
+Hg,80,197,,107,"n,a",0.003492391,0.003492391,2.54E-06,,Pt-194,,,,"Hg|197|107|n,a",FUENTE,TRUE,78,194,
+Hg,80,197,,103,"n,p",1.08E-15,,1.08E-15,,Au-197,,,,"Hg|197|103|n,p",FUENTE,TRUE,79,197,
+Hg,80,194,,107,"n,a",3.32E-07,,3.32E-07,,Pt-191,2.81E-06,,,"Hg|194|107|n,a",FUENTE,TRUE,78,191,247104
+Hg,80,193,,102,"n,g",32.65838777,,32.65838777,,Hg-194,,,,"Hg|193|102|n,g",FUENTE,TRUE,80,194,
+Hg,80,203,,107,"n,a",8.66E-12,8.66E-12,4.44E-13,8.66E-12,Pt-200,,,,"Hg|203|107|n,a",FUENTE,TRUE,78,200,
+Hg,80,195,,107,"n,a",0.000116691,,0.000116691,,Pt-192,,,,"Hg|195|107|n,a",FUENTE,TRUE,78,192,
+Hg,80,194,,102,"n,g",927.6870541,,927.6870541,,Hg-195,,,,"Hg|194|102|n,g",FUENTE,TRUE,80,195,
+Hg,80,195,,103,"n,p",7.74E-09,,7.74E-09,,Au-195,,,,"Hg|195|103|n,p",FUENTE,TRUE,79,195,
+Tl,81,203,0.2959,102,"n,g",11.54065936,11.42777038,11.42777038,11.54065936,Tl-204,5.81E-09,,,"Tl|<NA>|102|n,g",,FALSE,81,204,
+Tl,81,205,0.7056,102,"n,g",0.130704449,0.130704449,0.130704449,0.104059321,Tl-206,0.002750584,,,"Tl|<NA>|102|n,g",,FALSE,81,206,
+Tl,81,203,0.2959,107,"n,a",1.25E-09,,2.55E-10,1.25E-09,Au-200,,,,"Tl|<NA>|107|n,a",,FALSE,79,200,
+Tl,81,205,0.7056,107,"n,a",2.48E-14,,9.74E-15,2.48E-14,Au-202,,,,"Tl|<NA>|107|n,a",,FALSE,79,202,
+Tl,81,203,0.2959,103,"n,p",1.00E-20,,,1.00E-20,Hg-203,1.72E-07,,,"Tl|<NA>|103|n,p",,FALSE,80,203,
+Tl,81,201,,107,"n,a",5.56E-13,,5.56E-13,,Au-198,2.98E-06,,,"Tl|201|107|n,a",FUENTE,TRUE,79,198,232848
+Tl,81,202,,102,"n,g",8123.129614,,0.557260424,8123.129614,Tl-203,,,,"Tl|202|102|n,g",FUENTE,TRUE,81,203,
+Tl,81,201,,103,"n,p",7.01E-17,,7.01E-17,,Hg-201,,,,"Tl|201|103|n,p",FUENTE,TRUE,80,201,
+Tl,81,204,,107,"n,a",1.17E-08,4.38E-09,1.17E-08,4.38E-09,Au-201,,,,"Tl|204|107|n,a",FUENTE,TRUE,79,201,
+Tl,81,204,,103,"n,p",2.65E-18,1.00E-20,2.65E-18,1.00E-20,Hg-204,,,,"Tl|204|103|n,p",FUENTE,TRUE,80,204,
+Tl,81,202,,107,"n,a",1.60E-07,,7.35E-12,1.60E-07,Au-199,,,,"Tl|202|107|n,a",FUENTE,TRUE,79,199,
+Tl,81,200,,102,"n,g",2.786887957,,2.786887957,,Tl-201,,,,"Tl|200|102|n,g",FUENTE,TRUE,81,201,
+Tl,81,202,,103,"n,p",1.25E-10,,2.81E-11,1.25E-10,Hg-202,,,,"Tl|202|103|n,p",FUENTE,TRUE,80,202,
+Tl,81,204,,102,"n,g",21.63934908,21.5384452,21.63934908,21.5384452,Tl-205,,,,"Tl|204|102|n,g",FUENTE,TRUE,81,205,
+Tl,81,200,,107,"n,a",2.30E-09,,2.30E-09,,Au-197,,,,"Tl|200|107|n,a",FUENTE,TRUE,79,197,
+Tl,81,200,,103,"n,p",1.47E-06,,1.47E-06,,Hg-200,,,,"Tl|200|103|n,p",FUENTE,TRUE,80,200,
+Tl,81,201,,102,"n,g",0.269469038,,0.269469038,,Tl-202,,,,"Tl|201|102|n,g",FUENTE,TRUE,81,202,
+Pb,82,207,0.2351,102,"n,g",0.71314741,0.71314741,0.651440734,0.622505843,Pb-208,,,,"Pb|<NA>|102|n,g",,FALSE,82,208,
+Pb,82,204,0.0158,102,"n,g",0.705964899,0.663671392,0.705964899,0.704528773,Pb-205,1.44E-15,,,"Pb|<NA>|102|n,g",,FALSE,82,205,
+Pb,82,206,0.8673,102,"n,g",0.029080507,0.026565453,0.029080507,0.026669089,Pb-207,,,,"Pb|<NA>|102|n,g",,FALSE,82,207,
+Pb,82,208,0.9775,102,"n,g",0.000234791,0.000234791,0.000231259,0.000231259,Pb-209,5.92E-05,,,"Pb|<NA>|102|n,g",,FALSE,82,209,
+Pb,82,208,0.9775,107,"n,a",3.58E-06,,3.58E-06,3.58E-06,Hg-205,0.002247559,,,"Pb|<NA>|107|n,a",,FALSE,80,205,
+Pb,82,204,0.0158,107,"n,a",1.82E-07,1.48E-07,1.82E-07,1.47E-07,Hg-201,,,,"Pb|<NA>|107|n,a",,FALSE,80,201,
+Pb,82,207,0.2351,107,"n,a",4.09E-08,,4.09E-08,4.09E-08,Hg-204,,,,"Pb|<NA>|107|n,a",,FALSE,80,204,
+Pb,82,206,0.8673,107,"n,a",6.49E-10,,6.49E-10,6.49E-10,Hg-203,1.72E-07,,,"Pb|<NA>|107|n,a",,FALSE,80,203,
+Pb,82,204,0.0158,103,"n,p",1.00E-20,1.00E-20,1.26E-22,1.00E-20,Tl-204,5.81E-09,,,"Pb|<NA>|103|n,p",,FALSE,81,204,
+Pb,82,203,,103,"n,p",5.42E-14,,5.42E-14,,Tl-203,,,,"Pb|203|103|n,p",FUENTE,TRUE,81,203,
+Pb,82,209,,107,"n,a",7.03E-14,,7.03E-14,,Hg-206,,,,"Pb|209|107|n,a",FUENTE,TRUE,80,206,
+Pb,82,200,,107,"n,a",3.20E-09,,3.20E-09,,Hg-197,3.00E-06,,,"Pb|200|107|n,a",FUENTE,TRUE,80,197,230904
+Pb,82,210,,102,"n,g",0.000232483,,0.000232483,,Pb-211,,,,"Pb|210|102|n,g",FUENTE,TRUE,82,211,
+Pb,82,203,,107,"n,a",7.32E-10,,7.32E-10,,Hg-200,,,,"Pb|203|107|n,a",FUENTE,TRUE,80,200,
+Pb,82,202,,102,"n,g",0.073905505,,0.073905505,,Pb-203,3.71E-06,,,"Pb|202|102|n,g",FUENTE,TRUE,82,203,186732
+Pb,82,205,,102,"n,g",5.002396125,5.002396125,4.508198615,4.508149523,Pb-206,,,,"Pb|205|102|n,g",FUENTE,TRUE,82,206,
+Pb,82,210,,107,"n,a",3.74E-16,,3.74E-16,,Hg-207,,,,"Pb|210|107|n,a",FUENTE,TRUE,80,207,
+Pb,82,200,,102,"n,g",0.297397888,,0.297397888,,Pb-201,,,,"Pb|200|102|n,g",FUENTE,TRUE,82,201,
+Pb,82,202,,107,"n,a",5.30E-11,,5.30E-11,,Hg-199,,,,"Pb|202|107|n,a",FUENTE,TRUE,80,199,
+Pb,82,205,,107,"n,a",4.76E-07,4.76E-07,1.13E-10,4.22E-07,Hg-202,,,,"Pb|205|107|n,a",FUENTE,TRUE,80,202,
+Pb,82,203,,102,"n,g",0.32588166,,0.32588166,,Pb-204,,,,"Pb|203|102|n,g",FUENTE,TRUE,82,204,
+Pb,82,205,,103,"n,p",3.00E-20,1.00E-20,,3.00E-20,Tl-205,,,,"Pb|205|103|n,p",FUENTE,TRUE,81,205,
+Pb,82,209,,102,"n,g",0.001429019,,0.001429019,,Pb-210,9.89E-10,,,"Pb|209|102|n,g",FUENTE,TRUE,82,210,700563759
+Pb,82,200,,103,"n,p",1.56E-14,,1.56E-14,,Tl-200,,,,"Pb|200|103|n,p",FUENTE,TRUE,81,200,
+Bi,83,209,1,102,"n,g",0.034258984,0.033865163,0.034258984,0.034258984,Bi-210,1.60E-06,,,"Bi|<NA>|102|n,g",,FALSE,83,210,
+Bi,83,209,1,107,"n,a",3.01E-09,6.37E-14,3.01E-09,,Tl-206,0.002750584,,,"Bi|<NA>|107|n,a",,FALSE,81,206,
+Bi,83,209,1,103,"n,p",1.95E-14,1.95E-14,,,Pb-209,5.92E-05,,,"Bi|<NA>|103|n,p",,FALSE,82,209,
+Bi,83,205,,107,"n,a",9.47E-08,,9.47E-08,,Tl-202,,,,"Bi|205|107|n,a",FUENTE,TRUE,81,202,
+Bi,83,205,,103,"n,p",6.87E-06,,6.87E-06,,Pb-205,1.44E-15,,,"Bi|205|103|n,p",FUENTE,TRUE,82,205,4.82821E+14
+Bi,83,208,,107,"n,a",0.000487952,,7.65E-10,0.000487952,Tl-205,,,,"Bi|208|107|n,a",FUENTE,TRUE,81,205,
+Bi,83,207,,102,"n,g",0.211221139,,0.211221139,,Bi-208,,,,"Bi|207|102|n,g",FUENTE,TRUE,83,208,
+Bi,83,208,,103,"n,p",2.26E-05,,7.97E-09,2.26E-05,Pb-208,,,,"Bi|208|103|n,p",FUENTE,TRUE,82,208,
+Bi,83,210,,102,"n,g",0.054098382,0.054029197,0.054098382,0.053876661,Bi-211,,,,"Bi|210|102|n,g",FUENTE,TRUE,83,211,
+Bi,83,203,,107,"n,a",1.22E-06,,1.22E-06,,Tl-200,,,,"Bi|203|107|n,a",FUENTE,TRUE,81,200,
+Bi,83,203,,103,"n,p",0.000201353,,0.000201353,,Pb-203,3.71E-06,,,"Bi|203|103|n,p",FUENTE,TRUE,82,203,186732
+Bi,83,206,,107,"n,a",1.46E-08,,1.46E-08,,Tl-203,,,,"Bi|206|107|n,a",FUENTE,TRUE,81,203,
+Bi,83,206,,103,"n,p",6.28E-08,,6.28E-08,,Pb-206,,,,"Bi|206|103|n,p",FUENTE,TRUE,82,206,
+Bi,83,205,,102,"n,g",0.98047411,,0.98047411,,Bi-206,,,,"Bi|205|102|n,g",FUENTE,TRUE,83,206,
+Bi,83,208,,102,"n,g",7.484641333,,0.12342749,7.484641333,Bi-209,,,,"Bi|208|102|n,g",FUENTE,TRUE,83,209,
+Bi,83,203,,102,"n,g",4.076954518,,4.076954518,,Bi-204,,,,"Bi|203|102|n,g",FUENTE,TRUE,83,204,
+Bi,83,207,,107,"n,a",1.91E-09,,1.91E-09,,Tl-204,5.81E-09,,,"Bi|207|107|n,a",FUENTE,TRUE,81,204,119285180.6
+Bi,83,206,,102,"n,g",1.041083146,,1.041083146,,Bi-207,,,,"Bi|206|102|n,g",FUENTE,TRUE,83,207,
+Bi,83,207,,103,"n,p",5.11E-09,,5.11E-09,,Pb-207,,,,"Bi|207|103|n,p",FUENTE,TRUE,82,207,
+Bi,83,210,,107,"n,a",0.062523825,0.062523825,6.77E-11,0.000816122,Tl-207,,,,"Bi|210|107|n,a",FUENTE,TRUE,81,207,
+Bi,83,210,,103,"n,p",1.00E-20,,,1.00E-20,Pb-210,9.89E-10,,,"nan|210|103|n,p",FUENTE,TRUE,82,210,700563759
+Po,84,207,,107,"n,a",0.000121658,,0.000121658,,Pb-204,,,,"Po|207|107|n,a",FUENTE,TRUE,82,204,
+Po,84,208,,107,"n,a",0.079258618,0.079258618,1.05E-06,0.079258618,Pb-205,1.44E-15,,,"Po|208|107|n,a",FUENTE,TRUE,82,205,4.82821E+14
+Po,84,206,,102,"n,g",0.141716731,,0.141716731,,Po-207,,,,"Po|206|102|n,g",FUENTE,TRUE,84,207,
+Po,84,207,,103,"n,p",1.30E-05,,1.30E-05,,Bi-207,,,,"Po|207|103|n,p",FUENTE,TRUE,83,207,
+Po,84,208,,103,"n,p",9.14E-10,9.14E-10,6.24E-15,9.14E-10,Bi-208,,,,"Po|208|103|n,p",FUENTE,TRUE,83,208,
+Po,84,210,,107,"n,a",0.000454482,0.000454482,5.56E-07,,Pb-207,,,,"Po|210|107|n,a",FUENTE,TRUE,82,207,
+Po,84,209,,102,"n,g",8.24088016,8.24088016,0.027572244,8.21947517,Po-210,5.80E-08,,,"Po|209|102|n,g",FUENTE,TRUE,84,210,11957760
+Po,84,206,,103,"n,p",1.51E-09,,1.51E-09,,Bi-206,,,,"Po|206|103|n,p",FUENTE,TRUE,83,206,
+Po,84,207,,102,"n,g",0.609972265,,0.609972265,,Po-208,,,,"Po|207|102|n,g",FUENTE,TRUE,84,208,
+Po,84,209,,107,"n,a",2.930486034,2.930486034,1.41E-05,0.373188271,Pb-206,,,,"Po|209|107|n,a",FUENTE,TRUE,82,206,
+Po,84,209,,103,"n,p",4.44E-07,4.44E-07,4.60E-13,1.76E-07,Bi-209,,,,"Po|209|103|n,p",FUENTE,TRUE,83,209,
+Po,84,210,,102,"n,g",0.014955894,0.014955894,0.001026687,,Po-211,,,,"Po|210|102|n,g",FUENTE,TRUE,84,211,
+Po,84,206,,107,"n,a",1.09E-06,,1.09E-06,,Pb-203,3.71E-06,,,"Po|206|107|n,a",FUENTE,TRUE,82,203,186732
+Po,84,208,,102,"n,g",9.620304527,9.620304527,0.040931135,9.620304527,Po-209,,,,"Po|208|102|n,g",FUENTE,TRUE,84,209,
+Rn,86,222,,102,"n,g",0.701275302,,0.701275302,,Rn-223,,,,"Rn|222|102|n,g",FUENTE,TRUE,86,223,
+Rn,86,211,,107,"n,a",0.001244294,,0.001244294,,Po-208,,,,"Rn|211|107|n,a",FUENTE,TRUE,84,208,
+Rn,86,222,,107,"n,a",9.25E-11,,9.25E-11,,Po-219,,,,"Rn|222|107|n,a",FUENTE,TRUE,84,219,
+Rn,86,211,,103,"n,p",5.02E-08,,5.02E-08,,At-211,,,,"Rn|211|103|n,p",FUENTE,TRUE,85,211,
+Rn,86,211,,102,"n,g",0.286414845,,0.286414845,,Rn-212,,,,"Rn|211|102|n,g",FUENTE,TRUE,86,212,
+Ra,88,224,,102,"n,g",12.02185956,12.02185956,12.02185956,12.02185956,Ra-225,,,,"Ra|224|102|n,g",FUENTE,TRUE,88,225,
+Ra,88,228,,107,"n,a",2.92E-13,,2.92E-13,,Rn-225,,,,"Ra|228|107|n,a",FUENTE,TRUE,86,225,
+Ra,88,226,,107,"n,a",1.10E-07,,,1.10E-07,Rn-223,,,,"nan|226|107|n,a",FUENTE,TRUE,86,223,
+Ra,88,225,,102,"n,g",100.1797204,100.1797204,100.1797204,100.1797204,Ra-226,,,,"Ra|225|102|n,g",FUENTE,TRUE,88,226,
+Ra,88,228,,102,"n,g",36.0655907,,36.0655907,,Ra-229,,,,"Ra|228|102|n,g",FUENTE,TRUE,88,229,
+Ra,88,223,,102,"n,g",130.23689,130.23689,130.23689,130.23689,Ra-224,,,,"Ra|223|102|n,g",FUENTE,TRUE,88,224,
+Ra,88,226,,102,"n,g",12.80997794,12.79964629,12.79964629,12.80997794,Ra-227,,,,"Ra|226|102|n,g",FUENTE,TRUE,88,227,
+Ac,89,226,,102,"n,g",1001.81137,1001.81137,1001.81137,1001.81137,Ac-227,,,,"Ac|226|102|n,g",FUENTE,TRUE,89,227,
+Ac,89,225,,102,"n,g",40.07319534,40.07319534,40.07319534,40.07319534,Ac-226,,,,"Ac|225|102|n,g",FUENTE,TRUE,89,226,
+Ac,89,227,,102,"n,g",801.4469539,801.4469539,801.4469539,801.4469539,Ac-228,,,,"Ac|227|102|n,g",FUENTE,TRUE,89,228,
+Th,90,232,0.9998,102,"n,g",7.349807535,7.349807535,7.343024359,7.349807535,Th-233,0.000518047,,,"Th|<NA>|102|n,g",,FALSE,90,233,
+Th,90,227,,102,"n,g",405.7377297,405.7377297,405.7377297,405.7377297,Th-228,,,,"Th|227|102|n,g",FUENTE,TRUE,90,228,
+Th,90,230,,102,"n,g",23.44136887,23.44136887,23.44136887,23.12004051,Th-231,7.55E-06,,,"Th|230|102|n,g",FUENTE,TRUE,90,231,91800
+Th,90,233,,102,"n,g",1292.395036,1292.395036,1292.395036,1292.395036,Th-234,,,,"Th|233|102|n,g",FUENTE,TRUE,90,234,
+Th,90,229,,102,"n,g",70.63600566,70.63600566,70.63600566,70.63600566,Th-230,,,,"Th|229|102|n,g",FUENTE,TRUE,90,230,
+Th,90,228,,102,"n,g",123.0866824,123.0866824,123.0866824,123.0866824,Th-229,,,,"Th|228|102|n,g",FUENTE,TRUE,90,229,
+Th,90,231,,102,"n,g",1633.027313,1633.027313,1633.027313,,Th-232,,,,"Th|231|102|n,g",FUENTE,TRUE,90,232,
+Th,90,234,,102,"n,g",1.803305956,1.803305956,1.803305956,1.803305956,Th-235,,,,"Th|234|102|n,g",FUENTE,TRUE,90,235,
+Pa,91,231,,102,"n,g",202.0367942,201.2082658,202.0367942,201.2082658,Pa-232,,,,"Pa|231|102|n,g",FUENTE,TRUE,91,232,
+Pa,91,228,,107,"n,a",0.000191509,,0.000191509,,Ac-225,,,,"Pa|228|107|n,a",FUENTE,TRUE,89,225,
+Pa,91,228,,103,"n,p",9.74E-08,,9.74E-08,,Th-228,,,,"Pa|228|103|n,p",FUENTE,TRUE,90,228,
+Pa,91,230,,102,"n,g",380.6537515,380.6537515,380.6537515,,Pa-231,6.70E-13,,,"Pa|230|102|n,g",FUENTE,TRUE,91,231,1.03507E+12
+Pa,91,232,,102,"n,g",590.2390461,590.2390461,590.2390461,590.2390461,Pa-233,2.97E-07,,,"Pa|232|102|n,g",FUENTE,TRUE,91,233,2332800
+Pa,91,233,,102,"n,g",42.61843861,42.61843861,39.55014541,42.61843861,Pa-234,,,,"Pa|233|102|n,g",FUENTE,TRUE,91,234,
+Pa,91,228,,102,"n,g",287.4727671,,287.4727671,,Pa-229,,,,"Pa|228|102|n,g",FUENTE,TRUE,91,229,
+Pa,91,229,,102,"n,g",400.6140046,400.6140046,400.6140046,,Pa-230,,,,"Pa|229|102|n,g",FUENTE,TRUE,91,230,
+U,92,234,5.40E-05,102,"n,g",101.082947,101.082947,100.4870153,101.082947,U-235,,,,"U|<NA>|102|n,g",,FALSE,92,235,
+U,92,235,0.007204,102,"n,g",99.88488057,99.71609569,99.67137495,99.88488057,U-236,9.39E-16,,,"U|<NA>|102|n,g",,FALSE,92,236,
+U,92,238,0.992742,102,"n,g",2.687348482,2.687281574,2.687281574,2.687348482,U-239,0.000492642,,,"U|<NA>|102|n,g",,FALSE,92,239,
+U,92,235,0.007204,107,"n,a",0.000285463,0.000285463,,,Th-232,,,,"U|<NA>|107|n,a",,FALSE,90,232,
+U,92,238,0.992742,107,"n,a",2.62E-07,2.62E-07,,,Th-235,,,,"U|<NA>|107|n,a",,FALSE,90,235,
+U,92,236,,102,"n,g",5.304710946,5.141185016,5.130069934,5.304710946,U-237,1.19E-06,,,"U|236|102|n,g",FUENTE,TRUE,92,237,583200
+U,92,239,,102,"n,g",22.55492379,22.55492379,,22.36373866,U-240,,,,"U|239|102|n,g",FUENTE,TRUE,92,240,
+U,92,231,,102,"n,g",20.03571429,20.03571429,20.03571429,,U-232,3.19E-10,,,"U|231|102|n,g",FUENTE,TRUE,92,232,2174272207
+U,92,236,,107,"n,a",1.98E-15,,,1.98E-15,Th-233,0.000518047,,,"nan|236|107|n,a",FUENTE,TRUE,90,233,1338
+U,92,237,,102,"n,g",453.2445807,453.2445807,453.2445807,453.2445807,U-238,,,,"U|237|102|n,g",FUENTE,TRUE,92,238,
+U,92,232,,102,"n,g",75.55452085,75.55452085,75.55452085,75.55452085,U-233,1.38E-13,,,"U|232|102|n,g",FUENTE,TRUE,92,233,5.01755E+12
+U,92,240,,102,"n,g",19.19276673,19.19276673,0.40391152,19.19276673,U-241,,,,"U|240|102|n,g",FUENTE,TRUE,92,241,
+U,92,237,,107,"n,a",8.11E-14,,,8.11E-14,Th-234,,,,"nan|237|107|n,a",FUENTE,TRUE,90,234,
+U,92,240,,107,"n,a",2.37E-15,,2.37E-15,,Th-237,,,,"U|240|107|n,a",FUENTE,TRUE,90,237,
+U,92,230,,102,"n,g",201.0583919,201.0583919,200.3557886,,U-231,,,,"U|230|102|n,g",FUENTE,TRUE,92,231,
+U,92,241,,102,"n,g",479.7448702,479.7448702,,475.9749,U-242,,,,"U|241|102|n,g",FUENTE,TRUE,92,242,
+U,92,233,,102,"n,g",45.31872392,44.14342174,43.52458199,45.31872392,U-234,,,,"U|233|102|n,g",FUENTE,TRUE,92,234,
+Np,93,237,,102,"n,g",175.7474534,175.7474534,174.2537831,175.7474534,Np-238,,,,"Np|237|102|n,g",FUENTE,TRUE,93,238,
+Np,93,235,,102,"n,g",155.2818795,155.2818795,155.2818795,155.2818795,Np-236,,,,"Np|235|102|n,g",FUENTE,TRUE,93,236,
+Np,93,238,,102,"n,g",480.5777719,480.5777719,480.5777719,203.2019731,Np-239,3.40E-06,,,"Np|238|102|n,g",FUENTE,TRUE,93,239,203904
+Np,93,236,,102,"n,g",142.7429228,142.7429228,121.3038827,121.3038827,Np-237,1.03E-14,,,"Np|236|102|n,g",FUENTE,TRUE,93,237,6.75318E+13
+Np,93,239,,102,"n,g",45.08129397,45.08129397,45.08129397,45.08129397,Np-240,,,,"Np|239|102|n,g",FUENTE,TRUE,93,240,
+Np,93,234,,102,"n,g",110.2057075,110.2057075,110.2057075,,Np-235,,,,"Np|234|102|n,g",FUENTE,TRUE,93,235,
+Pu,94,242,,102,"n,g",21.2988409,21.2988409,19.52349214,18.82202341,Pu-243,,,,"Pu|242|102|n,g",FUENTE,TRUE,94,243,
+Pu,94,237,,102,"n,g",540.983716,200.3586174,200.3586174,540.983716,Pu-238,2.50E-10,,,"Pu|237|102|n,g",FUENTE,TRUE,94,238,2767542417
+Pu,94,239,,102,"n,g",271.4684931,270.5115839,270.224004,271.4684931,Pu-240,3.35E-12,,,"Pu|239|102|n,g",FUENTE,TRUE,94,240,2.07045E+11
+Pu,94,245,,102,"n,g",11.71846231,11.71846231,,,Pu-246,,,,"Pu|245|102|n,g",FUENTE,TRUE,94,246,
+Pu,94,245,,107,"n,a",9.65E-05,9.65E-05,,,U-242,,,,"Pu|245|107|n,a",FUENTE,TRUE,92,242,
+Pu,94,240,,102,"n,g",289.6309825,285.9855147,289.6309825,286.1774659,Pu-241,1.54E-09,,,"Pu|240|102|n,g",FUENTE,TRUE,94,241,451264042.9
+Pu,94,241,,102,"n,g",364.810343,364.810343,363.9753055,363.9753055,Pu-242,5.86E-14,,,"Pu|241|102|n,g",FUENTE,TRUE,94,242,1.18338E+13
+Pu,94,243,,102,"n,g",99.30146336,99.30146336,,88.26894727,Pu-244,,,,"Pu|243|102|n,g",FUENTE,TRUE,94,244,
+Pu,94,244,,102,"n,g",1.833088585,1.712886046,1.712886046,1.833088585,Pu-245,,,,"Pu|244|102|n,g",FUENTE,TRUE,94,245,
+Pu,94,236,,102,"n,g",27.59925122,27.59925122,27.59925122,27.59925122,Pu-237,,,,"Pu|236|102|n,g",FUENTE,TRUE,94,237,
+Pu,94,246,,102,"n,g",80.14556916,80.14556916,80.14556916,80.14556916,Pu-247,,,,"Pu|246|102|n,g",FUENTE,TRUE,94,247,
+Pu,94,238,,102,"n,g",507.9156292,414.1801079,507.9156292,414.1801079,Pu-239,9.11E-13,,,"Pu|238|102|n,g",FUENTE,TRUE,94,239,7.60522E+11
+Pu,94,247,,102,"n,g",4.965009469,,4.965009469,,Pu-248,,,,"Pu|247|102|n,g",FUENTE,TRUE,94,248,
+Am,95,244,,102,"n,g",1001.785269,601.0720313,1001.785269,1001.785269,Am-245,,,,"Am|244|102|n,g",FUENTE,TRUE,95,245,
+,95,241,,103,"n,p",9.92E-15,,,9.92E-15,Pu-241,1.54E-09,,,"nan|241|103|n,p",FUENTE,TRUE,94,241,451264042.9
+Am,95,242,,102,"n,g",1231.033202,1231.033202,1141.516211,1231.033202,Am-243,2.98E-12,,,"Am|242|102|n,g",FUENTE,TRUE,95,243,2.32575E+11
+,95,241,,107,"n,a",1.21E-13,,,1.21E-13,Np-238,,,,"nan|241|107|n,a",FUENTE,TRUE,93,238,
+Am,95,240,,102,"n,g",280.5157951,280.5157951,280.5157951,,Am-241,5.08E-11,,,"Am|240|102|n,g",FUENTE,TRUE,95,241,13638903452
+Am,95,243,,102,"n,g",80.52849169,80.52849169,79.78610506,79.35113884,Am-244,,,,"Am|243|102|n,g",FUENTE,TRUE,95,244,
+Am,95,241,,102,"n,g",751.2475099,685.7493814,710.6270261,751.2475099,Am-242,1.56E-10,,,"Am|241|102|n,g",FUENTE,TRUE,95,242,4449526577
+Cm,96,243,,102,"n,g",131.6316844,131.6316844,131.5992237,131.6316844,Cm-244,1.21E-09,,,"Cm|243|102|n,g",FUENTE,TRUE,96,244,571180362
+Cm,96,246,,102,"n,g",1.18088329,1.18088329,1.137281376,1.18088329,Cm-247,,,,"Cm|246|102|n,g",FUENTE,TRUE,96,247,
+Cm,96,249,,102,"n,g",1.602936736,1.602936736,1.602936736,1.602936736,Cm-250,,,,"Cm|249|102|n,g",FUENTE,TRUE,96,250,
+Cm,96,241,,102,"n,g",200.3495957,200.3495957,200.3495957,200.3495957,Cm-242,4.93E-08,,,"Cm|241|102|n,g",FUENTE,TRUE,96,242,14065920
+Cm,96,244,,102,"n,g",15.25638798,15.25638798,14.0925291,15.25638798,Cm-245,,,,"Cm|244|102|n,g",FUENTE,TRUE,96,245,
+Cm,96,247,,102,"n,g",60.02329206,60.02329206,60.02329206,60.02329206,Cm-248,,,,"Cm|247|102|n,g",FUENTE,TRUE,96,248,
+Cm,96,250,,102,"n,g",81.46021978,81.46021978,81.46021978,81.46021978,Cm-251,,,,"Cm|250|102|n,g",FUENTE,TRUE,96,251,
+Cm,96,242,,102,"n,g",19.16308208,19.16308208,19.16308208,19.16308208,Cm-243,7.55E-10,,,"Cm|242|102|n,g",FUENTE,TRUE,96,243,918306548.9
+Cm,96,245,,102,"n,g",348.1029663,348.1029663,348.1029663,348.1029663,Cm-246,,,,"Cm|245|102|n,g",FUENTE,TRUE,96,246,
+Cm,96,248,,102,"n,g",2.87617744,2.87617744,2.87617744,2.87617744,Cm-249,,,,"Cm|248|102|n,g",FUENTE,TRUE,96,249,
+Cm,96,240,,102,"n,g",50.08812499,50.08812499,50.08812499,50.08812499,Cm-241,,,,"Cm|240|102|n,g",FUENTE,TRUE,96,241,
+Bk,97,248,,107,"n,a",7.95E-09,,7.95E-09,,Am-245,,,,"Bk|248|107|n,a",FUENTE,TRUE,95,245,
+Bk,97,249,,102,"n,g",710.7066945,710.7066945,710.7066945,710.7066945,Bk-250,,,,"Bk|249|102|n,g",FUENTE,TRUE,97,250,
+Bk,97,248,,103,"n,p",2.86E-18,,2.86E-18,,Cm-248,,,,"Bk|248|103|n,p",FUENTE,TRUE,96,248,
+Bk,97,247,,102,"n,g",1001.834179,1001.834179,1001.834179,1001.834179,Bk-248,,,,"Bk|247|102|n,g",FUENTE,TRUE,97,248,
+Bk,97,250,,102,"n,g",781.5118482,781.5118482,781.5118482,781.5118482,Bk-251,,,,"Bk|250|102|n,g",FUENTE,TRUE,97,251,
+Bk,97,245,,102,"n,g",1001.792664,1001.792664,1001.792664,,Bk-246,,,,"Bk|245|102|n,g",FUENTE,TRUE,97,246,
+Bk,97,248,,102,"n,g",861.4670106,861.4670106,861.4670106,,Bk-249,,,,"Bk|248|102|n,g",FUENTE,TRUE,97,249,
+Bk,97,246,,102,"n,g",701.2168542,701.2168542,701.2168542,,Bk-247,,,,"Bk|246|102|n,g",FUENTE,TRUE,97,247,
+Cf,98,249,,102,"n,g",507.7330292,507.7330292,507.7330292,507.7330292,Cf-250,,,,"Cf|249|102|n,g",FUENTE,TRUE,98,250,
+Cf,98,252,,102,"n,g",20.74577256,20.74577256,20.74577256,20.53094632,Cf-253,,,,"Cf|252|102|n,g",FUENTE,TRUE,98,253,
+Cf,98,254,,102,"n,g",4.508521524,4.508521524,4.508521524,4.508521524,Cf-255,,,,"Cf|254|102|n,g",FUENTE,TRUE,98,255,
+Cf,98,247,,102,"n,g",59.47276518,59.47276518,,,Cf-248,,,,"Cf|247|102|n,g",FUENTE,TRUE,98,248,
+Cf,98,250,,102,"n,g",2024.435389,2024.435389,2024.435389,2024.435389,Cf-251,,,,"Cf|250|102|n,g",FUENTE,TRUE,98,251,
+Cf,98,253,,102,"n,g",20.03288217,20.03288217,20.03288217,20.03288217,Cf-254,,,,"Cf|253|102|n,g",FUENTE,TRUE,98,254,
+Cf,98,248,,102,"n,g",1703.0005,1703.0005,1703.0005,,Cf-249,,,,"Cf|248|102|n,g",FUENTE,TRUE,98,249,
+Cf,98,251,,102,"n,g",2873.751336,2873.751336,2873.751336,2869.167115,Cf-252,8.30E-09,,,"Cf|251|102|n,g",FUENTE,TRUE,98,252,83468069.48
+Cf,98,247,,107,"n,a",1308.084646,1308.084646,,,Cm-244,1.21E-09,,,"Cf|247|107|n,a",FUENTE,TRUE,96,244,571180362
+Cf,98,246,,102,"n,g",1703.169794,1703.169794,1703.169794,,Cf-247,,,,"Cf|246|102|n,g",FUENTE,TRUE,98,247,
+Es,99,253,,102,"n,g",184.1487225,184.1487225,184.1487225,184.1487225,Es-254,,,,"Es|253|102|n,g",FUENTE,TRUE,99,254,
+Es,99,254,,102,"n,g",250.4676928,28.35109028,250.4676928,28.35109028,Es-255,,,,"Es|254|102|n,g",FUENTE,TRUE,99,255,
+Es,99,251,,102,"n,g",200.360081,200.360081,200.360081,,Es-252,,,,"Es|251|102|n,g",FUENTE,TRUE,99,252,
+Es,99,252,,102,"n,g",200.3571429,200.3571429,200.3571429,,Es-253,,,,"Es|252|102|n,g",FUENTE,TRUE,99,253,
+Es,99,255,,102,"n,g",55.08897902,55.08897902,55.08897902,55.08897902,Es-256,,,,"Es|255|102|n,g",FUENTE,TRUE,99,256,
+Fm,100,253,,102,"n,g",2.863557225,,2.863557225,,Fm-254,,,,"Fm|253|102|n,g",FUENTE,TRUE,100,254,
+Fm,100,257,,107,"n,a",1.33E-08,,1.33E-08,,Cf-254,,,,"Fm|257|107|n,a",FUENTE,TRUE,98,254,
+Fm,100,252,,107,"n,a",1.55E-08,,1.55E-08,,Cf-249,,,,"Fm|252|107|n,a",FUENTE,TRUE,98,249,
+Fm,100,257,,102,"n,g",3.005465483,,3.005465483,,Fm-258,,,,"Fm|257|102|n,g",FUENTE,TRUE,100,258,
+Fm,100,253,,107,"n,a",6.44E-07,,6.44E-07,,Cf-250,,,,"Fm|253|107|n,a",FUENTE,TRUE,98,250,
+Fm,100,252,,102,"n,g",1.25116548,,1.25116548,,Fm-253,,,,"Fm|252|102|n,g",FUENTE,TRUE,100,253,
+Fm,100,255,,102,"n,g",270.4925426,270.4925426,270.4925426,270.4925426,Fm-256,,,,"Fm|255|102|n,g",FUENTE,TRUE,100,256,
+`,
+    abundances: `Symbol,Z,A,Abundance,MT,Reaction,Max_XS,XS_ENDF-VIII.1,XS_JENDL,XS_JEFF,Daughter_Isotope,Decay_Constant_Lambda,Manual Value,Relative change,Unnamed: 15,
+H,1,1,0.99999,102,"n,g",0.333190116,0.333190116,0.333190116,0.332617513,H-2,,0.332587,-0.001813408,Revisar bien abundancias,
+H,1,2,0.00028,102,"n,g",0.000551002,0.000506902,0.000551002,0.000505035,H-3,1.78E-09,0.000550005,-0.001812711,,
+He,2,3,2.00E-06,103,"n,p",5337.702352,5325.677265,5337.702352,5325.677265,H-3,1.78E-09,,#DIV/0!,,
+He,2,3,2.00E-06,102,"n,g",5.51E-05,5.51E-05,5.41E-05,5.51E-05,He-4,,5.50E-05,-0.002049564,,
+Li,3,7,0.981,102,"n,g",0.045619831,0.045583514,0.045619831,0.045482856,Li-8,0.825175215,0.045402,-0.004797828,,
+Li,3,6,0.078,102,"n,g",0.038634527,0.038570146,0.038634527,0.038570146,Li-7,,0.0385003,-0.003486388,,
+Be,4,9,1,102,"n,g",0.00879029,0.008373892,0.008505468,0.00879029,Be-10,1.45E-14,0.0100308,0.123670096,,
+B,5,10,0.204,107,"n,a",3851.153068,3851.153068,3846.899059,3849.537707,Li-7,,,#DIV/0!,,
+B,5,10,0.204,102,"n,g",0.501290998,0.396766961,0.501290998,0.500898278,B-11,,0.500004,-0.002573975,,
+B,5,11,0.811,102,"n,g",0.005542904,0.005542904,0.005112791,0.005542904,B-12,,0.00550004,-0.007793398,,
+B,5,10,0.204,103,"n,p",0.003007746,0.000567029,0.003007746,0.000567029,Be-10,1.45E-14,,#DIV/0!,,
+C,6,12,0.9904,102,"n,g",0.003902125,0.0038604,0.003902125,,C-13,,0.00387747,-0.006358528,,
+C,6,13,0.0116,102,"n,g",0.001500254,0.001500254,0.001494661,0.001367248,C-14,3.85E-12,0.00150028,1.73E-05,,
+N,7,14,0.99663,103,"n,p",1.933516691,1.83042806,1.933516691,1.83042806,C-14,3.85E-12,,#DIV/0!,,
+N,7,14,0.99663,102,"n,g",0.075136626,0.07513553,0.075136626,0.07513553,N-15,,0.0750004,-0.001816337,,
+N,7,15,0.00422,102,"n,g",2.40E-05,2.40E-05,2.38E-05,2.40E-05,N-16,0.097215593,2.40E-05,0.00041233,,
+O,8,17,0.0004,107,"n,a",0.244712154,0.236266789,0.244712154,0.235,C-14,3.85E-12,,#DIV/0!,,
+O,8,17,0.0004,102,"n,g",0.003850095,0.003850095,0.000672483,0.000555119,O-18,,0.00382862,-0.005609071,,
+O,8,16,0.99776,102,"n,g",0.000190901,0.000169836,0.000190212,0.000190901,O-17,,0.000189986,-0.004816144,,
+O,8,18,0.00222,102,"n,g",0.000161494,0.000161494,0.000140817,0.000158987,O-19,0.025757978,0.000158966,-0.015902772,,
+O,8,16,0.99776,107,"n,a",2.75E-32,,2.75E-32,,C-13,,,#DIV/0!,,
+F,9,19,1,102,"n,g",0.009607304,0.0095699,0.009587298,0.009607304,F-20,0.062109962,0.00957834,-0.003023906,,
+Ne,10,21,0.0027,102,"n,g",0.692950333,0.66875744,0.692950333,0.66875744,Ne-22,,0.691696,-0.001813417,,
+Ne,10,21,0.0027,107,"n,a",0.692950333,0.66875744,0.692950333,0.000181743,O-18,,,#DIV/0!,,
+Ne,10,22,0.0925,102,"n,g",0.052797442,0.045577017,0.052797442,0.045577017,Ne-23,0.018612975,0.0527019,-0.001812876,,
+Ne,10,20,0.9048,102,"n,g",0.036940716,0.036940716,0.036868142,0.036940716,Ne-21,,0.0368739,-0.001812013,,
+Na,11,23,1,102,"n,g",0.533675684,0.528,0.533675684,0.524788376,Na-24,1.29E-05,0.531551,-0.00399714,,
+Mg,12,25,0.10034,102,"n,g",0.1907167,0.1907167,0.1907167,0.1907167,Mg-26,,0.190374,-0.001800141,,
+Mg,12,24,0.7905,102,"n,g",0.050380298,0.050380298,0.050380298,0.050380298,Mg-25,,0.0502894,-0.001807498,,
+Mg,12,26,0.1109,102,"n,g",0.038378532,0.038378532,0.038378532,0.038378532,Mg-27,0.001221448,0.03831,-0.00178888,,
+Al,13,27,1,102,"n,g",0.233882507,0.233882507,0.23130139,0.233882507,Al-28,0.005155044,0.233463,-0.001796889,,
+Si,14,28,0.92318,102,"n,g",0.1861753,0.1861753,0.169439852,0.169439663,Si-29,,0.169141,-0.10071065,,
+Si,14,29,0.04699,102,"n,g",0.120173564,0.119614795,0.120173564,0.120173453,Si-30,,0.119961,-0.001771943,,
+Si,14,30,0.0311,102,"n,g",0.108018325,0.108018325,0.107268239,0.107274463,Si-31,7.35E-05,0.107085,-0.00871574,,
+P,15,31,1,102,"n,g",0.170166279,0.170166279,0.166480097,0.164788471,P-32,5.63E-07,0.169361,-0.004754808,,
+S,16,32,0.9529,102,"n,g",0.529143792,0.529143792,0.529143792,0.524600067,S-33,,0.528215,-0.00175836,,
+S,16,33,0.00797,102,"n,g",0.44979617,0.350674543,0.350674543,0.44979617,S-34,,0.449023,-0.001721894,,
+S,16,34,0.0477,102,"n,g",0.256491337,0.223999584,0.223999584,0.256491337,S-35,9.17E-08,0.256054,-0.001707987,,
+S,16,36,0.000187,102,"n,g",0.236222495,0.150269518,0.150269518,0.236222495,S-37,0.002287614,0.235815,-0.001728028,,
+S,16,33,0.00797,107,"n,a",0.168621,0.168621,0.168621,0.115596384,Si-30,,,,,
+S,16,32,0.9529,107,"n,a",0.007033271,0.007,0.007,0.007033271,Si-29,,,,,
+S,16,33,0.00797,103,"n,p",0.002010511,0.00161194,0.00161194,0.002010511,P-33,3.17E-07,,,,
+Cl,17,35,0.761,102,"n,g",43.67991426,43.67991426,43.67991426,43.67990535,Cl-36,7.30E-14,43.6122,-0.001552645,,
+Cl,17,35,0.761,103,"n,p",0.479998284,0.479998284,0.479998284,0.479998284,S-35,9.17E-08,,,,
+Cl,17,37,0.245,102,"n,g",0.435471917,0.434949793,0.435471917,0.433750854,Cl-38,0.000310216,0.433122,-0.005425531,,
+Cl,17,35,0.761,107,"n,a",8.02E-05,8.02E-05,8.01E-05,8.02E-05,P-32,5.63E-07,,,,
+Ar,18,36,0.0207,102,"n,g",5.264417425,5.051550838,5.264417425,5.204271966,Ar-37,2.29E-07,5.24318,-0.004050486,,
+Ar,18,38,0.043,102,"n,g",0.827084635,0.806875085,0.827084635,0.800771769,Ar-39,8.17E-11,0.825781,-0.001578669,,
+Ar,18,40,1,102,"n,g",0.661182609,0.661182609,0.661182609,0.661182609,Ar-41,0.000105792,0.660152,-0.001561169,,
+Ar,18,36,0.0207,107,"n,a",0.005578587,,0.005578587,0.005522244,S-33,,,,,
+Ar,18,36,0.0207,103,"n,p",0.00151592,,0.00151592,0.001506091,Cl-36,7.30E-14,,,,
+Ar,18,38,0.043,103,"n,p",0,,0,0,Cl-38,0.000310216,,,,
+K,19,40,0.000117,102,"n,g",90.1639723,30.05465483,90.1639723,30.01680014,K-41,,90.0295,-0.001493647,,Average relative error
+K,19,40,0.000117,103,"n,p",4.407962764,4.406826344,4.407962764,4.40366288,Ar-40,,,,,
+K,19,39,0.932581,102,"n,g",2.130624505,2.130624505,2.130624505,2.113252155,K-40,1.76E-17,2.12742,-0.001506287,,
+K,19,41,0.067302,102,"n,g",1.463215993,1.463215993,1.463215993,1.445356542,K-42,1.56E-05,1.46113,-0.001427657,,-0.23%
+K,19,40,0.000117,107,"n,a",0.391050284,0.390184696,0.390710492,0.391050284,Cl-37,,,,,
+K,19,39,0.932581,107,"n,a",0.004351976,0.004300776,0.004307824,0.004351976,Cl-36,7.30E-14,,,,
+K,19,39,0.932581,103,"n,p",5.62E-09,,5.62E-09,1.02E-20,Ar-39,8.17E-11,,,,
+K,19,41,0.067302,107,"n,a",0,,0,,Cl-38,0.000310216,,,,
+Ca,20,43,0.00135,102,"n,g",11.6838924,11.6838924,6.213335412,6.199661364,Ca-44,,,,,
+Ca,20,48,0.00187,102,"n,g",1.094672075,1.094672075,1.094672075,1.08771947,Ca-49,0.001325127,,,,
+Ca,20,44,0.02086,102,"n,g",0.89769445,0.889962266,0.889962266,0.89769445,Ca-45,4.93E-08,,,,
+Ca,20,46,4.00E-05,102,"n,g",0.741348237,0.741012365,0.741348237,0.740260327,Ca-47,1.77E-06,,,,
+Ca,20,42,0.00647,102,"n,g",0.684219286,0.684219286,0.684219286,0.680958304,Ca-43,,,,,
+Ca,20,40,0.96941,102,"n,g",0.412016679,0.41069925,0.408237893,0.412016679,Ca-41,2.15E-13,0.41136,-0.001596361,,
+Ca,20,40,0.96941,107,"n,a",0.002513309,0.002486018,,0.002513309,Ar-37,2.29E-07,,,,
+Ca,20,43,0.00135,107,"n,a",0.000204421,0.000204421,,0.000196052,Ar-40,,,,,
+Ca,20,42,0.00647,107,"n,a",1.00E-20,1.00E-20,,1.00E-20,Ar-39,8.17E-11,,,,
+Sc,21,45,1,102,"n,g",27.24308819,27.20650756,27.18753996,27.24308819,Sc-46,9.57E-08,,,,
+Sc,21,45,1,103,"n,p",0.001011168,,,0.001011168,Ca-45,4.93E-08,,,,
+Ti,22,48,0.7372,102,"n,g",8.330712954,8.330701172,8.330701172,8.330712954,Ti-49,,,,,
+Ti,22,49,0.0541,102,"n,g",1.86567315,1.86567315,1.86567315,1.863710759,Ti-50,,,,,
+Ti,22,47,0.0744,102,"n,g",1.628903699,1.628903699,1.628903699,1.628352033,Ti-48,,,,,
+Ti,22,46,0.0825,102,"n,g",0.609330915,0.590685669,0.590685669,0.609330915,Ti-47,,,,,
+Ti,22,50,0.0518,102,"n,g",0.181091906,0.179817374,0.179817374,0.181091906,Ti-51,0.002005634,,,,
+Ti,22,47,0.0744,107,"n,a",8.28E-07,,6.40E-12,8.28E-07,Ca-44,,,,,
+Ti,22,47,0.0744,103,"n,p",7.14E-14,,7.14E-14,1.00E-20,Sc-47,2.40E-06,,,,
+Ti,22,49,0.0541,107,"n,a",1.00E-20,,,1.00E-20,Ca-46,,,,,
+Ti,22,50,0.0518,103,"n,p",0,,0,,Sc-50,,,,,
+V,23,50,0.0025,102,"n,g",45.0266194,44.75458052,44.75458052,45.0266194,V-51,,,,,
+V,23,51,0.9975,102,"n,g",5.002904673,4.921625377,4.926161279,5.002904673,V-52,0.003086415,,,,
+V,23,50,0.0025,103,"n,p",0.000711294,0.000711294,0.000711294,0.000398252,Ti-50,,,,,
+V,23,50,0.0025,107,"n,a",1.02E-20,,,1.02E-20,Sc-47,2.40E-06,,,,
+Cr,24,53,0.09501,102,"n,g",19.4210803,19.4210803,18.43917168,18.11970933,Cr-54,,,,,
+Cr,24,50,0.04345,102,"n,g",15.42745342,15.24729163,15.42745342,15.42745342,Cr-51,2.90E-07,,,,
+Cr,24,52,0.83789,102,"n,g",0.857165689,0.856759004,0.857165689,0.857165689,Cr-53,,,,,
+Cr,24,54,0.02365,102,"n,g",0.41181904,0.41181904,0.41181904,0.41181904,Cr-55,0.003303532,,,,
+Mn,25,55,1,102,"n,g",13.29867105,13.29867105,13.29392113,13.29630656,Mn-56,7.47E-05,,,,
+Fe,26,56,0.91754,102,"n,g",2.605151464,2.581169124,2.605151464,2.590149691,Fe-57,,,,,
+Fe,26,57,0.02119,102,"n,g",2.485547628,2.485547628,2.485547628,2.466812106,Fe-58,,,,,
+Fe,26,54,0.05845,102,"n,g",2.257337727,2.257337727,2.25724671,2.255413899,Fe-55,8.03E-09,,,,
+Fe,26,58,0.00282,102,"n,g",1.316710538,1.316710538,1.316710538,1.316710538,Fe-59,1.80E-07,,,,
+Fe,26,57,0.02119,107,"n,a",4.38E-07,,2.68E-07,4.38E-07,Cr-54,,,,,
+Fe,26,54,0.05845,107,"n,a",3.00E-20,,,3.00E-20,Cr-51,2.90E-07,,,,
+Fe,26,54,0.05845,103,"n,p",2.00E-20,,,2.00E-20,Mn-54,2.57E-08,,,,
+Fe,26,58,0.00282,103,"n,p",0,0,0,0,Mn-58,,,,,
+Co,27,59,1,102,"n,g",37.36316564,37.23877863,37.36316564,37.23877863,Co-60,4.17E-09,,,,
+Ni,28,62,0.036345,102,"n,g",14.92663563,14.92663563,14.92663563,14.22396461,Ni-63,2.19E-10,,,,
+Ni,28,58,0.680769,102,"n,g",4.628277756,4.22492,4.233533152,4.628277756,Ni-59,2.89E-13,,,,
+Ni,28,60,0.262231,102,"n,g",2.76867853,2.404539796,2.404539796,2.76867853,Ni-61,,,,,
+Ni,28,61,0.011399,102,"n,g",2.513142137,2.513142137,2.513142137,2.513142137,Ni-62,,,,,
+Ni,28,64,0.009256,102,"n,g",1.482655464,1.482655464,1.482655464,1.482655464,Ni-65,7.65E-05,,,,
+Ni,28,60,0.262231,107,"n,a",3.04E-06,,,3.04E-06,Fe-57,,,,,
+Ni,28,58,0.680769,107,"n,a",6.67E-15,,,6.67E-15,Fe-55,8.03E-09,,,,
+Cu,29,63,0.6915,102,"n,g",4.530107895,4.488469229,4.513589864,4.530107895,Cu-64,1.52E-05,,,,
+Cu,29,65,0.3085,102,"n,g",2.149114983,2.149114983,2.132068927,2.132068927,Cu-66,0.002256338,,,,
+Cu,29,63,0.6915,103,"n,p",1.43E-05,,1.43E-05,4.23E-13,Ni-63,2.19E-10,,,,
+Cu,29,63,0.6915,107,"n,a",4.66E-15,,4.66E-15,,Co-60,4.17E-09,,,,
+Zn,30,67,0.0404,102,"n,g",7.566588668,7.50232459,7.482999188,7.566588668,Zn-68,,,,,
+Zn,30,68,0.1845,102,"n,g",1.073812504,1.066976242,1.066976242,1.073812504,Zn-69,0.000204831,,,,
+Zn,30,64,0.4917,102,"n,g",0.794096938,0.7871295,0.788563525,0.794096938,Zn-65,3.29E-08,,,,
+Zn,30,66,0.2773,102,"n,g",0.622991292,0.618901,0.618901,0.622991292,Zn-67,,,,,
+Zn,30,70,0.0061,102,"n,g",0.09187199,0.09187199,0.09187199,0.091671375,Zn-71,0.004715287,,,,
+Zn,30,67,0.0404,103,"n,p",0.001236458,0.001236458,,1.00E-20,Cu-67,3.11E-06,,,,
+Zn,30,67,0.0404,107,"n,a",0.000160251,0.000151682,0.00015929,0.000160251,Ni-64,,,,,
+Zn,30,66,0.2773,107,"n,a",2.01E-05,2.05E-09,4.93E-10,2.01E-05,Ni-63,2.19E-10,,,,
+Zn,30,68,0.1845,107,"n,a",2.01E-05,,,2.01E-05,Ni-65,7.65E-05,,,,
+Zn,30,64,0.4917,107,"n,a",1.11E-05,1.11E-05,1.10E-05,1.10E-05,Ni-61,,,,,
+Zn,30,64,0.4917,103,"n,p",1.00E-20,,,1.00E-20,Cu-64,1.52E-05,,,,
+Zn,30,68,0.1845,103,"n,p",0,,0,0,Cu-68,,,,,
+Ga,31,71,0.39892,102,"n,g",4.738647198,4.738647198,4.215717059,4.600610941,Ga-72,1.37E-05,,,,
+Ga,31,69,0.60108,102,"n,g",1.748213134,1.733104861,1.720414437,1.748213134,Ga-70,0.000546474,,,,
+Ga,31,69,0.60108,107,"n,a",1.61E-09,7.45E-11,,1.61E-09,Cu-66,0.002256338,,,,
+Ga,31,71,0.39892,107,"n,a",1.00E-20,,,1.00E-20,Cu-68,,,,,
+Ga,31,69,0.60108,103,"n,p",0,,0,0,Zn-69,0.000204831,,,,
+Ge,32,73,0.0776,102,"n,g",14.73979648,14.72690502,14.72690502,14.73979648,Ge-74,,,,,
+Ge,32,70,0.2052,102,"n,g",3.0642,3.057070107,3.057070107,3.0642,Ge-71,7.02E-07,,,,
+Ge,32,72,0.2745,102,"n,g",0.887297054,0.887297054,0.887297054,0.886804767,Ge-73,,,,,
+Ge,32,74,0.3652,102,"n,g",0.519796014,0.519796014,0.519796014,0.519013846,Ge-75,0.000139556,,,,
+Ge,32,76,0.0775,102,"n,g",0.154873573,0.154873573,0.154873573,0.154750693,Ge-77,1.70E-05,,,,
+Ge,32,73,0.0776,107,"n,a",8.90E-06,,,8.90E-06,Zn-70,,,,,
+Ge,32,70,0.2052,107,"n,a",8.13E-08,,,8.13E-08,Zn-67,,,,,
+Ge,32,72,0.2745,107,"n,a",1.00E-20,,,1.00E-20,Zn-69,0.000204831,,,,
+As,33,75,1,102,"n,g",4.508166137,4.508166137,4.158574058,4.110570957,As-76,7.44E-06,,,,
+As,33,75,1,107,"n,a",1.00E-20,,,1.00E-20,Ga-72,1.37E-05,,,,
+Se,34,76,0.0923,102,"n,g",85.15198131,85.15198131,85.15198131,84.92489343,Se-77,,,,,
+Se,34,74,0.0086,102,"n,g",52.53250641,51.89250292,51.89250292,52.53250641,Se-75,6.70E-08,,,,
+Se,34,77,0.076,102,"n,g",42.0754514,42.0754514,41.07758609,41.56368698,Se-78,,,,,
+Se,34,80,0.498,102,"n,g",0.611091286,0.611091286,0.611091286,0.577857759,Se-81,0.000626149,,,,
+Se,34,78,0.2369,102,"n,g",0.430769555,0.430769555,0.430769555,0.428666357,Se-79,6.72E-14,,,,
+Se,34,82,0.0882,102,"n,g",0.044492159,0.044492159,0.04427906,0.043930126,Se-83,0.000518047,,,,
+Se,34,77,0.076,107,"n,a",0.00097315,,,0.00097315,Ge-74,,,,,
+Se,34,74,0.0086,107,"n,a",3.11E-06,,,3.11E-06,Ge-71,7.02E-07,,,,
+Se,34,76,0.0923,107,"n,a",1.00E-20,,,1.00E-20,Ge-73,,,,,
+Se,34,77,0.076,103,"n,p",1.00E-20,,,1.00E-20,As-77,4.96E-06,,,,
+Se,34,78,0.2369,107,"n,a",1.00E-20,,,1.00E-20,Ge-75,0.000139556,,,,
+Br,35,79,0.508,102,"n,g",11.01981616,11.01981616,11.01981616,10.37734423,Br-80,0.000653419,,,,
+Br,35,81,0.495,102,"n,g",2.37254534,2.368539432,2.359539807,2.37254534,Br-82,5.46E-06,,,,
+Br,35,79,0.508,103,"n,p",5.21E-10,,,5.21E-10,Se-79,6.72E-14,,,,
+Br,35,79,0.508,107,"n,a",1.00E-20,,,1.00E-20,As-76,7.44E-06,,,,
+Br,35,81,0.495,107,"n,a",1.00E-20,,,1.00E-20,As-78,,,,,
+Kr,36,83,0.115,102,"n,g",202.6930034,198.5008444,202.6930034,197.6471717,Kr-84,,,,,
+Kr,36,82,0.11593,102,"n,g",19.19533674,19.19533674,19.10455665,18.96032493,Kr-83,,,,,
+Kr,36,80,0.02286,102,"n,g",11.54233377,11.52060498,11.52060498,11.54233377,Kr-81,9.59E-14,,,,
+Kr,36,78,0.00355,102,"n,g",6.33875834,4.739401177,4.739401177,6.33875834,Kr-79,5.49E-06,,,,
+Kr,36,84,0.56987,102,"n,g",0.110204987,0.110190395,0.110204987,0.109858417,Kr-85,2.04E-09,,,,
+Kr,36,86,0.17279,102,"n,g",0.003025706,0.003025706,0.002999415,0.002964307,Kr-87,0.000151408,,,,
+Kr,36,78,0.00355,107,"n,a",2.43E-07,,,2.43E-07,Se-75,6.70E-08,,,,
+Kr,36,83,0.115,107,"n,a",3.85E-08,1.07E-16,,3.85E-08,Se-80,,,,,
+Kr,36,80,0.02286,107,"n,a",5.67E-13,,,5.67E-13,Se-77,,,,,
+Kr,36,78,0.00355,103,"n,p",1.00E-20,,,1.00E-20,Br-78,,,,,
+Kr,36,82,0.11593,107,"n,a",1.00E-20,,,1.00E-20,Se-79,6.72E-14,,,,
+Rb,37,85,0.7217,102,"n,g",0.499655725,0.494323419,0.480862625,0.499655725,Rb-86,4.30E-07,,,,
+Rb,37,87,0.2783,102,"n,g",0.123319097,0.120217267,0.120217267,0.123319097,Rb-88,0.000649744,,,,
+Rb,37,85,0.7217,103,"n,p",1.00E-20,,,1.00E-20,Kr-85,2.04E-09,,,,
+Rb,37,85,0.7217,107,"n,a",1.00E-20,,,1.00E-20,Br-82,5.46E-06,,,,
+Sr,38,87,0.07,102,"n,g",17.14676121,16.02819158,17.05790151,17.14676121,Sr-88,,,,,
+Sr,38,86,0.0986,102,"n,g",1.04189885,1.007009415,1.04189885,1.036114388,Sr-87,,,,,
+Sr,38,84,0.0056,102,"n,g",0.828955888,0.82341076,0.828955888,0.820970839,Sr-85,1.24E-07,,,,
+Sr,38,88,0.8258,102,"n,g",0.005799689,0.004062096,0.005799689,0.005776145,Sr-89,1.59E-07,,,,
+Sr,38,87,0.07,107,"n,a",7.64E-10,,3.12E-16,7.64E-10,Kr-84,,,,,
+Sr,38,87,0.07,103,"n,p",5.58E-13,,5.58E-13,7.53E-14,Rb-87,4.42E-19,,,,
+Sr,38,84,0.0056,107,"n,a",7.85E-14,,2.81E-16,7.85E-14,Kr-81,9.59E-14,,,,
+Sr,38,86,0.0986,107,"n,a",1.00E-20,,,1.00E-20,Kr-83,,,,,
+Y,39,89,1,102,"n,g",1.285813485,1.280579666,1.285813485,1.280579666,Y-90,3.01E-06,,,,
+Zr,40,91,0.1123,102,"n,g",1.310435768,1.207254229,1.310435768,1.2178709,Zr-92,,,,,
+Zr,40,92,0.1716,102,"n,g",0.229584519,0.226742053,0.127202319,0.229584519,Zr-93,1.44E-14,,,,
+Zr,40,94,0.1736,102,"n,g",0.050368865,0.050034094,0.050368865,0.04996065,Zr-95,1.25E-07,,,,
+Zr,40,96,0.0278,102,"n,g",0.022885336,0.020345862,0.022341604,0.022885336,Zr-97,1.15E-05,,,,
+Zr,40,90,0.5147,102,"n,g",0.010945839,0.010262847,0.010945839,0.009990977,Zr-91,,,,,
+Zr,40,91,0.1123,107,"n,a",5.62E-05,5.62E-05,,5.55E-12,Sr-88,,,,,
+Nb,41,93,1,102,"n,g",1.152724012,1.144060909,1.061301748,1.152724012,Nb-94,1.08E-12,,,,
+Nb,41,93,1,107,"n,a",3.96E-06,,,3.96E-06,Y-90,3.01E-06,,,,
+Nb,41,93,1,103,"n,p",3.51E-12,,,3.51E-12,Zr-93,1.44E-14,,,,
+Mo,42,95,0.15873,102,"n,g",13.6647051,13.41687645,13.6647051,13.41687645,Mo-96,,,,,
+Mo,42,97,0.09582,102,"n,g",2.49188244,2.200177367,2.49188244,2.49188244,Mo-98,,,,,
+Mo,42,96,0.16673,102,"n,g",0.596464194,0.596464194,0.447704973,0.447704973,Mo-97,,,,,
+Mo,42,94,0.09187,102,"n,g",0.340896053,0.340896053,0.339705249,0.339705249,Mo-95,,,,,
+Mo,42,100,0.09744,102,"n,g",0.199384925,0.199384925,0.194106608,0.194106608,Mo-101,0.000790722,,,,
+Mo,42,98,0.24292,102,"n,g",0.13234509,0.130209721,0.13234509,0.13234509,Mo-99,2.92E-06,,,,
+Mo,42,92,0.14649,102,"n,g",0.080004891,0.080004891,0.061438478,0.061438478,Mo-93,5.49E-12,,,,
+Mo,42,95,0.15873,107,"n,a",0.000171657,0.000171657,3.09E-05,0.000171657,Zr-92,,,,,
+Mo,42,92,0.14649,103,"n,p",0,0,,,Nb-92,6.33E-16,,,,
+Ru,44,98,0.0187,102,"n,g",8.014568751,8.014568751,4.007287535,7.978774883,Ru-99,,,,,
+Ru,44,99,0.1276,102,"n,g",7.321866757,7.321866757,7.321866757,7.292888938,Ru-100,,,,,
+Ru,44,100,0.126,102,"n,g",5.880383692,5.800629124,5.851195818,5.880383692,Ru-101,,,,,
+Ru,44,101,0.1706,102,"n,g",5.239933984,5.233450536,5.239933984,5.202676288,Ru-102,,,,,
+Ru,44,102,0.3155,102,"n,g",1.272073571,1.272073571,1.179917201,1.272073571,Ru-103,2.04E-07,,,,
+Ru,44,104,0.1862,102,"n,g",0.472364178,0.472364178,0.469847944,0.472364178,Ru-105,4.34E-05,,,,
+Ru,44,96,0.0554,102,"n,g",0.290528554,0.290528554,0.207377095,0.289227885,Ru-97,2.77E-06,,,,
+Ru,44,99,0.1276,107,"n,a",0.00153333,,,0.00153333,Mo-96,,,,,
+Ru,44,96,0.0554,107,"n,a",0.000129335,,,0.000129335,Mo-93,5.49E-12,,,,
+Ru,44,98,0.0187,107,"n,a",4.44E-05,,,4.44E-05,Mo-95,,,,,
+Ru,44,101,0.1706,107,"n,a",1.50E-07,,,1.50E-07,Mo-98,,,,,
+Ru,44,100,0.126,107,"n,a",5.30E-09,,,5.30E-09,Mo-97,,,,,
+Ru,44,96,0.0554,103,"n,p",1.00E-20,,,1.00E-20,Tc-96,,,,,
+Ru,44,99,0.1276,103,"n,p",1.00E-20,,,1.00E-20,Tc-99,3.20E-05,,,,
+Rh,45,103,1,102,"n,g",142.8592794,142.8334811,142.7496573,142.8592794,Rh-104,0.002661856,,,,
+Rh,45,103,1,107,"n,a",3.50E-10,,3.50E-10,3.71E-15,Tc-100,,,,,
+Rh,45,103,1,103,"n,p",3.78E-22,,,3.78E-22,Ru-103,2.04E-07,,,,
+Pd,46,105,0.2233,102,"n,g",20.91287272,20.91287272,20.46739349,20.91287272,Pd-106,,,,,
+Pd,46,108,0.2646,102,"n,g",8.493707534,8.493707534,8.05317435,8.493707534,Pd-109,1.41E-05,,,,
+Pd,46,102,0.0102,102,"n,g",1.824576892,1.824576892,1.823396046,1.809163061,Pd-103,4.72E-07,,,,
+Pd,46,110,0.1172,102,"n,g",0.732603382,0.229416877,0.225937361,0.732603382,Pd-111,0.000493695,,,,
+Pd,46,104,0.1114,102,"n,g",0.649735579,0.649735579,0.625157385,0.649735579,Pd-105,,,,,
+Pd,46,106,0.2733,102,"n,g",0.317532919,0.308755163,0.317532919,0.308755163,Pd-107,3.38E-15,,,,
+Pd,46,105,0.2233,107,"n,a",0.000229719,,0.000229719,,Ru-102,,,,,
+Pd,46,102,0.0102,107,"n,a",0.000105858,0.000105858,7.53E-06,2.42E-06,Ru-99,,,,,
+Pd,46,104,0.1114,107,"n,a",4.63E-06,4.63E-06,1.35E-09,4.63E-06,Ru-101,,,,,
+Pd,46,106,0.2733,107,"n,a",7.86E-08,7.86E-08,2.54E-15,7.86E-08,Ru-103,2.04E-07,,,,
+Pd,46,108,0.2646,107,"n,a",2.16E-14,2.16E-14,4.31E-22,2.16E-14,Ru-105,4.34E-05,,,,
+Pd,46,110,0.1172,107,"n,a",5.44E-16,5.44E-16,2.12E-25,1.00E-20,Ru-107,,,,,
+Ag,47,109,0.48161,102,"n,g",90.87017108,90.38997306,90.38593545,90.87017108,Ag-110,3.21E-08,,,,
+Ag,47,107,0.51839,102,"n,g",37.70537469,37.53365345,37.70537469,35.30480814,Ag-108,5.25E-11,,,,
+Ag,47,107,0.51839,107,"n,a",1.53E-08,,1.41E-08,1.53E-08,Rh-104,0.002661856,,,,
+Ag,47,107,0.51839,103,"n,p",1.48E-11,,1.48E-11,5.86E-12,Pd-107,3.38E-15,,,,
+Ag,47,109,0.48161,107,"n,a",1.12E-12,,1.12E-12,,Rh-106,,,,,
+Cd,48,113,0.12227,102,"n,g",20195.99108,19891.72197,20092.22839,20195.99108,Cd-114,,,#DIV/0!,,
+Cd,48,110,0.1247,102,"n,g",11.07398684,11.01867529,11.07398684,11.01867529,Cd-111,,,,,
+Cd,48,111,0.12795,102,"n,g",7.145061585,6.878646421,7.145061585,6.882446623,Cd-112,,,,,
+Cd,48,112,0.24109,102,"n,g",2.201983314,2.201983314,2.196280675,2.201983314,Cd-113,1.56E-09,,,,
+Cd,48,106,0.01245,102,"n,g",0.987463433,0.987463433,0.971228367,0.987463433,Cd-107,2.96E-05,,,,
+Cd,48,108,0.00888,102,"n,g",0.907323219,0.907323219,0.787916951,0.907323219,Cd-109,1.74E-08,,,,
+Cd,48,114,0.28754,102,"n,g",0.341024724,0.30591325,0.341024724,0.30591325,Cd-115,1.80E-07,,,,
+Cd,48,116,0.07512,102,"n,g",0.076298874,0.076298874,0.074977409,0.075985403,Cd-117,7.73E-05,,,,
+Cd,48,106,0.01245,107,"n,a",6.32E-13,,,6.32E-13,Pd-103,4.72E-07,,,,
+Cd,48,106,0.01245,103,"n,p",1.79E-13,,,1.79E-13,Ag-106,,,,,
+Cd,48,111,0.12795,107,"n,a",1.42E-14,,,1.42E-14,Pd-108,,,,,
+Cd,48,108,0.00888,107,"n,a",1.95E-16,1.95E-16,,1.95E-16,Pd-105,,,,,
+Cd,48,113,0.12227,107,"n,a",1.34E-16,,,1.34E-16,Pd-110,,,,,
+Cd,48,110,0.1247,107,"n,a",1.49E-19,1.49E-19,,1.49E-19,Pd-107,3.38E-15,,,,
+Cd,48,112,0.24109,107,"n,a",1.39E-20,1.39E-20,,1.39E-20,Pd-109,1.41E-05,,,,
+Cd,48,114,0.28754,107,"n,a",1.77E-21,1.77E-21,,1.77E-21,Pd-111,0.000493695,,,,
+Cd,48,116,0.07512,107,"n,a",1.20E-22,1.20E-22,,1.20E-22,Pd-113,,,,,
+Cd,48,111,0.12795,103,"n,p",2.58E-33,,2.58E-33,,Ag-111,1.08E-06,,,,
+Cd,48,112,0.24109,103,"n,p",6.41E-34,,6.41E-34,,Ag-112,,,,,
+Cd,48,110,0.1247,103,"n,p",1.45E-34,,1.45E-34,,Ag-110,3.21E-08,,,,
+Cd,48,116,0.07512,103,"n,p",7.76E-36,,7.76E-36,,Ag-116,,,,,
+Cd,48,108,0.00888,103,"n,p",2.22E-36,,2.22E-36,,Ag-108,5.25E-11,,,,
+In,49,115,0.95719,102,"n,g",202.473462,202.473462,201.3248671,201.3248671,In-116,0.000212792,,,,
+In,49,113,0.04281,102,"n,g",12.10075345,12.10075345,12.10075345,12.10075345,In-114,1.62E-07,,,,
+Sn,50,115,0.0034,102,"n,g",58.31672881,58.10753186,58.31672881,58.31672881,Sn-116,,,,,
+Sn,50,119,0.0859,102,"n,g",2.17954276,2.17954276,2.17954276,2.17954276,Sn-120,,,,,
+Sn,50,117,0.0768,102,"n,g",1.081908728,1.072415951,1.081908728,1.081908728,Sn-118,,,,,
+Sn,50,112,0.0097,102,"n,g",0.861962222,0.851603787,0.861960701,0.861962222,Sn-113,6.97E-08,,,,
+Sn,50,118,0.2422,102,"n,g",0.22016469,0.22016469,0.215874933,0.215875022,Sn-119,2.74E-08,,,,
+Sn,50,122,0.0463,102,"n,g",0.146360246,0.146358768,0.13979366,0.146360246,Sn-123,6.21E-08,,,,
+Sn,50,120,0.3258,102,"n,g",0.143213534,0.139767343,0.143213534,0.143213534,Sn-121,3.99E-10,,,,
+Sn,50,124,0.0579,102,"n,g",0.136820564,0.136820564,0.135897708,0.129752291,Sn-125,8.32E-07,,,,
+Sn,50,116,0.1454,102,"n,g",0.127893011,0.127893011,0.12533099,0.12533099,Sn-117,5.83E-07,,,,
+Sn,50,114,0.0066,102,"n,g",0.125499771,0.125499771,0.125498449,0.125498449,Sn-115,,,,,
+Sn,50,115,0.0034,107,"n,a",0.000196977,,0.000196977,0.000196977,Cd-112,,,,,
+Sn,50,112,0.0097,107,"n,a",1.03E-06,,1.03E-06,1.03E-06,Cd-109,1.74E-08,,,,
+Sn,50,117,0.0768,107,"n,a",3.21E-08,,3.21E-08,3.21E-08,Cd-114,,,,,
+Sn,50,119,0.0859,107,"n,a",8.46E-11,8.46E-11,8.46E-11,8.46E-11,Cd-116,,,,,
+Sn,50,114,0.0066,107,"n,a",6.69E-11,,6.69E-11,6.69E-11,Cd-111,,,,,
+Sn,50,116,0.1454,107,"n,a",2.10E-16,,2.10E-16,2.10E-16,Cd-113,1.56E-09,,,,
+Sn,50,118,0.2422,107,"n,a",9.73E-26,,9.73E-26,9.73E-26,Cd-115,1.80E-07,,,,
+Sn,50,120,0.3258,107,"n,a",8.10E-28,,8.10E-28,8.10E-28,Cd-117,7.73E-05,,,,
+Sn,50,122,0.0463,107,"n,a",1.03E-31,,1.03E-31,,Cd-119,,,,,
+Sb,51,121,0.5721,102,"n,g",6.00210138,5.781022058,6.001676186,6.00210138,Sb-122,2.95E-06,,,,
+Sb,51,123,0.4279,102,"n,g",4.194427641,3.880913984,4.194057901,4.194427641,Sb-124,1.33E-07,,,,
+Te,52,123,0.0089,102,"n,g",419.7936183,419.7936183,418.8380169,418.9399483,Te-124,,,,,
+Te,52,124,0.0474,102,"n,g",6.796789119,6.334006941,6.796789119,6.359363446,Te-125,1.40E-07,,,,
+Te,52,122,0.0255,102,"n,g",4.014400168,4.014400168,4.014400168,3.924717438,Te-123,6.73E-08,,,,
+Te,52,120,0.0009,102,"n,g",2.344262817,2.344262817,0.657195191,2.333780467,Te-121,4.18E-07,,,,
+Te,52,125,0.0707,102,"n,g",1.294576149,1.288861246,1.294576149,1.291172453,Te-126,,,,,
+Te,52,126,0.1884,102,"n,g",0.4444857,0.442952362,0.440738182,0.4444857,Te-127,7.36E-08,,,,
+Te,52,128,0.3174,102,"n,g",0.200292499,0.200292499,0.186335778,0.199589214,Te-129,2.39E-07,,,,
+Te,52,130,0.3408,102,"n,g",0.195947136,0.195535965,0.186508139,0.195947136,Te-131,6.42E-06,,,,
+Te,52,123,0.0089,107,"n,a",0.016355966,4.67E-05,0.016355966,4.57E-05,Sn-120,,,,,
+Te,52,120,0.0009,107,"n,a",2.00E-05,,4.36E-06,2.00E-05,Sn-117,5.83E-07,,,,
+Te,52,125,0.0707,107,"n,a",2.34E-06,,2.34E-06,2.06E-06,Sn-122,,,,,
+Te,52,122,0.0255,107,"n,a",1.64E-07,,1.26E-07,1.64E-07,Sn-119,2.74E-08,,,,
+Te,52,124,0.0474,107,"n,a",5.36E-10,,1.58E-10,5.36E-10,Sn-121,3.99E-10,,,,
+Te,52,123,0.0089,103,"n,p",3.94E-13,,1.08E-17,3.94E-13,Sb-123,,,,,
+Te,52,126,0.1884,107,"n,a",1.01E-15,,4.88E-16,1.01E-15,Sn-123,6.21E-08,,,,
+Te,52,125,0.0707,103,"n,p",1.00E-20,,,1.00E-20,Sb-125,7.96E-09,,,,
+Te,52,128,0.3174,107,"n,a",1.00E-20,,1.57E-22,1.00E-20,Sn-125,8.32E-07,,,,
+Te,52,130,0.3408,107,"n,a",1.00E-20,,,1.00E-20,Sn-127,,,,,
+I,53,127,1,102,"n,g",6.412285722,6.155687979,6.412285722,5.809591386,I-128,0.000462283,,,,
+I,53,127,1,107,"n,a",1.65E-08,1.65E-08,9.55E-12,5.19E-15,Sb-124,1.33E-07,,,,
+I,53,127,1,103,"n,p",1.40E-08,1.40E-08,,1.29E-23,Te-127,7.36E-08,,,,
+Xe,54,124,0.00095,102,"n,g",149.8589642,148.5971367,148.5971367,149.8589642,Xe-125,1.14E-05,,,,
+Xe,54,131,0.21232,102,"n,g",99.81810396,90.16747832,99.81810396,87.2217237,Xe-132,,,,,
+Xe,54,129,0.26401,102,"n,g",22.04329125,21.03739841,22.04329125,22.04329125,Xe-130,,,,,
+Xe,54,128,0.0191,102,"n,g",5.212404997,5.200379864,5.212404997,5.212404997,Xe-129,9.03E-07,,,,
+Xe,54,130,0.04071,102,"n,g",4.818762504,4.785987859,4.818762504,4.785987859,Xe-131,6.78E-07,,,,
+Xe,54,126,0.00089,102,"n,g",4.279123527,3.492656722,4.279123527,3.492838622,Xe-127,2.21E-07,,,,
+Xe,54,132,0.26909,102,"n,g",0.451347037,0.451347037,0.445796558,0.451347037,Xe-133,1.53E-06,,,,
+Xe,54,134,0.10436,102,"n,g",0.265474107,0.265292006,0.265474107,0.265292006,Xe-135,2.11E-05,,,,
+Xe,54,136,0.08857,102,"n,g",0.261126996,0.261126996,0.130232559,0.261126996,Xe-137,0.003024202,,,,
+Xe,54,124,0.00095,107,"n,a",0.000129186,,,0.000129186,Te-121,4.18E-07,,,,
+Xe,54,131,0.21232,107,"n,a",1.04E-05,,,1.04E-05,Te-128,,,,,
+Xe,54,126,0.00089,107,"n,a",1.29E-07,,,1.29E-07,Te-123,6.73E-08,,,,
+Xe,54,124,0.00095,103,"n,p",1.00E-20,,,1.00E-20,I-124,,,,,
+Xe,54,132,0.26909,103,"n,p",2.45E-32,,2.45E-32,,I-132,,,,,
+Cs,55,133,1,102,"n,g",32.24079022,29.09640046,32.24079022,29.09640046,Cs-134,1.06E-08,,,,
+Cs,55,133,1,107,"n,a",1.11E-10,,1.11E-10,,I-130,,,,,
+Ba,56,130,0.0011,102,"n,g",8.714459871,8.693364925,8.008343201,8.714459871,Ba-131,6.98E-07,,,,
+Ba,56,132,0.001,102,"n,g",8.089046894,6.541514735,8.089046894,7.012751178,Ba-133,2.09E-09,,,,
+Ba,56,135,0.0659,102,"n,g",5.880726581,5.880726581,5.806328332,5.806328332,Ba-136,,,,,
+Ba,56,137,0.1123,102,"n,g",3.606723507,3.606723507,3.606723507,3.606723507,Ba-138,,,,,
+Ba,56,134,0.0242,102,"n,g",1.503266698,1.503266698,1.503266698,1.503266698,Ba-135,6.71E-06,,,,
+Ba,56,136,0.0785,102,"n,g",0.681406032,0.680562665,0.681406032,0.681406032,Ba-137,0.004530374,,,,
+Ba,56,138,0.717,102,"n,g",0.404964709,0.404127367,0.404964709,0.404964709,Ba-139,0.000139086,,,,
+Ba,56,135,0.0659,107,"n,a",3.71E-06,,3.71E-06,,Xe-132,,,,,
+Ba,56,130,0.0011,107,"n,a",3.12E-06,,3.12E-06,,Xe-127,2.21E-07,,,,
+Ba,56,132,0.001,107,"n,a",1.52E-07,,1.52E-07,,Xe-129,9.03E-07,,,,
+Ba,56,137,0.1123,107,"n,a",1.02E-07,,1.02E-07,,Xe-134,,,,,
+Ba,56,134,0.0242,107,"n,a",2.07E-10,,2.07E-10,,Xe-131,6.78E-07,,,,
+Ba,56,136,0.0785,107,"n,a",6.65E-13,,6.65E-13,,Xe-133,1.53E-06,,,,
+Ba,56,138,0.717,107,"n,a",9.31E-14,,9.31E-14,,Xe-135,2.11E-05,,,,
+Ba,56,135,0.0659,103,"n,p",5.74E-22,,5.74E-22,,Cs-135,9.55E-15,,,,
+La,57,138,0.0008881,102,"n,g",57.21752582,57.18577062,57.16214275,57.21752582,La-139,,,,,
+La,57,139,0.9991119,102,"n,g",9.076775604,9.076775604,8.952691486,9.055407933,La-140,4.78E-06,,,,
+La,57,138,0.0008881,107,"n,a",2.48E-05,,6.51E-06,2.48E-05,Cs-135,9.55E-15,,,,
+La,57,138,0.0008881,103,"n,p",5.75E-06,,3.03E-09,5.75E-06,Ba-138,,,,,
+La,57,139,0.9991119,107,"n,a",1.10E-09,1.10E-09,4.65E-11,,Cs-136,,,,,
+Ce,58,136,0.00185,102,"n,g",7.526571284,7.468801876,4.245560183,7.526571284,Ce-137,,,,,
+Ce,58,138,0.00251,102,"n,g",1.210830067,1.038727125,1.027,1.210830067,Ce-139,5.83E-08,,,,
+Ce,58,142,0.11114,102,"n,g",0.976362075,0.976362075,0.96263714,0.96263714,Ce-143,5.83E-06,,,,
+Ce,58,140,0.8845,102,"n,g",0.57949664,0.464461376,0.571195521,0.57949664,Ce-141,2.47E-07,,,,
+Ce,58,136,0.00185,107,"n,a",1.07E-05,,2.89E-06,1.07E-05,Ba-133,2.09E-09,,,,
+Ce,58,138,0.00251,107,"n,a",2.37E-08,,1.67E-08,2.37E-08,Ba-135,6.71E-06,,,,
+Ce,58,140,0.8845,107,"n,a",1.42E-08,,,1.42E-08,Ba-137,0.004530374,,,,
+Ce,58,136,0.00185,103,"n,p",1.00E-20,,2.79E-32,1.00E-20,La-136,,,,,
+Pr,59,141,1,102,"n,g",11.52717785,11.52717785,11.49764248,11.52717785,Pr-142,1.01E-05,,,,
+Pr,59,141,1,107,"n,a",0.000213282,,0.000213282,,La-138,,,,,
+Nd,60,143,0.12174,102,"n,g",326.41241,325.7435953,326.41241,325.7476516,Nd-144,,,,,
+Nd,60,145,0.08293,102,"n,g",50.08509058,42.0683752,49.6463073,50.08509058,Nd-146,,,,,
+Nd,60,142,0.27152,102,"n,g",18.77610848,18.72871441,18.73285847,18.77610848,Nd-143,,,,,
+Nd,60,144,0.23798,102,"n,g",3.631244882,3.600319057,3.631244882,3.600319057,Nd-145,,,,,
+Nd,60,148,0.05756,102,"n,g",2.588367038,2.588367038,2.585536729,2.585536729,Nd-149,0.000111295,,,,
+Nd,60,146,0.17189,102,"n,g",1.49234932,1.491973075,1.49234932,1.491973075,Nd-147,7.31E-07,,,,
+Nd,60,150,0.05638,102,"n,g",1.056958666,1.042437021,1.042201719,1.056958666,Nd-151,0.000928654,,,,
+Nd,60,143,0.12174,107,"n,a",0.020377627,,,0.020377627,Ce-140,,,,,
+Nd,60,145,0.08293,107,"n,a",9.73E-05,,,9.73E-05,Ce-142,,,,,
+Nd,60,142,0.27152,107,"n,a",4.89E-05,,,4.89E-05,Ce-139,5.83E-08,,,,
+Nd,60,148,0.05756,107,"n,a",3.05E-10,,,3.05E-10,Ce-145,,,,,
+Nd,60,150,0.05638,107,"n,a",3.96E-16,,,3.96E-16,Ce-147,,,,,
+Sm,62,149,0.1382,102,"n,g",40301.99502,40206.1073,40301.99502,40206.1073,Sm-150,,,#DIV/0!,,
+Sm,62,152,0.2674,102,"n,g",206.3249213,206.296838,206.1927504,206.3249213,Sm-153,4.16E-06,,,,
+Sm,62,150,0.0737,102,"n,g",101.0674611,100.1793386,101.0674611,100.310228,Sm-151,2.44E-10,,,,
+Sm,62,147,0.15,102,"n,g",57.25170858,57.08807881,57.25170858,56.93736082,Sm-148,,,,,
+Sm,62,154,0.2274,102,"n,g",8.407996106,8.337764709,8.407996106,8.337764709,Sm-155,0.000518047,,,,
+Sm,62,148,0.1125,102,"n,g",2.404533086,2.404533086,2.392778532,2.404533086,Sm-149,,,,,
+Sm,62,144,0.0308,102,"n,g",1.64330355,1.633007182,1.64330355,1.633007182,Sm-145,2.36E-08,,,,
+Sm,62,149,0.1382,107,"n,a",0.041955259,0.041955259,0.031040556,0.041955259,Nd-146,,,,,
+Sm,62,147,0.15,107,"n,a",0.000579785,0.000226421,0.000579785,0.000343077,Nd-144,,,,,
+Sm,62,144,0.0308,107,"n,a",3.03E-05,,3.03E-05,,Nd-141,,,,,
+Sm,62,148,0.1125,107,"n,a",1.28E-05,,1.28E-05,,Nd-145,,,,,
+Sm,62,150,0.0737,107,"n,a",8.12E-06,,3.11E-06,8.12E-06,Nd-147,7.31E-07,,,,
+Sm,62,152,0.2674,107,"n,a",5.42E-09,,3.74E-10,5.42E-09,Nd-149,0.000111295,,,,
+Sm,62,154,0.2274,107,"n,a",6.75E-16,,6.75E-16,,Nd-151,0.000928654,,,,
+Sm,62,147,0.15,103,"n,p",1.00E-20,,,1.00E-20,Pm-147,8.38E-09,,,,
+Sm,62,148,0.1125,103,"n,p",0,,0,,Pm-148,,,,,
+Sm,62,152,0.2674,103,"n,p",0,,,0,Pm-152,,,,,
+Eu,63,151,0.4781,102,"n,g",9470.885867,9265.832543,9470.885867,9222.823091,Eu-152,1.62E-09,,#DIV/0!,,
+Eu,63,153,0.5219,102,"n,g",358.0003,358.0003,314.0402748,314.0329213,Eu-154,2.56E-09,,,,
+Eu,63,151,0.4781,107,"n,a",8.85E-06,8.85E-06,8.85E-06,9.79E-13,Pm-148,,,,,
+Eu,63,153,0.5219,107,"n,a",7.18E-07,7.11E-07,7.18E-07,7.18E-07,Pm-150,,,,,
+Eu,63,151,0.4781,103,"n,p",9.69E-14,,,9.69E-14,Sm-151,2.44E-10,,,,
+Gd,64,157,0.15657,102,"n,g",253930.6,253351.1503,253930.6,253686.5,Gd-158,,252928,-0.003963974,,
+Gd,64,155,0.14828,102,"n,g",60897.87188,60897.87188,60733.19484,60886.71,Gd-156,,,#DIV/0!,,
+Gd,64,152,0.00204,102,"n,g",738.0032551,735.4099263,738.0032551,735.4178271,Gd-153,3.34E-08,,,,
+Gd,64,154,0.02187,102,"n,g",85.34973579,85.34973579,85.20595694,85.34973579,Gd-155,,,,,
+Gd,64,158,0.2482,102,"n,g",2.504814703,2.206025784,2.20410535,2.504814703,Gd-159,1.04E-05,,,,
+Gd,64,156,0.20493,102,"n,g",1.830091479,1.797868195,1.830091479,1.538524241,Gd-157,,,,,
+Gd,64,160,0.21811,102,"n,g",1.412474229,1.412474229,0.786706286,0.771441411,Gd-161,0.003156408,,,,
+Gd,64,152,0.00204,107,"n,a",0.007067039,0.006985046,0.007067039,0.006985046,Sm-149,,,,,
+Gd,64,157,0.15657,107,"n,a",0.000474882,0.000474882,0.000423534,1.06E-14,Sm-154,,,,,
+Gd,64,155,0.14828,107,"n,a",8.99E-05,6.68E-05,8.99E-05,2.57E-14,Sm-152,,,,,
+Gd,64,154,0.02187,107,"n,a",1.51E-06,,1.51E-06,,Sm-151,2.44E-10,,,,
+Gd,64,156,0.20493,107,"n,a",3.43E-10,,3.43E-10,2.55E-14,Sm-153,4.16E-06,,,,
+Gd,64,158,0.2482,107,"n,a",9.05E-12,,9.05E-12,1.07E-14,Sm-155,0.000518047,,,,
+Gd,64,160,0.21811,107,"n,a",1.67E-14,,4.43E-15,1.67E-14,Sm-157,,,,,
+Gd,64,155,0.14828,103,"n,p",1.91E-20,,,1.91E-20,Eu-155,4.61E-09,,,,
+Tb,65,159,1,102,"n,g",23.39407023,23.39407023,23.16898262,23.16898262,Tb-160,1.11E-07,,,,
+Tb,65,159,1,107,"n,a",2.17E-09,,2.17E-09,2.17E-09,Eu-156,,,,,
+Dy,66,164,0.2826,102,"n,g",2656.592501,2654.914612,2656.160102,2656.592501,Dy-165,8.26E-05,,,,
+Dy,66,161,0.18889,102,"n,g",606.0853518,606.0853518,601.1889567,601.3371784,Dy-162,,,,,
+Dy,66,162,0.25475,102,"n,g",194.9965938,194.9965938,194.134391,194.2610602,Dy-163,,,,,
+Dy,66,163,0.24896,102,"n,g",125.1081307,125.1081307,124.3497671,123.5971779,Dy-164,,,,,
+Dy,66,160,0.02329,102,"n,g",56.73496196,55.09451729,56.73496196,55.66439754,Dy-161,,,,,
+Dy,66,158,0.00095,102,"n,g",43.15901977,43.15901977,43.02539434,42.92591859,Dy-159,5.56E-08,,,,
+Dy,66,156,0.00056,102,"n,g",33.47816375,33.10965358,33.07882746,33.47816375,Dy-157,2.37E-05,,,,
+Dy,66,156,0.00056,107,"n,a",0.008931155,,0.000135807,0.008931155,Gd-153,3.34E-08,,,,
+Dy,66,158,0.00095,107,"n,a",0.005987018,,1.47E-05,0.005987018,Gd-155,,,,,
+Dy,66,161,0.18889,107,"n,a",0.000673431,,0.000673431,,Gd-158,,,,,
+Dy,66,160,0.02329,107,"n,a",0.000301191,,9.46E-07,0.000301191,Gd-157,,,,,
+Dy,66,163,0.24896,107,"n,a",4.80E-06,,4.80E-06,,Gd-160,,,,,
+Dy,66,162,0.25475,107,"n,a",9.61E-07,,9.61E-07,,Gd-159,1.04E-05,,,,
+Dy,66,164,0.2826,107,"n,a",2.84E-07,,2.84E-07,1.18E-09,Gd-161,0.003156408,,,,
+Dy,66,156,0.00056,103,"n,p",9.37E-18,,9.37E-18,1.00E-20,Tb-156,,,,,
+Ho,67,165,1,102,"n,g",64.80946212,64.79437796,64.80946212,64.79437796,Ho-166,1.83E-11,,,,
+Ho,67,165,1,107,"n,a",7.72E-10,,7.72E-10,,Tb-162,,,,,
+Er,68,167,0.22869,102,"n,g",651.7436302,650.0524973,644.7461398,651.7436302,Er-168,,,,,
+Er,68,162,0.00139,102,"n,g",18.94546721,18.94546721,18.94546721,18.94546721,Er-163,0.000154033,,,,
+Er,68,166,0.33503,102,"n,g",17.16900554,16.90223467,16.77340514,17.16900554,Er-167,,,,,
+Er,68,164,0.01601,102,"n,g",12.9749807,12.9749807,12.89436707,12.89436707,Er-165,1.86E-05,,,,
+Er,68,170,0.1491,102,"n,g",8.895203881,8.866832311,8.869462952,8.895203881,Er-171,2.56E-05,,,,
+Er,68,168,0.26978,102,"n,g",2.764347587,2.746232201,2.733864678,2.764347587,Er-169,8.53E-07,,,,
+Er,68,168,0.26978,107,"n,a",9.01E-05,,,9.01E-05,Dy-165,8.26E-05,,,,
+Er,68,167,0.22869,107,"n,a",7.02E-05,,7.02E-05,6.97E-05,Dy-164,,,,,
+Er,68,166,0.33503,107,"n,a",6.99E-05,,,6.99E-05,Dy-163,,,,,
+Er,68,170,0.1491,107,"n,a",3.49E-11,,,3.49E-11,Dy-167,,,,,
+Tm,69,169,1,102,"n,g",105.468731,105.191601,105.468731,105.4534246,Tm-170,6.24E-08,,,,
+Tm,69,169,1,107,"n,a",1.00E-05,3.04E-07,5.09E-06,1.00E-05,Ho-166,1.83E-11,,,,
+Tm,69,169,1,103,"n,p",1.00E-20,,,1.00E-20,Er-169,8.53E-07,,,,
+Yb,70,168,0.00126,102,"n,g",2310.253029,2308.952836,2308.952836,2310.253029,Yb-169,2.51E-07,,,,
+Yb,70,174,0.31896,102,"n,g",119.799327,63.30920214,63.30920214,119.799327,Yb-175,1.91E-06,,,,
+Yb,70,171,0.14216,102,"n,g",58.58159343,58.40489561,58.40489561,58.58159343,Yb-172,,,,,
+Yb,70,173,0.16098,102,"n,g",15.57462525,15.52357219,15.52357219,15.57462525,Yb-174,,,,,
+Yb,70,170,0.03023,102,"n,g",9.943741563,9.929962186,9.929962186,9.943741563,Yb-171,,,,,
+Yb,70,176,0.12887,102,"n,g",2.835853936,2.827503189,2.827503189,2.835853936,Yb-177,0.000100807,,,,
+Yb,70,172,0.21754,102,"n,g",1.314757802,1.314757802,1.314757802,1.29693303,Yb-173,,,,,
+Yb,70,168,0.00126,107,"n,a",9.85E-05,,,9.85E-05,Er-165,1.86E-05,,,,
+Yb,70,174,0.31896,107,"n,a",2.00E-05,,,2.00E-05,Er-171,2.56E-05,,,,
+Yb,70,170,0.03023,107,"n,a",9.93E-06,,,9.93E-06,Er-167,,,,,
+Yb,70,171,0.14216,107,"n,a",1.47E-06,,,1.47E-06,Er-168,,,,,
+Yb,70,176,0.12887,107,"n,a",1.00E-06,,,1.00E-06,Er-173,,,,,
+Yb,70,172,0.21754,107,"n,a",9.99E-07,,,9.99E-07,Er-169,8.53E-07,,,,
+Yb,70,173,0.16098,107,"n,a",9.94E-07,,,9.94E-07,Er-170,,,,,
+Yb,70,168,0.00126,103,"n,p",1.00E-20,,,1.00E-20,Tm-168,,,,,
+Yb,70,171,0.14216,103,"n,p",1.00E-20,,,1.00E-20,Tm-171,1.14E-08,,,,
+Lu,71,176,0.02586,102,"n,g",2090.005466,2090.005466,2086.972687,2025.078022,Lu-177,5.00E-08,,,,
+Lu,71,175,0.97414,102,"n,g",23.39211202,23.1144218,22.98161785,23.39211202,Lu-176,5.84E-19,,,,
+Lu,71,175,0.97414,107,"n,a",6.00E-05,,2.16E-07,6.00E-05,Tm-172,,,,,
+Lu,71,176,0.02586,107,"n,a",3.66E-05,,2.86E-05,3.66E-05,Tm-173,,,,,
+Lu,71,175,0.97414,103,"n,p",1.00E-20,,,1.00E-20,Yb-175,1.91E-06,,,,
+Lu,71,176,0.02586,103,"n,p",1.00E-20,,,1.00E-20,Yb-176,,,,,
+Hf,72,174,0.00161,102,"n,g",652.7656724,563.4795875,563.4795875,652.7656724,Hf-175,1.15E-07,,,,
+Hf,72,177,0.1858,102,"n,g",372.3987999,372.3987999,372.3987999,371.7488341,Hf-178,,,,,
+Hf,72,178,0.2728,102,"n,g",84.17871758,84.06736226,84.17871758,82.95972581,Hf-179,3.20E-07,,,,
+Hf,72,179,0.1363,102,"n,g",40.5663863,40.5663863,40.5663863,39.94239516,Hf-180,,,,,
+Hf,72,176,0.0524,102,"n,g",22.17185988,22.17185988,22.17185988,16.87522125,Hf-177,,,,,
+Hf,72,180,0.3512,102,"n,g",13.08007462,12.94211703,12.94211703,13.08007462,Hf-181,1.89E-07,,,,
+Hf,72,177,0.1858,107,"n,a",7.33E-11,,,7.33E-11,Yb-174,,,,,
+Ta,73,180,0.0001176,102,"n,g",791.4112617,791.4112617,19.61707192,564.0182873,Ta-181,,,,,
+Ta,73,181,0.9998824,102,"n,g",20.95103285,20.95103285,20.49728274,20.7091985,Ta-182,7.01E-08,,,,
+Ta,73,180,0.0001176,107,"n,a",0.000421445,6.87E-11,1.32E-08,0.000421445,Lu-177,5.00E-08,,,,
+Ta,73,181,0.9998824,107,"n,a",3.75E-05,3.75E-05,6.84E-08,,Lu-178,,,,,
+Ta,73,180,0.0001176,103,"n,p",6.87E-11,6.87E-11,8.41E-12,2.72E-15,Hf-180,,,,,
+W,74,180,0.0012,102,"n,g",149.5630825,29.70314146,37.6816844,149.5630825,W-181,6.62E-08,,,,
+W,74,186,0.2843,102,"n,g",38.36953775,37.95166203,38.157856,38.36953775,W-187,8.12E-06,,,,
+W,74,182,0.265,102,"n,g",20.34579794,20.34579794,19.90017503,19.93599679,W-183,,,,,
+W,74,183,0.1431,102,"n,g",10.42029909,9.886124958,10.42029909,10.31870152,W-184,,,,,
+W,74,184,0.3064,102,"n,g",1.703096197,1.637522273,1.700369459,1.703096197,W-185,1.07E-07,,,,
+W,74,180,0.0012,107,"n,a",0.000117982,,0.000117982,4.23E-05,Hf-177,,,,,
+W,74,183,0.1431,107,"n,a",3.67E-05,,3.67E-05,,Hf-180,,,,,
+W,74,182,0.265,107,"n,a",1.96E-06,,1.96E-06,,Hf-179,3.20E-07,,,,
+W,74,184,0.3064,107,"n,a",3.83E-08,,3.83E-08,,Hf-181,1.89E-07,,,,
+W,74,186,0.2843,107,"n,a",2.69E-09,,2.69E-09,1.00E-10,Hf-183,,,,,
+W,74,180,0.0012,103,"n,p",1.00E-20,,,1.00E-20,Ta-180,2.36E-05,,,,
+Re,75,185,0.374,102,"n,g",112.5361722,112.3406906,112.1996215,112.5361722,Re-186,2.16E-06,,,,
+Re,75,187,0.626,102,"n,g",76.83458653,76.83458653,76.51838966,76.80359529,Re-188,1.13E-05,,,,
+Re,75,185,0.374,107,"n,a",1.00E-05,,5.85E-07,1.00E-05,Ta-182,7.01E-08,,,,
+Re,75,187,0.626,107,"n,a",3.68E-08,,1.07E-09,3.68E-08,Ta-184,,,,,
+Re,75,185,0.374,103,"n,p",1.00E-20,,,1.00E-20,W-185,1.07E-07,,,,
+Os,76,184,0.0002,102,"n,g",3005.465483,3005.465483,3005.465483,1359.291469,Os-185,8.57E-08,,,,
+Os,76,187,0.0196,102,"n,g",322.0361116,321.1445705,321.1445705,322.0361116,Os-188,,,,,
+Os,76,186,0.0159,102,"n,g",80.19281198,80.19281198,80.19281198,79.92387772,Os-187,,,,,
+Os,76,189,0.1615,102,"n,g",25.04055895,25.04055895,25.04055895,24.93331148,Os-190,,,,,
+Os,76,190,0.2626,102,"n,g",13.13155615,13.13155615,13.13155615,13.06988745,Os-191,5.21E-07,,,,
+Os,76,188,0.1324,102,"n,g",5.524937634,5.524937634,5.524937634,5.483076233,Os-189,,,,,
+Os,76,192,0.4078,102,"n,g",3.122278112,3.122278112,3.122278112,3.114925232,Os-193,6.39E-06,,,,
+Os,76,184,0.0002,107,"n,a",0.009776147,0.00500911,0.00500911,0.009776147,W-181,6.62E-08,,,,
+Os,76,186,0.0159,107,"n,a",0.000450413,0.000450413,0.000450413,9.83E-05,W-183,,,,,
+Os,76,187,0.0196,107,"n,a",9.63E-05,5.07E-05,5.07E-05,9.63E-05,W-184,,,,,
+Os,76,188,0.1324,107,"n,a",2.99E-05,1.24E-05,1.24E-05,2.99E-05,W-185,1.07E-07,,,,
+Os,76,189,0.1615,107,"n,a",2.27E-05,2.27E-05,2.27E-05,9.83E-06,W-186,,,,,
+Os,76,190,0.2626,107,"n,a",2.00E-05,1.99E-09,1.99E-09,2.00E-05,W-187,8.12E-06,,,,
+Os,76,192,0.4078,107,"n,a",1.50E-15,1.20E-15,1.20E-15,1.50E-15,W-189,,,,,
+Os,76,184,0.0002,103,"n,p",1.00E-20,4.72E-21,,1.00E-20,Re-184,,,,,
+Os,76,187,0.0196,103,"n,p",1.00E-20,,,1.00E-20,Re-187,,,,,
+Ir,77,191,0.3723,102,"n,g",959.6474008,955.9662632,959.6474008,955.9662632,Ir-192,1.09E-07,,,,
+Ir,77,193,0.6277,102,"n,g",111.6006105,111.3063989,111.6006105,111.3063989,Ir-194,9.99E-06,,,,
+Ir,77,191,0.3723,107,"n,a",5.18E-07,,5.18E-07,,Re-188,1.13E-05,,,,
+Ir,77,193,0.6277,107,"n,a",2.19E-11,,2.19E-11,,Re-190,,,,,
+Pt,78,190,0.00012,102,"n,g",153.8845461,153.8845461,151.8142915,153.4658831,Pt-191,2.81E-06,,,,
+Pt,78,195,0.33775,102,"n,g",30.82023623,27.64262657,30.82023623,27.58715786,Pt-196,,,,,
+Pt,78,192,0.00782,102,"n,g",10.11243672,10.04477375,10.11243672,10.05053657,Pt-193,4.39E-10,,,,
+Pt,78,198,0.07356,102,"n,g",3.606938847,3.606938847,3.309421417,3.606043621,Pt-199,0.00037508,,,,
+Pt,78,194,0.32864,102,"n,g",1.44071301,1.44071301,1.432756977,1.436965138,Pt-195,2.00E-06,,,,
+Pt,78,196,0.25211,102,"n,g",0.752890671,0.574827459,0.752890671,0.573643693,Pt-197,9.68E-06,,,,
+Pt,78,190,0.00012,107,"n,a",0.011120344,0.011120344,0.001553529,0.007776636,Os-187,,,,,
+Pt,78,192,0.00782,107,"n,a",0.000199003,0.000114155,8.55E-07,0.000199003,Os-189,,,,,
+Pt,78,195,0.33775,107,"n,a",0.000110113,0.000110113,1.36E-06,4.98E-06,Os-192,,,,,
+Pt,78,194,0.32864,107,"n,a",5.01E-06,1.37E-06,6.75E-10,5.01E-06,Os-191,5.21E-07,,,,
+Pt,78,196,0.25211,107,"n,a",8.15E-08,8.15E-08,1.50E-12,2.47E-12,Os-193,6.39E-06,,,,
+Pt,78,198,0.07356,107,"n,a",1.28E-09,1.28E-09,3.07E-16,3.05E-15,Os-195,,,,,
+Pt,78,190,0.00012,103,"n,p",1.00E-20,,,1.00E-20,Ir-190,,,,,
+Au,79,197,1,102,"n,g",98.84744746,98.84744746,98.84744746,98.84744746,Au-198,2.98E-06,,,,
+Au,79,197,1,107,"n,a",7.47E-09,,7.47E-09,4.21E-21,Ir-194,9.99E-06,,,,
+Au,79,197,1,103,"n,p",4.21E-21,,,4.21E-21,Pt-197,9.68E-06,,,,
+Hg,80,196,0.0015,102,"n,g",3083.99493,3083.99493,3083.99493,3083.99493,Hg-197,3.00E-06,,,,
+Hg,80,199,0.1694,102,"n,g",2155.742431,2153.613043,2153.613043,2155.742431,Hg-200,,,,,
+Hg,80,200,0.2314,102,"n,g",29.84108,1.445346287,1.438034388,29.84108,Hg-201,,,,,
+Hg,80,201,0.1317,102,"n,g",7.796541433,4.911450576,7.796541433,4.856311466,Hg-202,,,,,
+Hg,80,202,0.2974,102,"n,g",4.96283293,4.96283293,4.961831507,4.919044,Hg-203,1.72E-07,,,,
+Hg,80,198,0.1004,102,"n,g",1.996052485,1.988861474,1.988861474,1.996052485,Hg-199,,,,,
+Hg,80,204,0.0682,102,"n,g",0.435270827,0.431032685,0.435270827,0.431032685,Hg-205,0.002247559,,,,
+Hg,80,196,0.0015,107,"n,a",0.000292413,1.70E-05,0.000292413,1.70E-05,Pt-193,4.39E-10,,,,
+Hg,80,199,0.1694,107,"n,a",6.49E-05,9.59E-07,6.49E-05,6.32E-05,Pt-196,,,,,
+Hg,80,202,0.2974,107,"n,a",1.32E-08,1.32E-08,1.84E-14,3.85E-13,Pt-199,0.00037508,,,,
+Hg,80,198,0.1004,107,"n,a",2.91E-09,2.91E-09,1.74E-09,1.32E-09,Pt-195,2.00E-06,,,,
+Hg,80,201,0.1317,107,"n,a",2.42E-09,3.03E-10,2.42E-09,1.12E-09,Pt-198,,,,,
+Hg,80,196,0.0015,103,"n,p",8.80E-11,8.80E-11,,8.80E-11,Au-196,1.30E-06,,,,
+Hg,80,200,0.2314,107,"n,a",5.70E-12,,5.28E-12,5.70E-12,Pt-197,9.68E-06,,,,
+Hg,80,199,0.1694,103,"n,p",1.01E-20,,,1.01E-20,Au-199,,,,,
+Hg,80,204,0.0682,107,"n,a",8.89E-21,,8.89E-21,,Pt-201,,,,,
+Tl,81,203,0.2959,102,"n,g",11.54065936,11.42777038,11.42777038,11.54065936,Tl-204,5.81E-09,,,,
+Tl,81,205,0.7056,102,"n,g",0.130704449,0.130704449,0.130704449,0.104059321,Tl-206,0.002750584,,,,
+Tl,81,203,0.2959,107,"n,a",1.25E-09,,2.55E-10,1.25E-09,Au-200,,,,,
+Tl,81,205,0.7056,107,"n,a",2.48E-14,,9.74E-15,2.48E-14,Au-202,,,,,
+Tl,81,203,0.2959,103,"n,p",1.00E-20,,,1.00E-20,Hg-203,1.72E-07,,,,
+Pb,82,207,0.2351,102,"n,g",0.71314741,0.71314741,0.651440734,0.622505843,Pb-208,,,,,
+Pb,82,204,0.0158,102,"n,g",0.705964899,0.663671392,0.705964899,0.704528773,Pb-205,1.44E-15,,,,
+Pb,82,206,0.8673,102,"n,g",0.029080507,0.026565453,0.029080507,0.026669089,Pb-207,,,,,
+Pb,82,208,0.9775,102,"n,g",0.000234791,0.000234791,0.000231259,0.000231259,Pb-209,5.92E-05,,,,
+Pb,82,208,0.9775,107,"n,a",3.58E-06,,3.58E-06,3.58E-06,Hg-205,0.002247559,,,,
+Pb,82,204,0.0158,107,"n,a",1.82E-07,1.48E-07,1.82E-07,1.47E-07,Hg-201,,,,,
+Pb,82,207,0.2351,107,"n,a",4.09E-08,,4.09E-08,4.09E-08,Hg-204,,,,,
+Pb,82,206,0.8673,107,"n,a",6.49E-10,,6.49E-10,6.49E-10,Hg-203,1.72E-07,,,,
+Pb,82,204,0.0158,103,"n,p",1.00E-20,1.00E-20,1.26E-22,1.00E-20,Tl-204,5.81E-09,,,,
+Bi,83,209,1,102,"n,g",0.034258984,0.033865163,0.034258984,0.034258984,Bi-210,1.60E-06,,,,
+Bi,83,209,1,107,"n,a",3.01E-09,6.37E-14,3.01E-09,,Tl-206,0.002750584,,,,
+Bi,83,209,1,103,"n,p",1.95E-14,1.95E-14,,,Pb-209,5.92E-05,,,,
+Th,90,232,0.9998,102,"n,g",7.349807535,7.349807535,7.343024359,7.349807535,Th-233,0.000518047,,,,
+U,92,234,5.40E-05,102,"n,g",101.082947,101.082947,100.4870153,101.082947,U-235,,,,,
+U,92,235,0.007204,102,"n,g",99.88488057,99.71609569,99.67137495,99.88488057,U-236,9.39E-16,,,,
+U,92,238,0.992742,102,"n,g",2.687348482,2.687281574,2.687281574,2.687348482,U-239,0.000492642,,,,
+U,92,235,0.007204,107,"n,a",0.000285463,0.000285463,,,Th-232,,,,,
+U,92,238,0.992742,107,"n,a",2.62E-07,2.62E-07,,,Th-235,,,,,
 `
 };
 // --- js/utils/Constants.js ---
@@ -2582,128 +5374,129 @@ const SECONDS_PER_DAY = 86400;
 /**
  * PeriodicTable.js
  * Enriched list of elements for autocomplete and visualization.
- * Contains atomic number (Z), symbol, name, and category.
+ * Contains atomic number (Z), symbol, name, category and standard atomic weight
+ * (mass number of the longest-lived isotope for elements without a stable one).
  */
 
 const PERIODIC_TABLE = [
-    { Z: 1, symbol: "H", name: "Hydrogen", group: 1, period: 1, category: "diatomic nonmetal" },
-    { Z: 2, symbol: "He", name: "Helium", group: 18, period: 1, category: "noble gas" },
-    { Z: 3, symbol: "Li", name: "Lithium", group: 1, period: 2, category: "alkali metal" },
-    { Z: 4, symbol: "Be", name: "Beryllium", group: 2, period: 2, category: "alkaline earth metal" },
-    { Z: 5, symbol: "B", name: "Boron", group: 13, period: 2, category: "metalloid" },
-    { Z: 6, symbol: "C", name: "Carbon", group: 14, period: 2, category: "polyatomic nonmetal" },
-    { Z: 7, symbol: "N", name: "Nitrogen", group: 15, period: 2, category: "diatomic nonmetal" },
-    { Z: 8, symbol: "O", name: "Oxygen", group: 16, period: 2, category: "diatomic nonmetal" },
-    { Z: 9, symbol: "F", name: "Fluorine", group: 17, period: 2, category: "diatomic nonmetal" },
-    { Z: 10, symbol: "Ne", name: "Neon", group: 18, period: 2, category: "noble gas" },
-    { Z: 11, symbol: "Na", name: "Sodium", group: 1, period: 3, category: "alkali metal" },
-    { Z: 12, symbol: "Mg", name: "Magnesium", group: 2, period: 3, category: "alkaline earth metal" },
-    { Z: 13, symbol: "Al", name: "Aluminium", group: 13, period: 3, category: "post-transition metal" },
-    { Z: 14, symbol: "Si", name: "Silicon", group: 14, period: 3, category: "metalloid" },
-    { Z: 15, symbol: "P", name: "Phosphorus", group: 15, period: 3, category: "polyatomic nonmetal" },
-    { Z: 16, symbol: "S", name: "Sulfur", group: 16, period: 3, category: "polyatomic nonmetal" },
-    { Z: 17, symbol: "Cl", name: "Chlorine", group: 17, period: 3, category: "diatomic nonmetal" },
-    { Z: 18, symbol: "Ar", name: "Argon", group: 18, period: 3, category: "noble gas" },
-    { Z: 19, symbol: "K", name: "Potassium", group: 1, period: 4, category: "alkali metal" },
-    { Z: 20, symbol: "Ca", name: "Calcium", group: 2, period: 4, category: "alkaline earth metal" },
-    { Z: 21, symbol: "Sc", name: "Scandium", group: 3, period: 4, category: "transition metal" },
-    { Z: 22, symbol: "Ti", name: "Titanium", group: 4, period: 4, category: "transition metal" },
-    { Z: 23, symbol: "V", name: "Vanadium", group: 5, period: 4, category: "transition metal" },
-    { Z: 24, symbol: "Cr", name: "Chromium", group: 6, period: 4, category: "transition metal" },
-    { Z: 25, symbol: "Mn", name: "Manganese", group: 7, period: 4, category: "transition metal" },
-    { Z: 26, symbol: "Fe", name: "Iron", group: 8, period: 4, category: "transition metal" },
-    { Z: 27, symbol: "Co", name: "Cobalt", group: 9, period: 4, category: "transition metal" },
-    { Z: 28, symbol: "Ni", name: "Nickel", group: 10, period: 4, category: "transition metal" },
-    { Z: 29, symbol: "Cu", name: "Copper", group: 11, period: 4, category: "transition metal" },
-    { Z: 30, symbol: "Zn", name: "Zinc", group: 12, period: 4, category: "transition metal" },
-    { Z: 31, symbol: "Ga", name: "Gallium", group: 13, period: 4, category: "post-transition metal" },
-    { Z: 32, symbol: "Ge", name: "Germanium", group: 14, period: 4, category: "metalloid" },
-    { Z: 33, symbol: "As", name: "Arsenic", group: 15, period: 4, category: "metalloid" },
-    { Z: 34, symbol: "Se", name: "Selenium", group: 16, period: 4, category: "polyatomic nonmetal" },
-    { Z: 35, symbol: "Br", name: "Bromine", group: 17, period: 4, category: "diatomic nonmetal" },
-    { Z: 36, symbol: "Kr", name: "Krypton", group: 18, period: 4, category: "noble gas" },
-    { Z: 37, symbol: "Rb", name: "Rubidium", group: 1, period: 5, category: "alkali metal" },
-    { Z: 38, symbol: "Sr", name: "Strontium", group: 2, period: 5, category: "alkaline earth metal" },
-    { Z: 39, symbol: "Y", name: "Yttrium", group: 3, period: 5, category: "transition metal" },
-    { Z: 40, symbol: "Zr", name: "Zirconium", group: 4, period: 5, category: "transition metal" },
-    { Z: 41, symbol: "Nb", name: "Niobium", group: 5, period: 5, category: "transition metal" },
-    { Z: 42, symbol: "Mo", name: "Molybdenum", group: 6, period: 5, category: "transition metal" },
-    { Z: 43, symbol: "Tc", name: "Technetium", group: 7, period: 5, category: "transition metal" },
-    { Z: 44, symbol: "Ru", name: "Ruthenium", group: 8, period: 5, category: "transition metal" },
-    { Z: 45, symbol: "Rh", name: "Rhodium", group: 9, period: 5, category: "transition metal" },
-    { Z: 46, symbol: "Pd", name: "Palladium", group: 10, period: 5, category: "transition metal" },
-    { Z: 47, symbol: "Ag", name: "Silver", group: 11, period: 5, category: "transition metal" },
-    { Z: 48, symbol: "Cd", name: "Cadmium", group: 12, period: 5, category: "transition metal" },
-    { Z: 49, symbol: "In", name: "Indium", group: 13, period: 5, category: "post-transition metal" },
-    { Z: 50, symbol: "Sn", name: "Tin", group: 14, period: 5, category: "post-transition metal" },
-    { Z: 51, symbol: "Sb", name: "Antimony", group: 15, period: 5, category: "metalloid" },
-    { Z: 52, symbol: "Te", name: "Tellurium", group: 16, period: 5, category: "metalloid" },
-    { Z: 53, symbol: "I", name: "Iodine", group: 17, period: 5, category: "diatomic nonmetal" },
-    { Z: 54, symbol: "Xe", name: "Xenon", group: 18, period: 5, category: "noble gas" },
-    { Z: 55, symbol: "Cs", name: "Cesium", group: 1, period: 6, category: "alkali metal" },
-    { Z: 56, symbol: "Ba", name: "Barium", group: 2, period: 6, category: "alkaline earth metal" },
-    { Z: 57, symbol: "La", name: "Lanthanum", group: 3, period: 6, category: "lanthanide" },
-    { Z: 58, symbol: "Ce", name: "Cerium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 59, symbol: "Pr", name: "Praseodymium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 60, symbol: "Nd", name: "Neodymium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 61, symbol: "Pm", name: "Promethium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 62, symbol: "Sm", name: "Samarium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 63, symbol: "Eu", name: "Europium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 64, symbol: "Gd", name: "Gadolinium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 65, symbol: "Tb", name: "Terbium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 66, symbol: "Dy", name: "Dysprosium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 67, symbol: "Ho", name: "Holmium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 68, symbol: "Er", name: "Erbium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 69, symbol: "Tm", name: "Thulium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 70, symbol: "Yb", name: "Ytterbium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 71, symbol: "Lu", name: "Lutetium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 72, symbol: "Hf", name: "Hafnium", group: 4, period: 6, category: "transition metal" },
-    { Z: 73, symbol: "Ta", name: "Tantalum", group: 5, period: 6, category: "transition metal" },
-    { Z: 74, symbol: "W", name: "Tungsten", group: 6, period: 6, category: "transition metal" },
-    { Z: 75, symbol: "Re", name: "Rhenium", group: 7, period: 6, category: "transition metal" },
-    { Z: 76, symbol: "Os", name: "Osmium", group: 8, period: 6, category: "transition metal" },
-    { Z: 77, symbol: "Ir", name: "Iridium", group: 9, period: 6, category: "transition metal" },
-    { Z: 78, symbol: "Pt", name: "Platinum", group: 10, period: 6, category: "transition metal" },
-    { Z: 79, symbol: "Au", name: "Gold", group: 11, period: 6, category: "transition metal" },
-    { Z: 80, symbol: "Hg", name: "Mercury", group: 12, period: 6, category: "transition metal" },
-    { Z: 81, symbol: "Tl", name: "Thallium", group: 13, period: 6, category: "post-transition metal" },
-    { Z: 82, symbol: "Pb", name: "Lead", group: 14, period: 6, category: "post-transition metal" },
-    { Z: 83, symbol: "Bi", name: "Bismuth", group: 15, period: 6, category: "post-transition metal" },
-    { Z: 84, symbol: "Po", name: "Polonium", group: 16, period: 6, category: "post-transition metal" },
-    { Z: 85, symbol: "At", name: "Astatine", group: 17, period: 6, category: "metalloid" },
-    { Z: 86, symbol: "Rn", name: "Radon", group: 18, period: 6, category: "noble gas" },
-    { Z: 87, symbol: "Fr", name: "Francium", group: 1, period: 7, category: "alkali metal" },
-    { Z: 88, symbol: "Ra", name: "Radium", group: 2, period: 7, category: "alkaline earth metal" },
-    { Z: 89, symbol: "Ac", name: "Actinium", group: 3, period: 7, category: "actinide" },
-    { Z: 90, symbol: "Th", name: "Thorium", group: 3, period: 7, category: "actinide" },
-    { Z: 91, symbol: "Pa", name: "Protactinium", group: 3, period: 7, category: "actinide" },
-    { Z: 92, symbol: "U", name: "Uranium", group: 3, period: 7, category: "actinide" },
-    { Z: 93, symbol: "Np", name: "Neptunium", group: 3, period: 7, category: "actinide" },
-    { Z: 94, symbol: "Pu", name: "Plutonium", group: 3, period: 7, category: "actinide" },
-    { Z: 95, symbol: "Am", name: "Americium", group: 3, period: 7, category: "actinide" },
-    { Z: 96, symbol: "Cm", name: "Curium", group: 3, period: 7, category: "actinide" },
-    { Z: 97, symbol: "Bk", name: "Berkelium", group: 3, period: 7, category: "actinide" },
-    { Z: 98, symbol: "Cf", name: "Californium", group: 3, period: 7, category: "actinide" },
-    { Z: 99, symbol: "Es", name: "Einsteinium", group: 3, period: 7, category: "actinide" },
-    { Z: 100, symbol: "Fm", name: "Fermium", group: 3, period: 7, category: "actinide" },
-    { Z: 101, symbol: "Md", name: "Mendelevium", group: 3, period: 7, category: "actinide" },
-    { Z: 102, symbol: "No", name: "Nobelium", group: 3, period: 7, category: "actinide" },
-    { Z: 103, symbol: "Lr", name: "Lawrencium", group: 3, period: 7, category: "actinide" },
-    { Z: 104, symbol: "Rf", name: "Rutherfordium", group: 4, period: 7, category: "transition metal" },
-    { Z: 105, symbol: "Db", name: "Dubnium", group: 5, period: 7, category: "transition metal" },
-    { Z: 106, symbol: "Sg", name: "Seaborgium", group: 6, period: 7, category: "transition metal" },
-    { Z: 107, symbol: "Bh", name: "Bohrium", group: 7, period: 7, category: "transition metal" },
-    { Z: 108, symbol: "Hs", name: "Hassium", group: 8, period: 7, category: "transition metal" },
-    { Z: 109, symbol: "Mt", name: "Meitnerium", group: 9, period: 7, category: "chemical element" },
-    { Z: 110, symbol: "Ds", name: "Darmstadtium", group: 10, period: 7, category: "chemical element" },
-    { Z: 111, symbol: "Rg", name: "Roentgenium", group: 11, period: 7, category: "chemical element" },
-    { Z: 112, symbol: "Cn", name: "Copernicium", group: 12, period: 7, category: "transition metal" },
-    { Z: 113, symbol: "Nh", name: "Nihonium", group: 13, period: 7, category: "chemical element" },
-    { Z: 114, symbol: "Fl", name: "Flerovium", group: 14, period: 7, category: "post-transition metal" },
-    { Z: 115, symbol: "Mc", name: "Moscovium", group: 15, period: 7, category: "chemical element" },
-    { Z: 116, symbol: "Lv", name: "Livermorium", group: 16, period: 7, category: "chemical element" },
-    { Z: 117, symbol: "Ts", name: "Tennessine", group: 17, period: 7, category: "chemical element" },
-    { Z: 118, symbol: "Og", name: "Oganesson", group: 18, period: 7, category: "noble gas" }
+    { Z: 1, symbol: "H", name: "Hydrogen", group: 1, period: 1, category: "diatomic nonmetal", weight: 1.008 },
+    { Z: 2, symbol: "He", name: "Helium", group: 18, period: 1, category: "noble gas", weight: 4.0026 },
+    { Z: 3, symbol: "Li", name: "Lithium", group: 1, period: 2, category: "alkali metal", weight: 6.94 },
+    { Z: 4, symbol: "Be", name: "Beryllium", group: 2, period: 2, category: "alkaline earth metal", weight: 9.0122 },
+    { Z: 5, symbol: "B", name: "Boron", group: 13, period: 2, category: "metalloid", weight: 10.81 },
+    { Z: 6, symbol: "C", name: "Carbon", group: 14, period: 2, category: "polyatomic nonmetal", weight: 12.011 },
+    { Z: 7, symbol: "N", name: "Nitrogen", group: 15, period: 2, category: "diatomic nonmetal", weight: 14.007 },
+    { Z: 8, symbol: "O", name: "Oxygen", group: 16, period: 2, category: "diatomic nonmetal", weight: 15.999 },
+    { Z: 9, symbol: "F", name: "Fluorine", group: 17, period: 2, category: "diatomic nonmetal", weight: 18.998 },
+    { Z: 10, symbol: "Ne", name: "Neon", group: 18, period: 2, category: "noble gas", weight: 20.180 },
+    { Z: 11, symbol: "Na", name: "Sodium", group: 1, period: 3, category: "alkali metal", weight: 22.990 },
+    { Z: 12, symbol: "Mg", name: "Magnesium", group: 2, period: 3, category: "alkaline earth metal", weight: 24.305 },
+    { Z: 13, symbol: "Al", name: "Aluminium", group: 13, period: 3, category: "post-transition metal", weight: 26.982 },
+    { Z: 14, symbol: "Si", name: "Silicon", group: 14, period: 3, category: "metalloid", weight: 28.085 },
+    { Z: 15, symbol: "P", name: "Phosphorus", group: 15, period: 3, category: "polyatomic nonmetal", weight: 30.974 },
+    { Z: 16, symbol: "S", name: "Sulfur", group: 16, period: 3, category: "polyatomic nonmetal", weight: 32.06 },
+    { Z: 17, symbol: "Cl", name: "Chlorine", group: 17, period: 3, category: "diatomic nonmetal", weight: 35.45 },
+    { Z: 18, symbol: "Ar", name: "Argon", group: 18, period: 3, category: "noble gas", weight: 39.95 },
+    { Z: 19, symbol: "K", name: "Potassium", group: 1, period: 4, category: "alkali metal", weight: 39.098 },
+    { Z: 20, symbol: "Ca", name: "Calcium", group: 2, period: 4, category: "alkaline earth metal", weight: 40.078 },
+    { Z: 21, symbol: "Sc", name: "Scandium", group: 3, period: 4, category: "transition metal", weight: 44.956 },
+    { Z: 22, symbol: "Ti", name: "Titanium", group: 4, period: 4, category: "transition metal", weight: 47.867 },
+    { Z: 23, symbol: "V", name: "Vanadium", group: 5, period: 4, category: "transition metal", weight: 50.942 },
+    { Z: 24, symbol: "Cr", name: "Chromium", group: 6, period: 4, category: "transition metal", weight: 51.996 },
+    { Z: 25, symbol: "Mn", name: "Manganese", group: 7, period: 4, category: "transition metal", weight: 54.938 },
+    { Z: 26, symbol: "Fe", name: "Iron", group: 8, period: 4, category: "transition metal", weight: 55.845 },
+    { Z: 27, symbol: "Co", name: "Cobalt", group: 9, period: 4, category: "transition metal", weight: 58.933 },
+    { Z: 28, symbol: "Ni", name: "Nickel", group: 10, period: 4, category: "transition metal", weight: 58.693 },
+    { Z: 29, symbol: "Cu", name: "Copper", group: 11, period: 4, category: "transition metal", weight: 63.546 },
+    { Z: 30, symbol: "Zn", name: "Zinc", group: 12, period: 4, category: "transition metal", weight: 65.38 },
+    { Z: 31, symbol: "Ga", name: "Gallium", group: 13, period: 4, category: "post-transition metal", weight: 69.723 },
+    { Z: 32, symbol: "Ge", name: "Germanium", group: 14, period: 4, category: "metalloid", weight: 72.630 },
+    { Z: 33, symbol: "As", name: "Arsenic", group: 15, period: 4, category: "metalloid", weight: 74.922 },
+    { Z: 34, symbol: "Se", name: "Selenium", group: 16, period: 4, category: "polyatomic nonmetal", weight: 78.971 },
+    { Z: 35, symbol: "Br", name: "Bromine", group: 17, period: 4, category: "diatomic nonmetal", weight: 79.904 },
+    { Z: 36, symbol: "Kr", name: "Krypton", group: 18, period: 4, category: "noble gas", weight: 83.798 },
+    { Z: 37, symbol: "Rb", name: "Rubidium", group: 1, period: 5, category: "alkali metal", weight: 85.468 },
+    { Z: 38, symbol: "Sr", name: "Strontium", group: 2, period: 5, category: "alkaline earth metal", weight: 87.62 },
+    { Z: 39, symbol: "Y", name: "Yttrium", group: 3, period: 5, category: "transition metal", weight: 88.906 },
+    { Z: 40, symbol: "Zr", name: "Zirconium", group: 4, period: 5, category: "transition metal", weight: 91.224 },
+    { Z: 41, symbol: "Nb", name: "Niobium", group: 5, period: 5, category: "transition metal", weight: 92.906 },
+    { Z: 42, symbol: "Mo", name: "Molybdenum", group: 6, period: 5, category: "transition metal", weight: 95.95 },
+    { Z: 43, symbol: "Tc", name: "Technetium", group: 7, period: 5, category: "transition metal", weight: 98 },
+    { Z: 44, symbol: "Ru", name: "Ruthenium", group: 8, period: 5, category: "transition metal", weight: 101.07 },
+    { Z: 45, symbol: "Rh", name: "Rhodium", group: 9, period: 5, category: "transition metal", weight: 102.91 },
+    { Z: 46, symbol: "Pd", name: "Palladium", group: 10, period: 5, category: "transition metal", weight: 106.42 },
+    { Z: 47, symbol: "Ag", name: "Silver", group: 11, period: 5, category: "transition metal", weight: 107.87 },
+    { Z: 48, symbol: "Cd", name: "Cadmium", group: 12, period: 5, category: "transition metal", weight: 112.41 },
+    { Z: 49, symbol: "In", name: "Indium", group: 13, period: 5, category: "post-transition metal", weight: 114.82 },
+    { Z: 50, symbol: "Sn", name: "Tin", group: 14, period: 5, category: "post-transition metal", weight: 118.71 },
+    { Z: 51, symbol: "Sb", name: "Antimony", group: 15, period: 5, category: "metalloid", weight: 121.76 },
+    { Z: 52, symbol: "Te", name: "Tellurium", group: 16, period: 5, category: "metalloid", weight: 127.60 },
+    { Z: 53, symbol: "I", name: "Iodine", group: 17, period: 5, category: "diatomic nonmetal", weight: 126.90 },
+    { Z: 54, symbol: "Xe", name: "Xenon", group: 18, period: 5, category: "noble gas", weight: 131.29 },
+    { Z: 55, symbol: "Cs", name: "Cesium", group: 1, period: 6, category: "alkali metal", weight: 132.91 },
+    { Z: 56, symbol: "Ba", name: "Barium", group: 2, period: 6, category: "alkaline earth metal", weight: 137.33 },
+    { Z: 57, symbol: "La", name: "Lanthanum", group: 3, period: 6, category: "lanthanide", weight: 138.91 },
+    { Z: 58, symbol: "Ce", name: "Cerium", group: 3, period: 6, category: "lanthanide", weight: 140.12 },
+    { Z: 59, symbol: "Pr", name: "Praseodymium", group: 3, period: 6, category: "lanthanide", weight: 140.91 },
+    { Z: 60, symbol: "Nd", name: "Neodymium", group: 3, period: 6, category: "lanthanide", weight: 144.24 },
+    { Z: 61, symbol: "Pm", name: "Promethium", group: 3, period: 6, category: "lanthanide", weight: 145 },
+    { Z: 62, symbol: "Sm", name: "Samarium", group: 3, period: 6, category: "lanthanide", weight: 150.36 },
+    { Z: 63, symbol: "Eu", name: "Europium", group: 3, period: 6, category: "lanthanide", weight: 151.96 },
+    { Z: 64, symbol: "Gd", name: "Gadolinium", group: 3, period: 6, category: "lanthanide", weight: 157.25 },
+    { Z: 65, symbol: "Tb", name: "Terbium", group: 3, period: 6, category: "lanthanide", weight: 158.93 },
+    { Z: 66, symbol: "Dy", name: "Dysprosium", group: 3, period: 6, category: "lanthanide", weight: 162.50 },
+    { Z: 67, symbol: "Ho", name: "Holmium", group: 3, period: 6, category: "lanthanide", weight: 164.93 },
+    { Z: 68, symbol: "Er", name: "Erbium", group: 3, period: 6, category: "lanthanide", weight: 167.26 },
+    { Z: 69, symbol: "Tm", name: "Thulium", group: 3, period: 6, category: "lanthanide", weight: 168.93 },
+    { Z: 70, symbol: "Yb", name: "Ytterbium", group: 3, period: 6, category: "lanthanide", weight: 173.05 },
+    { Z: 71, symbol: "Lu", name: "Lutetium", group: 3, period: 6, category: "lanthanide", weight: 174.97 },
+    { Z: 72, symbol: "Hf", name: "Hafnium", group: 4, period: 6, category: "transition metal", weight: 178.49 },
+    { Z: 73, symbol: "Ta", name: "Tantalum", group: 5, period: 6, category: "transition metal", weight: 180.95 },
+    { Z: 74, symbol: "W", name: "Tungsten", group: 6, period: 6, category: "transition metal", weight: 183.84 },
+    { Z: 75, symbol: "Re", name: "Rhenium", group: 7, period: 6, category: "transition metal", weight: 186.21 },
+    { Z: 76, symbol: "Os", name: "Osmium", group: 8, period: 6, category: "transition metal", weight: 190.23 },
+    { Z: 77, symbol: "Ir", name: "Iridium", group: 9, period: 6, category: "transition metal", weight: 192.22 },
+    { Z: 78, symbol: "Pt", name: "Platinum", group: 10, period: 6, category: "transition metal", weight: 195.08 },
+    { Z: 79, symbol: "Au", name: "Gold", group: 11, period: 6, category: "transition metal", weight: 196.97 },
+    { Z: 80, symbol: "Hg", name: "Mercury", group: 12, period: 6, category: "transition metal", weight: 200.59 },
+    { Z: 81, symbol: "Tl", name: "Thallium", group: 13, period: 6, category: "post-transition metal", weight: 204.38 },
+    { Z: 82, symbol: "Pb", name: "Lead", group: 14, period: 6, category: "post-transition metal", weight: 207.2 },
+    { Z: 83, symbol: "Bi", name: "Bismuth", group: 15, period: 6, category: "post-transition metal", weight: 208.98 },
+    { Z: 84, symbol: "Po", name: "Polonium", group: 16, period: 6, category: "post-transition metal", weight: 209 },
+    { Z: 85, symbol: "At", name: "Astatine", group: 17, period: 6, category: "metalloid", weight: 210 },
+    { Z: 86, symbol: "Rn", name: "Radon", group: 18, period: 6, category: "noble gas", weight: 222 },
+    { Z: 87, symbol: "Fr", name: "Francium", group: 1, period: 7, category: "alkali metal", weight: 223 },
+    { Z: 88, symbol: "Ra", name: "Radium", group: 2, period: 7, category: "alkaline earth metal", weight: 226 },
+    { Z: 89, symbol: "Ac", name: "Actinium", group: 3, period: 7, category: "actinide", weight: 227 },
+    { Z: 90, symbol: "Th", name: "Thorium", group: 3, period: 7, category: "actinide", weight: 232.04 },
+    { Z: 91, symbol: "Pa", name: "Protactinium", group: 3, period: 7, category: "actinide", weight: 231.04 },
+    { Z: 92, symbol: "U", name: "Uranium", group: 3, period: 7, category: "actinide", weight: 238.03 },
+    { Z: 93, symbol: "Np", name: "Neptunium", group: 3, period: 7, category: "actinide", weight: 237 },
+    { Z: 94, symbol: "Pu", name: "Plutonium", group: 3, period: 7, category: "actinide", weight: 244 },
+    { Z: 95, symbol: "Am", name: "Americium", group: 3, period: 7, category: "actinide", weight: 243 },
+    { Z: 96, symbol: "Cm", name: "Curium", group: 3, period: 7, category: "actinide", weight: 247 },
+    { Z: 97, symbol: "Bk", name: "Berkelium", group: 3, period: 7, category: "actinide", weight: 247 },
+    { Z: 98, symbol: "Cf", name: "Californium", group: 3, period: 7, category: "actinide", weight: 251 },
+    { Z: 99, symbol: "Es", name: "Einsteinium", group: 3, period: 7, category: "actinide", weight: 252 },
+    { Z: 100, symbol: "Fm", name: "Fermium", group: 3, period: 7, category: "actinide", weight: 257 },
+    { Z: 101, symbol: "Md", name: "Mendelevium", group: 3, period: 7, category: "actinide", weight: 258 },
+    { Z: 102, symbol: "No", name: "Nobelium", group: 3, period: 7, category: "actinide", weight: 259 },
+    { Z: 103, symbol: "Lr", name: "Lawrencium", group: 3, period: 7, category: "actinide", weight: 266 },
+    { Z: 104, symbol: "Rf", name: "Rutherfordium", group: 4, period: 7, category: "transition metal", weight: 267 },
+    { Z: 105, symbol: "Db", name: "Dubnium", group: 5, period: 7, category: "transition metal", weight: 268 },
+    { Z: 106, symbol: "Sg", name: "Seaborgium", group: 6, period: 7, category: "transition metal", weight: 269 },
+    { Z: 107, symbol: "Bh", name: "Bohrium", group: 7, period: 7, category: "transition metal", weight: 270 },
+    { Z: 108, symbol: "Hs", name: "Hassium", group: 8, period: 7, category: "transition metal", weight: 269 },
+    { Z: 109, symbol: "Mt", name: "Meitnerium", group: 9, period: 7, category: "chemical element", weight: 278 },
+    { Z: 110, symbol: "Ds", name: "Darmstadtium", group: 10, period: 7, category: "chemical element", weight: 281 },
+    { Z: 111, symbol: "Rg", name: "Roentgenium", group: 11, period: 7, category: "chemical element", weight: 282 },
+    { Z: 112, symbol: "Cn", name: "Copernicium", group: 12, period: 7, category: "transition metal", weight: 285 },
+    { Z: 113, symbol: "Nh", name: "Nihonium", group: 13, period: 7, category: "chemical element", weight: 286 },
+    { Z: 114, symbol: "Fl", name: "Flerovium", group: 14, period: 7, category: "post-transition metal", weight: 289 },
+    { Z: 115, symbol: "Mc", name: "Moscovium", group: 15, period: 7, category: "chemical element", weight: 290 },
+    { Z: 116, symbol: "Lv", name: "Livermorium", group: 16, period: 7, category: "chemical element", weight: 293 },
+    { Z: 117, symbol: "Ts", name: "Tennessine", group: 17, period: 7, category: "chemical element", weight: 294 },
+    { Z: 118, symbol: "Og", name: "Oganesson", group: 18, period: 7, category: "noble gas", weight: 294 }
 ];
 
 // --- js/utils/Parser.js ---
@@ -2752,6 +5545,173 @@ function parseScientific(str) {
     return isNaN(num) ? 0 : num;
 }
 
+// Half-life units in seconds. 'm' is minutes; 'By' (billion years) is read as Gy.
+const JULIAN_YEAR_S = 365.25 * 86400;
+const HALF_LIFE_UNITS = {
+    ns: 1e-9, us: 1e-6, 'µs': 1e-6, ms: 1e-3, s: 1, sec: 1,
+    m: 60, min: 60, h: 3600, d: 86400,
+    y: JULIAN_YEAR_S, ky: 1e3 * JULIAN_YEAR_S, My: 1e6 * JULIAN_YEAR_S, Gy: 1e9 * JULIAN_YEAR_S, By: 1e9 * JULIAN_YEAR_S,
+    Ty: 1e12 * JULIAN_YEAR_S, Py: 1e15 * JULIAN_YEAR_S, Ey: 1e18 * JULIAN_YEAR_S
+};
+
+/**
+ * Half-life in seconds from a chain-table string such as "4.28e+08 s", "0.108 Py" or "stable".
+ * @returns {number|null} Infinity for stable nuclides, null when the text cannot be read
+ */
+function parseHalfLife(text) {
+    const clean = (text === undefined || text === null) ? '' : text.toString().trim();
+    if (/^stable$/i.test(clean)) return Infinity;
+    const m = clean.match(/^(\d*\.?\d+(?:[eE][+-]?\d+)?)\s*([A-Za-zµ]+)$/);
+    if (!m || !HALF_LIFE_UNITS[m[2]]) return null;
+    const value = parseFloat(m[1]) * HALF_LIFE_UNITS[m[2]];
+    return value > 0 ? value : null;
+}
+
+/**
+ * Half-life in the largest unit that keeps the value ≥ 1, e.g. "6.65 d".
+ */
+function formatHalfLife(seconds) {
+    if (!isFinite(seconds)) return 'stable';
+    const units = [['y', JULIAN_YEAR_S], ['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+    const [unit, size] = units.find(([, s]) => seconds >= s) || ['s', 1];
+    const value = seconds / size;
+    return `${value >= 1e5 ? value.toExponential(3) : value.toPrecision(4)} ${unit}`;
+}
+
+/**
+ * User text (e.g. a sample name from a spreadsheet) made safe for innerHTML.
+ */
+function escapeHtml(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text).replace(/[&<>"']/g, c => entities[c]);
+}
+
+/**
+ * One CSV cell: quoted when it holds a comma, quote or line break, with quotes doubled.
+ */
+function quoteCSV(value) {
+    const s = (value === undefined || value === null) ? '' : String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// --- js/utils/Formula.js ---
+/**
+ * Formula.js
+ * Chemical formula parser for compound targets and matrices.
+ * "Lu2O3", "Ho(NO3)3", "K4[Fe(CN)6]", "CuSO4·5H2O" are read as atom counts; alloys can
+ * also be given by mass percent ("Fe 70%, Cr 18%, Ni 12%"). Either way the result is a set
+ * of element mass fractions derived from the standard atomic weights.
+ */
+
+
+
+const WEIGHTS = new Map(PERIODIC_TABLE.map(e => [e.symbol, e.weight]));
+
+function addCounts(target, counts, factor = 1) {
+    Object.entries(counts).forEach(([sym, n]) => {
+        target[sym] = (target[sym] || 0) + n * factor;
+    });
+}
+
+/**
+ * Atom counts of one formula unit without hydrate separators, e.g. "Ho(NO3)3".
+ */
+function parseGroup(text) {
+    const stack = [{}];
+    let i = 0;
+
+    const readNumber = () => {
+        const m = text.slice(i).match(/^\d+(?:\.\d+)?/);
+        if (!m) return 1;
+        i += m[0].length;
+        return parseFloat(m[0]);
+    };
+
+    while (i < text.length) {
+        const ch = text[i];
+        if (ch === '(' || ch === '[') {
+            stack.push({});
+            i++;
+        } else if (ch === ')' || ch === ']') {
+            if (stack.length < 2) throw new Error(`Unbalanced "${ch}" in ${text}`);
+            i++;
+            const group = stack.pop();
+            addCounts(stack[stack.length - 1], group, readNumber());
+        } else {
+            const m = text.slice(i).match(/^[A-Z][a-z]?/);
+            if (!m || !WEIGHTS.has(m[0])) throw new Error(`Unknown element at "${text.slice(i)}"`);
+            i += m[0].length;
+            addCounts(stack[stack.length - 1], { [m[0]]: 1 }, readNumber());
+        }
+    }
+
+    if (stack.length !== 1) throw new Error(`Unbalanced parentheses in ${text}`);
+    return stack[0];
+}
+
+/**
+ * Atom counts per formula unit.
+ * @param {string} formula e.g. "Lu2O3" or "CuSO4·5H2O" (· or * separates hydrate water)
+ * @returns {Object<string, number>} { Lu: 2, O: 3 }
+ */
+function parseFormula(formula) {
+    const text = (formula || '').replace(/\s+/g, '');
+    if (!text) throw new Error('Empty formula');
+
+    const counts = {};
+    text.split(/[·•*]/).forEach(part => {
+        const m = part.match(/^(\d+(?:\.\d+)?)?(.+)$/);
+        if (!m) throw new Error(`Empty formula part in ${text}`);
+        addCounts(counts, parseGroup(m[2]), m[1] ? parseFloat(m[1]) : 1);
+    });
+    return counts;
+}
+
+/**
+ * Molar mass [g/mol] from atom counts.
+ */
+function molarMass(counts) {
+    return Object.entries(counts).reduce((sum, [sym, n]) => sum + n * WEIGHTS.get(sym), 0);
+}
+
+/**
+ * Mass percent list "Fe 70%, Cr 18%, Ni 12%" (also "Fe:70%"). Normalized to a sum of 1.
+ */
+function parseMassPercent(text) {
+    const fractions = {};
+    text.split(/[,;]/).map(p => p.trim()).filter(p => p).forEach(part => {
+        const m = part.match(/^([A-Z][a-z]?)\s*:?\s*(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\s*%$/);
+        if (!m || !WEIGHTS.has(m[1])) throw new Error(`Cannot read "${part}" (expected e.g. "Fe 70%")`);
+        fractions[m[1]] = (fractions[m[1]] || 0) + parseFloat(m[2]);
+    });
+
+    const sum = Object.values(fractions).reduce((a, b) => a + b, 0);
+    if (!(sum > 0)) throw new Error('Mass percentages must be positive');
+    Object.keys(fractions).forEach(sym => { fractions[sym] /= sum; });
+    return fractions;
+}
+
+/**
+ * Element mass fractions of a compound or alloy.
+ * @param {string} text Chemical formula or mass percent list
+ * @returns {{fractions: Object<string, number>, molarMass: number|null, basis: 'formula'|'mass'}}
+ */
+function compoundComposition(text) {
+    if ((text || '').includes('%')) {
+        return { fractions: parseMassPercent(text), molarMass: null, basis: 'mass' };
+    }
+
+    const counts = parseFormula(text);
+    const M = molarMass(counts);
+    if (!(M > 0)) throw new Error(`Formula ${text} has no mass`);
+
+    const fractions = {};
+    Object.entries(counts).forEach(([sym, n]) => {
+        fractions[sym] = (n * WEIGHTS.get(sym)) / M;
+    });
+    return { fractions, molarMass: M, basis: 'formula' };
+}
+
 // --- js/modules/EventBus.js ---
 /**
  * EventBus.js
@@ -2829,7 +5789,7 @@ class Presets {
 
     /**
      * Save a preset
-     * @param {string} type - 'single', 'impurity', 'waste', 'limit'
+     * @param {string} type - 'single', 'impurity', 'waste', 'limit', 'k0', 'material', 'decayData', 'referenceScenarios'
      * @param {string} name - User defined name
      * @param {Object} data - The form data
      */
@@ -2869,6 +5829,44 @@ class Presets {
         return false;
     }
 
+    /**
+     * Named target materials, stored as presets of type 'material'
+     * @returns {Object} { name: { element, composition: { A: percent } } }
+     */
+    static getMaterials() {
+        const all = this.getAll();
+        const materials = {};
+        Object.entries(all.material || {}).forEach(([name, entry]) => {
+            materials[name] = entry.data;
+        });
+        return materials;
+    }
+
+    /**
+     * Imported decay data files, stored as presets of type 'decayData', oldest first
+     * @returns {Array<{name: string, timestamp: number, format: string, nuclides: number, rows: Array, warnings: string[]}>}
+     */
+    static getDecayData() {
+        const all = this.getAll();
+        return Object.entries(all.decayData || {})
+            .map(([name, entry]) => ({ name, timestamp: entry.timestamp, ...entry.data }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Reference scenarios of the database comparison, stored as the single preset 'current'
+     * of type 'referenceScenarios'
+     * @returns {Array<Object>|null} null when none were saved
+     */
+    static getReferenceScenarios() {
+        return this.load('referenceScenarios', 'current');
+    }
+
+    static setReferenceScenarios(list) {
+        if (list === null) return this.delete('referenceScenarios', 'current');
+        return this.save('referenceScenarios', 'current', list);
+    }
+
     /**
      * Get list of preset names for a type
      */
@@ -2903,6 +5901,12 @@ const ADMIN_ONLY_FIELDS = [
     'input-flux',
     'input-time',
     'input-cool',
+    'input-f',
+    'input-alpha',
+    'input-engine',
+    'input-library',
+    'input-mc',
+    'input-schedule-toggle',
 
     // Impurity Tab
     'imp-ppm',
@@ -2910,6 +5914,13 @@ const ADMIN_ONLY_FIELDS = [
     'imp-flux',
     'imp-time',
     'imp-cool',
+    'imp-f',
+    'imp-alpha',
+    'imp-engine',
+    'imp-library',
+    'imp-mc',
+    'imp-schedule-toggle',
+    'imp-batch-file',
 
     // Waste Tab
     'waste-imp-ppm',
@@ -2918,6 +5929,13 @@ const ADMIN_ONLY_FIELDS = [
     'waste-flux',
     'waste-time',
     'waste-cool',
+    'waste-f',
+    'waste-alpha',
+    'waste-engine',
+    'waste-library',
+    'waste-mc',
+    'waste-schedule-toggle',
+    'waste-batch-file',
 
     // Limit Tab
     'lim-frac',
@@ -2927,21 +5945,32 @@ const ADMIN_ONLY_FIELDS = [
     'lim-flux',
     'lim-time',
     'lim-cool',
-    'lim-type'
+    'lim-type',
+    'lim-f',
+    'lim-alpha',
+    'lim-engine',
+    'lim-library',
+    'lim-mc',
+    'lim-schedule-toggle'
 ];
 
 // Buttons that require admin access
 const ADMIN_ONLY_BUTTONS = [
     'btn-add-imp',
     'btn-add-waste-imp',
-    'btn-add-lim'
+    'btn-add-lim',
+    'btn-decay-data',
+    'btn-data-quality'
 ];
 
 // Button classes that require admin access
 const ADMIN_ONLY_BUTTON_CLASSES = [
     'btn-save-preset',
     'btn-load-preset',
-    'btn-remove-item'
+    'btn-remove-item',
+    'btn-add-segment',
+    'btn-remove-segment',
+    'btn-materials'
 ];
 
 class UserRoles {
@@ -3366,22 +6395,45 @@ class DataLoader {
         this.paths = {
             xs: './public/data/Database_Fixed_Lambdas2.csv',
             chain: './public/data/BaseDatos_Cadenas_Completas.csv',
-            limits: './public/data/limits.csv'
+            limits: './public/data/limits.csv',
+            resonance: './public/data/Resonance_Integrals.csv',
+            isomer: './public/data/Isomeric_Transitions.csv',
+            gamma: './public/data/Gamma_Lines.csv',
+            decayEnergy: './public/data/Decay_Energies.csv',
+            // Other database versions in the same layout, loaded on demand with loadTable()
+            xsPrevious: './public/data/Final_Processed_Database23.csv',
+            abundances: './public/data/Updated_Abundances_Cleaned.csv'
         };
     }
 
+    /**
+     * Load one table by its path key (e.g. 'xsPrevious') without touching the store.
+     */
+    async loadTable(key) {
+        if (!this.paths[key]) throw new Error(`Unknown data table: ${key}`);
+        return this.loadCSV(this.paths[key]);
+    }
+
     async loadAll() {
         try {
-            const [xsData, chainData, limitsData] = await Promise.all([
+            const [xsData, chainData, limitsData, resonanceData, isomerData, gammaData, decayEnergyData] = await Promise.all([
                 this.loadCSV(this.paths.xs),
                 this.loadCSV(this.paths.chain),
-                this.loadCSV(this.paths.limits)
+                this.loadCSV(this.paths.limits),
+                this.loadCSV(this.paths.resonance),
+                this.loadCSV(this.paths.isomer),
+                this.loadCSV(this.paths.gamma),
+                this.loadCSV(this.paths.decayEnergy)
             ]);
 
             appStore.setState({
                 xsData,
                 chainData,
                 limitsData,
+                resonanceData,
+                isomerData,
+                gammaData,
+                decayEnergyData,
                 dataLoaded: true
             });
 
@@ -3400,6 +6452,12 @@ class DataLoader {
         if (url.includes('Database_Fixed_Lambdas2')) key = 'xs';
         else if (url.includes('BaseDatos_Cadenas_Completas')) key = 'chain';
         else if (url.includes('limits')) key = 'limits';
+        else if (url.includes('Resonance_Integrals')) key = 'resonance';
+        else if (url.includes('Isomeric_Transitions')) key = 'isomer';
+        else if (url.includes('Gamma_Lines')) key = 'gamma';
+        else if (url.includes('Decay_Energies')) key = 'decayEnergy';
+        else if (url.includes('Final_Processed_Database23')) key = 'xsPrevious';
+        else if (url.includes('Updated_Abundances_Cleaned')) key = 'abundances';
 
         if (key && window.NUCLEAR_DATA_OFFLINE && window.NUCLEAR_DATA_OFFLINE[key]) {
             console.log(`Using embedded data for ${key}`);
@@ -3434,7 +6492,10 @@ class DataLoader {
             let inQuote = false;
             for (let i = 0; i < line.length; i++) {
                 const char = line[i];
-                if (char === '"') inQuote = !inQuote;
+                if (char === '"' && inQuote && line[i + 1] === '"') {
+                    current += '"'; // "" inside quotes is a literal quote
+                    i++;
+                } else if (char === '"') inQuote = !inQuote;
                 else if (char === ',' && !inQuote) {
                     values.push(current.trim());
                     current = '';
@@ -3473,6 +6534,23 @@ class SearchModule {
         // Format: { label: "Lu-176 (2.59%)", value: "Lu-176", element: "Lu", lower: "lu-176" }
         this.isotopes = [];
         this.isotopeMap = new Map(); // "Lu" -> ["Lu-176", "Lu-177", ...]
+
+        // Named target materials (see Presets.getMaterials), offered like elements
+        this.materials = [];
+    }
+
+    /**
+     * Load user-defined target materials
+     * @param {Object} materials { name: { element, composition } }
+     */
+    loadMaterials(materials) {
+        this.materials = Object.entries(materials || {}).map(([name, m]) => ({
+            label: `${name} (${m.element}, custom)`,
+            value: name,
+            type: 'element',
+            category: 'Material',
+            lower: name.toLowerCase()
+        }));
     }
 
     /**
@@ -3575,6 +6653,13 @@ class SearchModule {
             }
         }
 
+        // 3. Material Search (names may contain digits, e.g. "Lu176-enriched")
+        this.materials.forEach(m => {
+            if (m.lower.includes(q)) {
+                matches.push({ ...m, score: m.lower.startsWith(q) ? 95 : 40 });
+            }
+        });
+
         // Deduplicate by value
         const unique = new Map();
         matches.forEach(m => {
@@ -3956,6 +7041,167 @@ class Autocomplete {
     }
 }
 
+// --- js/components/ScheduleEditor.js ---
+/**
+ * ScheduleEditor.js
+ * UI Component for multi-segment irradiation schedules (cycles, shutdowns, varying flux).
+ * When enabled it replaces the single irradiation/cooling time fields of a calculator tab.
+ */
+
+
+
+class ScheduleEditor {
+    /**
+     * @param {string} containerId ID of the element the editor renders into
+     * @param {Object} options Configuration options
+     * @param {Function} options.defaults Returns { flux, irrDays, coolDays } used to seed a new schedule
+     */
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.prefix = containerId;
+        this.options = options;
+        this.segments = [];
+
+        this.render();
+    }
+
+    render() {
+        this.container.classList.add('schedule-editor');
+        this.container.innerHTML = `
+            <label class="schedule-toggle">
+                <input type="checkbox" id="${this.prefix}-toggle">
+                Multi-segment schedule <span style="color: var(--text-muted);">(replaces irradiation/cooling times)</span>
+            </label>
+            <div class="schedule-body hidden">
+                <table class="data-table schedule-table" style="width:100%">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Label</th>
+                            <th>Duration (days)</th>
+                            <th>Flux (n/cm² · s)</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+                <div style="display: flex; gap: 0.5rem; margin-top: 0.5rem;">
+                    <button type="button" class="btn-secondary btn-add-segment" data-kind="irradiation">+ Irradiation</button>
+                    <button type="button" class="btn-secondary btn-add-segment" data-kind="decay">+ Shutdown / Decay</button>
+                    <span class="schedule-total" style="margin-left: auto; align-self: center; color: var(--text-muted); font-size: 0.85rem;"></span>
+                </div>
+            </div>
+        `;
+
+        this.toggle = this.container.querySelector(`#${this.prefix}-toggle`);
+        this.body = this.container.querySelector('.schedule-body');
+        this.tbody = this.container.querySelector('tbody');
+
+        this.toggle.addEventListener('change', () => {
+            if (this.toggle.checked && this.segments.length === 0) this.seedFromDefaults();
+            this.body.classList.toggle('hidden', !this.toggle.checked);
+            this.renderRows();
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const addBtn = e.target.closest('.btn-add-segment');
+            if (addBtn) {
+                const last = this.segments.filter(s => parseFloat(s.flux) > 0).pop();
+                const flux = addBtn.dataset.kind === 'decay' ? '0' : (last ? last.flux : this.getDefaults().flux);
+                const label = addBtn.dataset.kind === 'decay' ? 'Shutdown' : `Cycle ${this.segments.filter(s => parseFloat(s.flux) > 0).length + 1}`;
+                this.segments.push({ label, days: addBtn.dataset.kind === 'decay' ? '7' : '14', flux });
+                this.renderRows();
+            }
+
+            const removeBtn = e.target.closest('.btn-remove-segment');
+            if (removeBtn) {
+                this.segments.splice(parseInt(removeBtn.dataset.index, 10), 1);
+                this.renderRows();
+            }
+        });
+
+        this.tbody.addEventListener('input', (e) => {
+            const row = e.target.closest('tr');
+            if (!row || !e.target.dataset.field) return;
+            this.segments[parseInt(row.dataset.index, 10)][e.target.dataset.field] = e.target.value;
+            this.updateTotal();
+        });
+    }
+
+    getDefaults() {
+        const d = this.options.defaults ? this.options.defaults() : {};
+        return {
+            flux: d.flux || '2.2e14',
+            irrDays: d.irrDays || '14',
+            coolDays: d.coolDays || '0'
+        };
+    }
+
+    seedFromDefaults() {
+        const d = this.getDefaults();
+        this.segments = [{ label: 'Cycle 1', days: d.irrDays, flux: d.flux }];
+        if (parseFloat(d.coolDays) > 0) this.segments.push({ label: 'Cooling', days: d.coolDays, flux: '0' });
+    }
+
+    renderRows() {
+        this.tbody.innerHTML = this.segments.map((seg, i) => `
+            <tr data-index="${i}">
+                <td>${i + 1}</td>
+                <td><input type="text" class="input-field" data-field="label"></td>
+                <td><input type="number" class="input-field" data-field="days" step="0.1" min="0"></td>
+                <td><input type="text" class="input-field" data-field="flux"></td>
+                <td><button type="button" class="btn-remove-segment" data-index="${i}" style="background:none; border:none; color: #ff6b6b; cursor: pointer;">&times;</button></td>
+            </tr>
+        `).join('');
+        // Values are user text (labels may hold quotes), so they are set as properties, not markup
+        this.tbody.querySelectorAll('tr').forEach((row, i) => {
+            row.querySelectorAll('input[data-field]').forEach(input => {
+                input.value = this.segments[i][input.dataset.field] ?? '';
+            });
+        });
+        this.updateTotal();
+    }
+
+    updateTotal() {
+        const total = this.segments.reduce((sum, s) => sum + (parseFloat(s.days) || 0), 0);
+        const irr = this.segments.filter(s => parseFloat(s.flux) > 0).reduce((sum, s) => sum + (parseFloat(s.days) || 0), 0);
+        const el = this.container.querySelector('.schedule-total');
+        if (el) el.textContent = `Total ${total.toFixed(1)} d (in flux ${irr.toFixed(1)} d)`;
+    }
+
+    isEnabled() {
+        return !!(this.toggle && this.toggle.checked);
+    }
+
+    /**
+     * Solver-ready schedule, or null when the editor is switched off.
+     * @returns {Array<{duration: number, flux: number, label: string}>|null}
+     */
+    getSchedule() {
+        if (!this.isEnabled()) return null;
+        return this.segments.map(seg => ({
+            label: seg.label,
+            duration: (parseFloat(seg.days) || 0) * SECONDS_PER_DAY,
+            flux: parseFloat(seg.flux) || 0
+        }));
+    }
+
+    // --- PRESETS HELPERS ---
+    getData() {
+        return { enabled: this.isEnabled(), segments: this.segments.map(s => ({ ...s })) };
+    }
+
+    setData(data) {
+        if (!data || !this.toggle) return;
+        this.segments = Array.isArray(data.segments) ? data.segments.map(s => ({ ...s })) : [];
+        this.toggle.checked = !!data.enabled;
+        this.body.classList.toggle('hidden', !this.toggle.checked);
+        this.renderRows();
+    }
+}
+
 // --- js/utils/Charts.js ---
 /**
  * Charts.js - Chart rendering utilities using Chart.js (loaded via CDN)
@@ -4161,9 +7407,40 @@ function renderComplianceBarChart(canvasId, results, maxItems = 10) {
 }
 
 /**
- * Render a line chart showing activity decay over time
+ * Vertical marker at end of bombardment (x in days), drawn after the datasets
+ */
+function eobMarkerPlugin(eobDays) {
+    return {
+        id: 'eobMarker',
+        afterDatasetsDraw(chart) {
+            const xScale = chart.scales.x;
+            if (!xScale || !(eobDays > 0) || eobDays > xScale.max) return;
+            const x = xScale.getPixelForValue(eobDays);
+            const { top, bottom } = chart.chartArea;
+            const ctx = chart.ctx;
+            ctx.save();
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.setLineDash([5, 5]);
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, bottom);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#e0e0e0';
+            ctx.font = '10px sans-serif';
+            ctx.fillText('EOB', x + 4, top + 10);
+            ctx.restore();
+        }
+    };
+}
+
+/**
+ * Render per-nuclide and total activity over irradiation and cooling (log scale)
+ * @param {Object} timeSeries Output of NuclearSolver.activityTimeSeries()
+ * @param {Object} options { stacked: stack the nuclide series, title }
  */
-function renderDecayChart(canvasId, isotope, initialActivity, halfLifeSeconds, maxDays = 365) {
+function renderInventoryChart(canvasId, timeSeries, options = {}) {
     if (!window.Chart) {
         console.warn('Chart.js not loaded');
         return;
@@ -4171,61 +7448,46 @@ function renderDecayChart(canvasId, isotope, initialActivity, halfLifeSeconds, m
 
     destroyChart(canvasId);
     const canvas = document.getElementById(canvasId);
-    if (!canvas) return;
-
-    const ctx = canvas.getContext('2d');
-
-    // Create gradient fill
-    const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height || 200);
-    gradient.addColorStop(0, 'rgba(0, 212, 255, 0.4)');
-    gradient.addColorStop(0.5, 'rgba(0, 212, 255, 0.15)');
-    gradient.addColorStop(1, 'rgba(0, 212, 255, 0.02)');
-
-    const lambda = Math.log(2) / halfLifeSeconds;
-    const halfLifeDays = halfLifeSeconds / 86400;
-    const points = 60;
-    const maxSeconds = maxDays * 86400;
-
-    const timePoints = [];
-    const activityPoints = [];
-
-    for (let i = 0; i <= points; i++) {
-        const t = (maxSeconds / points) * i;
-        const days = t / 86400;
-        const activity = initialActivity * Math.exp(-lambda * t);
-
-        timePoints.push(days);
-        activityPoints.push(activity);
-    }
-
-    // Format half-life for display
-    let halfLifeStr;
-    if (halfLifeDays < 1) {
-        const hours = halfLifeDays * 24;
-        halfLifeStr = hours < 1 ? `${(hours * 60).toFixed(1)} min` : `${hours.toFixed(1)} h`;
-    } else if (halfLifeDays < 365) {
-        halfLifeStr = `${halfLifeDays.toFixed(1)} days`;
-    } else {
-        halfLifeStr = `${(halfLifeDays / 365).toFixed(1)} years`;
-    }
+    if (!canvas || !timeSeries || timeSeries.times.length === 0) return;
+
+    const stacked = !!options.stacked;
+    const days = timeSeries.times.map(t => t / 86400);
+    const peak = Math.max(...timeSeries.total);
+    const floor = peak > 0 ? peak * 1e-12 : 1e-20;
+    // Log axis cannot show zeros
+    const toPoints = values => values.map((v, i) => ({ x: days[i], y: v > floor ? v : null }));
+
+    const datasets = timeSeries.series.map((s, i) => ({
+        label: s.Isotope,
+        data: toPoints(s.values),
+        borderColor: CHART_BORDERS[i % CHART_BORDERS.length],
+        backgroundColor: CHART_COLORS[i % CHART_COLORS.length].replace('0.8', '0.35'),
+        fill: stacked ? (i === 0 ? 'origin' : '-1') : false,
+        stack: 'nuclides',
+        tension: 0.2,
+        pointRadius: 0,
+        pointHoverRadius: 3,
+        borderWidth: 1.5,
+        spanGaps: false
+    }));
+
+    datasets.push({
+        label: 'Total',
+        data: toPoints(timeSeries.total),
+        borderColor: '#ffffff',
+        backgroundColor: 'transparent',
+        borderDash: [6, 3],
+        fill: false,
+        stack: 'total',
+        tension: 0.2,
+        pointRadius: 0,
+        pointHoverRadius: 3,
+        borderWidth: 2
+    });
 
     const chart = new window.Chart(canvas, {
         type: 'line',
-        data: {
-            labels: timePoints,
-            datasets: [{
-                label: `${isotope}`,
-                data: activityPoints,
-                borderColor: 'rgba(0, 212, 255, 1)',
-                backgroundColor: gradient,
-                fill: true,
-                tension: 0.3,
-                pointRadius: 0,
-                pointHoverRadius: 4,
-                pointHoverBackgroundColor: '#00d4ff',
-                borderWidth: 2
-            }]
-        },
+        data: { datasets },
         options: {
             responsive: true,
             maintainAspectRatio: false,
@@ -4236,6 +7498,8 @@ function renderDecayChart(canvasId, isotope, initialActivity, halfLifeSeconds, m
             scales: {
                 x: {
                     type: 'linear',
+                    min: 0,
+                    max: days[days.length - 1],
                     grid: {
                         color: 'rgba(255,255,255,0.05)',
                         drawBorder: false
@@ -4244,17 +7508,19 @@ function renderDecayChart(canvasId, isotope, initialActivity, halfLifeSeconds, m
                         color: '#888',
                         font: { size: 10 },
                         maxTicksLimit: 8,
-                        callback: (val) => val.toFixed(0)
+                        callback: (val) => val.toFixed(val < 10 ? 1 : 0)
                     },
                     title: {
                         display: true,
-                        text: 'Cooling Time (days)',
+                        text: 'Time since start of irradiation (days)',
                         color: '#aaa',
                         font: { size: 11 }
                     }
                 },
                 y: {
                     type: 'logarithmic',
+                    stacked: stacked,
+                    min: floor,
                     grid: {
                         color: 'rgba(255,255,255,0.05)',
                         drawBorder: false
@@ -4262,7 +7528,6 @@ function renderDecayChart(canvasId, isotope, initialActivity, halfLifeSeconds, m
                     ticks: {
                         color: '#888',
                         font: { size: 10 },
-                        maxTicksLimit: 5,
                         callback: (val) => {
                             const exp = Math.log10(val);
                             if (Number.isInteger(exp)) {
@@ -4281,11 +7546,13 @@ function renderDecayChart(canvasId, isotope, initialActivity, halfLifeSeconds, m
             },
             plugins: {
                 legend: {
-                    display: false
+                    display: true,
+                    position: 'bottom',
+                    labels: { color: '#e0e0e0', font: { size: 10 }, boxWidth: 10, padding: 6 }
                 },
                 title: {
                     display: true,
-                    text: [`${isotope} Decay`, `t½ = ${halfLifeStr}`],
+                    text: options.title || 'Activity vs Time',
                     color: '#00d4ff',
                     font: { size: 12, weight: '600' },
                     padding: { bottom: 10 }
@@ -4297,96 +7564,246 @@ function renderDecayChart(canvasId, isotope, initialActivity, halfLifeSeconds, m
                     borderColor: 'rgba(0, 212, 255, 0.3)',
                     borderWidth: 1,
                     cornerRadius: 6,
-                    displayColors: false,
+                    filter: (item) => item.parsed.y !== null,
                     callbacks: {
-                        title: (items) => `Day ${items[0].parsed.x.toFixed(1)}`,
-                        label: (ctx) => `Activity: ${ctx.parsed.y.toExponential(2)} Bq`
+                        title: (items) => {
+                            const d = items[0].parsed.x;
+                            const eobDays = timeSeries.eob / 86400;
+                            const phase = d <= eobDays ? 'irradiation' : `${(d - eobDays).toFixed(1)} d after EOB`;
+                            return `Day ${d.toFixed(2)} (${phase})`;
+                        },
+                        // Stacked mode shows each nuclide's own activity, not the stack height
+                        label: (ctx) => {
+                            const raw = ctx.datasetIndex < timeSeries.series.length
+                                ? timeSeries.series[ctx.datasetIndex].values[ctx.dataIndex]
+                                : timeSeries.total[ctx.dataIndex];
+                            return `${ctx.dataset.label}: ${raw.toExponential(2)} Bq`;
+                        }
                     }
                 }
             }
-        }
+        },
+        plugins: [eobMarkerPlugin(timeSeries.eob / 86400)]
     });
 
     chartInstances.set(canvasId, chart);
     return chart;
 }
 
-// --- js/utils/PDF.js ---
-/**
- * PDF.js - PDF Export utilities using jsPDF (loaded via CDN)
- * No npm installation required - jsPDF is loaded from CDN in index.html
- */
-
 /**
- * Export results to PDF
- * @param {string} title - Report title
- * @param {Array} results - Array of result objects
- * @param {Object} summary - Optional summary data
+ * Render a predicted gamma spectrum (counts per channel, log scale) with markers on the
+ * visible peaks.
+ * @param {Object} spectrum Output of GammaSpectrumSimulator.simulate()
+ * @param {Object} options { maxLabels: peaks marked (default 15), title }
  */
-function exportToPDF(title, results, summary = null) {
-    if (!window.jspdf || !window.jspdf.jsPDF) {
-        console.error('jsPDF not loaded');
-        alert('PDF Export library not loaded. Please check your internet connection.');
+function renderGammaSpectrumChart(canvasId, spectrum, options = {}) {
+    if (!window.Chart) {
+        console.warn('Chart.js not loaded');
         return;
     }
 
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF();
-
-    // Load Logo - path relative to index.html in premium_app/
-    const logoImg = new Image();
-    logoImg.crossOrigin = 'anonymous'; // Enable CORS for canvas usage
-    logoImg.src = './public/assets/itm_logo_claim_white_rgb_high-res.png';
-
-    logoImg.onload = () => {
-        renderPdf(doc, title, results, summary, logoImg);
-    };
-
-    logoImg.onerror = () => {
-        console.warn('Logo not found at public/assets/..., rendering without logo');
-        renderPdf(doc, title, results, summary, null);
-    };
-}
-
-function renderPdf(doc, title, results, summary, logoImg) {
-    // Header background
-    doc.setFillColor(0, 51, 102);
-    doc.rect(0, 0, 210, 30, 'F');
-
-    // Logo
-    if (logoImg) {
-        // Logo normally appears at top left
-        const aspect = logoImg.width / logoImg.height;
-        const h = 15;
-        const w = h * aspect;
-        doc.addImage(logoImg, 'PNG', 14, 7, w, h);
-    }
-
-    // Title
-    doc.setTextColor(255, 255, 255);
-    doc.setFontSize(16);
-    doc.setFont('helvetica', 'bold');
-
-    // If logo exists, position title to the right, otherwise left
-    const titleX = logoImg ? 200 : 14;
-    const align = logoImg ? 'right' : 'left';
-
-    doc.text('Thermal NAA Tool', titleX, 15, { align: align });
-
-    // Subtitle
-    doc.setFontSize(10);
-    doc.setFont('helvetica', 'normal');
-    doc.text('ITM Medical Isotopes GmbH', titleX, 22, { align: align });
-
-    // Date (below header)
-    doc.setTextColor(100, 100, 100);
-    doc.text(new Date().toLocaleString(), 200, 36, { align: 'right' });
+    destroyChart(canvasId);
+    const canvas = document.getElementById(canvasId);
+    if (!canvas || !spectrum || spectrum.energies.length === 0) return;
 
-    let y = 45;
+    const maxLabels = options.maxLabels || 15;
+    const floor = 0.1;
+    const channelOf = e => Math.min(spectrum.counts.length - 1, Math.floor(e / spectrum.keVPerChannel));
+    const marked = spectrum.peaks.filter(p => p.Visible).slice(0, maxLabels);
 
-    // Summary section
-    if (summary) {
-        doc.setTextColor(0, 51, 102);
+    const chart = new window.Chart(canvas, {
+        type: 'line',
+        data: {
+            datasets: [
+                {
+                    label: 'Spectrum',
+                    data: spectrum.energies.map((e, i) => ({ x: e, y: Math.max(spectrum.counts[i], floor) })),
+                    borderColor: CHART_BORDERS[0],
+                    backgroundColor: CHART_COLORS[0].replace('0.8', '0.15'),
+                    fill: 'origin',
+                    stepped: true,
+                    pointRadius: 0,
+                    borderWidth: 1
+                },
+                {
+                    label: 'Visible peaks',
+                    type: 'scatter',
+                    data: marked.map(p => ({ x: p.Energy, y: Math.max(spectrum.counts[channelOf(p.Energy)], floor), peak: p })),
+                    borderColor: CHART_BORDERS[3],
+                    backgroundColor: CHART_COLORS[3],
+                    pointRadius: 4,
+                    pointStyle: 'triangle'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: {
+                mode: 'nearest',
+                intersect: false
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    max: spectrum.energies[spectrum.energies.length - 1],
+                    grid: {
+                        color: 'rgba(255,255,255,0.05)',
+                        drawBorder: false
+                    },
+                    ticks: {
+                        color: '#888',
+                        font: { size: 10 },
+                        maxTicksLimit: 10
+                    },
+                    title: {
+                        display: true,
+                        text: 'Energy (keV)',
+                        color: '#aaa',
+                        font: { size: 11 }
+                    }
+                },
+                y: {
+                    type: 'logarithmic',
+                    min: floor,
+                    grid: {
+                        color: 'rgba(255,255,255,0.05)',
+                        drawBorder: false
+                    },
+                    ticks: {
+                        color: '#888',
+                        font: { size: 10 },
+                        callback: (val) => {
+                            const exp = Math.log10(val);
+                            if (Number.isInteger(exp)) {
+                                return `10^${exp}`;
+                            }
+                            return '';
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: `Counts / channel (${spectrum.keVPerChannel.toPrecision(2)} keV)`,
+                        color: '#aaa',
+                        font: { size: 11 }
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: { color: '#e0e0e0', font: { size: 10 }, boxWidth: 10, padding: 6 }
+                },
+                title: {
+                    display: true,
+                    text: options.title || 'Predicted Gamma Spectrum',
+                    color: '#00d4ff',
+                    font: { size: 12, weight: '600' },
+                    padding: { bottom: 10 }
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(20, 30, 50, 0.95)',
+                    titleColor: '#00d4ff',
+                    bodyColor: '#e0e0e0',
+                    borderColor: 'rgba(0, 212, 255, 0.3)',
+                    borderWidth: 1,
+                    cornerRadius: 6,
+                    callbacks: {
+                        title: (items) => `${items[0].parsed.x.toFixed(1)} keV`,
+                        label: (ctx) => {
+                            const peak = ctx.raw.peak;
+                            if (peak) return `${peak.Isotope} ${peak.Energy.toFixed(1)} keV: ${peak.Counts.toExponential(2)} net counts`;
+                            return `${ctx.parsed.y.toExponential(2)} counts`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+
+    chartInstances.set(canvasId, chart);
+    return chart;
+}
+
+// --- js/utils/PDF.js ---
+/**
+ * PDF.js - PDF Export utilities using jsPDF (loaded via CDN)
+ * No npm installation required - jsPDF is loaded from CDN in index.html
+ */
+
+/**
+ * Export results to PDF
+ * @param {string} title - Report title
+ * @param {Array} results - Array of result objects
+ * @param {Object} summary - Optional summary data
+ */
+function exportToPDF(title, results, summary = null) {
+    if (!window.jspdf || !window.jspdf.jsPDF) {
+        console.error('jsPDF not loaded');
+        alert('PDF Export library not loaded. Please check your internet connection.');
+        return;
+    }
+
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF();
+
+    // Load Logo - path relative to index.html in premium_app/
+    const logoImg = new Image();
+    logoImg.crossOrigin = 'anonymous'; // Enable CORS for canvas usage
+    logoImg.src = './public/assets/itm_logo_claim_white_rgb_high-res.png';
+
+    logoImg.onload = () => {
+        renderPdf(doc, title, results, summary, logoImg);
+    };
+
+    logoImg.onerror = () => {
+        console.warn('Logo not found at public/assets/..., rendering without logo');
+        renderPdf(doc, title, results, summary, null);
+    };
+}
+
+function renderPdf(doc, title, results, summary, logoImg) {
+    // Header background
+    doc.setFillColor(0, 51, 102);
+    doc.rect(0, 0, 210, 30, 'F');
+
+    // Logo
+    if (logoImg) {
+        // Logo normally appears at top left
+        const aspect = logoImg.width / logoImg.height;
+        const h = 15;
+        const w = h * aspect;
+        doc.addImage(logoImg, 'PNG', 14, 7, w, h);
+    }
+
+    // Title
+    doc.setTextColor(255, 255, 255);
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'bold');
+
+    // If logo exists, position title to the right, otherwise left
+    const titleX = logoImg ? 200 : 14;
+    const align = logoImg ? 'right' : 'left';
+
+    doc.text('Thermal NAA Tool', titleX, 15, { align: align });
+
+    // Subtitle
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    doc.text('ITM Medical Isotopes GmbH', titleX, 22, { align: align });
+
+    // Date (below header)
+    doc.setTextColor(100, 100, 100);
+    doc.text(new Date().toLocaleString(), 200, 36, { align: 'right' });
+
+    let y = 45;
+
+    // Summary section
+    if (summary) {
+        doc.setTextColor(0, 51, 102);
         doc.setFontSize(12);
         doc.setFont('helvetica', 'bold');
         doc.text('Summary', 14, y);
@@ -4609,705 +8026,5321 @@ class PasswordGate {
     }
 }
 
-// --- js/engine/NuclearSolver.js ---
+// --- js/engine/Schedule.js ---
+/**
+ * Schedule.js
+ * Irradiation schedule model for multi-cycle reactor campaigns.
+ * A schedule is an ordered list of segments { duration [s], flux [n/cm²·s], label, f, alpha };
+ * a segment with zero flux is a shutdown / decay period. f (thermal/epithermal flux ratio)
+ * and alpha (epithermal 1/E^(1+α) shape) describe the spectrum; f = 0 means pure thermal.
+ */
 
+/**
+ * Create a single schedule segment.
+ * @param {number} duration Segment length in seconds
+ * @param {number} flux Thermal neutron flux (0 = decay only)
+ * @param {string} label Optional display label
+ * @param {Object} spectrum Optional { f, alpha } epithermal description
+ */
+function createSegment(duration, flux = 0, label = '', spectrum = {}) {
+    const d = parseFloat(duration);
+    const phi = parseFloat(flux);
+    const f = parseFloat(spectrum.f);
+    const alpha = parseFloat(spectrum.alpha);
+    return {
+        duration: (isFinite(d) && d > 0) ? d : 0,
+        flux: (isFinite(phi) && phi > 0) ? phi : 0,
+        label: label || '',
+        f: (isFinite(f) && f > 0) ? f : 0,
+        alpha: isFinite(alpha) ? alpha : 0
+    };
+}
 
+/**
+ * The classic single block: one irradiation followed by one cooling period.
+ */
+function buildSimpleSchedule(flux, tIrrS, tCoolS, spectrum = {}) {
+    const schedule = [createSegment(tIrrS, flux, 'Irradiation', spectrum)];
+    if (tCoolS > 0) schedule.push(createSegment(tCoolS, 0, 'Cooling', spectrum));
+    return schedule;
+}
 
-class NuclearSolver {
-    constructor(dfXs, dfChain, dfLimits) {
-        this.xsMap = new Map();
-        this.decayMap = new Map();
-        this.lambdaCache = new Map();
-        this.sigmaRemovalCache = new Map();
-        this.elementMap = new Map();
-        this.limitsMap = new Map();
+/**
+ * Accept either a schedule array or the legacy (flux, tIrrS, tCoolS) triple
+ * and return a clean list of segments. Zero-length segments are dropped, but the
+ * result always holds at least one segment so solvers have a starting step.
+ * @param {number|Array<{duration: number, flux: number}>} flux
+ * @param {Object} spectrum { f, alpha } applied to segments that do not carry their own
+ */
+function normalizeSchedule(flux, tIrrS = 0, tCoolS = 0, spectrum = {}) {
+    if (!Array.isArray(flux)) return buildSimpleSchedule(flux, tIrrS, tCoolS, spectrum);
 
-        this._buildMaps(dfXs, dfChain);
-        this._buildLimits(dfLimits);
-    }
+    const segments = flux
+        .map(seg => createSegment(seg.duration, seg.flux, seg.label, seg.f > 0 ? seg : spectrum))
+        .filter(seg => seg.duration > 0);
 
-    _buildLimits(dfLimits) {
-        if (!dfLimits || !Array.isArray(dfLimits)) return;
-        dfLimits.forEach(row => {
-            const iso = (row.Isotope || row['Nuclide'] || '').toString().trim();
-            // Standardize ID format if needed, but the primary key is usually 'Eu-152'
-            // Ensure robust key matching
-            if (iso) {
-                // Ensure we parse exponents correctly if they are strings
-                const cleanFloat = (v) => {
-                    if (typeof v === 'number') return v;
-                    if (!v) return 1e99;
-                    return parseFloat(v.replace(',', '.'));
-                };
+    return segments.length > 0 ? segments : [createSegment(0, 0, 'Irradiation')];
+}
 
-                this.limitsMap.set(iso, {
-                    clearance: cleanFloat(row.Limit_Clearance_Bq_g),
-                    exemption: cleanFloat(row.Limit_Exemption_Bq_g)
-                });
-            }
-        });
-    }
+/**
+ * Total length of the schedule in seconds.
+ */
+function scheduleDuration(schedule) {
+    return schedule.reduce((sum, seg) => sum + seg.duration, 0);
+}
 
-    _setLambda(isoKey, val) {
-        try {
-            const v = parseFloat(val);
-            if (v > 1e-40) {
-                this.lambdaCache.set(isoKey, v);
-            }
-        } catch (e) { }
-    }
+/**
+ * Time at which the last irradiated segment ends (end of bombardment), in seconds
+ * from the start of the schedule. 0 if the schedule never irradiates.
+ */
+function endOfBombardment(schedule) {
+    let t = 0;
+    let eob = 0;
+    schedule.forEach(seg => {
+        t += seg.duration;
+        if (seg.flux > 0) eob = t;
+    });
+    return eob;
+}
 
-    _buildMaps(dfXs, dfChain) {
-        // Activation
-        if (dfXs && dfXs.length > 0) {
-            dfXs.forEach(row => {
-                const pSym = (row.Symbol || '').toString().trim();
-                const pA = parseInt(row.A, 10) || 0;
-                const pKey = getUniqueId(pSym, pA, '');
+/**
+ * The schedule up to end of bombardment followed by a single cooling period.
+ * Used to evaluate the same irradiation at other cooling times.
+ * @param {number} coolS Cooling time after EOB in seconds (0 = at EOB)
+ */
+function coolingSchedule(schedule, coolS) {
+    const lastIrradiated = schedule.reduce((last, seg, i) => (seg.flux > 0 ? i : last), -1);
+    const segments = schedule.slice(0, lastIrradiated + 1);
+    if (coolS > 0 || segments.length === 0) segments.push(createSegment(coolS, 0, 'Cooling'));
+    return segments;
+}
 
-                const daughter = parseIsotopeClean((row.Daughter_Isotope || '').toString());
-                const dKey = getUniqueId(daughter.symbol, daughter.massNumber, daughter.metastable);
+// --- js/engine/MatrixExponential.js ---
+/**
+ * MatrixExponential.js
+ * Sparse transmutation matrix and CRAM-16 matrix exponential.
+ * Solves dN/dt = A·N as N(t) = exp(A·t)·N0 without enumerating linear chains,
+ * so loops and near-equal half-lives need no special treatment.
+ * Pure math, no DOM access.
+ */
 
-                // Store Abundance for Element lookup
-                let theta = parseFloat(row.Abundance);
-                if (!isNaN(theta) && theta > 0) {
-                    if (!this.elementMap.has(pSym)) this.elementMap.set(pSym, []);
-                    const list = this.elementMap.get(pSym);
-                    // Avoid duplicates if multiple reactions exist for same parent
-                    if (!list.some(x => x.A === pA)) {
-                        list.push({ A: pA, theta: theta });
-                    }
-                }
+// Chebyshev Rational Approximation Method, order 16 (Pusa 2016, incomplete partial fraction form).
+// Poles come in conjugate pairs, so only one of each pair is listed.
+const CRAM16_ALPHA0 = 2.124853710495224e-16;
+
+const CRAM16_ALPHA = [
+    [5.464930576870210e+3, -3.797983575308356e+4],
+    [9.045112476907548e+1, -1.115537522430261e+3],
+    [2.344818070467641e+2, -4.228020157070496e+2],
+    [9.453304067358312e+1, -2.951294291446048e+2],
+    [7.283792954673409e+2, -1.205646080220011e+5],
+    [3.648229059594851e+1, -1.155509621409682e+2],
+    [2.547321630156819e+1, -2.639500283021502e+1],
+    [2.394538338734709e+1, -5.650522971778156e+0]
+];
 
-                if (row.Decay_Constant_Lambda) this._setLambda(dKey, row.Decay_Constant_Lambda);
+const CRAM16_THETA = [
+    [3.509103608414918, 8.436198985884374],
+    [5.948152268951177, 3.587457362018322],
+    [-5.264971343442647, 16.22022147316793],
+    [1.419375897185666, 10.92536348449672],
+    [6.416177699099435, 1.194122393370139],
+    [4.993174737717997, 5.996881713603942],
+    [-1.413928462488886, 13.49772569889275],
+    [-10.84391707869699, 19.27744616718165]
+];
 
-                const sigma = parseFloat(row.Max_XS) || 0;
-                if (sigma > 0) {
-                    if (!this.xsMap.has(pKey)) this.xsMap.set(pKey, []);
-                    this.xsMap.get(pKey).push({ child: dKey, sigma: sigma, type: row.Reaction || 'n,γ' });
+/**
+ * Sparse burnup matrix. Node order is insertion order; inserting producers
+ * before their products keeps the matrix close to lower triangular.
+ */
+class TransmutationMatrix {
+    constructor() {
+        this.keys = [];
+        this.index = new Map();
+        this.removal = [];
+        this.production = []; // production[i] = Map(j -> rate of j feeding i)
+    }
 
-                    const current = this.sigmaRemovalCache.get(pKey) || 0;
-                    this.sigmaRemovalCache.set(pKey, current + sigma);
-                }
-            });
-        }
+    get size() {
+        return this.keys.length;
+    }
 
-        // Decay
-        if (dfChain && dfChain.length > 0) {
-            dfChain.forEach(row => {
-                const parent = parseIsotopeClean((row.Padre_Isotopo || '').toString());
-                const pKey = getUniqueId(parent.symbol, parent.massNumber, parent.metastable);
-
-                const child = parseIsotopeClean((row.Hijo_Isotopo || '').toString());
-                const hKey = getUniqueId(child.symbol, child.massNumber, child.metastable);
-
-                if (row.Hijo_Lambda) this._setLambda(hKey, row.Hijo_Lambda);
-                if (row.Padre_Lambda) this._setLambda(pKey, row.Padre_Lambda);
+    addNode(key) {
+        if (this.index.has(key)) return this.index.get(key);
+        const idx = this.keys.length;
+        this.keys.push(key);
+        this.index.set(key, idx);
+        this.removal.push(0);
+        this.production.push(new Map());
+        return idx;
+    }
 
-                const br = parseFloat(row.Branching_Ratio) || 0;
-                if (br > 0) {
-                    if (!this.decayMap.has(pKey)) this.decayMap.set(pKey, []);
-                    this.decayMap.get(pKey).push({ child: hKey, br: br, type: 'decay' });
-                }
-            });
-        }
+    has(key) {
+        return this.index.has(key);
     }
 
     /**
-     * Solve for a generic Element (natural abundance)
-     * @param {boolean} merge If true (default), sums activity of identical isotopes from different parents.
+     * Set the total removal rate (decay + absorption) of a node [1/s].
      */
-    solveElement(elementSymbol, totalMassG, flux, tIrrS, tCoolS, merge = true) {
-        const parents = this.elementMap.get(elementSymbol) || [];
-        if (parents.length === 0) return [];
+    setRemoval(key, rate) {
+        this.removal[this.addNode(key)] = rate;
+    }
 
-        let aggregatedResults = [];
+    /**
+     * Add a transfer rate from one node into another [1/s].
+     */
+    addTransfer(fromKey, toKey, rate) {
+        if (!(rate > 0)) return;
+        const from = this.addNode(fromKey);
+        const to = this.addNode(toKey);
+        if (from === to) return;
+        const row = this.production[to];
+        row.set(from, (row.get(from) || 0) + rate);
+    }
+}
 
-        parents.forEach(p => {
-            const massIso = totalMassG * p.theta; // Mass of this specific isotope
-            const pKey = getUniqueId(elementSymbol, p.A, '');
-            // Solve for this parent
-            // Force abundance=1.0 because we already scaled the mass
-            const res = this.solve(pKey, massIso, flux, tIrrS, tCoolS, 1.0);
+/**
+ * Solve (A·dt - θ·I)·x = b for one complex pole by sparse Gaussian elimination.
+ * No pivoting: the diagonal always carries Im(θ) != 0, as in the reference CRAM solvers.
+ */
+function solveShiftedSystem(matrix, dt, thetaRe, thetaIm, b) {
+    const n = matrix.size;
+    const rows = new Array(n);
+    const colRows = new Array(n);
+    for (let i = 0; i < n; i++) colRows[i] = new Set();
+
+    for (let i = 0; i < n; i++) {
+        const row = new Map();
+        row.set(i, [-matrix.removal[i] * dt - thetaRe, -thetaIm]);
+        matrix.production[i].forEach((rate, j) => {
+            row.set(j, [rate * dt, 0]);
+            colRows[j].add(i);
+        });
+        rows[i] = row;
+    }
 
-            // Tag results with the parent isotope for traceability
-            const parentLabel = `${elementSymbol}-${p.A}`;
-            res.forEach(r => r.Parent = parentLabel);
+    const xRe = Float64Array.from(b);
+    const xIm = new Float64Array(n);
+
+    // Forward elimination
+    for (let k = 0; k < n; k++) {
+        const [pr, pi] = rows[k].get(k);
+        const pDen = pr * pr + pi * pi;
+
+        colRows[k].forEach(i => {
+            if (i <= k) return;
+            const entry = rows[i].get(k);
+            if (!entry) return;
+            // factor = entry / pivot
+            const fr = (entry[0] * pr + entry[1] * pi) / pDen;
+            const fi = (entry[1] * pr - entry[0] * pi) / pDen;
+            rows[i].delete(k);
+
+            rows[k].forEach(([vr, vi], c) => {
+                if (c <= k) return;
+                const cur = rows[i].get(c) || [0, 0];
+                rows[i].set(c, [cur[0] - (fr * vr - fi * vi), cur[1] - (fr * vi + fi * vr)]);
+                colRows[c].add(i);
+            });
 
-            aggregatedResults.push(...res);
+            const br = xRe[k];
+            const bi = xIm[k];
+            xRe[i] -= fr * br - fi * bi;
+            xIm[i] -= fr * bi + fi * br;
         });
+    }
 
-        if (!merge) {
-            // Return raw list, but sort by activity
-            return aggregatedResults.sort((a, b) => b.Activity - a.Activity);
-        }
-
-        // Merge identical isotopes
-        const merged = new Map();
-        aggregatedResults.forEach(r => {
-            if (!merged.has(r.Isotope)) {
-                merged.set(r.Isotope, { ...r, Activity: 0, Atoms: 0 });
+    // Back substitution
+    for (let k = n - 1; k >= 0; k--) {
+        let sr = xRe[k];
+        let si = xIm[k];
+        let pr = 0;
+        let pi = 0;
+        rows[k].forEach(([vr, vi], c) => {
+            if (c === k) {
+                pr = vr;
+                pi = vi;
+            } else if (c > k) {
+                sr -= vr * xRe[c] - vi * xIm[c];
+                si -= vr * xIm[c] + vi * xRe[c];
             }
-            const exist = merged.get(r.Isotope);
-            exist.Activity += r.Activity;
-            exist.Atoms += r.Atoms;
-            // Note: Parent info is lost in merge, which is fine for totals
         });
-
-        return Array.from(merged.values()).sort((a, b) => b.Activity - a.Activity);
+        const pDen = pr * pr + pi * pi;
+        xRe[k] = (sr * pr + si * pi) / pDen;
+        xIm[k] = (si * pr - sr * pi) / pDen;
     }
 
-    getLimit(isotope, type = 'exemption') {
-        const lim = this.limitsMap.get(isotope);
-        if (!lim) return 1e99; // Default high limit if not found (or return null?)
-        return (type === 'clearance') ? lim.clearance : lim.exemption;
-    }
+    return { re: xRe, im: xIm };
+}
 
-    getRemovalRate(isoKey, flux) {
-        const lam = this.lambdaCache.get(isoKey) || 0;
-        const sig = this.sigmaRemovalCache.get(isoKey) || 0;
-        return lam + (sig * BARN_TO_CM2 * flux);
+/**
+ * N(dt) = exp(A·dt)·N0 using CRAM-16.
+ * @param {TransmutationMatrix} matrix
+ * @param {Float64Array|number[]} n0 Initial atom vector (same order as matrix.keys)
+ * @param {number} dt Step length in seconds
+ * @returns {Float64Array} Atom vector at the end of the step
+ */
+function expmCram(matrix, n0, dt) {
+    const n = matrix.size;
+    const result = new Float64Array(n);
+    if (n === 0) return result;
+
+    if (!(dt > 0)) {
+        for (let i = 0; i < n; i++) result[i] = n0[i] || 0;
+        return result;
     }
 
-    solve(parentIso, massG, flux, tIrrS, tCoolS, abundance = 1.0, maxDepth = 6) {
-        // Phase 1: Irradiation
-        const phase1Results = this._coreBatemanStep(
-            parentIso, massG, flux, tIrrS, abundance, maxDepth, ''
-        );
+    // IPF form: y <- y + 2·Re(α_j·(A·dt - θ_j·I)^-1·y), then scale by α0
+    for (let i = 0; i < n; i++) result[i] = n0[i] || 0;
+
+    CRAM16_THETA.forEach(([tr, ti], p) => {
+        const [ar, ai] = CRAM16_ALPHA[p];
+        const x = solveShiftedSystem(matrix, dt, tr, ti, result);
+        for (let i = 0; i < n; i++) {
+            result[i] += 2 * (ar * x.re[i] - ai * x.im[i]);
+        }
+    });
 
-        if (tCoolS <= 0) return this._formatResults(phase1Results);
+    for (let i = 0; i < n; i++) result[i] *= CRAM16_ALPHA0;
 
-        // Phase 2: Cooling
-        const finalResults = [];
-        phase1Results.forEach(res => {
-            if (res.finalAtoms < 1e-20) return;
-            // Mass number approx for intermediate mass
-            const match = res.finalIso.match(/(\d+)/);
-            const aVal = match ? parseFloat(match[1]) : 0;
-            const massInput = (res.finalAtoms * aVal) / AVOGADRO;
+    // CRAM round-off can leave tiny negative populations
+    for (let i = 0; i < n; i++) {
+        if (result[i] < 0) result[i] = 0;
+    }
+    return result;
+}
 
-            const coolingStep = this._coreBatemanStep(
-                res.finalIso, massInput, 0.0, tCoolS, 1.0, maxDepth, res.pathStr
-            );
-            finalResults.push(...coolingStep);
-        });
+/**
+ * Fraction of the first member of a linear chain present in the last member after dt:
+ * the last entry of exp(A·dt)·e1, with A lower bidiagonal (diagonal −removal[i],
+ * subdiagonal rates[i] from member i to i+1). Scaling and squaring with a Taylor series
+ * keeps full relative precision when removal rates are (nearly) equal, where the
+ * classic Bateman sum Σ e^(−λi·t) / Π(λj − λi) cancels catastrophically.
+ * @param {number[]} removal Removal rates of the chain members [1/s]
+ * @param {number[]} rates Transfer rates between consecutive members [1/s] (length n − 1)
+ * @param {number} dt [s]
+ */
+function linearChainFraction(removal, rates, dt) {
+    const n = removal.length;
+    if (n === 0) return 0;
+    if (n === 1) return Math.exp(-removal[0] * dt);
+
+    // ‖A·dt‖∞ ≤ 0.5 after scaling by 2^-s
+    let norm = 0;
+    for (let i = 0; i < n; i++) norm = Math.max(norm, removal[i] * dt + (i > 0 ? rates[i - 1] * dt : 0));
+    const s = norm > 0.5 ? Math.ceil(Math.log2(norm / 0.5)) : 0;
+    const scale = dt / Math.pow(2, s);
+
+    // Lower triangular n×n matrices, row-major in flat buffers reused across products
+    let exp = new Float64Array(n * n);
+    let term = new Float64Array(n * n);
+    let work = new Float64Array(n * n);
+    const m = new Float64Array(n * n);
+    const multiply = (x, y, out) => {
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let sum = 0;
+                for (let k = j; k <= i; k++) sum += x[i * n + k] * y[k * n + j];
+                out[i * n + j] = sum;
+            }
+        }
+    };
 
-        return this._formatResults(finalResults);
+    for (let i = 0; i < n; i++) {
+        m[i * n + i] = -removal[i] * scale;
+        if (i > 0) m[i * n + i - 1] = rates[i - 1] * scale;
+        exp[i * n + i] = 1;
+        term[i * n + i] = 1;
     }
 
-    _coreBatemanStep(parentIso, startMassG, flux, timeS, abundance, maxDepth, pathPrefix) {
-        const parent = parseIsotopeClean(parentIso);
-        if (!parent.symbol) return [];
+    // Entry (n-1, 0) first appears in the (n-1)-th power, so the series runs n + 18 terms
+    for (let k = 1; k < n + 18; k++) {
+        multiply(term, m, work);
+        [term, work] = [work, term];
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                term[i * n + j] /= k;
+                exp[i * n + j] += term[i * n + j];
+            }
+        }
+    }
+    for (let k = 0; k < s; k++) {
+        multiply(exp, exp, work);
+        [exp, work] = [work, exp];
+    }
 
-        const startNode = getUniqueId(parent.symbol, parent.massNumber, parent.metastable);
-        const mMol = parseFloat(parent.massNumber) || 1;
-        const n0 = (startMassG * abundance * AVOGADRO) / mMol;
+    return Math.max(exp[(n - 1) * n], 0);
+}
 
-        const allPaths = [[{ iso: startNode, k: 0, xs: 0, type: 'Start' }]];
-        const stack = [[startNode, [{ iso: startNode, k: 0, xs: 0, type: 'Start' }], 0]];
+/**
+ * Split scaled removal rates μ into a slow group (μ ≤ 8, summed as a series) and fast
+ * members, each at least 4× the slow ones and 1% and Δμ = 1 apart from each other.
+ * The largest workable slow group wins; null when there is none.
+ */
+function chainSplit(mu) {
+    const sorted = [...mu].sort((a, b) => a - b);
+    let p = sorted.findIndex(x => x > 8);
+    if (p < 0) p = sorted.length;
+    for (; p >= 0; p--) {
+        const fast = sorted.slice(p);
+        const maxSlow = p > 0 ? sorted[p - 1] : 0;
+        if (fast.length > 0 && fast[0] < 4 * maxSlow) continue;
+        let separated = true;
+        for (let i = 1; i < fast.length && separated; i++) {
+            const gap = fast[i] - fast[i - 1];
+            separated = gap >= 1 && gap > 1e-2 * fast[i];
+        }
+        if (separated) return { slow: sorted.slice(0, p), fast };
+    }
+    return null;
+}
 
-        while (stack.length > 0) {
-            const [currIso, currPath, depth] = stack.pop();
-            if (depth >= maxDepth) continue;
+/**
+ * Same quantity as linearChainFraction from the Bateman sum, written with μ = λ·t:
+ * Π(rates·t) · Σ e^(−μi) / Π(μj − μi). The terms cancel for members closer than Δμ ≈ 1,
+ * so the slow members (see chainSplit) are summed together as the divided difference of
+ * g(μ) = e^(−μ) / Π over fast members (μf − μ), from the Taylor series of g:
+ * g[slow] = Σk c(k + s − 1) · hk(slow), with hk the complete homogeneous symmetric polynomials.
+ * Fast members keep their closed-form term. Chains chainSplit cannot separate go to
+ * linearChainFraction.
+ * @param {number[]} removal Removal rates of the chain members [1/s]
+ * @param {number[]} rates Transfer rates between consecutive members [1/s] (length n − 1)
+ * @param {number} dt [s]
+ */
+function batemanChainFraction(removal, rates, dt) {
+    const n = removal.length;
+    if (n === 0) return 0;
+    if (n === 1) return Math.exp(-removal[0] * dt);
+
+    if (n === 2) {
+        // (e^(−a·t) − e^(−b·t)) / (b − a) without cancellation
+        const a = Math.min(removal[0], removal[1]);
+        const d = (Math.max(removal[0], removal[1]) - a) * dt;
+        return rates[0] * dt * Math.exp(-a * dt) * (d > 0 ? -Math.expm1(-d) / d : 1);
+    }
 
-            if (flux > 0 && this.xsMap.has(currIso)) {
-                this.xsMap.get(currIso).forEach(rx => {
-                    if (currPath.some(s => s.iso === rx.child)) return;
-                    const k = rx.sigma * BARN_TO_CM2 * flux;
-                    const newPath = [...currPath, { iso: rx.child, k: k, xs: rx.sigma, type: rx.type }];
-                    allPaths.push(newPath);
-                    stack.push([rx.child, newPath, depth + 1]);
-                });
-            }
+    const mu = removal.map(l => l * dt);
+    const split = chainSplit(mu);
+    if (!split) return linearChainFraction(removal, rates, dt);
+    const { slow, fast } = split;
+
+    let sum = 0;
+    fast.forEach((x, i) => {
+        let denom = 1.0;
+        slow.forEach(y => { denom *= y - x; });
+        fast.forEach((y, j) => { if (j !== i) denom *= y - x; });
+        sum += Math.exp(-x) / denom;
+    });
 
-            if (this.decayMap.has(currIso)) {
-                const lamP = this.lambdaCache.get(currIso) || 0;
-                if (lamP > 0) {
-                    this.decayMap.get(currIso).forEach(dec => {
-                        if (currPath.some(s => s.iso === dec.child)) return;
-                        const k = lamP * dec.br;
-                        const newPath = [...currPath, { iso: dec.child, k: k, xs: 0, type: 'Decay' }];
-                        allPaths.push(newPath);
-                        stack.push([dec.child, newPath, depth + 1]);
-                    });
-                }
-            }
+    if (slow.length > 0) {
+        // Enough terms for both e^(−μ) (μ ≤ maxSlow) and 1/(μf − μ) (ratio ≤ maxSlow/μf) to converge
+        const s = slow.length;
+        const maxSlow = slow[s - 1];
+        const ratio = fast.length > 0 ? maxSlow / fast[0] : 0;
+        let terms = 1;
+        for (let eTerm = 1, rTerm = 1, binom = 1; terms < 60; terms++) {
+            eTerm *= maxSlow / terms;
+            rTerm *= ratio;
+            binom *= (terms + s - 1) / terms;
+            if ((eTerm + rTerm) * binom < 1e-17) break;
         }
+        // Taylor coefficients of e^(−μ), then divided by (μf − μ) for each fast member
+        const c = new Float64Array(terms + s);
+        c[0] = 1;
+        for (let m = 1; m < c.length; m++) c[m] = -c[m - 1] / m;
+        fast.forEach(f => {
+            c[0] /= f;
+            for (let m = 1; m < c.length; m++) c[m] = (c[m] + c[m - 1]) / f;
+        });
+        const h = new Float64Array(terms);
+        h[0] = 1;
+        slow.forEach(x => {
+            for (let k = 1; k < terms; k++) h[k] += x * h[k - 1];
+        });
+        let divided = 0;
+        for (let k = 0; k < terms; k++) divided += c[k + s - 1] * h[k];
+        // Σ over slow of g(μi) / Π(μj − μi) is (−1)^(s−1) · g[slow]
+        sum += (s % 2 === 1 ? 1 : -1) * divided;
+    }
 
-        const rawResults = [];
-        allPaths.forEach(path => {
-            const isos = path.map(s => s.iso);
-            const lambdas = isos.map(i => this.getRemovalRate(i, flux));
-            const ks = path.slice(1).map(s => s.k);
-            const n = isos.length;
-            let atomsEnd = 0;
+    return Math.max(rates.reduce((p, k) => p * k * dt, 1) * sum, 0);
+}
 
-            for (let i = 0; i < lambdas.length; i++) {
-                for (let j = i + 1; j < lambdas.length; j++) {
-                    if (Math.abs(lambdas[i] - lambdas[j]) < 1e-12) lambdas[j] += 1e-13;
-                }
-            }
+// --- js/engine/NuclearSolver.js ---
 
-            const prodK = ks.reduce((a, b) => a * b, 1);
-            if (prodK > 0) {
-                for (let i = 0; i < n; i++) {
-                    let denom = 1.0;
-                    for (let j = 0; j < n; j++) {
-                        if (i !== j) denom *= (lambdas[j] - lambdas[i]);
-                    }
-                    if (Math.abs(denom) < 1e-50) denom = 1e-50;
-                    atomsEnd += Math.exp(-lambdas[i] * timeS) / denom;
-                }
-                atomsEnd *= n0 * prodK;
-            }
 
-            if (atomsEnd < 1e-25) return;
 
-            let currentPathStr = '';
-            let primaryXs = 0;
-            let contrib = 'Secondary';
-            let foundFirstActivation = false;
 
-            path.slice(1).forEach((step, idx) => {
-                const t = step.type;
-                if (t === 'Decay') {
-                    currentPathStr += ` → ${step.iso}`;
-                } else {
-                    currentPathStr += ` (${t}) ${step.iso}`;
-                    // Capture the XS of the FIRST activation reaction
-                    if (!foundFirstActivation) {
-                        primaryXs = step.xs || 0;
-                        foundFirstActivation = true;
-                        contrib = 'Direct';
-                    }
-                }
-            });
 
-            rawResults.push({
-                finalIso: isos[n - 1],
-                finalAtoms: atomsEnd,
-                pathStr: pathPrefix ? pathPrefix + currentPathStr : isos[0] + currentPathStr,
-                primaryXs: primaryXs,
-                contrib: contrib,
-                lamFinal: this.lambdaCache.get(isos[n - 1]) || 0
-            });
-        });
+// Cross-section columns of Database_Fixed_Lambdas2.csv. 'max' is the envelope of the evaluations.
+const XS_LIBRARIES = {
+    max: { column: 'Max_XS', label: 'Max of libraries' },
+    endf: { column: 'XS_ENDF_VIII_1', label: 'ENDF/B-VIII.1' },
+    jendl: { column: 'XS_JENDL', label: 'JENDL' },
+    jeff: { column: 'XS_JEFF', label: 'JEFF' }
+};
 
-        return rawResults;
-    }
+class NuclearSolver {
+    constructor(dfXs, dfChain, dfLimits, dfResonance = null, dfIsomers = null) {
+        this.xsMap = new Map();
+        this.decayMap = new Map();
+        this.lambdaCache = new Map();
+        this.sigmaRemovalCache = new Map();
+        this.elementMap = new Map();
+        this.materials = new Map(); // name -> { element, parents: [{A, theta}] }, see setMaterials()
+        this.limitsMap = new Map();
+        this.engine = 'bateman'; // 'bateman' (path enumeration) or 'cram' (matrix exponential)
+        this.library = 'max';
+        this.libraryStats = { evaluated: 0, fallback: 0 };
 
-    _formatResults(rawData) {
-        // Return detailed results preserving pathway information
-        // Sorted by activity descending
-        const detail = rawData
-            .map(item => ({
-                Isotope: item.finalIso,
-                Activity: item.finalAtoms * item.lamFinal,
-                Atoms: item.finalAtoms,
-                XS: item.primaryXs,
-                Pathway: item.pathStr,
-                Contribution: item.contrib
-            }))
-            .filter(d => d.Activity > 1e-20) // Filter negligible activities
-            .sort((a, b) => b.Activity - a.Activity);
+        // Raw tables are kept so the maps can be rebuilt for another XS library.
+        // dfChainImport holds chain rows imported from decay data files, see setImportedChains().
+        this._sources = { dfXs, dfChain, dfResonance, dfIsomers, dfChainImport: [] };
 
-        return detail;
+        this._rebuildMaps();
+        this._buildLimits(dfLimits);
     }
-    // =========================================================================
-    // WASTE COMPLIANCE
-    // =========================================================================
 
     /**
-     * Calculates compliance against Exemption or Clearance limits.
-     * @param {Object} impurities Map of { Symbol: ppm }
-     * @param {string|null} mainElement Symbol of main element (optional)
-     * @param {number} mainMassG Mass of the main element/sample
-     * @param {number} flux Neutron flux
-     * @param {number} timeS Irradiation time in seconds
-     * @param {number} coolS Cooling time in seconds
-     * @param {number} wasteMassG Total mass of the waste container
-     * @param {string} limitType 'clearance' or 'exemption'
+     * Select the cross-section library and rebuild the solver maps from its column.
+     * @param {'max'|'endf'|'jendl'|'jeff'} library
      */
-    calculateWasteCompliance(impurities, mainElement, mainMassG, flux, timeS, coolS, wasteMassG, limitType = 'clearance') {
-        const inventoryTotal = new Map();
+    setLibrary(library) {
+        if (!XS_LIBRARIES[library]) throw new Error(`Unknown XS library: ${library}`);
+        if (library === this.library) return;
 
-        // 1. Prepare list of elements to simulate
-        const elementsToSim = { ...impurities };
-        if (mainElement) {
-            // Treat main element as 1,000,000 ppm (pure)
-            elementsToSim[mainElement] = 1000000.0;
-        }
+        this.library = library;
+        this._rebuildMaps();
+    }
 
-        // 2. Iterate and Solve
-        Object.entries(elementsToSim).forEach(([sym, ppm]) => {
-            const symClean = (sym || '').toString().trim();
-            if (!symClean) return;
+    /**
+     * Replace the imported decay chains (rows in the format of BaseDatos_Cadenas_Completas.csv,
+     * e.g. from DecayDataImport.js) and rebuild the solver maps. Every parent present in the
+     * import replaces its local chain entries; a parent marked 'stable' loses them.
+     */
+    setImportedChains(rows) {
+        this._sources.dfChainImport = rows || [];
+        this._rebuildMaps();
+    }
 
-            // Calculate active mass of this element in the sample
-            // If it's the main element, we take the full mass (or adjusted by purity if we wanted to be strict)
-            // Logic form python: if main_elem, mass is mainMassG. Else ppm calculation.
-            let massInput = 0;
-            if (mainElement && symClean.toLowerCase() === mainElement.toLowerCase()) {
-                massInput = mainMassG;
-            } else {
-                massInput = (ppm * mainMassG) / 1e6;
-            }
+    _rebuildMaps() {
+        this.xsMap = new Map();
+        this.decayMap = new Map();
+        this.lambdaCache = new Map();
+        this.sigmaRemovalCache = new Map();
+        this.elementMap = new Map();
 
-            if (massInput <= 0) return;
+        const { dfXs, dfChain, dfResonance, dfIsomers, dfChainImport } = this._sources;
+        this._buildMaps(dfXs, dfChain);
+        this._applyIsomericTransitions(dfIsomers);
+        this._applyImportedChains(dfChainImport);
+        this._applyResonanceIntegrals(dfResonance);
+        this._applyIsomericRatios();
+    }
 
-            // Solve for this element
-            // We use solveElement because it handles natural abundance of all parents for us
-            const resList = this.solveElement(symClean, massInput, flux, timeS, coolS);
+    /**
+     * Decay branches of metastable states from Isomeric_Transitions.csv (Isomer, Half_Life_s,
+     * Mode, Daughter, Branching_Ratio). IT feeds the ground state; the other modes bypass it.
+     * Branches already in the chain table are kept, and the half-life only fills a missing λ.
+     */
+    _applyIsomericTransitions(dfIsomers) {
+        if (!dfIsomers || !Array.isArray(dfIsomers)) return;
+        dfIsomers.forEach(row => {
+            const isomer = parseIsotopeClean((row.Isomer || '').toString());
+            const daughter = parseIsotopeClean((row.Daughter || '').toString());
+            const br = parseFloat(row.Branching_Ratio) || 0;
+            if (!isomer.symbol || !isomer.metastable || !daughter.symbol) return;
+            const mKey = getUniqueId(isomer.symbol, isomer.massNumber, isomer.metastable);
+            const dKey = getUniqueId(daughter.symbol, daughter.massNumber, daughter.metastable);
+
+            const halfLife = parseFloat(row.Half_Life_s);
+            if (!this.lambdaCache.has(mKey) && halfLife > 0) this._setLambda(mKey, Math.LN2 / halfLife);
+
+            if (!(br > 0)) return;
+            if (!this.decayMap.has(mKey)) this.decayMap.set(mKey, []);
+            const branches = this.decayMap.get(mKey);
+            if (branches.some(d => d.child === dKey)) return;
+            branches.push({ child: dKey, br: br, type: (row.Mode || 'decay').toString().trim() });
+        });
+    }
 
-            resList.forEach(res => {
-                const current = inventoryTotal.get(res.Isotope) || 0;
-                inventoryTotal.set(res.Isotope, current + res.Activity);
+    /**
+     * Split (n,γ) capture between the ground state and the isomer. The n,g rows of the
+     * database hold the total capture cross section and the n,g1 rows the isomer partial,
+     * so the ground-state partial is σγ − σm and the resonance integral is shared with
+     * the isomeric ratio IR = σm/σγ. Stores rx.isomericRatio on the isomer reaction.
+     */
+    _applyIsomericRatios() {
+        this.xsMap.forEach((reactions, target) => {
+            const toIsomer = new Map();
+            reactions.forEach(rx => {
+                if (rx.type !== 'n,g1') return;
+                // Duplicated evaluations of the same isomer: keep the largest
+                const kept = toIsomer.get(rx.child);
+                if (!kept || rx.sigma > kept.sigma) toIsomer.set(rx.child, rx);
+            });
+            if (toIsomer.size === 0) return;
+
+            const kept = new Set(toIsomer.values());
+            const list = reactions.filter(rx => rx.type !== 'n,g1' || kept.has(rx));
+            toIsomer.forEach((rxM, isomer) => {
+                const rxG = list.find(rx => rx.type === 'n,g' && rx.child === isomer.replace(/m\d*$/, ''));
+                if (!rxG) return;
+                const total = rxG.partialCapture ? rxG.sigma + rxM.sigma : rxG.sigma;
+                const ir = total > 0 ? Math.min(rxM.sigma / total, 1) : 0;
+                rxM.sigma = ir * total;
+                rxM.isomericRatio = ir;
+                rxG.sigma = total - rxM.sigma;
+                if (rxG.ri > 0 && !(rxM.ri > 0)) {
+                    rxM.ri = ir * rxG.ri;
+                    rxM.er = rxG.er;
+                    rxG.ri *= 1 - ir;
+                }
             });
+            this.xsMap.set(target, list);
+            this.sigmaRemovalCache.set(target, list.reduce((sum, rx) => sum + rx.sigma, 0));
         });
+    }
 
-        // 3. Compare Results against Limits
-        const results = [];
-        let sumFractions = 0.0;
-        let dominantIsotope = null;
-        let maxFraction = -1;
-
-        inventoryTotal.forEach((totalBq, iso) => {
-            const limit = this.getLimit(iso, limitType);
+    _applyImportedChains(rows) {
+        const byParent = new Map();
+        (rows || []).forEach(row => {
+            const parent = parseIsotopeClean((row.Padre_Isotopo || '').toString());
+            if (!parent.symbol) return;
+            const pKey = getUniqueId(parent.symbol, parent.massNumber, parent.metastable);
+            if (!byParent.has(pKey)) byParent.set(pKey, []);
+            byParent.get(pKey).push(row);
+        });
 
-            // Skip if no limit or negligible activity
-            if (limit >= 1e90 || totalBq < 1e-20) return;
-
-            const specAct = (wasteMassG > 0) ? (totalBq / wasteMassG) : 0;
-            const fraction = (limit > 0) ? (specAct / limit) : 0;
-
-            sumFractions += fraction;
-            // Identify dominant isotope for clearance time calculation
-            if (fraction > maxFraction) {
-                maxFraction = fraction;
-                dominantIsotope = iso;
+        byParent.forEach((list, pKey) => {
+            this.decayMap.delete(pKey);
+            if (list.every(row => row.Modo_Decay === 'stable')) {
+                this.lambdaCache.delete(pKey);
+                return;
             }
-
-            results.push({
-                Isotope: iso,
-                ActivityTotal: totalBq,
-                SpecAct: specAct,
-                Limit: limit,
-                Fraction: fraction
+            list.forEach(row => {
+                if (row.Padre_Lambda) this._setLambda(pKey, row.Padre_Lambda);
+                const child = parseIsotopeClean((row.Hijo_Isotopo || '').toString());
+                const br = parseFloat(row.Branching_Ratio) || 0;
+                if (!child.symbol || !(br > 0)) return;
+                const hKey = getUniqueId(child.symbol, child.massNumber, child.metastable);
+                if (row.Hijo_Lambda) this._setLambda(hKey, row.Hijo_Lambda);
+                if (!this.decayMap.has(pKey)) this.decayMap.set(pKey, []);
+                this.decayMap.get(pKey).push({ child: hKey, br: br, type: row.Modo_Decay || 'decay' });
             });
         });
+        this._fillLambdasFromHalfLives(null, rows);
+    }
 
-        // Sort by fraction descending
-        results.sort((a, b) => b.Fraction - a.Fraction);
-
-        // 4. Calculate Compliance & Clearance Time
-        const isCompliant = sumFractions <= 1.0;
-        let daysToClear = 0;
-
-        if (!isCompliant && dominantIsotope) {
-            const lam = this.lambdaCache.get(dominantIsotope) || 0;
-            if (lam > 0) {
-                // T = -ln(1 / Sum) / lambda
-                // If Sum > 1, we need to decay until Sum' <= 1
-                // Assuming roughly that all decay with the dominant half-life (standard conservative approx)
-                try {
-                    const tSec = -Math.log(1.0 / sumFractions) / lam;
-                    daysToClear = tSec / SECONDS_PER_DAY;
-                } catch (e) {
-                    daysToClear = -1; // Infinite/Error
-                }
-            } else {
-                daysToClear = -1; // Infinite (stable/long-lived)
-            }
+    /**
+     * Cross section of a database row for the active library. Reactions the library
+     * does not evaluate (empty cell) fall back to Max_XS and are counted in libraryStats.
+     */
+    _readSigma(row) {
+        const column = XS_LIBRARIES[this.library].column;
+        const raw = (row[column] === undefined || row[column] === null) ? '' : row[column].toString().trim();
+        if (column === 'Max_XS' || raw !== '') {
+            this.libraryStats.evaluated++;
+            return parseFloat(raw) || 0;
         }
+        this.libraryStats.fallback++;
+        return parseFloat(row.Max_XS) || 0;
+    }
 
-        return {
-            results,
-            summary: {
-                sumIndex: sumFractions,
-                isCompliant,
-                daysToClear, // -1 means "infinite" or > 100 years
-                totalActivity: inventoryTotal
-            }
-        };
+    /**
+     * True when the active value of an n,g row is its Max_XS and that is clearly below every
+     * evaluated library: the row then holds the ground-state partial rather than total capture.
+     */
+    _isPartialCapture(row) {
+        const column = XS_LIBRARIES[this.library].column;
+        const own = (row[column] || '').toString().trim();
+        if (column !== 'Max_XS' && own !== '') return false;
+        const values = ['endf', 'jendl', 'jeff']
+            .map(lib => parseFloat(row[XS_LIBRARIES[lib].column]))
+            .filter(v => v > 0);
+        return values.length > 0 && parseFloat(row.Max_XS) < 0.99 * Math.min(...values);
     }
 
-    // =========================================================================
-    // MAX PPM (REVERSE LIMITS)
-    // =========================================================================
+    /**
+     * Relative standard deviation of the evaluated libraries for a database row,
+     * or null when fewer than two libraries give a value.
+     */
+    _librarySpread(row) {
+        const values = ['endf', 'jendl', 'jeff']
+            .map(lib => parseFloat(row[XS_LIBRARIES[lib].column]))
+            .filter(v => v > 0);
+        if (values.length < 2) return null;
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        const variance = values.reduce((a, v) => a + (v - mean) * (v - mean), 0) / (values.length - 1);
+        return Math.sqrt(variance) / mean;
+    }
 
     /**
-     * Calculates the maximum allowed PPM for a list of elements.
+     * Attach resonance integrals (I0, effective resonance energy Er) to the matching
+     * reactions in xsMap. Rows are keyed by target Symbol, A and Reaction label.
      */
+    _applyResonanceIntegrals(dfResonance) {
+        if (!dfResonance || !Array.isArray(dfResonance)) return;
+        dfResonance.forEach(row => {
+            const pSym = (row.Symbol || '').toString().trim();
+            const pA = parseInt(row.A, 10) || 0;
+            const reaction = (row.Reaction || 'n,g').toString().trim();
+            const ri = parseFloat(row.I0_barn);
+            const er = parseFloat(row.Er_eV);
+            if (!pSym || !(ri > 0)) return;
+
+            const reactions = this.xsMap.get(getUniqueId(pSym, pA, '')) || [];
+            reactions.forEach(rx => {
+                if (rx.type !== reaction) return;
+                rx.ri = ri;
+                rx.er = (er > 0) ? er : 0;
+            });
+        });
+    }
+
     /**
-     * Calculates the maximum allowed PPM for a list of elements.
-     * @param {string[]} elementsList List of element symbols
-     * @param {number} flux
-     * @param {number} timeS
-     * @param {number} coolS
-     * @param {number} wasteMassG
-     * @param {number} sampleMassG
-     * @param {string} limitType 'clearance' or 'exemption'
-     * @param {Object} fractions Map { Symbol: FractionDecimal } (default 1.0)
-     * @param {Object} wasteFractions Map { Symbol: WasteFractionDecimal } (default 1.0)
+     * Resonance integral corrected for a non-ideal 1/E^(1+α) epithermal spectrum
+     * (Høgdahl convention, 1/v part taken as 0.429·σ0 above the 0.55 eV Cd cut-off).
      */
-    calculateMaxPPM(elementsList, flux, timeS, coolS, wasteMassG, sampleMassG, limitType = 'clearance', fractions = {}, wasteFractions = {}) {
-        const rows = [];
-        const uniqueElements = [...new Set(elementsList.map(e => (e || '').toString().trim()).filter(x => x))];
+    _resonanceIntegral(rx, alpha = 0) {
+        if (!(rx.ri > 0)) return 0;
+        if (!alpha || !(rx.er > 0)) return rx.ri;
+        const oneOverV = 0.429 * rx.sigma;
+        return (rx.ri - oneOverV) / Math.pow(rx.er, alpha)
+            + oneOverV / ((2 * alpha + 1) * Math.pow(0.55, alpha));
+    }
 
-        uniqueElements.forEach(elemSym => {
-            // Get user params for this element
-            const f_elem = fractions[elemSym] !== undefined ? fractions[elemSym] : 1.0;
-            const f_waste = wasteFractions[elemSym] !== undefined ? wasteFractions[elemSym] : 1.0;
+    /**
+     * Reaction rate per target atom [1/s]: σ0·φth + I0(α)·φepi, with φepi = φth / f.
+     * @param {Object} rx xsMap entry
+     * @param {number|Object} flux Thermal flux or a schedule segment { flux, f, alpha }
+     */
+    getReactionRate(rx, flux) {
+        const seg = (typeof flux === 'object' && flux !== null) ? flux : { flux: flux };
+        let rate = rx.sigma * seg.flux;
+        if (seg.f > 0) {
+            rate += this._resonanceIntegral(rx, seg.alpha) * (seg.flux / seg.f);
+        }
+        return rate * BARN_TO_CM2;
+    }
 
-            // 1. Solve for 1 gram of this element, WITHOUT MERGING parents
-            const solutions = this.solveElement(elemSym, 1.0, flux, timeS, coolS, false);
+    _buildLimits(dfLimits) {
+        if (!dfLimits || !Array.isArray(dfLimits)) return;
+        dfLimits.forEach(row => {
+            const iso = (row.Isotope || row['Nuclide'] || '').toString().trim();
+            // Standardize ID format if needed, but the primary key is usually 'Eu-152'
+            // Ensure robust key matching
+            if (iso) {
+                // Ensure we parse exponents correctly if they are strings
+                const cleanFloat = (v) => {
+                    if (typeof v === 'number') return v;
+                    if (!v) return 1e99;
+                    return parseFloat(v.replace(',', '.'));
+                };
 
-            if (!solutions || solutions.length === 0) return;
+                this.limitsMap.set(iso, {
+                    clearance: cleanFloat(row.Limit_Clearance_Bq_g),
+                    exemption: cleanFloat(row.Limit_Exemption_Bq_g)
+                });
+            }
+        });
+    }
 
-            // 2. Calculate F_d0 for each isotope and total
-            let sumFd0 = 0.0;
-            const contribs = [];
+    _setLambda(isoKey, val) {
+        try {
+            const v = parseFloat(val);
+            if (v > 1e-40) {
+                this.lambdaCache.set(isoKey, v);
+            }
+        } catch (e) { }
+    }
 
-            solutions.forEach(res => {
-                const limit = this.getLimit(res.Isotope, limitType);
-                if (limit >= 1e90 || res.Activity < 1e-20) return;
+    _buildMaps(dfXs, dfChain) {
+        this.libraryStats = { evaluated: 0, fallback: 0 };
 
-                // F_d0 = Specific Activity (Bq/g_element) / Limit
-                const F_d0 = res.Activity / limit;
-                sumFd0 += F_d0;
+        // Activation
+        if (dfXs && dfXs.length > 0) {
+            dfXs.forEach(row => {
+                const pSym = (row.Symbol || '').toString().trim();
+                const pA = parseInt(row.A, 10) || 0;
+                const pKey = getUniqueId(pSym, pA, '');
 
-                contribs.push({
-                    isotope: res.Isotope,
-                    parent: res.Parent,
-                    path: res.Pathway,
-                    activity: res.Activity,
-                    limit: limit,
-                    fd0: F_d0
-                });
-            });
+                const daughter = parseIsotopeClean((row.Daughter_Isotope || '').toString());
+                const dKey = getUniqueId(daughter.symbol, daughter.massNumber, daughter.metastable);
 
-            if (sumFd0 <= 1e-30) return;
+                // Store Abundance for Element lookup
+                let theta = parseFloat(row.Abundance);
+                if (!isNaN(theta) && theta > 0) {
+                    if (!this.elementMap.has(pSym)) this.elementMap.set(pSym, []);
+                    const list = this.elementMap.get(pSym);
+                    // Avoid duplicates if multiple reactions exist for same parent
+                    if (!list.some(x => x.A === pA)) {
+                        list.push({ A: pA, theta: theta });
+                    }
+                }
 
-            // 3. Calculate Element-level stats
-            // Formula: Element Limit (g_elem/g_sample) = (Limit_Total / Activity_Total) ???
-            // Python Logic: elem_ppm_max = (1e6 * total_waste_mass) / (total_sample_mass * f_waste * S_E0)
-            // S_E0 = sum(SpecificActivity_i / Limit_i) = sumFd0
+                if (row.Decay_Constant_Lambda) this._setLambda(dKey, row.Decay_Constant_Lambda);
 
-            let elemMaxPPM = Infinity;
-            if (sampleMassG > 0 && f_waste > 1e-9 && sumFd0 > 1e-30) {
-                elemMaxPPM = (1e6 * wasteMassG) / (sampleMassG * f_waste * sumFd0);
-            }
+                const sigma = this._readSigma(row);
+                if (sigma > 0) {
+                    if (!this.xsMap.has(pKey)) this.xsMap.set(pKey, []);
+                    const rx = {
+                        child: dKey, sigma: sigma, type: row.Reaction || 'n,γ', xsRelSd: this._librarySpread(row)
+                    };
+                    if (rx.type === 'n,g' && this._isPartialCapture(row)) rx.partialCapture = true;
+                    this.xsMap.get(pKey).push(rx);
 
-            // Find Dominant Isotope (Limit Iso)
-            const isoSums = new Map();
-            contribs.forEach(c => {
-                isoSums.set(c.isotope, (isoSums.get(c.isotope) || 0) + c.fd0);
-            });
-            let limitIso = '';
-            let maxIsoSum = -1;
-            isoSums.forEach((v, k) => {
-                if (v > maxIsoSum) { maxIsoSum = v; limitIso = k; }
+                    const current = this.sigmaRemovalCache.get(pKey) || 0;
+                    this.sigmaRemovalCache.set(pKey, current + sigma);
+                }
             });
+        }
 
-            // 4. Generate Rows
-            contribs.forEach(c => {
-                const share = (c.fd0 / sumFd0) * 100;
+        // Decay
+        if (dfChain && dfChain.length > 0) {
+            dfChain.forEach(row => {
+                const parent = parseIsotopeClean((row.Padre_Isotopo || '').toString());
+                const pKey = getUniqueId(parent.symbol, parent.massNumber, parent.metastable);
 
-                // Isotope Max PPM (Theoretical constraint if this was the only isotope)
-                // In Python: iso_ppm_by_abund = (d['Abundance (0-1)'] * elem_ppm_max) ... wait, that looks like "PPM contribution"? 
-                // Actually Python logic:
-                // iso_ppm_by_abund = (d['Abundance (0-1)'] * elem_ppm_max)
-                // This seems like what proportion of the PPM is that isotope? 
-                // Let's stick to standard interpretation: Max PPM if constrained by this single pathway?
-                // Python: geomFactor / c.fd0
-                // Let's use: (1e6 * wasteMassG) / (sampleMassG * f_waste * c.fd0) to be consistent
+                const child = parseIsotopeClean((row.Hijo_Isotopo || '').toString());
+                const hKey = getUniqueId(child.symbol, child.massNumber, child.metastable);
 
-                let isoMaxPPM = Infinity;
-                if (sampleMassG > 0 && f_waste > 1e-9 && c.fd0 > 1e-30) {
-                    isoMaxPPM = (1e6 * wasteMassG) / (sampleMassG * f_waste * c.fd0);
+                if (row.Hijo_Lambda) this._setLambda(hKey, row.Hijo_Lambda);
+                if (row.Padre_Lambda) this._setLambda(pKey, row.Padre_Lambda);
+
+                const br = parseFloat(row.Branching_Ratio) || 0;
+                if (br > 0) {
+                    if (!this.decayMap.has(pKey)) this.decayMap.set(pKey, []);
+                    this.decayMap.get(pKey).push({ child: hKey, br: br, type: row.Modo_Decay || 'decay' });
                 }
+            });
+        }
 
-                // Only include significant contributors (> 0.001%)
-                if (share < 0.001) return;
+        this._fillLambdasFromHalfLives(dfXs, dfChain);
+    }
 
-                rows.push({
-                    Element: elemSym,
-                    Parent: c.parent || elemSym,
-                    Reaction: c.path || '',
-                    Isotope: c.isotope,
-                    IsoMaxPPM: isoMaxPPM,
-                    Share: share,
-                    LimitIso: limitIso,
-                    LimitVal: c.limit,
-                    ElemMaxPPM: elemMaxPPM,
-                    WastePct: Math.round(f_waste * 100),
-                    FracPct: Math.round(f_elem * 100)
-                });
-            });
-        });
+    /**
+     * Decay constants the λ columns leave empty (or ≤ 1e-40), taken from the half-life
+     * columns: Half_Life_Seconds_Daughter of the database and Padre_T1_2 / Hijo_T1_2 of the
+     * chain table. Runs after every λ column has been read, so those always take precedence.
+     */
+    _fillLambdasFromHalfLives(dfXs, dfChain) {
+        const fill = (key, halfLife) => {
+            const t = parseHalfLife(halfLife);
+            if (key === 'UNKNOWN' || this.lambdaCache.has(key) || !(t > 0) || !isFinite(t)) return;
+            this._setLambda(key, Math.LN2 / t);
+        };
+        const keyOf = text => {
+            const p = parseIsotopeClean((text || '').toString());
+            return getUniqueId(p.symbol, p.massNumber, p.metastable);
+        };
 
-        // Sort by Element, then by Share descending
-        rows.sort((a, b) => {
-            if (a.Element === b.Element) return b.Share - a.Share;
-            return a.Element.localeCompare(b.Element);
+        (dfXs || []).forEach(row => {
+            const seconds = (row.Half_Life_Seconds_Daughter || '').toString().trim();
+            if (seconds) fill(keyOf(row.Daughter_Isotope), `${seconds} s`);
+        });
+        (dfChain || []).forEach(row => {
+            fill(keyOf(row.Padre_Isotopo), row.Padre_T1_2);
+            fill(keyOf(row.Hijo_Isotopo), row.Hijo_T1_2);
         });
-
-        return rows;
     }
-}
 
-// --- js/app.js ---
-/**
- * app.js
- * The Main Orchestrator for NuclearX Premium.
- * Initializes the store, components, and workers.
- */
+    // =========================================================================
+    // TARGET MATERIALS
+    // =========================================================================
 
+    /**
+     * Register named target materials with a custom isotopic vector (enriched or depleted
+     * targets). A material name is accepted wherever an element symbol is.
+     * @param {Object} materials { name: { element: 'Lu', composition: { 176: 82.0, 175: 18.0 } } }
+     *        Composition values are relative abundances (normalized to 1 here).
+     */
+    setMaterials(materials) {
+        this.materials = new Map();
+        Object.entries(materials || {}).forEach(([name, m]) => {
+            if (!m || !m.element) return;
+            const parents = Object.entries(m.composition || {})
+                .map(([A, value]) => ({ A: parseInt(A, 10), theta: parseFloat(value) }))
+                .filter(p => p.A > 0 && p.theta > 0);
+            const sum = parents.reduce((acc, p) => acc + p.theta, 0);
+            if (sum <= 0) return;
+            parents.forEach(p => { p.theta /= sum; });
+            this.materials.set(name, { element: m.element, parents });
+        });
+    }
 
+    isMaterial(name) {
+        return this.materials.has(name);
+    }
 
+    /**
+     * Element and target isotopes behind an element symbol or material name.
+     * @returns {{element: string, parents: Array<{A: number, theta: number}>, material: string|null}}
+     */
+    _elementParents(name) {
+        const material = this.materials.get(name);
+        if (material) return { element: material.element, parents: material.parents, material: name };
+        return { element: name, parents: this.elementMap.get(name) || [], material: null };
+    }
 
+    /**
+     * Solve a single-isotope target (e.g. 'Lu-176') or a named material. Material rows are
+     * kept per parent so every pathway starts at its target isotope.
+     */
+    solveTarget(target, massG, flux, tIrrS, tCoolS, abundance = 1.0) {
+        if (this.isMaterial(target)) return this.solveElement(target, massG, flux, tIrrS, tCoolS, false);
+        return this.solve(target, massG, flux, tIrrS, tCoolS, abundance);
+    }
 
+    /**
+     * Solve for a generic Element (natural abundance) or a named material (custom abundance)
+     * @param {boolean} merge If true (default), sums activity of identical isotopes from different parents.
+     */
+    solveElement(elementSymbol, totalMassG, flux, tIrrS, tCoolS, merge = true) {
+        const { element, parents, material } = this._elementParents(elementSymbol);
+        if (parents.length === 0) return [];
 
+        let aggregatedResults = [];
 
+        parents.forEach(p => {
+            const massIso = totalMassG * p.theta; // Mass of this specific isotope
+            const pKey = getUniqueId(element, p.A, '');
+            // Solve for this parent
+            // Force abundance=1.0 because we already scaled the mass
+            const res = this.solve(pKey, massIso, flux, tIrrS, tCoolS, 1.0);
 
+            // Tag results with the parent isotope (and material) for traceability
+            const parentLabel = `${element}-${p.A}`;
+            res.forEach(r => {
+                r.Parent = parentLabel;
+                if (material) r.Material = material;
+            });
 
+            aggregatedResults.push(...res);
+        });
 
+        if (!merge) {
+            // Return raw list, but sort by activity
+            return aggregatedResults.sort((a, b) => b.Activity - a.Activity);
+        }
 
+        // Merge identical isotopes
+        const merged = new Map();
+        aggregatedResults.forEach(r => {
+            if (!merged.has(r.Isotope)) {
+                merged.set(r.Isotope, { ...r, Activity: 0, Atoms: 0, Parent: '' });
+            }
+            const exist = merged.get(r.Isotope);
+            exist.Activity += r.Activity;
+            exist.Atoms += r.Atoms;
+            // Keep every contributing parent, e.g. "Lu-175, Lu-176"
+            const parentsSoFar = exist.Parent ? exist.Parent.split(', ') : [];
+            if (!parentsSoFar.includes(r.Parent)) exist.Parent = [...parentsSoFar, r.Parent].join(', ');
+        });
 
+        return Array.from(merged.values()).sort((a, b) => b.Activity - a.Activity);
+    }
 
+    /**
+     * Solve every constituent of a compound or alloy.
+     * @param {Object<string, number>} fractions Element (or material) mass fractions, e.g. from compoundComposition()
+     * @returns {Array} Rows per parent isotope, tagged with Element and Parent
+     */
+    solveCompound(fractions, totalMassG, flux, tIrrS, tCoolS) {
+        const rows = [];
+        Object.entries(fractions).forEach(([sym, w]) => {
+            if (!(w > 0)) return;
+            this.solveElement(sym, totalMassG * w, flux, tIrrS, tCoolS, false).forEach(r => {
+                r.Element = sym;
+                rows.push(r);
+            });
+        });
+        return rows.sort((a, b) => b.Activity - a.Activity);
+    }
 
-class App {
-    constructor() {
-        this.dataLoader = new DataLoader();
-        this.solver = null;
-        this.init();
+    /**
+     * Target nuclides of a compound, as sources for activityTimeSeries().
+     */
+    compoundSources(fractions, totalMassG) {
+        return Object.entries(fractions).flatMap(([sym, w]) => this.elementSources(sym, totalMassG * w));
     }
 
-    async init() {
-        try {
-            // Security Check with Role Support
-            const authResult = await PasswordGate.init();
-            if (!authResult || !authResult.authenticated) return;
+    getLimit(isotope, type = 'exemption') {
+        const lim = this.limitsMap.get(isotope);
+        if (!lim) return 1e99; // Default high limit if not found (or return null?)
+        return (type === 'clearance') ? lim.clearance : lim.exemption;
+    }
 
-            const userRole = authResult.role;
-            console.log(`%c Thermal NAA Tool Initializing (Role: ${userRole}) `, 'background: #0066ff; color: #fff; border-radius: 4px; padding: 2px 8px;');
+    /**
+     * @param {number|Object} flux Thermal flux or a schedule segment { flux, f, alpha }
+     */
+    getRemovalRate(isoKey, flux) {
+        const lam = this.lambdaCache.get(isoKey) || 0;
+        if (typeof flux === 'object' && flux !== null && flux.f > 0) {
+            const reactions = this.xsMap.get(isoKey) || [];
+            return lam + reactions.reduce((sum, rx) => sum + this.getReactionRate(rx, flux), 0);
+        }
+        const phi = (typeof flux === 'object' && flux !== null) ? flux.flux : flux;
+        const sig = this.sigmaRemovalCache.get(isoKey) || 0;
+        return lam + (sig * BARN_TO_CM2 * phi);
+    }
 
-            // Initialize UI
-            this.setupNavigation();
-            this.renderSingleIsotopeForm();
-            this.renderImpurityForm();
-            this.renderWasteForm();
-            this.renderLimitForm();
-            this.setupAutocomplete();
-            this.setupEventListeners();
+    /**
+     * Select the depletion engine used by solve() and everything built on it.
+     * @param {string} engine 'bateman' (linear path enumeration) or 'cram' (matrix exponential)
+     */
+    setEngine(engine) {
+        this.engine = (engine === 'cram') ? 'cram' : 'bateman';
+    }
 
-            // Apply role-based restrictions and show role indicator
-            this.applyRoleRestrictions();
-            this.renderRoleIndicator();
+    /**
+     * Solve the activation of one parent nuclide.
+     * @param {number|Array<{duration: number, flux: number}>} flux Constant flux for the classic
+     *        irradiation + cooling case, or a full irradiation schedule (tIrrS/tCoolS are then ignored)
+     */
+    solve(parentIso, massG, flux, tIrrS, tCoolS, abundance = 1.0, maxDepth = 6) {
+        const schedule = normalizeSchedule(flux, tIrrS, tCoolS);
 
-            this.dataLoader.loadAll()
-                .then(() => {
-                    const state = appStore.getState();
-                    if (state.dataLoaded) {
-                        this.solver = new NuclearSolver(state.xsData, state.chainData, state.limitsData);
-                        // Initialize Search Module with Isotope Data
-                        const isotopeList = this.extractIsotopesFromData(state.xsData);
-                        searchModule.loadIsotopes(isotopeList);
-                        console.log('Math Engine & Search Module Initialized');
-                    }
-                    console.log('App ready');
-                    // Hide any initial loading spinner if applicable
-                })
-                .catch(err => {
-                    console.error('Data loading error:', err);
-                    this.showError('Database Error', `Failed to load nuclear data CSV files. Check if they exist in public/data/. Details: ${err.message}`);
-                });
-        } catch (error) {
-            console.error('Initialization Error:', error);
-            this.showError('Application Error', `Failed to initialize the tool. Details: ${error.message}`);
+        if (this.engine === 'cram') {
+            return this.solveMatrix(parentIso, massG, schedule, 0, 0, abundance);
         }
-    }
 
-    showError(title, msg) {
-        const modal = document.createElement('div');
-        modal.className = 'card';
-        modal.style.cssText = 'position:fixed; top:50%; left:50%; transform:translate(-50%, -50%); z-index:100000; padding:2rem; background:#1a1a3a; border:2px solid #ff6b6b; color:white; max-width:500px; box-shadow:0 0 50px rgba(0,0,0,0.8);';
-        modal.innerHTML = `
-            <h2 style="color:#ff6b6b; margin-top:0;">⚠️ ${title}</h2>
-            <p>${msg}</p>
-            <button onclick="location.reload()" class="btn btn-primary" style="margin-top:1rem; width:100%;">Retry / Refresh</button>
-        `;
-        document.body.appendChild(modal);
+        // Segment 1 starts from the target itself
+        let current = this._coreBatemanStep(
+            parentIso, massG, schedule[0], schedule[0].duration, abundance, maxDepth, ''
+        );
+
+        // Later segments carry the whole inventory forward
+        schedule.slice(1).forEach(seg => {
+            // Collapse pathways per nuclide before re-irradiating, otherwise
+            // every irradiation cycle multiplies the number of paths
+            if (seg.flux > 0) current = this._mergeByNuclide(current);
+
+            const next = [];
+            current.forEach(res => {
+                if (res.finalAtoms < 1e-20) return;
+                // Mass number approx for intermediate mass
+                const match = res.finalIso.match(/(\d+)/);
+                const aVal = match ? parseFloat(match[1]) : 0;
+                const massInput = (res.finalAtoms * aVal) / AVOGADRO;
+
+                const step = this._coreBatemanStep(
+                    res.finalIso, massInput, seg, seg.duration, 1.0, maxDepth, res.pathStr, res
+                );
+                next.push(...step);
+            });
+            current = next;
+        });
+
+        return this._formatResults(current);
     }
 
     /**
-     * Apply role-based restrictions to form inputs.
-     * Basic users can only edit isotope selection inputs.
+     * Sum raw pathway results per final nuclide. The dominant pathway keeps its label.
      */
-    applyRoleRestrictions() {
-        UserRoles.applyRestrictions();
-        console.log(`UserRoles: Applied restrictions for role "${UserRoles.getCurrentRole()}"`);
+    _mergeByNuclide(rawResults) {
+        const merged = new Map();
+        rawResults.forEach(res => {
+            const exist = merged.get(res.finalIso);
+            if (!exist) {
+                merged.set(res.finalIso, { ...res, topAtoms: res.finalAtoms });
+                return;
+            }
+            exist.finalAtoms += res.finalAtoms;
+            if (res.finalAtoms > exist.topAtoms) {
+                exist.topAtoms = res.finalAtoms;
+                exist.pathStr = res.pathStr;
+                exist.primaryXs = res.primaryXs;
+                exist.contrib = res.contrib;
+            }
+        });
+        return Array.from(merged.values());
     }
 
     /**
-     * Add a visual indicator showing the current user role in the header.
+     * @param {Object} seg Schedule segment { flux, f, alpha } applied during this step
+     * @param {Object|null} origin Raw result this step continues from; its first activation
+     *        (XS and contribution) is inherited when the step itself only decays
      */
-    renderRoleIndicator() {
-        const role = UserRoles.getCurrentRole();
-        const displayName = UserRoles.getRoleDisplayName();
+    _coreBatemanStep(parentIso, startMassG, seg, timeS, abundance, maxDepth, pathPrefix, origin = null) {
+        const parent = parseIsotopeClean(parentIso);
+        if (!parent.symbol) return [];
 
-        // Find header actions area
-        const headerActions = document.querySelector('.header-actions');
-        if (!headerActions) return;
+        const startNode = getUniqueId(parent.symbol, parent.massNumber, parent.metastable);
+        const mMol = parseFloat(parent.massNumber) || 1;
+        const n0 = (startMassG * abundance * AVOGADRO) / mMol;
 
-        // Remove existing indicator
-        const existing = document.getElementById('role-indicator');
-        if (existing) existing.remove();
+        const allPaths = [[{ iso: startNode, k: 0, xs: 0, type: 'Start' }]];
+        const stack = [[startNode, [{ iso: startNode, k: 0, xs: 0, type: 'Start' }], 0]];
 
-        // Create role badge
-        const badge = document.createElement('div');
-        badge.id = 'role-indicator';
-        badge.className = 'role-indicator';
-        badge.style.cssText = `
-            display: flex;
-            align-items: center;
-            gap: 6px;
-            padding: 6px 12px;
-            border-radius: 20px;
-            font-size: 0.75rem;
-            font-weight: 600;
-            text-transform: uppercase;
-            letter-spacing: 0.5px;
-            ${role === 'admin'
-                ? 'background: linear-gradient(135deg, #00d4ff, #0099cc); color: #000;'
-                : 'background: rgba(255,255,255,0.1); color: var(--text-secondary); border: 1px solid rgba(255,255,255,0.2);'}
-        `;
-        badge.innerHTML = `
-            <span style="font-size: 0.9em;">${role === 'admin' ? '👑' : '👁️'}</span>
-            <span>${displayName}</span>
-        `;
+        while (stack.length > 0) {
+            const [currIso, currPath, depth] = stack.pop();
+            if (depth >= maxDepth) continue;
 
-        // Insert at beginning of header actions
-        headerActions.insertBefore(badge, headerActions.firstChild);
-    }
+            if (seg.flux > 0 && this.xsMap.has(currIso)) {
+                this.xsMap.get(currIso).forEach(rx => {
+                    if (currPath.some(s => s.iso === rx.child)) return;
+                    const k = this.getReactionRate(rx, seg);
+                    const newPath = [...currPath, { iso: rx.child, k: k, xs: rx.sigma, type: rx.type }];
+                    allPaths.push(newPath);
+                    stack.push([rx.child, newPath, depth + 1]);
+                });
+            }
 
-    setupNavigation() {
-        const tabs = document.querySelectorAll('.nav-tab');
-        tabs.forEach(tab => {
-            tab.addEventListener('click', () => {
-                const target = tab.dataset.tab;
-                appStore.setState({ activeTab: target });
-                this.updateActiveTabs(target);
+            if (this.decayMap.has(currIso)) {
+                const lamP = this.lambdaCache.get(currIso) || 0;
+                if (lamP > 0) {
+                    this.decayMap.get(currIso).forEach(dec => {
+                        if (currPath.some(s => s.iso === dec.child)) return;
+                        const k = lamP * dec.br;
+                        const newPath = [...currPath, { iso: dec.child, k: k, xs: 0, type: 'Decay' }];
+                        allPaths.push(newPath);
+                        stack.push([dec.child, newPath, depth + 1]);
+                    });
+                }
+            }
+        }
+
+        const rawResults = [];
+        allPaths.forEach(path => {
+            const isos = path.map(s => s.iso);
+            const lambdas = isos.map(i => this.getRemovalRate(i, seg));
+            const ks = path.slice(1).map(s => s.k);
+            const n = isos.length;
+            const atomsEnd = ks.every(k => k > 0) ? n0 * batemanChainFraction(lambdas, ks, timeS) : 0;
+
+            if (atomsEnd < 1e-25) return;
+
+            let currentPathStr = '';
+            let primaryXs = origin ? origin.primaryXs : 0;
+            let contrib = origin ? origin.contrib : 'Secondary';
+            let foundFirstActivation = contrib === 'Direct';
+
+            path.slice(1).forEach((step, idx) => {
+                const t = step.type;
+                if (t === 'Decay') {
+                    currentPathStr += ` → ${step.iso}`;
+                } else {
+                    currentPathStr += ` (${t}) ${step.iso}`;
+                    // Capture the XS of the FIRST activation reaction
+                    if (!foundFirstActivation) {
+                        primaryXs = step.xs || 0;
+                        foundFirstActivation = true;
+                        contrib = 'Direct';
+                    }
+                }
+            });
+
+            rawResults.push({
+                finalIso: isos[n - 1],
+                finalAtoms: atomsEnd,
+                pathStr: pathPrefix ? pathPrefix + currentPathStr : isos[0] + currentPathStr,
+                primaryXs: primaryXs,
+                contrib: contrib,
+                lamFinal: this.lambdaCache.get(isos[n - 1]) || 0
             });
         });
-        appStore.subscribe((state) => {
-            this.updateActiveTabs(state.activeTab);
-        });
+
+        return rawResults;
     }
 
-    updateActiveTabs(activeId) {
-        document.querySelectorAll('.nav-tab').forEach(t => t.classList.toggle('active', t.dataset.tab === activeId));
-        document.querySelectorAll('.tab-panel').forEach(p => p.classList.toggle('active', p.id === `tab-${activeId}`));
+    _formatResults(rawData) {
+        // Return detailed results preserving pathway information
+        // Sorted by activity descending
+        const detail = rawData
+            .map(item => ({
+                Isotope: item.finalIso,
+                Activity: item.finalAtoms * item.lamFinal,
+                Atoms: item.finalAtoms,
+                XS: item.primaryXs,
+                Pathway: item.pathStr,
+                Contribution: item.contrib
+            }))
+            .filter(d => d.Activity > 1e-20) // Filter negligible activities
+            .sort((a, b) => b.Activity - a.Activity);
+
+        return detail;
+    }
+    // =========================================================================
+    // MATRIX EXPONENTIAL ENGINE (CRAM-16)
+    // =========================================================================
+
+    /**
+     * Solve the same problem as solve() with a sparse transmutation matrix and CRAM-16.
+     * Every nuclide reachable from the parent is carried at once, so there is no depth
+     * limit, no cycle pruning and no lambda nudging. Returns the same row shape as solve(),
+     * one row per nuclide; Pathway shows the shortest production route.
+     */
+    solveMatrix(parentIso, massG, flux, tIrrS, tCoolS, abundance = 1.0) {
+        const parent = parseIsotopeClean(parentIso);
+        if (!parent.symbol) return [];
+
+        const startNode = getUniqueId(parent.symbol, parent.massNumber, parent.metastable);
+        const mMol = parseFloat(parent.massNumber) || 1;
+        const n0 = (massG * abundance * AVOGADRO) / mMol;
+
+        let keys = [startNode];
+        let atoms = Float64Array.of(n0);
+        const routes = new Map();
+
+        // One matrix exponential per segment, carrying the full inventory
+        normalizeSchedule(flux, tIrrS, tCoolS).forEach(seg => {
+            const step = this._buildTransmutationMatrix(keys, seg);
+            step.routes.forEach((route, iso) => {
+                if (!routes.has(iso)) routes.set(iso, route);
+            });
+
+            const carried = new Float64Array(step.matrix.size);
+            keys.forEach((k, i) => { carried[step.matrix.index.get(k)] = atoms[i]; });
+            atoms = expmCram(step.matrix, carried, seg.duration);
+            keys = step.matrix.keys;
+        });
+
+        return this._formatMatrixResults(startNode, keys, atoms, routes);
+    }
+
+    /**
+     * Breadth-first walk from the seed nuclides through xsMap (if seg.flux > 0) and decayMap.
+     * Producers are inserted before their products, which keeps the matrix nearly triangular.
+     * @returns {{matrix: TransmutationMatrix, routes: Map<string, Object>}} routes holds the
+     *          first-found (shortest) producing step for every nuclide
+     */
+    _buildTransmutationMatrix(seeds, seg) {
+        const matrix = new TransmutationMatrix();
+        const routes = new Map();
+        const queue = [];
+
+        seeds.forEach(key => {
+            if (matrix.has(key)) return;
+            matrix.addNode(key);
+            queue.push(key);
+        });
+
+        while (queue.length > 0) {
+            const iso = queue.shift();
+            matrix.setRemoval(iso, this.getRemovalRate(iso, seg));
+
+            const link = (child, rate, step) => {
+                if (!(rate > 0)) return;
+                const isNew = !matrix.has(child);
+                matrix.addTransfer(iso, child, rate);
+                if (isNew) {
+                    routes.set(child, { from: iso, ...step });
+                    queue.push(child);
+                }
+            };
+
+            if (seg.flux > 0 && this.xsMap.has(iso)) {
+                this.xsMap.get(iso).forEach(rx => {
+                    link(rx.child, this.getReactionRate(rx, seg), { type: rx.type, xs: rx.sigma });
+                });
+            }
+
+            const lamP = this.lambdaCache.get(iso) || 0;
+            if (lamP > 0 && this.decayMap.has(iso)) {
+                this.decayMap.get(iso).forEach(dec => {
+                    link(dec.child, lamP * dec.br, { type: 'Decay', xs: 0 });
+                });
+            }
+        }
+
+        return { matrix, routes };
+    }
+
+    _formatMatrixResults(startNode, keys, atoms, routes) {
+        const rawResults = [];
+
+        keys.forEach((iso, i) => {
+            const n = atoms[i];
+            if (!(n >= 1e-25)) return;
+
+            // Rebuild the shortest production route for display
+            const steps = [];
+            let cursor = iso;
+            while (cursor !== startNode && routes.has(cursor) && steps.length < keys.length) {
+                const step = routes.get(cursor);
+                steps.unshift({ iso: cursor, type: step.type, xs: step.xs });
+                cursor = step.from;
+            }
+
+            let pathStr = startNode;
+            let primaryXs = 0;
+            let contrib = 'Secondary';
+            steps.forEach(step => {
+                if (step.type === 'Decay') {
+                    pathStr += ` → ${step.iso}`;
+                } else {
+                    pathStr += ` (${step.type}) ${step.iso}`;
+                    if (contrib !== 'Direct') {
+                        primaryXs = step.xs || 0;
+                        contrib = 'Direct';
+                    }
+                }
+            });
+
+            rawResults.push({
+                finalIso: iso,
+                finalAtoms: n,
+                pathStr: pathStr,
+                primaryXs: primaryXs,
+                contrib: contrib,
+                lamFinal: this.lambdaCache.get(iso) || 0
+            });
+        });
+
+        return this._formatResults(rawResults);
+    }
+
+    // =========================================================================
+    // ACTIVITY VS TIME
+    // =========================================================================
+
+    /**
+     * Target nuclides of an element at natural abundance (or of a named material),
+     * as sources for activityTimeSeries().
+     * @returns {Array<{iso: string, massG: number}>}
+     */
+    elementSources(elementSymbol, totalMassG) {
+        const { element, parents } = this._elementParents(elementSymbol);
+        return parents.map(p => ({
+            iso: getUniqueId(element, p.A, ''),
+            massG: totalMassG * p.theta
+        }));
+    }
+
+    /**
+     * Atoms per nuclide key for a list of { iso, massG } sources.
+     * @returns {Map<string, number>}
+     */
+    _initialInventory(sources) {
+        const initial = new Map();
+        sources.forEach(src => {
+            const parent = parseIsotopeClean(src.iso);
+            if (!parent.symbol || !(src.massG > 0)) return;
+            const key = getUniqueId(parent.symbol, parent.massNumber, parent.metastable);
+            const n0 = (src.massG * AVOGADRO) / (parseFloat(parent.massNumber) || 1);
+            initial.set(key, (initial.get(key) || 0) + n0);
+        });
+        return initial;
+    }
+
+    /**
+     * Carry a full inventory through a schedule with the matrix exponential.
+     * @param {Map<string, number>} initial Atoms per nuclide at t = 0
+     * @param {Function} stepsFor seg => number of equal sub-steps for that segment
+     * @param {Function|null} onStep (t, keys, atoms) called after every sub-step
+     * @returns {{keys: string[], atoms: Float64Array}} Inventory at the end, stable nuclides included
+     */
+    _evolveInventory(initial, schedule, stepsFor = () => 1, onStep = null) {
+        let keys = Array.from(initial.keys());
+        let atoms = Float64Array.from(keys.map(k => initial.get(k)));
+
+        let t = 0;
+        schedule.forEach(seg => {
+            if (!(seg.duration > 0)) return;
+            const { matrix } = this._buildTransmutationMatrix(keys, seg);
+            const carried = new Float64Array(matrix.size);
+            keys.forEach((k, i) => { carried[matrix.index.get(k)] = atoms[i]; });
+            keys = matrix.keys;
+            atoms = carried;
+
+            const steps = Math.max(1, stepsFor(seg));
+            const dt = seg.duration / steps;
+            for (let i = 0; i < steps; i++) {
+                atoms = expmCram(matrix, atoms, dt);
+                t += dt;
+                if (onStep) onStep(t, keys, atoms);
+            }
+        });
+
+        return { keys, atoms };
+    }
+
+    /**
+     * Whole-inventory activity on a time grid spanning the irradiation schedule and cooling.
+     * The inventory is stepped with the matrix exponential, so ingrowth (e.g. Lu-177m → Lu-177)
+     * and every nuclide are carried regardless of the selected engine.
+     * @param {Array<{iso: string, massG: number}>} sources Initial target nuclides
+     * @param {number|Array} flux Neutron flux, or an irradiation schedule (see Schedule.js)
+     * @param {Object} options
+     * @param {number} options.points Approximate number of grid points (default 80)
+     * @param {number} options.extraCoolingS Decay time appended after the schedule (default 0)
+     * @param {number} options.maxSeries Nuclides returned as separate series (default 8)
+     * @returns {{times: number[], eob: number, total: number[], series: Array<{Isotope: string, values: number[]}>}}
+     *          times in seconds from the start of irradiation, activities in Bq
+     */
+    activityTimeSeries(sources, flux, tIrrS, tCoolS, options = {}) {
+        const points = options.points || 80;
+        const maxSeries = options.maxSeries || 8;
+        const schedule = normalizeSchedule(flux, tIrrS, tCoolS);
+        if (options.extraCoolingS > 0) schedule.push(createSegment(options.extraCoolingS, 0, 'Cooling'));
+
+        const totalS = scheduleDuration(schedule);
+        const eob = endOfBombardment(schedule);
+
+        const times = [0];
+        const snapshots = [new Map()];
+
+        // Every segment gets a few points so short irradiations stay visible next to long cooling
+        const stepsFor = seg => Math.max(8, Math.round(points * seg.duration / (totalS || 1)));
+        this._evolveInventory(this._initialInventory(sources), schedule, stepsFor, (t, keys, atoms) => {
+            const snap = new Map();
+            keys.forEach((iso, i) => {
+                const a = atoms[i] * (this.lambdaCache.get(iso) || 0);
+                if (a > 1e-20) snap.set(iso, a);
+            });
+            times.push(t);
+            snapshots.push(snap);
+        });
+
+        // Rank nuclides by peak activity over the grid
+        const peaks = new Map();
+        snapshots.forEach(snap => snap.forEach((a, iso) => {
+            if (a > (peaks.get(iso) || 0)) peaks.set(iso, a);
+        }));
+        const top = Array.from(peaks.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, maxSeries)
+            .map(([iso]) => iso);
+
+        return {
+            times,
+            eob,
+            total: snapshots.map(snap => Array.from(snap.values()).reduce((a, b) => a + b, 0)),
+            series: top.map(iso => ({ Isotope: iso, values: snapshots.map(snap => snap.get(iso) || 0) }))
+        };
+    }
+
+    /**
+     * Activity per nuclide after each cooling time: the schedule is evolved to EOB once and
+     * that inventory is decayed to every point.
+     * @returns {{keys: string[], snapshots: Array<Map<string, number>>}} Nuclides of the EOB
+     *          inventory, and activity [Bq] per nuclide for each cooling time
+     */
+    _coolingSnapshots(sources, flux, tIrrS, tCoolS, coolingTimesS) {
+        const schedule = coolingSchedule(normalizeSchedule(flux, tIrrS, tCoolS), 0);
+        const eob = this._evolveInventory(this._initialInventory(sources), schedule);
+        const atEob = new Map(eob.keys.map((k, i) => [k, eob.atoms[i]]));
+
+        const snapshots = coolingTimesS.map(t => {
+            const { keys, atoms } = t > 0
+                ? this._evolveInventory(atEob, [createSegment(t, 0, 'Cooling')])
+                : eob;
+            const activity = new Map();
+            keys.forEach((iso, i) => activity.set(iso, atoms[i] * (this.lambdaCache.get(iso) || 0)));
+            return activity;
+        });
+        return { keys: eob.keys, snapshots };
+    }
+
+    /**
+     * Inventory after each cooling time after EOB (e.g. for decay heat over cooling).
+     * @param {Array<{iso: string, massG: number}>} sources Initial target nuclides
+     * @param {number|Array} flux Neutron flux, or an irradiation schedule (see Schedule.js)
+     * @param {number[]} coolingTimesS Cooling times after EOB [s] (0 = EOB)
+     * @returns {Array<Array<{Isotope: string, Activity: number}>>} Active nuclides per cooling time
+     */
+    coolingActivities(sources, flux, tIrrS, tCoolS, coolingTimesS) {
+        return this._coolingSnapshots(sources, flux, tIrrS, tCoolS, coolingTimesS).snapshots
+            .map(activity => Array.from(activity, ([Isotope, Activity]) => ({ Isotope, Activity }))
+                .filter(r => r.Activity > 1e-20));
+    }
+
+    /**
+     * Metastable and ground-state activities of every isomer pair in the inventory (both
+     * radioactive), at EOB
+     * and after the given cooling times. IT ingrowth of the ground state is included.
+     * @param {Array<{iso: string, massG: number}>} sources Initial target nuclides
+     * @param {number|Array} flux Neutron flux, or an irradiation schedule (see Schedule.js)
+     * @param {number[]} coolingTimesS Cooling times after EOB [s] (0 = EOB)
+     * @returns {Array<{Isomer: string, Ground: string, ITBranch: number, IsomericRatio: number|null,
+     *          points: Array<{t: number, Isomer: number, Ground: number, Ratio: number|null}>}>}
+     *          Activities in Bq, Ratio = A(isomer)/A(ground); sorted by the largest activity of the pair
+     */
+    isomerEvolution(sources, flux, tIrrS, tCoolS, coolingTimesS) {
+        const { keys: eobKeys, snapshots } = this._coolingSnapshots(sources, flux, tIrrS, tCoolS, coolingTimesS);
+
+        const pairs = [];
+        eobKeys.forEach(isomer => {
+            const ground = isomer.replace(/m\d*$/, '');
+            // Pairs with a stable ground state have no ratio to report
+            if (ground === isomer || !(this.lambdaCache.get(isomer) > 0) || !(this.lambdaCache.get(ground) > 0)) return;
+
+            const points = coolingTimesS.map((t, i) => {
+                const a = snapshots[i].get(isomer) || 0;
+                const g = snapshots[i].get(ground) || 0;
+                return { t, Isomer: a, Ground: g, Ratio: g > 0 ? a / g : null };
+            });
+            const peak = Math.max(...points.map(p => Math.max(p.Isomer, p.Ground)));
+            if (!(peak > 0) || !points.some(p => p.Isomer > 0)) return;
+
+            const it = (this.decayMap.get(isomer) || [])
+                .filter(d => d.child === ground)
+                .reduce((sum, d) => sum + d.br, 0);
+            // Isomeric ratio of the direct capture route, if the inventory has its target
+            const route = sources
+                .map(src => parseIsotopeClean(src.iso))
+                .flatMap(p => this.xsMap.get(getUniqueId(p.symbol, p.massNumber, p.metastable)) || [])
+                .find(rx => rx.child === isomer && rx.isomericRatio !== undefined);
+
+            pairs.push({
+                Isomer: isomer,
+                Ground: ground,
+                ITBranch: it,
+                IsomericRatio: route ? route.isomericRatio : null,
+                points,
+                peak
+            });
+        });
+
+        return pairs
+            .sort((a, b) => b.peak - a.peak)
+            .map(({ peak, ...pair }) => pair);
+    }
+
+    // =========================================================================
+    // PRODUCT REPORT (SPECIFIC ACTIVITY / CARRIER)
+    // =========================================================================
+
+    /**
+     * Specific activity, carrier content and target burn-up at the end of the schedule.
+     * Element mass counts every isotope of the product's element left in the sample
+     * (unreacted target, stable carrier and the product itself).
+     * @param {Array<{iso: string, massG: number}>} sources Initial target nuclides
+     * @param {number|Array} flux Neutron flux, or an irradiation schedule (see Schedule.js)
+     * @param {number} maxProducts Number of products (by activity) to report
+     * @returns {{targets: Array<{Isotope: string, InitialAtoms: number, FinalAtoms: number, BurnUp: number}>,
+     *            products: Array<{Isotope: string, Element: string, Activity: number, ElementMassG: number,
+     *            SpecificActivity: number, CarrierFreeSA: number, Ratio: number}>}}
+     *          Specific activities in Bq per gram of element
+     */
+    productReport(sources, flux, tIrrS, tCoolS, maxProducts = 8) {
+        const schedule = normalizeSchedule(flux, tIrrS, tCoolS);
+        const initial = this._initialInventory(sources);
+        const { keys, atoms } = this._evolveInventory(initial, schedule);
+
+        const final = new Map();
+        keys.forEach((iso, i) => final.set(iso, atoms[i]));
+
+        const massNumber = iso => parseFloat((iso.match(/-(\d+)/) || [])[1]) || 0;
+        const symbolOf = iso => iso.split('-')[0];
+
+        const elementMass = new Map();
+        final.forEach((n, iso) => {
+            const sym = symbolOf(iso);
+            elementMass.set(sym, (elementMass.get(sym) || 0) + (n * massNumber(iso)) / AVOGADRO);
+        });
+
+        // Burn-up counts neutron absorption only, so in-growth from lighter isotopes does not hide it
+        const targets = Array.from(initial.entries()).map(([iso, n0]) => {
+            const lam = this.lambdaCache.get(iso) || 0;
+            const exposure = schedule.reduce((sum, seg) => sum + (this.getRemovalRate(iso, seg) - lam) * seg.duration, 0);
+            return { Isotope: iso, InitialAtoms: n0, FinalAtoms: final.get(iso) || 0, BurnUp: 1 - Math.exp(-exposure) };
+        });
+
+        const products = [];
+        final.forEach((n, iso) => {
+            const lam = this.lambdaCache.get(iso) || 0;
+            const activity = n * lam;
+            if (!(activity > 1e-20)) return;
+            const a = massNumber(iso) || 1;
+            const sym = symbolOf(iso);
+            const elemMassG = elementMass.get(sym) || 0;
+            const specificActivity = elemMassG > 0 ? activity / elemMassG : 0;
+            const carrierFreeSA = (lam * AVOGADRO) / a;
+            products.push({
+                Isotope: iso,
+                Element: sym,
+                Activity: activity,
+                ElementMassG: elemMassG,
+                SpecificActivity: specificActivity,
+                CarrierFreeSA: carrierFreeSA,
+                Ratio: carrierFreeSA > 0 ? specificActivity / carrierFreeSA : 0
+            });
+        });
+        products.sort((x, y) => y.Activity - x.Activity);
+
+        return { targets, products: products.slice(0, maxProducts) };
+    }
+
+    /**
+     * Run the same scenario through both engines and compare activity per nuclide.
+     * @returns {Array<{Isotope: string, Bateman: number, Cram: number, RelDiff: number}>}
+     */
+    compareEngines(parentIso, massG, flux, tIrrS, tCoolS, abundance = 1.0) {
+        const previous = this.engine;
+        const byIso = new Map();
+        const collect = (rows, field) => {
+            rows.forEach(r => {
+                if (!byIso.has(r.Isotope)) byIso.set(r.Isotope, { Isotope: r.Isotope, Bateman: 0, Cram: 0 });
+                byIso.get(r.Isotope)[field] += r.Activity;
+            });
+        };
+
+        try {
+            this.setEngine('bateman');
+            collect(this.solveTarget(parentIso, massG, flux, tIrrS, tCoolS, abundance), 'Bateman');
+            this.setEngine('cram');
+            collect(this.solveTarget(parentIso, massG, flux, tIrrS, tCoolS, abundance), 'Cram');
+        } finally {
+            this.engine = previous;
+        }
+
+        return Array.from(byIso.values())
+            .map(r => {
+                const ref = Math.max(r.Bateman, r.Cram);
+                return { ...r, RelDiff: ref > 0 ? (r.Cram - r.Bateman) / ref : 0 };
+            })
+            .sort((a, b) => Math.max(b.Bateman, b.Cram) - Math.max(a.Bateman, a.Cram));
+    }
+
+    /**
+     * Run the same scenario with each evaluated library (ENDF/B-VIII.1, JENDL, JEFF) and
+     * report the activity spread per nuclide. The active library is restored afterwards.
+     * @returns {{rows: Array<{Isotope: string, endf: number, jendl: number, jeff: number, Spread: number}>,
+     *            coverage: Object<string, {evaluated: number, fallback: number}>}}
+     */
+    compareLibraries(parentIso, massG, flux, tIrrS, tCoolS, abundance = 1.0) {
+        const previous = this.library;
+        const libraries = ['endf', 'jendl', 'jeff'];
+        const byIso = new Map();
+        const coverage = {};
+
+        try {
+            libraries.forEach(lib => {
+                this.setLibrary(lib);
+                coverage[lib] = { ...this.libraryStats };
+                this.solveTarget(parentIso, massG, flux, tIrrS, tCoolS, abundance).forEach(r => {
+                    if (!byIso.has(r.Isotope)) byIso.set(r.Isotope, { Isotope: r.Isotope, endf: 0, jendl: 0, jeff: 0 });
+                    byIso.get(r.Isotope)[lib] += r.Activity;
+                });
+            });
+        } finally {
+            this.setLibrary(previous);
+        }
+
+        const rows = Array.from(byIso.values())
+            .map(r => {
+                const values = libraries.map(lib => r[lib]);
+                const hi = Math.max(...values);
+                const lo = Math.min(...values);
+                return { ...r, Spread: hi > 0 ? (hi - lo) / hi : 0 };
+            })
+            .sort((a, b) => Math.max(b.endf, b.jendl, b.jeff) - Math.max(a.endf, a.jendl, a.jeff));
+
+        return { rows, coverage };
+    }
+
+    // =========================================================================
+    // WASTE COMPLIANCE
+    // =========================================================================
+
+    /**
+     * Calculates compliance against Exemption or Clearance limits.
+     * @param {Object} impurities Map of { Symbol: ppm }
+     * @param {string|null} mainElement Symbol of main element (optional)
+     * @param {number} mainMassG Mass of the main element/sample
+     * @param {number|Array} flux Neutron flux, or an irradiation schedule (see Schedule.js)
+     * @param {number} timeS Irradiation time in seconds
+     * @param {number} coolS Cooling time in seconds
+     * @param {number} wasteMassG Total mass of the waste container
+     * @param {string} limitType 'clearance' or 'exemption'
+     * @param {Function} onProgress Optional (done, total, element), called before each element is solved
+     */
+    calculateWasteCompliance(impurities, mainElement, mainMassG, flux, timeS, coolS, wasteMassG, limitType = 'clearance', onProgress = null) {
+        const inventoryTotal = new Map();
+
+        // 1. Prepare list of elements to simulate
+        const elementsToSim = { ...impurities };
+        if (mainElement) {
+            // Treat main element as 1,000,000 ppm (pure)
+            elementsToSim[mainElement] = 1000000.0;
+        }
+
+        // 2. Iterate and Solve
+        const entries = Object.entries(elementsToSim);
+        entries.forEach(([sym, ppm], i) => {
+            const symClean = (sym || '').toString().trim();
+            if (!symClean) return;
+            if (onProgress) onProgress(i, entries.length, symClean);
+
+            // Calculate active mass of this element in the sample
+            // If it's the main element, we take the full mass (or adjusted by purity if we wanted to be strict)
+            // Logic form python: if main_elem, mass is mainMassG. Else ppm calculation.
+            let massInput = 0;
+            if (mainElement && symClean.toLowerCase() === mainElement.toLowerCase()) {
+                massInput = mainMassG;
+            } else {
+                massInput = (ppm * mainMassG) / 1e6;
+            }
+
+            if (massInput <= 0) return;
+
+            // Solve for this element
+            // We use solveElement because it handles natural abundance of all parents for us
+            const resList = this.solveElement(symClean, massInput, flux, timeS, coolS);
+
+            resList.forEach(res => {
+                const current = inventoryTotal.get(res.Isotope) || 0;
+                inventoryTotal.set(res.Isotope, current + res.Activity);
+            });
+        });
+
+        // 3. Compare Results against Limits
+        const results = [];
+        let sumFractions = 0.0;
+        let dominantIsotope = null;
+        let maxFraction = -1;
+
+        inventoryTotal.forEach((totalBq, iso) => {
+            const limit = this.getLimit(iso, limitType);
+
+            // Skip if no limit or negligible activity
+            if (limit >= 1e90 || totalBq < 1e-20) return;
+
+            const specAct = (wasteMassG > 0) ? (totalBq / wasteMassG) : 0;
+            const fraction = (limit > 0) ? (specAct / limit) : 0;
+
+            sumFractions += fraction;
+            // Identify dominant isotope for clearance time calculation
+            if (fraction > maxFraction) {
+                maxFraction = fraction;
+                dominantIsotope = iso;
+            }
+
+            results.push({
+                Isotope: iso,
+                ActivityTotal: totalBq,
+                SpecAct: specAct,
+                Limit: limit,
+                Fraction: fraction
+            });
+        });
+
+        // Sort by fraction descending
+        results.sort((a, b) => b.Fraction - a.Fraction);
+
+        // 4. Calculate Compliance & Clearance Time
+        const isCompliant = sumFractions <= 1.0;
+        let daysToClear = 0;
+
+        if (!isCompliant && dominantIsotope) {
+            const lam = this.lambdaCache.get(dominantIsotope) || 0;
+            if (lam > 0) {
+                // T = -ln(1 / Sum) / lambda
+                // If Sum > 1, we need to decay until Sum' <= 1
+                // Assuming roughly that all decay with the dominant half-life (standard conservative approx)
+                try {
+                    const tSec = -Math.log(1.0 / sumFractions) / lam;
+                    daysToClear = tSec / SECONDS_PER_DAY;
+                } catch (e) {
+                    daysToClear = -1; // Infinite/Error
+                }
+            } else {
+                daysToClear = -1; // Infinite (stable/long-lived)
+            }
+        }
+
+        return {
+            results,
+            summary: {
+                sumIndex: sumFractions,
+                isCompliant,
+                daysToClear, // -1 means "infinite" or > 100 years
+                totalActivity: inventoryTotal
+            }
+        };
+    }
+
+    // =========================================================================
+    // MAX PPM (REVERSE LIMITS)
+    // =========================================================================
+
+    /**
+     * Calculates the maximum allowed PPM for a list of elements.
+     */
+    /**
+     * Calculates the maximum allowed PPM for a list of elements.
+     * @param {string[]} elementsList List of element symbols
+     * @param {number|Array} flux Neutron flux, or an irradiation schedule (see Schedule.js)
+     * @param {number} timeS
+     * @param {number} coolS
+     * @param {number} wasteMassG
+     * @param {number} sampleMassG
+     * @param {string} limitType 'clearance' or 'exemption'
+     * @param {Object} fractions Map { Symbol: FractionDecimal } (default 1.0)
+     * @param {Object} wasteFractions Map { Symbol: WasteFractionDecimal } (default 1.0)
+     * @param {Function} onProgress Optional (done, total, element), called before each element is solved
+     */
+    calculateMaxPPM(elementsList, flux, timeS, coolS, wasteMassG, sampleMassG, limitType = 'clearance', fractions = {}, wasteFractions = {}, onProgress = null) {
+        const rows = [];
+        const uniqueElements = [...new Set(elementsList.map(e => (e || '').toString().trim()).filter(x => x))];
+
+        uniqueElements.forEach((elemSym, i) => {
+            if (onProgress) onProgress(i, uniqueElements.length, elemSym);
+            // Get user params for this element
+            const f_elem = fractions[elemSym] !== undefined ? fractions[elemSym] : 1.0;
+            const f_waste = wasteFractions[elemSym] !== undefined ? wasteFractions[elemSym] : 1.0;
+
+            // 1. Solve for 1 gram of this element, WITHOUT MERGING parents
+            const solutions = this.solveElement(elemSym, 1.0, flux, timeS, coolS, false);
+
+            if (!solutions || solutions.length === 0) return;
+
+            // 2. Calculate F_d0 for each isotope and total
+            let sumFd0 = 0.0;
+            const contribs = [];
+
+            solutions.forEach(res => {
+                const limit = this.getLimit(res.Isotope, limitType);
+                if (limit >= 1e90 || res.Activity < 1e-20) return;
+
+                // F_d0 = Specific Activity (Bq/g_element) / Limit
+                const F_d0 = res.Activity / limit;
+                sumFd0 += F_d0;
+
+                contribs.push({
+                    isotope: res.Isotope,
+                    parent: res.Parent,
+                    path: res.Pathway,
+                    activity: res.Activity,
+                    limit: limit,
+                    fd0: F_d0
+                });
+            });
+
+            if (sumFd0 <= 1e-30) return;
+
+            // 3. Calculate Element-level stats
+            // Formula: Element Limit (g_elem/g_sample) = (Limit_Total / Activity_Total) ???
+            // Python Logic: elem_ppm_max = (1e6 * total_waste_mass) / (total_sample_mass * f_waste * S_E0)
+            // S_E0 = sum(SpecificActivity_i / Limit_i) = sumFd0
+
+            let elemMaxPPM = Infinity;
+            if (sampleMassG > 0 && f_waste > 1e-9 && sumFd0 > 1e-30) {
+                elemMaxPPM = (1e6 * wasteMassG) / (sampleMassG * f_waste * sumFd0);
+            }
+
+            // Find Dominant Isotope (Limit Iso)
+            const isoSums = new Map();
+            contribs.forEach(c => {
+                isoSums.set(c.isotope, (isoSums.get(c.isotope) || 0) + c.fd0);
+            });
+            let limitIso = '';
+            let maxIsoSum = -1;
+            isoSums.forEach((v, k) => {
+                if (v > maxIsoSum) { maxIsoSum = v; limitIso = k; }
+            });
+
+            // 4. Generate Rows
+            contribs.forEach(c => {
+                const share = (c.fd0 / sumFd0) * 100;
+
+                // Isotope Max PPM (Theoretical constraint if this was the only isotope)
+                // In Python: iso_ppm_by_abund = (d['Abundance (0-1)'] * elem_ppm_max) ... wait, that looks like "PPM contribution"? 
+                // Actually Python logic:
+                // iso_ppm_by_abund = (d['Abundance (0-1)'] * elem_ppm_max)
+                // This seems like what proportion of the PPM is that isotope? 
+                // Let's stick to standard interpretation: Max PPM if constrained by this single pathway?
+                // Python: geomFactor / c.fd0
+                // Let's use: (1e6 * wasteMassG) / (sampleMassG * f_waste * c.fd0) to be consistent
+
+                let isoMaxPPM = Infinity;
+                if (sampleMassG > 0 && f_waste > 1e-9 && c.fd0 > 1e-30) {
+                    isoMaxPPM = (1e6 * wasteMassG) / (sampleMassG * f_waste * c.fd0);
+                }
+
+                // Only include significant contributors (> 0.001%)
+                if (share < 0.001) return;
+
+                rows.push({
+                    Element: elemSym,
+                    Parent: c.parent || elemSym,
+                    Reaction: c.path || '',
+                    Isotope: c.isotope,
+                    IsoMaxPPM: isoMaxPPM,
+                    Share: share,
+                    LimitIso: limitIso,
+                    LimitVal: c.limit,
+                    ElemMaxPPM: elemMaxPPM,
+                    WastePct: Math.round(f_waste * 100),
+                    FracPct: Math.round(f_elem * 100)
+                });
+            });
+        });
+
+        // Sort by Element, then by Share descending
+        rows.sort((a, b) => {
+            if (a.Element === b.Element) return b.Share - a.Share;
+            return a.Element.localeCompare(b.Element);
+        });
+
+        return rows;
+    }
+}
+
+// --- js/engine/Uncertainty.js ---
+/**
+ * Uncertainty.js
+ * Monte Carlo uncertainty propagation for NuclearSolver results.
+ * Each iteration samples cross sections, decay constants and isotopic abundances of
+ * natural elements and target materials (lognormal, mean 1), reruns the scenario and
+ * collects the outputs. Element mass fractions and ppm are part of the scenario and stay exact.
+ * Pure math, no DOM access.
+ */
+
+const DEFAULT_UNCERTAINTY = {
+    iterations: 200,
+    xsRelSd: 0.10,          // used when the libraries give no spread for a reaction
+    useLibrarySpread: true, // ENDF / JENDL / JEFF spread as the XS uncertainty
+    lambdaRelSd: 0.01,
+    abundanceRelSd: 0.01,
+    seed: 12345
+};
+
+/**
+ * Small seeded PRNG (mulberry32) so a run can be reproduced.
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const pos = (sorted.length - 1) * p;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+class MonteCarlo {
+    /**
+     * @param {NuclearSolver} solver Solver whose maps are perturbed (restored after each run)
+     * @param {Object} options See DEFAULT_UNCERTAINTY
+     */
+    constructor(solver, options = {}) {
+        this.solver = solver;
+        this.options = { ...DEFAULT_UNCERTAINTY, ...options };
+        this.random = createRandom(this.options.seed);
+        this._spare = null;
+    }
+
+    _gaussian() {
+        if (this._spare !== null) {
+            const v = this._spare;
+            this._spare = null;
+            return v;
+        }
+        let u = 0;
+        while (u === 0) u = this.random();
+        const v = this.random();
+        const r = Math.sqrt(-2 * Math.log(u));
+        this._spare = r * Math.sin(2 * Math.PI * v);
+        return r * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Multiplicative factor with mean 1 and the given relative standard deviation.
+     */
+    _factor(relSd) {
+        if (!(relSd > 0)) return 1;
+        const s2 = Math.log(1 + relSd * relSd);
+        return Math.exp(Math.sqrt(s2) * this._gaussian() - s2 / 2);
+    }
+
+    /**
+     * Isotope lists of the natural elements and of the registered target materials.
+     */
+    _isotopeVectors() {
+        const s = this.solver;
+        return [...s.elementMap.values(), ...Array.from(s.materials.values(), m => m.parents)];
+    }
+
+    _snapshot() {
+        const s = this.solver;
+        const reactions = [];
+        s.xsMap.forEach(list => list.forEach(rx => reactions.push({ rx, sigma: rx.sigma, ri: rx.ri })));
+        const abundances = [];
+        this._isotopeVectors().forEach(list => list.forEach(item => abundances.push({ item, theta: item.theta })));
+        return {
+            reactions,
+            abundances,
+            lambdas: new Map(s.lambdaCache),
+            removal: new Map(s.sigmaRemovalCache)
+        };
+    }
+
+    _restore(snap) {
+        const s = this.solver;
+        snap.reactions.forEach(({ rx, sigma, ri }) => {
+            rx.sigma = sigma;
+            if (ri !== undefined) rx.ri = ri;
+        });
+        snap.abundances.forEach(({ item, theta }) => { item.theta = theta; });
+        s.lambdaCache = new Map(snap.lambdas);
+        s.sigmaRemovalCache = new Map(snap.removal);
+    }
+
+    /**
+     * Draw one perturbed data set into the solver maps.
+     */
+    _perturb(snap) {
+        const s = this.solver;
+        const o = this.options;
+
+        // Resonance integral follows the thermal XS of the same reaction
+        snap.reactions.forEach(({ rx, sigma, ri }) => {
+            const relSd = (o.useLibrarySpread && rx.xsRelSd > 0) ? rx.xsRelSd : o.xsRelSd;
+            const f = this._factor(relSd);
+            rx.sigma = sigma * f;
+            if (ri !== undefined) rx.ri = ri * f;
+        });
+        s.sigmaRemovalCache = new Map();
+        s.xsMap.forEach((list, key) => {
+            s.sigmaRemovalCache.set(key, list.reduce((sum, rx) => sum + rx.sigma, 0));
+        });
+
+        s.lambdaCache = new Map();
+        snap.lambdas.forEach((lam, key) => s.lambdaCache.set(key, lam * this._factor(o.lambdaRelSd)));
+
+        // Keep each element's (or material's) abundance sum unchanged
+        this._isotopeVectors().forEach(list => {
+            const nominal = list.reduce((sum, item) => sum + item.theta, 0);
+            list.forEach(item => { item.theta *= this._factor(o.abundanceRelSd); });
+            const sampled = list.reduce((sum, item) => sum + item.theta, 0);
+            if (sampled > 0) list.forEach(item => { item.theta *= nominal / sampled; });
+        });
+    }
+
+    /**
+     * Run a scenario N times on sampled data.
+     * @param {Function} scenario () => raw solver output
+     * @param {Function} extract raw output => Map<string, number> of quantities to track
+     * @param {Function} onProgress (done, total, label) before each iteration; may throw to stop
+     * @returns {{iterations: number, stats: Array<{Key: string, Nominal: number, Mean: number, SD: number, P2_5: number, P97_5: number}>}}
+     */
+    run(scenario, extract, onProgress = null) {
+        const nominal = extract(scenario());
+        const samples = new Map();
+        nominal.forEach((v, key) => samples.set(key, []));
+
+        const snap = this._snapshot();
+        const n = Math.max(1, Math.floor(this.options.iterations));
+        try {
+            for (let i = 0; i < n; i++) {
+                if (onProgress) onProgress(i, n, 'Iteration');
+                this._perturb(snap);
+                const values = extract(scenario());
+                samples.forEach((list, key) => list.push(values.get(key) || 0));
+                this._restore(snap);
+            }
+        } finally {
+            this._restore(snap);
+        }
+
+        const stats = [];
+        samples.forEach((list, key) => {
+            const mean = list.reduce((a, b) => a + b, 0) / list.length;
+            const variance = list.length > 1
+                ? list.reduce((a, v) => a + (v - mean) * (v - mean), 0) / (list.length - 1)
+                : 0;
+            const sorted = [...list].sort((a, b) => a - b);
+            stats.push({
+                Key: key,
+                Nominal: nominal.get(key),
+                Mean: mean,
+                SD: Math.sqrt(variance),
+                P2_5: percentile(sorted, 0.025),
+                P97_5: percentile(sorted, 0.975)
+            });
+        });
+
+        return { iterations: n, stats };
+    }
+
+    /**
+     * Activity per nuclide for a solve()/solveElement() style scenario returning result rows.
+     */
+    activities(scenario, onProgress = null) {
+        const result = this.run(scenario, rows => {
+            const byIso = new Map();
+            rows.forEach(r => byIso.set(r.Isotope, (byIso.get(r.Isotope) || 0) + r.Activity));
+            return byIso;
+        }, onProgress);
+        result.stats.sort((a, b) => b.Nominal - a.Nominal);
+        return result;
+    }
+
+    /**
+     * Sum index and per-nuclide fractions for a calculateWasteCompliance() scenario.
+     */
+    wasteSumIndex(scenario, onProgress = null) {
+        const result = this.run(scenario, res => {
+            const values = new Map([['Sum index', res.summary.sumIndex]]);
+            res.results.forEach(r => values.set(r.Isotope, r.Fraction));
+            return values;
+        }, onProgress);
+        result.stats.sort((a, b) => (a.Key === 'Sum index' ? -1 : b.Key === 'Sum index' ? 1 : b.Nominal - a.Nominal));
+        return result;
+    }
+
+    /**
+     * Element max-ppm for a calculateMaxPPM() scenario.
+     */
+    maxPPM(scenario, onProgress = null) {
+        return this.run(scenario, rows => {
+            const byElem = new Map();
+            rows.forEach(r => {
+                if (isFinite(r.ElemMaxPPM)) byElem.set(r.Element, r.ElemMaxPPM);
+            });
+            return byElem;
+        }, onProgress);
+    }
+}
+
+// --- js/engine/Sensitivity.js ---
+/**
+ * Sensitivity.js
+ * Local sensitivity analysis for NuclearSolver results.
+ * Every cross section, decay constant and branching ratio on the contributing
+ * pathways is perturbed by ±h and the normalized coefficient S = (dR/R) / (dX/X)
+ * is reported per output quantity.
+ * Pure math, no DOM access.
+ */
+
+// Splits "Co-59 (n,g) Co-60 → Ni-60" into [iso, link, iso, link, iso]
+const PATH_LINK = / (→|\([^)]*\)) /;
+
+class SensitivityAnalysis {
+    /**
+     * @param {NuclearSolver} solver Solver whose maps are perturbed (restored after each run)
+     * @param {Object} options
+     * @param {number} options.relStep Relative perturbation h (default 1%)
+     * @param {number} options.threshold Coefficients with |S| below this are dropped
+     */
+    constructor(solver, options = {}) {
+        this.solver = solver;
+        this.relStep = options.relStep || 0.01;
+        this.threshold = options.threshold !== undefined ? options.threshold : 1e-3;
+    }
+
+    /**
+     * Nuclear data entries used on the pathways of the given result rows.
+     * @param {Array<{Pathway: string}>} rows Rows from solve()/solveElement()
+     * @returns {Array<{label: string, kind: string, apply: Function, restore: Function}>}
+     */
+    collectParameters(rows) {
+        const s = this.solver;
+        const params = new Map();
+
+        const addLambda = (iso) => {
+            const id = `lambda|${iso}`;
+            if (params.has(id) || !s.lambdaCache.has(iso)) return;
+            const nominal = s.lambdaCache.get(iso);
+            params.set(id, {
+                label: `λ(${iso})`,
+                kind: 'Decay constant',
+                apply: f => s.lambdaCache.set(iso, nominal * f),
+                restore: () => s.lambdaCache.set(iso, nominal)
+            });
+        };
+
+        const addReaction = (from, type, to) => {
+            const id = `xs|${from}|${type}|${to}`;
+            if (params.has(id)) return;
+            const rx = (s.xsMap.get(from) || []).find(r => r.child === to && r.type === type);
+            if (!rx) return;
+            const sigma = rx.sigma;
+            const ri = rx.ri;
+            const removal = s.sigmaRemovalCache.get(from) || 0;
+            params.set(id, {
+                label: `σ(${from} ${type} → ${to})`,
+                kind: 'Cross section',
+                apply: f => {
+                    rx.sigma = sigma * f;
+                    if (ri !== undefined) rx.ri = ri * f;
+                    s.sigmaRemovalCache.set(from, removal + sigma * (f - 1));
+                },
+                restore: () => {
+                    rx.sigma = sigma;
+                    if (ri !== undefined) rx.ri = ri;
+                    s.sigmaRemovalCache.set(from, removal);
+                }
+            });
+        };
+
+        const addBranch = (from, to) => {
+            const id = `br|${from}|${to}`;
+            if (params.has(id)) return;
+            const entry = (s.decayMap.get(from) || []).find(d => d.child === to);
+            if (!entry || entry.br >= 1) return; // a single decay mode carries no branching uncertainty
+            const br = entry.br;
+            params.set(id, {
+                label: `BR(${from} → ${to})`,
+                kind: 'Branching ratio',
+                apply: f => { entry.br = br * f; },
+                restore: () => { entry.br = br; }
+            });
+        };
+
+        rows.forEach(row => {
+            const parts = (row.Pathway || '').split(PATH_LINK);
+            for (let i = 0; i < parts.length; i += 2) {
+                addLambda(parts[i]);
+                if (i + 2 >= parts.length) break;
+                const link = parts[i + 1];
+                if (link === '→') addBranch(parts[i], parts[i + 2]);
+                else addReaction(parts[i], link.slice(1, -1), parts[i + 2]);
+            }
+        });
+
+        return Array.from(params.values());
+    }
+
+    /**
+     * Central-difference coefficients for every parameter and output.
+     * @param {Function} scenario () => raw solver output
+     * @param {Function} extract raw output => Map<string, number>
+     * @param {Array} parameters From collectParameters()
+     * @param {Function} onProgress (done, total, parameter) before each parameter; may throw to stop
+     * @returns {{parameters: number, outputs: Array<{Output: string, Nominal: number,
+     *            Coefficients: Array<{Parameter: string, Kind: string, S: number}>}>}}
+     */
+    run(scenario, extract, parameters, onProgress = null) {
+        const h = this.relStep;
+        const nominal = extract(scenario());
+        const coefficients = new Map();
+        nominal.forEach((v, key) => coefficients.set(key, []));
+
+        parameters.forEach((p, i) => {
+            if (onProgress) onProgress(i, parameters.length, p.label);
+            let up;
+            let down;
+            try {
+                p.apply(1 + h);
+                up = extract(scenario());
+                p.apply(1 - h);
+                down = extract(scenario());
+            } finally {
+                p.restore();
+            }
+
+            nominal.forEach((r0, key) => {
+                if (!(r0 > 0)) return;
+                const S = ((up.get(key) || 0) - (down.get(key) || 0)) / (2 * h * r0);
+                if (Math.abs(S) < this.threshold) return;
+                coefficients.get(key).push({ Parameter: p.label, Kind: p.kind, S });
+            });
+        });
+
+        const outputs = [];
+        coefficients.forEach((list, key) => {
+            list.sort((a, b) => Math.abs(b.S) - Math.abs(a.S));
+            outputs.push({ Output: key, Nominal: nominal.get(key), Coefficients: list });
+        });
+
+        return { parameters: parameters.length, outputs };
+    }
+
+    /**
+     * Sensitivity of each nuclide's activity for a solve()/solveElement() style scenario.
+     */
+    activities(scenario) {
+        const rows = scenario();
+        const result = this.run(scenario, out => {
+            const byIso = new Map();
+            out.forEach(r => byIso.set(r.Isotope, (byIso.get(r.Isotope) || 0) + r.Activity));
+            return byIso;
+        }, this.collectParameters(rows));
+        result.outputs.sort((a, b) => b.Nominal - a.Nominal);
+        return result;
+    }
+
+    /**
+     * Sensitivity of the sum index and of each nuclide's limit fraction for
+     * calculateWasteCompliance() (same arguments, onProgress per perturbed parameter).
+     */
+    wasteCompliance(impurities, mainElement, mainMassG, flux, timeS, coolS, wasteMassG, limitType = 'clearance', onProgress = null) {
+        const s = this.solver;
+        const elements = Object.keys(impurities);
+        if (mainElement && !elements.includes(mainElement)) elements.push(mainElement);
+
+        // Pathways that end in a nuclide with a limit
+        const rows = [];
+        elements.forEach(sym => {
+            s.solveElement(sym, 1.0, flux, timeS, coolS, false).forEach(r => {
+                if (s.getLimit(r.Isotope, limitType) < 1e90) rows.push(r);
+            });
+        });
+
+        const scenario = () => s.calculateWasteCompliance(
+            impurities, mainElement, mainMassG, flux, timeS, coolS, wasteMassG, limitType
+        );
+        const result = this.run(scenario, res => {
+            const values = new Map([['Sum index', res.summary.sumIndex]]);
+            res.results.forEach(r => values.set(r.Isotope, r.Fraction));
+            return values;
+        }, this.collectParameters(rows), onProgress);
+        result.outputs.sort((a, b) => (a.Output === 'Sum index' ? -1 : b.Output === 'Sum index' ? 1 : b.Nominal - a.Nominal));
+        return result;
+    }
+}
+
+// --- js/engine/GoalSeek.js ---
+/**
+ * GoalSeek.js
+ * Inverse solver on top of NuclearSolver.solve: find the target mass, irradiation time
+ * or flux that yields a requested product activity at a given cooling time.
+ * Pure math, no DOM access.
+ */
+
+
+
+const YEAR_S = 365.25 * 86400;
+
+// Search ranges for the free parameter
+const TIME_RANGE_S = [60, 100 * YEAR_S];
+const FLUX_RANGE = [1e8, 1e17];
+
+class GoalSeek {
+    /**
+     * @param {NuclearSolver} solver
+     */
+    constructor(solver) {
+        this.solver = solver;
+    }
+
+    /**
+     * Activity of one product nuclide for the given parameters [Bq].
+     */
+    productActivity(p, overrides = {}) {
+        const q = { ...p, ...overrides };
+        const irradiation = normalizeSchedule(q.flux, q.tIrrS, q.tCoolS, q.spectrum || {});
+        return this.solver.solveTarget(q.parentIso, q.massG, irradiation, q.tIrrS, q.tCoolS, q.abundance || 1.0)
+            .filter(r => r.Isotope === q.product)
+            .reduce((sum, r) => sum + r.Activity, 0);
+    }
+
+    /**
+     * Solve for the free parameter.
+     * @param {Object} p Scenario: { parentIso, product, targetBq, variable: 'mass'|'time'|'flux',
+     *        massG, flux, tIrrS, tCoolS, abundance, spectrum }. The field named by `variable` is ignored.
+     * @returns {{variable: string, value: number|null, achievedBq: number, maxBq: number,
+     *            saturationBq: number, saturationFraction: number, reachable: boolean, message: string}}
+     */
+    solve(p) {
+        if (!(p.targetBq > 0)) throw new Error('Target activity must be positive');
+
+        if (p.variable === 'mass') return this._solveMass(p);
+        if (p.variable === 'time') return this._solveMonotone(p, 'tIrrS', TIME_RANGE_S);
+        if (p.variable === 'flux') return this._solveMonotone(p, 'flux', FLUX_RANGE);
+        throw new Error(`Unknown goal-seek variable: ${p.variable}`);
+    }
+
+    /**
+     * Activity of the free parameter on a log grid.
+     */
+    _scan(p, field, [lo, hi], steps = 40) {
+        const grid = [];
+        const ratio = Math.pow(hi / lo, 1 / steps);
+        for (let i = 0, x = lo; i <= steps; i++, x *= ratio) {
+            grid.push({ x, a: this.productActivity(p, { [field]: x }) });
+        }
+        return grid;
+    }
+
+    /**
+     * Highest activity any irradiation time gives with the other parameters fixed.
+     * Without burn-up this is the classic saturation activity; with target burn-up it is
+     * the peak of the build-up curve.
+     */
+    _saturation(p) {
+        const grid = this._scan(p, 'tIrrS', TIME_RANGE_S);
+        let best = 0;
+        grid.forEach((g, i) => { if (g.a > grid[best].a) best = i; });
+        if (best === 0 || best === grid.length - 1) return grid[best].a;
+
+        // Golden-section refinement of the peak between the neighbouring grid points (log scale)
+        const act = (u) => this.productActivity(p, { tIrrS: Math.exp(u) });
+        const phi = (Math.sqrt(5) - 1) / 2;
+        let a = Math.log(grid[best - 1].x);
+        let b = Math.log(grid[best + 1].x);
+        let c = b - phi * (b - a);
+        let d = a + phi * (b - a);
+        let fc = act(c);
+        let fd = act(d);
+        for (let i = 0; i < 30; i++) {
+            if (fc > fd) {
+                b = d; d = c; fd = fc;
+                c = b - phi * (b - a); fc = act(c);
+            } else {
+                a = c; c = d; fc = fd;
+                d = a + phi * (b - a); fd = act(d);
+            }
+        }
+        return Math.max(grid[best].a, fc, fd);
+    }
+
+    _result(p, value, achievedBq, maxBq, saturationBq) {
+        const reachable = value !== null;
+        const saturationFraction = saturationBq > 0 ? p.targetBq / saturationBq : Infinity;
+        let message;
+        if (!reachable) {
+            message = `Target not reachable: at most ${maxBq.toExponential(3)} Bq of ${p.product} with the fixed parameters.`;
+        } else if (saturationFraction >= 0.9) {
+            message = `Reachable, but at ${(saturationFraction * 100).toFixed(1)}% of saturation: longer irradiation gains little.`;
+        } else {
+            message = `Reachable at ${(saturationFraction * 100).toFixed(1)}% of saturation.`;
+        }
+        return {
+            variable: p.variable,
+            value,
+            achievedBq: achievedBq,
+            maxBq,
+            saturationBq,
+            saturationFraction,
+            reachable,
+            message
+        };
+    }
+
+    // Activity is linear in target mass
+    _solveMass(p) {
+        const perGram = this.productActivity(p, { massG: 1.0 });
+        if (!(perGram > 0)) return this._result(p, null, 0, 0, 0);
+
+        const massG = p.targetBq / perGram;
+        const saturationBq = this._saturation({ ...p, massG });
+        return this._result(p, massG, perGram * massG, Infinity, saturationBq);
+    }
+
+    /**
+     * Scan the free parameter on a log grid, then bisect the first bracket that crosses
+     * the target. Burn-up can make activity peak and fall again, so the scan also
+     * yields the maximum reachable activity and the first (shortest / lowest) solution is kept.
+     */
+    _solveMonotone(p, field, range) {
+        const grid = this._scan(p, field, range);
+        const saturationBq = field === 'tIrrS' ? this._saturation(p) : null;
+        const maxBq = field === 'tIrrS' ? saturationBq : Math.max(...grid.map(g => g.a));
+
+        const idx = grid.findIndex(g => g.a >= p.targetBq);
+        if (idx < 0) {
+            return this._result(p, null, maxBq, maxBq, saturationBq !== null ? saturationBq : this._saturation(p));
+        }
+
+        let value = grid[idx].x;
+        let achieved = grid[idx].a;
+        if (idx > 0) {
+            let a = grid[idx - 1].x;
+            let b = grid[idx].x;
+            for (let i = 0; i < 60 && b / a > 1 + 1e-9; i++) {
+                const mid = Math.sqrt(a * b);
+                const act = this.productActivity(p, { [field]: mid });
+                if (act >= p.targetBq) {
+                    b = mid;
+                    achieved = act;
+                } else {
+                    a = mid;
+                }
+            }
+            value = b;
+        }
+
+        const sat = saturationBq !== null ? saturationBq : this._saturation({ ...p, [field]: value });
+        return this._result(p, value, achieved, maxBq, sat);
+    }
+}
+
+// --- js/engine/DoseRate.js ---
+/**
+ * DoseRate.js
+ * Unshielded point-source ambient dose equivalent rate H*(10) from a solved inventory.
+ * Photon fluence rate A·y / (4π r²) per gamma line, converted with the ICRP 74
+ * fluence-to-H*(10) coefficients (log-log interpolation). Air attenuation and
+ * scatter are neglected, which is conservative at the distances of interest.
+ * Pure math, no DOM access.
+ */
+
+
+
+// ICRP 74 Table A.21: photon energy [MeV] -> H*(10)/Φ [pSv·cm²]
+const H10_PER_FLUENCE = [
+    [0.010, 0.061], [0.015, 0.83], [0.020, 1.05], [0.030, 0.81], [0.040, 0.64],
+    [0.050, 0.55], [0.060, 0.51], [0.080, 0.53], [0.100, 0.61], [0.150, 0.89],
+    [0.200, 1.20], [0.300, 1.80], [0.400, 2.38], [0.500, 2.93], [0.600, 3.44],
+    [0.800, 4.38], [1.0, 5.20], [1.5, 6.90], [2.0, 8.60], [3.0, 11.1],
+    [4.0, 13.4], [5.0, 15.5], [6.0, 17.6], [8.0, 21.6], [10.0, 25.6]
+];
+
+const PSV_TO_SV = 1e-12;
+const SECONDS_PER_HOUR = 3600;
+
+/**
+ * H*(10) per unit photon fluence at energy E [MeV], in pSv·cm².
+ */
+function h10PerFluence(energyMeV) {
+    const table = H10_PER_FLUENCE;
+    if (!(energyMeV > 0)) return 0;
+    if (energyMeV <= table[0][0]) return table[0][1];
+    if (energyMeV >= table[table.length - 1][0]) return table[table.length - 1][1];
+
+    const i = table.findIndex(([e]) => e >= energyMeV);
+    const [e0, h0] = table[i - 1];
+    const [e1, h1] = table[i];
+    const t = Math.log(energyMeV / e0) / Math.log(e1 / e0);
+    return Math.exp(Math.log(h0) + t * Math.log(h1 / h0));
+}
+
+class DoseRate {
+    /**
+     * @param {Array<Object>} gammaRows Rows of Gamma_Lines.csv (Isotope, Energy_keV, Yield, Note).
+     *        A row with no energy marks a nuclide without gamma emission (pure β, EC X-rays only).
+     */
+    constructor(gammaRows) {
+        this.lines = new Map(); // nuclide key -> [{ energyKeV, yield }]
+
+        (gammaRows || []).forEach(row => {
+            const p = parseIsotopeClean((row.Isotope || '').toString());
+            if (!p.symbol) return;
+            const key = getUniqueId(p.symbol, p.massNumber, p.metastable);
+            if (!this.lines.has(key)) this.lines.set(key, []);
+
+            const energyKeV = parseFloat(row.Energy_keV);
+            const y = parseFloat(row.Yield);
+            if (energyKeV > 0 && y > 0) this.lines.get(key).push({ energyKeV, yield: y });
+        });
+    }
+
+    hasData(isotope) {
+        return this.lines.has(isotope);
+    }
+
+    /**
+     * H*(10) rate at 1 m per Bq [Sv/h·m²/Bq]. 0 for nuclides without gamma lines or data.
+     */
+    rateConstant(isotope) {
+        const lines = this.lines.get(isotope) || [];
+        const perFluence = lines.reduce((sum, l) => sum + l.yield * h10PerFluence(l.energyKeV / 1000), 0);
+        const fourPiR2 = 4 * Math.PI * 100 * 100; // cm² at 1 m
+        return (perFluence / fourPiR2) * PSV_TO_SV * SECONDS_PER_HOUR;
+    }
+
+    /**
+     * Dose rate of an inventory at the given distances.
+     * @param {Array<{Isotope: string, Activity: number}>} results Solver rows (summed per nuclide)
+     * @param {number[]} distancesM Distances from the point source [m]
+     * @returns {{distances: number[], total: number[],
+     *            nuclides: Array<{Isotope: string, Activity: number, RateConstant: number, DoseRates: number[], Share: number}>,
+     *            missing: string[]}} Rates in Sv/h; RateConstant in Sv·m²/(h·Bq).
+     *            `missing` lists active nuclides without gamma data (their dose is not counted).
+     */
+    compute(results, distancesM) {
+        const distances = distancesM.filter(d => d > 0);
+        const activity = new Map();
+        results.forEach(r => {
+            if (r.Activity > 0) activity.set(r.Isotope, (activity.get(r.Isotope) || 0) + r.Activity);
+        });
+
+        const nuclides = [];
+        const missing = [];
+        let totalAt1m = 0;
+        activity.forEach((A, iso) => {
+            if (!this.hasData(iso)) {
+                missing.push({ iso, A });
+                return;
+            }
+            const k = this.rateConstant(iso);
+            if (!(k > 0)) return;
+            const at1m = A * k;
+            totalAt1m += at1m;
+            nuclides.push({
+                Isotope: iso,
+                Activity: A,
+                RateConstant: k,
+                DoseRates: distances.map(d => at1m / (d * d)),
+                Share: at1m
+            });
+        });
+
+        nuclides.forEach(n => { n.Share = totalAt1m > 0 ? n.Share / totalAt1m : 0; });
+        nuclides.sort((a, b) => b.Share - a.Share);
+
+        return {
+            distances,
+            total: distances.map(d => totalAt1m / (d * d)),
+            nuclides,
+            missing: missing.sort((a, b) => b.A - a.A).map(m => m.iso)
+        };
+    }
+}
+
+// --- js/engine/Shielding.js ---
+/**
+ * Shielding.js
+ * Shield thickness for a solved inventory: every gamma line is attenuated as
+ * B(E, μx) · exp(−μx), with μ/ρ from NIST XCOM (total, with coherent) and point-isotropic
+ * exposure buildup factors (ANSI/ANS-6.4.3, rounded). Tungsten alloy uses the lead
+ * buildup table and steel the iron table; concrete uses the water table.
+ * Pure math, no DOM access.
+ */
+
+
+
+// Energy [MeV] -> μ/ρ [cm²/g]. Absorption edges appear as two points at the same energy.
+const ATTENUATION = {
+    lead: [
+        [0.05, 8.041], [0.06, 5.021], [0.08, 2.419], [0.088, 1.910], [0.088, 7.683], [0.1, 5.549],
+        [0.15, 2.014], [0.2, 0.9985], [0.3, 0.4031], [0.4, 0.2323], [0.5, 0.1614], [0.6, 0.1248],
+        [0.8, 0.0887], [1.0, 0.07102], [1.25, 0.05876], [1.5, 0.05222], [2.0, 0.04606], [3.0, 0.04234],
+        [4.0, 0.04197], [5.0, 0.04272], [6.0, 0.04391], [8.0, 0.04675], [10.0, 0.04972]
+    ],
+    tungsten: [
+        [0.05, 5.949], [0.06, 3.713], [0.0695, 2.552], [0.0695, 11.23], [0.08, 7.81], [0.1, 4.438],
+        [0.15, 1.581], [0.2, 0.7844], [0.3, 0.3238], [0.4, 0.1925], [0.5, 0.1378], [0.6, 0.1093],
+        [0.8, 0.08066], [1.0, 0.06618], [1.25, 0.05577], [1.5, 0.05], [2.0, 0.04433], [3.0, 0.04075],
+        [4.0, 0.04038], [5.0, 0.04103], [6.0, 0.0421], [8.0, 0.04472], [10.0, 0.04747]
+    ],
+    iron: [
+        [0.05, 1.958], [0.06, 1.205], [0.08, 0.5952], [0.1, 0.3717], [0.15, 0.1964], [0.2, 0.146],
+        [0.3, 0.1099], [0.4, 0.094], [0.5, 0.08414], [0.6, 0.07704], [0.8, 0.06699], [1.0, 0.05995],
+        [1.25, 0.0535], [1.5, 0.04883], [2.0, 0.04265], [3.0, 0.03621], [4.0, 0.03312], [5.0, 0.03146],
+        [6.0, 0.03057], [8.0, 0.02991], [10.0, 0.02994]
+    ],
+    concrete: [
+        [0.05, 0.3466], [0.06, 0.2772], [0.08, 0.2113], [0.1, 0.181], [0.15, 0.1483], [0.2, 0.1307],
+        [0.3, 0.111], [0.4, 0.09905], [0.5, 0.08994], [0.6, 0.08305], [0.8, 0.07282], [1.0, 0.0655],
+        [1.25, 0.05852], [1.5, 0.05332], [2.0, 0.04614], [3.0, 0.03795], [4.0, 0.03322], [5.0, 0.03012],
+        [6.0, 0.02795], [8.0, 0.02516], [10.0, 0.02351]
+    ]
+};
+
+// Buildup factor B at μx = BUILDUP_MFP for each tabulated energy [MeV]
+const BUILDUP_MFP = [1, 2, 4, 7, 10, 15, 20];
+const BUILDUP = {
+    lead: [
+        [0.1, [1.05, 1.08, 1.12, 1.16, 1.19, 1.23, 1.27]],
+        [0.5, [1.24, 1.42, 1.69, 2.0, 2.27, 2.65, 2.73]],
+        [1.0, [1.37, 1.69, 2.26, 3.02, 3.74, 4.81, 5.86]],
+        [2.0, [1.39, 1.76, 2.51, 3.66, 4.84, 6.87, 9.0]],
+        [3.0, [1.34, 1.68, 2.43, 3.75, 5.3, 8.44, 12.3]],
+        [6.0, [1.18, 1.4, 1.97, 3.34, 5.69, 13.8, 32.7]],
+        [10.0, [1.11, 1.25, 1.61, 2.58, 4.45, 12.6, 36.5]]
+    ],
+    iron: [
+        [0.1, [1.4, 1.7, 2.3, 3.0, 3.6, 4.5, 5.3]],
+        [0.5, [1.98, 3.09, 5.98, 11.7, 19.2, 35.4, 55.6]],
+        [1.0, [1.87, 2.89, 5.39, 10.2, 16.2, 28.3, 42.7]],
+        [2.0, [1.76, 2.61, 4.52, 8.09, 12.3, 20.4, 29.7]],
+        [3.0, [1.55, 2.26, 3.78, 6.54, 9.86, 16.2, 23.6]],
+        [6.0, [1.34, 1.71, 2.57, 4.12, 6.02, 9.88, 14.8]],
+        [10.0, [1.28, 1.55, 2.18, 3.26, 4.59, 7.34, 11.1]]
+    ],
+    water: [
+        [0.1, [4.55, 11.8, 37.9, 111, 227, 560, 1060]],
+        [0.5, [2.52, 5.14, 14.3, 38.8, 77.6, 178, 334]],
+        [1.0, [2.13, 3.71, 7.68, 16.2, 27.1, 50.4, 82.2]],
+        [2.0, [1.83, 2.77, 4.88, 8.46, 12.4, 19.5, 27.1]],
+        [3.0, [1.69, 2.42, 3.91, 6.23, 8.63, 12.8, 17.0]],
+        [6.0, [1.47, 1.91, 2.76, 3.96, 5.11, 7.02, 8.9]],
+        [10.0, [1.35, 1.63, 2.18, 2.96, 3.69, 4.87, 6.0]]
+    ]
+};
+
+const SHIELD_MATERIALS = {
+    lead: { label: 'Lead', density: 11.35, attenuation: 'lead', buildup: 'lead', maxCm: 50 },
+    tungsten: { label: 'Tungsten alloy', density: 18.0, attenuation: 'tungsten', buildup: 'lead', maxCm: 40 },
+    steel: { label: 'Steel', density: 7.87, attenuation: 'iron', buildup: 'iron', maxCm: 100 },
+    concrete: { label: 'Concrete', density: 2.3, attenuation: 'concrete', buildup: 'water', maxCm: 400 }
+};
+
+const FOUR_PI_1M2 = 4 * Math.PI * 100 * 100; // cm² at 1 m
+const PSV_H = 1e-12 * 3600;                 // pSv/s -> Sv/h
+
+/**
+ * Log-log interpolation in an [energy, value] table (clamped at the ends).
+ */
+function interpolateLogLog(table, x) {
+    if (x <= table[0][0]) return table[0][1];
+    if (x >= table[table.length - 1][0]) return table[table.length - 1][1];
+    const i = table.findIndex(([e]) => e >= x);
+    const [x0, y0] = table[i - 1];
+    const [x1, y1] = table[i];
+    if (x1 === x0) return y1;
+    const t = Math.log(x / x0) / Math.log(x1 / x0);
+    return Math.exp(Math.log(y0) + t * Math.log(y1 / y0));
+}
+
+/**
+ * Buildup factor at one tabulated energy: linear from B(0) = 1 below 1 mfp,
+ * log-linear in μx between (and beyond) the tabulated depths.
+ */
+function buildupAtEnergy(values, mfp) {
+    if (mfp <= 0) return 1;
+    if (mfp <= BUILDUP_MFP[0]) return 1 + (values[0] - 1) * mfp;
+    let i = BUILDUP_MFP.findIndex(m => m >= mfp);
+    if (i < 0) i = BUILDUP_MFP.length - 1;
+    const [m0, m1] = [BUILDUP_MFP[i - 1], BUILDUP_MFP[i]];
+    const [b0, b1] = [values[i - 1], values[i]];
+    return Math.exp(Math.log(b0) + (mfp - m0) * (Math.log(b1) - Math.log(b0)) / (m1 - m0));
+}
+
+class ShieldingDesigner {
+    /**
+     * @param {DoseRate} doseRate Gamma line library (see DoseRate.js)
+     */
+    constructor(doseRate) {
+        this.doseRate = doseRate;
+    }
+
+    /**
+     * Linear attenuation coefficient μ [1/cm] of a shield material at E [MeV].
+     */
+    mu(material, energyMeV) {
+        const m = SHIELD_MATERIALS[material];
+        return interpolateLogLog(ATTENUATION[m.attenuation], energyMeV) * m.density;
+    }
+
+    /**
+     * Point-isotropic buildup factor, log-interpolated in energy between the tabulated rows.
+     */
+    buildup(material, energyMeV, mfp) {
+        const table = BUILDUP[SHIELD_MATERIALS[material].buildup];
+        if (energyMeV <= table[0][0]) return buildupAtEnergy(table[0][1], mfp);
+        if (energyMeV >= table[table.length - 1][0]) return buildupAtEnergy(table[table.length - 1][1], mfp);
+        const i = table.findIndex(([e]) => e >= energyMeV);
+        const [e0, v0] = table[i - 1];
+        const [e1, v1] = table[i];
+        const t = Math.log(energyMeV / e0) / Math.log(e1 / e0);
+        const b0 = buildupAtEnergy(v0, mfp);
+        const b1 = buildupAtEnergy(v1, mfp);
+        return Math.exp(Math.log(b0) + t * Math.log(b1 / b0));
+    }
+
+    /**
+     * Unshielded H*(10) rate at 1 m per gamma line of the inventory.
+     * @param {Array<{Isotope: string, Activity: number}>} results Solver rows
+     * @returns {Array<{Isotope: string, energyMeV: number, rate1m: number}>} rate1m in Sv/h
+     */
+    lineSpectrum(results) {
+        const activity = new Map();
+        results.forEach(r => {
+            if (r.Activity > 0) activity.set(r.Isotope, (activity.get(r.Isotope) || 0) + r.Activity);
+        });
+
+        const spectrum = [];
+        activity.forEach((A, iso) => {
+            (this.doseRate.lines.get(iso) || []).forEach(l => {
+                const energyMeV = l.energyKeV / 1000;
+                const rate1m = (A * l.yield * h10PerFluence(energyMeV) / FOUR_PI_1M2) * PSV_H;
+                if (rate1m > 0) spectrum.push({ Isotope: iso, energyMeV, rate1m });
+            });
+        });
+        return spectrum;
+    }
+
+    /**
+     * Dose rate behind the shield [Sv/h] and the contribution of each line.
+     */
+    shieldedRate(spectrum, material, thicknessCm, distanceM) {
+        const geometry = 1 / (distanceM * distanceM);
+        let total = 0;
+        const lines = spectrum.map(l => {
+            const mfp = this.mu(material, l.energyMeV) * thicknessCm;
+            const rate = l.rate1m * geometry * this.buildup(material, l.energyMeV, mfp) * Math.exp(-mfp);
+            total += rate;
+            return { ...l, rate };
+        });
+        return { total, lines };
+    }
+
+    /**
+     * Thickness of one material that brings the dose rate at the given distance below the target.
+     * @param {Object} p { results, material, targetSvH, distanceM }
+     * @returns {{material: string, label: string, thicknessCm: number|null, unshielded: number,
+     *            shielded: number, reachable: boolean, dominant: Array<{Isotope, energyMeV, rate}>}}
+     */
+    requiredThickness(p) {
+        const m = SHIELD_MATERIALS[p.material];
+        if (!m) throw new Error(`Unknown shield material: ${p.material}`);
+        if (!(p.distanceM > 0)) throw new Error('Distance must be positive');
+        if (!(p.targetSvH > 0)) throw new Error('Target dose rate must be positive');
+
+        const spectrum = p.spectrum || this.lineSpectrum(p.results);
+        const unshielded = this.shieldedRate(spectrum, p.material, 0, p.distanceM).total;
+
+        const result = (thicknessCm, reachable) => {
+            const shielded = this.shieldedRate(spectrum, p.material, thicknessCm, p.distanceM);
+            return {
+                material: p.material,
+                label: m.label,
+                thicknessCm: reachable ? thicknessCm : null,
+                unshielded,
+                shielded: shielded.total,
+                reachable,
+                dominant: shielded.lines.sort((a, b) => b.rate - a.rate).slice(0, 3)
+            };
+        };
+
+        if (unshielded <= p.targetSvH) return result(0, true);
+        if (this.shieldedRate(spectrum, p.material, m.maxCm, p.distanceM).total > p.targetSvH) {
+            return result(m.maxCm, false);
+        }
+
+        // Transmission falls monotonically with thickness: bisect to 0.01 mm
+        let lo = 0;
+        let hi = m.maxCm;
+        while (hi - lo > 1e-3) {
+            const mid = 0.5 * (lo + hi);
+            if (this.shieldedRate(spectrum, p.material, mid, p.distanceM).total > p.targetSvH) lo = mid;
+            else hi = mid;
+        }
+        return result(hi, true);
+    }
+
+    /**
+     * requiredThickness() for every shield material.
+     */
+    designAll(results, targetSvH, distanceM) {
+        const spectrum = this.lineSpectrum(results);
+        return Object.keys(SHIELD_MATERIALS).map(material =>
+            this.requiredThickness({ spectrum, material, targetSvH, distanceM })
+        );
+    }
+}
+
+// --- js/engine/DecayHeat.js ---
+/**
+ * DecayHeat.js
+ * Decay heat of a solved inventory: P = Σ A·(Ē_β + Ē_γ), with the mean beta and gamma
+ * energies per decay from Decay_Energies.csv. Neutrinos carry their share of the beta
+ * energy away, so only the mean electron energy counts; all deposited energy is assumed
+ * to stay in the capsule (conservative for thermal analysis).
+ * Pure math, no DOM access.
+ */
+
+
+
+const KEV_TO_J = 1.602176634e-16;
+
+class DecayHeat {
+    /**
+     * @param {Array<Object>} rows Rows of Decay_Energies.csv (Isotope, Mean_Beta_keV, Mean_Gamma_keV, Source)
+     */
+    constructor(rows) {
+        this.energies = new Map(); // nuclide key -> { beta, gamma } [keV per decay]
+
+        (rows || []).forEach(row => {
+            const p = parseIsotopeClean((row.Isotope || '').toString());
+            if (!p.symbol) return;
+            const beta = parseFloat(row.Mean_Beta_keV);
+            const gamma = parseFloat(row.Mean_Gamma_keV);
+            this.energies.set(getUniqueId(p.symbol, p.massNumber, p.metastable), {
+                beta: isNaN(beta) ? 0 : beta,
+                gamma: isNaN(gamma) ? 0 : gamma
+            });
+        });
+    }
+
+    hasData(isotope) {
+        return this.energies.has(isotope);
+    }
+
+    /**
+     * Decay heat of an inventory.
+     * @param {Array<{Isotope: string, Activity: number}>} results Solver rows (summed per nuclide)
+     * @returns {{total: number, beta: number, gamma: number,
+     *            nuclides: Array<{Isotope: string, Activity: number, Beta: number, Gamma: number, Total: number, Share: number}>,
+     *            missing: string[]}} Powers in W. `missing` lists active nuclides without energy data.
+     */
+    fromResults(results) {
+        const activity = new Map();
+        results.forEach(r => {
+            if (r.Activity > 0) activity.set(r.Isotope, (activity.get(r.Isotope) || 0) + r.Activity);
+        });
+
+        const nuclides = [];
+        const missing = [];
+        let beta = 0;
+        let gamma = 0;
+        activity.forEach((A, iso) => {
+            const e = this.energies.get(iso);
+            if (!e) {
+                missing.push({ iso, A });
+                return;
+            }
+            const b = A * e.beta * KEV_TO_J;
+            const g = A * e.gamma * KEV_TO_J;
+            if (!(b + g > 0)) return;
+            beta += b;
+            gamma += g;
+            nuclides.push({ Isotope: iso, Activity: A, Beta: b, Gamma: g, Total: b + g, Share: 0 });
+        });
+
+        const total = beta + gamma;
+        nuclides.forEach(n => { n.Share = total > 0 ? n.Total / total : 0; });
+        nuclides.sort((a, b) => b.Total - a.Total);
+
+        return {
+            total,
+            beta,
+            gamma,
+            nuclides,
+            missing: missing.sort((a, b) => b.A - a.A).map(m => m.iso)
+        };
+    }
+
+    /**
+     * Decay heat over cooling time.
+     * @param {function(number): Array<{Isotope: string, Activity: number}>} inventoryAt
+     *        Inventory at a cooling time after EOB [s]
+     * @param {number[]} coolingTimesS
+     * @returns {Array<{t: number, beta: number, gamma: number, total: number}>}
+     */
+    overCooling(inventoryAt, coolingTimesS) {
+        return coolingTimesS.map(t => {
+            const heat = this.fromResults(inventoryAt(t));
+            return { t, beta: heat.beta, gamma: heat.gamma, total: heat.total };
+        });
+    }
+}
+
+// --- js/engine/GammaSpectrum.js ---
+/**
+ * GammaSpectrum.js
+ * Predicted HPGe spectrum of a solved inventory for NAA measurement planning.
+ * Each gamma line gives a Gaussian full-energy peak of N = ε(E)·y·∫A dt counts
+ * (decay during the count included) and a flat Compton continuum up to the Compton
+ * edge, scaled by the peak-to-total ratio. A peak is marked visible when its net
+ * counts exceed the Currie detection limit L_D = 2.71 + 4.65·√B of the continuum
+ * and neighbouring peaks under it. Room background, summing and dead time are not modelled.
+ * Pure math, no DOM access.
+ */
+
+const ELECTRON_MASS_KEV = 511;
+const FWHM_TO_SIGMA = 1 / (2 * Math.sqrt(2 * Math.log(2)));
+// Region of interest ±1.25 FWHM around the centroid (≈ 98% of the peak area)
+const ROI_HALF_WIDTH_FWHM = 1.25;
+
+/**
+ * Typical coaxial p-type HPGe (~40% relative efficiency), point source at 10 cm.
+ * efficiency: full-energy peak efficiency points [keV, ε], interpolated log-log.
+ */
+const DEFAULT_DETECTOR = {
+    efficiency: [
+        [50, 0.0060], [100, 0.0120], [200, 0.0090], [400, 0.0052], [662, 0.0034],
+        [1000, 0.0024], [1332, 0.0019], [2000, 0.0014], [3000, 0.0010]
+    ],
+    fwhm122: 0.9,   // keV at 122 keV
+    fwhm1332: 1.9,  // keV at 1332 keV
+    peakToTotal: 0.2 // at 1332 keV
+};
+
+/**
+ * Efficiency points from text such as "100:0.012, 662:0.0034, 1332:0.0019".
+ * @returns {Array<[number, number]>} Sorted by energy
+ */
+function parseEfficiencyCurve(text) {
+    const points = (text || '').split(/[,;\n]/).map(p => p.trim()).filter(p => p).map(part => {
+        const m = part.match(/^(\d+(?:\.\d+)?)\s*[:=\s]\s*(\d*\.?\d+(?:[eE][+-]?\d+)?)$/);
+        if (!m) throw new Error(`Cannot read "${part}" (expected energy:efficiency, e.g. 662:0.0034)`);
+        return [parseFloat(m[1]), parseFloat(m[2])];
+    });
+    if (points.length < 2) throw new Error('The efficiency curve needs at least two points');
+    if (points.some(([e, eff]) => !(e > 0) || !(eff > 0) || eff > 1)) {
+        throw new Error('Efficiency points need a positive energy and 0 < ε ≤ 1');
+    }
+    return points.sort((a, b) => a[0] - b[0]);
+}
+
+function formatEfficiencyCurve(points) {
+    return points.map(([e, eff]) => `${e}:${eff}`).join(', ');
+}
+
+class HPGeDetector {
+    /**
+     * @param {Object} config { efficiency: [[keV, ε]], fwhm122, fwhm1332 [keV], peakToTotal }
+     */
+    constructor(config = {}) {
+        const c = { ...DEFAULT_DETECTOR, ...config };
+        if (!(c.fwhm122 > 0) || !(c.fwhm1332 > 0)) throw new Error('FWHM values must be positive');
+        if (!(c.peakToTotal > 0) || c.peakToTotal > 1) throw new Error('Peak-to-total ratio must be in (0, 1]');
+
+        this.points = c.efficiency;
+        this.peakToTotal1332 = c.peakToTotal;
+        // FWHM² = a + b·E through the two specification points (noise + Fano statistics)
+        this.fwhmB = (c.fwhm1332 ** 2 - c.fwhm122 ** 2) / (1332 - 122);
+        this.fwhmA = c.fwhm122 ** 2 - this.fwhmB * 122;
+    }
+
+    /**
+     * Full-energy peak efficiency, log-log interpolation; extrapolated with the end slopes.
+     */
+    efficiency(energyKeV) {
+        const pts = this.points;
+        let i = pts.findIndex(([e]) => e >= energyKeV);
+        if (i <= 0) i = i === 0 ? 1 : pts.length - 1;
+        const [e0, f0] = pts[i - 1];
+        const [e1, f1] = pts[i];
+        const t = Math.log(energyKeV / e0) / Math.log(e1 / e0);
+        return Math.min(1, Math.exp(Math.log(f0) + t * Math.log(f1 / f0)));
+    }
+
+    fwhm(energyKeV) {
+        return Math.sqrt(Math.max(this.fwhmA + this.fwhmB * energyKeV, 0.01));
+    }
+
+    /**
+     * Peak-to-total ratio, rising towards low energies where photoabsorption dominates.
+     */
+    peakToTotal(energyKeV) {
+        return Math.min(1, this.peakToTotal1332 * Math.pow(energyKeV / 1332, -0.6));
+    }
+}
+
+/**
+ * Currie detection limit [counts] for a background of b counts (k = 1.645).
+ */
+function currieLD(b) {
+    return 2.71 + 4.65 * Math.sqrt(Math.max(b, 0));
+}
+
+/**
+ * Currie quantification limit [counts]: net signal with 10% relative standard deviation.
+ */
+function currieLQ(b) {
+    return 50 * (1 + Math.sqrt(1 + Math.max(b, 0) / 12.5));
+}
+
+class GammaSpectrumSimulator {
+    /**
+     * @param {DoseRate} doseRate Provides the gamma line library (doseRate.lines)
+     * @param {Map<string, number>} lambdaCache Decay constants [1/s] per nuclide
+     */
+    constructor(doseRate, lambdaCache) {
+        this.doseRate = doseRate;
+        this.lambdaCache = lambdaCache;
+    }
+
+    /**
+     * Simulate a count started at the end of the scenario.
+     * @param {Array<{Isotope: string, Activity: number}>} results Solver rows
+     * @param {HPGeDetector} detector
+     * @param {number} countS Count (live) time [s]
+     * @param {Object} options { channels: number of channels (default 4096),
+     *        maxEnergyKeV: extend the energy range to at least this energy }
+     * @returns {{energies: number[], counts: number[], keVPerChannel: number,
+     *            peaks: Array<{Isotope: string, Energy: number, Yield: number, Efficiency: number, FWHM: number,
+     *            Counts: number, Background: number, LD: number, Visible: boolean}>}}
+     *          Peaks sorted by net counts; energies are channel centres [keV]
+     */
+    simulate(results, detector, countS, options = {}) {
+        const channels = options.channels || 4096;
+        if (!(countS > 0)) throw new Error('Count time must be positive');
+
+        const activity = new Map();
+        results.forEach(r => {
+            if (r.Activity > 0) activity.set(r.Isotope, (activity.get(r.Isotope) || 0) + r.Activity);
+        });
+
+        const peaks = [];
+        activity.forEach((A, iso) => {
+            const lam = this.lambdaCache.get(iso) || 0;
+            // Decays during the count: A·(1 − e^(−λt))/λ
+            const decays = lam > 0 ? A * (-Math.expm1(-lam * countS)) / lam : A * countS;
+            (this.doseRate.lines.get(iso) || []).forEach(l => {
+                const eff = detector.efficiency(l.energyKeV);
+                const counts = decays * l.yield * eff;
+                if (!(counts > 0)) return;
+                peaks.push({
+                    Isotope: iso,
+                    Energy: l.energyKeV,
+                    Yield: l.yield,
+                    Efficiency: eff,
+                    FWHM: detector.fwhm(l.energyKeV),
+                    Counts: counts,
+                    Background: 0,
+                    LD: 0,
+                    Visible: false
+                });
+            });
+        });
+
+        const maxEnergy = peaks.reduce((m, p) => Math.max(m, p.Energy), options.maxEnergyKeV || 0);
+        const keVPerChannel = Math.max(maxEnergy * 1.1, 500) / channels;
+        const energies = Array.from({ length: channels }, (_, i) => (i + 0.5) * keVPerChannel);
+        const counts = new Float64Array(channels);
+        const continuum = new Float64Array(channels);
+
+        peaks.forEach(p => {
+            // Flat Compton continuum from 0 to the Compton edge
+            const k = 2 * p.Energy / ELECTRON_MASS_KEV;
+            const edge = p.Energy * k / (1 + k);
+            const edgeChannel = Math.max(1, Math.min(channels, Math.round(edge / keVPerChannel)));
+            const comptonCounts = p.Counts * (1 / detector.peakToTotal(p.Energy) - 1);
+            for (let i = 0; i < edgeChannel; i++) continuum[i] += comptonCounts / edgeChannel;
+        });
+
+        const peakShape = (p, i) => {
+            const sigma = p.FWHM * FWHM_TO_SIGMA;
+            const z = (energies[i] - p.Energy) / sigma;
+            return p.Counts * keVPerChannel * Math.exp(-0.5 * z * z) / (sigma * Math.sqrt(2 * Math.PI));
+        };
+        const roi = p => {
+            const half = ROI_HALF_WIDTH_FWHM * p.FWHM;
+            return [
+                Math.max(0, Math.floor((p.Energy - half) / keVPerChannel)),
+                Math.min(channels - 1, Math.floor((p.Energy + half) / keVPerChannel))
+            ];
+        };
+
+        counts.set(continuum);
+        peaks.forEach(p => {
+            // Peaks only matter within a few σ of their centroid
+            const half = 5 * p.FWHM;
+            const lo = Math.max(0, Math.floor((p.Energy - half) / keVPerChannel));
+            const hi = Math.min(channels - 1, Math.floor((p.Energy + half) / keVPerChannel));
+            for (let i = lo; i <= hi; i++) counts[i] += peakShape(p, i);
+        });
+
+        peaks.forEach(p => {
+            const [lo, hi] = roi(p);
+            let b = 0;
+            for (let i = lo; i <= hi; i++) b += counts[i] - peakShape(p, i);
+            p.Background = b;
+            p.LD = currieLD(b);
+            p.Visible = p.Counts >= p.LD;
+        });
+        peaks.sort((a, b) => b.Counts - a.Counts);
+
+        return { energies, counts: Array.from(counts), keVPerChannel, peaks };
+    }
+
+    /**
+     * Counts of a simulated spectrum in the region of interest of a line at energyKeV.
+     */
+    roiCounts(spectrum, energyKeV, fwhmKeV) {
+        const half = ROI_HALF_WIDTH_FWHM * fwhmKeV;
+        const last = spectrum.counts.length - 1;
+        const lo = Math.max(0, Math.floor((energyKeV - half) / spectrum.keVPerChannel));
+        const hi = Math.min(last, Math.floor((energyKeV + half) / spectrum.keVPerChannel));
+        let sum = 0;
+        for (let i = lo; i <= hi; i++) sum += spectrum.counts[i];
+        return sum;
+    }
+}
+
+// --- js/engine/K0NAA.js ---
+/**
+ * K0NAA.js
+ * Element concentrations from measured net peak areas with the k0 standardization
+ * (Høgdahl convention, single Au comparator):
+ *
+ *   ρ_a = (Asp_a / Asp_Au) · (1 / k0,Au(a)) · (f + Q0,Au(α)) / (f + Q0,a(α)) · ε_Au / ε_a
+ *   Asp = (Np / t_live) / (S · D · C · W),  S = 1 − e^(−λ t_irr),  D = e^(−λ t_d),
+ *   C = (1 − e^(−λ t_real)) / (λ t_real)
+ *
+ * Decay constants, σ0, I0, Ēr and abundances come from the solver's library and γ yields from
+ * the gamma line library; k0 is derived from them unless the lab supplies its own value.
+ * The uncertainty budget propagates relative uncertainties with numerical sensitivities.
+ * Pure math, no DOM access.
+ */
+
+
+
+
+const COMPARATOR = { element: 'Au', product: 'Au-198', energyKeV: 411.8 };
+
+// Default relative (α: absolute) standard uncertainties of the budget components
+const K0_DEFAULT_UNCERTAINTY = {
+    k0: 0.05,       // k0 derived from library data; ~0.01–0.02 for recommended k0 values
+    q0: 0.05,
+    f: 0.05,
+    alpha: 0.01,
+    efficiency: 0.02,
+    mass: 0.001
+};
+
+/**
+ * Q0 corrected for a 1/E^(1+α) epithermal spectrum.
+ */
+function q0Alpha(q0, er, alpha) {
+    if (!alpha || !(er > 0)) return q0;
+    return (q0 - 0.429) / Math.pow(er, alpha) + 0.429 / ((2 * alpha + 1) * Math.pow(0.55, alpha));
+}
+
+/**
+ * Saturation, decay and counting factors.
+ */
+function timingFactors(lambda, tIrrS, tDecayS, realS) {
+    const S = -Math.expm1(-lambda * tIrrS);
+    const D = Math.exp(-lambda * tDecayS);
+    const C = realS > 0 ? -Math.expm1(-lambda * realS) / (lambda * realS) : 1;
+    return { S, D, C };
+}
+
+class K0Analyzer {
+    /**
+     * @param {NuclearSolver} solver Library: xsMap, decayMap, lambdaCache, elementMap
+     * @param {DoseRate} doseRate Gamma line library (doseRate.lines)
+     */
+    constructor(solver, doseRate) {
+        this.solver = solver;
+        this.doseRate = doseRate;
+    }
+
+    /**
+     * (n,γ) products of an element with at least one gamma line of yield ≥ minYield.
+     * @returns {Array<{product: string, target: string, energyKeV: number, yield: number, lambda: number}>}
+     */
+    candidateLines(element, minYield = 0.01) {
+        const lines = [];
+        (this.solver.elementMap.get(element) || []).forEach(({ A }) => {
+            const target = getUniqueId(element, A, '');
+            (this.solver.xsMap.get(target) || []).forEach(rx => {
+                if (!/n,\s*[gγ]/.test(rx.type)) return;
+                // Short-lived isomers are reported through their ground state
+                const product = this._groundState(rx.child);
+                const lambda = this.solver.lambdaCache.get(product) || 0;
+                if (!(lambda > 0)) return;
+                (this.doseRate.lines.get(product) || []).forEach(l => {
+                    if (l.yield < minYield) return;
+                    if (lines.some(x => x.product === product && x.energyKeV === l.energyKeV)) return;
+                    lines.push({ product, target, energyKeV: l.energyKeV, yield: l.yield, lambda });
+                });
+            });
+        });
+        return lines.sort((a, b) => b.yield - a.yield);
+    }
+
+    _groundState(key) {
+        const ground = key.replace(/m\d*$/, '');
+        if (ground === key) return key;
+        const feeds = (this.solver.decayMap.get(key) || []).some(d => d.child === ground);
+        const lamM = this.solver.lambdaCache.get(key) || 0;
+        const lamG = this.solver.lambdaCache.get(ground) || 0;
+        return feeds && lamM > 10 * lamG ? ground : key;
+    }
+
+    /**
+     * Nuclear constants of one analytical line.
+     * σ0 and I0 include feeding through a short-lived isomer of the product.
+     */
+    lineConstants(element, product, energyKeV) {
+        let target = null;
+        let sigma0 = 0;
+        let i0 = 0;
+        let erWeighted = 0;
+        (this.solver.elementMap.get(element) || []).forEach(({ A, theta }) => {
+            const key = getUniqueId(element, A, '');
+            (this.solver.xsMap.get(key) || []).forEach(rx => {
+                if (!/n,\s*[gγ]/.test(rx.type)) return;
+                let share = 0;
+                if (rx.child === product) share = 1;
+                else if (this._groundState(rx.child) === product) {
+                    share = (this.solver.decayMap.get(rx.child) || [])
+                        .filter(d => d.child === product)
+                        .reduce((sum, d) => sum + d.br, 0);
+                }
+                if (!(share > 0)) return;
+                target = { key, theta };
+                sigma0 += share * rx.sigma;
+                i0 += share * (rx.ri || 0);
+                erWeighted += share * (rx.ri || 0) * (rx.er || 0);
+            });
+        });
+        if (!target || !(sigma0 > 0)) throw new Error(`No (n,γ) route from ${element} to ${product} in the library`);
+
+        const line = (this.doseRate.lines.get(product) || [])
+            .find(l => Math.abs(l.energyKeV - energyKeV) < 0.5);
+        if (!line) throw new Error(`No ${energyKeV} keV line of ${product} in the gamma library`);
+
+        const lambda = this.solver.lambdaCache.get(product) || 0;
+        if (!(lambda > 0)) throw new Error(`No decay constant for ${product}`);
+
+        return {
+            Element: element,
+            Target: target.key,
+            Product: product,
+            Energy: line.energyKeV,
+            theta: target.theta,
+            sigma0,
+            Q0: i0 > 0 ? i0 / sigma0 : 0,
+            Er: i0 > 0 ? erWeighted / i0 : 0,
+            gamma: line.yield,
+            M: molarMass({ [element]: 1 }),
+            lambda
+        };
+    }
+
+    /**
+     * k0,Au of a line from its nuclear constants: (M_Au θ σ0 γ) / (M θ_Au σ0,Au γ_Au).
+     */
+    k0(consts, au = this.lineConstants(COMPARATOR.element, COMPARATOR.product, COMPARATOR.energyKeV)) {
+        return (au.M * consts.theta * consts.sigma0 * consts.gamma) / (consts.M * au.theta * au.sigma0 * au.gamma);
+    }
+
+    /**
+     * Concentration [g/g] of one line for a given parameter set.
+     */
+    _concentration(v) {
+        const spec = (area, live, t, lambda, mass) => {
+            const { S, D, C } = timingFactors(lambda, t.tIrrS, t.tDecayS, t.realS);
+            return (area / live) / (S * D * C * mass);
+        };
+        const aspA = spec(v.area, v.sample.liveS, v.sample, v.lambda, v.sample.massG);
+        const aspAu = spec(v.auArea, v.comparator.liveS, v.comparator, v.auLambda, v.comparator.massG);
+        // f = 0 marks a purely thermal flux elsewhere in the tool: the epithermal term drops out
+        const fRatio = v.f > 0
+            ? (v.f + q0Alpha(v.auQ0, v.auEr, v.alpha)) / (v.f + q0Alpha(v.q0, v.er, v.alpha))
+            : 1;
+        return (aspA / aspAu) * (1 / v.k0) * fRatio * (v.auEff / v.eff);
+    }
+
+    /**
+     * @param {Object} p
+     * @param {Object} p.sample { massG, tIrrS, tDecayS, liveS, realS }
+     * @param {Object} p.comparator { massG (Au), area, areaRelUnc, tDecayS, liveS, realS }; co-irradiated with the sample
+     * @param {Object} p.flux { f, alpha }
+     * @param {HPGeDetector} p.detector Full-energy peak efficiency (same geometry for sample and comparator)
+     * @param {Array<{element, product, energyKeV, area, areaRelUnc, k0?, k0RelUnc?}>} p.lines Measured peaks
+     * @param {Object} p.uncertainty Overrides of K0_DEFAULT_UNCERTAINTY
+     * @returns {{lines: Array, elements: Array<{Element: string, Concentration: number, Uncertainty: number,
+     *            Budget: Object<string, number>, Lines: number}>}}
+     *          Concentrations in µg/g; Budget holds each component's share of the variance
+     */
+    analyze(p) {
+        const u = { ...K0_DEFAULT_UNCERTAINTY, ...(p.uncertainty || {}) };
+        const au = this.lineConstants(COMPARATOR.element, COMPARATOR.product, COMPARATOR.energyKeV);
+        if (!(p.comparator.area > 0) || !(p.comparator.massG > 0)) throw new Error('Comparator peak area and mass are required');
+        if (!(p.sample.massG > 0)) throw new Error('Sample mass must be positive');
+
+        const comparator = { ...p.comparator, tIrrS: p.sample.tIrrS };
+        const lines = p.lines.map(m => {
+            const c = this.lineConstants(m.element, m.product, m.energyKeV);
+            const userK0 = m.k0 > 0;
+            const v = {
+                sample: p.sample,
+                comparator,
+                area: m.area,
+                auArea: p.comparator.area,
+                lambda: c.lambda,
+                auLambda: au.lambda,
+                k0: userK0 ? m.k0 : this.k0(c, au),
+                q0: c.Q0,
+                er: c.Er,
+                auQ0: au.Q0,
+                auEr: au.Er,
+                f: p.flux.f,
+                alpha: p.flux.alpha,
+                eff: p.detector.efficiency(c.Energy),
+                auEff: p.detector.efficiency(COMPARATOR.energyKeV)
+            };
+            const rho = this._concentration(v);
+
+            // Relative standard uncertainty of ρ per component, from ∂lnρ/∂ln x (α: ∂lnρ/∂α)
+            const sensitivity = (field, rel = true) => {
+                const h = 1e-4;
+                const shifted = { ...v, [field]: rel ? v[field] * (1 + h) : v[field] + h };
+                return Math.log(this._concentration(shifted) / rho) / h;
+            };
+            const components = {
+                'Peak area': m.areaRelUnc || 0,
+                'Comparator': p.comparator.areaRelUnc || 0,
+                'k0': userK0 ? (m.k0RelUnc || 0) : u.k0,
+                'Q0': Math.hypot(sensitivity('q0') * u.q0, sensitivity('auQ0') * u.q0),
+                'f': v.f > 0 ? Math.abs(sensitivity('f') * u.f) : 0,
+                'α': v.f > 0 ? Math.abs(sensitivity('alpha', false) * u.alpha) : 0,
+                'Efficiency': u.efficiency,
+                'Masses': Math.SQRT2 * u.mass
+            };
+
+            return {
+                Element: m.element,
+                Product: c.Product,
+                Energy: c.Energy,
+                k0: v.k0,
+                Q0: c.Q0,
+                Efficiency: v.eff,
+                Concentration: rho * 1e6,
+                components
+            };
+        });
+
+        return { lines, elements: this._combine(lines) };
+    }
+
+    /**
+     * Lines of the same element are averaged with weights 1/u²(peak area). The peak area
+     * term is independent between lines; every other component is taken as fully correlated.
+     */
+    _combine(lines) {
+        const byElement = new Map();
+        lines.forEach(l => {
+            if (!byElement.has(l.Element)) byElement.set(l.Element, []);
+            byElement.get(l.Element).push(l);
+        });
+
+        return Array.from(byElement.entries()).map(([element, group]) => {
+            const raw = group.map(l => 1 / Math.max(l.components['Peak area'], 1e-6) ** 2);
+            const sumW = raw.reduce((a, b) => a + b, 0);
+            const w = raw.map(x => x / sumW);
+            const mean = group.reduce((sum, l, i) => sum + w[i] * l.Concentration, 0);
+
+            const absolute = {};
+            Object.keys(group[0].components).forEach(name => {
+                const parts = group.map((l, i) => w[i] * l.Concentration * l.components[name]);
+                absolute[name] = name === 'Peak area'
+                    ? Math.hypot(...parts)
+                    : parts.reduce((a, b) => a + b, 0);
+            });
+
+            const variance = Object.values(absolute).reduce((sum, x) => sum + x * x, 0);
+            const budget = {};
+            Object.entries(absolute).forEach(([name, x]) => {
+                budget[name] = variance > 0 ? (x * x) / variance : 0;
+            });
+
+            return {
+                Element: element,
+                Concentration: mean,
+                Uncertainty: Math.sqrt(variance),
+                Budget: budget,
+                Lines: group.length
+            };
+        }).sort((a, b) => b.Concentration - a.Concentration);
+    }
+}
+
+// --- js/engine/DetectionLimits.js ---
+/**
+ * DetectionLimits.js
+ * Currie detection and quantification limits of NAA analytes in a given sample matrix.
+ * The matrix inventory is turned into a simulated HPGe spectrum; for each analyte the
+ * counts per ppm of its strongest lines are compared with the matrix counts under each
+ * line: L_D = 2.71 + 4.65·√B and L_Q = 50·(1 + √(1 + B/12.5)) counts, divided by the
+ * counts per ppm. The analyte itself is left out of the background it is measured on.
+ * Pure math, no DOM access.
+ */
+
+
+
+// Above this the element cannot be measured at any concentration
+const MAX_PPM = 1e6;
+
+class DetectionLimitEstimator {
+    /**
+     * @param {NuclearSolver} solver
+     * @param {GammaSpectrumSimulator} simulator
+     */
+    constructor(solver, simulator) {
+        this.solver = solver;
+        this.simulator = simulator;
+    }
+
+    /**
+     * @param {Object} p
+     * @param {Array<{sym: string, massG: number}>} p.matrix Element masses of the sample matrix
+     * @param {string[]} p.analytes Element symbols (or material names) to estimate
+     * @param {number} p.sampleMassG Sample mass; limits are in ppm of it (µg/g)
+     * @param {number|Array} p.irradiation Flux or schedule (see Schedule.js); the count starts at its end
+     * @param {number} p.tIrrS
+     * @param {number} p.tCoolS
+     * @param {HPGeDetector} p.detector
+     * @param {number} p.countS Count time [s]
+     * @param {number} p.maxLines Strongest lines tried per analyte (default 5)
+     * @param {Function} onProgress (done, total, element) per matrix element, then per analyte
+     * @returns {Array<{Element: string, Status: 'measurable'|'below LD'|'not measurable', LD: number|null,
+     *          LQ: number|null, Present: number|null, Line: Object|null, Reason: string}>}
+     *          LD / LQ / Present in ppm; Line is the line with the lowest L_D
+     */
+    estimate(p, onProgress = null) {
+        if (!(p.sampleMassG > 0)) throw new Error('Sample mass must be positive');
+        const maxLines = p.maxLines || 5;
+        const total = p.matrix.length + p.analytes.length;
+
+        // Matrix inventory per element, so each analyte can be removed from its own background
+        const matrixRows = new Map();
+        p.matrix.forEach(({ sym, massG }, i) => {
+            if (onProgress) onProgress(i, total, sym);
+            if (!(massG > 0)) return;
+            const rows = this.solver.solveElement(sym, massG, p.irradiation, p.tIrrS, p.tCoolS);
+            matrixRows.set(sym, (matrixRows.get(sym) || []).concat(rows));
+        });
+
+        return p.analytes.map((element, i) => {
+            if (onProgress) onProgress(p.matrix.length + i, total, element);
+            const present = p.matrix
+                .filter(m => m.sym === element)
+                .reduce((sum, m) => sum + (m.massG / p.sampleMassG) * 1e6, 0);
+            const result = {
+                Element: element,
+                Status: 'not measurable',
+                LD: null,
+                LQ: null,
+                Present: present > 0 ? present : null,
+                Line: null,
+                Reason: ''
+            };
+
+            // Counts of every analyte line per ppm
+            const perPpm = this.solver.solveElement(element, p.sampleMassG * 1e-6, p.irradiation, p.tIrrS, p.tCoolS);
+            const lines = this.simulator.simulate(perPpm, p.detector, p.countS, { channels: 256 }).peaks.slice(0, maxLines);
+            if (lines.length === 0) {
+                result.Reason = 'No gamma-emitting activation product left at the start of the count';
+                return result;
+            }
+
+            const background = Array.from(matrixRows.entries())
+                .filter(([sym]) => sym !== element)
+                .flatMap(([, rows]) => rows);
+            const spectrum = this.simulator.simulate(background, p.detector, p.countS, {
+                maxEnergyKeV: Math.max(...lines.map(l => l.Energy))
+            });
+
+            lines.forEach(l => {
+                const b = this.simulator.roiCounts(spectrum, l.Energy, l.FWHM);
+                const ld = currieLD(b) / l.Counts;
+                if (result.LD === null || ld < result.LD) {
+                    result.LD = ld;
+                    result.LQ = currieLQ(b) / l.Counts;
+                    result.Line = { Isotope: l.Isotope, Energy: l.Energy, CountsPerPpm: l.Counts, Background: b };
+                }
+            });
+
+            if (!(result.LD < MAX_PPM)) {
+                result.Reason = `L_D above ${MAX_PPM} ppm: too little activity for this count`;
+            } else if (result.Present !== null && result.Present < result.LD) {
+                result.Status = 'below LD';
+                result.Reason = 'Listed concentration is below the detection limit';
+            } else {
+                result.Status = 'measurable';
+            }
+            return result;
+        });
+    }
+}
+
+// --- js/engine/Scenarios.js ---
+/**
+ * Scenarios.js
+ * Calculation scenarios described as plain objects (JSON), run through a NuclearSolver and
+ * reduced to comparable figures: activity per nuclide, total activity, waste sum index and
+ * element max-ppm. Times are in days and masses in grams, as in the calculator tabs.
+ * Pure math, no DOM access.
+ */
+
+
+
+const SCENARIO_TYPES = ['single', 'impurity', 'waste', 'maxppm'];
+
+/**
+ * Scenarios the database comparison reruns unless the user saved their own set.
+ */
+const DEFAULT_REFERENCE_SCENARIOS = [
+    { name: 'Lu-177 production', type: 'single', target: 'Lu-176', mass: 1, flux: 1e14, timeDays: 7, coolDays: 1 },
+    { name: 'Co-60 source', type: 'single', target: 'Co', mass: 1, flux: 1e13, timeDays: 365, coolDays: 30 },
+    {
+        name: 'Steel impurities', type: 'impurity', impurities: { Co: 100, Eu: 1, Cs: 1, Ag: 5 },
+        mass: 1000, flux: 1e13, timeDays: 30, coolDays: 365
+    },
+    {
+        name: 'Aluminium waste', type: 'waste', impurities: { Co: 10, Eu: 0.5, Cs: 0.5, Ag: 1, Sc: 1 },
+        mass: 1000, wasteMass: 1000, flux: 1e13, timeDays: 30, coolDays: 365, limitType: 'clearance'
+    },
+    {
+        name: 'Max ppm', type: 'maxppm', elements: ['Co', 'Eu', 'Cs', 'Ag', 'Sc', 'Ta'],
+        mass: 1000, wasteMass: 1000, flux: 1e13, timeDays: 30, coolDays: 365, limitType: 'clearance'
+    }
+];
+
+/**
+ * Check a list of scenarios and fill the optional fields.
+ * Fields: name, type, flux [n/cm²·s], timeDays, coolDays, mass [g] and per type
+ *   single:   target (isotope 'Lu-176', element or material)
+ *   impurity: impurities { element: ppm of mass }
+ *   waste:    impurities, matrix (optional main element, pure), wasteMass, limitType
+ *   maxppm:   elements [symbols], or { symbol: ppm present } to check them against the limit;
+ *             wasteMass, limitType, fractions / wasteFractions as in calculateMaxPPM
+ * @param {Array<Object>} list Parsed JSON
+ * @returns {Array<Object>} Normalised copies
+ */
+function validateScenarios(list) {
+    if (!Array.isArray(list)) throw new Error('Scenarios must be a JSON array');
+    return list.map((s, i) => {
+        const label = `Scenario ${i + 1}${s && s.name ? ` (${s.name})` : ''}`;
+        if (!s || typeof s !== 'object') throw new Error(`${label}: not an object`);
+        if (!SCENARIO_TYPES.includes(s.type)) {
+            throw new Error(`${label}: type must be one of ${SCENARIO_TYPES.join(', ')}`);
+        }
+        const out = {
+            ...s,
+            name: (s.name || `${s.type} ${i + 1}`).toString(),
+            flux: Number(s.flux),
+            timeDays: Number(s.timeDays),
+            coolDays: Number(s.coolDays || 0),
+            mass: Number(s.mass)
+        };
+        if (!(out.flux > 0)) throw new Error(`${label}: flux must be positive`);
+        if (!(out.timeDays > 0)) throw new Error(`${label}: timeDays must be positive`);
+        if (!(out.coolDays >= 0)) throw new Error(`${label}: coolDays cannot be negative`);
+        if (!(out.mass > 0)) throw new Error(`${label}: mass must be positive`);
+
+        if (s.type === 'single' && !(s.target || '').toString().trim()) throw new Error(`${label}: target is required`);
+        if (s.type === 'impurity' || s.type === 'waste') {
+            const entries = Object.entries(s.impurities || {});
+            if (entries.length === 0) throw new Error(`${label}: impurities { element: ppm } are required`);
+            if (entries.some(([, ppm]) => !(Number(ppm) >= 0))) throw new Error(`${label}: impurity ppm must be a number ≥ 0`);
+        }
+        if (s.type === 'maxppm') {
+            const given = Array.isArray(s.elements) ? s.elements : Object.keys(s.elements || {});
+            if (given.length === 0) throw new Error(`${label}: elements [...] or { element: ppm } are required`);
+            if (!Array.isArray(s.elements) && Object.values(s.elements).some(ppm => !(Number(ppm) >= 0))) {
+                throw new Error(`${label}: element ppm must be a number ≥ 0`);
+            }
+        }
+        if (s.type === 'waste' || s.type === 'maxppm') {
+            out.wasteMass = Number(s.wasteMass || s.mass);
+            out.limitType = s.limitType || 'clearance';
+            if (!['clearance', 'exemption'].includes(out.limitType)) {
+                throw new Error(`${label}: limitType must be clearance or exemption`);
+            }
+        }
+        return out;
+    });
+}
+
+/**
+ * Run one (validated) scenario.
+ * @param {NuclearSolver} solver
+ * @param {Object} s Scenario
+ * @returns {{name: string, type: string, activity: Map<string, number>, totalActivity: number,
+ *           sumIndex: number|null, compliant: boolean|null, maxPPM: Map<string, number>, rows: Array}}
+ *          Activity in Bq per nuclide; maxPPM per element (maxppm only); compliant for waste, and for
+ *          maxppm with element concentrations; rows are the raw solver rows
+ */
+function runScenario(solver, s) {
+    const tIrrS = s.timeDays * SECONDS_PER_DAY;
+    const tCoolS = s.coolDays * SECONDS_PER_DAY;
+    const result = {
+        name: s.name,
+        type: s.type,
+        activity: new Map(),
+        totalActivity: 0,
+        sumIndex: null,
+        compliant: null,
+        maxPPM: new Map(),
+        rows: []
+    };
+    const addActivity = (iso, a) => {
+        if (!(a > 0)) return;
+        result.activity.set(iso, (result.activity.get(iso) || 0) + a);
+        result.totalActivity += a;
+    };
+
+    if (s.type === 'single') {
+        // An isotope such as 'Lu-176' is solved alone; an element or material with its abundances
+        const target = s.target.toString().trim();
+        result.rows = /-\d/.test(target) && !solver.isMaterial(target)
+            ? solver.solveTarget(target, s.mass, s.flux, tIrrS, tCoolS)
+            : solver.solveElement(target, s.mass, s.flux, tIrrS, tCoolS);
+        result.rows.forEach(r => addActivity(r.Isotope, r.Activity));
+    } else if (s.type === 'impurity') {
+        Object.entries(s.impurities).forEach(([sym, ppm]) => {
+            const massG = s.mass * Number(ppm) * 1e-6;
+            if (!(massG > 0)) return;
+            const rows = solver.solveElement(sym, massG, s.flux, tIrrS, tCoolS);
+            result.rows.push(...rows);
+            rows.forEach(r => addActivity(r.Isotope, r.Activity));
+        });
+    } else if (s.type === 'waste') {
+        const impurities = {};
+        Object.entries(s.impurities).forEach(([sym, ppm]) => { impurities[sym] = Number(ppm); });
+        const waste = solver.calculateWasteCompliance(
+            impurities, s.matrix || null, s.mass, s.flux, tIrrS, tCoolS, s.wasteMass, s.limitType
+        );
+        result.rows = waste.results;
+        waste.results.forEach(r => addActivity(r.Isotope, r.ActivityTotal));
+        result.sumIndex = waste.summary.sumIndex;
+        result.compliant = waste.summary.isCompliant;
+    } else if (s.type === 'maxppm') {
+        const present = Array.isArray(s.elements) ? null : s.elements;
+        result.rows = solver.calculateMaxPPM(
+            present ? Object.keys(present) : s.elements, s.flux, tIrrS, tCoolS, s.wasteMass, s.mass, s.limitType, s.fractions || {}, s.wasteFractions || {}
+        );
+        result.rows.forEach(r => {
+            if (!result.maxPPM.has(r.Element)) result.maxPPM.set(r.Element, r.ElemMaxPPM);
+        });
+        // Elements without limited products have no max ppm and always pass
+        if (present) {
+            result.compliant = Object.entries(present)
+                .every(([el, ppm]) => !result.maxPPM.has(el) || Number(ppm) <= result.maxPPM.get(el));
+        }
+    }
+    return result;
+}
+
+// --- js/engine/Batch.js ---
+/**
+ * Batch.js
+ * Sample spreadsheets for the impurity and waste tabs: one row per sample, one column per
+ * element (ppm of the sample mass) and optional Sample, Mass (g), Flux (n/cm²·s),
+ * Time (days), Cool (days) and Waste (g) columns. Missing values fall back to the tab's form.
+ * Each sample is solved on its own and reduced to total activity, dominant nuclide and
+ * sum index. Pure math, no DOM access.
+ */
+
+
+
+
+
+
+/**
+ * Accepted header names per sample field, compared in lower case without a "(unit)" suffix.
+ */
+const BATCH_COLUMNS = {
+    name: ['sample', 'name', 'id', 'sample id', 'sample name', 'label'],
+    mass: ['mass', 'sample mass'],
+    flux: ['flux'],
+    timeDays: ['time', 'irradiation', 'irradiation time'],
+    coolDays: ['cool', 'cooling', 'cooling time'],
+    wasteMass: ['waste', 'waste mass', 'total waste']
+};
+
+const SYMBOLS = new Map(PERIODIC_TABLE.map(e => [e.symbol.toLowerCase(), e.symbol]));
+
+const headerKey = h => h.replace(/\(.*?\)|\[.*?\]/g, '').trim().toLowerCase();
+
+/**
+ * Read the rows of a sample CSV (as returned by DataLoader.parseCSV).
+ * @param {Array<Object>} rows Header → cell text
+ * @param {{mass: number, flux: number, timeDays: number, coolDays: number, wasteMass: number,
+ *          matrix: Object}} defaults Form values; matrix { element: ppm } is added to every sample
+ * @returns {{samples: Array<Object>, elements: Array<string>, ignored: Array<string>}}
+ *          Samples as { name, impurities { element: ppm }, mass, flux, timeDays, coolDays, wasteMass };
+ *          ignored lists the headers that are neither a field nor an element
+ */
+function parseSampleSheet(rows, defaults = {}) {
+    if (!rows || rows.length === 0) throw new Error('The sample sheet has no data rows');
+    const fields = {};
+    const elements = {};
+    const ignored = [];
+    Object.keys(rows[0]).forEach(header => {
+        const key = headerKey(header);
+        const field = Object.keys(BATCH_COLUMNS).find(f => BATCH_COLUMNS[f].includes(key));
+        if (field && !fields[field]) fields[field] = header;
+        else if (SYMBOLS.has(key) && !Object.values(elements).includes(SYMBOLS.get(key))) elements[header] = SYMBOLS.get(key);
+        else if (header) ignored.push(header);
+    });
+    if (Object.keys(elements).length === 0) {
+        throw new Error('No element columns found (headers such as "Co" or "Eu (ppm)")');
+    }
+
+    const samples = rows.map((row, i) => {
+        const label = `Row ${i + 2}`;
+        const number = (field, fallback) => {
+            const text = fields[field] ? (row[fields[field]] || '').trim() : '';
+            if (text === '') return fallback;
+            const v = Number(text);
+            if (!Number.isFinite(v)) throw new Error(`${label}: ${fields[field]} "${text}" is not a number`);
+            return v;
+        };
+        const impurities = { ...(defaults.matrix || {}) };
+        Object.entries(elements).forEach(([header, sym]) => {
+            const text = (row[header] || '').trim();
+            if (text === '') return;
+            const ppm = Number(text);
+            if (!(ppm >= 0)) throw new Error(`${label}: ${header} "${text}" must be a ppm value ≥ 0`);
+            if (ppm > 0) impurities[sym] = (impurities[sym] || 0) + ppm;
+        });
+        const sample = {
+            name: (fields.name && row[fields.name]) || `Sample ${i + 1}`,
+            impurities,
+            mass: number('mass', defaults.mass),
+            flux: number('flux', defaults.flux),
+            timeDays: number('timeDays', defaults.timeDays),
+            coolDays: number('coolDays', defaults.coolDays),
+            wasteMass: number('wasteMass', defaults.wasteMass)
+        };
+        if (!(sample.mass > 0)) throw new Error(`${label}: mass must be positive`);
+        if (!(sample.flux > 0)) throw new Error(`${label}: flux must be positive`);
+        if (!(sample.timeDays > 0)) throw new Error(`${label}: irradiation time must be positive`);
+        if (!(sample.coolDays >= 0)) throw new Error(`${label}: cooling time cannot be negative`);
+        return sample;
+    });
+    return { samples, elements: Object.values(elements), ignored };
+}
+
+/**
+ * Solve every sample.
+ * impurity: solveElement per element; the sum index compares the sample's own specific
+ *           activity (Bq per g of sample) with the limits of limitType.
+ * waste:    calculateWasteCompliance with the sample's waste mass.
+ * A sample that fails keeps its error message and does not stop the batch.
+ * @param {NuclearSolver} solver
+ * @param {Array<Object>} samples From parseSampleSheet
+ * @param {{type: 'impurity'|'waste', limitType: string, spectrum: Object}} options
+ * @param {Function} onProgress (done, total, sample name)
+ * @returns {Array<{name: string, totalActivity: number, dominant: string|null, sumIndex: number|null,
+ *          compliant: boolean|null, irradiation: Array, rows: Array, waste: Object|null, error: string|null}>}
+ *          rows are merged solveElement rows (impurity) or the waste result rows; waste is the
+ *          full calculateWasteCompliance result
+ */
+function runSampleBatch(solver, samples, options, onProgress = null) {
+    const limitType = options.limitType || 'clearance';
+    return samples.map((s, i) => {
+        if (onProgress) onProgress(i, samples.length, s.name);
+        const tIrrS = s.timeDays * SECONDS_PER_DAY;
+        const tCoolS = s.coolDays * SECONDS_PER_DAY;
+        const irradiation = normalizeSchedule(s.flux, tIrrS, tCoolS, options.spectrum || {});
+        const result = {
+            name: s.name, totalActivity: 0, dominant: null, sumIndex: null, compliant: null,
+            irradiation, rows: [], waste: null, error: null
+        };
+        try {
+            const activity = new Map();
+            if (options.type === 'waste') {
+                result.waste = solver.calculateWasteCompliance(
+                    s.impurities, null, s.mass, irradiation, tIrrS, tCoolS, s.wasteMass, limitType
+                );
+                result.rows = result.waste.results;
+                result.waste.summary.totalActivity.forEach((a, iso) => activity.set(iso, a));
+                result.sumIndex = result.waste.summary.sumIndex;
+            } else {
+                const merged = new Map();
+                Object.entries(s.impurities).forEach(([sym, ppm]) => {
+                    solver.solveElement(sym, s.mass * ppm * 1e-6, irradiation, tIrrS, tCoolS).forEach(r => {
+                        if (!merged.has(r.Isotope)) merged.set(r.Isotope, { ...r, Activity: 0, Atoms: 0 });
+                        const ex = merged.get(r.Isotope);
+                        ex.Activity += r.Activity;
+                        ex.Atoms += r.Atoms;
+                    });
+                });
+                result.rows = Array.from(merged.values()).sort((a, b) => b.Activity - a.Activity);
+                result.rows.forEach(r => activity.set(r.Isotope, r.Activity));
+                result.sumIndex = 0;
+                activity.forEach((a, iso) => {
+                    const limit = solver.getLimit(iso, limitType);
+                    if (limit > 0 && limit < 1e90) result.sumIndex += a / s.mass / limit;
+                });
+            }
+            activity.forEach((a, iso) => {
+                if (!(a > 0)) return;
+                result.totalActivity += a;
+                if (!result.dominant || a > activity.get(result.dominant)) result.dominant = iso;
+            });
+            result.compliant = result.sumIndex <= 1.0;
+        } catch (e) {
+            result.error = e.message;
+        }
+        return result;
+    });
+}
+
+/**
+ * Summary grid as CSV text, one line per sample.
+ */
+function batchSummaryToCSV(results) {
+    const lines = ['Sample,TotalActivity_Bq,DominantNuclide,SumIndex,Compliant,Error'];
+    results.forEach(r => {
+        lines.push([
+            quoteCSV(r.name),
+            r.error ? '' : r.totalActivity.toExponential(4),
+            r.dominant || '',
+            r.error || r.sumIndex === null ? '' : r.sumIndex.toExponential(4),
+            r.error ? '' : (r.compliant ? 'yes' : 'no'),
+            quoteCSV(r.error)
+        ].join(','));
+    });
+    return lines.join('\n');
+}
+
+// --- js/store/DatabaseDiff.js ---
+/**
+ * DatabaseDiff.js
+ * Comparison of two nuclear database versions as the solver sees them: cross sections
+ * (target, reaction, product) of the active library, decay constants, isotopic abundances
+ * and limits are each listed as added, removed or changed. Reference scenarios (see
+ * Scenarios.js) are then run on both solvers to show the impact on activities, waste sum
+ * indices and max-ppm values.
+ */
+
+
+
+
+
+const DIFF_CATEGORIES = {
+    xs: 'Cross sections (b)',
+    lambda: 'Decay constants (1/s)',
+    abundance: 'Abundances',
+    limits: 'Limits (Bq/g, clearance / exemption)'
+};
+
+// Relative change below which two values count as equal
+const DEFAULT_DIFF_TOLERANCE = 1e-6;
+
+// Nuclides listed per scenario: those above this share of the total activity in either version
+const ACTIVITY_SHARE = 1e-3;
+
+/**
+ * Values of one solver per category, keyed for comparison.
+ * @returns {{xs: Map, lambda: Map, abundance: Map, limits: Map}} Number values, limits as [clearance, exemption]
+ */
+function snapshotDatabase(solver) {
+    const xs = new Map();
+    solver.xsMap.forEach((reactions, target) => {
+        reactions.forEach(rx => {
+            const key = `${target} (${rx.type}) ${rx.child}`;
+            xs.set(key, (xs.get(key) || 0) + rx.sigma);
+        });
+    });
+    const abundance = new Map();
+    solver.elementMap.forEach((parents, sym) => {
+        parents.forEach(({ A, theta }) => abundance.set(`${sym}-${A}`, theta));
+    });
+    const limits = new Map();
+    solver.limitsMap.forEach((l, nuclide) => limits.set(nuclide, [l.clearance, l.exemption]));
+    return { xs, lambda: new Map(solver.lambdaCache), abundance, limits };
+}
+
+const relChange = (a, b) => {
+    if (a === b) return 0;
+    const scale = Math.max(Math.abs(a), Math.abs(b));
+    return scale > 0 ? (b - a) / scale : 0;
+};
+
+/**
+ * Added, removed and changed entries between two solvers.
+ * @param {NuclearSolver} solverA Reference version
+ * @param {NuclearSolver} solverB New version
+ * @param {number} tolerance Relative change treated as equal
+ * @returns {Object<string, {added: Array, removed: Array, changed: Array}>} Per DIFF_CATEGORIES key;
+ *          entries { Key, A, B, RelChange } with A/B numbers (limits: [clearance, exemption]) or null
+ */
+function diffDatabases(solverA, solverB, tolerance = DEFAULT_DIFF_TOLERANCE) {
+    const a = snapshotDatabase(solverA);
+    const b = snapshotDatabase(solverB);
+    const byKey = (x, y) => x.Key.localeCompare(y.Key, undefined, { numeric: true });
+    const diff = {};
+
+    Object.keys(DIFF_CATEGORIES).forEach(category => {
+        const before = a[category];
+        const after = b[category];
+        const added = [];
+        const removed = [];
+        const changed = [];
+        const change = (x, y) => (Array.isArray(x)
+            ? x.reduce((worst, v, i) => (Math.abs(relChange(v, y[i])) > Math.abs(worst) ? relChange(v, y[i]) : worst), 0)
+            : relChange(x, y));
+
+        after.forEach((value, key) => {
+            if (!before.has(key)) return added.push({ Key: key, A: null, B: value, RelChange: null });
+            const rc = change(before.get(key), value);
+            if (Math.abs(rc) > tolerance) changed.push({ Key: key, A: before.get(key), B: value, RelChange: rc });
+        });
+        before.forEach((value, key) => {
+            if (!after.has(key)) removed.push({ Key: key, A: value, B: null, RelChange: null });
+        });
+        changed.sort((x, y) => Math.abs(y.RelChange) - Math.abs(x.RelChange) || byKey(x, y));
+        diff[category] = { added: added.sort(byKey), removed: removed.sort(byKey), changed };
+    });
+    return diff;
+}
+
+/**
+ * Solver of one version: its cross-section and limit tables with the shared tables and settings.
+ * @param {{xsData: Array, limitsData: Array}} version
+ * @param {{chainData: Array, resonanceData: Array, isomerData: Array, materials: Object,
+ *          importedChains: Array, library: string, engine: string}} shared
+ */
+function buildVersionSolver(version, shared) {
+    const solver = new NuclearSolver(version.xsData, shared.chainData, version.limitsData, shared.resonanceData, shared.isomerData);
+    solver.setLibrary(shared.library);
+    solver.setEngine(shared.engine);
+    solver.setMaterials(shared.materials || {});
+    solver.setImportedChains(shared.importedChains || []);
+    return solver;
+}
+
+/**
+ * Run every scenario on both solvers and list the differences.
+ * @param {NuclearSolver} solverA
+ * @param {NuclearSolver} solverB
+ * @param {Array<Object>} scenarios Validated scenarios (validateScenarios)
+ * @param {Function} onProgress (done, total, scenario name) before each scenario
+ * @returns {Array<{Scenario: string, Quantity: string, Key: string, A: number|null, B: number|null,
+ *          Delta: number|null, RelChange: number|null}>} Quantity: 'Total activity', 'Activity',
+ *          'Sum index' or 'Max ppm'; a scenario that fails on one version gets an 'Error' row
+ */
+function compareScenarios(solverA, solverB, scenarios, onProgress = null) {
+    const rows = [];
+    scenarios.forEach((s, i) => {
+        if (onProgress) onProgress(i, scenarios.length, s.name);
+        let ra;
+        let rb;
+        try {
+            ra = runScenario(solverA, s);
+            rb = runScenario(solverB, s);
+        } catch (e) {
+            rows.push({ Scenario: s.name, Quantity: 'Error', Key: e.message, A: null, B: null, Delta: null, RelChange: null });
+            return;
+        }
+        const push = (quantity, key, x, y) => {
+            const a = x === undefined ? null : x;
+            const b = y === undefined ? null : y;
+            const both = a !== null && b !== null;
+            rows.push({
+                Scenario: s.name,
+                Quantity: quantity,
+                Key: key,
+                A: a,
+                B: b,
+                Delta: both ? b - a : null,
+                RelChange: both ? relChange(a, b) : null
+            });
+        };
+
+        if (s.type === 'maxppm') {
+            const elements = new Set([...ra.maxPPM.keys(), ...rb.maxPPM.keys()]);
+            elements.forEach(el => push('Max ppm', el, ra.maxPPM.get(el), rb.maxPPM.get(el)));
+            return;
+        }
+        push('Total activity', 'Bq', ra.totalActivity, rb.totalActivity);
+        if (s.type === 'waste') push('Sum index', s.limitType, ra.sumIndex, rb.sumIndex);
+
+        const nuclides = new Set();
+        [ra, rb].forEach(r => r.activity.forEach((act, iso) => {
+            if (act >= ACTIVITY_SHARE * r.totalActivity) nuclides.add(iso);
+        }));
+        Array.from(nuclides)
+            .sort((x, y) => Math.max(rb.activity.get(y) || 0, ra.activity.get(y) || 0)
+                - Math.max(rb.activity.get(x) || 0, ra.activity.get(x) || 0))
+            .forEach(iso => push('Activity', iso, ra.activity.get(iso) || 0, rb.activity.get(iso) || 0));
+    });
+    return rows;
+}
+
+const cell = v => (v === null || v === undefined ? '' : Array.isArray(v) ? v.join(' / ') : String(v));
+
+function databaseDiffToCSV(diff) {
+    const lines = [['Category', 'Change', 'Key', 'A', 'B', 'RelChange']];
+    Object.entries(diff).forEach(([category, groups]) => {
+        ['added', 'removed', 'changed'].forEach(change => groups[change].forEach(e => {
+            lines.push([category, change, e.Key, cell(e.A), cell(e.B), cell(e.RelChange)]);
+        }));
+    });
+    return lines.map(l => l.map(quoteCSV).join(',')).join('\n') + '\n';
+}
+
+function scenarioDeltasToCSV(rows) {
+    const columns = ['Scenario', 'Quantity', 'Key', 'A', 'B', 'Delta', 'RelChange'];
+    return [columns, ...rows.map(r => columns.map(c => cell(r[c])))]
+        .map(l => l.map(quoteCSV).join(',')).join('\n') + '\n';
+}
+
+// --- js/engine/SolverJobs.js ---
+/**
+ * SolverJobs.js
+ * NuclearSolver calculations that can run away from the page (see SolverClient.js). A job
+ * names a calculation and carries structured-clone-safe arguments; progress is reported
+ * per element, sample, iteration or parameter as (done, total, label). Shared by the worker
+ * and the in-page fallback.
+ * Pure math, no DOM access.
+ */
+
+
+
+
+
+
+
+
+
+
+class SolverCancelled extends Error {
+    constructor() {
+        super('Calculation cancelled');
+        this.name = 'SolverCancelled';
+    }
+}
+
+/**
+ * Job runners by method name: (solver, args, progress) => result.
+ */
+const SOLVER_JOBS = {
+    // args: [[{ sym, massG }], flux or schedule, tIrrS, tCoolS]; rows of every element, not merged
+    solveElements: (solver, [entries, flux, tIrrS, tCoolS], progress) => {
+        const rows = [];
+        entries.forEach(({ sym, massG }, i) => {
+            progress(i, entries.length, sym);
+            rows.push(...solver.solveElement(sym, massG, flux, tIrrS, tCoolS));
+        });
+        return rows;
+    },
+    // args as NuclearSolver.solveTarget
+    solveTarget: (solver, args, progress) => {
+        progress(0, 1, args[0]);
+        return solver.solveTarget(...args);
+    },
+    // args as NuclearSolver.solveCompound
+    solveCompound: (solver, args, progress) => {
+        progress(0, 1, Object.keys(args[0]).join(', '));
+        return solver.solveCompound(...args);
+    },
+    // args as NuclearSolver.calculateWasteCompliance, without onProgress
+    calculateWasteCompliance: (solver, args, progress) => solver.calculateWasteCompliance(...args.slice(0, 8), progress),
+    // args as NuclearSolver.calculateMaxPPM, without onProgress
+    calculateMaxPPM: (solver, args, progress) => solver.calculateMaxPPM(...args.slice(0, 9), progress),
+    // args: [samples, options] as runSampleBatch; progress per sample
+    runSampleBatch: (solver, [samples, options], progress) => runSampleBatch(solver, samples, options, progress),
+    // args: [kind, options, job]; kind is the MonteCarlo method ('activities', 'wasteSumIndex'
+    // or 'maxPPM'), job the { method, args } of the scenario; progress per iteration
+    monteCarlo: (solver, [kind, options, job], progress) => {
+        if (!['activities', 'wasteSumIndex', 'maxPPM'].includes(kind)) throw new Error(`Unknown Monte Carlo output: ${kind}`);
+        return new MonteCarlo(solver, options)[kind](() => runSolverJob(solver, job), progress);
+    },
+    // args as SensitivityAnalysis.wasteCompliance, without onProgress; progress per parameter
+    wasteSensitivity: (solver, args, progress) => new SensitivityAnalysis(solver).wasteCompliance(...args.slice(0, 8), progress),
+    // args: [p] as GoalSeek.solve
+    goalSeek: (solver, [p], progress) => {
+        progress(0, 1, p.product);
+        return new GoalSeek(solver).solve(p);
+    },
+    // args as NuclearSolver.compareEngines
+    compareEngines: (solver, args, progress) => {
+        progress(0, 1, args[0]);
+        return solver.compareEngines(...args);
+    },
+    // args as NuclearSolver.compareLibraries
+    compareLibraries: (solver, args, progress) => {
+        progress(0, 1, args[0]);
+        return solver.compareLibraries(...args);
+    },
+    // args: [p, gammaRows, detectorConfig]; p as DetectionLimitEstimator.estimate without the
+    // detector, gammaRows the Gamma_Lines.csv rows; progress per matrix element and analyte
+    detectionLimits: (solver, [p, gammaRows, detectorConfig], progress) => {
+        const simulator = new GammaSpectrumSimulator(new DoseRate(gammaRows), solver.lambdaCache);
+        return new DetectionLimitEstimator(solver, simulator).estimate({ ...p, detector: new HPGeDetector(detectorConfig) }, progress);
+    },
+    // args: [versionA, versionB, shared, scenarios]; both solvers are built here (see
+    // buildVersionSolver) with the job's library and engine; { diff, deltas }, progress per scenario
+    compareDatabases: (solver, [versionA, versionB, shared, scenarios], progress) => {
+        progress(0, scenarios.length + 1, 'Database tables');
+        const settings = { ...shared, library: solver.library, engine: solver.engine };
+        const solverA = buildVersionSolver(versionA, settings);
+        const solverB = buildVersionSolver(versionB, settings);
+        const diff = diffDatabases(solverA, solverB);
+        const deltas = compareScenarios(solverA, solverB, scenarios, (i, n, name) => progress(i + 1, n + 1, name));
+        return { diff, deltas };
+    },
+    // args as NuclearSolver.coolingActivities
+    coolingActivities: (solver, args, progress) => {
+        progress(0, 1, 'Decay heat');
+        return solver.coolingActivities(...args);
+    },
+    // args: [sources, flux or schedule, tIrrS, tCoolS, coolingTimesS, seriesOptions]; the reports
+    // under a result table: { products, cooling, isomers, series }, series null without seriesOptions
+    inventoryReports: (solver, [sources, flux, tIrrS, tCoolS, coolingTimesS, seriesOptions], progress) => {
+        progress(0, 4, 'Products');
+        const products = solver.productReport(sources, flux, tIrrS, tCoolS);
+        progress(1, 4, 'Decay heat');
+        const cooling = solver.coolingActivities(sources, flux, tIrrS, tCoolS, coolingTimesS);
+        progress(2, 4, 'Isomers');
+        const isomers = solver.isomerEvolution(sources, flux, tIrrS, tCoolS, coolingTimesS);
+        progress(3, 4, 'Activity vs time');
+        const series = seriesOptions ? solver.activityTimeSeries(sources, flux, tIrrS, tCoolS, seriesOptions) : null;
+        return { products, cooling, isomers, series };
+    }
+};
+
+/**
+ * Run a job on a solver.
+ * @param {NuclearSolver} solver
+ * @param {{method: string, args: Array}} job
+ * @param {{library: string, engine: string}} settings Applied to the solver first
+ * @param {Function} onProgress (done, total, label); may throw SolverCancelled to stop the job
+ */
+function runSolverJob(solver, job, settings = {}, onProgress = null) {
+    const run = SOLVER_JOBS[job.method];
+    if (!run) throw new Error(`Unknown solver job: ${job.method}`);
+    if (settings.library) solver.setLibrary(settings.library);
+    if (settings.engine) solver.setEngine(settings.engine);
+    return run(solver, job.args, onProgress || (() => { }));
+}
+
+// --- js/engine/SolverClient.js ---
+/**
+ * SolverClient.js
+ * Runs NuclearSolver calculations in a Web Worker (SolverWorker.js) so long impurity and
+ * limit lists do not freeze the page. Message API:
+ *   → { type: 'init', tables }                               build the worker's solver
+ *   → { type: 'configure', materials, importedChains }       keep it in step with the page
+ *   → { type: 'run', id, job: { method, args }, settings: { library, engine } }
+ *   ← { type: 'ready' }
+ *   ← { type: 'progress', id, done, total, label }
+ *   ← { type: 'result', id, result } | { type: 'error', id, message }
+ * One job runs at a time. Cancelling terminates the worker; the next job starts a fresh one.
+ * Where workers cannot start (pages opened from file://, older browsers) jobs run on the page
+ * solver after the progress overlay has painted, and can only be cancelled before they start.
+ */
+
+
+
+// Relative to index.html; the version follows app.bundle.js?v= there
+const SOLVER_WORKER_URL = './js/engine/SolverWorker.js?v=1.15';
+
+class SolverClient {
+    /**
+     * @param {NuclearSolver} solver Page solver: library and engine of each job, and the fallback
+     * @param {Object} tables { xsData, chainData, limitsData, resonanceData, isomerData }
+     * @param {string} workerUrl
+     */
+    constructor(solver, tables, workerUrl = SOLVER_WORKER_URL) {
+        this.solver = solver;
+        this.tables = tables;
+        this.workerUrl = workerUrl;
+        this.config = { materials: {}, importedChains: [] };
+        this.useWorker = typeof Worker !== 'undefined';
+        this.worker = null;
+        this.ready = false;
+        this.job = null; // { id, job, settings, resolve, reject, onProgress, timer }
+        this.nextId = 1;
+    }
+
+    get busy() {
+        return this.job !== null;
+    }
+
+    /**
+     * Materials (Presets.getMaterials()) and imported decay chain rows of the page solver.
+     */
+    configure(config) {
+        Object.assign(this.config, config);
+        if (this.worker) this.worker.postMessage({ type: 'configure', ...this.config });
+    }
+
+    /**
+     * Run a job (see SOLVER_JOBS) with the page solver's current library and engine.
+     * @param {string} method
+     * @param {Array} args
+     * @param {Function} onProgress (done, total, element)
+     * @returns {Promise} Job result; rejects with SolverCancelled when cancelled
+     */
+    run(method, args, onProgress = null) {
+        if (this.job) return Promise.reject(new Error('Another calculation is still running'));
+        return new Promise((resolve, reject) => {
+            this.job = {
+                id: this.nextId++,
+                job: { method, args },
+                settings: { library: this.solver.library, engine: this.solver.engine },
+                resolve,
+                reject,
+                onProgress,
+                timer: null
+            };
+            this.start();
+            if (this.worker) this._post(this.job);
+            else this._runInline();
+        });
+    }
+
+    /**
+     * Stop the running job.
+     * @returns {boolean} false when nothing was running
+     */
+    cancel() {
+        if (!this.job) return false;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+            this.ready = false;
+        }
+        clearTimeout(this.job.timer);
+        this._finish(new SolverCancelled());
+        return true;
+    }
+
+    /**
+     * Start the worker ahead of the first job, so it has built its solver by then.
+     */
+    start() {
+        if (!this.useWorker || this.worker) return;
+        let worker;
+        try {
+            worker = new Worker(this.workerUrl);
+        } catch (e) {
+            console.warn('Solver worker unavailable, calculating on the page:', e.message);
+            this.useWorker = false;
+            return;
+        }
+        worker.onmessage = (e) => this._onMessage(e.data);
+        worker.onerror = (e) => this._onWorkerError(e);
+        worker.postMessage({ type: 'init', tables: this.tables });
+        worker.postMessage({ type: 'configure', ...this.config });
+        this.worker = worker;
+    }
+
+    _post(job) {
+        this.worker.postMessage({ type: 'run', id: job.id, job: job.job, settings: job.settings });
+    }
+
+    _onMessage(msg) {
+        if (msg.type === 'ready') {
+            this.ready = true;
+            return;
+        }
+        // Messages of a cancelled job may still arrive
+        if (!this.job || msg.id !== this.job.id) return;
+        if (msg.type === 'progress' && this.job.onProgress) this.job.onProgress(msg.done, msg.total, msg.label);
+        if (msg.type === 'result') this._finish(null, msg.result);
+        if (msg.type === 'error') this._finish(new Error(msg.message));
+    }
+
+    _onWorkerError(e) {
+        if (e.preventDefault) e.preventDefault();
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        if (!this.ready) {
+            // The worker script did not load: calculate on the page from now on
+            console.warn('Solver worker failed to start, calculating on the page:', e.message);
+            this.useWorker = false;
+            if (this.job) this._runInline();
+            return;
+        }
+        this.ready = false;
+        if (this.job) this._finish(new Error(e.message || 'Solver worker stopped'));
+    }
+
+    _runInline() {
+        const job = this.job;
+        // Let the page paint the progress overlay before the solver blocks it
+        job.timer = setTimeout(() => {
+            if (this.job !== job) return;
+            try {
+                const onProgress = (done, total, label) => {
+                    if (this.job !== job) throw new SolverCancelled();
+                    if (job.onProgress) job.onProgress(done, total, label);
+                };
+                this._finish(null, runSolverJob(this.solver, job.job, job.settings, onProgress));
+            } catch (err) {
+                this._finish(err);
+            }
+        }, 0);
+    }
+
+    _finish(err, result) {
+        const job = this.job;
+        if (!job) return;
+        this.job = null;
+        if (err) job.reject(err);
+        else job.resolve(result);
+    }
+}
+
+// --- js/store/DecayDataImport.js ---
+/**
+ * DecayDataImport.js
+ * Builds decay chain tables from standard decay data files:
+ *  - ENDF-6 decay sublibrary (MF=8, MT=457): half-life, decay modes (RTYP), final isomeric
+ *    state (RFS) and branching ratios of every material in the file.
+ *  - ENSDF-derived CSV tables as exported by the IAEA LiveChart (ground_states or levels,
+ *    columns z, n, half_life_sec, decay_1, decay_1_%, ...). Excited levels with a decay
+ *    mode are numbered as isomers (m, m2, ...) in order of energy.
+ *  - The chain table of this tool (BaseDatos_Cadenas_Completas.csv layout), e.g. a table
+ *    exported from an earlier import.
+ * The result is a chain table in the BaseDatos_Cadenas_Completas.csv layout (plus
+ * Padre_Lambda) for NuclearSolver.setImportedChains(). Files are read locally; no network access.
+ */
+
+
+
+
+
+const CHAIN_COLUMNS = [
+    'Target', 'Padre_Isotopo', 'Padre_T1_2', 'Modo_Decay', 'Porcentaje', 'Branching_Ratio',
+    'Hijo_Isotopo', 'Hijo_T1_2', 'Hijo_Lambda', 'Padre_Fuente', 'Hijo_Fuente', 'Padre_Lambda'
+];
+
+// ENDF-6 RTYP digits: label and change of (Z, A); null = no tracked daughter
+const ENDF_STEPS = {
+    1: { label: 'β-', dZ: 1, dA: 0 },
+    2: { label: 'EC/β+', dZ: -1, dA: 0 },
+    3: { label: 'IT', dZ: 0, dA: 0 },
+    4: { label: 'α', dZ: -2, dA: -4 },
+    5: { label: 'n', dZ: 0, dA: -1 },
+    6: null, // spontaneous fission
+    7: { label: 'p', dZ: -1, dA: -1 }
+};
+
+// ENSDF / LiveChart decay mode labels
+const ENSDF_MODES = {
+    'B-': { label: 'β-', dZ: 1, dA: 0 },
+    '2B-': { label: '2β-', dZ: 2, dA: 0 },
+    'EC': { label: 'EC', dZ: -1, dA: 0 },
+    'B+': { label: 'β+', dZ: -1, dA: 0 },
+    'EC+B+': { label: 'EC/β+', dZ: -1, dA: 0 },
+    'B+EC': { label: 'EC/β+', dZ: -1, dA: 0 },
+    '2EC': { label: '2EC', dZ: -2, dA: 0 },
+    'A': { label: 'α', dZ: -2, dA: -4 },
+    'IT': { label: 'IT', dZ: 0, dA: 0 },
+    'N': { label: 'n', dZ: 0, dA: -1 },
+    '2N': { label: '2n', dZ: 0, dA: -2 },
+    'P': { label: 'p', dZ: -1, dA: -1 },
+    '2P': { label: '2p', dZ: -2, dA: -2 },
+    'B-N': { label: 'β-,n', dZ: 1, dA: -1 },
+    'B-2N': { label: 'β-,2n', dZ: 1, dA: -2 },
+    'B-A': { label: 'β-,α', dZ: -1, dA: -4 },
+    'ECP': { label: 'EC,p', dZ: -2, dA: -1 },
+    'B+P': { label: 'EC,p', dZ: -2, dA: -1 },
+    'ECA': { label: 'EC,α', dZ: -3, dA: -4 },
+    'B+A': { label: 'EC,α', dZ: -3, dA: -4 },
+    'SF': null
+};
+
+const LN2 = Math.LN2;
+
+const symbolOf = z => {
+    const el = PERIODIC_TABLE.find(e => e.Z === z);
+    return el ? el.symbol : null;
+};
+
+const stateSuffix = level => (level > 0 ? (level === 1 ? 'm' : `m${level}`) : '');
+
+/**
+ * ENDF-6 real number, e.g. " 2.706500+4", "-1.0-10" or " 1.5E+02".
+ */
+function endfFloat(field) {
+    const s = (field || '').trim();
+    if (!s) return 0;
+    return parseFloat(s.replace(/^([+-]?[\d.]+)([+-]\d+)$/, '$1e$2'));
+}
+
+/**
+ * Decay records of every MF=8/MT=457 section in an ENDF-6 file.
+ * @returns {{nuclides: Array, warnings: string[]}}
+ */
+function parseEndf6Decay(text) {
+    const sections = new Map(); // MAT -> data lines
+    text.split(/\r?\n/).forEach(line => {
+        if (line.length < 75) return;
+        if (line.slice(70, 72).trim() !== '8' || line.slice(72, 75).trim() !== '457') return;
+        const mat = line.slice(66, 70).trim();
+        if (!sections.has(mat)) sections.set(mat, []);
+        sections.get(mat).push(line);
+    });
+
+    const nuclides = [];
+    const warnings = [];
+    sections.forEach((lines, mat) => {
+        const fields = i => Array.from({ length: 6 }, (_, k) => lines[i].slice(k * 11, k * 11 + 11));
+        try {
+            // HEAD: ZA, AWR, LIS, LISO, 0, NST
+            const head = fields(0);
+            const za = Math.round(endfFloat(head[0]));
+            const liso = parseInt(head[3], 10) || 0;
+            const stable = parseInt(head[5], 10) === 1;
+
+            // LIST of average decay energies: T1/2, ΔT1/2, 0, 0, NPL, 0
+            const energies = fields(1);
+            const halfLifeS = endfFloat(energies[0]);
+            let i = 2 + Math.ceil((parseInt(energies[4], 10) || 0) / 6);
+
+            // LIST of decay modes: SPI, PAR, 0, 0, 6·NDK, NDK / RTYP, RFS, Q, ΔQ, BR, ΔBR
+            const ndk = parseInt(fields(i)[5], 10) || 0;
+            const modes = [];
+            for (let k = 0; k < ndk; k++) {
+                const [rtyp, rfs, , , br] = fields(i + 1 + k).map(endfFloat);
+                modes.push({ code: rtyp, finalState: Math.round(rfs), br });
+            }
+
+            const z = Math.floor(za / 1000);
+            const a = za % 1000;
+            const symbol = symbolOf(z);
+            if (!symbol) {
+                warnings.push(`MAT ${mat}: no element with Z = ${z}, skipped`);
+                return;
+            }
+
+            nuclides.push({
+                key: getUniqueId(symbol, a, stateSuffix(liso)),
+                halfLifeS: stable ? 0 : halfLifeS,
+                stable: stable || !(halfLifeS > 0),
+                branches: modes.flatMap(m => {
+                    // RTYP 1.5 = β- followed by neutron emission: one digit per step
+                    const steps = parseFloat(m.code.toFixed(6)).toString().replace('.', '').split('').map(Number);
+                    if (steps.every(s => s === 0)) return [];
+                    let dZ = 0;
+                    let dA = 0;
+                    const labels = [];
+                    for (const s of steps) {
+                        const step = ENDF_STEPS[s];
+                        if (!step) {
+                            if (s !== 6) warnings.push(`${symbol}-${a}: decay mode RTYP ${m.code} has no tracked daughter, skipped`);
+                            return [];
+                        }
+                        dZ += step.dZ;
+                        dA += step.dA;
+                        labels.push(step.label);
+                    }
+                    const daughter = symbolOf(z + dZ);
+                    if (!daughter) return [];
+                    return [{
+                        mode: labels.join(','),
+                        daughter: getUniqueId(daughter, a + dA, stateSuffix(m.finalState)),
+                        br: m.br
+                    }];
+                })
+            });
+        } catch (e) {
+            warnings.push(`MAT ${mat}: malformed MF=8/MT=457 section, skipped`);
+        }
+    });
+
+    return { nuclides, warnings };
+}
+
+/**
+ * Decay records of an ENSDF-derived table (IAEA LiveChart CSV export).
+ * @param {Array<Object>} rows Parsed CSV rows
+ * @returns {{nuclides: Array, warnings: string[]}}
+ */
+function parseEnsdfTable(rows) {
+    const nuclides = [];
+    const warnings = [];
+    const isomerCount = new Map();
+
+    const sorted = rows
+        .map(row => ({ row, energy: parseFloat(row.energy) || 0 }))
+        .sort((x, y) => x.energy - y.energy);
+
+    sorted.forEach(({ row, energy }) => {
+        const z = parseInt(row.z, 10);
+        const a = z + parseInt(row.n, 10);
+        const symbol = symbolOf(z);
+        if (!symbol || !(a > 0)) return;
+
+        const modeColumns = Object.keys(row).filter(c => /^decay_\d+$/.test(c));
+        const modes = modeColumns.map(c => ({ name: (row[c] || '').replace(/[%\s]/g, '').toUpperCase(), pct: row[`${c}_%`] }))
+            .filter(m => m.name);
+        const halfLifeS = parseFloat(row.half_life_sec);
+        const stable = /stable/i.test(row.half_life || '') || (modes.length === 0 && !(halfLifeS > 0));
+
+        // Excited levels only matter when they decay (isomers)
+        let level = 0;
+        if (energy > 0) {
+            if (stable || modes.length === 0) return;
+            const id = `${z}-${a}`;
+            level = (isomerCount.get(id) || 0) + 1;
+            isomerCount.set(id, level);
+        }
+        const key = getUniqueId(symbol, a, stateSuffix(level));
+
+        const branches = [];
+        modes.forEach(m => {
+            if (!(m.name in ENSDF_MODES)) {
+                warnings.push(`${key}: unknown decay mode "${m.name}", skipped`);
+                return;
+            }
+            const mode = ENSDF_MODES[m.name];
+            if (!mode) return; // spontaneous fission
+            let pct = parseFloat((m.pct || '').toString().replace(/^[^\d.]+/, ''));
+            if (isNaN(pct)) {
+                if (modes.length > 1) {
+                    warnings.push(`${key}: no branching for ${m.name}, skipped`);
+                    return;
+                }
+                pct = 100;
+            }
+            const daughter = symbolOf(z + mode.dZ);
+            if (!daughter) return;
+            branches.push({ mode: mode.label, daughter: getUniqueId(daughter, a + mode.dA, ''), br: pct / 100 });
+        });
+
+        nuclides.push({ key, halfLifeS: stable ? 0 : halfLifeS, stable, branches });
+    });
+
+    return { nuclides, warnings };
+}
+
+/**
+ * Chain table rows from decay records. Stable nuclides get one row with Modo_Decay 'stable'.
+ */
+function buildChainRows(nuclides, source) {
+    const halfLives = new Map(nuclides.map(n => [n.key, n]));
+    // Same notation as the local table, e.g. "4.28e+08 s"
+    const fmtT = t => (t > 0 ? `${t.toExponential(2).replace(/e([+-])(\d)$/, 'e$10$2')} s` : 'stable');
+    const rows = [];
+
+    nuclides.forEach(n => {
+        const parent = {
+            Target: '',
+            Padre_Isotopo: n.key,
+            Padre_T1_2: fmtT(n.halfLifeS),
+            Padre_Fuente: source,
+            Padre_Lambda: n.halfLifeS > 0 ? (LN2 / n.halfLifeS).toExponential(6) : ''
+        };
+        if (n.stable || n.branches.length === 0) {
+            rows.push({ ...parent, Modo_Decay: 'stable', Porcentaje: '', Branching_Ratio: '0',
+                Hijo_Isotopo: '', Hijo_T1_2: '', Hijo_Lambda: '', Hijo_Fuente: '' });
+            return;
+        }
+        n.branches.forEach(b => {
+            const d = halfLives.get(b.daughter);
+            rows.push({
+                ...parent,
+                Modo_Decay: b.mode,
+                Porcentaje: `${(b.br * 100).toFixed(2)}%`,
+                Branching_Ratio: b.br.toPrecision(6),
+                Hijo_Isotopo: b.daughter,
+                Hijo_T1_2: d ? fmtT(d.halfLifeS) : '',
+                Hijo_Lambda: d && d.halfLifeS > 0 ? (LN2 / d.halfLifeS).toExponential(6) : '',
+                Hijo_Fuente: d ? source : ''
+            });
+        });
+    });
+    return rows;
+}
+
+/**
+ * Read one decay data file.
+ * @param {string} name File name, used as source label
+ * @param {string} text File contents
+ * @returns {{format: string, nuclides: number, rows: Array<Object>, warnings: string[]}}
+ */
+function importDecayFile(name, text) {
+    const firstLine = (text.split(/\r?\n/).find(l => l.trim()) || '');
+
+    if (text.split(/\r?\n/).some(l => l.length >= 75 && l.slice(70, 72).trim() === '8' && l.slice(72, 75).trim() === '457')) {
+        const { nuclides, warnings } = parseEndf6Decay(text);
+        return { format: 'ENDF-6', nuclides: nuclides.length, rows: buildChainRows(nuclides, name), warnings };
+    }
+
+    const csv = new DataLoader().parseCSV(text);
+    if (firstLine.includes('Padre_Isotopo')) {
+        const rows = csv.filter(r => r.Padre_Isotopo).map(r => ({ ...r, Padre_Fuente: r.Padre_Fuente || name }));
+        return { format: 'Chain table', nuclides: new Set(rows.map(r => r.Padre_Isotopo)).size, rows, warnings: [] };
+    }
+    if (/\bdecay_1\b/.test(firstLine) && /\bz\b/.test(firstLine)) {
+        const { nuclides, warnings } = parseEnsdfTable(csv);
+        return { format: 'ENSDF table', nuclides: nuclides.length, rows: buildChainRows(nuclides, name), warnings };
+    }
+
+    throw new Error(`${name}: not an ENDF-6 decay file (MF=8, MT=457) or ENSDF-derived table`);
+}
+
+/**
+ * Combine chain tables; a parent in a later table replaces the same parent in earlier ones.
+ */
+function combineChainTables(tables) {
+    const byParent = new Map();
+    tables.forEach(rows => {
+        const parents = new Map();
+        rows.forEach(r => {
+            if (!parents.has(r.Padre_Isotopo)) parents.set(r.Padre_Isotopo, []);
+            parents.get(r.Padre_Isotopo).push(r);
+        });
+        parents.forEach((list, parent) => byParent.set(parent, list));
+    });
+    return Array.from(byParent.values()).flat();
+}
+
+function chainRowsToCSV(rows) {
+    return [CHAIN_COLUMNS.join(','), ...rows.map(r => CHAIN_COLUMNS.map(c => quoteCSV(r[c])).join(','))].join('\n');
+}
+
+/**
+ * Decay branches per parent, for compareDecayData().
+ * @returns {Map<string, Map<string, number>>} parent -> (daughter -> BR)
+ */
+function snapshotDecayData(solver) {
+    const snap = new Map();
+    solver.decayMap.forEach((list, parent) => {
+        if (list.length === 0) return;
+        snap.set(parent, new Map(list.map(d => [d.child, d.br])));
+    });
+    return snap;
+}
+
+/**
+ * Which nuclides gained, lost or changed decay chain data between two snapshots.
+ * @returns {{gained: Array, lost: Array, changed: Array}} Entries { nuclide, before, after }
+ *          with before/after as "Daughter (BR %)" lists
+ */
+function compareDecayData(before, after) {
+    const describe = branches => (branches
+        ? Array.from(branches.entries()).map(([d, br]) => `${d} (${(br * 100).toPrecision(3)}%)`).join(', ')
+        : '');
+    const gained = [];
+    const lost = [];
+    const changed = [];
+
+    after.forEach((branches, parent) => {
+        const old = before.get(parent);
+        if (!old) {
+            gained.push({ nuclide: parent, before: '', after: describe(branches) });
+            return;
+        }
+        const differs = old.size !== branches.size
+            || Array.from(branches.entries()).some(([d, br]) => !old.has(d) || Math.abs(old.get(d) - br) > 1e-4 * Math.max(br, 1e-12));
+        if (differs) changed.push({ nuclide: parent, before: describe(old), after: describe(branches) });
+    });
+    before.forEach((branches, parent) => {
+        if (!after.has(parent)) lost.push({ nuclide: parent, before: describe(branches), after: '' });
+    });
+
+    const byName = (x, y) => x.nuclide.localeCompare(y.nuclide, undefined, { numeric: true });
+    return { gained: gained.sort(byName), lost: lost.sort(byName), changed: changed.sort(byName) };
+}
+
+// --- js/store/DataQuality.js ---
+/**
+ * DataQuality.js
+ * Consistency checks of the loaded nuclear data tables. Half-lives: every decay constant
+ * or half-life given for a nuclide (chain table T½ strings and λ columns, database λ and
+ * half-life seconds, isomer table, imported decay data) is converted to λ and compared
+ * with a reference value: the one most statements agree with, preferring the chain table
+ * (whose λ columns the solver applies last). Lint: abundance sums, duplicate and inconsistent
+ * rows, daughters without decay data, branching sums and limit rows the solver cannot use,
+ * each reported as error or warning. Row numbers are CSV line numbers (header = line 1).
+ */
+
+
+
+
+const DEFAULT_HALF_LIFE_TOLERANCE = 0.01;
+
+// λ values the solver drops (see NuclearSolver._setLambda)
+const MIN_LAMBDA = 1e-40;
+
+/**
+ * Every half-life statement of the tables as { Nuclide, Table, Column, Row, Text, Lambda }.
+ * Lambda is in 1/s (0 = stable); entries the solver cannot use are returned separately.
+ * @param {Object} tables { xsData, chainData, isomerData, imports: [{ name, rows }] }
+ * @returns {{entries: Array<Object>, unreadable: Array<Object>, ignored: Array<Object>}}
+ */
+function collectHalfLives(tables) {
+    const entries = [];
+    const unreadable = [];
+    const ignored = [];
+
+    const keyOf = text => {
+        const p = parseIsotopeClean((text || '').toString());
+        return p.symbol ? getUniqueId(p.symbol, p.massNumber, p.metastable) : null;
+    };
+    const addHalfLife = (nuclide, table, column, row, text) => {
+        const clean = (text || '').toString().trim();
+        if (!nuclide || !clean) return;
+        const t = parseHalfLife(clean);
+        const entry = { Nuclide: nuclide, Table: table, Column: column, Row: row, Text: clean, Kind: 'halfLife' };
+        if (t === null) return unreadable.push(entry);
+        entries.push({ ...entry, Lambda: isFinite(t) ? Math.LN2 / t : 0 });
+    };
+    const addLambda = (nuclide, table, column, row, text) => {
+        const clean = (text || '').toString().trim();
+        if (!nuclide || !clean) return;
+        const v = parseFloat(clean);
+        const entry = { Nuclide: nuclide, Table: table, Column: column, Row: row, Text: clean, Kind: 'lambda' };
+        if (isNaN(v)) return unreadable.push(entry);
+        // 0 marks a stable nuclide; anything else at or below MIN_LAMBDA is dropped by the solver
+        if (v !== 0 && !(v > MIN_LAMBDA)) return ignored.push(entry);
+        entries.push({ ...entry, Lambda: v });
+    };
+    const chainTable = (rows, table) => (rows || []).forEach((row, i) => {
+        const parent = keyOf(row.Padre_Isotopo);
+        const child = keyOf(row.Hijo_Isotopo);
+        addHalfLife(parent, table, 'Padre_T1_2', i + 2, row.Padre_T1_2);
+        addLambda(parent, table, 'Padre_Lambda', i + 2, row.Padre_Lambda);
+        addHalfLife(child, table, 'Hijo_T1_2', i + 2, row.Hijo_T1_2);
+        addLambda(child, table, 'Hijo_Lambda', i + 2, row.Hijo_Lambda);
+    });
+
+    chainTable(tables.chainData, 'Chain table');
+    (tables.xsData || []).forEach((row, i) => {
+        const daughter = keyOf(row.Daughter_Isotope);
+        addLambda(daughter, 'Database', 'Decay_Constant_Lambda', i + 2, row.Decay_Constant_Lambda);
+        const seconds = (row.Half_Life_Seconds_Daughter || '').toString().trim();
+        if (seconds) addHalfLife(daughter, 'Database', 'Half_Life_Seconds_Daughter', i + 2, `${seconds} s`);
+    });
+    (tables.isomerData || []).forEach((row, i) => {
+        const seconds = (row.Half_Life_s || '').toString().trim();
+        if (seconds) addHalfLife(keyOf(row.Isomer), 'Isomer table', 'Half_Life_s', i + 2, `${seconds} s`);
+    });
+    (tables.imports || []).forEach(imp => chainTable(imp.rows, imp.name));
+
+    return { entries, unreadable, ignored };
+}
+
+/**
+ * Cross-check of all half-life statements per nuclide.
+ * @param {Object} tables See collectHalfLives()
+ * @param {number} tolerance Relative λ difference above which a value is reported
+ * @returns {{tolerance: number, checked: number,
+ *            mismatches: Array<{Nuclide: string, Reference: Object, Entry: Object, RelDiff: number}>,
+ *            stableConflicts: Array<{Nuclide: string, Reference: Object, Entry: Object}>,
+ *            filled: Array<{Nuclide: string, Lambda: number, From: Object}>,
+ *            unreadable: Array<Object>, ignored: Array<Object>}}
+ *          filled: nuclides without a usable λ column whose decay constant the solver takes from a half-life
+ */
+function halfLifeReport(tables, tolerance = DEFAULT_HALF_LIFE_TOLERANCE) {
+    const { entries, unreadable, ignored } = collectHalfLives(tables);
+
+    const byNuclide = new Map();
+    entries.forEach(e => {
+        if (!byNuclide.has(e.Nuclide)) byNuclide.set(e.Nuclide, []);
+        const list = byNuclide.get(e.Nuclide);
+        // Repeated statements of the same value in the same column are checked once
+        if (!list.some(x => x.Table === e.Table && x.Column === e.Column && x.Lambda === e.Lambda)) list.push(e);
+    });
+
+    const rank = e => {
+        if (e.Table === 'Chain table') return e.Kind === 'lambda' ? 0 : 1;
+        if (e.Table === 'Database') return e.Kind === 'lambda' ? 2 : 3;
+        return e.Table === 'Isomer table' ? 4 : 5;
+    };
+
+    const mismatches = [];
+    const stableConflicts = [];
+    const filled = [];
+    let checked = 0;
+    byNuclide.forEach((list, nuclide) => {
+        // Reference: the value most other statements agree with, ties going to the higher-ranked source
+        const agree = (a, b) => (a.Lambda > 0 && b.Lambda > 0)
+            ? Math.abs(a.Lambda - b.Lambda) <= tolerance * a.Lambda
+            : a.Lambda === b.Lambda;
+        const support = new Map(list.map(e => [e, list.filter(x => agree(e, x)).length]));
+        const sorted = list.slice().sort((a, b) => (support.get(b) - support.get(a)) || (rank(a) - rank(b)));
+        const reference = sorted[0];
+
+        if (!list.some(e => e.Kind === 'lambda' && e.Lambda > 0)) {
+            const from = sorted.find(e => e.Kind === 'halfLife' && e.Lambda > 0);
+            if (from) filled.push({ Nuclide: nuclide, Lambda: from.Lambda, From: from });
+        }
+
+        if (sorted.length < 2) return;
+        checked++;
+        sorted.slice(1).forEach(entry => {
+            if ((reference.Lambda > 0) !== (entry.Lambda > 0)) {
+                stableConflicts.push({ Nuclide: nuclide, Reference: reference, Entry: entry });
+                return;
+            }
+            if (!(reference.Lambda > 0)) return;
+            const relDiff = Math.abs(entry.Lambda - reference.Lambda) / reference.Lambda;
+            if (relDiff > tolerance) mismatches.push({ Nuclide: nuclide, Reference: reference, Entry: entry, RelDiff: relDiff });
+        });
+    });
+
+    return {
+        tolerance,
+        checked,
+        mismatches: mismatches.sort((a, b) => b.RelDiff - a.RelDiff),
+        stableConflicts,
+        filled: filled.sort((a, b) => a.Nuclide.localeCompare(b.Nuclide)),
+        unreadable,
+        ignored
+    };
+}
+
+/**
+ * Findings of a half-life report as CSV, one line per finding.
+ */
+function halfLifeReportToCSV(report) {
+    const where = e => `${e.Table} ${e.Column} row ${e.Row}`;
+    const lines = [['Category', 'Nuclide', 'Reference', 'Reference_Value', 'Entry', 'Entry_Value', 'Rel_Diff']];
+    report.mismatches.forEach(m => lines.push(['mismatch', m.Nuclide, where(m.Reference), m.Reference.Text,
+        where(m.Entry), m.Entry.Text, m.RelDiff.toPrecision(4)]));
+    report.stableConflicts.forEach(m => lines.push(['stable conflict', m.Nuclide, where(m.Reference), m.Reference.Text,
+        where(m.Entry), m.Entry.Text, '']));
+    report.filled.forEach(f => lines.push(['filled from half-life', f.Nuclide, '', '', where(f.From), f.From.Text, '']));
+    report.unreadable.forEach(e => lines.push(['unreadable', e.Nuclide, '', '', where(e), e.Text, '']));
+    report.ignored.forEach(e => lines.push(['ignored lambda', e.Nuclide, '', '', where(e), e.Text, '']));
+    return lines.map(l => l.map(quoteCSV).join(',')).join('\n') + '\n';
+}
+
+// =========================================================================
+// DATABASE LINT
+// =========================================================================
+
+// Abundance sums further than this from 1 are errors; closer than ABUNDANCE_WARN they pass
+const ABUNDANCE_ERROR = 0.01;
+const ABUNDANCE_WARN = 0.001;
+// Branching ratio sums of a parent further than this from 1
+const BRANCHING_TOLERANCE = 0.01;
+
+// Daughter of each reaction relative to the target: ΔZ, ΔA, metastable suffix
+const REACTION_DAUGHTERS = {
+    'n,g': { dZ: 0, dA: 1, meta: '' },
+    'n,g1': { dZ: 0, dA: 1, meta: 'm' },
+    'n,p': { dZ: -1, dA: 0, meta: '' },
+    'n,a': { dZ: -2, dA: -3, meta: '' }
+};
+
+const LINT_CATEGORIES = {
+    unreadable: 'Unreadable value',
+    abundanceSum: 'Abundances do not sum to 1',
+    abundanceConflict: 'Conflicting abundance',
+    duplicateReaction: 'Duplicate reaction row',
+    wrongDaughter: 'Daughter does not match the reaction',
+    maxBelowLibraries: 'Max_XS below every evaluated library',
+    daughterNoLambda: 'Daughter without decay constant',
+    branchingSum: 'Branching ratios do not sum to 1',
+    limitName: 'Limit row the solver cannot match',
+    duplicateLimit: 'Duplicate limit row',
+    limitOrder: 'Clearance level above exemption level',
+    limitNeverProduced: 'Limit for a nuclide the solver never produces',
+    productNoLimit: 'Radioactive product without limits'
+};
+
+/**
+ * Lint of the hand-maintained tables. Every issue names its table, CSV rows and nuclides.
+ * @param {Object} tables { xsData, xsName, chainData, limitsData, isomerData, imports: [{ name, rows }] }
+ *        xsData may be any table in the Database_Fixed_Lambdas2.csv layout (xsName labels it)
+ * @returns {{issues: Array<{severity: 'error'|'warning', category: string, table: string, rows: number[],
+ *            nuclides: string[], message: string}>, errors: number, warnings: number}}
+ */
+function lintDatabase(tables) {
+    const issues = [];
+    const add = (severity, category, table, rows, nuclides, message) =>
+        issues.push({ severity, category, table, rows, nuclides, message });
+    const xsName = tables.xsName || 'Database';
+    const keyOf = text => {
+        const p = parseIsotopeClean((text || '').toString());
+        return p.symbol ? getUniqueId(p.symbol, p.massNumber, p.metastable) : null;
+    };
+    const number = v => {
+        const clean = (v === undefined || v === null) ? '' : v.toString().trim();
+        return clean === '' ? null : parseFloat(clean);
+    };
+    const zOf = new Map(PERIODIC_TABLE.map(e => [e.symbol, e.Z]));
+    const symbolOf = new Map(PERIODIC_TABLE.map(e => [e.Z, e.symbol]));
+
+    // --- Cross-section table ---
+    const abundances = new Map();  // element -> Map(A -> [{ value, row }])
+    const reactions = new Map();   // target|reaction|daughter -> [{ row, sigma }]
+    const edges = new Map();       // nuclide -> Set of products (activation and decay)
+    const addEdge = (from, to) => {
+        if (!from || !to) return;
+        if (!edges.has(from)) edges.set(from, new Set());
+        edges.get(from).add(to);
+    };
+    const xsColumns = Object.keys((tables.xsData || [])[0] || {}).filter(c => /^XS_/.test(c));
+
+    (tables.xsData || []).forEach((row, i) => {
+        const line = i + 2;
+        const sym = (row.Symbol || '').toString().trim();
+        const A = parseInt(row.A, 10);
+        const target = sym && A > 0 ? getUniqueId(sym, A, '') : null;
+        const daughter = keyOf(row.Daughter_Isotope);
+        const reaction = (row.Reaction || '').toString().trim();
+        if (!target || !daughter) {
+            add('error', 'unreadable', xsName, [line], [daughter || '?'], !sym && row.Z
+                ? `Symbol missing (Z = ${row.Z}, A = ${row.A}); the solver skips the row`
+                : `Cannot read target "${sym}-${row.A}" or daughter "${row.Daughter_Isotope}"`);
+            return;
+        }
+
+        const theta = number(row.Abundance);
+        if (theta !== null && (isNaN(theta) || theta < 0 || theta > 1)) {
+            add('error', 'unreadable', xsName, [line], [target], `Abundance "${row.Abundance}" is not a fraction`);
+        } else if (theta > 0) {
+            if (!abundances.has(sym)) abundances.set(sym, new Map());
+            const byA = abundances.get(sym);
+            if (!byA.has(A)) byA.set(A, []);
+            byA.get(A).push({ value: theta, row: line });
+        }
+
+        const sigma = number(row.Max_XS);
+        if (sigma === null || isNaN(sigma) || sigma < 0) {
+            add('error', 'unreadable', xsName, [line], [target], `Max_XS "${row.Max_XS}" is not a cross section`);
+        } else {
+            const evaluated = xsColumns.map(c => number(row[c])).filter(v => v > 0);
+            if (sigma > 0 && evaluated.length > 0 && sigma < 0.99 * Math.min(...evaluated)) {
+                add('warning', 'maxBelowLibraries', xsName, [line], [target, daughter],
+                    `${reaction}: Max_XS ${sigma.toPrecision(4)} b, libraries ${evaluated.map(v => v.toPrecision(4)).join(' / ')} b`
+                    + (reaction === 'n,g' ? ' (read as the ground-state partial)' : ''));
+            }
+        }
+
+        const rule = REACTION_DAUGHTERS[reaction];
+        const p = parseIsotopeClean(row.Daughter_Isotope.toString());
+        if (rule && zOf.has(sym)) {
+            const expected = getUniqueId(symbolOf.get(zOf.get(sym) + rule.dZ), A + rule.dA, rule.meta);
+            if (daughter !== expected && !(rule.meta && p.metastable && daughter.replace(/m\d*$/, 'm') === expected)) {
+                add('error', 'wrongDaughter', xsName, [line], [target, daughter], `${target} (${reaction}) should give ${expected}`);
+            }
+        }
+
+        const id = `${target}|${reaction}|${daughter}`;
+        if (!reactions.has(id)) reactions.set(id, []);
+        reactions.get(id).push({ row: line, sigma });
+        if (sigma > 0) addEdge(target, daughter);
+    });
+
+    abundances.forEach((byA, sym) => {
+        let sum = 0;
+        const rows = [];
+        byA.forEach((list, A) => {
+            sum += list[0].value;
+            rows.push(list[0].row);
+            const distinct = Array.from(new Set(list.map(x => x.value)));
+            if (distinct.length > 1) {
+                add('error', 'abundanceConflict', xsName, list.map(x => x.row), [getUniqueId(sym, A, '')],
+                    `Abundance given as ${distinct.join(', ')}`);
+            }
+        });
+        const off = Math.abs(sum - 1);
+        if (off > ABUNDANCE_WARN) {
+            add(off > ABUNDANCE_ERROR ? 'error' : 'warning', 'abundanceSum', xsName, rows.sort((a, b) => a - b),
+                Array.from(byA.keys()).sort((a, b) => a - b).map(A => getUniqueId(sym, A, '')),
+                `${sym}: natural abundances sum to ${sum.toPrecision(5)}`);
+        }
+    });
+
+    reactions.forEach((list, id) => {
+        if (list.length < 2) return;
+        const [target, reaction, daughter] = id.split('|');
+        const same = list.every(x => x.sigma === list[0].sigma);
+        add(same ? 'warning' : 'error', 'duplicateReaction', xsName, list.map(x => x.row), [target, daughter],
+            `${target} (${reaction}) ${daughter} listed ${list.length} times`
+            + (same ? ' with the same cross section (counted once per row)' : `: ${list.map(x => x.sigma).join(' / ')} b`));
+    });
+
+    // --- Decay data ---
+    const decayTable = (rows, table, parentColumn, childColumn) => {
+        const sums = new Map();
+        (rows || []).forEach((row, i) => {
+            const line = i + 2;
+            const parent = keyOf(row[parentColumn]);
+            const childText = (row[childColumn] || '').toString().trim();
+            const child = keyOf(childText);
+            if (!parent || (childText && !child)) {
+                add('error', 'unreadable', table, [line], [parent || '?'],
+                    `Cannot read "${row[parentColumn]}" → "${childText}"`);
+                return;
+            }
+            const br = number(row.Branching_Ratio);
+            if (br === null || !(br > 0)) return;
+            addEdge(parent, child);
+            if (!sums.has(parent)) sums.set(parent, { sum: 0, rows: [] });
+            const s = sums.get(parent);
+            s.sum += br;
+            s.rows.push(line);
+        });
+        sums.forEach((s, parent) => {
+            if (Math.abs(s.sum - 1) > BRANCHING_TOLERANCE) {
+                add(s.sum > 1 ? 'error' : 'warning', 'branchingSum', table, s.rows, [parent],
+                    `Branches of ${parent} sum to ${s.sum.toPrecision(4)}`);
+            }
+        });
+    };
+    decayTable(tables.chainData, 'Chain table', 'Padre_Isotopo', 'Hijo_Isotopo');
+    decayTable(tables.isomerData, 'Isomer table', 'Isomer', 'Daughter');
+    (tables.imports || []).forEach(imp => decayTable(imp.rows, imp.name, 'Padre_Isotopo', 'Hijo_Isotopo'));
+
+    // Decay constants known for each nuclide (0 = stable)
+    const { entries } = collectHalfLives(tables);
+    const lambdas = new Map();
+    entries.forEach(e => lambdas.set(e.Nuclide, Math.max(lambdas.get(e.Nuclide) || 0, e.Lambda)));
+
+    const daughterRows = new Map();
+    (tables.xsData || []).forEach((row, i) => {
+        const d = keyOf(row.Daughter_Isotope);
+        if (!d) return;
+        if (!daughterRows.has(d)) daughterRows.set(d, []);
+        daughterRows.get(d).push(i + 2);
+    });
+    daughterRows.forEach((rows, d) => {
+        if (lambdas.has(d)) return;
+        add('warning', 'daughterNoLambda', xsName, rows, [d], `${d} has no decay constant or half-life and is treated as stable`);
+    });
+
+    // --- Limits ---
+    const limitRows = new Map();
+    (tables.limitsData || []).forEach((row, i) => {
+        const line = i + 2;
+        const name = (row.Isotope || row.Nuclide || '').toString().trim();
+        // Names such as "Sr-90+" (with progeny) or "S-35Gas" carry a suffix after the nuclide
+        const m = name.match(/^([A-Za-z]{1,2}-\d+(?:m\d*)?)(.*)$/);
+        const nuclide = m ? keyOf(m[1]) : null;
+        const clearance = number(row.Limit_Clearance_Bq_g);
+        const exemption = number(row.Limit_Exemption_Bq_g);
+        if (!nuclide || !(clearance > 0) || !(exemption > 0)) {
+            add('error', 'unreadable', 'Limits', [line], [nuclide || name || '?'],
+                `Cannot read "${name}": ${row.Limit_Clearance_Bq_g} / ${row.Limit_Exemption_Bq_g} Bq/g`);
+            return;
+        }
+        if (m[2].trim() !== '' || nuclide !== name) {
+            add('error', 'limitName', 'Limits', [line], [nuclide],
+                `"${name}" is not a plain nuclide name; the solver looks up "${nuclide}" and never uses this row`);
+            return;
+        }
+        if (clearance > exemption) {
+            add('warning', 'limitOrder', 'Limits', [line], [nuclide], `Clearance ${clearance} Bq/g, exemption ${exemption} Bq/g`);
+        }
+        if (!limitRows.has(nuclide)) limitRows.set(nuclide, []);
+        limitRows.get(nuclide).push({ row: line, clearance, exemption });
+    });
+    limitRows.forEach((list, nuclide) => {
+        if (list.length < 2) return;
+        const same = list.every(x => x.clearance === list[0].clearance && x.exemption === list[0].exemption);
+        add(same ? 'warning' : 'error', 'duplicateLimit', 'Limits', list.map(x => x.row), [nuclide],
+            `${nuclide} listed ${list.length} times${same ? '' : ' with different values'}`);
+    });
+
+    // Nuclides reachable from the natural targets through activation and decay
+    const reachable = new Set();
+    const queue = [];
+    abundances.forEach((byA, sym) => byA.forEach((_, A) => queue.push(getUniqueId(sym, A, ''))));
+    while (queue.length > 0) {
+        const n = queue.pop();
+        if (reachable.has(n)) continue;
+        reachable.add(n);
+        (edges.get(n) || []).forEach(next => { if (!reachable.has(next)) queue.push(next); });
+    }
+
+    limitRows.forEach((list, nuclide) => {
+        if (reachable.has(nuclide)) return;
+        add('warning', 'limitNeverProduced', 'Limits', list.map(x => x.row), [nuclide],
+            `No activation or decay route from a natural target leads to ${nuclide}`);
+    });
+    reachable.forEach(nuclide => {
+        if (!(lambdas.get(nuclide) > 0) || limitRows.has(nuclide)) return;
+        add('warning', 'productNoLimit', 'Limits', [], [nuclide],
+            `${nuclide} can be produced but has no clearance or exemption level the solver can match (ignored in sum indices)`);
+    });
+
+    const order = Object.keys(LINT_CATEGORIES);
+    issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1)
+        || order.indexOf(a.category) - order.indexOf(b.category));
+    return {
+        issues,
+        errors: issues.filter(x => x.severity === 'error').length,
+        warnings: issues.filter(x => x.severity === 'warning').length
+    };
+}
+
+/**
+ * Lint issues as CSV, one line per issue (rows and nuclides separated by spaces).
+ */
+function lintReportToCSV(lint) {
+    const lines = [['Severity', 'Category', 'Table', 'Rows', 'Nuclides', 'Message']];
+    lint.issues.forEach(i => lines.push([i.severity, LINT_CATEGORIES[i.category], i.table,
+        i.rows.join(' '), i.nuclides.join(' '), i.message]));
+    return lines.map(l => l.map(quoteCSV).join(',')).join('\n') + '\n';
+}
+
+// --- js/app.js ---
+/**
+ * app.js
+ * The Main Orchestrator for NuclearX Premium.
+ * Initializes the store, components, and workers.
+ */
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+// Inputs of the k0-NAA tab saved in presets (element ids are `k0-${field}`)
+const K0_FIELDS = ['mass', 'irr', 'decay', 'live', 'real', 'f', 'alpha', 'au-mass', 'au-area', 'au-unc', 'au-decay', 'au-live', 'au-real', 'eff', 'eff-unc', 'f-unc', 'alpha-unc'];
+
+class App {
+    constructor() {
+        this.dataLoader = new DataLoader();
+        this.solver = null;
+        this.doseRate = null;
+        this.decayHeat = null;
+        this.scheduleEditors = {};
+        this.batchResults = {};
+        this.init();
+    }
+
+    async init() {
+        try {
+            // Security Check with Role Support
+            const authResult = await PasswordGate.init();
+            if (!authResult || !authResult.authenticated) return;
+
+            const userRole = authResult.role;
+            console.log(`%c Thermal NAA Tool Initializing (Role: ${userRole}) `, 'background: #0066ff; color: #fff; border-radius: 4px; padding: 2px 8px;');
+
+            // Initialize UI
+            this.setupNavigation();
+            this.renderSingleIsotopeForm();
+            this.renderImpurityForm();
+            this.renderWasteForm();
+            this.renderLimitForm();
+            this.renderK0Form();
+            this.setupScheduleEditors();
+            this.setupAutocomplete();
+            this.setupEventListeners();
+
+            // Apply role-based restrictions and show role indicator
+            this.applyRoleRestrictions();
+            this.renderRoleIndicator();
+
+            this.dataLoader.loadAll()
+                .then(() => {
+                    const state = appStore.getState();
+                    if (state.dataLoaded) {
+                        this.solver = new NuclearSolver(state.xsData, state.chainData, state.limitsData, state.resonanceData, state.isomerData);
+                        this.solverClient = new SolverClient(this.solver, {
+                            xsData: state.xsData,
+                            chainData: state.chainData,
+                            limitsData: state.limitsData,
+                            resonanceData: state.resonanceData,
+                            isomerData: state.isomerData
+                        });
+                        this.doseRate = new DoseRate(state.gammaData);
+                        this.decayHeat = new DecayHeat(state.decayEnergyData);
+                        this.applyMaterials();
+                        this.applyDecayData();
+                        this.solverClient.start();
+                        // Initialize Search Module with Isotope Data
+                        const isotopeList = this.extractIsotopesFromData(state.xsData);
+                        searchModule.loadIsotopes(isotopeList);
+                        console.log('Math Engine & Search Module Initialized');
+                    }
+                    console.log('App ready');
+                    // Hide any initial loading spinner if applicable
+                })
+                .catch(err => {
+                    console.error('Data loading error:', err);
+                    this.showError('Database Error', `Failed to load nuclear data CSV files. Check if they exist in public/data/. Details: ${err.message}`);
+                });
+        } catch (error) {
+            console.error('Initialization Error:', error);
+            this.showError('Application Error', `Failed to initialize the tool. Details: ${error.message}`);
+        }
+    }
+
+    showError(title, msg) {
+        const modal = document.createElement('div');
+        modal.className = 'card';
+        modal.style.cssText = 'position:fixed; top:50%; left:50%; transform:translate(-50%, -50%); z-index:100000; padding:2rem; background:#1a1a3a; border:2px solid #ff6b6b; color:white; max-width:500px; box-shadow:0 0 50px rgba(0,0,0,0.8);';
+        modal.innerHTML = `
+            <h2 style="color:#ff6b6b; margin-top:0;">⚠️ ${title}</h2>
+            <p>${msg}</p>
+            <button onclick="location.reload()" class="btn btn-primary" style="margin-top:1rem; width:100%;">Retry / Refresh</button>
+        `;
+        document.body.appendChild(modal);
+    }
+
+    /**
+     * Apply role-based restrictions to form inputs.
+     * Basic users can only edit isotope selection inputs.
+     */
+    applyRoleRestrictions() {
+        UserRoles.applyRestrictions();
+        console.log(`UserRoles: Applied restrictions for role "${UserRoles.getCurrentRole()}"`);
+    }
+
+    /**
+     * Add a visual indicator showing the current user role in the header.
+     */
+    renderRoleIndicator() {
+        const role = UserRoles.getCurrentRole();
+        const displayName = UserRoles.getRoleDisplayName();
+
+        // Find header actions area
+        const headerActions = document.querySelector('.header-actions');
+        if (!headerActions) return;
+
+        // Remove existing indicator
+        const existing = document.getElementById('role-indicator');
+        if (existing) existing.remove();
+
+        // Create role badge
+        const badge = document.createElement('div');
+        badge.id = 'role-indicator';
+        badge.className = 'role-indicator';
+        badge.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            padding: 6px 12px;
+            border-radius: 20px;
+            font-size: 0.75rem;
+            font-weight: 600;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+            ${role === 'admin'
+                ? 'background: linear-gradient(135deg, #00d4ff, #0099cc); color: #000;'
+                : 'background: rgba(255,255,255,0.1); color: var(--text-secondary); border: 1px solid rgba(255,255,255,0.2);'}
+        `;
+        badge.innerHTML = `
+            <span style="font-size: 0.9em;">${role === 'admin' ? '👑' : '👁️'}</span>
+            <span>${displayName}</span>
+        `;
+
+        // Insert at beginning of header actions
+        headerActions.insertBefore(badge, headerActions.firstChild);
+    }
+
+    setupNavigation() {
+        const tabs = document.querySelectorAll('.nav-tab');
+        tabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                const target = tab.dataset.tab;
+                appStore.setState({ activeTab: target });
+                this.updateActiveTabs(target);
+            });
+        });
+        appStore.subscribe((state) => {
+            this.updateActiveTabs(state.activeTab);
+        });
+    }
+
+    updateActiveTabs(activeId) {
+        document.querySelectorAll('.nav-tab').forEach(t => t.classList.toggle('active', t.dataset.tab === activeId));
+        document.querySelectorAll('.tab-panel').forEach(p => p.classList.toggle('active', p.id === `tab-${activeId}`));
+    }
+
+    setupScheduleEditors() {
+        const defaultsFrom = (fluxId, timeId, coolId) => () => ({
+            flux: document.getElementById(fluxId).value,
+            irrDays: document.getElementById(timeId).value,
+            coolDays: document.getElementById(coolId).value
+        });
+
+        this.scheduleEditors = {
+            single: new ScheduleEditor('input-schedule', { defaults: defaultsFrom('input-flux', 'input-time', 'input-cool') }),
+            impurity: new ScheduleEditor('imp-schedule', { defaults: defaultsFrom('imp-flux', 'imp-time', 'imp-cool') }),
+            waste: new ScheduleEditor('waste-schedule', { defaults: defaultsFrom('waste-flux', 'waste-time', 'waste-cool') }),
+            limit: new ScheduleEditor('lim-schedule', { defaults: defaultsFrom('lim-flux', 'lim-time', 'lim-cool') })
+        };
     }
 
     setupAutocomplete() {
@@ -5317,166 +13350,1015 @@ class App {
             // Optional: Auto-trigger calculation? Better not, let user confirm parameters.
         });
 
-        // Impurity inputs expect Elements (e.g. Fe, Co)
-        new Autocomplete('imp-sym', (val) => {
-            document.getElementById('imp-ppm')?.focus();
-        }, { filterType: 'element' });
+        // Impurity inputs expect Elements (e.g. Fe, Co)
+        new Autocomplete('imp-sym', (val) => {
+            document.getElementById('imp-ppm')?.focus();
+        }, { filterType: 'element' });
+
+        new Autocomplete('waste-imp-sym', (val) => {
+            document.getElementById('waste-imp-ppm')?.focus();
+        }, { filterType: 'element' });
+
+        new Autocomplete('lim-sym', (val) => {
+            document.getElementById('lim-frac')?.focus();
+        }, { filterType: 'element' });
+    }
+
+    setupEventListeners() {
+        bus.on(EVENTS.CALCULATION_START, () => this.handleCalculation());
+
+        // Delegate Event Listeners for dynamic elements
+        document.body.addEventListener('click', (e) => {
+            const id = e.target.id;
+            if (id === 'btn-calculate') this.handleCalculation();
+            if (id === 'btn-compare-engines') this.handleEngineComparison();
+            if (id === 'btn-compare-libraries') this.handleLibraryComparison();
+            if (id === 'btn-goal-seek') this.handleGoalSeek();
+            if (id === 'btn-cancel-calc' && this.solverClient) this.solverClient.cancel();
+
+            // Impurity Strings
+            if (id === 'btn-add-imp') this.addImpurityItem();
+            if (id === 'btn-calc-imp') this.handleImpurityCalculation();
+            if (id === 'btn-dl-imp') this.handleDetectionLimits();
+            if (id === 'btn-batch-imp') this.handleBatchCalculation('imp');
+
+            // Waste Strings
+            if (id === 'btn-add-waste-imp') this.addWasteItem();
+            if (id === 'btn-calc-waste') this.handleWasteCalculation();
+            if (id === 'btn-sens-waste') this.handleWasteSensitivity();
+            if (id === 'btn-batch-waste') this.handleBatchCalculation('waste');
+
+            // Batch grids
+            const batchRow = e.target.closest('.batch-row');
+            if (batchRow) this.showBatchSample(batchRow.dataset.prefix, parseInt(batchRow.dataset.index, 10));
+            const batchExport = e.target.closest('.btn-batch-export');
+            if (batchExport && this.batchResults[batchExport.dataset.prefix]) {
+                this.downloadCSV(`batch_${batchExport.dataset.prefix}.csv`, batchSummaryToCSV(this.batchResults[batchExport.dataset.prefix].results));
+            }
+
+            // Limit Strings
+            if (id === 'btn-add-lim') this.addLimitItem();
+            if (id === 'btn-calc-lim') this.handleLimitCalculation();
+
+            // k0-NAA Strings
+            if (id === 'btn-add-k0') this.addK0Line();
+            if (id === 'btn-calc-k0') this.handleK0Calculation();
+            if (e.target.classList.contains('btn-remove-k0')) e.target.parentElement.remove();
+
+            // Help Toggle logic
+            if (e.target.classList.contains('help-btn') || e.target.closest('.help-btn')) {
+                const btn = e.target.classList.contains('help-btn') ? e.target : e.target.closest('.help-btn');
+                const targetId = btn.dataset.help;
+                const panel = document.getElementById(targetId);
+                if (panel) {
+                    panel.classList.toggle('active');
+                }
+            }
+
+            // Manual triggers
+            if (id === 'btn-open-manual') document.getElementById('manual-modal').classList.add('active');
+            if (id === 'btn-decay-data') this.showDecayDataModal();
+            if (id === 'btn-data-quality') this.showDataQualityModal();
+            if (id === 'btn-close-manual') document.getElementById('manual-modal').classList.remove('active');
+
+            // Remove buttons
+            if (e.target.classList.contains('btn-remove-item')) {
+                e.target.parentElement.remove();
+            }
+            // Start Presets Logic
+            if (e.target.closest('.btn-save-preset')) {
+                const type = e.target.closest('.btn-save-preset').dataset.type;
+                this.handleSavePreset(type);
+            }
+            if (e.target.closest('.btn-load-preset')) {
+                const type = e.target.closest('.btn-load-preset').dataset.type;
+                this.handleManagePresets(type);
+            }
+            if (e.target.closest('.btn-materials')) {
+                this.showMaterialsModal();
+            }
+            // End Presets Logic
+        });
+    }
+
+    // --- PRESETS HELPERS ---
+    getSingleIsotopeData() {
+        return {
+            iso: document.getElementById('input-iso').value,
+            mass: document.getElementById('input-mass').value,
+            flux: document.getElementById('input-flux').value,
+            time: document.getElementById('input-time').value,
+            cool: document.getElementById('input-cool').value,
+            f: document.getElementById('input-f').value,
+            alpha: document.getElementById('input-alpha').value,
+            engine: document.getElementById('input-engine').value,
+            library: document.getElementById('input-library').value,
+            compound: document.getElementById('input-compound').value,
+            schedule: this.scheduleEditors.single.getData()
+        };
+    }
+    setSingleIsotopeData(data) {
+        if (!data) return;
+        if (data.iso) document.getElementById('input-iso').value = data.iso;
+        if (data.mass) document.getElementById('input-mass').value = data.mass;
+        if (data.flux) document.getElementById('input-flux').value = data.flux;
+        if (data.time) document.getElementById('input-time').value = data.time;
+        if (data.cool) document.getElementById('input-cool').value = data.cool;
+        if (data.f !== undefined) document.getElementById('input-f').value = data.f;
+        if (data.alpha !== undefined) document.getElementById('input-alpha').value = data.alpha;
+        if (data.engine) document.getElementById('input-engine').value = data.engine;
+        if (data.library) document.getElementById('input-library').value = data.library;
+        if (data.compound !== undefined) document.getElementById('input-compound').value = data.compound;
+        if (data.schedule) this.scheduleEditors.single.setData(data.schedule);
+    }
+
+    getImpurityData() {
+        // We only save the main inputs, not the list for now (or maybe we should?)
+        // Let's safe the main inputs to simplify first version
+        return {
+            mass: document.getElementById('imp-mass').value,
+            flux: document.getElementById('imp-flux').value,
+            time: document.getElementById('imp-time').value,
+            cool: document.getElementById('imp-cool').value,
+            f: document.getElementById('imp-f').value,
+            alpha: document.getElementById('imp-alpha').value,
+            engine: document.getElementById('imp-engine').value,
+            library: document.getElementById('imp-library').value,
+            compound: document.getElementById('imp-compound').value,
+            schedule: this.scheduleEditors.impurity.getData()
+        };
+    }
+    setImpurityData(data) {
+        if (!data) return;
+        if (data.mass) document.getElementById('imp-mass').value = data.mass;
+        if (data.flux) document.getElementById('imp-flux').value = data.flux;
+        if (data.time) document.getElementById('imp-time').value = data.time;
+        if (data.cool) document.getElementById('imp-cool').value = data.cool;
+        if (data.f !== undefined) document.getElementById('imp-f').value = data.f;
+        if (data.alpha !== undefined) document.getElementById('imp-alpha').value = data.alpha;
+        if (data.engine) document.getElementById('imp-engine').value = data.engine;
+        if (data.library) document.getElementById('imp-library').value = data.library;
+        if (data.compound !== undefined) document.getElementById('imp-compound').value = data.compound;
+        if (data.schedule) this.scheduleEditors.impurity.setData(data.schedule);
+    }
+
+    getWasteData() {
+        return {
+            mass: document.getElementById('waste-mass').value,
+            total: document.getElementById('waste-total').value,
+            flux: document.getElementById('waste-flux').value,
+            time: document.getElementById('waste-time').value,
+            cool: document.getElementById('waste-cool').value,
+            f: document.getElementById('waste-f').value,
+            alpha: document.getElementById('waste-alpha').value,
+            engine: document.getElementById('waste-engine').value,
+            library: document.getElementById('waste-library').value,
+            compound: document.getElementById('waste-compound').value,
+            schedule: this.scheduleEditors.waste.getData()
+        };
+    }
+    setWasteData(data) {
+        if (!data) return;
+        if (data.mass) document.getElementById('waste-mass').value = data.mass;
+        if (data.total) document.getElementById('waste-total').value = data.total;
+        if (data.flux) document.getElementById('waste-flux').value = data.flux;
+        if (data.time) document.getElementById('waste-time').value = data.time;
+        if (data.cool) document.getElementById('waste-cool').value = data.cool;
+        if (data.f !== undefined) document.getElementById('waste-f').value = data.f;
+        if (data.alpha !== undefined) document.getElementById('waste-alpha').value = data.alpha;
+        if (data.engine) document.getElementById('waste-engine').value = data.engine;
+        if (data.library) document.getElementById('waste-library').value = data.library;
+        if (data.compound !== undefined) document.getElementById('waste-compound').value = data.compound;
+        if (data.schedule) this.scheduleEditors.waste.setData(data.schedule);
+    }
+
+    getLimitData() {
+        return {
+            mass: document.getElementById('lim-mass').value,
+            wmass: document.getElementById('lim-wmass').value,
+            flux: document.getElementById('lim-flux').value,
+            time: document.getElementById('lim-time').value,
+            cool: document.getElementById('lim-cool').value,
+            type: document.getElementById('lim-type').value,
+            f: document.getElementById('lim-f').value,
+            alpha: document.getElementById('lim-alpha').value,
+            engine: document.getElementById('lim-engine').value,
+            library: document.getElementById('lim-library').value,
+            compound: document.getElementById('lim-compound').value,
+            schedule: this.scheduleEditors.limit.getData()
+        };
+    }
+    setLimitData(data) {
+        if (!data) return;
+        if (data.mass) document.getElementById('lim-mass').value = data.mass;
+        if (data.wmass) document.getElementById('lim-wmass').value = data.wmass;
+        if (data.flux) document.getElementById('lim-flux').value = data.flux;
+        if (data.time) document.getElementById('lim-time').value = data.time;
+        if (data.cool) document.getElementById('lim-cool').value = data.cool;
+        if (data.type) document.getElementById('lim-type').value = data.type;
+        if (data.f !== undefined) document.getElementById('lim-f').value = data.f;
+        if (data.alpha !== undefined) document.getElementById('lim-alpha').value = data.alpha;
+        if (data.engine) document.getElementById('lim-engine').value = data.engine;
+        if (data.library) document.getElementById('lim-library').value = data.library;
+        if (data.compound !== undefined) document.getElementById('lim-compound').value = data.compound;
+        if (data.schedule) this.scheduleEditors.limit.setData(data.schedule);
+    }
+
+    getK0Data() {
+        const data = {};
+        K0_FIELDS.forEach(field => { data[field] = document.getElementById(`k0-${field}`).value; });
+        return data;
+    }
+    setK0Data(data) {
+        if (!data) return;
+        K0_FIELDS.forEach(field => {
+            if (data[field] !== undefined) document.getElementById(`k0-${field}`).value = data[field];
+        });
+    }
+
+    handleSavePreset(type) {
+        this.showPresetModal('save', type);
+    }
+
+    handleManagePresets(type) {
+        this.showPresetModal('manage', type);
+    }
+
+    showPresetModal(mode, type) {
+        // Remove any existing modal
+        const existing = document.getElementById('preset-modal');
+        if (existing) existing.remove();
+
+        const typeLabels = {
+            single: 'Single Isotope',
+            impurity: 'Impurity',
+            waste: 'Waste Compliance',
+            limit: 'Limit ppm',
+            k0: 'k0-NAA'
+        };
+
+        const modal = document.createElement('div');
+        modal.id = 'preset-modal';
+        modal.style.cssText = `
+            position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+            background: rgba(10, 10, 25, 0.9); z-index: 99998;
+            display: flex; align-items: center; justify-content: center;
+            backdrop-filter: blur(8px);
+        `;
+
+        const card = document.createElement('div');
+        card.className = 'card';
+        card.style.cssText = `
+            padding: 1.5rem; width: 380px; max-height: 80vh; overflow-y: auto;
+            border: 1px solid var(--primary-color); background: var(--bg-card);
+        `;
+
+        if (mode === 'save') {
+            card.innerHTML = `
+                <h3 style="margin-top:0; margin-bottom:1rem; color: var(--primary-color);">
+                    💾 Save Preset - ${typeLabels[type]}
+                </h3>
+                <input type="text" id="preset-name-input" placeholder="Enter preset name..." 
+                    class="input-field" style="width:100%; margin-bottom:1rem;">
+                <div style="display:flex; gap:0.5rem; justify-content:flex-end;">
+                    <button id="preset-cancel-btn" class="btn-secondary">Cancel</button>
+                    <button id="preset-save-btn" class="btn-primary">Save</button>
+                </div>
+            `;
+        } else {
+            // Manage mode - show list with load/delete
+            const presets = Presets.getList(type);
+            const allData = Presets.getAll();
+
+            let listHTML = '';
+            if (presets.length === 0) {
+                listHTML = '<p style="color: var(--text-muted); text-align:center; padding:1rem;">No presets saved yet.</p>';
+            } else {
+                presets.forEach(name => {
+                    const preset = allData[type][name];
+                    const date = new Date(preset.timestamp).toLocaleDateString();
+                    listHTML += `
+                        <div class="preset-item" style="
+                            display:flex; justify-content:space-between; align-items:center;
+                            padding:0.75rem; margin-bottom:0.5rem; 
+                            background:rgba(255,255,255,0.05); border-radius:6px;
+                        ">
+                            <div>
+                                <span style="font-weight:500; color:var(--text-primary);">${name}</span>
+                                <span style="font-size:0.8em; color:var(--text-muted); margin-left:0.5rem;">${date}</span>
+                            </div>
+                            <div style="display:flex; gap:0.5rem;">
+                                <button class="btn-secondary preset-load-btn" data-name="${name}" style="padding:4px 8px; font-size:0.85em;">Load</button>
+                                <button class="btn-secondary preset-delete-btn" data-name="${name}" style="padding:4px 8px; font-size:0.85em; color:#ff6b6b; border-color:#ff6b6b;">✕</button>
+                            </div>
+                        </div>
+                    `;
+                });
+            }
+
+            card.innerHTML = `
+                <h3 style="margin-top:0; margin-bottom:1rem; color: var(--primary-color);">
+                    📂 Manage Presets - ${typeLabels[type]}
+                </h3>
+                <div id="preset-list">${listHTML}</div>
+                <div style="display:flex; justify-content:flex-end; margin-top:1rem;">
+                    <button id="preset-cancel-btn" class="btn-secondary">Close</button>
+                </div>
+            `;
+        }
+
+        modal.appendChild(card);
+        document.body.appendChild(modal);
+
+        // Focus input if save mode
+        if (mode === 'save') {
+            setTimeout(() => document.getElementById('preset-name-input').focus(), 50);
+        }
+
+        // Event handlers
+        modal.addEventListener('click', (e) => {
+            const target = e.target;
+
+            // Cancel/Close
+            if (target.id === 'preset-cancel-btn' || target === modal) {
+                modal.remove();
+            }
+
+            // Save
+            if (target.id === 'preset-save-btn') {
+                const nameInput = document.getElementById('preset-name-input');
+                const name = nameInput.value.trim();
+                if (name) {
+                    let data = null;
+                    if (type === 'single') data = this.getSingleIsotopeData();
+                    if (type === 'impurity') data = this.getImpurityData();
+                    if (type === 'waste') data = this.getWasteData();
+                    if (type === 'limit') data = this.getLimitData();
+                    if (type === 'k0') data = this.getK0Data();
+
+                    Presets.save(type, name, data);
+                    this.showToast(`Preset "${name}" saved!`, 'success');
+                    modal.remove();
+                } else {
+                    nameInput.style.borderColor = '#ff6b6b';
+                    nameInput.placeholder = 'Name is required!';
+                }
+            }
+
+            // Load
+            if (target.classList.contains('preset-load-btn')) {
+                const name = target.dataset.name;
+                const data = Presets.load(type, name);
+
+                if (type === 'single') this.setSingleIsotopeData(data);
+                if (type === 'impurity') this.setImpurityData(data);
+                if (type === 'waste') this.setWasteData(data);
+                if (type === 'limit') this.setLimitData(data);
+                if (type === 'k0') this.setK0Data(data);
+
+                this.showToast(`Loaded "${name}"`, 'success');
+                modal.remove();
+            }
+
+            // Delete
+            if (target.classList.contains('preset-delete-btn')) {
+                const name = target.dataset.name;
+                if (confirm(`Delete preset "${name}"?`)) {
+                    Presets.delete(type, name);
+                    target.closest('.preset-item').remove();
+                    this.showToast(`Deleted "${name}"`, 'info');
+
+                    // If no presets left, show message
+                    const remaining = document.querySelectorAll('#preset-list .preset-item');
+                    if (remaining.length === 0) {
+                        document.getElementById('preset-list').innerHTML =
+                            '<p style="color: var(--text-muted); text-align:center; padding:1rem;">No presets saved yet.</p>';
+                    }
+                }
+            }
+        });
+
+        // Enter key to save
+        if (mode === 'save') {
+            document.getElementById('preset-name-input').addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') document.getElementById('preset-save-btn').click();
+            });
+        }
+    }
 
-        new Autocomplete('waste-imp-sym', (val) => {
-            document.getElementById('waste-imp-ppm')?.focus();
-        }, { filterType: 'element' });
+    // --- TARGET MATERIALS ---
+
+    /**
+     * Push the saved materials to the solver and the autocomplete.
+     */
+    applyMaterials() {
+        const materials = Presets.getMaterials();
+        if (this.solver) this.solver.setMaterials(materials);
+        if (this.solverClient) this.solverClient.configure({ materials });
+        searchModule.loadMaterials(materials);
+    }
+
+    /**
+     * Parse "176:82, 175:18" into { 176: 82, 175: 18 }. Returns null on a malformed entry.
+     */
+    parseComposition(text) {
+        const composition = {};
+        const parts = text.split(/[,;]/).map(p => p.trim()).filter(p => p);
+        for (const part of parts) {
+            const m = part.match(/^(\d+)\s*[:=]\s*([\d.eE+-]+)\s*%?$/);
+            if (!m) return null;
+            const A = parseInt(m[1], 10);
+            const pct = parseFloat(m[2]);
+            if (!(A > 0) || !(pct > 0)) return null;
+            composition[A] = (composition[A] || 0) + pct;
+        }
+        return Object.keys(composition).length > 0 ? composition : null;
+    }
+
+    formatComposition(composition) {
+        return Object.entries(composition || {})
+            .map(([A, pct]) => `${A}:${pct}`)
+            .join(', ');
+    }
+
+    showMaterialsModal() {
+        const existing = document.getElementById('preset-modal');
+        if (existing) existing.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'preset-modal';
+        modal.style.cssText = `
+            position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+            background: rgba(10, 10, 25, 0.9); z-index: 99998;
+            display: flex; align-items: center; justify-content: center;
+            backdrop-filter: blur(8px);
+        `;
+
+        const card = document.createElement('div');
+        card.className = 'card';
+        card.style.cssText = `
+            padding: 1.5rem; width: 440px; max-height: 80vh; overflow-y: auto;
+            border: 1px solid var(--primary-color); background: var(--bg-card);
+        `;
+
+        const renderList = () => {
+            const materials = Presets.getMaterials();
+            const names = Object.keys(materials).sort();
+            if (names.length === 0) {
+                return '<p style="color: var(--text-muted); text-align:center; padding:1rem;">No materials defined yet.</p>';
+            }
+            return names.map(name => `
+                <div class="preset-item" style="
+                    display:flex; justify-content:space-between; align-items:center;
+                    padding:0.75rem; margin-bottom:0.5rem;
+                    background:rgba(255,255,255,0.05); border-radius:6px;
+                ">
+                    <div>
+                        <span style="font-weight:500; color:var(--text-primary);">${name}</span>
+                        <span style="font-size:0.8em; color:var(--text-muted); margin-left:0.5rem;">${materials[name].element} · ${this.formatComposition(materials[name].composition)}</span>
+                    </div>
+                    <div style="display:flex; gap:0.5rem;">
+                        <button class="btn-secondary material-edit-btn" data-name="${name}" style="padding:4px 8px; font-size:0.85em;">Edit</button>
+                        <button class="btn-secondary material-delete-btn" data-name="${name}" style="padding:4px 8px; font-size:0.85em; color:#ff6b6b; border-color:#ff6b6b;">✕</button>
+                    </div>
+                </div>`).join('');
+        };
+
+        card.innerHTML = `
+            <h3 style="margin-top:0; margin-bottom:0.5rem; color: var(--primary-color);">
+                ⚗️ Target Materials
+            </h3>
+            <p style="margin:0 0 1rem 0; font-size:0.8rem; color:var(--text-muted);">
+                Enriched or custom isotopic targets. A material name can be used wherever an element symbol is accepted.
+            </p>
+            <div id="material-list">${renderList()}</div>
+            <div style="display:grid; grid-template-columns: 2fr 1fr; gap:0.5rem; margin-top:1rem;">
+                <input type="text" id="material-name-input" placeholder="Name, e.g. Lu176-enriched" class="input-field">
+                <input type="text" id="material-element-input" placeholder="Element, e.g. Lu" class="input-field">
+            </div>
+            <input type="text" id="material-composition-input" placeholder="Abundance % by mass number, e.g. 176:82, 175:18"
+                class="input-field" style="width:100%; margin-top:0.5rem;">
+            <div style="display:flex; gap:0.5rem; justify-content:flex-end; margin-top:1rem;">
+                <button id="preset-cancel-btn" class="btn-secondary">Close</button>
+                <button id="material-save-btn" class="btn-primary">Save Material</button>
+            </div>
+        `;
+
+        modal.appendChild(card);
+        document.body.appendChild(modal);
+
+        modal.addEventListener('click', (e) => {
+            const target = e.target;
+
+            if (target.id === 'preset-cancel-btn' || target === modal) {
+                modal.remove();
+            }
+
+            if (target.id === 'material-save-btn') {
+                const name = document.getElementById('material-name-input').value.trim();
+                const element = document.getElementById('material-element-input').value.trim();
+                const composition = this.parseComposition(document.getElementById('material-composition-input').value);
+
+                if (!name) return this.showToast('Material name is required', 'warning');
+                if (PERIODIC_TABLE.some(e => e.symbol.toLowerCase() === name.toLowerCase())) {
+                    return this.showToast('Material name must not be an element symbol', 'warning');
+                }
+                if (!PERIODIC_TABLE.some(e => e.symbol === element)) {
+                    return this.showToast(`Unknown element "${element}"`, 'warning');
+                }
+                if (!composition) return this.showToast('Composition must look like "176:82, 175:18"', 'warning');
+
+                Presets.save('material', name, { element, composition });
+                this.applyMaterials();
+                document.getElementById('material-list').innerHTML = renderList();
+
+                const missing = this.solver
+                    ? Object.keys(composition).filter(A => !this.solver.xsMap.has(getUniqueId(element, A, '')))
+                    : [];
+                if (missing.length > 0) {
+                    this.showToast(`Saved "${name}"; no reactions in the database for ${missing.map(A => `${element}-${A}`).join(', ')}`, 'warning');
+                } else {
+                    this.showToast(`Material "${name}" saved!`, 'success');
+                }
+            }
+
+            if (target.classList.contains('material-edit-btn')) {
+                const name = target.dataset.name;
+                const data = Presets.load('material', name);
+                document.getElementById('material-name-input').value = name;
+                document.getElementById('material-element-input').value = data.element;
+                document.getElementById('material-composition-input').value = this.formatComposition(data.composition);
+            }
+
+            if (target.classList.contains('material-delete-btn')) {
+                const name = target.dataset.name;
+                if (confirm(`Delete material "${name}"?`)) {
+                    Presets.delete('material', name);
+                    this.applyMaterials();
+                    document.getElementById('material-list').innerHTML = renderList();
+                    this.showToast(`Deleted "${name}"`, 'info');
+                }
+            }
+        });
+    }
+
+
+    // --- DECAY DATA IMPORT ---
+
+    /**
+     * Push the imported decay chains to the solver.
+     * @returns {Object|null} Nuclides that gained, lost or changed chain data (see compareDecayData)
+     */
+    applyDecayData() {
+        if (!this.solver) return null;
+        const before = snapshotDecayData(this.solver);
+        const rows = combineChainTables(Presets.getDecayData().map(d => d.rows));
+        this.solver.setImportedChains(rows);
+        if (this.solverClient) this.solverClient.configure({ importedChains: rows });
+        return compareDecayData(before, snapshotDecayData(this.solver));
+    }
+
+    downloadCSV(fileName, text) {
+        const url = URL.createObjectURL(new Blob([text], { type: 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    renderDecayImportReport(report, warnings = [], maxRows = 40) {
+        const rows = [
+            ...report.gained.map(r => ({ ...r, change: 'gained', color: 'var(--accent-cyan)' })),
+            ...report.lost.map(r => ({ ...r, change: 'lost', color: '#ff6b6b' })),
+            ...report.changed.map(r => ({ ...r, change: 'changed', color: '#ffc800' }))
+        ];
+        const summary = `${report.gained.length} gained · ${report.lost.length} lost · ${report.changed.length} changed`;
+        const table = rows.length === 0 ? '<p style="font-size:0.85rem; color:var(--text-muted);">No change in the decay chains.</p>' : `
+            <table class="data-table" style="width:100%; font-size:0.75rem;">
+                <thead><tr><th>Nuclide</th><th>Chain data</th><th>Before</th><th>After</th></tr></thead>
+                <tbody>
+                    ${rows.slice(0, maxRows).map(r => `
+                        <tr>
+                            <td>${r.nuclide}</td>
+                            <td style="color:${r.color};">${r.change}</td>
+                            <td>${r.before || '—'}</td>
+                            <td>${r.after || '—'}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+            ${rows.length > maxRows ? `<p style="font-size:0.75rem; color:var(--text-muted);">… and ${rows.length - maxRows} more</p>` : ''}`;
+
+        return `
+            <h4 style="margin:1rem 0 0.5rem 0; color:var(--text-primary);">Import report: ${summary}</h4>
+            ${table}
+            ${warnings.length > 0 ? `
+                <p style="margin:0.5rem 0 0 0; font-size:0.75rem; color:#ffc800;">
+                    ${warnings.slice(0, 10).join('<br>')}${warnings.length > 10 ? `<br>… and ${warnings.length - 10} more warnings` : ''}
+                </p>` : ''}
+        `;
+    }
+
+    showDecayDataModal() {
+        const existing = document.getElementById('preset-modal');
+        if (existing) existing.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'preset-modal';
+        modal.style.cssText = `
+            position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+            background: rgba(10, 10, 25, 0.9); z-index: 99998;
+            display: flex; align-items: center; justify-content: center;
+            backdrop-filter: blur(8px);
+        `;
+
+        const card = document.createElement('div');
+        card.className = 'card';
+        card.style.cssText = `
+            padding: 1.5rem; width: 640px; max-height: 80vh; overflow-y: auto;
+            border: 1px solid var(--primary-color); background: var(--bg-card);
+        `;
+
+        const renderList = () => {
+            const imports = Presets.getDecayData();
+            if (imports.length === 0) {
+                return '<p style="color: var(--text-muted); text-align:center; padding:1rem;">Only the local chain table is in use.</p>';
+            }
+            return imports.map(d => `
+                <div class="preset-item" style="
+                    display:flex; justify-content:space-between; align-items:center;
+                    padding:0.75rem; margin-bottom:0.5rem;
+                    background:rgba(255,255,255,0.05); border-radius:6px;
+                ">
+                    <div>
+                        <span style="font-weight:500; color:var(--text-primary);">${d.name}</span>
+                        <span style="font-size:0.8em; color:var(--text-muted); margin-left:0.5rem;">${d.format} · ${d.nuclides} nuclides · ${d.rows.length} rows · ${new Date(d.timestamp).toLocaleDateString()}</span>
+                    </div>
+                    <div style="display:flex; gap:0.5rem;">
+                        <button class="btn-secondary decay-export-btn" data-name="${d.name}" style="padding:4px 8px; font-size:0.85em;">CSV</button>
+                        <button class="btn-secondary decay-delete-btn" data-name="${d.name}" style="padding:4px 8px; font-size:0.85em; color:#ff6b6b; border-color:#ff6b6b;">✕</button>
+                    </div>
+                </div>`).join('');
+        };
 
-        new Autocomplete('lim-sym', (val) => {
-            document.getElementById('lim-frac')?.focus();
-        }, { filterType: 'element' });
-    }
+        card.innerHTML = `
+            <h3 style="margin-top:0; margin-bottom:0.5rem; color: var(--primary-color);">
+                ☢️ Decay Data
+            </h3>
+            <p style="margin:0 0 1rem 0; font-size:0.8rem; color:var(--text-muted);">
+                Import ENDF-6 decay sublibrary files (MF=8, MT=457), ENSDF-derived tables (IAEA LiveChart CSV)
+                or a chain table exported here. Every nuclide in an import replaces its local decay chain;
+                later imports replace earlier ones. Files are read locally and kept in this browser.
+            </p>
+            <div id="decay-import-list">${renderList()}</div>
+            <div style="display:flex; gap:0.5rem; align-items:center; margin-top:1rem;">
+                <input type="file" id="decay-file-input" multiple accept=".endf,.txt,.dat,.csv,.tape" class="input-field" style="flex:1;">
+                <button id="decay-import-btn" class="btn-primary">Import</button>
+            </div>
+            <div id="decay-import-report"></div>
+            <div style="display:flex; gap:0.5rem; justify-content:flex-end; margin-top:1rem;">
+                <button id="decay-export-all-btn" class="btn-secondary">Export merged chain table</button>
+                <button id="preset-cancel-btn" class="btn-secondary">Close</button>
+            </div>
+        `;
 
-    setupEventListeners() {
-        bus.on(EVENTS.CALCULATION_START, () => this.handleCalculation());
+        modal.appendChild(card);
+        document.body.appendChild(modal);
 
-        // Delegate Event Listeners for dynamic elements
-        document.body.addEventListener('click', (e) => {
-            const id = e.target.id;
-            if (id === 'btn-calculate') this.handleCalculation();
+        const showReport = (report, warnings) => {
+            document.getElementById('decay-import-list').innerHTML = renderList();
+            document.getElementById('decay-import-report').innerHTML = this.renderDecayImportReport(report, warnings);
+        };
 
-            // Impurity Strings
-            if (id === 'btn-add-imp') this.addImpurityItem();
-            if (id === 'btn-calc-imp') this.handleImpurityCalculation();
+        modal.addEventListener('click', async (e) => {
+            const target = e.target;
 
-            // Waste Strings
-            if (id === 'btn-add-waste-imp') this.addWasteItem();
-            if (id === 'btn-calc-waste') this.handleWasteCalculation();
+            if (target.id === 'preset-cancel-btn' || target === modal) {
+                modal.remove();
+            }
 
-            // Limit Strings
-            if (id === 'btn-add-lim') this.addLimitItem();
-            if (id === 'btn-calc-lim') this.handleLimitCalculation();
+            if (target.id === 'decay-import-btn') {
+                if (!this.solver) return this.showToast('Nuclear data is still loading', 'warning');
+                const files = Array.from(document.getElementById('decay-file-input').files || []);
+                if (files.length === 0) return this.showToast('Choose one or more decay data files', 'warning');
 
-            // Help Toggle logic
-            if (e.target.classList.contains('help-btn') || e.target.closest('.help-btn')) {
-                const btn = e.target.classList.contains('help-btn') ? e.target : e.target.closest('.help-btn');
-                const targetId = btn.dataset.help;
-                const panel = document.getElementById(targetId);
-                if (panel) {
-                    panel.classList.toggle('active');
+                const warnings = [];
+                let imported = 0;
+                for (const file of files) {
+                    try {
+                        const result = importDecayFile(file.name, await file.text());
+                        if (result.rows.length === 0) throw new Error(`${file.name}: no decay data found`);
+                        Presets.save('decayData', file.name, result);
+                        warnings.push(...result.warnings.map(w => `${file.name}: ${w}`));
+                        imported++;
+                    } catch (err) {
+                        // localStorage quota errors end up here as well
+                        warnings.push(err.name === 'QuotaExceededError' ? `${file.name}: too large to keep in the browser` : err.message);
+                    }
+                }
+                if (imported === 0) {
+                    document.getElementById('decay-import-report').innerHTML = this.renderDecayImportReport({ gained: [], lost: [], changed: [] }, warnings);
+                    return this.showToast('No decay data imported', 'error');
                 }
+                showReport(this.applyDecayData(), warnings);
+                this.showToast(`Imported ${imported} decay data file${imported > 1 ? 's' : ''}`, 'success');
             }
 
-            // Manual triggers
-            if (id === 'btn-open-manual') document.getElementById('manual-modal').classList.add('active');
-            if (id === 'btn-close-manual') document.getElementById('manual-modal').classList.remove('active');
-
-            // Remove buttons
-            if (e.target.classList.contains('btn-remove-item')) {
-                e.target.parentElement.remove();
+            if (target.classList.contains('decay-export-btn')) {
+                const data = Presets.load('decayData', target.dataset.name);
+                this.downloadCSV(`${target.dataset.name.replace(/\.[^.]+$/, '')}_chains.csv`, chainRowsToCSV(data.rows));
             }
-            // Start Presets Logic
-            if (e.target.closest('.btn-save-preset')) {
-                const type = e.target.closest('.btn-save-preset').dataset.type;
-                this.handleSavePreset(type);
+
+            if (target.id === 'decay-export-all-btn') {
+                const state = appStore.getState();
+                const rows = combineChainTables([state.chainData || [], ...Presets.getDecayData().map(d => d.rows)]);
+                this.downloadCSV('BaseDatos_Cadenas_Completas_merged.csv', chainRowsToCSV(rows));
             }
-            if (e.target.closest('.btn-load-preset')) {
-                const type = e.target.closest('.btn-load-preset').dataset.type;
-                this.handleManagePresets(type);
+
+            if (target.classList.contains('decay-delete-btn')) {
+                const name = target.dataset.name;
+                if (confirm(`Remove imported decay data "${name}"?`)) {
+                    Presets.delete('decayData', name);
+                    showReport(this.applyDecayData(), []);
+                    this.showToast(`Removed "${name}"`, 'info');
+                }
             }
-            // End Presets Logic
         });
     }
 
-    // --- PRESETS HELPERS ---
-    getSingleIsotopeData() {
-        return {
-            iso: document.getElementById('input-iso').value,
-            mass: document.getElementById('input-mass').value,
-            flux: document.getElementById('input-flux').value,
-            time: document.getElementById('input-time').value,
-            cool: document.getElementById('input-cool').value
-        };
-    }
-    setSingleIsotopeData(data) {
-        if (!data) return;
-        if (data.iso) document.getElementById('input-iso').value = data.iso;
-        if (data.mass) document.getElementById('input-mass').value = data.mass;
-        if (data.flux) document.getElementById('input-flux').value = data.flux;
-        if (data.time) document.getElementById('input-time').value = data.time;
-        if (data.cool) document.getElementById('input-cool').value = data.cool;
+    /**
+     * Half-life cross-check section of the data quality report.
+     */
+    renderHalfLifeReport(report, maxRows = 40) {
+        // Table names, nuclides and texts come from the CSV files (and imported file names)
+        const where = e => escapeHtml(`${e.Table} · ${e.Column} · row ${e.Row}`);
+        const halfLife = e => (e.Lambda > 0 ? formatHalfLife(Math.LN2 / e.Lambda) : 'stable');
+        const rows = [
+            ...report.mismatches.map(m => ({ ...m, diff: `${(m.RelDiff * 100).toPrecision(3)}%`, color: '#ffc800' })),
+            ...report.stableConflicts.map(m => ({ ...m, diff: 'stable?', color: '#ff6b6b' }))
+        ];
+        const summary = `${report.checked} nuclides with several values · ${report.mismatches.length} mismatches · `
+            + `${report.stableConflicts.length} stable conflicts · ${report.filled.length} λ filled from half-lives`;
+
+        return `
+            <h4 style="margin:1rem 0 0.5rem 0; color:var(--text-primary);">Half-lives</h4>
+            <p style="margin:0 0 0.5rem 0; font-size:0.8rem; color:var(--text-secondary);">${summary}</p>
+            ${rows.length === 0 ? `<p style="font-size:0.85rem; color:var(--text-muted);">All values agree within ${(report.tolerance * 100).toPrecision(3)}%.</p>` : `
+            <table class="data-table" style="width:100%; font-size:0.75rem;">
+                <thead><tr><th>Nuclide</th><th>Reference</th><th>Differing value</th><th>Δλ</th></tr></thead>
+                <tbody>
+                    ${rows.slice(0, maxRows).map(r => `
+                        <tr>
+                            <td>${escapeHtml(r.Nuclide)}</td>
+                            <td title="${escapeHtml(r.Reference.Text)}">${halfLife(r.Reference)}<br><span style="color:var(--text-muted);">${where(r.Reference)}</span></td>
+                            <td title="${escapeHtml(r.Entry.Text)}">${halfLife(r.Entry)}<br><span style="color:var(--text-muted);">${where(r.Entry)}</span></td>
+                            <td style="color:${r.color}; font-family: var(--font-mono);">${r.diff}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+            ${rows.length > maxRows ? `<p style="font-size:0.75rem; color:var(--text-muted);">… and ${rows.length - maxRows} more</p>` : ''}`}
+            ${report.filled.length > 0 ? `
+                <p style="margin:0.5rem 0 0 0; font-size:0.75rem; color:var(--text-muted);">
+                    λ from half-life only: ${report.filled.map(f => `${escapeHtml(f.Nuclide)} (${halfLife(f.From)})`).join(', ')}
+                </p>` : ''}
+            ${report.unreadable.length + report.ignored.length > 0 ? `
+                <p style="margin:0.5rem 0 0 0; font-size:0.75rem; color:#ff6b6b;">
+                    ${[...report.unreadable.map(e => `Unreadable "${escapeHtml(e.Text)}" (${escapeHtml(e.Nuclide)}, ${where(e)})`),
+                       ...report.ignored.map(e => `λ = ${escapeHtml(e.Text)} ignored (${escapeHtml(e.Nuclide)}, ${where(e)})`)].slice(0, 10).join('<br>')}
+                </p>` : ''}
+        `;
     }
 
-    getImpurityData() {
-        // We only save the main inputs, not the list for now (or maybe we should?)
-        // Let's safe the main inputs to simplify first version
-        return {
-            mass: document.getElementById('imp-mass').value,
-            flux: document.getElementById('imp-flux').value,
-            time: document.getElementById('imp-time').value,
-            cool: document.getElementById('imp-cool').value
-        };
-    }
-    setImpurityData(data) {
-        if (!data) return;
-        if (data.mass) document.getElementById('imp-mass').value = data.mass;
-        if (data.flux) document.getElementById('imp-flux').value = data.flux;
-        if (data.time) document.getElementById('imp-time').value = data.time;
-        if (data.cool) document.getElementById('imp-cool').value = data.cool;
+    /**
+     * Lint section of the data quality report, optionally limited to one category.
+     */
+    renderLintReport(lint, category = '', maxRows = 60) {
+        const counts = new Map();
+        lint.issues.forEach(i => {
+            const c = counts.get(i.category) || { error: 0, warning: 0 };
+            c[i.severity]++;
+            counts.set(i.category, c);
+        });
+        const issues = category ? lint.issues.filter(i => i.category === category) : lint.issues;
+        const color = severity => (severity === 'error' ? '#ff6b6b' : '#ffc800');
+        const list = items => (items.length > 6 ? `${items.slice(0, 6).join(', ')} … (${items.length})` : items.join(', '));
+
+        return `
+            <h4 style="margin:1rem 0 0.5rem 0; color:var(--text-primary);">Database lint: ${lint.errors} errors · ${lint.warnings} warnings</h4>
+            <div style="display:flex; gap:0.5rem; align-items:center; margin-bottom:0.5rem;">
+                <select id="dq-lint-category" class="input-field" style="flex:1;">
+                    <option value="">All categories</option>
+                    ${Object.entries(LINT_CATEGORIES).filter(([key]) => counts.has(key)).map(([key, label]) => {
+                        const c = counts.get(key);
+                        return `<option value="${key}" ${key === category ? 'selected' : ''}>${label} (${c.error} errors, ${c.warning} warnings)</option>`;
+                    }).join('')}
+                </select>
+            </div>
+            ${issues.length === 0 ? '<p style="font-size:0.85rem; color:var(--text-muted);">No issues found.</p>' : `
+            <table class="data-table" style="width:100%; font-size:0.75rem;">
+                <thead><tr><th></th><th>Table</th><th>Rows</th><th>Nuclides</th><th>Issue</th></tr></thead>
+                <tbody>
+                    ${issues.slice(0, maxRows).map(i => `
+                        <tr>
+                            <td style="color:${color(i.severity)};" title="${LINT_CATEGORIES[i.category]}">${i.severity}</td>
+                            <td>${escapeHtml(i.table)}</td>
+                            <td style="font-family: var(--font-mono);">${list(i.rows)}</td>
+                            <td>${escapeHtml(list(i.nuclides))}</td>
+                            <td>${escapeHtml(i.message)}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+            ${issues.length > maxRows ? `<p style="font-size:0.75rem; color:var(--text-muted);">… and ${issues.length - maxRows} more (export the CSV for the full list)</p>` : ''}`}
+        `;
     }
 
-    getWasteData() {
-        return {
-            mass: document.getElementById('waste-mass').value,
-            total: document.getElementById('waste-total').value,
-            flux: document.getElementById('waste-flux').value,
-            time: document.getElementById('waste-time').value,
-            cool: document.getElementById('waste-cool').value
+    /**
+     * Data quality report of the loaded tables (admin).
+     */
+    showDataQualityModal() {
+        const state = appStore.getState();
+        if (!state.dataLoaded) return this.showToast('Nuclear data is still loading', 'warning');
+
+        const existing = document.getElementById('preset-modal');
+        if (existing) existing.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'preset-modal';
+        modal.style.cssText = `
+            position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+            background: rgba(10, 10, 25, 0.9); z-index: 99998;
+            display: flex; align-items: center; justify-content: center;
+            backdrop-filter: blur(8px);
+        `;
+
+        const card = document.createElement('div');
+        card.className = 'card';
+        card.style.cssText = `
+            padding: 1.5rem; width: 760px; max-height: 80vh; overflow-y: auto;
+            border: 1px solid var(--primary-color); background: var(--bg-card);
+        `;
+        card.innerHTML = `
+            <h3 style="margin-top:0; margin-bottom:0.5rem; color: var(--primary-color);">
+                🧪 Data Quality
+            </h3>
+            <p style="margin:0 0 1rem 0; font-size:0.8rem; color:var(--text-muted);">
+                Lint of the cross-section table, chain table, isomer table and limits, and a cross-check of every
+                half-life and decay constant given per nuclide. Row numbers are CSV lines (header = 1).
+            </p>
+            <div style="display:flex; gap:0.5rem; align-items:flex-end;">
+                <div class="form-group" style="margin:0; flex:1;">
+                    <label>CROSS-SECTION TABLE</label>
+                    <select id="dq-xs-table" class="input-field">
+                        <option value="xs">Database_Fixed_Lambdas2.csv (in use)</option>
+                        <option value="xsPrevious">Final_Processed_Database23.csv</option>
+                        <option value="abundances">Updated_Abundances_Cleaned.csv</option>
+                    </select>
+                </div>
+                <div class="form-group" style="margin:0;">
+                    <label>T½ TOLERANCE (%)</label>
+                    <input type="number" id="dq-tolerance" value="${DEFAULT_HALF_LIFE_TOLERANCE * 100}" min="0" step="any" class="input-field" style="width:120px;">
+                </div>
+                <button id="dq-run-btn" class="btn-primary">Check</button>
+            </div>
+            <div id="dq-lint"></div>
+            <div id="dq-report"></div>
+            <div style="display:flex; gap:0.5rem; justify-content:flex-end; margin-top:1rem;">
+                <button id="dq-diff-btn" class="btn-secondary" style="margin-right:auto;">Compare versions…</button>
+                <button id="dq-lint-export-btn" class="btn-secondary">Export lint CSV</button>
+                <button id="dq-export-btn" class="btn-secondary">Export half-lives CSV</button>
+                <button id="preset-cancel-btn" class="btn-secondary">Close</button>
+            </div>
+        `;
+
+        modal.appendChild(card);
+        document.body.appendChild(modal);
+
+        let report = null;
+        let lint = null;
+        const run = async () => {
+            const tolerance = parseFloat(document.getElementById('dq-tolerance').value) / 100;
+            if (!(tolerance >= 0)) return this.showToast('Enter a tolerance of 0% or more', 'warning');
+            const select = document.getElementById('dq-xs-table');
+            let xsData = state.xsData;
+            try {
+                if (select.value !== 'xs') xsData = await this.dataLoader.loadTable(select.value);
+            } catch (err) {
+                return this.showToast(`Cannot load ${select.selectedOptions[0].textContent}: ${err.message}`, 'error');
+            }
+            const tables = {
+                xsData,
+                xsName: select.selectedOptions[0].textContent.replace(/ \(in use\)$/, ''),
+                chainData: state.chainData,
+                limitsData: state.limitsData,
+                isomerData: state.isomerData,
+                imports: Presets.getDecayData()
+            };
+            lint = lintDatabase(tables);
+            report = halfLifeReport(tables, tolerance);
+            document.getElementById('dq-lint').innerHTML = this.renderLintReport(lint);
+            document.getElementById('dq-report').innerHTML = this.renderHalfLifeReport(report);
         };
+        run();
+
+        modal.addEventListener('change', (e) => {
+            if (e.target.id === 'dq-lint-category' && lint) {
+                document.getElementById('dq-lint').innerHTML = this.renderLintReport(lint, e.target.value);
+            }
+        });
+
+        modal.addEventListener('click', (e) => {
+            const target = e.target;
+            if (target.id === 'preset-cancel-btn' || target === modal) modal.remove();
+            if (target.id === 'dq-run-btn') run();
+            if (target.id === 'dq-export-btn' && report) this.downloadCSV('data_quality_half_lives.csv', halfLifeReportToCSV(report));
+            if (target.id === 'dq-lint-export-btn' && lint) this.downloadCSV('data_quality_lint.csv', lintReportToCSV(lint));
+            if (target.id === 'dq-diff-btn') this.showDatabaseDiffModal();
+        });
     }
-    setWasteData(data) {
-        if (!data) return;
-        if (data.mass) document.getElementById('waste-mass').value = data.mass;
-        if (data.total) document.getElementById('waste-total').value = data.total;
-        if (data.flux) document.getElementById('waste-flux').value = data.flux;
-        if (data.time) document.getElementById('waste-time').value = data.time;
-        if (data.cool) document.getElementById('waste-cool').value = data.cool;
+
+    renderDatabaseDiff(diff, maxRows = 15) {
+        const value = v => (v === null ? '—' : Array.isArray(v) ? v.map(x => x.toExponential(3)).join(' / ') : v.toExponential(4));
+        const colors = { added: 'var(--accent-cyan)', removed: '#ff6b6b', changed: '#ffc800' };
+
+        return Object.entries(DIFF_CATEGORIES).map(([category, label]) => {
+            const groups = diff[category];
+            const rows = ['changed', 'added', 'removed'].flatMap(change => groups[change].map(e => ({ ...e, change })));
+            const summary = `${groups.added.length} added · ${groups.removed.length} removed · ${groups.changed.length} changed`;
+            return `
+                <h4 style="margin:1rem 0 0.5rem 0; color:var(--text-primary);">${label}: ${summary}</h4>
+                ${rows.length === 0 ? '<p style="font-size:0.85rem; color:var(--text-muted);">Identical.</p>' : `
+                <table class="data-table" style="width:100%; font-size:0.75rem;">
+                    <thead><tr><th>Entry</th><th></th><th>A</th><th>B</th><th>Change</th></tr></thead>
+                    <tbody>
+                        ${rows.slice(0, maxRows).map(e => `
+                            <tr>
+                                <td>${e.Key}</td>
+                                <td style="color:${colors[e.change]};">${e.change}</td>
+                                <td style="font-family: var(--font-mono);">${value(e.A)}</td>
+                                <td style="font-family: var(--font-mono);">${value(e.B)}</td>
+                                <td style="font-family: var(--font-mono);">${e.RelChange === null ? '' : `${(e.RelChange * 100).toFixed(2)}%`}</td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>
+                ${rows.length > maxRows ? `<p style="font-size:0.75rem; color:var(--text-muted);">… and ${rows.length - maxRows} more (export the CSV for the full list)</p>` : ''}`}
+            `;
+        }).join('');
     }
 
-    getLimitData() {
-        return {
-            mass: document.getElementById('lim-mass').value,
-            wmass: document.getElementById('lim-wmass').value,
-            flux: document.getElementById('lim-flux').value,
-            time: document.getElementById('lim-time').value,
-            cool: document.getElementById('lim-cool').value,
-            type: document.getElementById('lim-type').value
+    /**
+     * Reference scenario results of both versions; per-nuclide rows are limited to maxNuclides per scenario.
+     */
+    renderScenarioDeltas(rows, maxNuclides = 8) {
+        const value = v => (v === null ? '—' : v.toExponential(3));
+        const shown = [];
+        const hidden = new Map();
+        rows.forEach(r => {
+            const count = shown.filter(x => x.Scenario === r.Scenario && x.Quantity === 'Activity').length;
+            if (r.Quantity === 'Activity' && count >= maxNuclides) {
+                hidden.set(r.Scenario, (hidden.get(r.Scenario) || 0) + 1);
+                return;
+            }
+            shown.push(r);
+        });
+        const color = r => {
+            if (r.Quantity === 'Error') return '#ff6b6b';
+            if (r.RelChange === null || Math.abs(r.RelChange) < 1e-3) return 'var(--text-primary)';
+            return Math.abs(r.RelChange) >= 0.1 ? '#ff6b6b' : '#ffc800';
         };
-    }
-    setLimitData(data) {
-        if (!data) return;
-        if (data.mass) document.getElementById('lim-mass').value = data.mass;
-        if (data.wmass) document.getElementById('lim-wmass').value = data.wmass;
-        if (data.flux) document.getElementById('lim-flux').value = data.flux;
-        if (data.time) document.getElementById('lim-time').value = data.time;
-        if (data.cool) document.getElementById('lim-cool').value = data.cool;
-        if (data.type) document.getElementById('lim-type').value = data.type;
-    }
 
-    handleSavePreset(type) {
-        this.showPresetModal('save', type);
+        return `
+            <h4 style="margin:1rem 0 0.5rem 0; color:var(--text-primary);">Reference scenarios</h4>
+            <table class="data-table" style="width:100%; font-size:0.75rem;">
+                <thead><tr><th>Scenario</th><th>Quantity</th><th></th><th>A</th><th>B</th><th>Δ</th><th>Change</th></tr></thead>
+                <tbody>
+                    ${shown.map(r => `
+                        <tr>
+                            <td>${r.Scenario}</td>
+                            <td>${r.Quantity}</td>
+                            <td>${r.Key}</td>
+                            <td style="font-family: var(--font-mono);">${value(r.A)}</td>
+                            <td style="font-family: var(--font-mono);">${value(r.B)}</td>
+                            <td style="font-family: var(--font-mono);">${value(r.Delta)}</td>
+                            <td style="font-family: var(--font-mono); color:${color(r)};">${r.RelChange === null ? '' : `${(r.RelChange * 100).toFixed(2)}%`}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+            ${hidden.size > 0 ? `<p style="font-size:0.75rem; color:var(--text-muted);">
+                ${Array.from(hidden.entries()).map(([name, n]) => `${name}: ${n} more nuclides`).join(' · ')} (export the CSV for the full list)
+            </p>` : ''}
+        `;
     }
 
-    handleManagePresets(type) {
-        this.showPresetModal('manage', type);
-    }
+    /**
+     * Compare two database versions and rerun the reference scenarios on both (admin).
+     */
+    showDatabaseDiffModal() {
+        const state = appStore.getState();
+        if (!state.dataLoaded || !this.solver) return this.showToast('Nuclear data is still loading', 'warning');
 
-    showPresetModal(mode, type) {
-        // Remove any existing modal
         const existing = document.getElementById('preset-modal');
         if (existing) existing.remove();
 
-        const typeLabels = {
-            single: 'Single Isotope',
-            impurity: 'Impurity',
-            waste: 'Waste Compliance',
-            limit: 'Limit ppm'
-        };
-
         const modal = document.createElement('div');
         modal.id = 'preset-modal';
         modal.style.cssText = `
@@ -5486,144 +14368,356 @@ class App {
             backdrop-filter: blur(8px);
         `;
 
+        const tableOptions = selected => [
+            ['xs', 'Database_Fixed_Lambdas2.csv (in use)'],
+            ['xsPrevious', 'Final_Processed_Database23.csv'],
+            ['abundances', 'Updated_Abundances_Cleaned.csv'],
+            ['file', 'Upload CSV…']
+        ].map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`).join('');
+        const versionInputs = (id, label, selected) => `
+            <div class="form-group" style="margin:0; flex:1;">
+                <label>${label}</label>
+                <select id="diff-${id}-table" class="input-field">${tableOptions(selected)}</select>
+                <input type="file" id="diff-${id}-file" accept=".csv" class="input-field" style="display:none; margin-top:0.25rem;">
+                <label style="margin-top:0.5rem;">LIMITS (OPTIONAL CSV, DEFAULT limits.csv)</label>
+                <input type="file" id="diff-${id}-limits" accept=".csv" class="input-field">
+            </div>`;
+        const scenarios = Presets.getReferenceScenarios() || DEFAULT_REFERENCE_SCENARIOS;
+
         const card = document.createElement('div');
         card.className = 'card';
         card.style.cssText = `
-            padding: 1.5rem; width: 380px; max-height: 80vh; overflow-y: auto;
+            padding: 1.5rem; width: 860px; max-height: 85vh; overflow-y: auto;
             border: 1px solid var(--primary-color); background: var(--bg-card);
         `;
-
-        if (mode === 'save') {
-            card.innerHTML = `
-                <h3 style="margin-top:0; margin-bottom:1rem; color: var(--primary-color);">
-                    💾 Save Preset - ${typeLabels[type]}
-                </h3>
-                <input type="text" id="preset-name-input" placeholder="Enter preset name..." 
-                    class="input-field" style="width:100%; margin-bottom:1rem;">
-                <div style="display:flex; gap:0.5rem; justify-content:flex-end;">
-                    <button id="preset-cancel-btn" class="btn-secondary">Cancel</button>
-                    <button id="preset-save-btn" class="btn-primary">Save</button>
-                </div>
-            `;
-        } else {
-            // Manage mode - show list with load/delete
-            const presets = Presets.getList(type);
-            const allData = Presets.getAll();
-
-            let listHTML = '';
-            if (presets.length === 0) {
-                listHTML = '<p style="color: var(--text-muted); text-align:center; padding:1rem;">No presets saved yet.</p>';
-            } else {
-                presets.forEach(name => {
-                    const preset = allData[type][name];
-                    const date = new Date(preset.timestamp).toLocaleDateString();
-                    listHTML += `
-                        <div class="preset-item" style="
-                            display:flex; justify-content:space-between; align-items:center;
-                            padding:0.75rem; margin-bottom:0.5rem; 
-                            background:rgba(255,255,255,0.05); border-radius:6px;
-                        ">
-                            <div>
-                                <span style="font-weight:500; color:var(--text-primary);">${name}</span>
-                                <span style="font-size:0.8em; color:var(--text-muted); margin-left:0.5rem;">${date}</span>
-                            </div>
-                            <div style="display:flex; gap:0.5rem;">
-                                <button class="btn-secondary preset-load-btn" data-name="${name}" style="padding:4px 8px; font-size:0.85em;">Load</button>
-                                <button class="btn-secondary preset-delete-btn" data-name="${name}" style="padding:4px 8px; font-size:0.85em; color:#ff6b6b; border-color:#ff6b6b;">✕</button>
-                            </div>
-                        </div>
-                    `;
-                });
-            }
-
-            card.innerHTML = `
-                <h3 style="margin-top:0; margin-bottom:1rem; color: var(--primary-color);">
-                    📂 Manage Presets - ${typeLabels[type]}
-                </h3>
-                <div id="preset-list">${listHTML}</div>
-                <div style="display:flex; justify-content:flex-end; margin-top:1rem;">
-                    <button id="preset-cancel-btn" class="btn-secondary">Close</button>
-                </div>
-            `;
-        }
+        card.innerHTML = `
+            <h3 style="margin-top:0; margin-bottom:0.5rem; color: var(--primary-color);">
+                🔀 Database Comparison
+            </h3>
+            <p style="margin:0 0 1rem 0; font-size:0.8rem; color:var(--text-muted);">
+                Cross sections (${XS_LIBRARIES[this.solver.library].label}), decay constants, abundances and limits as the solver
+                reads them from each version, then the reference scenarios run on both. Chain, resonance and isomer tables,
+                materials and imported decay data are shared.
+            </p>
+            <div style="display:flex; gap:1rem;">
+                ${versionInputs('a', 'VERSION A (REFERENCE)', 'xs')}
+                ${versionInputs('b', 'VERSION B', 'xsPrevious')}
+            </div>
+            <div class="form-group" style="margin:1rem 0 0 0;">
+                <label>REFERENCE SCENARIOS (JSON)</label>
+                <textarea id="diff-scenarios" class="input-field" rows="8" spellcheck="false"
+                    style="font-family: var(--font-mono); font-size:0.75rem;">${JSON.stringify(scenarios, null, 2)}</textarea>
+                <p style="margin:0.25rem 0 0 0; font-size:0.75rem; color:var(--text-muted);">
+                    type single (target, mass), impurity (impurities {El: ppm}, mass), waste (impurities, mass, wasteMass, limitType)
+                    or maxppm (elements, mass, wasteMass, limitType); all with flux, timeDays, coolDays. Masses in g.
+                </p>
+            </div>
+            <div style="display:flex; gap:0.5rem; margin-top:0.5rem;">
+                <button id="diff-save-scenarios-btn" class="btn-secondary">Save scenarios</button>
+                <button id="diff-reset-scenarios-btn" class="btn-secondary">Reset to defaults</button>
+                <button id="diff-run-btn" class="btn-primary" style="margin-left:auto;">Compare</button>
+            </div>
+            <div id="diff-scenario-report"></div>
+            <div id="diff-report"></div>
+            <div style="display:flex; gap:0.5rem; justify-content:flex-end; margin-top:1rem;">
+                <button id="diff-scenarios-export-btn" class="btn-secondary">Export scenarios CSV</button>
+                <button id="diff-export-btn" class="btn-secondary">Export diff CSV</button>
+                <button id="preset-cancel-btn" class="btn-secondary">Close</button>
+            </div>
+        `;
 
         modal.appendChild(card);
         document.body.appendChild(modal);
 
-        // Focus input if save mode
-        if (mode === 'save') {
-            setTimeout(() => document.getElementById('preset-name-input').focus(), 50);
-        }
+        const readScenarios = () => {
+            try {
+                return validateScenarios(JSON.parse(document.getElementById('diff-scenarios').value));
+            } catch (err) {
+                this.showToast(`Invalid scenarios: ${err.message}`, 'error');
+                return null;
+            }
+        };
+        const readCSV = async file => this.dataLoader.parseCSV(await file.text());
+        const loadVersion = async id => {
+            const key = document.getElementById(`diff-${id}-table`).value;
+            let xsData = state.xsData;
+            if (key === 'file') {
+                const file = document.getElementById(`diff-${id}-file`).files[0];
+                if (!file) throw new Error(`Choose a cross-section CSV for version ${id.toUpperCase()}`);
+                xsData = await readCSV(file);
+            } else if (key !== 'xs') {
+                xsData = await this.dataLoader.loadTable(key);
+            }
+            const limitsFile = document.getElementById(`diff-${id}-limits`).files[0];
+            const limitsData = limitsFile ? await readCSV(limitsFile) : state.limitsData;
+            return { xsData, limitsData };
+        };
+
+        let diff = null;
+        let deltas = null;
+        const run = async () => {
+            const list = readScenarios();
+            if (!list) return;
+            let result;
+            try {
+                const versionA = await loadVersion('a');
+                const versionB = await loadVersion('b');
+                const shared = {
+                    chainData: state.chainData,
+                    resonanceData: state.resonanceData,
+                    isomerData: state.isomerData,
+                    materials: Presets.getMaterials(),
+                    importedChains: combineChainTables(Presets.getDecayData().map(d => d.rows))
+                };
+                result = await this.runSolverJob('compareDatabases', [versionA, versionB, shared, list], 'Database comparison');
+            } catch (err) {
+                console.error(err);
+                return this.showToast(err.message, 'error');
+            }
+            if (!result) return;
+            ({ diff, deltas } = result);
+            document.getElementById('diff-report').innerHTML = this.renderDatabaseDiff(diff);
+            document.getElementById('diff-scenario-report').innerHTML = this.renderScenarioDeltas(deltas);
+            this.showToast('Comparison complete', 'success');
+        };
+
+        modal.addEventListener('change', (e) => {
+            const m = e.target.id.match(/^diff-(a|b)-table$/);
+            if (m) document.getElementById(`diff-${m[1]}-file`).style.display = e.target.value === 'file' ? 'block' : 'none';
+        });
 
-        // Event handlers
         modal.addEventListener('click', (e) => {
             const target = e.target;
-
-            // Cancel/Close
-            if (target.id === 'preset-cancel-btn' || target === modal) {
-                modal.remove();
+            if (target.id === 'preset-cancel-btn' || target === modal) modal.remove();
+            if (target.id === 'diff-run-btn') run();
+            if (target.id === 'diff-save-scenarios-btn') {
+                const list = readScenarios();
+                if (!list) return;
+                Presets.setReferenceScenarios(JSON.parse(document.getElementById('diff-scenarios').value));
+                this.showToast(`Saved ${list.length} reference scenario${list.length === 1 ? '' : 's'}`, 'success');
             }
+            if (target.id === 'diff-reset-scenarios-btn') {
+                Presets.setReferenceScenarios(null);
+                document.getElementById('diff-scenarios').value = JSON.stringify(DEFAULT_REFERENCE_SCENARIOS, null, 2);
+            }
+            if (target.id === 'diff-export-btn' && diff) this.downloadCSV('database_diff.csv', databaseDiffToCSV(diff));
+            if (target.id === 'diff-scenarios-export-btn' && deltas) this.downloadCSV('database_diff_scenarios.csv', scenarioDeltasToCSV(deltas));
+        });
+    }
 
-            // Save
-            if (target.id === 'preset-save-btn') {
-                const nameInput = document.getElementById('preset-name-input');
-                const name = nameInput.value.trim();
-                if (name) {
-                    let data = null;
-                    if (type === 'single') data = this.getSingleIsotopeData();
-                    if (type === 'impurity') data = this.getImpurityData();
-                    if (type === 'waste') data = this.getWasteData();
-                    if (type === 'limit') data = this.getLimitData();
+    /**
+     * Solver engine dropdown shared by all calculator tabs.
+     */
+    renderEngineSelect(id) {
+        const icon = '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="4" y="4" width="16" height="16" rx="2"/><rect x="9" y="9" width="6" height="6"/><path d="M9 1v3M15 1v3M9 20v3M15 20v3M20 9h3M20 14h3M1 9h3M1 14h3"/></svg>';
+        return `
+                    <div class="form-group">
+                        <label>${icon} SOLVER ENGINE</label>
+                        <select id="${id}" class="input-field">
+                            <option value="bateman">Path Enumeration (Bateman)</option>
+                            <option value="cram">Matrix Exponential (CRAM-16)</option>
+                        </select>
+                    </div>`;
+    }
 
-                    Presets.save(type, name, data);
-                    this.showToast(`Preset "${name}" saved!`, 'success');
-                    modal.remove();
-                } else {
-                    nameInput.style.borderColor = '#ff6b6b';
-                    nameInput.placeholder = 'Name is required!';
-                }
-            }
+    /**
+     * Point the solver at the engine chosen in the given dropdown.
+     */
+    applyEngine(selectId) {
+        const select = document.getElementById(selectId);
+        this.solver.setEngine(select ? select.value : 'bateman');
+    }
 
-            // Load
-            if (target.classList.contains('preset-load-btn')) {
-                const name = target.dataset.name;
-                const data = Presets.load(type, name);
+    /**
+     * Cross-section library dropdown shared by all calculator tabs.
+     */
+    renderLibrarySelect(id) {
+        const icon = '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 19.5A2.5 2.5 0 016.5 17H20"/><path d="M6.5 2H20v20H6.5A2.5 2.5 0 014 19.5v-15A2.5 2.5 0 016.5 2z"/></svg>';
+        const options = Object.entries(XS_LIBRARIES)
+            .map(([key, lib]) => `<option value="${key}">${lib.label} (${lib.column})</option>`)
+            .join('');
+        return `
+                    <div class="form-group">
+                        <label>${icon} XS LIBRARY</label>
+                        <select id="${id}" class="input-field">${options}</select>
+                    </div>`;
+    }
 
-                if (type === 'single') this.setSingleIsotopeData(data);
-                if (type === 'impurity') this.setImpurityData(data);
-                if (type === 'waste') this.setWasteData(data);
-                if (type === 'limit') this.setLimitData(data);
+    /**
+     * Rebuild the solver maps for the library chosen in the given dropdown.
+     */
+    applyLibrary(selectId) {
+        const select = document.getElementById(selectId);
+        this.solver.setLibrary(select ? select.value : 'max');
+    }
 
-                this.showToast(`Loaded "${name}"`, 'success');
-                modal.remove();
-            }
+    /**
+     * Epithermal spectrum inputs (Høgdahl f and α) shared by all calculator tabs.
+     * Ids are `${prefix}-f` and `${prefix}-alpha`; f = 0 keeps the pure thermal calculation.
+     */
+    renderSpectrumFields(prefix, f = 0, alpha = 0) {
+        const icon = '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M2 12c2-6 4-6 6 0s4 6 6 0 4-6 6 0"/></svg>';
+        return `
+                    <div class="form-group">
+                        <label title="Thermal-to-epithermal flux ratio. 0 = thermal only">${icon} f (φth / φepi)</label>
+                        <input type="number" id="${prefix}-f" value="${f}" class="input-field" step="1" min="0">
+                    </div>
+                    <div class="form-group">
+                        <label title="Epithermal flux shape parameter, φepi ∝ 1/E^(1+α)">${icon} α (EPITHERMAL SHAPE)</label>
+                        <input type="number" id="${prefix}-alpha" value="${alpha}" class="input-field" step="0.001">
+                    </div>`;
+    }
 
-            // Delete
-            if (target.classList.contains('preset-delete-btn')) {
-                const name = target.dataset.name;
-                if (confirm(`Delete preset "${name}"?`)) {
-                    Presets.delete(type, name);
-                    target.closest('.preset-item').remove();
-                    this.showToast(`Deleted "${name}"`, 'info');
+    /**
+     * Read the f / α inputs of a tab.
+     */
+    readSpectrum(prefix) {
+        const f = document.getElementById(`${prefix}-f`);
+        const alpha = document.getElementById(`${prefix}-alpha`);
+        return {
+            f: f ? parseFloat(f.value) || 0 : 0,
+            alpha: alpha ? parseFloat(alpha.value) || 0 : 0
+        };
+    }
 
-                    // If no presets left, show message
-                    const remaining = document.querySelectorAll('#preset-list .preset-item');
-                    if (remaining.length === 0) {
-                        document.getElementById('preset-list').innerHTML =
-                            '<p style="color: var(--text-muted); text-align:center; padding:1rem;">No presets saved yet.</p>';
-                    }
-                }
-            }
-        });
+    /**
+     * Solver-ready irradiation for a tab: the schedule editor if enabled, otherwise the
+     * classic flux / irradiation / cooling triple, with the tab's spectrum applied.
+     */
+    buildIrradiation(prefix, editor, flux, tIrrS, tCoolS) {
+        const schedule = editor.getSchedule();
+        return normalizeSchedule(schedule || flux, tIrrS, tCoolS, this.readSpectrum(prefix));
+    }
 
-        // Enter key to save
-        if (mode === 'save') {
-            document.getElementById('preset-name-input').addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') document.getElementById('preset-save-btn').click();
-            });
-        }
+    /**
+     * Sample spreadsheet upload of the impurity and waste tabs (see Batch.js for the columns).
+     * The summary grid goes to `${prefix}-batch-area`; a clicked sample opens in the tab's results area.
+     */
+    renderBatchFields(prefix, wasteColumn = false) {
+        const columns = `Sample, Mass (g), Flux, Time (days), Cool (days)${wasteColumn ? ', Waste (g)' : ''}`;
+        return `
+                <div class="form-group" style="margin-top: 1rem;">
+                    <label title="One row per sample, one column per element in ppm (Co, Eu, ...). Optional columns: ${columns}. Empty cells use the values above.">BATCH SAMPLES (CSV)</label>
+                    <div style="display: flex; gap: 0.5rem;">
+                        <input type="file" id="${prefix}-batch-file" accept=".csv,.txt" class="input-field" style="flex: 1;">
+                        <button id="btn-batch-${prefix}" class="btn-secondary">Run Batch</button>
+                    </div>
+                </div>
+                <div id="${prefix}-batch-area" class="results-area"></div>`;
+    }
+
+    /**
+     * Compound / matrix formula input (Lu2O3, Ho(NO3)3 or "Fe 70%, Cr 18%, Ni 12%").
+     */
+    renderCompoundField(prefix, label) {
+        const icon = '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="6" cy="12" r="3"/><circle cx="18" cy="6" r="3"/><circle cx="18" cy="18" r="3"/><path d="M8.6 10.5l6.8-3M8.6 13.5l6.8 3"/></svg>';
+        return `
+                    <div class="form-group">
+                        <label title="Chemical formula or mass percent list. Element mass fractions are derived from standard atomic weights.">${icon} ${label}</label>
+                        <input type="text" id="${prefix}-compound" value="" class="input-field" placeholder="e.g. Lu2O3, Ho(NO3)3, Fe 70%, Cr 18%, Ni 12%">
+                    </div>`;
+    }
+
+    /**
+     * Composition of the tab's compound field, or null when it is empty.
+     * Throws on an unreadable formula.
+     */
+    readCompound(prefix) {
+        const input = document.getElementById(`${prefix}-compound`);
+        const text = input ? input.value.trim() : '';
+        if (!text) return null;
+        return { text, ...compoundComposition(text) };
+    }
+
+    renderCompositionNote(compound) {
+        const parts = Object.entries(compound.fractions)
+            .sort((a, b) => b[1] - a[1])
+            .map(([sym, w]) => `${sym} ${(w * 100).toFixed(2)}%`)
+            .join(' · ');
+        const molar = compound.molarMass ? ` (M = ${compound.molarMass.toFixed(3)} g/mol)` : '';
+        return `
+            <p style="margin: 0 0 1rem 0; font-size: 0.85rem; color: var(--text-secondary);">
+                <b>${escapeHtml(compound.text)}</b>${molar}: ${parts}
+            </p>`;
+    }
+
+    /**
+     * Monte Carlo uncertainty options shared by all calculator tabs.
+     */
+    renderUncertaintyFields(prefix) {
+        const d = DEFAULT_UNCERTAINTY;
+        return `
+                <div class="uncertainty-options">
+                    <label class="schedule-toggle" title="Sample cross sections, decay constants and isotopic abundances (also of target materials) and rerun the calculation N times. Mass fractions and ppm stay exact.">
+                        <input type="checkbox" id="${prefix}-mc"> Monte Carlo uncertainty
+                    </label>
+                    <label>N <input type="number" id="${prefix}-mc-n" value="${d.iterations}" class="input-field" min="10" step="10"></label>
+                    <label title="Used where ENDF/JENDL/JEFF give no spread">XS σ (%) <input type="number" id="${prefix}-mc-xs" value="${d.xsRelSd * 100}" class="input-field" min="0" step="1"></label>
+                    <label>λ σ (%) <input type="number" id="${prefix}-mc-lambda" value="${d.lambdaRelSd * 100}" class="input-field" min="0" step="0.1"></label>
+                    <label>Abundance σ (%) <input type="number" id="${prefix}-mc-abund" value="${d.abundanceRelSd * 100}" class="input-field" min="0" step="0.1"></label>
+                </div>`;
+    }
+
+    /**
+     * Monte Carlo options of a tab, or null when uncertainty mode is off.
+     */
+    readUncertainty(prefix) {
+        const toggle = document.getElementById(`${prefix}-mc`);
+        if (!toggle || !toggle.checked) return null;
+        const pct = (id, fallback) => {
+            const v = parseFloat(document.getElementById(id).value);
+            return isFinite(v) && v >= 0 ? v / 100 : fallback;
+        };
+        return {
+            iterations: parseInt(document.getElementById(`${prefix}-mc-n`).value, 10) || DEFAULT_UNCERTAINTY.iterations,
+            xsRelSd: pct(`${prefix}-mc-xs`, DEFAULT_UNCERTAINTY.xsRelSd),
+            lambdaRelSd: pct(`${prefix}-mc-lambda`, DEFAULT_UNCERTAINTY.lambdaRelSd),
+            abundanceRelSd: pct(`${prefix}-mc-abund`, DEFAULT_UNCERTAINTY.abundanceRelSd)
+        };
     }
 
+    /**
+     * Table of Monte Carlo statistics appended below a tab's results.
+     */
+    renderUncertaintyTable(mc, title, valueLabel) {
+        let html = `
+            <div class="card uncertainty-results" style="padding: 1rem; margin-top: 1.5rem;">
+                <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">${title}
+                    <span style="font-size: 0.8rem; color: var(--text-muted);">(${mc.iterations} samples)</span></h3>
+                <p style="margin: 0 0 1rem 0; font-size: 0.8rem; color: var(--text-muted);">
+                    Sampled: cross sections, decay constants and isotopic abundances (natural and target materials).
+                    Element mass fractions, compound composition and ppm values are treated as exact.
+                </p>
+                <div style="overflow-x: auto;">
+                <table class="data-table" style="width:100%">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>Nominal ${valueLabel}</th>
+                            <th>Mean</th>
+                            <th>Std. Dev.</th>
+                            <th>Rel. SD</th>
+                            <th>95% Interval</th>
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+        mc.stats.slice(0, 25).forEach(r => {
+            const rel = r.Mean > 0 ? (r.SD / r.Mean) * 100 : 0;
+            html += `
+                    <tr>
+                        <td>${r.Key}</td>
+                        <td style="font-family: var(--font-mono);">${r.Nominal.toExponential(3)}</td>
+                        <td style="font-family: var(--font-mono);">${r.Mean.toExponential(3)}</td>
+                        <td style="font-family: var(--font-mono);">${r.SD.toExponential(2)}</td>
+                        <td style="font-family: var(--font-mono);">${rel.toFixed(1)}%</td>
+                        <td style="font-family: var(--font-mono);">${r.P2_5.toExponential(2)} – ${r.P97_5.toExponential(2)}</td>
+                    </tr>`;
+        });
+
+        html += `</tbody></table></div></div>`;
+        return html;
+    }
 
     renderSingleIsotopeForm() {
         const container = document.getElementById('tab-single-isotope');
@@ -5645,6 +14739,7 @@ class App {
                     <div style="display:flex; gap:0.5rem; margin-right:auto; margin-left:1rem;">
                         <button class="btn-secondary btn-save-preset" data-type="single" title="Save Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path><polyline points="17 21 17 13 7 13 7 21"></polyline><polyline points="7 3 7 8 15 8"></polyline></svg></button>
                         <button class="btn-secondary btn-load-preset" data-type="single" title="Load Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg></button>
+                        <button class="btn-secondary btn-materials" title="Target Materials"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M9 3h6M10 3v6L4 19a2 2 0 0 0 1.7 3h12.6a2 2 0 0 0 1.7-3L14 9V3"></path></svg></button>
                     </div>
                     <button class="help-btn" data-help="help-single">
                         <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3M12 17h.01"/></svg>
@@ -5669,6 +14764,7 @@ class App {
                         <label>${icons.atom} PARENT ISOTOPE</label>
                         <input type="text" id="input-iso" value="Lu-176" class="input-field" placeholder="e.g. Lu-176">
                     </div>
+                    ${this.renderCompoundField('input', 'COMPOUND TARGET (optional)')}
                     <div class="form-group">
                         <label>${icons.mass} MASS (g)</label>
                         <input type="number" id="input-mass" value="1.0" class="input-field" step="0.1">
@@ -5685,13 +14781,53 @@ class App {
                         <label>${icons.cool} COOLING TIME (days)</label>
                         <input type="number" id="input-cool" value="0.0" class="input-field" step="0.1">
                     </div>
+                    ${this.renderSpectrumFields('input')}
+                    ${this.renderEngineSelect('input-engine')}
+                    ${this.renderLibrarySelect('input-library')}
                 </div>
-                <div class="form-actions" style="margin-top: 2rem;">
+                <div id="input-schedule"></div>
+                ${this.renderUncertaintyFields('input')}
+                <div class="form-actions" style="margin-top: 2rem; display: flex; gap: 0.5rem;">
                     <button id="btn-calculate" class="btn-primary">
                         Calculate Activation
                     </button>
+                    <button id="btn-compare-engines" class="btn-secondary" title="Run both solver engines and compare activity per nuclide">
+                        Compare Engines
+                    </button>
+                    <button id="btn-compare-libraries" class="btn-secondary" title="Run ENDF/B-VIII.1, JENDL and JEFF and compare activity per nuclide">
+                        Compare Libraries
+                    </button>
                 </div>
                 <div id="results-area" class="results-area" style="margin-top: 2rem;"></div>
+                <div id="engine-compare-area" class="results-area" style="margin-top: 2rem;"></div>
+                <div id="library-compare-area" class="results-area" style="margin-top: 2rem;"></div>
+
+                <div class="goal-seek" style="margin-top: 2rem; padding-top: 1.5rem; border-top: 1px solid var(--border-highlight);">
+                    <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Goal Seek</h3>
+                    <p style="margin: 0 0 1rem 0; font-size: 0.8rem; color: var(--text-muted);">
+                        Solve for one parameter so the product reaches the target activity at the cooling time above. The other fields stay fixed.
+                    </p>
+                    <div class="form-grid">
+                        <div class="form-group">
+                            <label>SOLVE FOR</label>
+                            <select id="gs-variable" class="input-field">
+                                <option value="mass">Target mass</option>
+                                <option value="time">Irradiation time</option>
+                                <option value="flux">Neutron flux</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>PRODUCT ISOTOPE</label>
+                            <input type="text" id="gs-product" value="Lu-177" class="input-field" placeholder="e.g. Lu-177">
+                        </div>
+                        <div class="form-group">
+                            <label>TARGET ACTIVITY (GBq)</label>
+                            <input type="number" id="gs-target" value="50" class="input-field" step="any" min="0">
+                        </div>
+                    </div>
+                    <button id="btn-goal-seek" class="btn-secondary" style="margin-top: 1rem;">Solve</button>
+                    <div id="goal-seek-area" class="results-area" style="margin-top: 1rem;"></div>
+                </div>
             </div>
         `;
     }
@@ -5715,6 +14851,7 @@ class App {
                     <div style="display:flex; gap:0.5rem; margin-right:auto; margin-left:1rem;">
                         <button class="btn-secondary btn-save-preset" data-type="impurity" title="Save Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path><polyline points="17 21 17 13 7 13 7 21"></polyline><polyline points="7 3 7 8 15 8"></polyline></svg></button>
                         <button class="btn-secondary btn-load-preset" data-type="impurity" title="Load Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg></button>
+                        <button class="btn-secondary btn-materials" title="Target Materials"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M9 3h6M10 3v6L4 19a2 2 0 0 0 1.7 3h12.6a2 2 0 0 0 1.7-3L14 9V3"></path></svg></button>
                     </div>
                     <button class="help-btn" data-help="help-imp">
                         <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3M12 17h.01"/></svg>
@@ -5746,16 +14883,44 @@ class App {
                 </div>
                 <div id="impurity-list" class="impurity-list" style="margin: 1rem 0; display: flex; flex-wrap: wrap; gap: 0.5rem;"></div>
                 <div class="form-grid">
+                    ${this.renderCompoundField('imp', 'MATRIX COMPOUND (optional)')}
                     <div class="form-group"><label>${icons.mass} SAMPLE MASS (g)</label><input type="number" id="imp-mass" value="1.0" class="input-field"></div>
                     <div class="form-group"><label>${icons.flux} FLUX (n/cm² · s)</label><input type="text" id="imp-flux" value="2.2e14" class="input-field"></div>
                     <div class="form-group"><label>${icons.time} IRRADIATION (days)</label><input type="number" id="imp-time" value="10.0" class="input-field"></div>
                     <div class="form-group"><label>${icons.cool} COOLING (days)</label><input type="number" id="imp-cool" value="0.0" class="input-field"></div>
+                    ${this.renderSpectrumFields('imp')}
+                    ${this.renderEngineSelect('imp-engine')}
+                    ${this.renderLibrarySelect('imp-library')}
                 </div>
+                <div id="imp-schedule"></div>
+                ${this.renderUncertaintyFields('imp')}
                 <div class="form-actions" style="margin-top: 2rem;">
                     <button id="btn-calc-imp" class="btn-primary">Calculate Impurity Activation</button>
                 </div>
+                ${this.renderBatchFields('imp')}
                 </div>
                 <div id="imp-results-area" class="results-area" style="margin-top: 2rem;"></div>
+
+                <div class="card" style="padding: 1rem; margin-top: 1.5rem;">
+                    <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Detection Limits (Currie L<sub>D</sub> / L<sub>Q</sub>)</h3>
+                    <p style="margin: 0 0 1rem 0; font-size: 0.8rem; color: var(--text-muted);">
+                        The listed impurities and the matrix compound form the sample matrix; the count starts after the cooling time above.
+                        Empty analyte list: every listed impurity.
+                    </p>
+                    <div style="display: flex; gap: 0.75rem; align-items: flex-end; flex-wrap: wrap;">
+                        <div class="form-group" style="margin: 0; min-width: 180px;">
+                            <label>ANALYTES</label>
+                            <input type="text" id="imp-dl-analytes" placeholder="e.g. As, Sb, Au, Co" class="input-field">
+                        </div>
+                        <div class="form-group" style="margin: 0;">
+                            <label>COUNT TIME (s)</label>
+                            <input type="number" id="imp-dl-time" value="3600" class="input-field" style="width: 110px;">
+                        </div>
+                        ${this.renderDetectorFields('imp-dl')}
+                        <button id="btn-dl-imp" class="btn-secondary">Estimate Detection Limits</button>
+                    </div>
+                    <div id="imp-dl-area" style="margin-top: 1rem;"></div>
+                </div>
             </div>`;
     }
 
@@ -5778,6 +14943,7 @@ class App {
                     <div style="display:flex; gap:0.5rem; margin-right:auto; margin-left:1rem;">
                         <button class="btn-secondary btn-save-preset" data-type="waste" title="Save Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path><polyline points="17 21 17 13 7 13 7 21"></polyline><polyline points="7 3 7 8 15 8"></polyline></svg></button>
                         <button class="btn-secondary btn-load-preset" data-type="waste" title="Load Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg></button>
+                        <button class="btn-secondary btn-materials" title="Target Materials"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M9 3h6M10 3v6L4 19a2 2 0 0 0 1.7 3h12.6a2 2 0 0 0 1.7-3L14 9V3"></path></svg></button>
                     </div>
                     <button class="help-btn" data-help="help-waste">
                         <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3M12 17h.01"/></svg>
@@ -5798,6 +14964,7 @@ class App {
                 </div>
 
                  <div class="form-grid">
+                    ${this.renderCompoundField('waste', 'MATRIX COMPOUND (optional)')}
                     <div class="form-group"><label>${icons.mass} SAMPLE MASS (g)</label><input type="number" id="waste-mass" value="10.0" class="input-field"></div>
                     <div class="form-group"><label>${icons.waste} TOTAL WASTE (g)</label><input type="number" id="waste-total" value="35000" class="input-field"></div>
                 </div>
@@ -5805,7 +14972,12 @@ class App {
                      <div class="form-group"><label>${icons.time} IRRADIATION (days)</label><input type="number" id="waste-time" value="10.0" class="input-field"></div>
                      <div class="form-group"><label>${icons.cool} COOLING (days)</label><input type="number" id="waste-cool" value="365.0" class="input-field"></div>
                      <div class="form-group"><label>${icons.flux} FLUX (n/cm² · s)</label><input type="text" id="waste-flux" value="2.2e14" class="input-field"></div>
+                     ${this.renderSpectrumFields('waste')}
+                     ${this.renderEngineSelect('waste-engine')}
+                     ${this.renderLibrarySelect('waste-library')}
                 </div>
+                <div id="waste-schedule"></div>
+                ${this.renderUncertaintyFields('waste')}
                 <div style="margin: 1rem 0;">
                     <label>Impurities</label>
                     <div style="display: flex; gap: 0.5rem; margin-bottom: 0.5rem;">
@@ -5822,8 +14994,13 @@ class App {
                         <option value="exemption">Specific Clearance (Column 9 - Anlage)</option>
                     </select>
                 </div>
-                <button id="btn-calc-waste" class="btn-primary">Analyze Batch</button>
+                <div style="display: flex; gap: 0.5rem;">
+                    <button id="btn-calc-waste" class="btn-primary">Analyze Batch</button>
+                    <button id="btn-sens-waste" class="btn-secondary" title="Rank the cross sections, decay constants and branching ratios the result depends on">Sensitivity Analysis</button>
+                </div>
+                ${this.renderBatchFields('waste', true)}
                 <div id="waste-results-area" class="results-area" style="margin-top: 2rem;"></div>
+                <div id="waste-sensitivity-area" class="results-area" style="margin-top: 2rem;"></div>
             </div>`;
 
         // Add auto-calc listener
@@ -5852,6 +15029,7 @@ class App {
                     <div style="display:flex; gap:0.5rem; margin-right:auto; margin-left:1rem;">
                         <button class="btn-secondary btn-save-preset" data-type="limit" title="Save Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path><polyline points="17 21 17 13 7 13 7 21"></polyline><polyline points="7 3 7 8 15 8"></polyline></svg></button>
                         <button class="btn-secondary btn-load-preset" data-type="limit" title="Load Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg></button>
+                        <button class="btn-secondary btn-materials" title="Target Materials"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M9 3h6M10 3v6L4 19a2 2 0 0 0 1.7 3h12.6a2 2 0 0 0 1.7-3L14 9V3"></path></svg></button>
                     </div>
                     <button class="help-btn" data-help="help-limit">
                         <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3M12 17h.01"/></svg>
@@ -5871,6 +15049,7 @@ class App {
                 </div>
 
                 <div class="form-grid">
+                     ${this.renderCompoundField('lim', 'MATRIX COMPOUND (optional)')}
                      <div class="form-group"><label>${icons.mass} SAMPLE MASS (g)</label><input type="number" id="lim-mass" value="7.5" class="input-field"></div>
                      <div class="form-group"><label>${icons.waste} WASTE MASS (g)</label><input type="number" id="lim-wmass" value="35000" class="input-field"></div>
                      <div class="form-group"><label>${icons.flux} FLUX (n/cm² · s)</label><input type="text" id="lim-flux" value="2.2e14" class="input-field"></div>
@@ -5878,7 +15057,12 @@ class App {
                  <div class="form-grid">
                      <div class="form-group"><label>${icons.time} IRRADIATION (days)</label><input type="number" id="lim-time" value="14.0" class="input-field"></div>
                      <div class="form-group"><label>${icons.cool} COOLING (days)</label><input type="number" id="lim-cool" value="365.0" class="input-field"></div>
+                     ${this.renderSpectrumFields('lim')}
+                     ${this.renderEngineSelect('lim-engine')}
+                     ${this.renderLibrarySelect('lim-library')}
                 </div>
+                <div id="lim-schedule"></div>
+                ${this.renderUncertaintyFields('lim')}
                 <!-- Controls for Adding Elements -->
                 <div style="margin: 1rem 0; padding: 1rem; background: rgba(255,255,255,0.05); border-radius: 8px;">
                     <label style="display:block; margin-bottom: 0.5rem; font-weight: 500;">Add Target Element</label>
@@ -5899,29 +15083,308 @@ class App {
                     </div>
                 </div>
 
-                <!-- The List of Added Elements -->
-                <div id="lim-list" style="display: flex; flex-direction: column; gap: 0.5rem; margin-bottom: 1.5rem;"></div>
+                <!-- The List of Added Elements -->
+                <div id="lim-list" style="display: flex; flex-direction: column; gap: 0.5rem; margin-bottom: 1.5rem;"></div>
+
+                <div class="form-group" style="margin-bottom: 1rem;">
+                    <label>Limit Standard</label>
+                    <select id="lim-type" class="input-field">
+                        <option value="clearance">Unrestricted Clearance (Column 3 - Anlage)</option>
+                        <option value="exemption">Specific Clearance (Column 9 - Anlage)</option>
+                    </select>
+                </div>
+
+                <button id="btn-calc-lim" class="btn-primary">Calculate Max ppm</button>
+                <div id="lim-results-area" class="results-area" style="margin-top: 2rem;"></div>
+            </div>`;
+
+        // Add auto-calc listener
+        setTimeout(() => {
+            const dp = document.getElementById('lim-type');
+            if (dp) dp.addEventListener('change', () => this.handleLimitCalculation());
+        }, 100);
+    }
+
+    renderK0Form() {
+        const container = document.getElementById('tab-k0');
+        if (!container) return;
+
+        const icons = {
+            mass: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 3v18M6 8h12l-2 13H8L6 8z"/></svg>',
+            time: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 6v6l4 2"/></svg>',
+            cool: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 2v20M2 12h20M4.93 4.93l14.14 14.14M19.07 4.93L4.93 19.07"/></svg>',
+            peak: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M2 20h4l3-14 3 14 3-8 2 8h5"/></svg>'
+        };
+        const field = (id, label, value, type = 'number', title = '') => `
+                     <div class="form-group"><label${title ? ` title="${title}"` : ''}>${label}</label><input type="${type}" id="${id}" value="${value}" class="input-field"></div>`;
+
+        container.innerHTML = `
+            <div class="panel card">
+                <div class="panel-header">
+                    <h2 class="panel-title">k0-NAA Concentrations</h2>
+                    <div style="display:flex; gap:0.5rem; margin-right:auto; margin-left:1rem;">
+                        <button class="btn-secondary btn-save-preset" data-type="k0" title="Save Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path><polyline points="17 21 17 13 7 13 7 21"></polyline><polyline points="7 3 7 8 15 8"></polyline></svg></button>
+                        <button class="btn-secondary btn-load-preset" data-type="k0" title="Load Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg></button>
+                    </div>
+                    <button class="help-btn" data-help="help-k0">
+                        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3M12 17h.01"/></svg>
+                        k0 Method
+                    </button>
+                </div>
+
+                <div id="help-k0" class="help-panel">
+                    <div class="help-content">
+                        <h4>From Peak Areas to Concentrations</h4>
+                        <p>The reverse of the activation tabs: measured net peak areas are converted to element concentrations with the k0 standardization against a co-irradiated Au comparator (${COMPARATOR.energyKeV} keV line of ${COMPARATOR.product}).</p>
+                        <ul>
+                            <li><b>Library constants:</b> λ, σ0, Q0 = I0/σ0, Ēr, abundance and γ yield come from the loaded database; k0 is derived from them unless you enter a recommended k0 for the line.</li>
+                            <li><b>Flux parameters:</b> f = φth/φepi and α of the irradiation position (f = 0: purely thermal).</li>
+                            <li><b>Uncertainty budget:</b> relative standard uncertainties (k = 1) of peak areas, comparator, k0, Q0, f, α, efficiency and masses, propagated with numerical sensitivities.</li>
+                        </ul>
+                    </div>
+                </div>
+
+                <h3 style="margin: 0 0 0.5rem 0; font-size: 0.95rem; color: var(--text-secondary);">Sample</h3>
+                <div class="form-grid">
+                     ${field('k0-mass', `${icons.mass} SAMPLE MASS (g)`, '0.1')}
+                     ${field('k0-irr', `${icons.time} IRRADIATION (h)`, '1')}
+                     ${field('k0-decay', `${icons.cool} DECAY (h)`, '2', 'number', 'End of irradiation to start of count')}
+                     ${field('k0-live', `${icons.time} LIVE TIME (s)`, '3600')}
+                     ${field('k0-real', `${icons.time} REAL TIME (s)`, '3600')}
+                     ${this.renderSpectrumFields('k0', 30, 0)}
+                </div>
+
+                <h3 style="margin: 1rem 0 0.5rem 0; font-size: 0.95rem; color: var(--text-secondary);">Au Comparator (co-irradiated)</h3>
+                <div class="form-grid">
+                     ${field('k0-au-mass', `${icons.mass} Au MASS (µg)`, '10')}
+                     ${field('k0-au-area', `${icons.peak} ${COMPARATOR.energyKeV} keV AREA`, '')}
+                     ${field('k0-au-unc', 'AREA UNC. (%)', '1')}
+                     ${field('k0-au-decay', `${icons.cool} DECAY (h)`, '2')}
+                     ${field('k0-au-live', `${icons.time} LIVE TIME (s)`, '600')}
+                     ${field('k0-au-real', `${icons.time} REAL TIME (s)`, '600')}
+                </div>
+
+                <h3 style="margin: 1rem 0 0.5rem 0; font-size: 0.95rem; color: var(--text-secondary);">Detector &amp; Uncertainties</h3>
+                <div class="form-grid">
+                     <div class="form-group" style="grid-column: span 2;"><label title="Full-energy peak efficiency points keV:ε of the counting geometry, interpolated log-log">EFFICIENCY (keV:ε)</label><input type="text" id="k0-eff" value="${formatEfficiencyCurve(DEFAULT_DETECTOR.efficiency)}" class="input-field"></div>
+                     ${field('k0-eff-unc', 'EFF. RATIO UNC. (%)', K0_DEFAULT_UNCERTAINTY.efficiency * 100)}
+                     ${field('k0-f-unc', 'f UNC. (%)', K0_DEFAULT_UNCERTAINTY.f * 100)}
+                     ${field('k0-alpha-unc', 'α UNC. (abs.)', K0_DEFAULT_UNCERTAINTY.alpha)}
+                </div>
+
+                <!-- Controls for Adding Measured Peaks -->
+                <div style="margin: 1rem 0; padding: 1rem; background: rgba(255,255,255,0.05); border-radius: 8px;">
+                    <label style="display:block; margin-bottom: 0.5rem; font-weight: 500;">Add Measured Peak</label>
+                    <div style="display: flex; gap: 0.5rem; align-items: flex-end; flex-wrap: wrap;">
+                         <div style="width: 80px;">
+                            <label style="font-size:0.8em; color:#aaa">Element</label>
+                            <input type="text" id="k0-sym" placeholder="Mn" class="input-field" list="elements-list">
+                         </div>
+                         <div style="flex: 1; min-width: 180px;">
+                            <label style="font-size:0.8em; color:#aaa">Line</label>
+                            <select id="k0-line" class="input-field"></select>
+                         </div>
+                         <div style="width: 130px;">
+                            <label style="font-size:0.8em; color:#aaa">Net Area</label>
+                            <input type="number" id="k0-area" class="input-field">
+                         </div>
+                         <div style="width: 90px;">
+                            <label style="font-size:0.8em; color:#aaa">Unc. %</label>
+                            <input type="number" id="k0-area-unc" value="2" class="input-field">
+                         </div>
+                         <div style="width: 110px;">
+                            <label style="font-size:0.8em; color:#aaa" title="Recommended k0,Au of the line. Empty: derived from the library">k0 (opt.)</label>
+                            <input type="number" id="k0-k0" class="input-field">
+                         </div>
+                         <div style="width: 90px;">
+                            <label style="font-size:0.8em; color:#aaa">k0 Unc. %</label>
+                            <input type="number" id="k0-k0-unc" value="1" class="input-field">
+                         </div>
+                         <button id="btn-add-k0" class="btn-secondary" style="height: 38px;">Add</button>
+                    </div>
+                </div>
+
+                <!-- The List of Measured Peaks -->
+                <div id="k0-list" style="display: flex; flex-direction: column; gap: 0.5rem; margin-bottom: 1.5rem;"></div>
+
+                <button id="btn-calc-k0" class="btn-primary">Calculate Concentrations</button>
+                <div id="k0-results-area" class="results-area" style="margin-top: 2rem;"></div>
+            </div>`;
+
+        setTimeout(() => {
+            const sym = document.getElementById('k0-sym');
+            if (sym) sym.addEventListener('change', () => this.updateK0LineOptions());
+        }, 100);
+    }
+
+    /**
+     * Fill the line selector with the analytical gamma lines of the typed element.
+     */
+    updateK0LineOptions() {
+        const select = document.getElementById('k0-line');
+        const sym = document.getElementById('k0-sym').value.trim();
+        if (!this.solver || !this.doseRate || !sym) {
+            select.innerHTML = '';
+            return;
+        }
+        const lines = new K0Analyzer(this.solver, this.doseRate).candidateLines(sym);
+        select.innerHTML = lines.length > 0
+            ? lines.map(l => `<option value="${l.product}|${l.energyKeV}">${l.product} ${l.energyKeV} keV (${(l.yield * 100).toPrecision(3)}%)</option>`).join('')
+            : '<option value="">No gamma-emitting (n,γ) product</option>';
+    }
+
+    addK0Line() {
+        const sym = document.getElementById('k0-sym').value.trim();
+        if (!sym) return;
+        if (!document.getElementById('k0-line').value) this.updateK0LineOptions();
+        const [product, energy] = (document.getElementById('k0-line').value || '').split('|');
+        const area = parseFloat(document.getElementById('k0-area').value);
+        const areaUnc = parseFloat(document.getElementById('k0-area-unc').value) || 0;
+        const k0 = parseFloat(document.getElementById('k0-k0').value);
+        const k0Unc = parseFloat(document.getElementById('k0-k0-unc').value) || 0;
+
+        if (!product) return this.showToast(`No analytical line for ${sym}`, 'warning');
+        if (!(area > 0)) return this.showToast('Enter the net peak area', 'warning');
+
+        const list = document.getElementById('k0-list');
+        const item = document.createElement('div');
+        item.className = 'k0-row';
+        item.style.cssText = 'background: rgba(255,255,255,0.05); padding: 8px 12px; border-radius: 6px; display: flex; align-items: center; justify-content: space-between;';
+
+        item.innerHTML = `
+            <div class="k0-data" data-sym="${sym}" data-product="${product}" data-energy="${energy}" data-area="${area}"
+                data-area-unc="${areaUnc}" data-k0="${k0 > 0 ? k0 : ''}" data-k0-unc="${k0Unc}" style="display: flex; gap: 1rem; align-items: center;">
+                <span style="font-weight: bold; width: 40px;">${sym}</span>
+                <span style="color: #aaa; font-size: 0.9em;">${product} <span style="color: white">${energy} keV</span></span>
+                <span style="color: #aaa; font-size: 0.9em;">Area: <span style="color: white">${area} ± ${areaUnc}%</span></span>
+                <span style="color: #aaa; font-size: 0.9em;">k0: <span style="color: white">${k0 > 0 ? `${k0} ± ${k0Unc}%` : 'library'}</span></span>
+            </div>
+            <button class="btn-remove-k0" style="background:none; border:none; color: #ff6b6b; cursor: pointer; font-size: 1.2em;">&times;</button>
+        `;
+        list.appendChild(item);
+
+        document.getElementById('k0-area').value = '';
+        document.getElementById('k0-k0').value = '';
+    }
+
+    handleK0Calculation() {
+        if (!this.solver || !this.doseRate) return this.showToast('Engine not ready yet', 'error');
+        const num = id => parseFloat(document.getElementById(id).value);
+        const HOUR_S = 3600;
+
+        const lines = Array.from(document.querySelectorAll('#k0-list .k0-data')).map(node => ({
+            element: node.dataset.sym,
+            product: node.dataset.product,
+            energyKeV: parseFloat(node.dataset.energy),
+            area: parseFloat(node.dataset.area),
+            areaRelUnc: (parseFloat(node.dataset.areaUnc) || 0) / 100,
+            k0: parseFloat(node.dataset.k0) || null,
+            k0RelUnc: (parseFloat(node.dataset.k0Unc) || 0) / 100
+        }));
+        if (lines.length === 0) return this.showToast('Add measured peaks first', 'warning');
+
+        let detector;
+        try {
+            detector = new HPGeDetector({ efficiency: parseEfficiencyCurve(document.getElementById('k0-eff').value) });
+        } catch (e) {
+            return this.showToast(`Invalid detector: ${e.message}`, 'error');
+        }
 
-                <div class="form-group" style="margin-bottom: 1rem;">
-                    <label>Limit Standard</label>
-                    <select id="lim-type" class="input-field">
-                        <option value="clearance">Unrestricted Clearance (Column 3 - Anlage)</option>
-                        <option value="exemption">Specific Clearance (Column 9 - Anlage)</option>
-                    </select>
-                </div>
+        const { f, alpha } = this.readSpectrum('k0');
+        try {
+            const result = new K0Analyzer(this.solver, this.doseRate).analyze({
+                sample: {
+                    massG: num('k0-mass'),
+                    tIrrS: num('k0-irr') * HOUR_S,
+                    tDecayS: (num('k0-decay') || 0) * HOUR_S,
+                    liveS: num('k0-live'),
+                    realS: num('k0-real') || num('k0-live')
+                },
+                comparator: {
+                    massG: num('k0-au-mass') * 1e-6,
+                    area: num('k0-au-area'),
+                    areaRelUnc: (num('k0-au-unc') || 0) / 100,
+                    tDecayS: (num('k0-au-decay') || 0) * HOUR_S,
+                    liveS: num('k0-au-live'),
+                    realS: num('k0-au-real') || num('k0-au-live')
+                },
+                flux: { f, alpha },
+                detector,
+                lines,
+                uncertainty: {
+                    efficiency: (num('k0-eff-unc') || 0) / 100,
+                    f: (num('k0-f-unc') || 0) / 100,
+                    alpha: num('k0-alpha-unc') || 0
+                }
+            });
+            document.getElementById('k0-results-area').innerHTML = this.renderK0Results(result);
+            this.showToast('Concentrations Calculated', 'success');
+        } catch (e) {
+            console.error(e);
+            this.showToast(`k0 Error: ${e.message}`, 'error');
+        }
+    }
 
-                <button id="btn-calc-lim" class="btn-primary">Calculate Max ppm</button>
-                <div id="lim-results-area" class="results-area" style="margin-top: 2rem;"></div>
-            </div>`;
+    renderK0Results(result) {
+        const components = Object.keys(result.elements[0].Budget);
+        const conc = v => (v >= 0.01 ? v.toPrecision(4) : v.toExponential(3));
 
-        // Add auto-calc listener
-        setTimeout(() => {
-            const dp = document.getElementById('lim-type');
-            if (dp) dp.addEventListener('change', () => this.handleLimitCalculation());
-        }, 100);
+        let html = `
+            <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Element Concentrations</h3>
+            <div style="overflow-x: auto;">
+            <table class="data-table" style="width:100%">
+                <thead>
+                    <tr>
+                        <th>Element</th>
+                        <th>Concentration (µg/g)</th>
+                        <th title="Combined standard uncertainty (k = 1)">u (µg/g)</th>
+                        <th>u (%)</th>
+                        ${components.map(c => `<th title="Share of the variance">${c}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>`;
+
+        result.elements.forEach(e => {
+            const largest = Object.entries(e.Budget).sort((a, b) => b[1] - a[1])[0][0];
+            html += `
+                    <tr>
+                        <td style="font-weight: bold;">${e.Element}${e.Lines > 1 ? ` <span style="color: var(--text-muted); font-weight: normal;">(${e.Lines} lines)</span>` : ''}</td>
+                        <td style="font-family: var(--font-mono); color: var(--accent-green);">${conc(e.Concentration)}</td>
+                        <td style="font-family: var(--font-mono);">${conc(e.Uncertainty)}</td>
+                        <td style="font-family: var(--font-mono);">${((e.Uncertainty / e.Concentration) * 100).toFixed(1)}</td>
+                        ${components.map(c => `<td style="font-family: var(--font-mono);${c === largest ? ' font-weight: bold;' : ''}">${(e.Budget[c] * 100).toFixed(0)}%</td>`).join('')}
+                    </tr>`;
+        });
+
+        html += `</tbody></table></div>
+            <h3 style="margin: 1.5rem 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Per Line</h3>
+            <table class="data-table" style="width:100%">
+                <thead>
+                    <tr>
+                        <th>Element</th>
+                        <th>Line</th>
+                        <th>k0,Au</th>
+                        <th>Q0</th>
+                        <th>Efficiency</th>
+                        <th>Concentration (µg/g)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${result.lines.map(l => `
+                    <tr>
+                        <td>${l.Element}</td>
+                        <td>${l.Product} ${l.Energy} keV</td>
+                        <td style="font-family: var(--font-mono);">${l.k0.toExponential(3)}</td>
+                        <td style="font-family: var(--font-mono);">${l.Q0.toFixed(2)}</td>
+                        <td style="font-family: var(--font-mono);">${l.Efficiency.toExponential(2)}</td>
+                        <td style="font-family: var(--font-mono);">${conc(l.Concentration)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+        return html;
     }
 
-    handleCalculation() {
+    async handleCalculation() {
         if (!this.solver) {
             this.showToast('Engine not ready yet', 'error');
             return;
@@ -5937,11 +15400,39 @@ class App {
         const tIrrS = time * SECONDS_PER_DAY;
         const tCoolS = cool * SECONDS_PER_DAY;
 
-        this.showToast('Computing...', 'info');
+        let compound;
+        try {
+            compound = this.readCompound('input');
+        } catch (e) {
+            return this.showToast(`Invalid compound: ${e.message}`, 'error');
+        }
 
         try {
-            const results = this.solver.solve(iso, mass, flux, tIrrS, tCoolS);
-            this.renderResults(results, 'results-area');
+            this.applyEngine('input-engine');
+            this.applyLibrary('input-library');
+            const irradiation = this.buildIrradiation('input', this.scheduleEditors.single, flux, tIrrS, tCoolS);
+            // A compound target replaces the single isotope: every constituent is solved
+            const job = compound
+                ? { method: 'solveCompound', args: [compound.fractions, mass, irradiation, tIrrS, tCoolS] }
+                : { method: 'solveTarget', args: [iso, mass, irradiation, tIrrS, tCoolS] };
+            const results = await this.runSolverJob(job.method, job.args, 'Calculation');
+            if (!results) return;
+            let sources = [{ iso, massG: mass }];
+            if (compound) sources = this.solver.compoundSources(compound.fractions, mass);
+            else if (this.solver.isMaterial(iso)) sources = this.solver.elementSources(iso, mass);
+            await this.renderResults(results, 'results-area', {
+                sources, irradiation, tIrrS, tCoolS
+            });
+            if (compound) {
+                document.getElementById('results-area').insertAdjacentHTML('afterbegin', this.renderCompositionNote(compound));
+            }
+
+            const mcOptions = this.readUncertainty('input');
+            const mc = mcOptions ? await this.runSolverJob('monteCarlo', ['activities', mcOptions, job], 'Monte Carlo') : null;
+            if (mc) {
+                document.getElementById('results-area')
+                    .insertAdjacentHTML('beforeend', this.renderUncertaintyTable(mc, 'Activity Uncertainty', '(Bq)'));
+            }
             this.showToast('Calculation Complete', 'success');
         } catch (e) {
             console.error(e);
@@ -5949,6 +15440,184 @@ class App {
         }
     }
 
+    async handleEngineComparison() {
+        if (!this.solver) {
+            this.showToast('Engine not ready yet', 'error');
+            return;
+        }
+
+        const iso = document.getElementById('input-iso').value;
+        const mass = parseFloat(document.getElementById('input-mass').value);
+        const flux = parseFloat(document.getElementById('input-flux').value);
+        const time = parseFloat(document.getElementById('input-time').value);
+        const cool = parseFloat(document.getElementById('input-cool').value);
+
+        try {
+            this.applyLibrary('input-library');
+            const tIrrS = time * SECONDS_PER_DAY;
+            const tCoolS = cool * SECONDS_PER_DAY;
+            const irradiation = this.buildIrradiation('input', this.scheduleEditors.single, flux, tIrrS, tCoolS);
+            const rows = await this.runSolverJob('compareEngines', [iso, mass, irradiation, tIrrS, tCoolS], 'Engine comparison');
+            if (!rows) return;
+            if (rows.length === 0) return this.showToast('No active isotopes found', 'warning');
+
+            let html = `
+                <h3 style="margin: 0 0 1rem 0; font-size: 1rem; color: var(--text-primary);">Engine Comparison (Activity per Nuclide)</h3>
+                <div style="overflow-x: auto;">
+                <table class="data-table" style="width:100%">
+                    <thead>
+                        <tr>
+                            <th>Isotope</th>
+                            <th>Bateman (Bq)</th>
+                            <th>CRAM-16 (Bq)</th>
+                            <th title="(CRAM - Bateman) / max(CRAM, Bateman)">Rel. Difference</th>
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+            rows.slice(0, 25).forEach(r => {
+                const diff = Math.abs(r.RelDiff);
+                html += `
+                    <tr>
+                        <td>${r.Isotope}</td>
+                        <td style="font-family: var(--font-mono);">${r.Bateman.toExponential(3)}</td>
+                        <td style="font-family: var(--font-mono);">${r.Cram.toExponential(3)}</td>
+                        <td style="font-family: var(--font-mono); color: ${diff > 1e-3 ? 'var(--accent-yellow)' : 'var(--text-primary)'};">${r.RelDiff.toExponential(2)}</td>
+                    </tr>`;
+            });
+
+            html += `</tbody></table></div>`;
+            document.getElementById('engine-compare-area').innerHTML = html;
+            this.showToast('Engine Comparison Complete', 'success');
+        } catch (e) {
+            console.error(e);
+            this.showToast('Comparison Error', 'error');
+        }
+    }
+
+    async handleGoalSeek() {
+        if (!this.solver) {
+            this.showToast('Engine not ready yet', 'error');
+            return;
+        }
+
+        const variable = document.getElementById('gs-variable').value;
+        const productIso = parseIsotopeClean(document.getElementById('gs-product').value);
+        const product = productIso.symbol ? getUniqueId(productIso.symbol, productIso.massNumber, productIso.metastable) : null;
+        const targetGBq = parseFloat(document.getElementById('gs-target').value);
+        if (!product) return this.showToast('Enter a product isotope', 'warning');
+        if (!(targetGBq > 0)) return this.showToast('Enter a positive target activity', 'warning');
+        if (this.scheduleEditors.single.isEnabled()) {
+            this.showToast('Goal seek uses the single irradiation/cooling fields, not the schedule', 'warning');
+        }
+
+        try {
+            this.applyEngine('input-engine');
+            this.applyLibrary('input-library');
+            const res = await this.runSolverJob('goalSeek', [{
+                parentIso: document.getElementById('input-iso').value,
+                product,
+                targetBq: targetGBq * 1e9,
+                variable,
+                massG: parseFloat(document.getElementById('input-mass').value),
+                flux: parseFloat(document.getElementById('input-flux').value),
+                tIrrS: parseFloat(document.getElementById('input-time').value) * SECONDS_PER_DAY,
+                tCoolS: parseFloat(document.getElementById('input-cool').value) * SECONDS_PER_DAY,
+                spectrum: this.readSpectrum('input')
+            }], 'Goal seek');
+            if (!res) return;
+
+            const formatValue = {
+                mass: v => `${v.toExponential(4)} g (${(v * 1000).toPrecision(4)} mg)`,
+                time: v => `${(v / SECONDS_PER_DAY).toPrecision(4)} days (${(v / 3600).toPrecision(4)} h)`,
+                flux: v => `${v.toExponential(3)} n/cm² · s`
+            }[variable];
+            const color = !res.reachable ? 'var(--accent-red)' : res.saturationFraction >= 0.9 ? 'var(--accent-yellow)' : 'var(--accent-green)';
+
+            document.getElementById('goal-seek-area').innerHTML = `
+                <div style="padding: 1rem; border-radius: 12px; border: 1px solid ${color}; background: rgba(255,255,255,0.03);">
+                    <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 1rem;">
+                        <div>
+                            <span style="font-size: 0.75rem; text-transform: uppercase; color: var(--text-muted);">Required ${variable}</span>
+                            <div style="font-size: 1.1rem; font-weight: bold; color: ${color}; font-family: var(--font-mono);">${res.reachable ? formatValue(res.value) : '—'}</div>
+                        </div>
+                        <div>
+                            <span style="font-size: 0.75rem; text-transform: uppercase; color: var(--text-muted);">${product} ${res.reachable ? 'achieved' : 'max. reachable'}</span>
+                            <div style="font-size: 1.1rem; font-weight: bold; font-family: var(--font-mono);">${(res.achievedBq / 1e9).toPrecision(4)} GBq</div>
+                        </div>
+                        <div>
+                            <span style="font-size: 0.75rem; text-transform: uppercase; color: var(--text-muted);">Saturation activity</span>
+                            <div style="font-size: 1.1rem; font-weight: bold; font-family: var(--font-mono);">${(res.saturationBq / 1e9).toPrecision(4)} GBq</div>
+                        </div>
+                    </div>
+                    <p style="margin: 0.75rem 0 0 0; color: var(--text-secondary);">${res.message}</p>
+                </div>`;
+            this.showToast('Goal Seek Complete', res.reachable ? 'success' : 'warning');
+        } catch (e) {
+            console.error(e);
+            this.showToast('Goal Seek Error', 'error');
+        }
+    }
+
+    async handleLibraryComparison() {
+        if (!this.solver) {
+            this.showToast('Engine not ready yet', 'error');
+            return;
+        }
+
+        const iso = document.getElementById('input-iso').value;
+        const mass = parseFloat(document.getElementById('input-mass').value);
+        const flux = parseFloat(document.getElementById('input-flux').value);
+        const time = parseFloat(document.getElementById('input-time').value);
+        const cool = parseFloat(document.getElementById('input-cool').value);
+
+        try {
+            this.applyEngine('input-engine');
+            const tIrrS = time * SECONDS_PER_DAY;
+            const tCoolS = cool * SECONDS_PER_DAY;
+            const irradiation = this.buildIrradiation('input', this.scheduleEditors.single, flux, tIrrS, tCoolS);
+            const comparison = await this.runSolverJob('compareLibraries', [iso, mass, irradiation, tIrrS, tCoolS], 'Library comparison');
+            if (!comparison) return;
+            const { rows, coverage } = comparison;
+            if (rows.length === 0) return this.showToast('No active isotopes found', 'warning');
+
+            const libs = ['endf', 'jendl', 'jeff'];
+            const coverageNote = libs
+                .map(lib => `${XS_LIBRARIES[lib].label}: ${coverage[lib].fallback} reactions without evaluation (Max_XS used)`)
+                .join(' · ');
+
+            let html = `
+                <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Library Comparison (Activity per Nuclide)</h3>
+                <p style="margin: 0 0 1rem 0; font-size: 0.8rem; color: var(--text-muted);">${coverageNote}</p>
+                <div style="overflow-x: auto;">
+                <table class="data-table" style="width:100%">
+                    <thead>
+                        <tr>
+                            <th>Isotope</th>
+                            ${libs.map(lib => `<th>${XS_LIBRARIES[lib].label} (Bq)</th>`).join('')}
+                            <th title="(max - min) / max over the three libraries">Spread</th>
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+            rows.slice(0, 25).forEach(r => {
+                html += `
+                    <tr>
+                        <td>${r.Isotope}</td>
+                        ${libs.map(lib => `<td style="font-family: var(--font-mono);">${r[lib].toExponential(3)}</td>`).join('')}
+                        <td style="font-family: var(--font-mono); color: ${r.Spread > 0.1 ? 'var(--accent-yellow)' : 'var(--text-primary)'};">${(r.Spread * 100).toFixed(1)}%</td>
+                    </tr>`;
+            });
+
+            html += `</tbody></table></div>`;
+            document.getElementById('library-compare-area').innerHTML = html;
+            this.showToast('Library Comparison Complete', 'success');
+        } catch (e) {
+            console.error(e);
+            this.showToast('Comparison Error', 'error');
+        }
+    }
+
     // --- IMPURITY CALCULATOR ---
     addImpurityItem() {
         const symStart = document.getElementById('imp-sym');
@@ -5968,7 +15637,104 @@ class App {
         ppmStart.value = '';
     }
 
-    handleImpurityCalculation() {
+    /**
+     * Element masses of the impurity tab: listed impurities plus the constituents of the matrix compound.
+     * @returns {Array<{sym: string, massG: number}>}
+     */
+    readImpurityEntries(mass, compound) {
+        const entries = [];
+        document.querySelectorAll('#impurity-list .imp-data').forEach(node => {
+            entries.push({ sym: node.dataset.sym, massG: (parseFloat(node.dataset.ppm) / 1e6) * mass });
+        });
+        if (compound) {
+            Object.entries(compound.fractions).forEach(([sym, w]) => entries.push({ sym, massG: w * mass }));
+        }
+        return entries;
+    }
+
+    async handleDetectionLimits() {
+        if (!this.solver || !this.doseRate) return this.showToast('Engine Loading...', 'error');
+
+        const mass = parseFloat(document.getElementById('imp-mass').value) || 0;
+        const flux = parseFloat(document.getElementById('imp-flux').value) || 0;
+        const tIrrS = (parseFloat(document.getElementById('imp-time').value) || 0) * SECONDS_PER_DAY;
+        const tCoolS = (parseFloat(document.getElementById('imp-cool').value) || 0) * SECONDS_PER_DAY;
+        const countS = parseFloat(document.getElementById('imp-dl-time').value);
+        if (!(countS > 0)) return this.showToast('Enter a positive count time', 'warning');
+
+        let compound;
+        let detectorConfig;
+        try {
+            compound = this.readCompound('imp');
+            detectorConfig = this.readDetectorConfig('imp-dl');
+            new HPGeDetector(detectorConfig); // throws on invalid fields before the job starts
+        } catch (e) {
+            return this.showToast(`Invalid input: ${e.message}`, 'error');
+        }
+
+        const matrix = this.readImpurityEntries(mass, compound);
+        const listed = Array.from(document.querySelectorAll('#impurity-list .imp-data')).map(node => node.dataset.sym);
+        const typed = document.getElementById('imp-dl-analytes').value.split(/[,;\s]+/).map(x => x.trim()).filter(x => x);
+        const analytes = Array.from(new Set(typed.length > 0 ? typed : listed));
+        if (analytes.length === 0) return this.showToast('Enter analytes or add impurities first', 'warning');
+
+        const unknown = analytes.filter(sym => !this.solver.elementMap.has(sym) && !this.solver.isMaterial(sym));
+        if (unknown.length > 0) return this.showToast(`Unknown element: ${unknown.join(', ')}`, 'error');
+
+        try {
+            this.applyEngine('imp-engine');
+            this.applyLibrary('imp-library');
+            const irradiation = this.buildIrradiation('imp', this.scheduleEditors.impurity, flux, tIrrS, tCoolS);
+            const limits = await this.runSolverJob('detectionLimits', [
+                { matrix, analytes, sampleMassG: mass, irradiation, tIrrS, tCoolS, countS },
+                appStore.getState().gammaData, detectorConfig
+            ], 'Detection limits');
+            if (!limits) return;
+            document.getElementById('imp-dl-area').innerHTML = this.renderDetectionLimits(limits);
+        } catch (e) {
+            console.error(e);
+            this.showToast(`Detection Limit Error: ${e.message}`, 'error');
+        }
+    }
+
+    renderDetectionLimits(limits) {
+        const ppm = v => (v === null ? '-' : v >= 0.01 ? v.toPrecision(3) : v.toExponential(2));
+        const colors = { 'measurable': 'var(--accent-green)', 'below LD': 'var(--accent-yellow)', 'not measurable': 'var(--accent-red)' };
+
+        let html = `
+            <table class="data-table" style="width: 100%;">
+                <thead>
+                    <tr>
+                        <th>Element</th>
+                        <th>Best Line</th>
+                        <th title="Detection limit, 5% false positive / negative">L<sub>D</sub> (ppm)</th>
+                        <th title="Quantification limit, 10% relative standard deviation">L<sub>Q</sub> (ppm)</th>
+                        <th>Listed (ppm)</th>
+                        <th title="Matrix counts under the line">Background</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>`;
+
+        limits.forEach(r => {
+            const flagged = r.Status !== 'measurable';
+            html += `
+                    <tr style="${flagged ? 'background: rgba(255,100,100,0.08);' : ''}">
+                        <td style="font-weight: bold;">${r.Element}</td>
+                        <td>${r.Line ? `${r.Line.Isotope} ${r.Line.Energy.toFixed(1)} keV` : '-'}</td>
+                        <td style="font-family: var(--font-mono);">${ppm(r.LD)}</td>
+                        <td style="font-family: var(--font-mono);">${ppm(r.LQ)}</td>
+                        <td style="font-family: var(--font-mono);">${ppm(r.Present)}</td>
+                        <td style="font-family: var(--font-mono);">${r.Line ? r.Line.Background.toExponential(2) : '-'}</td>
+                        <td style="font-weight: bold; color: ${colors[r.Status]};" title="${r.Reason}">${r.Status}</td>
+                    </tr>`;
+        });
+
+        html += `</tbody></table>`;
+        return html;
+    }
+
+    async handleImpurityCalculation() {
         if (!this.solver) return this.showToast('Engine Loading...', 'error');
 
         const mass = parseFloat(document.getElementById('imp-mass').value) || 0;
@@ -5979,21 +15745,23 @@ class App {
         const tIrrS = time * SECONDS_PER_DAY;
         const tCoolS = cool * SECONDS_PER_DAY;
 
-        const items = document.querySelectorAll('#impurity-list .imp-data');
-        if (items.length === 0) return this.showToast('Add impurities first', 'warning');
+        let compound;
+        try {
+            compound = this.readCompound('imp');
+        } catch (e) {
+            return this.showToast(`Invalid compound: ${e.message}`, 'error');
+        }
 
-        this.showToast('Calculating...', 'info');
+        const entries = this.readImpurityEntries(mass, compound);
+        if (entries.length === 0) return this.showToast('Add impurities first', 'warning');
 
         try {
-            let combinedResults = [];
-            items.forEach(node => {
-                const sym = node.dataset.sym;
-                const ppm = parseFloat(node.dataset.ppm);
-                const elemMass = (ppm / 1e6) * mass;
-
-                const res = this.solver.solveElement(sym, elemMass, flux, tIrrS, tCoolS);
-                combinedResults.push(...res);
-            });
+            this.applyEngine('imp-engine');
+            this.applyLibrary('imp-library');
+            const irradiation = this.buildIrradiation('imp', this.scheduleEditors.impurity, flux, tIrrS, tCoolS);
+            const job = { method: 'solveElements', args: [entries, irradiation, tIrrS, tCoolS] };
+            const combinedResults = await this.runSolverJob(job.method, job.args, 'Impurity analysis');
+            if (!combinedResults) return;
 
             // Merge
             const finalMap = new Map();
@@ -6007,7 +15775,18 @@ class App {
             });
 
             const results = Array.from(finalMap.values()).sort((a, b) => b.Activity - a.Activity);
-            this.renderResults(results, 'imp-results-area');
+            const sources = entries.flatMap(({ sym, massG }) => this.solver.elementSources(sym, massG));
+            await this.renderResults(results, 'imp-results-area', { sources, irradiation, tIrrS, tCoolS });
+            if (compound) {
+                document.getElementById('imp-results-area').insertAdjacentHTML('afterbegin', this.renderCompositionNote(compound));
+            }
+
+            const mcOptions = this.readUncertainty('imp');
+            const mc = mcOptions ? await this.runSolverJob('monteCarlo', ['activities', mcOptions, job], 'Monte Carlo') : null;
+            if (mc) {
+                document.getElementById('imp-results-area')
+                    .insertAdjacentHTML('beforeend', this.renderUncertaintyTable(mc, 'Activity Uncertainty', '(Bq)'));
+            }
             this.showToast('Impurity Analysis Complete', 'success');
 
         } catch (e) {
@@ -6017,6 +15796,102 @@ class App {
     }
 
     // --- WASTE CALCULATOR ---
+    async handleWasteSensitivity() {
+        if (!this.solver) return;
+        const mass = parseFloat(document.getElementById('waste-mass').value) || 0;
+        const totalWaste = parseFloat(document.getElementById('waste-total').value) || 0;
+        const flux = parseFloat(document.getElementById('waste-flux').value) || 0;
+        const time = parseFloat(document.getElementById('waste-time').value) || 0;
+        const cool = parseFloat(document.getElementById('waste-cool').value) || 0;
+
+        const tIrrS = time * SECONDS_PER_DAY;
+        const tCoolS = cool * SECONDS_PER_DAY;
+
+        let impurities;
+        try {
+            impurities = this.readWasteImpurities(this.readCompound('waste'));
+        } catch (e) {
+            return this.showToast(`Invalid compound: ${e.message}`, 'error');
+        }
+
+        if (Object.keys(impurities).length === 0) return this.showToast('Add impurities first', 'warning');
+
+        try {
+            const limitTypeSelect = document.getElementById('waste-limit-type');
+            const limitType = limitTypeSelect ? limitTypeSelect.value : 'exemption';
+            this.applyEngine('waste-engine');
+            this.applyLibrary('waste-library');
+            const irradiation = this.buildIrradiation('waste', this.scheduleEditors.waste, flux, tIrrS, tCoolS);
+
+            const sens = await this.runSolverJob('wasteSensitivity', [
+                impurities, null, mass, irradiation, tIrrS, tCoolS, totalWaste, limitType
+            ], 'Sensitivity analysis');
+            if (!sens) return;
+            document.getElementById('waste-sensitivity-area').innerHTML =
+                this.renderSensitivityTable(sens, 'Sensitivity of Limit Fractions');
+            this.showToast('Sensitivity Analysis Complete', 'success');
+        } catch (e) {
+            console.error(e);
+            this.showToast('Sensitivity Error', 'error');
+        }
+    }
+
+    /**
+     * Ranked sensitivity coefficients, grouped by output quantity.
+     */
+    renderSensitivityTable(sens, title, maxOutputs = 6, maxRows = 8) {
+        let html = `
+            <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">${title}</h3>
+            <p style="margin: 0 0 1rem 0; font-size: 0.8rem; color: var(--text-muted);">
+                S = (dR/R) / (dX/X), central difference of ±1% on ${sens.parameters} nuclear data entries along the contributing pathways.
+            </p>
+            <div style="overflow-x: auto;">
+            <table class="data-table" style="width:100%">
+                <thead>
+                    <tr>
+                        <th>Output</th>
+                        <th>Parameter</th>
+                        <th>Type</th>
+                        <th>S</th>
+                    </tr>
+                </thead>
+                <tbody>`;
+
+        sens.outputs.slice(0, maxOutputs).forEach(o => {
+            const rows = o.Coefficients.slice(0, maxRows);
+            if (rows.length === 0) return;
+            rows.forEach((c, i) => {
+                html += `
+                    <tr>
+                        ${i === 0 ? `<td rowspan="${rows.length}" style="vertical-align: top; font-weight: bold;">${o.Output}<div style="font-size: 0.75rem; font-weight: normal; color: var(--text-muted); font-family: var(--font-mono);">${o.Nominal.toExponential(3)}</div></td>` : ''}
+                        <td>${c.Parameter.replace(/n,g/g, 'n,γ')}</td>
+                        <td style="color: var(--text-muted);">${c.Kind}</td>
+                        <td style="font-family: var(--font-mono); color: ${Math.abs(c.S) >= 0.5 ? 'var(--accent-yellow)' : 'var(--text-primary)'};">${c.S >= 0 ? '+' : ''}${c.S.toFixed(3)}</td>
+                    </tr>`;
+            });
+        });
+
+        html += `</tbody></table></div>`;
+        return html;
+    }
+
+    /**
+     * Impurity ppm map of the waste tab. The matrix compound adds its constituents
+     * at their mass fraction (1.0 = 10⁶ ppm).
+     */
+    readWasteImpurities(compound) {
+        const impurities = {};
+        document.querySelectorAll('#waste-imp-list .waste-data').forEach(node => {
+            impurities[node.dataset.sym] = parseFloat(node.dataset.ppm);
+        });
+        if (compound) {
+            Object.entries(compound.fractions).forEach(([sym, w]) => {
+                impurities[sym] = (impurities[sym] || 0) + w * 1e6;
+            });
+        }
+        return impurities;
+    }
+
     addWasteItem() {
         const sym = document.getElementById('waste-imp-sym').value;
         const ppm = document.getElementById('waste-imp-ppm').value;
@@ -6030,7 +15905,7 @@ class App {
         document.getElementById('waste-imp-ppm').value = '';
     }
 
-    handleWasteCalculation() {
+    async handleWasteCalculation() {
         if (!this.solver) return;
         const mass = parseFloat(document.getElementById('waste-mass').value) || 0;
         const totalWaste = parseFloat(document.getElementById('waste-total').value) || 0;
@@ -6042,105 +15917,257 @@ class App {
         const tCoolS = cool * SECONDS_PER_DAY;
 
         // Get Impurities
-        const impurities = {};
-        document.querySelectorAll('#waste-imp-list .waste-data').forEach(node => {
-            const sym = node.dataset.sym;
-            const ppm = parseFloat(node.dataset.ppm);
-            impurities[sym] = ppm;
-        });
+        let compound;
+        let impurities;
+        try {
+            compound = this.readCompound('waste');
+            impurities = this.readWasteImpurities(compound);
+        } catch (e) {
+            return this.showToast(`Invalid compound: ${e.message}`, 'error');
+        }
 
         if (Object.keys(impurities).length === 0) return this.showToast('Add impurities first', 'warning');
 
-        this.showToast('Analyzing Batch...', 'info');
-
         try {
             // Get limit type from dropdown
             const limitTypeSelect = document.getElementById('waste-limit-type');
             const limitType = limitTypeSelect ? limitTypeSelect.value : 'exemption';
+            this.applyEngine('waste-engine');
+            this.applyLibrary('waste-library');
+            const irradiation = this.buildIrradiation('waste', this.scheduleEditors.waste, flux, tIrrS, tCoolS);
 
-            const results = this.solver.calculateWasteCompliance(
-                impurities, null, mass, flux, tIrrS, tCoolS, totalWaste, limitType
-            );
+            const job = {
+                method: 'calculateWasteCompliance',
+                args: [impurities, null, mass, irradiation, tIrrS, tCoolS, totalWaste, limitType]
+            };
+            const results = await this.runSolverJob(job.method, job.args, 'Waste analysis');
+            if (!results) return;
+
+            let html = this.renderWasteCompliance(results);
+
+            if (this.decayHeat) {
+                const sources = Object.entries(impurities).flatMap(([sym, ppm]) => this.solver.elementSources(sym, mass * ppm * 1e-6));
+                const cooling = await this.runSolverJob('coolingActivities', [
+                    sources, irradiation, tIrrS, tCoolS, this.coolingPoints(irradiation).map(([t]) => t)
+                ], 'Decay heat');
+                const current = Array.from(results.summary.totalActivity, ([Isotope, Activity]) => ({ Isotope, Activity }));
+                if (cooling) html += this.renderDecayHeat(current, irradiation, cooling);
+            }
 
-            // Render Results
-            let html = `
-                <div style="background: ${results.summary.isCompliant ? 'rgba(0,255,150,0.1)' : 'rgba(255,100,100,0.1)'}; 
-                            padding: 1.5rem; border-radius: 12px; border: 1px solid ${results.summary.isCompliant ? 'var(--accent-green)' : 'var(--accent-red)'}; 
-                            margin-bottom: 2rem; display: flex; justify-content: space-between; align-items: center;">
-                    <div>
-                        <h3 style="margin:0; font-size: 1.5rem; color: ${results.summary.isCompliant ? 'var(--accent-green)' : 'var(--accent-red)'};">
-                            ${results.summary.isCompliant ? 'COMPLIANT' : 'NON-COMPLIANT'}
-                        </h3>
-                        <p style="margin:0.5rem 0 0 0; color: var(--text-secondary);">Total Fraction: ${results.summary.sumIndex.toFixed(4)}</p>
-                    </div>
-                    <div style="text-align: right;">
-                        <span style="display: block; font-size: 0.8rem; text-transform: uppercase;">Clearance Time</span>
-                        <span style="font-size: 1.25rem; font-weight: bold; font-family: var(--font-mono); color: var(--text-primary);">
-                             ${results.summary.daysToClear > 0 ? results.summary.daysToClear.toFixed(1) + ' days' : (results.summary.isCompliant ? '0 days' : '> 100 Years')}
-                        </span>
-                    </div>
+            const mcOptions = this.readUncertainty('waste');
+            const mc = mcOptions ? await this.runSolverJob('monteCarlo', ['wasteSumIndex', mcOptions, job], 'Monte Carlo') : null;
+            if (mc) {
+                html += this.renderUncertaintyTable(mc, 'Sum Index Uncertainty', '(fraction of limit)');
+            }
+
+            document.getElementById('waste-results-area').innerHTML = (compound ? this.renderCompositionNote(compound) : '') + html;
+
+            this.drawWasteCharts(results);
+
+            this.showToast('Analysis Complete', 'success');
+
+        } catch (e) {
+            console.error(e);
+            this.showToast('Compliance Error', 'error');
+        }
+    }
+
+    /**
+     * Compliance banner, nuclide table and chart canvases of a calculateWasteCompliance result.
+     */
+    renderWasteCompliance(results) {
+        let html = `
+            <div style="background: ${results.summary.isCompliant ? 'rgba(0,255,150,0.1)' : 'rgba(255,100,100,0.1)'}; 
+                        padding: 1.5rem; border-radius: 12px; border: 1px solid ${results.summary.isCompliant ? 'var(--accent-green)' : 'var(--accent-red)'}; 
+                        margin-bottom: 2rem; display: flex; justify-content: space-between; align-items: center;">
+                <div>
+                    <h3 style="margin:0; font-size: 1.5rem; color: ${results.summary.isCompliant ? 'var(--accent-green)' : 'var(--accent-red)'};">
+                        ${results.summary.isCompliant ? 'COMPLIANT' : 'NON-COMPLIANT'}
+                    </h3>
+                    <p style="margin:0.5rem 0 0 0; color: var(--text-secondary);">Total Fraction: ${results.summary.sumIndex.toFixed(4)}</p>
+                </div>
+                <div style="text-align: right;">
+                    <span style="display: block; font-size: 0.8rem; text-transform: uppercase;">Clearance Time</span>
+                    <span style="font-size: 1.25rem; font-weight: bold; font-family: var(--font-mono); color: var(--text-primary);">
+                         ${results.summary.daysToClear > 0 ? results.summary.daysToClear.toFixed(1) + ' days' : (results.summary.isCompliant ? '0 days' : '> 100 Years')}
+                    </span>
                 </div>
+            </div>
 
-                <table class="data-table" style="width:100%">
-                    <thead>
-                        <tr>
-                            <th>Isotope</th>
-                            <th>Total Activity (Bq)</th>
-                            <th>Spec. Act (Bq/g)</th>
-                            <th>Limit (Bq/g)</th>
-                            <th>Fraction</th>
-                        </tr>
-                    </thead>
-                    <tbody>`;
+            <table class="data-table" style="width:100%">
+                <thead>
+                    <tr>
+                        <th>Isotope</th>
+                        <th>Total Activity (Bq)</th>
+                        <th>Spec. Act (Bq/g)</th>
+                        <th>Limit (Bq/g)</th>
+                        <th>Fraction</th>
+                    </tr>
+                </thead>
+                <tbody>`;
+
+        results.results.forEach(r => {
+            html += `
+                <tr>
+                    <td>${r.Isotope}</td>
+                    <td style="font-family: var(--font-mono);">${r.ActivityTotal.toExponential(2)}</td>
+                    <td style="font-family: var(--font-mono);">${r.SpecAct.toExponential(2)}</td>
+                    <td style="font-family: var(--font-mono);">${r.Limit.toExponential(2)}</td>
+                    <td style="font-weight: bold; color: ${r.Fraction > 1 ? 'var(--accent-red)' : 'var(--text-primary)'};">${r.Fraction.toFixed(4)}</td>
+                </tr>`;
+        });
+
+        html += `</tbody></table>
+        
+        <!-- Charts Section -->
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 2rem; margin-top: 2rem;">
+            <div class="card" style="padding: 1rem;">
+                <canvas id="waste-pie-chart" style="max-height: 280px;"></canvas>
+            </div>
+            <div class="card" style="padding: 1rem;">
+                <canvas id="waste-bar-chart" style="max-height: 280px;"></canvas>
+            </div>
+        </div>`;
 
-            results.results.forEach(r => {
-                html += `
-                    <tr>
-                        <td>${r.Isotope}</td>
-                        <td style="font-family: var(--font-mono);">${r.ActivityTotal.toExponential(2)}</td>
-                        <td style="font-family: var(--font-mono);">${r.SpecAct.toExponential(2)}</td>
-                        <td style="font-family: var(--font-mono);">${r.Limit.toExponential(2)}</td>
-                        <td style="font-weight: bold; color: ${r.Fraction > 1 ? 'var(--accent-red)' : 'var(--text-primary)'};">${r.Fraction.toFixed(4)}</td>
-                    </tr>`;
-            });
+        return html;
+    }
 
-            html += `</tbody></table>
-            
-            <!-- Charts Section -->
-            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 2rem; margin-top: 2rem;">
-                <div class="card" style="padding: 1rem;">
-                    <canvas id="waste-pie-chart" style="max-height: 280px;"></canvas>
-                </div>
-                <div class="card" style="padding: 1rem;">
-                    <canvas id="waste-bar-chart" style="max-height: 280px;"></canvas>
-                </div>
-            </div>`;
+    /**
+     * Draw the waste charts once renderWasteCompliance's canvases are in the page.
+     */
+    drawWasteCharts(results) {
+        setTimeout(() => {
+            // Prepare data for charts
+            const chartData = results.results.map(r => ({
+                Isotope: r.Isotope,
+                isotope: r.Isotope,
+                Activity: r.ActivityTotal,
+                fraction: r.Fraction
+            }));
+
+            renderActivityPieChart('waste-pie-chart', chartData);
+            renderComplianceBarChart('waste-bar-chart', chartData.map(d => ({
+                isotope: d.Isotope,
+                fraction: d.fraction
+            })));
+        }, 50);
+    }
 
-            document.getElementById('waste-results-area').innerHTML = html;
-
-            // Render Charts (after DOM update)
-            setTimeout(() => {
-                // Prepare data for charts
-                const chartData = results.results.map(r => ({
-                    Isotope: r.Isotope,
-                    isotope: r.Isotope,
-                    Activity: r.ActivityTotal,
-                    fraction: r.Fraction
-                }));
-
-                renderActivityPieChart('waste-pie-chart', chartData);
-                renderComplianceBarChart('waste-bar-chart', chartData.map(d => ({
-                    isotope: d.Isotope,
-                    fraction: d.fraction
-                })));
-            }, 50);
+    // --- BATCH SAMPLES ---
+    /**
+     * Run every sample of the tab's uploaded CSV; prefix is 'imp' or 'waste'.
+     * The tab's fields fill the columns a row leaves empty and its matrix compound is added to every sample.
+     */
+    async handleBatchCalculation(prefix) {
+        if (!this.solver) return this.showToast('Engine Loading...', 'error');
+        const file = document.getElementById(`${prefix}-batch-file`).files[0];
+        if (!file) return this.showToast('Choose a sample CSV first', 'warning');
 
-            this.showToast('Analysis Complete', 'success');
+        const waste = prefix === 'waste';
+        const value = id => parseFloat(document.getElementById(`${prefix}-${id}`).value) || 0;
+        let samples;
+        try {
+            const compound = this.readCompound(prefix);
+            const sheet = parseSampleSheet(this.dataLoader.parseCSV(await file.text()), {
+                mass: value('mass'),
+                flux: value('flux'),
+                timeDays: value('time'),
+                coolDays: value('cool'),
+                wasteMass: waste ? value('total') : value('mass'),
+                matrix: compound ? Object.fromEntries(Object.entries(compound.fractions).map(([sym, w]) => [sym, w * 1e6])) : {}
+            });
+            samples = sheet.samples;
+            if (sheet.ignored.length > 0) this.showToast(`Ignored columns: ${sheet.ignored.join(', ')}`, 'warning');
+        } catch (e) {
+            return this.showToast(`Invalid sample sheet: ${e.message}`, 'error');
+        }
 
+        try {
+            this.applyEngine(`${prefix}-engine`);
+            this.applyLibrary(`${prefix}-library`);
+            const limitTypeSelect = document.getElementById('waste-limit-type');
+            const options = {
+                type: waste ? 'waste' : 'impurity',
+                limitType: waste && limitTypeSelect ? limitTypeSelect.value : 'clearance',
+                spectrum: this.readSpectrum(prefix)
+            };
+            const results = await this.runSolverJob('runSampleBatch', [samples, options], 'Batch analysis');
+            if (!results) return;
+
+            this.batchResults[prefix] = { samples, results, options };
+            document.getElementById(`${prefix}-batch-area`).innerHTML = this.renderBatchSummary(prefix);
+            const failed = results.filter(r => r.error).length;
+            if (failed > 0) this.showToast(`${failed} of ${results.length} samples failed`, 'warning');
+            else this.showToast(`Batch of ${results.length} samples complete`, 'success');
         } catch (e) {
             console.error(e);
-            this.showToast('Compliance Error', 'error');
+            this.showToast('Batch Error', 'error');
+        }
+    }
+
+    /**
+     * Summary grid of the tab's last batch; each row opens the sample's full results.
+     */
+    renderBatchSummary(prefix) {
+        const { results, options } = this.batchResults[prefix];
+        const compliant = results.filter(r => r.compliant).length;
+        const limitNote = options.type === 'waste'
+            ? `Sum index of the diluted waste (${options.limitType} limits).`
+            : `Sum index of the sample's own specific activity (Bq per g of sample, ${options.limitType} limits).`;
+        return `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin: 1rem 0 0.5rem 0;">
+                <h3 style="margin: 0; font-size: 1rem; color: var(--text-primary);">Batch: ${results.length} samples, ${compliant} compliant</h3>
+                <button class="btn-secondary btn-batch-export" data-prefix="${prefix}">Export CSV</button>
+            </div>
+            <p style="margin: 0 0 0.5rem 0; font-size: 0.8rem; color: var(--text-muted);">${limitNote} Click a sample for its full results.</p>
+            <table class="data-table" style="width: 100%;">
+                <thead><tr><th>Sample</th><th>Total Activity (Bq)</th><th>Dominant Nuclide</th><th>Sum Index</th><th>Compliant</th></tr></thead>
+                <tbody>
+                    ${results.map((r, i) => `
+                        <tr class="batch-row" data-prefix="${prefix}" data-index="${i}" style="cursor: pointer;">
+                            <td>${escapeHtml(r.name)}</td>
+                            ${r.error ? `<td colspan="4" style="color: #ff6b6b;">${escapeHtml(r.error)}</td>` : `
+                            <td style="font-family: var(--font-mono);">${r.totalActivity.toExponential(3)}</td>
+                            <td>${r.dominant || '—'}</td>
+                            <td style="font-family: var(--font-mono);">${r.sumIndex.toFixed(4)}</td>
+                            <td style="font-weight: bold; color: ${r.compliant ? 'var(--accent-green)' : 'var(--accent-red)'};">${r.compliant ? 'Yes' : 'No'}</td>`}
+                        </tr>`).join('')}
+                </tbody>
+            </table>`;
+    }
+
+    /**
+     * Full results of one batch sample in the tab's results area.
+     */
+    async showBatchSample(prefix, index) {
+        const batch = this.batchResults[prefix];
+        const r = batch && batch.results[index];
+        if (!r) return;
+        if (r.error) return this.showToast(`${r.name}: ${r.error}`, 'error');
+
+        document.querySelectorAll(`#${prefix}-batch-area .batch-row`).forEach((row, i) => {
+            row.style.background = i === index ? 'rgba(0,212,255,0.1)' : '';
+        });
+        const s = batch.samples[index];
+        const note = `
+            <p style="margin: 0 0 1rem 0; font-size: 0.85rem; color: var(--text-secondary);">
+                <b>${escapeHtml(r.name)}</b>: ${s.mass} g, ${s.flux.toExponential(2)} n/cm²·s, ${s.timeDays} d irradiation, ${s.coolDays} d cooling;
+                ${escapeHtml(Object.entries(s.impurities).map(([sym, ppm]) => `${sym} ${ppm} ppm`).join(' · '))}
+            </p>`;
+
+        if (prefix === 'waste') {
+            document.getElementById('waste-results-area').innerHTML = note + this.renderWasteCompliance(r.waste);
+            this.drawWasteCharts(r.waste);
+            return;
         }
+        const sources = Object.entries(s.impurities).flatMap(([sym, ppm]) => this.solver.elementSources(sym, s.mass * ppm * 1e-6));
+        await this.renderResults(r.rows, 'imp-results-area', {
+            sources,
+            irradiation: r.irradiation,
+            tIrrS: s.timeDays * SECONDS_PER_DAY,
+            tCoolS: s.coolDays * SECONDS_PER_DAY
+        });
+        document.getElementById('imp-results-area').insertAdjacentHTML('afterbegin', note);
     }
 
     // --- LIMIT CALCULATOR ---
@@ -6178,7 +16205,7 @@ class App {
         symStart.focus();
     }
 
-    handleLimitCalculation() {
+    async handleLimitCalculation() {
         if (!this.solver) return;
         const mass = parseFloat(document.getElementById('lim-mass').value) || 0;
         const wMass = parseFloat(document.getElementById('lim-wmass').value) || 0;
@@ -6203,14 +16230,33 @@ class App {
             wasteFractions[s] = w / 100.0; // Convert to decimal
         });
 
-        if (elements.length === 0) return this.showToast('Add target elements first', 'warning');
+        // Matrix compound: constituents enter with their mass fraction unless listed explicitly
+        let compound;
+        try {
+            compound = this.readCompound('lim');
+        } catch (e) {
+            return this.showToast(`Invalid compound: ${e.message}`, 'error');
+        }
+        if (compound) {
+            Object.entries(compound.fractions).forEach(([s, w]) => {
+                if (elements.includes(s)) return;
+                elements.push(s);
+                fractions[s] = w;
+            });
+        }
 
-        this.showToast(`Calculating Limits (${limitType})...`, 'info');
+        if (elements.length === 0) return this.showToast('Add target elements first', 'warning');
 
         try {
-            const results = this.solver.calculateMaxPPM(
-                elements, flux, tIrrS, tCoolS, wMass, mass, limitType, fractions, wasteFractions
-            );
+            this.applyEngine('lim-engine');
+            this.applyLibrary('lim-library');
+            const irradiation = this.buildIrradiation('lim', this.scheduleEditors.limit, flux, tIrrS, tCoolS);
+            const job = {
+                method: 'calculateMaxPPM',
+                args: [elements, irradiation, tIrrS, tCoolS, wMass, mass, limitType, fractions, wasteFractions]
+            };
+            const results = await this.runSolverJob(job.method, job.args, `Limit calculation (${limitType})`);
+            if (!results) return;
 
             if (!results || results.length === 0) return this.showToast('No active isotopes found', 'warning');
 
@@ -6255,6 +16301,25 @@ class App {
             });
 
             html += `</tbody></table></div>`;
+
+            if (compound) {
+                // Sum rule over the constituents: 1 / Σ (w_e / ElemMaxPPM_e)
+                const elemMax = new Map(results.map(r => [r.Element, r.ElemMaxPPM]));
+                const inverse = Object.entries(compound.fractions)
+                    .reduce((sum, [sym, w]) => sum + (elemMax.has(sym) ? w / elemMax.get(sym) : 0), 0);
+                const compoundMax = inverse > 0 ? (1 / inverse).toExponential(3) : 'Infinite';
+                html = this.renderCompositionNote(compound) + `
+                    <p style="margin: 0 0 1rem 0; font-size: 0.9rem; color: var(--accent-yellow); font-weight: bold;">
+                        Compound max ppm: ${compoundMax}
+                    </p>` + html;
+            }
+
+            const mcOptions = this.readUncertainty('lim');
+            const mc = mcOptions ? await this.runSolverJob('monteCarlo', ['maxPPM', mcOptions, job], 'Monte Carlo') : null;
+            if (mc) {
+                html += this.renderUncertaintyTable(mc, 'Element Max PPM Uncertainty', '(ppm)');
+            }
+
             document.getElementById('lim-results-area').innerHTML = html;
             this.showToast('Limits Calculated', 'success');
 
@@ -6264,7 +16329,58 @@ class App {
         }
     }
 
-    renderResults(results, targetId = 'results-area') {
+    /**
+     * Specific activity / carrier table shown below the activation results.
+     */
+    renderProductReport(report) {
+        if (report.products.length === 0) return '';
+        const burnUp = report.targets
+            .filter(t => t.InitialAtoms > 0)
+            .map(t => `${t.Isotope}: <b>${(t.BurnUp * 100).toPrecision(3)}%</b>`)
+            .join(' · ');
+
+        // Bq/g -> GBq/mg
+        const gbqPerMg = v => (v * 1e-12).toPrecision(4);
+
+        let html = `
+            <div class="card" style="padding: 1rem; margin-top: 1.5rem;">
+                <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Product Report (Specific Activity &amp; Carrier)</h3>
+                <p style="margin: 0 0 1rem 0; font-size: 0.85rem; color: var(--text-secondary);">Target burn-up: ${burnUp}</p>
+                <div style="overflow-x: auto;">
+                <table class="data-table" style="width:100%">
+                    <thead>
+                        <tr>
+                            <th>Product</th>
+                            <th>Activity (GBq)</th>
+                            <th title="All isotopes of the product's element left in the sample: unreacted target, stable carrier and product">Element Mass (mg)</th>
+                            <th>Specific Activity (GBq/mg)</th>
+                            <th title="λ·N_A / A for the pure nuclide">Carrier-Free SA (GBq/mg)</th>
+                            <th>SA / Carrier-Free</th>
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+        report.products.forEach(p => {
+            html += `
+                    <tr>
+                        <td>${p.Isotope}</td>
+                        <td style="font-family: var(--font-mono);">${(p.Activity / 1e9).toExponential(3)}</td>
+                        <td style="font-family: var(--font-mono);">${(p.ElementMassG * 1000).toExponential(3)}</td>
+                        <td style="font-family: var(--font-mono); color: var(--accent-green);">${gbqPerMg(p.SpecificActivity)}</td>
+                        <td style="font-family: var(--font-mono);">${gbqPerMg(p.CarrierFreeSA)}</td>
+                        <td style="font-family: var(--font-mono);">${(p.Ratio * 100).toPrecision(3)}%</td>
+                    </tr>`;
+        });
+
+        html += `</tbody></table></div></div>`;
+        return html;
+    }
+
+    /**
+     * @param {Object|null} inventory { sources, irradiation, tIrrS, tCoolS } of the scenario;
+     *        its product, decay heat, isomer and activity-vs-time reports run as one solver job
+     */
+    async renderResults(results, targetId = 'results-area', inventory = null) {
         const area = document.getElementById(targetId);
         if (!area) return;
 
@@ -6279,10 +16395,10 @@ class App {
         this.lastResults = { title: 'Activation_Analysis', results, summary: { TotalActivity: total.toExponential(2) + ' Bq', DominantIsotope: topIso ? topIso.Isotope : '-', PathwaysFound: results.length } };
 
         let html = `
+            <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 1.5rem; margin-bottom: 1.5rem;">
             <!-- Summary Card -->
             <div style="background: linear-gradient(135deg, rgba(0,212,255,0.1), rgba(0,255,150,0.05)); 
-                        padding: 1.5rem; border-radius: 12px; border: 1px solid var(--accent-cyan); 
-                        margin-bottom: 1.5rem;">
+                        padding: 1.5rem; border-radius: 12px; border: 1px solid var(--accent-cyan);">
                 <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
                     <span style="font-size: 0.9rem; font-weight: 600; color: var(--text-primary);">Analysis Results</span>
                     <button id="btn-export-pdf-${targetId}" class="btn-secondary" style="display: flex; align-items: center; gap: 6px; padding: 6px 12px; font-size: 0.85rem;">
@@ -6315,6 +16431,17 @@ class App {
                     </div>
                 </div>
             </div>
+            <!-- Dose Rate Card -->
+            <div id="${targetId}-dose-card" style="padding: 1.5rem; border-radius: 12px; border: 1px solid var(--accent-yellow);
+                        background: rgba(255,200,0,0.05);">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.75rem; gap: 0.5rem;">
+                    <span style="font-size: 0.9rem; font-weight: 600; color: var(--text-primary);" title="Unshielded point source, ICRP 74 conversion coefficients">Dose Rate H*(10)</span>
+                    <input type="text" id="${targetId}-dose-distances" value="0.3, 1, 2" class="input-field"
+                        title="Distances in metres, comma separated" style="width: 110px; padding: 4px 8px; font-size: 0.8rem;">
+                </div>
+                <div id="${targetId}-dose-body"></div>
+            </div>
+            </div>
             
             <!-- Results Grid -->
             <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 1.5rem;">
@@ -6357,31 +16484,132 @@ class App {
                     <div class="card" style="padding: 1rem; height: 220px;">
                         <canvas id="${pieChartId}"></canvas>
                     </div>
-                    <!-- Decay Chart -->
-                    <div class="card" style="padding: 1rem; height: 280px;">
-                        <canvas id="${targetId}-decay-chart"></canvas>
+                    <!-- Activity vs Time Chart -->
+                    <div class="card" style="padding: 1rem; height: 340px; display: flex; flex-direction: column;">
+                        <label class="schedule-toggle" style="align-self: flex-end;">
+                            <input type="checkbox" id="${targetId}-stacked"> Stacked
+                        </label>
+                        <div style="flex: 1; min-height: 0;">
+                            <canvas id="${targetId}-decay-chart"></canvas>
+                        </div>
                     </div>
                 </div>
             </div>
         `;
 
+        let reports = null;
+        if (inventory && this.solver) {
+            const points = this.coolingPoints(inventory.irradiation);
+            // Activity vs time of the whole inventory; without a cooling period, show ~5 half-lives
+            // of the dominant nuclide after EOB
+            let seriesOptions = null;
+            if (topIso) {
+                const hasCooling = Array.isArray(inventory.irradiation)
+                    ? inventory.irradiation.some((seg, i, all) => seg.flux === 0 && all.slice(0, i).some(p => p.flux > 0))
+                    : inventory.tCoolS > 0;
+                const lambda = this.solver.lambdaCache.get(topIso.Isotope) || 0;
+                seriesOptions = { extraCoolingS: 0 };
+                if (!hasCooling && lambda > 0) {
+                    seriesOptions.extraCoolingS = Math.min(Math.max(5 * Math.log(2) / lambda, 30 * SECONDS_PER_DAY), 3650 * SECONDS_PER_DAY);
+                }
+            }
+            reports = await this.runSolverJob('inventoryReports', [
+                inventory.sources, inventory.irradiation, inventory.tIrrS, inventory.tCoolS,
+                points.map(([t]) => t), seriesOptions
+            ], 'Inventory reports');
+
+            if (reports) {
+                html += this.renderProductReport(reports.products);
+                if (this.decayHeat) html += this.renderDecayHeat(results, inventory.irradiation, reports.cooling);
+                if (reports.isomers.length > 0) html += this.renderIsomericStates(reports.isomers, points, targetId);
+            }
+        }
+        const isomers = reports ? reports.isomers : [];
+
+        if (this.doseRate) {
+            html += `
+            <div class="card" style="padding: 1rem; margin-top: 1.5rem;">
+                <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Shielding Designer</h3>
+                <p style="margin: 0 0 1rem 0; font-size: 0.8rem; color: var(--text-muted);">
+                    Thickness that brings the dose rate at the given distance below the target, line by line with B(E, μx)·exp(−μx).
+                </p>
+                <div style="display: flex; gap: 0.75rem; align-items: flex-end; flex-wrap: wrap; margin-bottom: 1rem;">
+                    <div class="form-group" style="margin: 0;">
+                        <label>TARGET (µSv/h)</label>
+                        <input type="number" id="${targetId}-shield-target" value="10" class="input-field" style="width: 120px;">
+                    </div>
+                    <div class="form-group" style="margin: 0;">
+                        <label>DISTANCE (m)</label>
+                        <input type="number" id="${targetId}-shield-distance" value="1" step="0.1" class="input-field" style="width: 120px;">
+                    </div>
+                    <button id="${targetId}-shield-btn" class="btn-secondary">Design Shield</button>
+                </div>
+                <div id="${targetId}-shield-area"></div>
+            </div>`;
+        }
+
+        if (this.doseRate && this.solver) {
+            html += `
+            <div class="card" style="padding: 1rem; margin-top: 1.5rem;">
+                <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Predicted Gamma Spectrum (HPGe)</h3>
+                <p style="margin: 0 0 1rem 0; font-size: 0.8rem; color: var(--text-muted);">
+                    Count started at the end of the scenario. A peak is visible when its net counts exceed the Currie limit L<sub>D</sub> of the Compton continuum under it (no room background).
+                </p>
+                <div style="display: flex; gap: 0.75rem; align-items: flex-end; flex-wrap: wrap; margin-bottom: 1rem;">
+                    <div class="form-group" style="margin: 0;">
+                        <label>COUNT TIME (s)</label>
+                        <input type="number" id="${targetId}-spec-time" value="3600" class="input-field" style="width: 110px;">
+                    </div>
+                    ${this.renderDetectorFields(`${targetId}-spec`)}
+                    <button id="${targetId}-spec-btn" class="btn-secondary">Simulate Spectrum</button>
+                </div>
+                <div id="${targetId}-spec-area"></div>
+            </div>`;
+        }
+
         area.innerHTML = html;
 
         // Render charts and setup PDF export button
         setTimeout(() => {
             renderActivityPieChart(pieChartId, results);
 
-            // Render decay chart for top isotope
-            if (topIso && this.solver) {
-                const lambda = this.solver.lambdaCache.get(topIso.Isotope) || 0;
-                if (lambda > 0) {
-                    const halfLifeSeconds = Math.log(2) / lambda;
-                    // Determine appropriate time range based on half-life
-                    const maxDays = Math.min(Math.max(halfLifeSeconds / 86400 * 5, 30), 365 * 10);
-                    renderDecayChart(`${targetId}-decay-chart`, topIso.Isotope, topIso.Activity, halfLifeSeconds, maxDays);
-                }
+            // Activity vs time of the whole inventory
+            if (reports && reports.series) {
+                const draw = () => renderInventoryChart(`${targetId}-decay-chart`, reports.series, {
+                    stacked: document.getElementById(`${targetId}-stacked`)?.checked
+                });
+                draw();
+                document.getElementById(`${targetId}-stacked`)?.addEventListener('change', draw);
+            }
+
+            // Dose rate at the requested distances, recomputed when they change
+            if (this.doseRate) {
+                const distanceInput = document.getElementById(`${targetId}-dose-distances`);
+                const drawDose = () => {
+                    const distances = distanceInput.value.split(/[,;\s]+/).map(parseFloat).filter(d => d > 0);
+                    document.getElementById(`${targetId}-dose-body`).innerHTML =
+                        this.renderDoseRate(this.doseRate.compute(results, distances.length > 0 ? distances : [1]));
+                };
+                drawDose();
+                distanceInput?.addEventListener('change', drawDose);
             }
 
+            // Isomer-to-ground ratios checked against the purity limit as it is typed
+            const isoLimit = document.getElementById(`${targetId}-iso-limit`);
+            isoLimit?.addEventListener('input', () => {
+                const limitPct = parseFloat(isoLimit.value);
+                document.getElementById(`${targetId}-iso-area`).innerHTML = this.renderIsomerTables(
+                    isomers, this.coolingPoints(inventory.irradiation), limitPct > 0 ? limitPct : null
+                );
+            });
+
+            document.getElementById(`${targetId}-shield-btn`)?.addEventListener('click', () => {
+                this.handleShieldDesign(results, targetId);
+            });
+            document.getElementById(`${targetId}-spec-btn`)?.addEventListener('click', () => {
+                this.handleGammaSpectrum(results, targetId);
+            });
+
             // Setup PDF export button
             const pdfBtn = document.getElementById(`btn-export-pdf-${targetId}`);
             if (pdfBtn) {
@@ -6402,6 +16630,365 @@ class App {
         }, 50);
     }
 
+    handleShieldDesign(results, targetId) {
+        const targetSvH = parseFloat(document.getElementById(`${targetId}-shield-target`).value) * 1e-6;
+        const distanceM = parseFloat(document.getElementById(`${targetId}-shield-distance`).value);
+        if (!(targetSvH > 0) || !(distanceM > 0)) return this.showToast('Enter a positive target and distance', 'warning');
+
+        try {
+            const designs = new ShieldingDesigner(this.doseRate).designAll(results, targetSvH, distanceM);
+            let html = `
+                <table class="data-table" style="width: 100%;">
+                    <thead>
+                        <tr>
+                            <th>Material</th>
+                            <th>Thickness</th>
+                            <th>Unshielded</th>
+                            <th>Behind Shield</th>
+                            <th title="Largest contributions behind the shield">Dominant Lines</th>
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+            designs.forEach(d => {
+                const thickness = d.reachable
+                    ? (d.thicknessCm === 0 ? 'none needed' : `${d.thicknessCm.toFixed(2)} cm`)
+                    : `> ${SHIELD_MATERIALS[d.material].maxCm} cm`;
+                const lines = d.dominant
+                    .filter(l => l.rate > 0)
+                    .map(l => `${l.Isotope} ${(l.energyMeV * 1000).toFixed(0)} keV`)
+                    .join(', ');
+                html += `
+                        <tr>
+                            <td>${d.label}</td>
+                            <td style="font-family: var(--font-mono); font-weight: bold; color: ${d.reachable ? 'var(--accent-green)' : 'var(--accent-red)'};">${thickness}</td>
+                            <td style="font-family: var(--font-mono);">${this.formatDoseRate(d.unshielded)}</td>
+                            <td style="font-family: var(--font-mono);">${this.formatDoseRate(d.shielded)}</td>
+                            <td style="font-size: 0.85em; color: var(--text-muted);">${lines || '-'}</td>
+                        </tr>`;
+            });
+
+            html += `</tbody></table>`;
+            document.getElementById(`${targetId}-shield-area`).innerHTML = html;
+        } catch (e) {
+            console.error(e);
+            this.showToast('Shielding Error', 'error');
+        }
+    }
+
+    /**
+     * HPGe detector model inputs: efficiency curve, FWHM at 122 / 1332 keV, peak-to-total ratio.
+     */
+    renderDetectorFields(prefix) {
+        return `
+                    <div class="form-group" style="margin: 0; flex: 1; min-width: 260px;">
+                        <label title="Full-energy peak efficiency points keV:ε for the counting geometry, interpolated log-log">EFFICIENCY (keV:ε)</label>
+                        <input type="text" id="${prefix}-eff" value="${formatEfficiencyCurve(DEFAULT_DETECTOR.efficiency)}" class="input-field">
+                    </div>
+                    <div class="form-group" style="margin: 0;">
+                        <label>FWHM @122 (keV)</label>
+                        <input type="number" id="${prefix}-fwhm122" value="${DEFAULT_DETECTOR.fwhm122}" step="0.1" class="input-field" style="width: 100px;">
+                    </div>
+                    <div class="form-group" style="margin: 0;">
+                        <label>FWHM @1332 (keV)</label>
+                        <input type="number" id="${prefix}-fwhm1332" value="${DEFAULT_DETECTOR.fwhm1332}" step="0.1" class="input-field" style="width: 100px;">
+                    </div>
+                    <div class="form-group" style="margin: 0;">
+                        <label title="Peak-to-total ratio at 1332 keV">P/T @1332</label>
+                        <input type="number" id="${prefix}-pt" value="${DEFAULT_DETECTOR.peakToTotal}" step="0.01" class="input-field" style="width: 90px;">
+                    </div>`;
+    }
+
+    /**
+     * Detector model from renderDetectorFields() inputs. Throws on invalid values.
+     */
+    readDetector(prefix) {
+        return new HPGeDetector(this.readDetectorConfig(prefix));
+    }
+
+    /**
+     * Detector fields as a plain HPGeDetector config, e.g. for a solver job.
+     */
+    readDetectorConfig(prefix) {
+        const value = suffix => document.getElementById(`${prefix}-${suffix}`).value;
+        return {
+            efficiency: parseEfficiencyCurve(value('eff')),
+            fwhm122: parseFloat(value('fwhm122')),
+            fwhm1332: parseFloat(value('fwhm1332')),
+            peakToTotal: parseFloat(value('pt'))
+        };
+    }
+
+    handleGammaSpectrum(results, targetId) {
+        const value = suffix => document.getElementById(`${targetId}-spec-${suffix}`).value;
+        const countS = parseFloat(value('time'));
+        if (!(countS > 0)) return this.showToast('Enter a positive count time', 'warning');
+
+        let detector;
+        try {
+            detector = this.readDetector(`${targetId}-spec`);
+        } catch (e) {
+            return this.showToast(`Invalid detector: ${e.message}`, 'error');
+        }
+
+        try {
+            const spectrum = new GammaSpectrumSimulator(this.doseRate, this.solver.lambdaCache)
+                .simulate(results, detector, countS);
+            const area = document.getElementById(`${targetId}-spec-area`);
+            if (spectrum.peaks.length === 0) {
+                area.innerHTML = '<p style="margin: 0; color: var(--text-muted);">No gamma lines in the inventory.</p>';
+                return;
+            }
+
+            const visible = spectrum.peaks.filter(p => p.Visible).length;
+            let html = `
+                <div style="height: 320px; margin-bottom: 1rem;"><canvas id="${targetId}-spec-chart"></canvas></div>
+                <p style="margin: 0 0 0.5rem 0; font-size: 0.85rem; color: var(--text-secondary);">
+                    ${visible} of ${spectrum.peaks.length} lines above L<sub>D</sub>
+                </p>
+                <div style="overflow-x: auto;">
+                <table class="data-table" style="width: 100%;">
+                    <thead>
+                        <tr>
+                            <th>Nuclide</th>
+                            <th>Energy (keV)</th>
+                            <th>Yield</th>
+                            <th>Efficiency</th>
+                            <th>FWHM (keV)</th>
+                            <th>Net Counts</th>
+                            <th title="Continuum and neighbouring peaks within ±1.25 FWHM">Background</th>
+                            <th title="Currie detection limit 2.71 + 4.65·√B">L<sub>D</sub></th>
+                            <th>Visible</th>
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+            spectrum.peaks.slice(0, 30).forEach(p => {
+                html += `
+                        <tr>
+                            <td>${p.Isotope}</td>
+                            <td style="font-family: var(--font-mono);">${p.Energy.toFixed(1)}</td>
+                            <td style="font-family: var(--font-mono);">${(p.Yield * 100).toPrecision(3)}%</td>
+                            <td style="font-family: var(--font-mono);">${p.Efficiency.toExponential(2)}</td>
+                            <td style="font-family: var(--font-mono);">${p.FWHM.toFixed(2)}</td>
+                            <td style="font-family: var(--font-mono); font-weight: bold;">${p.Counts.toExponential(3)}</td>
+                            <td style="font-family: var(--font-mono);">${p.Background.toExponential(2)}</td>
+                            <td style="font-family: var(--font-mono);">${p.LD.toExponential(2)}</td>
+                            <td style="font-weight: bold; color: ${p.Visible ? 'var(--accent-green)' : 'var(--accent-red)'};">${p.Visible ? 'yes' : 'no'}</td>
+                        </tr>`;
+            });
+
+            html += `</tbody></table></div>`;
+            area.innerHTML = html;
+            renderGammaSpectrumChart(`${targetId}-spec-chart`, spectrum);
+        } catch (e) {
+            console.error(e);
+            this.showToast('Spectrum Error', 'error');
+        }
+    }
+
+    formatPower(watts) {
+        if (!(watts > 0)) return '0 W';
+        if (watts >= 1e3) return `${(watts / 1e3).toPrecision(3)} kW`;
+        if (watts >= 1) return `${watts.toPrecision(3)} W`;
+        if (watts >= 1e-3) return `${(watts * 1e3).toPrecision(3)} mW`;
+        if (watts >= 1e-6) return `${(watts * 1e6).toPrecision(3)} µW`;
+        return `${(watts * 1e9).toPrecision(3)} nW`;
+    }
+
+    /**
+     * Cooling times [s, label] shown for a scenario: EOB, the scenario's own cooling time
+     * and a fixed set from 1 h to 1 y.
+     */
+    coolingPoints(irradiation) {
+        const tCoolS = scheduleDuration(irradiation) - endOfBombardment(irradiation);
+        const steps = [
+            [3600, '1 h'], [SECONDS_PER_DAY, '1 d'], [7 * SECONDS_PER_DAY, '7 d'],
+            [30 * SECONDS_PER_DAY, '30 d'], [90 * SECONDS_PER_DAY, '90 d'], [365.25 * SECONDS_PER_DAY, '1 y']
+        ].filter(([t]) => Math.abs(t - tCoolS) > 0.01 * t);
+        const coolingLabel = `${(tCoolS / SECONDS_PER_DAY).toPrecision(3)} d (scenario)`;
+        return [[0, 'EOB'], ...(tCoolS > 0 ? [[tCoolS, coolingLabel]] : []), ...steps]
+            .sort((a, b) => a[0] - b[0]);
+    }
+
+    /**
+     * Decay heat card: per-nuclide heat at EOB and after the scenario's cooling time,
+     * and the total over a fixed set of cooling times.
+     * @param {Array} results Inventory at the end of the schedule (solver rows)
+     * @param {Array} irradiation Normalized schedule of the scenario
+     * @param {Array<Array>} cooling { Isotope, Activity } rows at each of coolingPoints(irradiation),
+     *        from NuclearSolver.coolingActivities; the scenario's own point uses results
+     */
+    renderDecayHeat(results, irradiation, cooling, maxNuclides = 8) {
+        const tCoolS = scheduleDuration(irradiation) - endOfBombardment(irradiation);
+        const points = this.coolingPoints(irradiation);
+        const rowsAt = new Map(points.map(([t], i) => [t, t > 0 && t === tCoolS ? results : cooling[i]]));
+        const atEob = this.decayHeat.fromResults(rowsAt.get(0));
+        const atCooling = tCoolS > 0 ? this.decayHeat.fromResults(results) : atEob;
+        if (!(atEob.total > 0) && !(atCooling.total > 0)) return '';
+
+        const curve = this.decayHeat.overCooling(t => rowsAt.get(t), points.map(([t]) => t));
+
+        const afterCooling = new Map(atCooling.nuclides.map(n => [n.Isotope, n.Total]));
+        const shown = new Set([...atEob.nuclides, ...atCooling.nuclides]
+            .filter(n => n.Share >= 1e-4)
+            .sort((a, b) => b.Total - a.Total)
+            .map(n => n.Isotope));
+        const eobByIso = new Map(atEob.nuclides.map(n => [n.Isotope, n]));
+        const missing = atEob.missing.slice(0, 6);
+
+        let html = `
+            <div class="card" style="padding: 1rem; margin-top: 1.5rem;">
+                <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Decay Heat</h3>
+                <p style="margin: 0 0 1rem 0; font-size: 0.85rem; color: var(--text-secondary);">
+                    EOB: <b>${this.formatPower(atEob.total)}</b> (β ${this.formatPower(atEob.beta)}, γ ${this.formatPower(atEob.gamma)})
+                    ${tCoolS > 0 ? ` · after cooling: <b>${this.formatPower(atCooling.total)}</b>` : ''}
+                </p>
+                <div style="display: grid; grid-template-columns: 3fr 2fr; gap: 1.5rem;">
+                <div style="overflow-x: auto;">
+                <table class="data-table" style="width:100%">
+                    <thead>
+                        <tr>
+                            <th>Nuclide</th>
+                            <th title="Mean electron energy per decay, neutrinos excluded">β at EOB</th>
+                            <th>γ at EOB</th>
+                            <th>Total at EOB</th>
+                            ${tCoolS > 0 ? '<th>After Cooling</th>' : ''}
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+        Array.from(shown).slice(0, maxNuclides).forEach(iso => {
+            const n = eobByIso.get(iso) || { Beta: 0, Gamma: 0, Total: 0 };
+            html += `
+                    <tr>
+                        <td>${iso}</td>
+                        <td style="font-family: var(--font-mono);">${this.formatPower(n.Beta)}</td>
+                        <td style="font-family: var(--font-mono);">${this.formatPower(n.Gamma)}</td>
+                        <td style="font-family: var(--font-mono); color: var(--accent-green);">${this.formatPower(n.Total)}</td>
+                        ${tCoolS > 0 ? `<td style="font-family: var(--font-mono);">${this.formatPower(afterCooling.get(iso) || 0)}</td>` : ''}
+                    </tr>`;
+        });
+
+        html += `</tbody></table></div>
+                <div style="overflow-x: auto;">
+                <table class="data-table" style="width:100%">
+                    <thead><tr><th>Cooling</th><th>Decay Heat</th><th>γ Share</th></tr></thead>
+                    <tbody>
+                        ${curve.map((c, i) => `
+                        <tr>
+                            <td>${points[i][1]}</td>
+                            <td style="font-family: var(--font-mono);">${this.formatPower(c.total)}</td>
+                            <td style="font-family: var(--font-mono);">${c.total > 0 ? ((c.gamma / c.total) * 100).toFixed(1) + '%' : '-'}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+                </div>
+                </div>
+                ${missing.length > 0 ? `<p style="margin: 0.75rem 0 0 0; font-size: 0.75rem; color: var(--text-muted);">No decay energy data (not counted): ${missing.join(', ')}</p>` : ''}
+            </div>`;
+        return html;
+    }
+
+    /**
+     * Isomeric states card: metastable and ground-state activities of each isomer pair and
+     * their ratio over cooling, checked against an optional purity limit (e.g. Lu-177m/Lu-177).
+     */
+    renderIsomericStates(pairs, points, targetId) {
+        return `
+            <div class="card" style="padding: 1rem; margin-top: 1.5rem;">
+                <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Isomeric States</h3>
+                <p style="margin: 0 0 1rem 0; font-size: 0.8rem; color: var(--text-muted);">
+                    Activities of metastable and ground states with IT ingrowth. IR: isomeric ratio σ<sub>m</sub>/σ<sub>γ</sub> of the capture; IT: share of isomer decays feeding the ground state.
+                </p>
+                <div class="form-group" style="margin: 0 0 1rem 0;">
+                    <label>PURITY LIMIT A(m)/A(g) (%)</label>
+                    <input type="number" id="${targetId}-iso-limit" placeholder="none" min="0" step="any" class="input-field" style="width: 120px;">
+                </div>
+                <div id="${targetId}-iso-area">${this.renderIsomerTables(pairs, points, null)}</div>
+            </div>`;
+    }
+
+    /**
+     * One table per isomer pair; ratios above limitPct are flagged.
+     */
+    renderIsomerTables(pairs, points, limitPct, maxPairs = 4) {
+        const ratioCell = ratio => {
+            if (ratio === null) return '<td style="font-family: var(--font-mono);">-</td>';
+            const pct = ratio * 100;
+            const color = limitPct === null ? 'var(--text-primary)' : pct > limitPct ? 'var(--accent-red)' : 'var(--accent-green)';
+            return `<td style="font-family: var(--font-mono); color: ${color};">${pct < 0.01 || pct >= 1e4 ? pct.toExponential(2) : pct.toPrecision(3)}%</td>`;
+        };
+
+        return `
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 1.5rem;">
+                ${pairs.slice(0, maxPairs).map(p => `
+                <div style="overflow-x: auto;">
+                    <p style="margin: 0 0 0.5rem 0; font-size: 0.85rem; color: var(--text-secondary);">
+                        <b>${p.Isomer} / ${p.Ground}</b>
+                        · IT ${(p.ITBranch * 100).toPrecision(3)}%
+                        ${p.IsomericRatio !== null ? ` · IR ${(p.IsomericRatio * 100).toPrecision(3)}%` : ''}
+                    </p>
+                    <table class="data-table" style="width: 100%;">
+                        <thead><tr><th>Cooling</th><th>${p.Isomer} (Bq)</th><th>${p.Ground} (Bq)</th><th>Ratio</th></tr></thead>
+                        <tbody>
+                            ${p.points.map((pt, i) => `
+                            <tr>
+                                <td>${points[i][1]}</td>
+                                <td style="font-family: var(--font-mono);">${pt.Isomer.toExponential(3)}</td>
+                                <td style="font-family: var(--font-mono);">${pt.Ground.toExponential(3)}</td>
+                                ${ratioCell(pt.Ratio)}
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>`).join('')}
+            </div>
+            ${pairs.length > maxPairs ? `<p style="margin: 0.75rem 0 0 0; font-size: 0.75rem; color: var(--text-muted);">Not shown: ${pairs.slice(maxPairs).map(p => p.Isomer).join(', ')}</p>` : ''}`;
+    }
+
+    /**
+     * Dose rate formatted in the most readable unit.
+     */
+    formatDoseRate(svPerHour) {
+        if (svPerHour >= 1) return `${svPerHour.toPrecision(3)} Sv/h`;
+        if (svPerHour >= 1e-3) return `${(svPerHour * 1e3).toPrecision(3)} mSv/h`;
+        if (svPerHour >= 1e-6) return `${(svPerHour * 1e6).toPrecision(3)} µSv/h`;
+        return `${(svPerHour * 1e9).toPrecision(3)} nSv/h`;
+    }
+
+    /**
+     * Body of the dose rate card: total per distance and the main contributors.
+     */
+    renderDoseRate(dose, maxNuclides = 5) {
+        let html = `
+                <table class="data-table" style="width: 100%; font-size: 0.85em;">
+                    <thead>
+                        <tr>
+                            <th>Nuclide</th>
+                            ${dose.distances.map(d => `<th>${d} m</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr style="font-weight: bold; color: var(--accent-yellow);">
+                            <td>Total</td>
+                            ${dose.total.map(v => `<td style="font-family: var(--font-mono);">${this.formatDoseRate(v)}</td>`).join('')}
+                        </tr>`;
+
+        dose.nuclides.filter(n => n.Share >= 1e-4).slice(0, maxNuclides).forEach(n => {
+            html += `
+                        <tr>
+                            <td title="${(n.RateConstant * 1e15).toPrecision(3)} µSv·m²/(h·GBq)">${n.Isotope} <span style="color: var(--text-muted);">(${(n.Share * 100).toFixed(1)}%)</span></td>
+                            ${n.DoseRates.map(v => `<td style="font-family: var(--font-mono);">${this.formatDoseRate(v)}</td>`).join('')}
+                        </tr>`;
+        });
+
+        html += `</tbody></table>`;
+        if (dose.missing.length > 0) {
+            html += `<p style="margin: 0.5rem 0 0 0; font-size: 0.75rem; color: var(--text-muted);">No gamma data: ${dose.missing.slice(0, 6).join(', ')}${dose.missing.length > 6 ? ', …' : ''}</p>`;
+        }
+        return html;
+    }
+
     extractIsotopesFromData(xsData) {
         if (!xsData) return [];
 
@@ -6428,6 +17015,41 @@ class App {
         return Array.from(unique.values());
     }
 
+    /**
+     * Run a solver job (see SolverJobs.js) off the page behind the progress overlay.
+     * @param {string} title Shown on the overlay, e.g. 'Impurity analysis'
+     * @returns {Promise} Job result, or null when another job is running or the user cancelled
+     */
+    async runSolverJob(method, args, title) {
+        if (this.solverClient.busy) {
+            this.showToast('Another calculation is still running', 'warning');
+            return null;
+        }
+        this.showProgress(title);
+        try {
+            return await this.solverClient.run(method, args, (done, total, label) => this.showProgress(title, done, total, label));
+        } catch (e) {
+            if (!(e instanceof SolverCancelled)) throw e;
+            this.showToast(`${title} cancelled`, 'warning');
+            return null;
+        } finally {
+            document.getElementById('loading-overlay')?.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Show the loading overlay; done/total/label come from the solver's progress events.
+     */
+    showProgress(title, done = 0, total = 0, label = '') {
+        const overlay = document.getElementById('loading-overlay');
+        if (!overlay) return;
+        overlay.querySelector('.loading-text').textContent = total > 0
+            ? `${title}: ${label} (${Math.min(done + 1, total)} of ${total})`
+            : `${title}...`;
+        overlay.querySelector('.loading-progress-bar').style.width = `${total > 0 ? (100 * done) / total : 0}%`;
+        overlay.classList.remove('hidden');
+    }
+
     showToast(msg, type = 'info') {
         const container = document.getElementById('toast-container');
         if (!container) return;
@@ -7,20 +7,44 @@
 import { appStore } from './store/Store.js';
 import { bus, EVENTS } from './modules/EventBus.js';
 import { DataLoader } from './store/DataLoader.js';
-import { NuclearSolver } from './engine/NuclearSolver.js';
+import { NuclearSolver, XS_LIBRARIES } from './engine/NuclearSolver.js';
 import { SECONDS_PER_DAY } from './utils/Constants.js';
 import { PERIODIC_TABLE } from './utils/PeriodicTable.js';
-import { renderActivityPieChart, renderComplianceBarChart, renderDecayChart } from './utils/Charts.js';
+import { parseIsotopeClean, getUniqueId, formatHalfLife, escapeHtml } from './utils/Parser.js';
+import { renderActivityPieChart, renderComplianceBarChart, renderInventoryChart, renderGammaSpectrumChart } from './utils/Charts.js';
 import { exportToPDF } from './utils/PDF.js';
 import { PasswordGate } from './auth/PasswordGate.js';
 import { Presets } from './store/Presets.js';
 import { UserRoles } from './store/UserRoles.js';
 import { searchModule } from './utils/SearchModule.js';
+import { ScheduleEditor } from './components/ScheduleEditor.js';
+import { normalizeSchedule, scheduleDuration, endOfBombardment } from './engine/Schedule.js';
+import { DEFAULT_UNCERTAINTY } from './engine/Uncertainty.js';
+import { compoundComposition } from './utils/Formula.js';
+import { DoseRate } from './engine/DoseRate.js';
+import { ShieldingDesigner, SHIELD_MATERIALS } from './engine/Shielding.js';
+import { DecayHeat } from './engine/DecayHeat.js';
+import { GammaSpectrumSimulator, HPGeDetector, DEFAULT_DETECTOR, parseEfficiencyCurve, formatEfficiencyCurve } from './engine/GammaSpectrum.js';
+import { K0Analyzer, COMPARATOR, K0_DEFAULT_UNCERTAINTY } from './engine/K0NAA.js';
+import { importDecayFile, combineChainTables, chainRowsToCSV, snapshotDecayData, compareDecayData } from './store/DecayDataImport.js';
+import { halfLifeReport, halfLifeReportToCSV, DEFAULT_HALF_LIFE_TOLERANCE, lintDatabase, lintReportToCSV, LINT_CATEGORIES } from './store/DataQuality.js';
+import { databaseDiffToCSV, scenarioDeltasToCSV, DIFF_CATEGORIES } from './store/DatabaseDiff.js';
+import { validateScenarios, DEFAULT_REFERENCE_SCENARIOS } from './engine/Scenarios.js';
+import { parseSampleSheet, batchSummaryToCSV } from './engine/Batch.js';
+import { SolverClient } from './engine/SolverClient.js';
+import { SolverCancelled } from './engine/SolverJobs.js';
+
+// Inputs of the k0-NAA tab saved in presets (element ids are `k0-${field}`)
+const K0_FIELDS = ['mass', 'irr', 'decay', 'live', 'real', 'f', 'alpha', 'au-mass', 'au-area', 'au-unc', 'au-decay', 'au-live', 'au-real', 'eff', 'eff-unc', 'f-unc', 'alpha-unc'];
 
 class App {
     constructor() {
         this.dataLoader = new DataLoader();
         this.solver = null;
+        this.doseRate = null;
+        this.decayHeat = null;
+        this.scheduleEditors = {};
+        this.batchResults = {};
         this.init();
     }
 
@@ -39,6 +63,8 @@ class App {
             this.renderImpurityForm();
             this.renderWasteForm();
             this.renderLimitForm();
+            this.renderK0Form();
+            this.setupScheduleEditors();
             this.setupAutocomplete();
             this.setupEventListeners();
 
@@ -50,7 +76,19 @@ class App {
                 .then(() => {
                     const state = appStore.getState();
                     if (state.dataLoaded) {
-                        this.solver = new NuclearSolver(state.xsData, state.chainData, state.limitsData);
+                        this.solver = new NuclearSolver(state.xsData, state.chainData, state.limitsData, state.resonanceData, state.isomerData);
+                        this.solverClient = new SolverClient(this.solver, {
+                            xsData: state.xsData,
+                            chainData: state.chainData,
+                            limitsData: state.limitsData,
+                            resonanceData: state.resonanceData,
+                            isomerData: state.isomerData
+                        });
+                        this.doseRate = new DoseRate(state.gammaData);
+                        this.decayHeat = new DecayHeat(state.decayEnergyData);
+                        this.applyMaterials();
+                        this.applyDecayData();
+                        this.solverClient.start();
                         // Initialize Search Module with Isotope Data
                         const isotopeList = this.extractIsotopesFromData(state.xsData);
                         searchModule.loadIsotopes(isotopeList);
@@ -151,6 +189,21 @@ class App {
         document.querySelectorAll('.tab-panel').forEach(p => p.classList.toggle('active', p.id === `tab-${activeId}`));
     }
 
+    setupScheduleEditors() {
+        const defaultsFrom = (fluxId, timeId, coolId) => () => ({
+            flux: document.getElementById(fluxId).value,
+            irrDays: document.getElementById(timeId).value,
+            coolDays: document.getElementById(coolId).value
+        });
+
+        this.scheduleEditors = {
+            single: new ScheduleEditor('input-schedule', { defaults: defaultsFrom('input-flux', 'input-time', 'input-cool') }),
+            impurity: new ScheduleEditor('imp-schedule', { defaults: defaultsFrom('imp-flux', 'imp-time', 'imp-cool') }),
+            waste: new ScheduleEditor('waste-schedule', { defaults: defaultsFrom('waste-flux', 'waste-time', 'waste-cool') }),
+            limit: new ScheduleEditor('lim-schedule', { defaults: defaultsFrom('lim-flux', 'lim-time', 'lim-cool') })
+        };
+    }
+
     setupAutocomplete() {
         // Initialize Autocomplete for all relevant inputs
         new Autocomplete('input-iso', (val) => {
@@ -179,19 +232,40 @@ class App {
         document.body.addEventListener('click', (e) => {
             const id = e.target.id;
             if (id === 'btn-calculate') this.handleCalculation();
+            if (id === 'btn-compare-engines') this.handleEngineComparison();
+            if (id === 'btn-compare-libraries') this.handleLibraryComparison();
+            if (id === 'btn-goal-seek') this.handleGoalSeek();
+            if (id === 'btn-cancel-calc' && this.solverClient) this.solverClient.cancel();
 
             // Impurity Strings
             if (id === 'btn-add-imp') this.addImpurityItem();
             if (id === 'btn-calc-imp') this.handleImpurityCalculation();
+            if (id === 'btn-dl-imp') this.handleDetectionLimits();
+            if (id === 'btn-batch-imp') this.handleBatchCalculation('imp');
 
             // Waste Strings
             if (id === 'btn-add-waste-imp') this.addWasteItem();
             if (id === 'btn-calc-waste') this.handleWasteCalculation();
+            if (id === 'btn-sens-waste') this.handleWasteSensitivity();
+            if (id === 'btn-batch-waste') this.handleBatchCalculation('waste');
+
+            // Batch grids
+            const batchRow = e.target.closest('.batch-row');
+            if (batchRow) this.showBatchSample(batchRow.dataset.prefix, parseInt(batchRow.dataset.index, 10));
+            const batchExport = e.target.closest('.btn-batch-export');
+            if (batchExport && this.batchResults[batchExport.dataset.prefix]) {
+                this.downloadCSV(`batch_${batchExport.dataset.prefix}.csv`, batchSummaryToCSV(this.batchResults[batchExport.dataset.prefix].results));
+            }
 
             // Limit Strings
             if (id === 'btn-add-lim') this.addLimitItem();
             if (id === 'btn-calc-lim') this.handleLimitCalculation();
 
+            // k0-NAA Strings
+            if (id === 'btn-add-k0') this.addK0Line();
+            if (id === 'btn-calc-k0') this.handleK0Calculation();
+            if (e.target.classList.contains('btn-remove-k0')) e.target.parentElement.remove();
+
             // Help Toggle logic
             if (e.target.classList.contains('help-btn') || e.target.closest('.help-btn')) {
                 const btn = e.target.classList.contains('help-btn') ? e.target : e.target.closest('.help-btn');
@@ -204,6 +278,8 @@ class App {
 
             // Manual triggers
             if (id === 'btn-open-manual') document.getElementById('manual-modal').classList.add('active');
+            if (id === 'btn-decay-data') this.showDecayDataModal();
+            if (id === 'btn-data-quality') this.showDataQualityModal();
             if (id === 'btn-close-manual') document.getElementById('manual-modal').classList.remove('active');
 
             // Remove buttons
@@ -219,6 +295,9 @@ class App {
                 const type = e.target.closest('.btn-load-preset').dataset.type;
                 this.handleManagePresets(type);
             }
+            if (e.target.closest('.btn-materials')) {
+                this.showMaterialsModal();
+            }
             // End Presets Logic
         });
     }
@@ -230,7 +309,13 @@ class App {
             mass: document.getElementById('input-mass').value,
             flux: document.getElementById('input-flux').value,
             time: document.getElementById('input-time').value,
-            cool: document.getElementById('input-cool').value
+            cool: document.getElementById('input-cool').value,
+            f: document.getElementById('input-f').value,
+            alpha: document.getElementById('input-alpha').value,
+            engine: document.getElementById('input-engine').value,
+            library: document.getElementById('input-library').value,
+            compound: document.getElementById('input-compound').value,
+            schedule: this.scheduleEditors.single.getData()
         };
     }
     setSingleIsotopeData(data) {
@@ -240,6 +325,12 @@ class App {
         if (data.flux) document.getElementById('input-flux').value = data.flux;
         if (data.time) document.getElementById('input-time').value = data.time;
         if (data.cool) document.getElementById('input-cool').value = data.cool;
+        if (data.f !== undefined) document.getElementById('input-f').value = data.f;
+        if (data.alpha !== undefined) document.getElementById('input-alpha').value = data.alpha;
+        if (data.engine) document.getElementById('input-engine').value = data.engine;
+        if (data.library) document.getElementById('input-library').value = data.library;
+        if (data.compound !== undefined) document.getElementById('input-compound').value = data.compound;
+        if (data.schedule) this.scheduleEditors.single.setData(data.schedule);
     }
 
     getImpurityData() {
@@ -249,7 +340,13 @@ class App {
             mass: document.getElementById('imp-mass').value,
             flux: document.getElementById('imp-flux').value,
             time: document.getElementById('imp-time').value,
-            cool: document.getElementById('imp-cool').value
+            cool: document.getElementById('imp-cool').value,
+            f: document.getElementById('imp-f').value,
+            alpha: document.getElementById('imp-alpha').value,
+            engine: document.getElementById('imp-engine').value,
+            library: document.getElementById('imp-library').value,
+            compound: document.getElementById('imp-compound').value,
+            schedule: this.scheduleEditors.impurity.getData()
         };
     }
     setImpurityData(data) {
@@ -258,6 +355,12 @@ class App {
         if (data.flux) document.getElementById('imp-flux').value = data.flux;
         if (data.time) document.getElementById('imp-time').value = data.time;
         if (data.cool) document.getElementById('imp-cool').value = data.cool;
+        if (data.f !== undefined) document.getElementById('imp-f').value = data.f;
+        if (data.alpha !== undefined) document.getElementById('imp-alpha').value = data.alpha;
+        if (data.engine) document.getElementById('imp-engine').value = data.engine;
+        if (data.library) document.getElementById('imp-library').value = data.library;
+        if (data.compound !== undefined) document.getElementById('imp-compound').value = data.compound;
+        if (data.schedule) this.scheduleEditors.impurity.setData(data.schedule);
     }
 
     getWasteData() {
@@ -266,7 +369,13 @@ class App {
             total: document.getElementById('waste-total').value,
             flux: document.getElementById('waste-flux').value,
             time: document.getElementById('waste-time').value,
-            cool: document.getElementById('waste-cool').value
+            cool: document.getElementById('waste-cool').value,
+            f: document.getElementById('waste-f').value,
+            alpha: document.getElementById('waste-alpha').value,
+            engine: document.getElementById('waste-engine').value,
+            library: document.getElementById('waste-library').value,
+            compound: document.getElementById('waste-compound').value,
+            schedule: this.scheduleEditors.waste.getData()
         };
     }
     setWasteData(data) {
@@ -276,6 +385,12 @@ class App {
         if (data.flux) document.getElementById('waste-flux').value = data.flux;
         if (data.time) document.getElementById('waste-time').value = data.time;
         if (data.cool) document.getElementById('waste-cool').value = data.cool;
+        if (data.f !== undefined) document.getElementById('waste-f').value = data.f;
+        if (data.alpha !== undefined) document.getElementById('waste-alpha').value = data.alpha;
+        if (data.engine) document.getElementById('waste-engine').value = data.engine;
+        if (data.library) document.getElementById('waste-library').value = data.library;
+        if (data.compound !== undefined) document.getElementById('waste-compound').value = data.compound;
+        if (data.schedule) this.scheduleEditors.waste.setData(data.schedule);
     }
 
     getLimitData() {
@@ -285,7 +400,13 @@ class App {
             flux: document.getElementById('lim-flux').value,
             time: document.getElementById('lim-time').value,
             cool: document.getElementById('lim-cool').value,
-            type: document.getElementById('lim-type').value
+            type: document.getElementById('lim-type').value,
+            f: document.getElementById('lim-f').value,
+            alpha: document.getElementById('lim-alpha').value,
+            engine: document.getElementById('lim-engine').value,
+            library: document.getElementById('lim-library').value,
+            compound: document.getElementById('lim-compound').value,
+            schedule: this.scheduleEditors.limit.getData()
         };
     }
     setLimitData(data) {
@@ -296,6 +417,24 @@ class App {
         if (data.time) document.getElementById('lim-time').value = data.time;
         if (data.cool) document.getElementById('lim-cool').value = data.cool;
         if (data.type) document.getElementById('lim-type').value = data.type;
+        if (data.f !== undefined) document.getElementById('lim-f').value = data.f;
+        if (data.alpha !== undefined) document.getElementById('lim-alpha').value = data.alpha;
+        if (data.engine) document.getElementById('lim-engine').value = data.engine;
+        if (data.library) document.getElementById('lim-library').value = data.library;
+        if (data.compound !== undefined) document.getElementById('lim-compound').value = data.compound;
+        if (data.schedule) this.scheduleEditors.limit.setData(data.schedule);
+    }
+
+    getK0Data() {
+        const data = {};
+        K0_FIELDS.forEach(field => { data[field] = document.getElementById(`k0-${field}`).value; });
+        return data;
+    }
+    setK0Data(data) {
+        if (!data) return;
+        K0_FIELDS.forEach(field => {
+            if (data[field] !== undefined) document.getElementById(`k0-${field}`).value = data[field];
+        });
     }
 
     handleSavePreset(type) {
@@ -315,7 +454,8 @@ class App {
             single: 'Single Isotope',
             impurity: 'Impurity',
             waste: 'Waste Compliance',
-            limit: 'Limit ppm'
+            limit: 'Limit ppm',
+            k0: 'k0-NAA'
         };
 
         const modal = document.createElement('div');
@@ -415,6 +555,7 @@ class App {
                     if (type === 'impurity') data = this.getImpurityData();
                     if (type === 'waste') data = this.getWasteData();
                     if (type === 'limit') data = this.getLimitData();
+                    if (type === 'k0') data = this.getK0Data();
 
                     Presets.save(type, name, data);
                     this.showToast(`Preset "${name}" saved!`, 'success');
@@ -434,6 +575,7 @@ class App {
                 if (type === 'impurity') this.setImpurityData(data);
                 if (type === 'waste') this.setWasteData(data);
                 if (type === 'limit') this.setLimitData(data);
+                if (type === 'k0') this.setK0Data(data);
 
                 this.showToast(`Loaded "${name}"`, 'success');
                 modal.remove();
@@ -465,218 +607,1273 @@ class App {
         }
     }
 
+    // --- TARGET MATERIALS ---
 
-    renderSingleIsotopeForm() {
-        const container = document.getElementById('tab-single-isotope');
-        if (!container) return;
+    /**
+     * Push the saved materials to the solver and the autocomplete.
+     */
+    applyMaterials() {
+        const materials = Presets.getMaterials();
+        if (this.solver) this.solver.setMaterials(materials);
+        if (this.solverClient) this.solverClient.configure({ materials });
+        searchModule.loadMaterials(materials);
+    }
 
-        // Define SVG icons inline for performance
-        const icons = {
-            atom: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="3"/><ellipse cx="12" cy="12" rx="10" ry="4" transform="rotate(0 12 12)"/><ellipse cx="12" cy="12" rx="10" ry="4" transform="rotate(60 12 12)"/><ellipse cx="12" cy="12" rx="10" ry="4" transform="rotate(-60 12 12)"/></svg>',
-            mass: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 3v18M6 8h12l-2 13H8L6 8z"/></svg>',
-            flux: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z"/></svg>',
-            time: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 6v6l4 2"/></svg>',
-            cool: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 2v20M2 12h20M4.93 4.93l14.14 14.14M19.07 4.93L4.93 19.07"/></svg>'
-        };
+    /**
+     * Parse "176:82, 175:18" into { 176: 82, 175: 18 }. Returns null on a malformed entry.
+     */
+    parseComposition(text) {
+        const composition = {};
+        const parts = text.split(/[,;]/).map(p => p.trim()).filter(p => p);
+        for (const part of parts) {
+            const m = part.match(/^(\d+)\s*[:=]\s*([\d.eE+-]+)\s*%?$/);
+            if (!m) return null;
+            const A = parseInt(m[1], 10);
+            const pct = parseFloat(m[2]);
+            if (!(A > 0) || !(pct > 0)) return null;
+            composition[A] = (composition[A] || 0) + pct;
+        }
+        return Object.keys(composition).length > 0 ? composition : null;
+    }
 
-        container.innerHTML = `
-            <div class="panel card">
-                <div class="panel-header">
-                    <h2 class="panel-title">Single Isotope Activation</h2>
-                    <div style="display:flex; gap:0.5rem; margin-right:auto; margin-left:1rem;">
-                        <button class="btn-secondary btn-save-preset" data-type="single" title="Save Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path><polyline points="17 21 17 13 7 13 7 21"></polyline><polyline points="7 3 7 8 15 8"></polyline></svg></button>
-                        <button class="btn-secondary btn-load-preset" data-type="single" title="Load Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg></button>
-                    </div>
-                    <button class="help-btn" data-help="help-single">
-                        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3M12 17h.01"/></svg>
-                        How it works
-                    </button>
-                </div>
+    formatComposition(composition) {
+        return Object.entries(composition || {})
+            .map(([A, pct]) => `${A}:${pct}`)
+            .join(', ');
+    }
 
-                <div id="help-single" class="help-panel">
-                    <div class="help-content">
-                        <h4>Theoretical Background</h4>
-                        <p>This module calculates the specific activity of an isotope and its progeny using the <b>Bateman Equation</b>. It simulates the neutron capture process (n,γ) and the subsequent radioactive decay chain.</p>
-                        <ul>
-                            <li><b>Parent Isotope:</b> The target isotope used for irradiation.</li>
-                            <li><b>Neutron Flux:</b> The density of free neutrons in the reactor.</li>
-                            <li><b>Irradiation:</b> Duration the sample stays inside the flux.</li>
-                        </ul>
-                    </div>
-                </div>
+    showMaterialsModal() {
+        const existing = document.getElementById('preset-modal');
+        if (existing) existing.remove();
 
-                <div class="form-grid">
-                    <div class="form-group">
-                        <label>${icons.atom} PARENT ISOTOPE</label>
-                        <input type="text" id="input-iso" value="Lu-176" class="input-field" placeholder="e.g. Lu-176">
-                    </div>
-                    <div class="form-group">
-                        <label>${icons.mass} MASS (g)</label>
-                        <input type="number" id="input-mass" value="1.0" class="input-field" step="0.1">
-                    </div>
-                     <div class="form-group">
-                        <label>${icons.flux} NEUTRON FLUX (n/cm² · s)</label>
-                        <input type="text" id="input-flux" value="2.2e14" class="input-field">
-                    </div>
-                    <div class="form-group">
-                        <label>${icons.time} IRRADIATION TIME (days)</label>
-                        <input type="number" id="input-time" value="14.0" class="input-field" step="0.1">
+        const modal = document.createElement('div');
+        modal.id = 'preset-modal';
+        modal.style.cssText = `
+            position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+            background: rgba(10, 10, 25, 0.9); z-index: 99998;
+            display: flex; align-items: center; justify-content: center;
+            backdrop-filter: blur(8px);
+        `;
+
+        const card = document.createElement('div');
+        card.className = 'card';
+        card.style.cssText = `
+            padding: 1.5rem; width: 440px; max-height: 80vh; overflow-y: auto;
+            border: 1px solid var(--primary-color); background: var(--bg-card);
+        `;
+
+        const renderList = () => {
+            const materials = Presets.getMaterials();
+            const names = Object.keys(materials).sort();
+            if (names.length === 0) {
+                return '<p style="color: var(--text-muted); text-align:center; padding:1rem;">No materials defined yet.</p>';
+            }
+            return names.map(name => `
+                <div class="preset-item" style="
+                    display:flex; justify-content:space-between; align-items:center;
+                    padding:0.75rem; margin-bottom:0.5rem;
+                    background:rgba(255,255,255,0.05); border-radius:6px;
+                ">
+                    <div>
+                        <span style="font-weight:500; color:var(--text-primary);">${name}</span>
+                        <span style="font-size:0.8em; color:var(--text-muted); margin-left:0.5rem;">${materials[name].element} · ${this.formatComposition(materials[name].composition)}</span>
                     </div>
-                     <div class="form-group">
-                        <label>${icons.cool} COOLING TIME (days)</label>
-                        <input type="number" id="input-cool" value="0.0" class="input-field" step="0.1">
+                    <div style="display:flex; gap:0.5rem;">
+                        <button class="btn-secondary material-edit-btn" data-name="${name}" style="padding:4px 8px; font-size:0.85em;">Edit</button>
+                        <button class="btn-secondary material-delete-btn" data-name="${name}" style="padding:4px 8px; font-size:0.85em; color:#ff6b6b; border-color:#ff6b6b;">✕</button>
                     </div>
-                </div>
-                <div class="form-actions" style="margin-top: 2rem;">
-                    <button id="btn-calculate" class="btn-primary">
-                        Calculate Activation
-                    </button>
-                </div>
-                <div id="results-area" class="results-area" style="margin-top: 2rem;"></div>
+                </div>`).join('');
+        };
+
+        card.innerHTML = `
+            <h3 style="margin-top:0; margin-bottom:0.5rem; color: var(--primary-color);">
+                ⚗️ Target Materials
+            </h3>
+            <p style="margin:0 0 1rem 0; font-size:0.8rem; color:var(--text-muted);">
+                Enriched or custom isotopic targets. A material name can be used wherever an element symbol is accepted.
+            </p>
+            <div id="material-list">${renderList()}</div>
+            <div style="display:grid; grid-template-columns: 2fr 1fr; gap:0.5rem; margin-top:1rem;">
+                <input type="text" id="material-name-input" placeholder="Name, e.g. Lu176-enriched" class="input-field">
+                <input type="text" id="material-element-input" placeholder="Element, e.g. Lu" class="input-field">
+            </div>
+            <input type="text" id="material-composition-input" placeholder="Abundance % by mass number, e.g. 176:82, 175:18"
+                class="input-field" style="width:100%; margin-top:0.5rem;">
+            <div style="display:flex; gap:0.5rem; justify-content:flex-end; margin-top:1rem;">
+                <button id="preset-cancel-btn" class="btn-secondary">Close</button>
+                <button id="material-save-btn" class="btn-primary">Save Material</button>
             </div>
         `;
-    }
 
-    renderImpurityForm() {
-        const container = document.getElementById('tab-impurity');
-        if (!container) return;
+        modal.appendChild(card);
+        document.body.appendChild(modal);
 
-        const icons = {
-            element: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><text x="12" y="16" font-size="10" text-anchor="middle" fill="currentColor">Fe</text></svg>',
-            mass: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 3v18M6 8h12l-2 13H8L6 8z"/></svg>',
-            flux: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z"/></svg>',
-            time: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 6v6l4 2"/></svg>',
-            cool: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 2v20M2 12h20M4.93 4.93l14.14 14.14M19.07 4.93L4.93 19.07"/></svg>'
-        };
+        modal.addEventListener('click', (e) => {
+            const target = e.target;
 
-        container.innerHTML = `
-            <div class="panel card">
-                <div class="panel-header">
-                    <h2 class="panel-title">Impurity Activation</h2>
-                    <div style="display:flex; gap:0.5rem; margin-right:auto; margin-left:1rem;">
-                        <button class="btn-secondary btn-save-preset" data-type="impurity" title="Save Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path><polyline points="17 21 17 13 7 13 7 21"></polyline><polyline points="7 3 7 8 15 8"></polyline></svg></button>
-                        <button class="btn-secondary btn-load-preset" data-type="impurity" title="Load Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg></button>
-                    </div>
-                    <button class="help-btn" data-help="help-imp">
-                        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3M12 17h.01"/></svg>
-                        How it works
-                    </button>
-                </div>
+            if (target.id === 'preset-cancel-btn' || target === modal) {
+                modal.remove();
+            }
 
-                <div id="help-imp" class="help-panel">
-                    <div class="help-content">
-                        <h4>Bulk Sample Analysis</h4>
-                        <p>This calculator handles multi-element activation. It calculates the resulting activity from secondary elements (impurities) present in your target material.</p>
-                        <ul>
-                            <li><b>ppm (Parts Per Million):</b> Concentration of the impurity in the main sample mass.</li>
-                            <li><b>Sample Mass:</b> Total weight of the bulk material.</li>
-                            <li><b>Automatic Pathing:</b> The system automatically identifies all possible (n,γ) pathways for the given element.</li>
-                        </ul>
-                    </div>
-                </div>
+            if (target.id === 'material-save-btn') {
+                const name = document.getElementById('material-name-input').value.trim();
+                const element = document.getElementById('material-element-input').value.trim();
+                const composition = this.parseComposition(document.getElementById('material-composition-input').value);
 
-                <div class="form-grid">
-                    <div class="form-group">
-                        <label>${icons.element} ELEMENT SYMBOL</label>
-                        <div style="display: flex; gap: 0.5rem;">
-                            <input type="text" id="imp-sym" placeholder="e.g. Fe" class="input-field" style="flex:1" list="elements-list">
-                            <input type="number" id="imp-ppm" placeholder="ppm" class="input-field" style="flex:1">
-                            <button id="btn-add-imp" class="btn-secondary">Add</button>
-                        </div>
-                    </div>
-                </div>
-                <div id="impurity-list" class="impurity-list" style="margin: 1rem 0; display: flex; flex-wrap: wrap; gap: 0.5rem;"></div>
-                <div class="form-grid">
-                    <div class="form-group"><label>${icons.mass} SAMPLE MASS (g)</label><input type="number" id="imp-mass" value="1.0" class="input-field"></div>
-                    <div class="form-group"><label>${icons.flux} FLUX (n/cm² · s)</label><input type="text" id="imp-flux" value="2.2e14" class="input-field"></div>
-                    <div class="form-group"><label>${icons.time} IRRADIATION (days)</label><input type="number" id="imp-time" value="10.0" class="input-field"></div>
-                    <div class="form-group"><label>${icons.cool} COOLING (days)</label><input type="number" id="imp-cool" value="0.0" class="input-field"></div>
-                </div>
-                <div class="form-actions" style="margin-top: 2rem;">
-                    <button id="btn-calc-imp" class="btn-primary">Calculate Impurity Activation</button>
-                </div>
-                </div>
-                <div id="imp-results-area" class="results-area" style="margin-top: 2rem;"></div>
-            </div>`;
-    }
+                if (!name) return this.showToast('Material name is required', 'warning');
+                if (PERIODIC_TABLE.some(e => e.symbol.toLowerCase() === name.toLowerCase())) {
+                    return this.showToast('Material name must not be an element symbol', 'warning');
+                }
+                if (!PERIODIC_TABLE.some(e => e.symbol === element)) {
+                    return this.showToast(`Unknown element "${element}"`, 'warning');
+                }
+                if (!composition) return this.showToast('Composition must look like "176:82, 175:18"', 'warning');
 
-    renderWasteForm() {
-        const container = document.getElementById('tab-waste');
-        if (!container) return;
+                Presets.save('material', name, { element, composition });
+                this.applyMaterials();
+                document.getElementById('material-list').innerHTML = renderList();
 
-        const icons = {
-            mass: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 3v18M6 8h12l-2 13H8L6 8z"/></svg>',
-            waste: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 6h18M8 6V4a2 2 0 012-2h4a2 2 0 012 2v2M19 6l-1 14a2 2 0 01-2 2H8a2 2 0 01-2-2L5 6"/></svg>',
-            flux: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z"/></svg>',
-            time: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 6v6l4 2"/></svg>',
-            cool: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 2v20M2 12h20M4.93 4.93l14.14 14.14M19.07 4.93L4.93 19.07"/></svg>'
-        };
+                const missing = this.solver
+                    ? Object.keys(composition).filter(A => !this.solver.xsMap.has(getUniqueId(element, A, '')))
+                    : [];
+                if (missing.length > 0) {
+                    this.showToast(`Saved "${name}"; no reactions in the database for ${missing.map(A => `${element}-${A}`).join(', ')}`, 'warning');
+                } else {
+                    this.showToast(`Material "${name}" saved!`, 'success');
+                }
+            }
 
-        container.innerHTML = `
-            <div class="panel card">
-                <div class="panel-header">
-                    <h2 class="panel-title">Waste Compliance</h2>
-                    <div style="display:flex; gap:0.5rem; margin-right:auto; margin-left:1rem;">
-                        <button class="btn-secondary btn-save-preset" data-type="waste" title="Save Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path><polyline points="17 21 17 13 7 13 7 21"></polyline><polyline points="7 3 7 8 15 8"></polyline></svg></button>
-                        <button class="btn-secondary btn-load-preset" data-type="waste" title="Load Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg></button>
-                    </div>
-                    <button class="help-btn" data-help="help-waste">
-                        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3M12 17h.01"/></svg>
-                        About Compliance
-                    </button>
-                </div>
+            if (target.classList.contains('material-edit-btn')) {
+                const name = target.dataset.name;
+                const data = Presets.load('material', name);
+                document.getElementById('material-name-input').value = name;
+                document.getElementById('material-element-input').value = data.element;
+                document.getElementById('material-composition-input').value = this.formatComposition(data.composition);
+            }
 
-                <div id="help-waste" class="help-panel">
-                    <div class="help-content">
-                        <h4>Regulatory Standards</h4>
-                        <p>This tool verifies if the produced batch complies with international safety limits (Exemption and Clearance) for disposal or unrestricted release.</p>
-                        <ul>
-                            <li><b>Sum Index:</b> $\\sum (Activity_i / Limit_i)$. Must be below 1.0 for compliance.</li>
-                            <li><b>Clearance Time:</b> The engine calculates the cooling duration required until the sum index drops below 1.0.</li>
-                            <li><b>Total Waste:</b> The volume of material used to dilute the sample activity to specific activity (Bq/g).</li>
-                        </ul>
-                    </div>
-                </div>
+            if (target.classList.contains('material-delete-btn')) {
+                const name = target.dataset.name;
+                if (confirm(`Delete material "${name}"?`)) {
+                    Presets.delete('material', name);
+                    this.applyMaterials();
+                    document.getElementById('material-list').innerHTML = renderList();
+                    this.showToast(`Deleted "${name}"`, 'info');
+                }
+            }
+        });
+    }
 
-                 <div class="form-grid">
-                    <div class="form-group"><label>${icons.mass} SAMPLE MASS (g)</label><input type="number" id="waste-mass" value="10.0" class="input-field"></div>
-                    <div class="form-group"><label>${icons.waste} TOTAL WASTE (g)</label><input type="number" id="waste-total" value="35000" class="input-field"></div>
-                </div>
-                <div class="form-grid">
-                     <div class="form-group"><label>${icons.time} IRRADIATION (days)</label><input type="number" id="waste-time" value="10.0" class="input-field"></div>
-                     <div class="form-group"><label>${icons.cool} COOLING (days)</label><input type="number" id="waste-cool" value="365.0" class="input-field"></div>
-                     <div class="form-group"><label>${icons.flux} FLUX (n/cm² · s)</label><input type="text" id="waste-flux" value="2.2e14" class="input-field"></div>
-                </div>
-                <div style="margin: 1rem 0;">
-                    <label>Impurities</label>
-                    <div style="display: flex; gap: 0.5rem; margin-bottom: 0.5rem;">
-                         <input type="text" id="waste-imp-sym" placeholder="Sym" class="input-field" style="width: 80px;" list="elements-list">
-                         <input type="number" id="waste-imp-ppm" placeholder="ppm" class="input-field" style="width: 80px;">
-                         <button id="btn-add-waste-imp" class="btn-secondary">Add</button>
-                    </div>
-                    <div id="waste-imp-list" class="impurity-list" style="display: flex; flex-wrap: wrap; gap: 0.5rem;"></div>
-                </div>
-                <div class="form-group" style="margin-bottom: 1rem;">
-                    <label>Limit Standard</label>
-                    <select id="waste-limit-type" class="input-field">
-                        <option value="clearance">Unrestricted Clearance (Column 3 - Anlage)</option>
-                        <option value="exemption">Specific Clearance (Column 9 - Anlage)</option>
-                    </select>
-                </div>
-                <button id="btn-calc-waste" class="btn-primary">Analyze Batch</button>
-                <div id="waste-results-area" class="results-area" style="margin-top: 2rem;"></div>
-            </div>`;
 
-        // Add auto-calc listener
-        setTimeout(() => {
-            const dp = document.getElementById('waste-limit-type');
-            if (dp) dp.addEventListener('change', () => this.handleWasteCalculation());
-        }, 100);
+    // --- DECAY DATA IMPORT ---
+
+    /**
+     * Push the imported decay chains to the solver.
+     * @returns {Object|null} Nuclides that gained, lost or changed chain data (see compareDecayData)
+     */
+    applyDecayData() {
+        if (!this.solver) return null;
+        const before = snapshotDecayData(this.solver);
+        const rows = combineChainTables(Presets.getDecayData().map(d => d.rows));
+        this.solver.setImportedChains(rows);
+        if (this.solverClient) this.solverClient.configure({ importedChains: rows });
+        return compareDecayData(before, snapshotDecayData(this.solver));
     }
 
-    renderLimitForm() {
-        const container = document.getElementById('tab-limits');
-        if (!container) return;
+    downloadCSV(fileName, text) {
+        const url = URL.createObjectURL(new Blob([text], { type: 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    renderDecayImportReport(report, warnings = [], maxRows = 40) {
+        const rows = [
+            ...report.gained.map(r => ({ ...r, change: 'gained', color: 'var(--accent-cyan)' })),
+            ...report.lost.map(r => ({ ...r, change: 'lost', color: '#ff6b6b' })),
+            ...report.changed.map(r => ({ ...r, change: 'changed', color: '#ffc800' }))
+        ];
+        const summary = `${report.gained.length} gained · ${report.lost.length} lost · ${report.changed.length} changed`;
+        const table = rows.length === 0 ? '<p style="font-size:0.85rem; color:var(--text-muted);">No change in the decay chains.</p>' : `
+            <table class="data-table" style="width:100%; font-size:0.75rem;">
+                <thead><tr><th>Nuclide</th><th>Chain data</th><th>Before</th><th>After</th></tr></thead>
+                <tbody>
+                    ${rows.slice(0, maxRows).map(r => `
+                        <tr>
+                            <td>${r.nuclide}</td>
+                            <td style="color:${r.color};">${r.change}</td>
+                            <td>${r.before || '—'}</td>
+                            <td>${r.after || '—'}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+            ${rows.length > maxRows ? `<p style="font-size:0.75rem; color:var(--text-muted);">… and ${rows.length - maxRows} more</p>` : ''}`;
+
+        return `
+            <h4 style="margin:1rem 0 0.5rem 0; color:var(--text-primary);">Import report: ${summary}</h4>
+            ${table}
+            ${warnings.length > 0 ? `
+                <p style="margin:0.5rem 0 0 0; font-size:0.75rem; color:#ffc800;">
+                    ${warnings.slice(0, 10).join('<br>')}${warnings.length > 10 ? `<br>… and ${warnings.length - 10} more warnings` : ''}
+                </p>` : ''}
+        `;
+    }
+
+    showDecayDataModal() {
+        const existing = document.getElementById('preset-modal');
+        if (existing) existing.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'preset-modal';
+        modal.style.cssText = `
+            position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+            background: rgba(10, 10, 25, 0.9); z-index: 99998;
+            display: flex; align-items: center; justify-content: center;
+            backdrop-filter: blur(8px);
+        `;
+
+        const card = document.createElement('div');
+        card.className = 'card';
+        card.style.cssText = `
+            padding: 1.5rem; width: 640px; max-height: 80vh; overflow-y: auto;
+            border: 1px solid var(--primary-color); background: var(--bg-card);
+        `;
+
+        const renderList = () => {
+            const imports = Presets.getDecayData();
+            if (imports.length === 0) {
+                return '<p style="color: var(--text-muted); text-align:center; padding:1rem;">Only the local chain table is in use.</p>';
+            }
+            return imports.map(d => `
+                <div class="preset-item" style="
+                    display:flex; justify-content:space-between; align-items:center;
+                    padding:0.75rem; margin-bottom:0.5rem;
+                    background:rgba(255,255,255,0.05); border-radius:6px;
+                ">
+                    <div>
+                        <span style="font-weight:500; color:var(--text-primary);">${d.name}</span>
+                        <span style="font-size:0.8em; color:var(--text-muted); margin-left:0.5rem;">${d.format} · ${d.nuclides} nuclides · ${d.rows.length} rows · ${new Date(d.timestamp).toLocaleDateString()}</span>
+                    </div>
+                    <div style="display:flex; gap:0.5rem;">
+                        <button class="btn-secondary decay-export-btn" data-name="${d.name}" style="padding:4px 8px; font-size:0.85em;">CSV</button>
+                        <button class="btn-secondary decay-delete-btn" data-name="${d.name}" style="padding:4px 8px; font-size:0.85em; color:#ff6b6b; border-color:#ff6b6b;">✕</button>
+                    </div>
+                </div>`).join('');
+        };
+
+        card.innerHTML = `
+            <h3 style="margin-top:0; margin-bottom:0.5rem; color: var(--primary-color);">
+                ☢️ Decay Data
+            </h3>
+            <p style="margin:0 0 1rem 0; font-size:0.8rem; color:var(--text-muted);">
+                Import ENDF-6 decay sublibrary files (MF=8, MT=457), ENSDF-derived tables (IAEA LiveChart CSV)
+                or a chain table exported here. Every nuclide in an import replaces its local decay chain;
+                later imports replace earlier ones. Files are read locally and kept in this browser.
+            </p>
+            <div id="decay-import-list">${renderList()}</div>
+            <div style="display:flex; gap:0.5rem; align-items:center; margin-top:1rem;">
+                <input type="file" id="decay-file-input" multiple accept=".endf,.txt,.dat,.csv,.tape" class="input-field" style="flex:1;">
+                <button id="decay-import-btn" class="btn-primary">Import</button>
+            </div>
+            <div id="decay-import-report"></div>
+            <div style="display:flex; gap:0.5rem; justify-content:flex-end; margin-top:1rem;">
+                <button id="decay-export-all-btn" class="btn-secondary">Export merged chain table</button>
+                <button id="preset-cancel-btn" class="btn-secondary">Close</button>
+            </div>
+        `;
+
+        modal.appendChild(card);
+        document.body.appendChild(modal);
+
+        const showReport = (report, warnings) => {
+            document.getElementById('decay-import-list').innerHTML = renderList();
+            document.getElementById('decay-import-report').innerHTML = this.renderDecayImportReport(report, warnings);
+        };
+
+        modal.addEventListener('click', async (e) => {
+            const target = e.target;
+
+            if (target.id === 'preset-cancel-btn' || target === modal) {
+                modal.remove();
+            }
+
+            if (target.id === 'decay-import-btn') {
+                if (!this.solver) return this.showToast('Nuclear data is still loading', 'warning');
+                const files = Array.from(document.getElementById('decay-file-input').files || []);
+                if (files.length === 0) return this.showToast('Choose one or more decay data files', 'warning');
+
+                const warnings = [];
+                let imported = 0;
+                for (const file of files) {
+                    try {
+                        const result = importDecayFile(file.name, await file.text());
+                        if (result.rows.length === 0) throw new Error(`${file.name}: no decay data found`);
+                        Presets.save('decayData', file.name, result);
+                        warnings.push(...result.warnings.map(w => `${file.name}: ${w}`));
+                        imported++;
+                    } catch (err) {
+                        // localStorage quota errors end up here as well
+                        warnings.push(err.name === 'QuotaExceededError' ? `${file.name}: too large to keep in the browser` : err.message);
+                    }
+                }
+                if (imported === 0) {
+                    document.getElementById('decay-import-report').innerHTML = this.renderDecayImportReport({ gained: [], lost: [], changed: [] }, warnings);
+                    return this.showToast('No decay data imported', 'error');
+                }
+                showReport(this.applyDecayData(), warnings);
+                this.showToast(`Imported ${imported} decay data file${imported > 1 ? 's' : ''}`, 'success');
+            }
+
+            if (target.classList.contains('decay-export-btn')) {
+                const data = Presets.load('decayData', target.dataset.name);
+                this.downloadCSV(`${target.dataset.name.replace(/\.[^.]+$/, '')}_chains.csv`, chainRowsToCSV(data.rows));
+            }
+
+            if (target.id === 'decay-export-all-btn') {
+                const state = appStore.getState();
+                const rows = combineChainTables([state.chainData || [], ...Presets.getDecayData().map(d => d.rows)]);
+                this.downloadCSV('BaseDatos_Cadenas_Completas_merged.csv', chainRowsToCSV(rows));
+            }
+
+            if (target.classList.contains('decay-delete-btn')) {
+                const name = target.dataset.name;
+                if (confirm(`Remove imported decay data "${name}"?`)) {
+                    Presets.delete('decayData', name);
+                    showReport(this.applyDecayData(), []);
+                    this.showToast(`Removed "${name}"`, 'info');
+                }
+            }
+        });
+    }
+
+    /**
+     * Half-life cross-check section of the data quality report.
+     */
+    renderHalfLifeReport(report, maxRows = 40) {
+        // Table names, nuclides and texts come from the CSV files (and imported file names)
+        const where = e => escapeHtml(`${e.Table} · ${e.Column} · row ${e.Row}`);
+        const halfLife = e => (e.Lambda > 0 ? formatHalfLife(Math.LN2 / e.Lambda) : 'stable');
+        const rows = [
+            ...report.mismatches.map(m => ({ ...m, diff: `${(m.RelDiff * 100).toPrecision(3)}%`, color: '#ffc800' })),
+            ...report.stableConflicts.map(m => ({ ...m, diff: 'stable?', color: '#ff6b6b' }))
+        ];
+        const summary = `${report.checked} nuclides with several values · ${report.mismatches.length} mismatches · `
+            + `${report.stableConflicts.length} stable conflicts · ${report.filled.length} λ filled from half-lives`;
+
+        return `
+            <h4 style="margin:1rem 0 0.5rem 0; color:var(--text-primary);">Half-lives</h4>
+            <p style="margin:0 0 0.5rem 0; font-size:0.8rem; color:var(--text-secondary);">${summary}</p>
+            ${rows.length === 0 ? `<p style="font-size:0.85rem; color:var(--text-muted);">All values agree within ${(report.tolerance * 100).toPrecision(3)}%.</p>` : `
+            <table class="data-table" style="width:100%; font-size:0.75rem;">
+                <thead><tr><th>Nuclide</th><th>Reference</th><th>Differing value</th><th>Δλ</th></tr></thead>
+                <tbody>
+                    ${rows.slice(0, maxRows).map(r => `
+                        <tr>
+                            <td>${escapeHtml(r.Nuclide)}</td>
+                            <td title="${escapeHtml(r.Reference.Text)}">${halfLife(r.Reference)}<br><span style="color:var(--text-muted);">${where(r.Reference)}</span></td>
+                            <td title="${escapeHtml(r.Entry.Text)}">${halfLife(r.Entry)}<br><span style="color:var(--text-muted);">${where(r.Entry)}</span></td>
+                            <td style="color:${r.color}; font-family: var(--font-mono);">${r.diff}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+            ${rows.length > maxRows ? `<p style="font-size:0.75rem; color:var(--text-muted);">… and ${rows.length - maxRows} more</p>` : ''}`}
+            ${report.filled.length > 0 ? `
+                <p style="margin:0.5rem 0 0 0; font-size:0.75rem; color:var(--text-muted);">
+                    λ from half-life only: ${report.filled.map(f => `${escapeHtml(f.Nuclide)} (${halfLife(f.From)})`).join(', ')}
+                </p>` : ''}
+            ${report.unreadable.length + report.ignored.length > 0 ? `
+                <p style="margin:0.5rem 0 0 0; font-size:0.75rem; color:#ff6b6b;">
+                    ${[...report.unreadable.map(e => `Unreadable "${escapeHtml(e.Text)}" (${escapeHtml(e.Nuclide)}, ${where(e)})`),
+                       ...report.ignored.map(e => `λ = ${escapeHtml(e.Text)} ignored (${escapeHtml(e.Nuclide)}, ${where(e)})`)].slice(0, 10).join('<br>')}
+                </p>` : ''}
+        `;
+    }
+
+    /**
+     * Lint section of the data quality report, optionally limited to one category.
+     */
+    renderLintReport(lint, category = '', maxRows = 60) {
+        const counts = new Map();
+        lint.issues.forEach(i => {
+            const c = counts.get(i.category) || { error: 0, warning: 0 };
+            c[i.severity]++;
+            counts.set(i.category, c);
+        });
+        const issues = category ? lint.issues.filter(i => i.category === category) : lint.issues;
+        const color = severity => (severity === 'error' ? '#ff6b6b' : '#ffc800');
+        const list = items => (items.length > 6 ? `${items.slice(0, 6).join(', ')} … (${items.length})` : items.join(', '));
+
+        return `
+            <h4 style="margin:1rem 0 0.5rem 0; color:var(--text-primary);">Database lint: ${lint.errors} errors · ${lint.warnings} warnings</h4>
+            <div style="display:flex; gap:0.5rem; align-items:center; margin-bottom:0.5rem;">
+                <select id="dq-lint-category" class="input-field" style="flex:1;">
+                    <option value="">All categories</option>
+                    ${Object.entries(LINT_CATEGORIES).filter(([key]) => counts.has(key)).map(([key, label]) => {
+                        const c = counts.get(key);
+                        return `<option value="${key}" ${key === category ? 'selected' : ''}>${label} (${c.error} errors, ${c.warning} warnings)</option>`;
+                    }).join('')}
+                </select>
+            </div>
+            ${issues.length === 0 ? '<p style="font-size:0.85rem; color:var(--text-muted);">No issues found.</p>' : `
+            <table class="data-table" style="width:100%; font-size:0.75rem;">
+                <thead><tr><th></th><th>Table</th><th>Rows</th><th>Nuclides</th><th>Issue</th></tr></thead>
+                <tbody>
+                    ${issues.slice(0, maxRows).map(i => `
+                        <tr>
+                            <td style="color:${color(i.severity)};" title="${LINT_CATEGORIES[i.category]}">${i.severity}</td>
+                            <td>${escapeHtml(i.table)}</td>
+                            <td style="font-family: var(--font-mono);">${list(i.rows)}</td>
+                            <td>${escapeHtml(list(i.nuclides))}</td>
+                            <td>${escapeHtml(i.message)}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+            ${issues.length > maxRows ? `<p style="font-size:0.75rem; color:var(--text-muted);">… and ${issues.length - maxRows} more (export the CSV for the full list)</p>` : ''}`}
+        `;
+    }
+
+    /**
+     * Data quality report of the loaded tables (admin).
+     */
+    showDataQualityModal() {
+        const state = appStore.getState();
+        if (!state.dataLoaded) return this.showToast('Nuclear data is still loading', 'warning');
+
+        const existing = document.getElementById('preset-modal');
+        if (existing) existing.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'preset-modal';
+        modal.style.cssText = `
+            position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+            background: rgba(10, 10, 25, 0.9); z-index: 99998;
+            display: flex; align-items: center; justify-content: center;
+            backdrop-filter: blur(8px);
+        `;
+
+        const card = document.createElement('div');
+        card.className = 'card';
+        card.style.cssText = `
+            padding: 1.5rem; width: 760px; max-height: 80vh; overflow-y: auto;
+            border: 1px solid var(--primary-color); background: var(--bg-card);
+        `;
+        card.innerHTML = `
+            <h3 style="margin-top:0; margin-bottom:0.5rem; color: var(--primary-color);">
+                🧪 Data Quality
+            </h3>
+            <p style="margin:0 0 1rem 0; font-size:0.8rem; color:var(--text-muted);">
+                Lint of the cross-section table, chain table, isomer table and limits, and a cross-check of every
+                half-life and decay constant given per nuclide. Row numbers are CSV lines (header = 1).
+            </p>
+            <div style="display:flex; gap:0.5rem; align-items:flex-end;">
+                <div class="form-group" style="margin:0; flex:1;">
+                    <label>CROSS-SECTION TABLE</label>
+                    <select id="dq-xs-table" class="input-field">
+                        <option value="xs">Database_Fixed_Lambdas2.csv (in use)</option>
+                        <option value="xsPrevious">Final_Processed_Database23.csv</option>
+                        <option value="abundances">Updated_Abundances_Cleaned.csv</option>
+                    </select>
+                </div>
+                <div class="form-group" style="margin:0;">
+                    <label>T½ TOLERANCE (%)</label>
+                    <input type="number" id="dq-tolerance" value="${DEFAULT_HALF_LIFE_TOLERANCE * 100}" min="0" step="any" class="input-field" style="width:120px;">
+                </div>
+                <button id="dq-run-btn" class="btn-primary">Check</button>
+            </div>
+            <div id="dq-lint"></div>
+            <div id="dq-report"></div>
+            <div style="display:flex; gap:0.5rem; justify-content:flex-end; margin-top:1rem;">
+                <button id="dq-diff-btn" class="btn-secondary" style="margin-right:auto;">Compare versions…</button>
+                <button id="dq-lint-export-btn" class="btn-secondary">Export lint CSV</button>
+                <button id="dq-export-btn" class="btn-secondary">Export half-lives CSV</button>
+                <button id="preset-cancel-btn" class="btn-secondary">Close</button>
+            </div>
+        `;
+
+        modal.appendChild(card);
+        document.body.appendChild(modal);
+
+        let report = null;
+        let lint = null;
+        const run = async () => {
+            const tolerance = parseFloat(document.getElementById('dq-tolerance').value) / 100;
+            if (!(tolerance >= 0)) return this.showToast('Enter a tolerance of 0% or more', 'warning');
+            const select = document.getElementById('dq-xs-table');
+            let xsData = state.xsData;
+            try {
+                if (select.value !== 'xs') xsData = await this.dataLoader.loadTable(select.value);
+            } catch (err) {
+                return this.showToast(`Cannot load ${select.selectedOptions[0].textContent}: ${err.message}`, 'error');
+            }
+            const tables = {
+                xsData,
+                xsName: select.selectedOptions[0].textContent.replace(/ \(in use\)$/, ''),
+                chainData: state.chainData,
+                limitsData: state.limitsData,
+                isomerData: state.isomerData,
+                imports: Presets.getDecayData()
+            };
+            lint = lintDatabase(tables);
+            report = halfLifeReport(tables, tolerance);
+            document.getElementById('dq-lint').innerHTML = this.renderLintReport(lint);
+            document.getElementById('dq-report').innerHTML = this.renderHalfLifeReport(report);
+        };
+        run();
+
+        modal.addEventListener('change', (e) => {
+            if (e.target.id === 'dq-lint-category' && lint) {
+                document.getElementById('dq-lint').innerHTML = this.renderLintReport(lint, e.target.value);
+            }
+        });
+
+        modal.addEventListener('click', (e) => {
+            const target = e.target;
+            if (target.id === 'preset-cancel-btn' || target === modal) modal.remove();
+            if (target.id === 'dq-run-btn') run();
+            if (target.id === 'dq-export-btn' && report) this.downloadCSV('data_quality_half_lives.csv', halfLifeReportToCSV(report));
+            if (target.id === 'dq-lint-export-btn' && lint) this.downloadCSV('data_quality_lint.csv', lintReportToCSV(lint));
+            if (target.id === 'dq-diff-btn') this.showDatabaseDiffModal();
+        });
+    }
+
+    renderDatabaseDiff(diff, maxRows = 15) {
+        const value = v => (v === null ? '—' : Array.isArray(v) ? v.map(x => x.toExponential(3)).join(' / ') : v.toExponential(4));
+        const colors = { added: 'var(--accent-cyan)', removed: '#ff6b6b', changed: '#ffc800' };
+
+        return Object.entries(DIFF_CATEGORIES).map(([category, label]) => {
+            const groups = diff[category];
+            const rows = ['changed', 'added', 'removed'].flatMap(change => groups[change].map(e => ({ ...e, change })));
+            const summary = `${groups.added.length} added · ${groups.removed.length} removed · ${groups.changed.length} changed`;
+            return `
+                <h4 style="margin:1rem 0 0.5rem 0; color:var(--text-primary);">${label}: ${summary}</h4>
+                ${rows.length === 0 ? '<p style="font-size:0.85rem; color:var(--text-muted);">Identical.</p>' : `
+                <table class="data-table" style="width:100%; font-size:0.75rem;">
+                    <thead><tr><th>Entry</th><th></th><th>A</th><th>B</th><th>Change</th></tr></thead>
+                    <tbody>
+                        ${rows.slice(0, maxRows).map(e => `
+                            <tr>
+                                <td>${e.Key}</td>
+                                <td style="color:${colors[e.change]};">${e.change}</td>
+                                <td style="font-family: var(--font-mono);">${value(e.A)}</td>
+                                <td style="font-family: var(--font-mono);">${value(e.B)}</td>
+                                <td style="font-family: var(--font-mono);">${e.RelChange === null ? '' : `${(e.RelChange * 100).toFixed(2)}%`}</td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>
+                ${rows.length > maxRows ? `<p style="font-size:0.75rem; color:var(--text-muted);">… and ${rows.length - maxRows} more (export the CSV for the full list)</p>` : ''}`}
+            `;
+        }).join('');
+    }
+
+    /**
+     * Reference scenario results of both versions; per-nuclide rows are limited to maxNuclides per scenario.
+     */
+    renderScenarioDeltas(rows, maxNuclides = 8) {
+        const value = v => (v === null ? '—' : v.toExponential(3));
+        const shown = [];
+        const hidden = new Map();
+        rows.forEach(r => {
+            const count = shown.filter(x => x.Scenario === r.Scenario && x.Quantity === 'Activity').length;
+            if (r.Quantity === 'Activity' && count >= maxNuclides) {
+                hidden.set(r.Scenario, (hidden.get(r.Scenario) || 0) + 1);
+                return;
+            }
+            shown.push(r);
+        });
+        const color = r => {
+            if (r.Quantity === 'Error') return '#ff6b6b';
+            if (r.RelChange === null || Math.abs(r.RelChange) < 1e-3) return 'var(--text-primary)';
+            return Math.abs(r.RelChange) >= 0.1 ? '#ff6b6b' : '#ffc800';
+        };
+
+        return `
+            <h4 style="margin:1rem 0 0.5rem 0; color:var(--text-primary);">Reference scenarios</h4>
+            <table class="data-table" style="width:100%; font-size:0.75rem;">
+                <thead><tr><th>Scenario</th><th>Quantity</th><th></th><th>A</th><th>B</th><th>Δ</th><th>Change</th></tr></thead>
+                <tbody>
+                    ${shown.map(r => `
+                        <tr>
+                            <td>${r.Scenario}</td>
+                            <td>${r.Quantity}</td>
+                            <td>${r.Key}</td>
+                            <td style="font-family: var(--font-mono);">${value(r.A)}</td>
+                            <td style="font-family: var(--font-mono);">${value(r.B)}</td>
+                            <td style="font-family: var(--font-mono);">${value(r.Delta)}</td>
+                            <td style="font-family: var(--font-mono); color:${color(r)};">${r.RelChange === null ? '' : `${(r.RelChange * 100).toFixed(2)}%`}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+            ${hidden.size > 0 ? `<p style="font-size:0.75rem; color:var(--text-muted);">
+                ${Array.from(hidden.entries()).map(([name, n]) => `${name}: ${n} more nuclides`).join(' · ')} (export the CSV for the full list)
+            </p>` : ''}
+        `;
+    }
+
+    /**
+     * Compare two database versions and rerun the reference scenarios on both (admin).
+     */
+    showDatabaseDiffModal() {
+        const state = appStore.getState();
+        if (!state.dataLoaded || !this.solver) return this.showToast('Nuclear data is still loading', 'warning');
+
+        const existing = document.getElementById('preset-modal');
+        if (existing) existing.remove();
+
+        const modal = document.createElement('div');
+        modal.id = 'preset-modal';
+        modal.style.cssText = `
+            position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+            background: rgba(10, 10, 25, 0.9); z-index: 99998;
+            display: flex; align-items: center; justify-content: center;
+            backdrop-filter: blur(8px);
+        `;
+
+        const tableOptions = selected => [
+            ['xs', 'Database_Fixed_Lambdas2.csv (in use)'],
+            ['xsPrevious', 'Final_Processed_Database23.csv'],
+            ['abundances', 'Updated_Abundances_Cleaned.csv'],
+            ['file', 'Upload CSV…']
+        ].map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`).join('');
+        const versionInputs = (id, label, selected) => `
+            <div class="form-group" style="margin:0; flex:1;">
+                <label>${label}</label>
+                <select id="diff-${id}-table" class="input-field">${tableOptions(selected)}</select>
+                <input type="file" id="diff-${id}-file" accept=".csv" class="input-field" style="display:none; margin-top:0.25rem;">
+                <label style="margin-top:0.5rem;">LIMITS (OPTIONAL CSV, DEFAULT limits.csv)</label>
+                <input type="file" id="diff-${id}-limits" accept=".csv" class="input-field">
+            </div>`;
+        const scenarios = Presets.getReferenceScenarios() || DEFAULT_REFERENCE_SCENARIOS;
+
+        const card = document.createElement('div');
+        card.className = 'card';
+        card.style.cssText = `
+            padding: 1.5rem; width: 860px; max-height: 85vh; overflow-y: auto;
+            border: 1px solid var(--primary-color); background: var(--bg-card);
+        `;
+        card.innerHTML = `
+            <h3 style="margin-top:0; margin-bottom:0.5rem; color: var(--primary-color);">
+                🔀 Database Comparison
+            </h3>
+            <p style="margin:0 0 1rem 0; font-size:0.8rem; color:var(--text-muted);">
+                Cross sections (${XS_LIBRARIES[this.solver.library].label}), decay constants, abundances and limits as the solver
+                reads them from each version, then the reference scenarios run on both. Chain, resonance and isomer tables,
+                materials and imported decay data are shared.
+            </p>
+            <div style="display:flex; gap:1rem;">
+                ${versionInputs('a', 'VERSION A (REFERENCE)', 'xs')}
+                ${versionInputs('b', 'VERSION B', 'xsPrevious')}
+            </div>
+            <div class="form-group" style="margin:1rem 0 0 0;">
+                <label>REFERENCE SCENARIOS (JSON)</label>
+                <textarea id="diff-scenarios" class="input-field" rows="8" spellcheck="false"
+                    style="font-family: var(--font-mono); font-size:0.75rem;">${JSON.stringify(scenarios, null, 2)}</textarea>
+                <p style="margin:0.25rem 0 0 0; font-size:0.75rem; color:var(--text-muted);">
+                    type single (target, mass), impurity (impurities {El: ppm}, mass), waste (impurities, mass, wasteMass, limitType)
+                    or maxppm (elements, mass, wasteMass, limitType); all with flux, timeDays, coolDays. Masses in g.
+                </p>
+            </div>
+            <div style="display:flex; gap:0.5rem; margin-top:0.5rem;">
+                <button id="diff-save-scenarios-btn" class="btn-secondary">Save scenarios</button>
+                <button id="diff-reset-scenarios-btn" class="btn-secondary">Reset to defaults</button>
+                <button id="diff-run-btn" class="btn-primary" style="margin-left:auto;">Compare</button>
+            </div>
+            <div id="diff-scenario-report"></div>
+            <div id="diff-report"></div>
+            <div style="display:flex; gap:0.5rem; justify-content:flex-end; margin-top:1rem;">
+                <button id="diff-scenarios-export-btn" class="btn-secondary">Export scenarios CSV</button>
+                <button id="diff-export-btn" class="btn-secondary">Export diff CSV</button>
+                <button id="preset-cancel-btn" class="btn-secondary">Close</button>
+            </div>
+        `;
+
+        modal.appendChild(card);
+        document.body.appendChild(modal);
+
+        const readScenarios = () => {
+            try {
+                return validateScenarios(JSON.parse(document.getElementById('diff-scenarios').value));
+            } catch (err) {
+                this.showToast(`Invalid scenarios: ${err.message}`, 'error');
+                return null;
+            }
+        };
+        const readCSV = async file => this.dataLoader.parseCSV(await file.text());
+        const loadVersion = async id => {
+            const key = document.getElementById(`diff-${id}-table`).value;
+            let xsData = state.xsData;
+            if (key === 'file') {
+                const file = document.getElementById(`diff-${id}-file`).files[0];
+                if (!file) throw new Error(`Choose a cross-section CSV for version ${id.toUpperCase()}`);
+                xsData = await readCSV(file);
+            } else if (key !== 'xs') {
+                xsData = await this.dataLoader.loadTable(key);
+            }
+            const limitsFile = document.getElementById(`diff-${id}-limits`).files[0];
+            const limitsData = limitsFile ? await readCSV(limitsFile) : state.limitsData;
+            return { xsData, limitsData };
+        };
+
+        let diff = null;
+        let deltas = null;
+        const run = async () => {
+            const list = readScenarios();
+            if (!list) return;
+            let result;
+            try {
+                const versionA = await loadVersion('a');
+                const versionB = await loadVersion('b');
+                const shared = {
+                    chainData: state.chainData,
+                    resonanceData: state.resonanceData,
+                    isomerData: state.isomerData,
+                    materials: Presets.getMaterials(),
+                    importedChains: combineChainTables(Presets.getDecayData().map(d => d.rows))
+                };
+                result = await this.runSolverJob('compareDatabases', [versionA, versionB, shared, list], 'Database comparison');
+            } catch (err) {
+                console.error(err);
+                return this.showToast(err.message, 'error');
+            }
+            if (!result) return;
+            ({ diff, deltas } = result);
+            document.getElementById('diff-report').innerHTML = this.renderDatabaseDiff(diff);
+            document.getElementById('diff-scenario-report').innerHTML = this.renderScenarioDeltas(deltas);
+            this.showToast('Comparison complete', 'success');
+        };
+
+        modal.addEventListener('change', (e) => {
+            const m = e.target.id.match(/^diff-(a|b)-table$/);
+            if (m) document.getElementById(`diff-${m[1]}-file`).style.display = e.target.value === 'file' ? 'block' : 'none';
+        });
+
+        modal.addEventListener('click', (e) => {
+            const target = e.target;
+            if (target.id === 'preset-cancel-btn' || target === modal) modal.remove();
+            if (target.id === 'diff-run-btn') run();
+            if (target.id === 'diff-save-scenarios-btn') {
+                const list = readScenarios();
+                if (!list) return;
+                Presets.setReferenceScenarios(JSON.parse(document.getElementById('diff-scenarios').value));
+                this.showToast(`Saved ${list.length} reference scenario${list.length === 1 ? '' : 's'}`, 'success');
+            }
+            if (target.id === 'diff-reset-scenarios-btn') {
+                Presets.setReferenceScenarios(null);
+                document.getElementById('diff-scenarios').value = JSON.stringify(DEFAULT_REFERENCE_SCENARIOS, null, 2);
+            }
+            if (target.id === 'diff-export-btn' && diff) this.downloadCSV('database_diff.csv', databaseDiffToCSV(diff));
+            if (target.id === 'diff-scenarios-export-btn' && deltas) this.downloadCSV('database_diff_scenarios.csv', scenarioDeltasToCSV(deltas));
+        });
+    }
+
+    /**
+     * Solver engine dropdown shared by all calculator tabs.
+     */
+    renderEngineSelect(id) {
+        const icon = '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="4" y="4" width="16" height="16" rx="2"/><rect x="9" y="9" width="6" height="6"/><path d="M9 1v3M15 1v3M9 20v3M15 20v3M20 9h3M20 14h3M1 9h3M1 14h3"/></svg>';
+        return `
+                    <div class="form-group">
+                        <label>${icon} SOLVER ENGINE</label>
+                        <select id="${id}" class="input-field">
+                            <option value="bateman">Path Enumeration (Bateman)</option>
+                            <option value="cram">Matrix Exponential (CRAM-16)</option>
+                        </select>
+                    </div>`;
+    }
+
+    /**
+     * Point the solver at the engine chosen in the given dropdown.
+     */
+    applyEngine(selectId) {
+        const select = document.getElementById(selectId);
+        this.solver.setEngine(select ? select.value : 'bateman');
+    }
+
+    /**
+     * Cross-section library dropdown shared by all calculator tabs.
+     */
+    renderLibrarySelect(id) {
+        const icon = '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 19.5A2.5 2.5 0 016.5 17H20"/><path d="M6.5 2H20v20H6.5A2.5 2.5 0 014 19.5v-15A2.5 2.5 0 016.5 2z"/></svg>';
+        const options = Object.entries(XS_LIBRARIES)
+            .map(([key, lib]) => `<option value="${key}">${lib.label} (${lib.column})</option>`)
+            .join('');
+        return `
+                    <div class="form-group">
+                        <label>${icon} XS LIBRARY</label>
+                        <select id="${id}" class="input-field">${options}</select>
+                    </div>`;
+    }
+
+    /**
+     * Rebuild the solver maps for the library chosen in the given dropdown.
+     */
+    applyLibrary(selectId) {
+        const select = document.getElementById(selectId);
+        this.solver.setLibrary(select ? select.value : 'max');
+    }
+
+    /**
+     * Epithermal spectrum inputs (Høgdahl f and α) shared by all calculator tabs.
+     * Ids are `${prefix}-f` and `${prefix}-alpha`; f = 0 keeps the pure thermal calculation.
+     */
+    renderSpectrumFields(prefix, f = 0, alpha = 0) {
+        const icon = '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M2 12c2-6 4-6 6 0s4 6 6 0 4-6 6 0"/></svg>';
+        return `
+                    <div class="form-group">
+                        <label title="Thermal-to-epithermal flux ratio. 0 = thermal only">${icon} f (φth / φepi)</label>
+                        <input type="number" id="${prefix}-f" value="${f}" class="input-field" step="1" min="0">
+                    </div>
+                    <div class="form-group">
+                        <label title="Epithermal flux shape parameter, φepi ∝ 1/E^(1+α)">${icon} α (EPITHERMAL SHAPE)</label>
+                        <input type="number" id="${prefix}-alpha" value="${alpha}" class="input-field" step="0.001">
+                    </div>`;
+    }
+
+    /**
+     * Read the f / α inputs of a tab.
+     */
+    readSpectrum(prefix) {
+        const f = document.getElementById(`${prefix}-f`);
+        const alpha = document.getElementById(`${prefix}-alpha`);
+        return {
+            f: f ? parseFloat(f.value) || 0 : 0,
+            alpha: alpha ? parseFloat(alpha.value) || 0 : 0
+        };
+    }
+
+    /**
+     * Solver-ready irradiation for a tab: the schedule editor if enabled, otherwise the
+     * classic flux / irradiation / cooling triple, with the tab's spectrum applied.
+     */
+    buildIrradiation(prefix, editor, flux, tIrrS, tCoolS) {
+        const schedule = editor.getSchedule();
+        return normalizeSchedule(schedule || flux, tIrrS, tCoolS, this.readSpectrum(prefix));
+    }
+
+    /**
+     * Sample spreadsheet upload of the impurity and waste tabs (see Batch.js for the columns).
+     * The summary grid goes to `${prefix}-batch-area`; a clicked sample opens in the tab's results area.
+     */
+    renderBatchFields(prefix, wasteColumn = false) {
+        const columns = `Sample, Mass (g), Flux, Time (days), Cool (days)${wasteColumn ? ', Waste (g)' : ''}`;
+        return `
+                <div class="form-group" style="margin-top: 1rem;">
+                    <label title="One row per sample, one column per element in ppm (Co, Eu, ...). Optional columns: ${columns}. Empty cells use the values above.">BATCH SAMPLES (CSV)</label>
+                    <div style="display: flex; gap: 0.5rem;">
+                        <input type="file" id="${prefix}-batch-file" accept=".csv,.txt" class="input-field" style="flex: 1;">
+                        <button id="btn-batch-${prefix}" class="btn-secondary">Run Batch</button>
+                    </div>
+                </div>
+                <div id="${prefix}-batch-area" class="results-area"></div>`;
+    }
+
+    /**
+     * Compound / matrix formula input (Lu2O3, Ho(NO3)3 or "Fe 70%, Cr 18%, Ni 12%").
+     */
+    renderCompoundField(prefix, label) {
+        const icon = '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="6" cy="12" r="3"/><circle cx="18" cy="6" r="3"/><circle cx="18" cy="18" r="3"/><path d="M8.6 10.5l6.8-3M8.6 13.5l6.8 3"/></svg>';
+        return `
+                    <div class="form-group">
+                        <label title="Chemical formula or mass percent list. Element mass fractions are derived from standard atomic weights.">${icon} ${label}</label>
+                        <input type="text" id="${prefix}-compound" value="" class="input-field" placeholder="e.g. Lu2O3, Ho(NO3)3, Fe 70%, Cr 18%, Ni 12%">
+                    </div>`;
+    }
+
+    /**
+     * Composition of the tab's compound field, or null when it is empty.
+     * Throws on an unreadable formula.
+     */
+    readCompound(prefix) {
+        const input = document.getElementById(`${prefix}-compound`);
+        const text = input ? input.value.trim() : '';
+        if (!text) return null;
+        return { text, ...compoundComposition(text) };
+    }
+
+    renderCompositionNote(compound) {
+        const parts = Object.entries(compound.fractions)
+            .sort((a, b) => b[1] - a[1])
+            .map(([sym, w]) => `${sym} ${(w * 100).toFixed(2)}%`)
+            .join(' · ');
+        const molar = compound.molarMass ? ` (M = ${compound.molarMass.toFixed(3)} g/mol)` : '';
+        return `
+            <p style="margin: 0 0 1rem 0; font-size: 0.85rem; color: var(--text-secondary);">
+                <b>${escapeHtml(compound.text)}</b>${molar}: ${parts}
+            </p>`;
+    }
+
+    /**
+     * Monte Carlo uncertainty options shared by all calculator tabs.
+     */
+    renderUncertaintyFields(prefix) {
+        const d = DEFAULT_UNCERTAINTY;
+        return `
+                <div class="uncertainty-options">
+                    <label class="schedule-toggle" title="Sample cross sections, decay constants and isotopic abundances (also of target materials) and rerun the calculation N times. Mass fractions and ppm stay exact.">
+                        <input type="checkbox" id="${prefix}-mc"> Monte Carlo uncertainty
+                    </label>
+                    <label>N <input type="number" id="${prefix}-mc-n" value="${d.iterations}" class="input-field" min="10" step="10"></label>
+                    <label title="Used where ENDF/JENDL/JEFF give no spread">XS σ (%) <input type="number" id="${prefix}-mc-xs" value="${d.xsRelSd * 100}" class="input-field" min="0" step="1"></label>
+                    <label>λ σ (%) <input type="number" id="${prefix}-mc-lambda" value="${d.lambdaRelSd * 100}" class="input-field" min="0" step="0.1"></label>
+                    <label>Abundance σ (%) <input type="number" id="${prefix}-mc-abund" value="${d.abundanceRelSd * 100}" class="input-field" min="0" step="0.1"></label>
+                </div>`;
+    }
+
+    /**
+     * Monte Carlo options of a tab, or null when uncertainty mode is off.
+     */
+    readUncertainty(prefix) {
+        const toggle = document.getElementById(`${prefix}-mc`);
+        if (!toggle || !toggle.checked) return null;
+        const pct = (id, fallback) => {
+            const v = parseFloat(document.getElementById(id).value);
+            return isFinite(v) && v >= 0 ? v / 100 : fallback;
+        };
+        return {
+            iterations: parseInt(document.getElementById(`${prefix}-mc-n`).value, 10) || DEFAULT_UNCERTAINTY.iterations,
+            xsRelSd: pct(`${prefix}-mc-xs`, DEFAULT_UNCERTAINTY.xsRelSd),
+            lambdaRelSd: pct(`${prefix}-mc-lambda`, DEFAULT_UNCERTAINTY.lambdaRelSd),
+            abundanceRelSd: pct(`${prefix}-mc-abund`, DEFAULT_UNCERTAINTY.abundanceRelSd)
+        };
+    }
+
+    /**
+     * Table of Monte Carlo statistics appended below a tab's results.
+     */
+    renderUncertaintyTable(mc, title, valueLabel) {
+        let html = `
+            <div class="card uncertainty-results" style="padding: 1rem; margin-top: 1.5rem;">
+                <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">${title}
+                    <span style="font-size: 0.8rem; color: var(--text-muted);">(${mc.iterations} samples)</span></h3>
+                <p style="margin: 0 0 1rem 0; font-size: 0.8rem; color: var(--text-muted);">
+                    Sampled: cross sections, decay constants and isotopic abundances (natural and target materials).
+                    Element mass fractions, compound composition and ppm values are treated as exact.
+                </p>
+                <div style="overflow-x: auto;">
+                <table class="data-table" style="width:100%">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>Nominal ${valueLabel}</th>
+                            <th>Mean</th>
+                            <th>Std. Dev.</th>
+                            <th>Rel. SD</th>
+                            <th>95% Interval</th>
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+        mc.stats.slice(0, 25).forEach(r => {
+            const rel = r.Mean > 0 ? (r.SD / r.Mean) * 100 : 0;
+            html += `
+                    <tr>
+                        <td>${r.Key}</td>
+                        <td style="font-family: var(--font-mono);">${r.Nominal.toExponential(3)}</td>
+                        <td style="font-family: var(--font-mono);">${r.Mean.toExponential(3)}</td>
+                        <td style="font-family: var(--font-mono);">${r.SD.toExponential(2)}</td>
+                        <td style="font-family: var(--font-mono);">${rel.toFixed(1)}%</td>
+                        <td style="font-family: var(--font-mono);">${r.P2_5.toExponential(2)} – ${r.P97_5.toExponential(2)}</td>
+                    </tr>`;
+        });
+
+        html += `</tbody></table></div></div>`;
+        return html;
+    }
+
+    renderSingleIsotopeForm() {
+        const container = document.getElementById('tab-single-isotope');
+        if (!container) return;
+
+        // Define SVG icons inline for performance
+        const icons = {
+            atom: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="3"/><ellipse cx="12" cy="12" rx="10" ry="4" transform="rotate(0 12 12)"/><ellipse cx="12" cy="12" rx="10" ry="4" transform="rotate(60 12 12)"/><ellipse cx="12" cy="12" rx="10" ry="4" transform="rotate(-60 12 12)"/></svg>',
+            mass: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 3v18M6 8h12l-2 13H8L6 8z"/></svg>',
+            flux: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z"/></svg>',
+            time: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 6v6l4 2"/></svg>',
+            cool: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 2v20M2 12h20M4.93 4.93l14.14 14.14M19.07 4.93L4.93 19.07"/></svg>'
+        };
+
+        container.innerHTML = `
+            <div class="panel card">
+                <div class="panel-header">
+                    <h2 class="panel-title">Single Isotope Activation</h2>
+                    <div style="display:flex; gap:0.5rem; margin-right:auto; margin-left:1rem;">
+                        <button class="btn-secondary btn-save-preset" data-type="single" title="Save Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path><polyline points="17 21 17 13 7 13 7 21"></polyline><polyline points="7 3 7 8 15 8"></polyline></svg></button>
+                        <button class="btn-secondary btn-load-preset" data-type="single" title="Load Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg></button>
+                        <button class="btn-secondary btn-materials" title="Target Materials"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M9 3h6M10 3v6L4 19a2 2 0 0 0 1.7 3h12.6a2 2 0 0 0 1.7-3L14 9V3"></path></svg></button>
+                    </div>
+                    <button class="help-btn" data-help="help-single">
+                        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3M12 17h.01"/></svg>
+                        How it works
+                    </button>
+                </div>
+
+                <div id="help-single" class="help-panel">
+                    <div class="help-content">
+                        <h4>Theoretical Background</h4>
+                        <p>This module calculates the specific activity of an isotope and its progeny using the <b>Bateman Equation</b>. It simulates the neutron capture process (n,γ) and the subsequent radioactive decay chain.</p>
+                        <ul>
+                            <li><b>Parent Isotope:</b> The target isotope used for irradiation.</li>
+                            <li><b>Neutron Flux:</b> The density of free neutrons in the reactor.</li>
+                            <li><b>Irradiation:</b> Duration the sample stays inside the flux.</li>
+                        </ul>
+                    </div>
+                </div>
+
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label>${icons.atom} PARENT ISOTOPE</label>
+                        <input type="text" id="input-iso" value="Lu-176" class="input-field" placeholder="e.g. Lu-176">
+                    </div>
+                    ${this.renderCompoundField('input', 'COMPOUND TARGET (optional)')}
+                    <div class="form-group">
+                        <label>${icons.mass} MASS (g)</label>
+                        <input type="number" id="input-mass" value="1.0" class="input-field" step="0.1">
+                    </div>
+                     <div class="form-group">
+                        <label>${icons.flux} NEUTRON FLUX (n/cm² · s)</label>
+                        <input type="text" id="input-flux" value="2.2e14" class="input-field">
+                    </div>
+                    <div class="form-group">
+                        <label>${icons.time} IRRADIATION TIME (days)</label>
+                        <input type="number" id="input-time" value="14.0" class="input-field" step="0.1">
+                    </div>
+                     <div class="form-group">
+                        <label>${icons.cool} COOLING TIME (days)</label>
+                        <input type="number" id="input-cool" value="0.0" class="input-field" step="0.1">
+                    </div>
+                    ${this.renderSpectrumFields('input')}
+                    ${this.renderEngineSelect('input-engine')}
+                    ${this.renderLibrarySelect('input-library')}
+                </div>
+                <div id="input-schedule"></div>
+                ${this.renderUncertaintyFields('input')}
+                <div class="form-actions" style="margin-top: 2rem; display: flex; gap: 0.5rem;">
+                    <button id="btn-calculate" class="btn-primary">
+                        Calculate Activation
+                    </button>
+                    <button id="btn-compare-engines" class="btn-secondary" title="Run both solver engines and compare activity per nuclide">
+                        Compare Engines
+                    </button>
+                    <button id="btn-compare-libraries" class="btn-secondary" title="Run ENDF/B-VIII.1, JENDL and JEFF and compare activity per nuclide">
+                        Compare Libraries
+                    </button>
+                </div>
+                <div id="results-area" class="results-area" style="margin-top: 2rem;"></div>
+                <div id="engine-compare-area" class="results-area" style="margin-top: 2rem;"></div>
+                <div id="library-compare-area" class="results-area" style="margin-top: 2rem;"></div>
+
+                <div class="goal-seek" style="margin-top: 2rem; padding-top: 1.5rem; border-top: 1px solid var(--border-highlight);">
+                    <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Goal Seek</h3>
+                    <p style="margin: 0 0 1rem 0; font-size: 0.8rem; color: var(--text-muted);">
+                        Solve for one parameter so the product reaches the target activity at the cooling time above. The other fields stay fixed.
+                    </p>
+                    <div class="form-grid">
+                        <div class="form-group">
+                            <label>SOLVE FOR</label>
+                            <select id="gs-variable" class="input-field">
+                                <option value="mass">Target mass</option>
+                                <option value="time">Irradiation time</option>
+                                <option value="flux">Neutron flux</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>PRODUCT ISOTOPE</label>
+                            <input type="text" id="gs-product" value="Lu-177" class="input-field" placeholder="e.g. Lu-177">
+                        </div>
+                        <div class="form-group">
+                            <label>TARGET ACTIVITY (GBq)</label>
+                            <input type="number" id="gs-target" value="50" class="input-field" step="any" min="0">
+                        </div>
+                    </div>
+                    <button id="btn-goal-seek" class="btn-secondary" style="margin-top: 1rem;">Solve</button>
+                    <div id="goal-seek-area" class="results-area" style="margin-top: 1rem;"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderImpurityForm() {
+        const container = document.getElementById('tab-impurity');
+        if (!container) return;
+
+        const icons = {
+            element: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><text x="12" y="16" font-size="10" text-anchor="middle" fill="currentColor">Fe</text></svg>',
+            mass: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 3v18M6 8h12l-2 13H8L6 8z"/></svg>',
+            flux: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z"/></svg>',
+            time: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 6v6l4 2"/></svg>',
+            cool: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 2v20M2 12h20M4.93 4.93l14.14 14.14M19.07 4.93L4.93 19.07"/></svg>'
+        };
+
+        container.innerHTML = `
+            <div class="panel card">
+                <div class="panel-header">
+                    <h2 class="panel-title">Impurity Activation</h2>
+                    <div style="display:flex; gap:0.5rem; margin-right:auto; margin-left:1rem;">
+                        <button class="btn-secondary btn-save-preset" data-type="impurity" title="Save Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path><polyline points="17 21 17 13 7 13 7 21"></polyline><polyline points="7 3 7 8 15 8"></polyline></svg></button>
+                        <button class="btn-secondary btn-load-preset" data-type="impurity" title="Load Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg></button>
+                        <button class="btn-secondary btn-materials" title="Target Materials"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M9 3h6M10 3v6L4 19a2 2 0 0 0 1.7 3h12.6a2 2 0 0 0 1.7-3L14 9V3"></path></svg></button>
+                    </div>
+                    <button class="help-btn" data-help="help-imp">
+                        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3M12 17h.01"/></svg>
+                        How it works
+                    </button>
+                </div>
+
+                <div id="help-imp" class="help-panel">
+                    <div class="help-content">
+                        <h4>Bulk Sample Analysis</h4>
+                        <p>This calculator handles multi-element activation. It calculates the resulting activity from secondary elements (impurities) present in your target material.</p>
+                        <ul>
+                            <li><b>ppm (Parts Per Million):</b> Concentration of the impurity in the main sample mass.</li>
+                            <li><b>Sample Mass:</b> Total weight of the bulk material.</li>
+                            <li><b>Automatic Pathing:</b> The system automatically identifies all possible (n,γ) pathways for the given element.</li>
+                        </ul>
+                    </div>
+                </div>
+
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label>${icons.element} ELEMENT SYMBOL</label>
+                        <div style="display: flex; gap: 0.5rem;">
+                            <input type="text" id="imp-sym" placeholder="e.g. Fe" class="input-field" style="flex:1" list="elements-list">
+                            <input type="number" id="imp-ppm" placeholder="ppm" class="input-field" style="flex:1">
+                            <button id="btn-add-imp" class="btn-secondary">Add</button>
+                        </div>
+                    </div>
+                </div>
+                <div id="impurity-list" class="impurity-list" style="margin: 1rem 0; display: flex; flex-wrap: wrap; gap: 0.5rem;"></div>
+                <div class="form-grid">
+                    ${this.renderCompoundField('imp', 'MATRIX COMPOUND (optional)')}
+                    <div class="form-group"><label>${icons.mass} SAMPLE MASS (g)</label><input type="number" id="imp-mass" value="1.0" class="input-field"></div>
+                    <div class="form-group"><label>${icons.flux} FLUX (n/cm² · s)</label><input type="text" id="imp-flux" value="2.2e14" class="input-field"></div>
+                    <div class="form-group"><label>${icons.time} IRRADIATION (days)</label><input type="number" id="imp-time" value="10.0" class="input-field"></div>
+                    <div class="form-group"><label>${icons.cool} COOLING (days)</label><input type="number" id="imp-cool" value="0.0" class="input-field"></div>
+                    ${this.renderSpectrumFields('imp')}
+                    ${this.renderEngineSelect('imp-engine')}
+                    ${this.renderLibrarySelect('imp-library')}
+                </div>
+                <div id="imp-schedule"></div>
+                ${this.renderUncertaintyFields('imp')}
+                <div class="form-actions" style="margin-top: 2rem;">
+                    <button id="btn-calc-imp" class="btn-primary">Calculate Impurity Activation</button>
+                </div>
+                ${this.renderBatchFields('imp')}
+                </div>
+                <div id="imp-results-area" class="results-area" style="margin-top: 2rem;"></div>
+
+                <div class="card" style="padding: 1rem; margin-top: 1.5rem;">
+                    <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Detection Limits (Currie L<sub>D</sub> / L<sub>Q</sub>)</h3>
+                    <p style="margin: 0 0 1rem 0; font-size: 0.8rem; color: var(--text-muted);">
+                        The listed impurities and the matrix compound form the sample matrix; the count starts after the cooling time above.
+                        Empty analyte list: every listed impurity.
+                    </p>
+                    <div style="display: flex; gap: 0.75rem; align-items: flex-end; flex-wrap: wrap;">
+                        <div class="form-group" style="margin: 0; min-width: 180px;">
+                            <label>ANALYTES</label>
+                            <input type="text" id="imp-dl-analytes" placeholder="e.g. As, Sb, Au, Co" class="input-field">
+                        </div>
+                        <div class="form-group" style="margin: 0;">
+                            <label>COUNT TIME (s)</label>
+                            <input type="number" id="imp-dl-time" value="3600" class="input-field" style="width: 110px;">
+                        </div>
+                        ${this.renderDetectorFields('imp-dl')}
+                        <button id="btn-dl-imp" class="btn-secondary">Estimate Detection Limits</button>
+                    </div>
+                    <div id="imp-dl-area" style="margin-top: 1rem;"></div>
+                </div>
+            </div>`;
+    }
+
+    renderWasteForm() {
+        const container = document.getElementById('tab-waste');
+        if (!container) return;
+
+        const icons = {
+            mass: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 3v18M6 8h12l-2 13H8L6 8z"/></svg>',
+            waste: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 6h18M8 6V4a2 2 0 012-2h4a2 2 0 012 2v2M19 6l-1 14a2 2 0 01-2 2H8a2 2 0 01-2-2L5 6"/></svg>',
+            flux: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z"/></svg>',
+            time: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 6v6l4 2"/></svg>',
+            cool: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 2v20M2 12h20M4.93 4.93l14.14 14.14M19.07 4.93L4.93 19.07"/></svg>'
+        };
+
+        container.innerHTML = `
+            <div class="panel card">
+                <div class="panel-header">
+                    <h2 class="panel-title">Waste Compliance</h2>
+                    <div style="display:flex; gap:0.5rem; margin-right:auto; margin-left:1rem;">
+                        <button class="btn-secondary btn-save-preset" data-type="waste" title="Save Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path><polyline points="17 21 17 13 7 13 7 21"></polyline><polyline points="7 3 7 8 15 8"></polyline></svg></button>
+                        <button class="btn-secondary btn-load-preset" data-type="waste" title="Load Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg></button>
+                        <button class="btn-secondary btn-materials" title="Target Materials"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M9 3h6M10 3v6L4 19a2 2 0 0 0 1.7 3h12.6a2 2 0 0 0 1.7-3L14 9V3"></path></svg></button>
+                    </div>
+                    <button class="help-btn" data-help="help-waste">
+                        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3M12 17h.01"/></svg>
+                        About Compliance
+                    </button>
+                </div>
+
+                <div id="help-waste" class="help-panel">
+                    <div class="help-content">
+                        <h4>Regulatory Standards</h4>
+                        <p>This tool verifies if the produced batch complies with international safety limits (Exemption and Clearance) for disposal or unrestricted release.</p>
+                        <ul>
+                            <li><b>Sum Index:</b> $\\sum (Activity_i / Limit_i)$. Must be below 1.0 for compliance.</li>
+                            <li><b>Clearance Time:</b> The engine calculates the cooling duration required until the sum index drops below 1.0.</li>
+                            <li><b>Total Waste:</b> The volume of material used to dilute the sample activity to specific activity (Bq/g).</li>
+                        </ul>
+                    </div>
+                </div>
+
+                 <div class="form-grid">
+                    ${this.renderCompoundField('waste', 'MATRIX COMPOUND (optional)')}
+                    <div class="form-group"><label>${icons.mass} SAMPLE MASS (g)</label><input type="number" id="waste-mass" value="10.0" class="input-field"></div>
+                    <div class="form-group"><label>${icons.waste} TOTAL WASTE (g)</label><input type="number" id="waste-total" value="35000" class="input-field"></div>
+                </div>
+                <div class="form-grid">
+                     <div class="form-group"><label>${icons.time} IRRADIATION (days)</label><input type="number" id="waste-time" value="10.0" class="input-field"></div>
+                     <div class="form-group"><label>${icons.cool} COOLING (days)</label><input type="number" id="waste-cool" value="365.0" class="input-field"></div>
+                     <div class="form-group"><label>${icons.flux} FLUX (n/cm² · s)</label><input type="text" id="waste-flux" value="2.2e14" class="input-field"></div>
+                     ${this.renderSpectrumFields('waste')}
+                     ${this.renderEngineSelect('waste-engine')}
+                     ${this.renderLibrarySelect('waste-library')}
+                </div>
+                <div id="waste-schedule"></div>
+                ${this.renderUncertaintyFields('waste')}
+                <div style="margin: 1rem 0;">
+                    <label>Impurities</label>
+                    <div style="display: flex; gap: 0.5rem; margin-bottom: 0.5rem;">
+                         <input type="text" id="waste-imp-sym" placeholder="Sym" class="input-field" style="width: 80px;" list="elements-list">
+                         <input type="number" id="waste-imp-ppm" placeholder="ppm" class="input-field" style="width: 80px;">
+                         <button id="btn-add-waste-imp" class="btn-secondary">Add</button>
+                    </div>
+                    <div id="waste-imp-list" class="impurity-list" style="display: flex; flex-wrap: wrap; gap: 0.5rem;"></div>
+                </div>
+                <div class="form-group" style="margin-bottom: 1rem;">
+                    <label>Limit Standard</label>
+                    <select id="waste-limit-type" class="input-field">
+                        <option value="clearance">Unrestricted Clearance (Column 3 - Anlage)</option>
+                        <option value="exemption">Specific Clearance (Column 9 - Anlage)</option>
+                    </select>
+                </div>
+                <div style="display: flex; gap: 0.5rem;">
+                    <button id="btn-calc-waste" class="btn-primary">Analyze Batch</button>
+                    <button id="btn-sens-waste" class="btn-secondary" title="Rank the cross sections, decay constants and branching ratios the result depends on">Sensitivity Analysis</button>
+                </div>
+                ${this.renderBatchFields('waste', true)}
+                <div id="waste-results-area" class="results-area" style="margin-top: 2rem;"></div>
+                <div id="waste-sensitivity-area" class="results-area" style="margin-top: 2rem;"></div>
+            </div>`;
+
+        // Add auto-calc listener
+        setTimeout(() => {
+            const dp = document.getElementById('waste-limit-type');
+            if (dp) dp.addEventListener('change', () => this.handleWasteCalculation());
+        }, 100);
+    }
+
+    renderLimitForm() {
+        const container = document.getElementById('tab-limits');
+        if (!container) return;
 
         const icons = {
             mass: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 3v18M6 8h12l-2 13H8L6 8z"/></svg>',
@@ -693,6 +1890,7 @@ class App {
                     <div style="display:flex; gap:0.5rem; margin-right:auto; margin-left:1rem;">
                         <button class="btn-secondary btn-save-preset" data-type="limit" title="Save Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path><polyline points="17 21 17 13 7 13 7 21"></polyline><polyline points="7 3 7 8 15 8"></polyline></svg></button>
                         <button class="btn-secondary btn-load-preset" data-type="limit" title="Load Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg></button>
+                        <button class="btn-secondary btn-materials" title="Target Materials"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M9 3h6M10 3v6L4 19a2 2 0 0 0 1.7 3h12.6a2 2 0 0 0 1.7-3L14 9V3"></path></svg></button>
                     </div>
                     <button class="help-btn" data-help="help-limit">
                         <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3M12 17h.01"/></svg>
@@ -712,6 +1910,7 @@ class App {
                 </div>
 
                 <div class="form-grid">
+                     ${this.renderCompoundField('lim', 'MATRIX COMPOUND (optional)')}
                      <div class="form-group"><label>${icons.mass} SAMPLE MASS (g)</label><input type="number" id="lim-mass" value="7.5" class="input-field"></div>
                      <div class="form-group"><label>${icons.waste} WASTE MASS (g)</label><input type="number" id="lim-wmass" value="35000" class="input-field"></div>
                      <div class="form-group"><label>${icons.flux} FLUX (n/cm² · s)</label><input type="text" id="lim-flux" value="2.2e14" class="input-field"></div>
@@ -719,7 +1918,12 @@ class App {
                  <div class="form-grid">
                      <div class="form-group"><label>${icons.time} IRRADIATION (days)</label><input type="number" id="lim-time" value="14.0" class="input-field"></div>
                      <div class="form-group"><label>${icons.cool} COOLING (days)</label><input type="number" id="lim-cool" value="365.0" class="input-field"></div>
+                     ${this.renderSpectrumFields('lim')}
+                     ${this.renderEngineSelect('lim-engine')}
+                     ${this.renderLibrarySelect('lim-library')}
                 </div>
+                <div id="lim-schedule"></div>
+                ${this.renderUncertaintyFields('lim')}
                 <!-- Controls for Adding Elements -->
                 <div style="margin: 1rem 0; padding: 1rem; background: rgba(255,255,255,0.05); border-radius: 8px;">
                     <label style="display:block; margin-bottom: 0.5rem; font-weight: 500;">Add Target Element</label>
@@ -755,14 +1959,293 @@ class App {
                 <div id="lim-results-area" class="results-area" style="margin-top: 2rem;"></div>
             </div>`;
 
-        // Add auto-calc listener
+        // Add auto-calc listener
+        setTimeout(() => {
+            const dp = document.getElementById('lim-type');
+            if (dp) dp.addEventListener('change', () => this.handleLimitCalculation());
+        }, 100);
+    }
+
+    renderK0Form() {
+        const container = document.getElementById('tab-k0');
+        if (!container) return;
+
+        const icons = {
+            mass: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 3v18M6 8h12l-2 13H8L6 8z"/></svg>',
+            time: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 6v6l4 2"/></svg>',
+            cool: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 2v20M2 12h20M4.93 4.93l14.14 14.14M19.07 4.93L4.93 19.07"/></svg>',
+            peak: '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M2 20h4l3-14 3 14 3-8 2 8h5"/></svg>'
+        };
+        const field = (id, label, value, type = 'number', title = '') => `
+                     <div class="form-group"><label${title ? ` title="${title}"` : ''}>${label}</label><input type="${type}" id="${id}" value="${value}" class="input-field"></div>`;
+
+        container.innerHTML = `
+            <div class="panel card">
+                <div class="panel-header">
+                    <h2 class="panel-title">k0-NAA Concentrations</h2>
+                    <div style="display:flex; gap:0.5rem; margin-right:auto; margin-left:1rem;">
+                        <button class="btn-secondary btn-save-preset" data-type="k0" title="Save Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path><polyline points="17 21 17 13 7 13 7 21"></polyline><polyline points="7 3 7 8 15 8"></polyline></svg></button>
+                        <button class="btn-secondary btn-load-preset" data-type="k0" title="Load Preset"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg></button>
+                    </div>
+                    <button class="help-btn" data-help="help-k0">
+                        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3M12 17h.01"/></svg>
+                        k0 Method
+                    </button>
+                </div>
+
+                <div id="help-k0" class="help-panel">
+                    <div class="help-content">
+                        <h4>From Peak Areas to Concentrations</h4>
+                        <p>The reverse of the activation tabs: measured net peak areas are converted to element concentrations with the k0 standardization against a co-irradiated Au comparator (${COMPARATOR.energyKeV} keV line of ${COMPARATOR.product}).</p>
+                        <ul>
+                            <li><b>Library constants:</b> λ, σ0, Q0 = I0/σ0, Ēr, abundance and γ yield come from the loaded database; k0 is derived from them unless you enter a recommended k0 for the line.</li>
+                            <li><b>Flux parameters:</b> f = φth/φepi and α of the irradiation position (f = 0: purely thermal).</li>
+                            <li><b>Uncertainty budget:</b> relative standard uncertainties (k = 1) of peak areas, comparator, k0, Q0, f, α, efficiency and masses, propagated with numerical sensitivities.</li>
+                        </ul>
+                    </div>
+                </div>
+
+                <h3 style="margin: 0 0 0.5rem 0; font-size: 0.95rem; color: var(--text-secondary);">Sample</h3>
+                <div class="form-grid">
+                     ${field('k0-mass', `${icons.mass} SAMPLE MASS (g)`, '0.1')}
+                     ${field('k0-irr', `${icons.time} IRRADIATION (h)`, '1')}
+                     ${field('k0-decay', `${icons.cool} DECAY (h)`, '2', 'number', 'End of irradiation to start of count')}
+                     ${field('k0-live', `${icons.time} LIVE TIME (s)`, '3600')}
+                     ${field('k0-real', `${icons.time} REAL TIME (s)`, '3600')}
+                     ${this.renderSpectrumFields('k0', 30, 0)}
+                </div>
+
+                <h3 style="margin: 1rem 0 0.5rem 0; font-size: 0.95rem; color: var(--text-secondary);">Au Comparator (co-irradiated)</h3>
+                <div class="form-grid">
+                     ${field('k0-au-mass', `${icons.mass} Au MASS (µg)`, '10')}
+                     ${field('k0-au-area', `${icons.peak} ${COMPARATOR.energyKeV} keV AREA`, '')}
+                     ${field('k0-au-unc', 'AREA UNC. (%)', '1')}
+                     ${field('k0-au-decay', `${icons.cool} DECAY (h)`, '2')}
+                     ${field('k0-au-live', `${icons.time} LIVE TIME (s)`, '600')}
+                     ${field('k0-au-real', `${icons.time} REAL TIME (s)`, '600')}
+                </div>
+
+                <h3 style="margin: 1rem 0 0.5rem 0; font-size: 0.95rem; color: var(--text-secondary);">Detector &amp; Uncertainties</h3>
+                <div class="form-grid">
+                     <div class="form-group" style="grid-column: span 2;"><label title="Full-energy peak efficiency points keV:ε of the counting geometry, interpolated log-log">EFFICIENCY (keV:ε)</label><input type="text" id="k0-eff" value="${formatEfficiencyCurve(DEFAULT_DETECTOR.efficiency)}" class="input-field"></div>
+                     ${field('k0-eff-unc', 'EFF. RATIO UNC. (%)', K0_DEFAULT_UNCERTAINTY.efficiency * 100)}
+                     ${field('k0-f-unc', 'f UNC. (%)', K0_DEFAULT_UNCERTAINTY.f * 100)}
+                     ${field('k0-alpha-unc', 'α UNC. (abs.)', K0_DEFAULT_UNCERTAINTY.alpha)}
+                </div>
+
+                <!-- Controls for Adding Measured Peaks -->
+                <div style="margin: 1rem 0; padding: 1rem; background: rgba(255,255,255,0.05); border-radius: 8px;">
+                    <label style="display:block; margin-bottom: 0.5rem; font-weight: 500;">Add Measured Peak</label>
+                    <div style="display: flex; gap: 0.5rem; align-items: flex-end; flex-wrap: wrap;">
+                         <div style="width: 80px;">
+                            <label style="font-size:0.8em; color:#aaa">Element</label>
+                            <input type="text" id="k0-sym" placeholder="Mn" class="input-field" list="elements-list">
+                         </div>
+                         <div style="flex: 1; min-width: 180px;">
+                            <label style="font-size:0.8em; color:#aaa">Line</label>
+                            <select id="k0-line" class="input-field"></select>
+                         </div>
+                         <div style="width: 130px;">
+                            <label style="font-size:0.8em; color:#aaa">Net Area</label>
+                            <input type="number" id="k0-area" class="input-field">
+                         </div>
+                         <div style="width: 90px;">
+                            <label style="font-size:0.8em; color:#aaa">Unc. %</label>
+                            <input type="number" id="k0-area-unc" value="2" class="input-field">
+                         </div>
+                         <div style="width: 110px;">
+                            <label style="font-size:0.8em; color:#aaa" title="Recommended k0,Au of the line. Empty: derived from the library">k0 (opt.)</label>
+                            <input type="number" id="k0-k0" class="input-field">
+                         </div>
+                         <div style="width: 90px;">
+                            <label style="font-size:0.8em; color:#aaa">k0 Unc. %</label>
+                            <input type="number" id="k0-k0-unc" value="1" class="input-field">
+                         </div>
+                         <button id="btn-add-k0" class="btn-secondary" style="height: 38px;">Add</button>
+                    </div>
+                </div>
+
+                <!-- The List of Measured Peaks -->
+                <div id="k0-list" style="display: flex; flex-direction: column; gap: 0.5rem; margin-bottom: 1.5rem;"></div>
+
+                <button id="btn-calc-k0" class="btn-primary">Calculate Concentrations</button>
+                <div id="k0-results-area" class="results-area" style="margin-top: 2rem;"></div>
+            </div>`;
+
         setTimeout(() => {
-            const dp = document.getElementById('lim-type');
-            if (dp) dp.addEventListener('change', () => this.handleLimitCalculation());
+            const sym = document.getElementById('k0-sym');
+            if (sym) sym.addEventListener('change', () => this.updateK0LineOptions());
         }, 100);
     }
 
-    handleCalculation() {
+    /**
+     * Fill the line selector with the analytical gamma lines of the typed element.
+     */
+    updateK0LineOptions() {
+        const select = document.getElementById('k0-line');
+        const sym = document.getElementById('k0-sym').value.trim();
+        if (!this.solver || !this.doseRate || !sym) {
+            select.innerHTML = '';
+            return;
+        }
+        const lines = new K0Analyzer(this.solver, this.doseRate).candidateLines(sym);
+        select.innerHTML = lines.length > 0
+            ? lines.map(l => `<option value="${l.product}|${l.energyKeV}">${l.product} ${l.energyKeV} keV (${(l.yield * 100).toPrecision(3)}%)</option>`).join('')
+            : '<option value="">No gamma-emitting (n,γ) product</option>';
+    }
+
+    addK0Line() {
+        const sym = document.getElementById('k0-sym').value.trim();
+        if (!sym) return;
+        if (!document.getElementById('k0-line').value) this.updateK0LineOptions();
+        const [product, energy] = (document.getElementById('k0-line').value || '').split('|');
+        const area = parseFloat(document.getElementById('k0-area').value);
+        const areaUnc = parseFloat(document.getElementById('k0-area-unc').value) || 0;
+        const k0 = parseFloat(document.getElementById('k0-k0').value);
+        const k0Unc = parseFloat(document.getElementById('k0-k0-unc').value) || 0;
+
+        if (!product) return this.showToast(`No analytical line for ${sym}`, 'warning');
+        if (!(area > 0)) return this.showToast('Enter the net peak area', 'warning');
+
+        const list = document.getElementById('k0-list');
+        const item = document.createElement('div');
+        item.className = 'k0-row';
+        item.style.cssText = 'background: rgba(255,255,255,0.05); padding: 8px 12px; border-radius: 6px; display: flex; align-items: center; justify-content: space-between;';
+
+        item.innerHTML = `
+            <div class="k0-data" data-sym="${sym}" data-product="${product}" data-energy="${energy}" data-area="${area}"
+                data-area-unc="${areaUnc}" data-k0="${k0 > 0 ? k0 : ''}" data-k0-unc="${k0Unc}" style="display: flex; gap: 1rem; align-items: center;">
+                <span style="font-weight: bold; width: 40px;">${sym}</span>
+                <span style="color: #aaa; font-size: 0.9em;">${product} <span style="color: white">${energy} keV</span></span>
+                <span style="color: #aaa; font-size: 0.9em;">Area: <span style="color: white">${area} ± ${areaUnc}%</span></span>
+                <span style="color: #aaa; font-size: 0.9em;">k0: <span style="color: white">${k0 > 0 ? `${k0} ± ${k0Unc}%` : 'library'}</span></span>
+            </div>
+            <button class="btn-remove-k0" style="background:none; border:none; color: #ff6b6b; cursor: pointer; font-size: 1.2em;">&times;</button>
+        `;
+        list.appendChild(item);
+
+        document.getElementById('k0-area').value = '';
+        document.getElementById('k0-k0').value = '';
+    }
+
+    handleK0Calculation() {
+        if (!this.solver || !this.doseRate) return this.showToast('Engine not ready yet', 'error');
+        const num = id => parseFloat(document.getElementById(id).value);
+        const HOUR_S = 3600;
+
+        const lines = Array.from(document.querySelectorAll('#k0-list .k0-data')).map(node => ({
+            element: node.dataset.sym,
+            product: node.dataset.product,
+            energyKeV: parseFloat(node.dataset.energy),
+            area: parseFloat(node.dataset.area),
+            areaRelUnc: (parseFloat(node.dataset.areaUnc) || 0) / 100,
+            k0: parseFloat(node.dataset.k0) || null,
+            k0RelUnc: (parseFloat(node.dataset.k0Unc) || 0) / 100
+        }));
+        if (lines.length === 0) return this.showToast('Add measured peaks first', 'warning');
+
+        let detector;
+        try {
+            detector = new HPGeDetector({ efficiency: parseEfficiencyCurve(document.getElementById('k0-eff').value) });
+        } catch (e) {
+            return this.showToast(`Invalid detector: ${e.message}`, 'error');
+        }
+
+        const { f, alpha } = this.readSpectrum('k0');
+        try {
+            const result = new K0Analyzer(this.solver, this.doseRate).analyze({
+                sample: {
+                    massG: num('k0-mass'),
+                    tIrrS: num('k0-irr') * HOUR_S,
+                    tDecayS: (num('k0-decay') || 0) * HOUR_S,
+                    liveS: num('k0-live'),
+                    realS: num('k0-real') || num('k0-live')
+                },
+                comparator: {
+                    massG: num('k0-au-mass') * 1e-6,
+                    area: num('k0-au-area'),
+                    areaRelUnc: (num('k0-au-unc') || 0) / 100,
+                    tDecayS: (num('k0-au-decay') || 0) * HOUR_S,
+                    liveS: num('k0-au-live'),
+                    realS: num('k0-au-real') || num('k0-au-live')
+                },
+                flux: { f, alpha },
+                detector,
+                lines,
+                uncertainty: {
+                    efficiency: (num('k0-eff-unc') || 0) / 100,
+                    f: (num('k0-f-unc') || 0) / 100,
+                    alpha: num('k0-alpha-unc') || 0
+                }
+            });
+            document.getElementById('k0-results-area').innerHTML = this.renderK0Results(result);
+            this.showToast('Concentrations Calculated', 'success');
+        } catch (e) {
+            console.error(e);
+            this.showToast(`k0 Error: ${e.message}`, 'error');
+        }
+    }
+
+    renderK0Results(result) {
+        const components = Object.keys(result.elements[0].Budget);
+        const conc = v => (v >= 0.01 ? v.toPrecision(4) : v.toExponential(3));
+
+        let html = `
+            <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Element Concentrations</h3>
+            <div style="overflow-x: auto;">
+            <table class="data-table" style="width:100%">
+                <thead>
+                    <tr>
+                        <th>Element</th>
+                        <th>Concentration (µg/g)</th>
+                        <th title="Combined standard uncertainty (k = 1)">u (µg/g)</th>
+                        <th>u (%)</th>
+                        ${components.map(c => `<th title="Share of the variance">${c}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>`;
+
+        result.elements.forEach(e => {
+            const largest = Object.entries(e.Budget).sort((a, b) => b[1] - a[1])[0][0];
+            html += `
+                    <tr>
+                        <td style="font-weight: bold;">${e.Element}${e.Lines > 1 ? ` <span style="color: var(--text-muted); font-weight: normal;">(${e.Lines} lines)</span>` : ''}</td>
+                        <td style="font-family: var(--font-mono); color: var(--accent-green);">${conc(e.Concentration)}</td>
+                        <td style="font-family: var(--font-mono);">${conc(e.Uncertainty)}</td>
+                        <td style="font-family: var(--font-mono);">${((e.Uncertainty / e.Concentration) * 100).toFixed(1)}</td>
+                        ${components.map(c => `<td style="font-family: var(--font-mono);${c === largest ? ' font-weight: bold;' : ''}">${(e.Budget[c] * 100).toFixed(0)}%</td>`).join('')}
+                    </tr>`;
+        });
+
+        html += `</tbody></table></div>
+            <h3 style="margin: 1.5rem 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Per Line</h3>
+            <table class="data-table" style="width:100%">
+                <thead>
+                    <tr>
+                        <th>Element</th>
+                        <th>Line</th>
+                        <th>k0,Au</th>
+                        <th>Q0</th>
+                        <th>Efficiency</th>
+                        <th>Concentration (µg/g)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${result.lines.map(l => `
+                    <tr>
+                        <td>${l.Element}</td>
+                        <td>${l.Product} ${l.Energy} keV</td>
+                        <td style="font-family: var(--font-mono);">${l.k0.toExponential(3)}</td>
+                        <td style="font-family: var(--font-mono);">${l.Q0.toFixed(2)}</td>
+                        <td style="font-family: var(--font-mono);">${l.Efficiency.toExponential(2)}</td>
+                        <td style="font-family: var(--font-mono);">${conc(l.Concentration)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+        return html;
+    }
+
+    async handleCalculation() {
         if (!this.solver) {
             this.showToast('Engine not ready yet', 'error');
             return;
@@ -778,11 +2261,39 @@ class App {
         const tIrrS = time * SECONDS_PER_DAY;
         const tCoolS = cool * SECONDS_PER_DAY;
 
-        this.showToast('Computing...', 'info');
+        let compound;
+        try {
+            compound = this.readCompound('input');
+        } catch (e) {
+            return this.showToast(`Invalid compound: ${e.message}`, 'error');
+        }
 
         try {
-            const results = this.solver.solve(iso, mass, flux, tIrrS, tCoolS);
-            this.renderResults(results, 'results-area');
+            this.applyEngine('input-engine');
+            this.applyLibrary('input-library');
+            const irradiation = this.buildIrradiation('input', this.scheduleEditors.single, flux, tIrrS, tCoolS);
+            // A compound target replaces the single isotope: every constituent is solved
+            const job = compound
+                ? { method: 'solveCompound', args: [compound.fractions, mass, irradiation, tIrrS, tCoolS] }
+                : { method: 'solveTarget', args: [iso, mass, irradiation, tIrrS, tCoolS] };
+            const results = await this.runSolverJob(job.method, job.args, 'Calculation');
+            if (!results) return;
+            let sources = [{ iso, massG: mass }];
+            if (compound) sources = this.solver.compoundSources(compound.fractions, mass);
+            else if (this.solver.isMaterial(iso)) sources = this.solver.elementSources(iso, mass);
+            await this.renderResults(results, 'results-area', {
+                sources, irradiation, tIrrS, tCoolS
+            });
+            if (compound) {
+                document.getElementById('results-area').insertAdjacentHTML('afterbegin', this.renderCompositionNote(compound));
+            }
+
+            const mcOptions = this.readUncertainty('input');
+            const mc = mcOptions ? await this.runSolverJob('monteCarlo', ['activities', mcOptions, job], 'Monte Carlo') : null;
+            if (mc) {
+                document.getElementById('results-area')
+                    .insertAdjacentHTML('beforeend', this.renderUncertaintyTable(mc, 'Activity Uncertainty', '(Bq)'));
+            }
             this.showToast('Calculation Complete', 'success');
         } catch (e) {
             console.error(e);
@@ -790,6 +2301,184 @@ class App {
         }
     }
 
+    async handleEngineComparison() {
+        if (!this.solver) {
+            this.showToast('Engine not ready yet', 'error');
+            return;
+        }
+
+        const iso = document.getElementById('input-iso').value;
+        const mass = parseFloat(document.getElementById('input-mass').value);
+        const flux = parseFloat(document.getElementById('input-flux').value);
+        const time = parseFloat(document.getElementById('input-time').value);
+        const cool = parseFloat(document.getElementById('input-cool').value);
+
+        try {
+            this.applyLibrary('input-library');
+            const tIrrS = time * SECONDS_PER_DAY;
+            const tCoolS = cool * SECONDS_PER_DAY;
+            const irradiation = this.buildIrradiation('input', this.scheduleEditors.single, flux, tIrrS, tCoolS);
+            const rows = await this.runSolverJob('compareEngines', [iso, mass, irradiation, tIrrS, tCoolS], 'Engine comparison');
+            if (!rows) return;
+            if (rows.length === 0) return this.showToast('No active isotopes found', 'warning');
+
+            let html = `
+                <h3 style="margin: 0 0 1rem 0; font-size: 1rem; color: var(--text-primary);">Engine Comparison (Activity per Nuclide)</h3>
+                <div style="overflow-x: auto;">
+                <table class="data-table" style="width:100%">
+                    <thead>
+                        <tr>
+                            <th>Isotope</th>
+                            <th>Bateman (Bq)</th>
+                            <th>CRAM-16 (Bq)</th>
+                            <th title="(CRAM - Bateman) / max(CRAM, Bateman)">Rel. Difference</th>
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+            rows.slice(0, 25).forEach(r => {
+                const diff = Math.abs(r.RelDiff);
+                html += `
+                    <tr>
+                        <td>${r.Isotope}</td>
+                        <td style="font-family: var(--font-mono);">${r.Bateman.toExponential(3)}</td>
+                        <td style="font-family: var(--font-mono);">${r.Cram.toExponential(3)}</td>
+                        <td style="font-family: var(--font-mono); color: ${diff > 1e-3 ? 'var(--accent-yellow)' : 'var(--text-primary)'};">${r.RelDiff.toExponential(2)}</td>
+                    </tr>`;
+            });
+
+            html += `</tbody></table></div>`;
+            document.getElementById('engine-compare-area').innerHTML = html;
+            this.showToast('Engine Comparison Complete', 'success');
+        } catch (e) {
+            console.error(e);
+            this.showToast('Comparison Error', 'error');
+        }
+    }
+
+    async handleGoalSeek() {
+        if (!this.solver) {
+            this.showToast('Engine not ready yet', 'error');
+            return;
+        }
+
+        const variable = document.getElementById('gs-variable').value;
+        const productIso = parseIsotopeClean(document.getElementById('gs-product').value);
+        const product = productIso.symbol ? getUniqueId(productIso.symbol, productIso.massNumber, productIso.metastable) : null;
+        const targetGBq = parseFloat(document.getElementById('gs-target').value);
+        if (!product) return this.showToast('Enter a product isotope', 'warning');
+        if (!(targetGBq > 0)) return this.showToast('Enter a positive target activity', 'warning');
+        if (this.scheduleEditors.single.isEnabled()) {
+            this.showToast('Goal seek uses the single irradiation/cooling fields, not the schedule', 'warning');
+        }
+
+        try {
+            this.applyEngine('input-engine');
+            this.applyLibrary('input-library');
+            const res = await this.runSolverJob('goalSeek', [{
+                parentIso: document.getElementById('input-iso').value,
+                product,
+                targetBq: targetGBq * 1e9,
+                variable,
+                massG: parseFloat(document.getElementById('input-mass').value),
+                flux: parseFloat(document.getElementById('input-flux').value),
+                tIrrS: parseFloat(document.getElementById('input-time').value) * SECONDS_PER_DAY,
+                tCoolS: parseFloat(document.getElementById('input-cool').value) * SECONDS_PER_DAY,
+                spectrum: this.readSpectrum('input')
+            }], 'Goal seek');
+            if (!res) return;
+
+            const formatValue = {
+                mass: v => `${v.toExponential(4)} g (${(v * 1000).toPrecision(4)} mg)`,
+                time: v => `${(v / SECONDS_PER_DAY).toPrecision(4)} days (${(v / 3600).toPrecision(4)} h)`,
+                flux: v => `${v.toExponential(3)} n/cm² · s`
+            }[variable];
+            const color = !res.reachable ? 'var(--accent-red)' : res.saturationFraction >= 0.9 ? 'var(--accent-yellow)' : 'var(--accent-green)';
+
+            document.getElementById('goal-seek-area').innerHTML = `
+                <div style="padding: 1rem; border-radius: 12px; border: 1px solid ${color}; background: rgba(255,255,255,0.03);">
+                    <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 1rem;">
+                        <div>
+                            <span style="font-size: 0.75rem; text-transform: uppercase; color: var(--text-muted);">Required ${variable}</span>
+                            <div style="font-size: 1.1rem; font-weight: bold; color: ${color}; font-family: var(--font-mono);">${res.reachable ? formatValue(res.value) : '—'}</div>
+                        </div>
+                        <div>
+                            <span style="font-size: 0.75rem; text-transform: uppercase; color: var(--text-muted);">${product} ${res.reachable ? 'achieved' : 'max. reachable'}</span>
+                            <div style="font-size: 1.1rem; font-weight: bold; font-family: var(--font-mono);">${(res.achievedBq / 1e9).toPrecision(4)} GBq</div>
+                        </div>
+                        <div>
+                            <span style="font-size: 0.75rem; text-transform: uppercase; color: var(--text-muted);">Saturation activity</span>
+                            <div style="font-size: 1.1rem; font-weight: bold; font-family: var(--font-mono);">${(res.saturationBq / 1e9).toPrecision(4)} GBq</div>
+                        </div>
+                    </div>
+                    <p style="margin: 0.75rem 0 0 0; color: var(--text-secondary);">${res.message}</p>
+                </div>`;
+            this.showToast('Goal Seek Complete', res.reachable ? 'success' : 'warning');
+        } catch (e) {
+            console.error(e);
+            this.showToast('Goal Seek Error', 'error');
+        }
+    }
+
+    async handleLibraryComparison() {
+        if (!this.solver) {
+            this.showToast('Engine not ready yet', 'error');
+            return;
+        }
+
+        const iso = document.getElementById('input-iso').value;
+        const mass = parseFloat(document.getElementById('input-mass').value);
+        const flux = parseFloat(document.getElementById('input-flux').value);
+        const time = parseFloat(document.getElementById('input-time').value);
+        const cool = parseFloat(document.getElementById('input-cool').value);
+
+        try {
+            this.applyEngine('input-engine');
+            const tIrrS = time * SECONDS_PER_DAY;
+            const tCoolS = cool * SECONDS_PER_DAY;
+            const irradiation = this.buildIrradiation('input', this.scheduleEditors.single, flux, tIrrS, tCoolS);
+            const comparison = await this.runSolverJob('compareLibraries', [iso, mass, irradiation, tIrrS, tCoolS], 'Library comparison');
+            if (!comparison) return;
+            const { rows, coverage } = comparison;
+            if (rows.length === 0) return this.showToast('No active isotopes found', 'warning');
+
+            const libs = ['endf', 'jendl', 'jeff'];
+            const coverageNote = libs
+                .map(lib => `${XS_LIBRARIES[lib].label}: ${coverage[lib].fallback} reactions without evaluation (Max_XS used)`)
+                .join(' · ');
+
+            let html = `
+                <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Library Comparison (Activity per Nuclide)</h3>
+                <p style="margin: 0 0 1rem 0; font-size: 0.8rem; color: var(--text-muted);">${coverageNote}</p>
+                <div style="overflow-x: auto;">
+                <table class="data-table" style="width:100%">
+                    <thead>
+                        <tr>
+                            <th>Isotope</th>
+                            ${libs.map(lib => `<th>${XS_LIBRARIES[lib].label} (Bq)</th>`).join('')}
+                            <th title="(max - min) / max over the three libraries">Spread</th>
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+            rows.slice(0, 25).forEach(r => {
+                html += `
+                    <tr>
+                        <td>${r.Isotope}</td>
+                        ${libs.map(lib => `<td style="font-family: var(--font-mono);">${r[lib].toExponential(3)}</td>`).join('')}
+                        <td style="font-family: var(--font-mono); color: ${r.Spread > 0.1 ? 'var(--accent-yellow)' : 'var(--text-primary)'};">${(r.Spread * 100).toFixed(1)}%</td>
+                    </tr>`;
+            });
+
+            html += `</tbody></table></div>`;
+            document.getElementById('library-compare-area').innerHTML = html;
+            this.showToast('Library Comparison Complete', 'success');
+        } catch (e) {
+            console.error(e);
+            this.showToast('Comparison Error', 'error');
+        }
+    }
+
     // --- IMPURITY CALCULATOR ---
     addImpurityItem() {
         const symStart = document.getElementById('imp-sym');
@@ -809,7 +2498,104 @@ class App {
         ppmStart.value = '';
     }
 
-    handleImpurityCalculation() {
+    /**
+     * Element masses of the impurity tab: listed impurities plus the constituents of the matrix compound.
+     * @returns {Array<{sym: string, massG: number}>}
+     */
+    readImpurityEntries(mass, compound) {
+        const entries = [];
+        document.querySelectorAll('#impurity-list .imp-data').forEach(node => {
+            entries.push({ sym: node.dataset.sym, massG: (parseFloat(node.dataset.ppm) / 1e6) * mass });
+        });
+        if (compound) {
+            Object.entries(compound.fractions).forEach(([sym, w]) => entries.push({ sym, massG: w * mass }));
+        }
+        return entries;
+    }
+
+    async handleDetectionLimits() {
+        if (!this.solver || !this.doseRate) return this.showToast('Engine Loading...', 'error');
+
+        const mass = parseFloat(document.getElementById('imp-mass').value) || 0;
+        const flux = parseFloat(document.getElementById('imp-flux').value) || 0;
+        const tIrrS = (parseFloat(document.getElementById('imp-time').value) || 0) * SECONDS_PER_DAY;
+        const tCoolS = (parseFloat(document.getElementById('imp-cool').value) || 0) * SECONDS_PER_DAY;
+        const countS = parseFloat(document.getElementById('imp-dl-time').value);
+        if (!(countS > 0)) return this.showToast('Enter a positive count time', 'warning');
+
+        let compound;
+        let detectorConfig;
+        try {
+            compound = this.readCompound('imp');
+            detectorConfig = this.readDetectorConfig('imp-dl');
+            new HPGeDetector(detectorConfig); // throws on invalid fields before the job starts
+        } catch (e) {
+            return this.showToast(`Invalid input: ${e.message}`, 'error');
+        }
+
+        const matrix = this.readImpurityEntries(mass, compound);
+        const listed = Array.from(document.querySelectorAll('#impurity-list .imp-data')).map(node => node.dataset.sym);
+        const typed = document.getElementById('imp-dl-analytes').value.split(/[,;\s]+/).map(x => x.trim()).filter(x => x);
+        const analytes = Array.from(new Set(typed.length > 0 ? typed : listed));
+        if (analytes.length === 0) return this.showToast('Enter analytes or add impurities first', 'warning');
+
+        const unknown = analytes.filter(sym => !this.solver.elementMap.has(sym) && !this.solver.isMaterial(sym));
+        if (unknown.length > 0) return this.showToast(`Unknown element: ${unknown.join(', ')}`, 'error');
+
+        try {
+            this.applyEngine('imp-engine');
+            this.applyLibrary('imp-library');
+            const irradiation = this.buildIrradiation('imp', this.scheduleEditors.impurity, flux, tIrrS, tCoolS);
+            const limits = await this.runSolverJob('detectionLimits', [
+                { matrix, analytes, sampleMassG: mass, irradiation, tIrrS, tCoolS, countS },
+                appStore.getState().gammaData, detectorConfig
+            ], 'Detection limits');
+            if (!limits) return;
+            document.getElementById('imp-dl-area').innerHTML = this.renderDetectionLimits(limits);
+        } catch (e) {
+            console.error(e);
+            this.showToast(`Detection Limit Error: ${e.message}`, 'error');
+        }
+    }
+
+    renderDetectionLimits(limits) {
+        const ppm = v => (v === null ? '-' : v >= 0.01 ? v.toPrecision(3) : v.toExponential(2));
+        const colors = { 'measurable': 'var(--accent-green)', 'below LD': 'var(--accent-yellow)', 'not measurable': 'var(--accent-red)' };
+
+        let html = `
+            <table class="data-table" style="width: 100%;">
+                <thead>
+                    <tr>
+                        <th>Element</th>
+                        <th>Best Line</th>
+                        <th title="Detection limit, 5% false positive / negative">L<sub>D</sub> (ppm)</th>
+                        <th title="Quantification limit, 10% relative standard deviation">L<sub>Q</sub> (ppm)</th>
+                        <th>Listed (ppm)</th>
+                        <th title="Matrix counts under the line">Background</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>`;
+
+        limits.forEach(r => {
+            const flagged = r.Status !== 'measurable';
+            html += `
+                    <tr style="${flagged ? 'background: rgba(255,100,100,0.08);' : ''}">
+                        <td style="font-weight: bold;">${r.Element}</td>
+                        <td>${r.Line ? `${r.Line.Isotope} ${r.Line.Energy.toFixed(1)} keV` : '-'}</td>
+                        <td style="font-family: var(--font-mono);">${ppm(r.LD)}</td>
+                        <td style="font-family: var(--font-mono);">${ppm(r.LQ)}</td>
+                        <td style="font-family: var(--font-mono);">${ppm(r.Present)}</td>
+                        <td style="font-family: var(--font-mono);">${r.Line ? r.Line.Background.toExponential(2) : '-'}</td>
+                        <td style="font-weight: bold; color: ${colors[r.Status]};" title="${r.Reason}">${r.Status}</td>
+                    </tr>`;
+        });
+
+        html += `</tbody></table>`;
+        return html;
+    }
+
+    async handleImpurityCalculation() {
         if (!this.solver) return this.showToast('Engine Loading...', 'error');
 
         const mass = parseFloat(document.getElementById('imp-mass').value) || 0;
@@ -820,21 +2606,23 @@ class App {
         const tIrrS = time * SECONDS_PER_DAY;
         const tCoolS = cool * SECONDS_PER_DAY;
 
-        const items = document.querySelectorAll('#impurity-list .imp-data');
-        if (items.length === 0) return this.showToast('Add impurities first', 'warning');
+        let compound;
+        try {
+            compound = this.readCompound('imp');
+        } catch (e) {
+            return this.showToast(`Invalid compound: ${e.message}`, 'error');
+        }
 
-        this.showToast('Calculating...', 'info');
+        const entries = this.readImpurityEntries(mass, compound);
+        if (entries.length === 0) return this.showToast('Add impurities first', 'warning');
 
         try {
-            let combinedResults = [];
-            items.forEach(node => {
-                const sym = node.dataset.sym;
-                const ppm = parseFloat(node.dataset.ppm);
-                const elemMass = (ppm / 1e6) * mass;
-
-                const res = this.solver.solveElement(sym, elemMass, flux, tIrrS, tCoolS);
-                combinedResults.push(...res);
-            });
+            this.applyEngine('imp-engine');
+            this.applyLibrary('imp-library');
+            const irradiation = this.buildIrradiation('imp', this.scheduleEditors.impurity, flux, tIrrS, tCoolS);
+            const job = { method: 'solveElements', args: [entries, irradiation, tIrrS, tCoolS] };
+            const combinedResults = await this.runSolverJob(job.method, job.args, 'Impurity analysis');
+            if (!combinedResults) return;
 
             // Merge
             const finalMap = new Map();
@@ -848,7 +2636,18 @@ class App {
             });
 
             const results = Array.from(finalMap.values()).sort((a, b) => b.Activity - a.Activity);
-            this.renderResults(results, 'imp-results-area');
+            const sources = entries.flatMap(({ sym, massG }) => this.solver.elementSources(sym, massG));
+            await this.renderResults(results, 'imp-results-area', { sources, irradiation, tIrrS, tCoolS });
+            if (compound) {
+                document.getElementById('imp-results-area').insertAdjacentHTML('afterbegin', this.renderCompositionNote(compound));
+            }
+
+            const mcOptions = this.readUncertainty('imp');
+            const mc = mcOptions ? await this.runSolverJob('monteCarlo', ['activities', mcOptions, job], 'Monte Carlo') : null;
+            if (mc) {
+                document.getElementById('imp-results-area')
+                    .insertAdjacentHTML('beforeend', this.renderUncertaintyTable(mc, 'Activity Uncertainty', '(Bq)'));
+            }
             this.showToast('Impurity Analysis Complete', 'success');
 
         } catch (e) {
@@ -858,6 +2657,102 @@ class App {
     }
 
     // --- WASTE CALCULATOR ---
+    async handleWasteSensitivity() {
+        if (!this.solver) return;
+        const mass = parseFloat(document.getElementById('waste-mass').value) || 0;
+        const totalWaste = parseFloat(document.getElementById('waste-total').value) || 0;
+        const flux = parseFloat(document.getElementById('waste-flux').value) || 0;
+        const time = parseFloat(document.getElementById('waste-time').value) || 0;
+        const cool = parseFloat(document.getElementById('waste-cool').value) || 0;
+
+        const tIrrS = time * SECONDS_PER_DAY;
+        const tCoolS = cool * SECONDS_PER_DAY;
+
+        let impurities;
+        try {
+            impurities = this.readWasteImpurities(this.readCompound('waste'));
+        } catch (e) {
+            return this.showToast(`Invalid compound: ${e.message}`, 'error');
+        }
+
+        if (Object.keys(impurities).length === 0) return this.showToast('Add impurities first', 'warning');
+
+        try {
+            const limitTypeSelect = document.getElementById('waste-limit-type');
+            const limitType = limitTypeSelect ? limitTypeSelect.value : 'exemption';
+            this.applyEngine('waste-engine');
+            this.applyLibrary('waste-library');
+            const irradiation = this.buildIrradiation('waste', this.scheduleEditors.waste, flux, tIrrS, tCoolS);
+
+            const sens = await this.runSolverJob('wasteSensitivity', [
+                impurities, null, mass, irradiation, tIrrS, tCoolS, totalWaste, limitType
+            ], 'Sensitivity analysis');
+            if (!sens) return;
+            document.getElementById('waste-sensitivity-area').innerHTML =
+                this.renderSensitivityTable(sens, 'Sensitivity of Limit Fractions');
+            this.showToast('Sensitivity Analysis Complete', 'success');
+        } catch (e) {
+            console.error(e);
+            this.showToast('Sensitivity Error', 'error');
+        }
+    }
+
+    /**
+     * Ranked sensitivity coefficients, grouped by output quantity.
+     */
+    renderSensitivityTable(sens, title, maxOutputs = 6, maxRows = 8) {
+        let html = `
+            <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">${title}</h3>
+            <p style="margin: 0 0 1rem 0; font-size: 0.8rem; color: var(--text-muted);">
+                S = (dR/R) / (dX/X), central difference of ±1% on ${sens.parameters} nuclear data entries along the contributing pathways.
+            </p>
+            <div style="overflow-x: auto;">
+            <table class="data-table" style="width:100%">
+                <thead>
+                    <tr>
+                        <th>Output</th>
+                        <th>Parameter</th>
+                        <th>Type</th>
+                        <th>S</th>
+                    </tr>
+                </thead>
+                <tbody>`;
+
+        sens.outputs.slice(0, maxOutputs).forEach(o => {
+            const rows = o.Coefficients.slice(0, maxRows);
+            if (rows.length === 0) return;
+            rows.forEach((c, i) => {
+                html += `
+                    <tr>
+                        ${i === 0 ? `<td rowspan="${rows.length}" style="vertical-align: top; font-weight: bold;">${o.Output}<div style="font-size: 0.75rem; font-weight: normal; color: var(--text-muted); font-family: var(--font-mono);">${o.Nominal.toExponential(3)}</div></td>` : ''}
+                        <td>${c.Parameter.replace(/n,g/g, 'n,γ')}</td>
+                        <td style="color: var(--text-muted);">${c.Kind}</td>
+                        <td style="font-family: var(--font-mono); color: ${Math.abs(c.S) >= 0.5 ? 'var(--accent-yellow)' : 'var(--text-primary)'};">${c.S >= 0 ? '+' : ''}${c.S.toFixed(3)}</td>
+                    </tr>`;
+            });
+        });
+
+        html += `</tbody></table></div>`;
+        return html;
+    }
+
+    /**
+     * Impurity ppm map of the waste tab. The matrix compound adds its constituents
+     * at their mass fraction (1.0 = 10⁶ ppm).
+     */
+    readWasteImpurities(compound) {
+        const impurities = {};
+        document.querySelectorAll('#waste-imp-list .waste-data').forEach(node => {
+            impurities[node.dataset.sym] = parseFloat(node.dataset.ppm);
+        });
+        if (compound) {
+            Object.entries(compound.fractions).forEach(([sym, w]) => {
+                impurities[sym] = (impurities[sym] || 0) + w * 1e6;
+            });
+        }
+        return impurities;
+    }
+
     addWasteItem() {
         const sym = document.getElementById('waste-imp-sym').value;
         const ppm = document.getElementById('waste-imp-ppm').value;
@@ -871,7 +2766,7 @@ class App {
         document.getElementById('waste-imp-ppm').value = '';
     }
 
-    handleWasteCalculation() {
+    async handleWasteCalculation() {
         if (!this.solver) return;
         const mass = parseFloat(document.getElementById('waste-mass').value) || 0;
         const totalWaste = parseFloat(document.getElementById('waste-total').value) || 0;
@@ -883,105 +2778,257 @@ class App {
         const tCoolS = cool * SECONDS_PER_DAY;
 
         // Get Impurities
-        const impurities = {};
-        document.querySelectorAll('#waste-imp-list .waste-data').forEach(node => {
-            const sym = node.dataset.sym;
-            const ppm = parseFloat(node.dataset.ppm);
-            impurities[sym] = ppm;
-        });
+        let compound;
+        let impurities;
+        try {
+            compound = this.readCompound('waste');
+            impurities = this.readWasteImpurities(compound);
+        } catch (e) {
+            return this.showToast(`Invalid compound: ${e.message}`, 'error');
+        }
 
         if (Object.keys(impurities).length === 0) return this.showToast('Add impurities first', 'warning');
 
-        this.showToast('Analyzing Batch...', 'info');
-
         try {
             // Get limit type from dropdown
             const limitTypeSelect = document.getElementById('waste-limit-type');
             const limitType = limitTypeSelect ? limitTypeSelect.value : 'exemption';
+            this.applyEngine('waste-engine');
+            this.applyLibrary('waste-library');
+            const irradiation = this.buildIrradiation('waste', this.scheduleEditors.waste, flux, tIrrS, tCoolS);
+
+            const job = {
+                method: 'calculateWasteCompliance',
+                args: [impurities, null, mass, irradiation, tIrrS, tCoolS, totalWaste, limitType]
+            };
+            const results = await this.runSolverJob(job.method, job.args, 'Waste analysis');
+            if (!results) return;
+
+            let html = this.renderWasteCompliance(results);
+
+            if (this.decayHeat) {
+                const sources = Object.entries(impurities).flatMap(([sym, ppm]) => this.solver.elementSources(sym, mass * ppm * 1e-6));
+                const cooling = await this.runSolverJob('coolingActivities', [
+                    sources, irradiation, tIrrS, tCoolS, this.coolingPoints(irradiation).map(([t]) => t)
+                ], 'Decay heat');
+                const current = Array.from(results.summary.totalActivity, ([Isotope, Activity]) => ({ Isotope, Activity }));
+                if (cooling) html += this.renderDecayHeat(current, irradiation, cooling);
+            }
 
-            const results = this.solver.calculateWasteCompliance(
-                impurities, null, mass, flux, tIrrS, tCoolS, totalWaste, limitType
-            );
+            const mcOptions = this.readUncertainty('waste');
+            const mc = mcOptions ? await this.runSolverJob('monteCarlo', ['wasteSumIndex', mcOptions, job], 'Monte Carlo') : null;
+            if (mc) {
+                html += this.renderUncertaintyTable(mc, 'Sum Index Uncertainty', '(fraction of limit)');
+            }
 
-            // Render Results
-            let html = `
-                <div style="background: ${results.summary.isCompliant ? 'rgba(0,255,150,0.1)' : 'rgba(255,100,100,0.1)'}; 
-                            padding: 1.5rem; border-radius: 12px; border: 1px solid ${results.summary.isCompliant ? 'var(--accent-green)' : 'var(--accent-red)'}; 
-                            margin-bottom: 2rem; display: flex; justify-content: space-between; align-items: center;">
-                    <div>
-                        <h3 style="margin:0; font-size: 1.5rem; color: ${results.summary.isCompliant ? 'var(--accent-green)' : 'var(--accent-red)'};">
-                            ${results.summary.isCompliant ? 'COMPLIANT' : 'NON-COMPLIANT'}
-                        </h3>
-                        <p style="margin:0.5rem 0 0 0; color: var(--text-secondary);">Total Fraction: ${results.summary.sumIndex.toFixed(4)}</p>
-                    </div>
-                    <div style="text-align: right;">
-                        <span style="display: block; font-size: 0.8rem; text-transform: uppercase;">Clearance Time</span>
-                        <span style="font-size: 1.25rem; font-weight: bold; font-family: var(--font-mono); color: var(--text-primary);">
-                             ${results.summary.daysToClear > 0 ? results.summary.daysToClear.toFixed(1) + ' days' : (results.summary.isCompliant ? '0 days' : '> 100 Years')}
-                        </span>
-                    </div>
-                </div>
+            document.getElementById('waste-results-area').innerHTML = (compound ? this.renderCompositionNote(compound) : '') + html;
 
-                <table class="data-table" style="width:100%">
-                    <thead>
-                        <tr>
-                            <th>Isotope</th>
-                            <th>Total Activity (Bq)</th>
-                            <th>Spec. Act (Bq/g)</th>
-                            <th>Limit (Bq/g)</th>
-                            <th>Fraction</th>
-                        </tr>
-                    </thead>
-                    <tbody>`;
+            this.drawWasteCharts(results);
 
-            results.results.forEach(r => {
-                html += `
-                    <tr>
-                        <td>${r.Isotope}</td>
-                        <td style="font-family: var(--font-mono);">${r.ActivityTotal.toExponential(2)}</td>
-                        <td style="font-family: var(--font-mono);">${r.SpecAct.toExponential(2)}</td>
-                        <td style="font-family: var(--font-mono);">${r.Limit.toExponential(2)}</td>
-                        <td style="font-weight: bold; color: ${r.Fraction > 1 ? 'var(--accent-red)' : 'var(--text-primary)'};">${r.Fraction.toFixed(4)}</td>
-                    </tr>`;
-            });
+            this.showToast('Analysis Complete', 'success');
+
+        } catch (e) {
+            console.error(e);
+            this.showToast('Compliance Error', 'error');
+        }
+    }
 
-            html += `</tbody></table>
-            
-            <!-- Charts Section -->
-            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 2rem; margin-top: 2rem;">
-                <div class="card" style="padding: 1rem;">
-                    <canvas id="waste-pie-chart" style="max-height: 280px;"></canvas>
+    /**
+     * Compliance banner, nuclide table and chart canvases of a calculateWasteCompliance result.
+     */
+    renderWasteCompliance(results) {
+        let html = `
+            <div style="background: ${results.summary.isCompliant ? 'rgba(0,255,150,0.1)' : 'rgba(255,100,100,0.1)'}; 
+                        padding: 1.5rem; border-radius: 12px; border: 1px solid ${results.summary.isCompliant ? 'var(--accent-green)' : 'var(--accent-red)'}; 
+                        margin-bottom: 2rem; display: flex; justify-content: space-between; align-items: center;">
+                <div>
+                    <h3 style="margin:0; font-size: 1.5rem; color: ${results.summary.isCompliant ? 'var(--accent-green)' : 'var(--accent-red)'};">
+                        ${results.summary.isCompliant ? 'COMPLIANT' : 'NON-COMPLIANT'}
+                    </h3>
+                    <p style="margin:0.5rem 0 0 0; color: var(--text-secondary);">Total Fraction: ${results.summary.sumIndex.toFixed(4)}</p>
                 </div>
-                <div class="card" style="padding: 1rem;">
-                    <canvas id="waste-bar-chart" style="max-height: 280px;"></canvas>
+                <div style="text-align: right;">
+                    <span style="display: block; font-size: 0.8rem; text-transform: uppercase;">Clearance Time</span>
+                    <span style="font-size: 1.25rem; font-weight: bold; font-family: var(--font-mono); color: var(--text-primary);">
+                         ${results.summary.daysToClear > 0 ? results.summary.daysToClear.toFixed(1) + ' days' : (results.summary.isCompliant ? '0 days' : '> 100 Years')}
+                    </span>
                 </div>
-            </div>`;
+            </div>
+
+            <table class="data-table" style="width:100%">
+                <thead>
+                    <tr>
+                        <th>Isotope</th>
+                        <th>Total Activity (Bq)</th>
+                        <th>Spec. Act (Bq/g)</th>
+                        <th>Limit (Bq/g)</th>
+                        <th>Fraction</th>
+                    </tr>
+                </thead>
+                <tbody>`;
+
+        results.results.forEach(r => {
+            html += `
+                <tr>
+                    <td>${r.Isotope}</td>
+                    <td style="font-family: var(--font-mono);">${r.ActivityTotal.toExponential(2)}</td>
+                    <td style="font-family: var(--font-mono);">${r.SpecAct.toExponential(2)}</td>
+                    <td style="font-family: var(--font-mono);">${r.Limit.toExponential(2)}</td>
+                    <td style="font-weight: bold; color: ${r.Fraction > 1 ? 'var(--accent-red)' : 'var(--text-primary)'};">${r.Fraction.toFixed(4)}</td>
+                </tr>`;
+        });
 
-            document.getElementById('waste-results-area').innerHTML = html;
-
-            // Render Charts (after DOM update)
-            setTimeout(() => {
-                // Prepare data for charts
-                const chartData = results.results.map(r => ({
-                    Isotope: r.Isotope,
-                    isotope: r.Isotope,
-                    Activity: r.ActivityTotal,
-                    fraction: r.Fraction
-                }));
-
-                renderActivityPieChart('waste-pie-chart', chartData);
-                renderComplianceBarChart('waste-bar-chart', chartData.map(d => ({
-                    isotope: d.Isotope,
-                    fraction: d.fraction
-                })));
-            }, 50);
+        html += `</tbody></table>
+        
+        <!-- Charts Section -->
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 2rem; margin-top: 2rem;">
+            <div class="card" style="padding: 1rem;">
+                <canvas id="waste-pie-chart" style="max-height: 280px;"></canvas>
+            </div>
+            <div class="card" style="padding: 1rem;">
+                <canvas id="waste-bar-chart" style="max-height: 280px;"></canvas>
+            </div>
+        </div>`;
 
-            this.showToast('Analysis Complete', 'success');
+        return html;
+    }
 
+    /**
+     * Draw the waste charts once renderWasteCompliance's canvases are in the page.
+     */
+    drawWasteCharts(results) {
+        setTimeout(() => {
+            // Prepare data for charts
+            const chartData = results.results.map(r => ({
+                Isotope: r.Isotope,
+                isotope: r.Isotope,
+                Activity: r.ActivityTotal,
+                fraction: r.Fraction
+            }));
+
+            renderActivityPieChart('waste-pie-chart', chartData);
+            renderComplianceBarChart('waste-bar-chart', chartData.map(d => ({
+                isotope: d.Isotope,
+                fraction: d.fraction
+            })));
+        }, 50);
+    }
+
+    // --- BATCH SAMPLES ---
+    /**
+     * Run every sample of the tab's uploaded CSV; prefix is 'imp' or 'waste'.
+     * The tab's fields fill the columns a row leaves empty and its matrix compound is added to every sample.
+     */
+    async handleBatchCalculation(prefix) {
+        if (!this.solver) return this.showToast('Engine Loading...', 'error');
+        const file = document.getElementById(`${prefix}-batch-file`).files[0];
+        if (!file) return this.showToast('Choose a sample CSV first', 'warning');
+
+        const waste = prefix === 'waste';
+        const value = id => parseFloat(document.getElementById(`${prefix}-${id}`).value) || 0;
+        let samples;
+        try {
+            const compound = this.readCompound(prefix);
+            const sheet = parseSampleSheet(this.dataLoader.parseCSV(await file.text()), {
+                mass: value('mass'),
+                flux: value('flux'),
+                timeDays: value('time'),
+                coolDays: value('cool'),
+                wasteMass: waste ? value('total') : value('mass'),
+                matrix: compound ? Object.fromEntries(Object.entries(compound.fractions).map(([sym, w]) => [sym, w * 1e6])) : {}
+            });
+            samples = sheet.samples;
+            if (sheet.ignored.length > 0) this.showToast(`Ignored columns: ${sheet.ignored.join(', ')}`, 'warning');
+        } catch (e) {
+            return this.showToast(`Invalid sample sheet: ${e.message}`, 'error');
+        }
+
+        try {
+            this.applyEngine(`${prefix}-engine`);
+            this.applyLibrary(`${prefix}-library`);
+            const limitTypeSelect = document.getElementById('waste-limit-type');
+            const options = {
+                type: waste ? 'waste' : 'impurity',
+                limitType: waste && limitTypeSelect ? limitTypeSelect.value : 'clearance',
+                spectrum: this.readSpectrum(prefix)
+            };
+            const results = await this.runSolverJob('runSampleBatch', [samples, options], 'Batch analysis');
+            if (!results) return;
+
+            this.batchResults[prefix] = { samples, results, options };
+            document.getElementById(`${prefix}-batch-area`).innerHTML = this.renderBatchSummary(prefix);
+            const failed = results.filter(r => r.error).length;
+            if (failed > 0) this.showToast(`${failed} of ${results.length} samples failed`, 'warning');
+            else this.showToast(`Batch of ${results.length} samples complete`, 'success');
         } catch (e) {
             console.error(e);
-            this.showToast('Compliance Error', 'error');
+            this.showToast('Batch Error', 'error');
+        }
+    }
+
+    /**
+     * Summary grid of the tab's last batch; each row opens the sample's full results.
+     */
+    renderBatchSummary(prefix) {
+        const { results, options } = this.batchResults[prefix];
+        const compliant = results.filter(r => r.compliant).length;
+        const limitNote = options.type === 'waste'
+            ? `Sum index of the diluted waste (${options.limitType} limits).`
+            : `Sum index of the sample's own specific activity (Bq per g of sample, ${options.limitType} limits).`;
+        return `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin: 1rem 0 0.5rem 0;">
+                <h3 style="margin: 0; font-size: 1rem; color: var(--text-primary);">Batch: ${results.length} samples, ${compliant} compliant</h3>
+                <button class="btn-secondary btn-batch-export" data-prefix="${prefix}">Export CSV</button>
+            </div>
+            <p style="margin: 0 0 0.5rem 0; font-size: 0.8rem; color: var(--text-muted);">${limitNote} Click a sample for its full results.</p>
+            <table class="data-table" style="width: 100%;">
+                <thead><tr><th>Sample</th><th>Total Activity (Bq)</th><th>Dominant Nuclide</th><th>Sum Index</th><th>Compliant</th></tr></thead>
+                <tbody>
+                    ${results.map((r, i) => `
+                        <tr class="batch-row" data-prefix="${prefix}" data-index="${i}" style="cursor: pointer;">
+                            <td>${escapeHtml(r.name)}</td>
+                            ${r.error ? `<td colspan="4" style="color: #ff6b6b;">${escapeHtml(r.error)}</td>` : `
+                            <td style="font-family: var(--font-mono);">${r.totalActivity.toExponential(3)}</td>
+                            <td>${r.dominant || '—'}</td>
+                            <td style="font-family: var(--font-mono);">${r.sumIndex.toFixed(4)}</td>
+                            <td style="font-weight: bold; color: ${r.compliant ? 'var(--accent-green)' : 'var(--accent-red)'};">${r.compliant ? 'Yes' : 'No'}</td>`}
+                        </tr>`).join('')}
+                </tbody>
+            </table>`;
+    }
+
+    /**
+     * Full results of one batch sample in the tab's results area.
+     */
+    async showBatchSample(prefix, index) {
+        const batch = this.batchResults[prefix];
+        const r = batch && batch.results[index];
+        if (!r) return;
+        if (r.error) return this.showToast(`${r.name}: ${r.error}`, 'error');
+
+        document.querySelectorAll(`#${prefix}-batch-area .batch-row`).forEach((row, i) => {
+            row.style.background = i === index ? 'rgba(0,212,255,0.1)' : '';
+        });
+        const s = batch.samples[index];
+        const note = `
+            <p style="margin: 0 0 1rem 0; font-size: 0.85rem; color: var(--text-secondary);">
+                <b>${escapeHtml(r.name)}</b>: ${s.mass} g, ${s.flux.toExponential(2)} n/cm²·s, ${s.timeDays} d irradiation, ${s.coolDays} d cooling;
+                ${escapeHtml(Object.entries(s.impurities).map(([sym, ppm]) => `${sym} ${ppm} ppm`).join(' · '))}
+            </p>`;
+
+        if (prefix === 'waste') {
+            document.getElementById('waste-results-area').innerHTML = note + this.renderWasteCompliance(r.waste);
+            this.drawWasteCharts(r.waste);
+            return;
         }
+        const sources = Object.entries(s.impurities).flatMap(([sym, ppm]) => this.solver.elementSources(sym, s.mass * ppm * 1e-6));
+        await this.renderResults(r.rows, 'imp-results-area', {
+            sources,
+            irradiation: r.irradiation,
+            tIrrS: s.timeDays * SECONDS_PER_DAY,
+            tCoolS: s.coolDays * SECONDS_PER_DAY
+        });
+        document.getElementById('imp-results-area').insertAdjacentHTML('afterbegin', note);
     }
 
     // --- LIMIT CALCULATOR ---
@@ -1019,7 +3066,7 @@ class App {
         symStart.focus();
     }
 
-    handleLimitCalculation() {
+    async handleLimitCalculation() {
         if (!this.solver) return;
         const mass = parseFloat(document.getElementById('lim-mass').value) || 0;
         const wMass = parseFloat(document.getElementById('lim-wmass').value) || 0;
@@ -1044,14 +3091,33 @@ class App {
             wasteFractions[s] = w / 100.0; // Convert to decimal
         });
 
-        if (elements.length === 0) return this.showToast('Add target elements first', 'warning');
+        // Matrix compound: constituents enter with their mass fraction unless listed explicitly
+        let compound;
+        try {
+            compound = this.readCompound('lim');
+        } catch (e) {
+            return this.showToast(`Invalid compound: ${e.message}`, 'error');
+        }
+        if (compound) {
+            Object.entries(compound.fractions).forEach(([s, w]) => {
+                if (elements.includes(s)) return;
+                elements.push(s);
+                fractions[s] = w;
+            });
+        }
 
-        this.showToast(`Calculating Limits (${limitType})...`, 'info');
+        if (elements.length === 0) return this.showToast('Add target elements first', 'warning');
 
         try {
-            const results = this.solver.calculateMaxPPM(
-                elements, flux, tIrrS, tCoolS, wMass, mass, limitType, fractions, wasteFractions
-            );
+            this.applyEngine('lim-engine');
+            this.applyLibrary('lim-library');
+            const irradiation = this.buildIrradiation('lim', this.scheduleEditors.limit, flux, tIrrS, tCoolS);
+            const job = {
+                method: 'calculateMaxPPM',
+                args: [elements, irradiation, tIrrS, tCoolS, wMass, mass, limitType, fractions, wasteFractions]
+            };
+            const results = await this.runSolverJob(job.method, job.args, `Limit calculation (${limitType})`);
+            if (!results) return;
 
             if (!results || results.length === 0) return this.showToast('No active isotopes found', 'warning');
 
@@ -1096,6 +3162,25 @@ class App {
             });
 
             html += `</tbody></table></div>`;
+
+            if (compound) {
+                // Sum rule over the constituents: 1 / Σ (w_e / ElemMaxPPM_e)
+                const elemMax = new Map(results.map(r => [r.Element, r.ElemMaxPPM]));
+                const inverse = Object.entries(compound.fractions)
+                    .reduce((sum, [sym, w]) => sum + (elemMax.has(sym) ? w / elemMax.get(sym) : 0), 0);
+                const compoundMax = inverse > 0 ? (1 / inverse).toExponential(3) : 'Infinite';
+                html = this.renderCompositionNote(compound) + `
+                    <p style="margin: 0 0 1rem 0; font-size: 0.9rem; color: var(--accent-yellow); font-weight: bold;">
+                        Compound max ppm: ${compoundMax}
+                    </p>` + html;
+            }
+
+            const mcOptions = this.readUncertainty('lim');
+            const mc = mcOptions ? await this.runSolverJob('monteCarlo', ['maxPPM', mcOptions, job], 'Monte Carlo') : null;
+            if (mc) {
+                html += this.renderUncertaintyTable(mc, 'Element Max PPM Uncertainty', '(ppm)');
+            }
+
             document.getElementById('lim-results-area').innerHTML = html;
             this.showToast('Limits Calculated', 'success');
 
@@ -1105,7 +3190,58 @@ class App {
         }
     }
 
-    renderResults(results, targetId = 'results-area') {
+    /**
+     * Specific activity / carrier table shown below the activation results.
+     */
+    renderProductReport(report) {
+        if (report.products.length === 0) return '';
+        const burnUp = report.targets
+            .filter(t => t.InitialAtoms > 0)
+            .map(t => `${t.Isotope}: <b>${(t.BurnUp * 100).toPrecision(3)}%</b>`)
+            .join(' · ');
+
+        // Bq/g -> GBq/mg
+        const gbqPerMg = v => (v * 1e-12).toPrecision(4);
+
+        let html = `
+            <div class="card" style="padding: 1rem; margin-top: 1.5rem;">
+                <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Product Report (Specific Activity &amp; Carrier)</h3>
+                <p style="margin: 0 0 1rem 0; font-size: 0.85rem; color: var(--text-secondary);">Target burn-up: ${burnUp}</p>
+                <div style="overflow-x: auto;">
+                <table class="data-table" style="width:100%">
+                    <thead>
+                        <tr>
+                            <th>Product</th>
+                            <th>Activity (GBq)</th>
+                            <th title="All isotopes of the product's element left in the sample: unreacted target, stable carrier and product">Element Mass (mg)</th>
+                            <th>Specific Activity (GBq/mg)</th>
+                            <th title="λ·N_A / A for the pure nuclide">Carrier-Free SA (GBq/mg)</th>
+                            <th>SA / Carrier-Free</th>
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+        report.products.forEach(p => {
+            html += `
+                    <tr>
+                        <td>${p.Isotope}</td>
+                        <td style="font-family: var(--font-mono);">${(p.Activity / 1e9).toExponential(3)}</td>
+                        <td style="font-family: var(--font-mono);">${(p.ElementMassG * 1000).toExponential(3)}</td>
+                        <td style="font-family: var(--font-mono); color: var(--accent-green);">${gbqPerMg(p.SpecificActivity)}</td>
+                        <td style="font-family: var(--font-mono);">${gbqPerMg(p.CarrierFreeSA)}</td>
+                        <td style="font-family: var(--font-mono);">${(p.Ratio * 100).toPrecision(3)}%</td>
+                    </tr>`;
+        });
+
+        html += `</tbody></table></div></div>`;
+        return html;
+    }
+
+    /**
+     * @param {Object|null} inventory { sources, irradiation, tIrrS, tCoolS } of the scenario;
+     *        its product, decay heat, isomer and activity-vs-time reports run as one solver job
+     */
+    async renderResults(results, targetId = 'results-area', inventory = null) {
         const area = document.getElementById(targetId);
         if (!area) return;
 
@@ -1120,10 +3256,10 @@ class App {
         this.lastResults = { title: 'Activation_Analysis', results, summary: { TotalActivity: total.toExponential(2) + ' Bq', DominantIsotope: topIso ? topIso.Isotope : '-', PathwaysFound: results.length } };
 
         let html = `
+            <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 1.5rem; margin-bottom: 1.5rem;">
             <!-- Summary Card -->
             <div style="background: linear-gradient(135deg, rgba(0,212,255,0.1), rgba(0,255,150,0.05)); 
-                        padding: 1.5rem; border-radius: 12px; border: 1px solid var(--accent-cyan); 
-                        margin-bottom: 1.5rem;">
+                        padding: 1.5rem; border-radius: 12px; border: 1px solid var(--accent-cyan);">
                 <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
                     <span style="font-size: 0.9rem; font-weight: 600; color: var(--text-primary);">Analysis Results</span>
                     <button id="btn-export-pdf-${targetId}" class="btn-secondary" style="display: flex; align-items: center; gap: 6px; padding: 6px 12px; font-size: 0.85rem;">
@@ -1156,6 +3292,17 @@ class App {
                     </div>
                 </div>
             </div>
+            <!-- Dose Rate Card -->
+            <div id="${targetId}-dose-card" style="padding: 1.5rem; border-radius: 12px; border: 1px solid var(--accent-yellow);
+                        background: rgba(255,200,0,0.05);">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.75rem; gap: 0.5rem;">
+                    <span style="font-size: 0.9rem; font-weight: 600; color: var(--text-primary);" title="Unshielded point source, ICRP 74 conversion coefficients">Dose Rate H*(10)</span>
+                    <input type="text" id="${targetId}-dose-distances" value="0.3, 1, 2" class="input-field"
+                        title="Distances in metres, comma separated" style="width: 110px; padding: 4px 8px; font-size: 0.8rem;">
+                </div>
+                <div id="${targetId}-dose-body"></div>
+            </div>
+            </div>
             
             <!-- Results Grid -->
             <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 1.5rem;">
@@ -1198,31 +3345,132 @@ class App {
                     <div class="card" style="padding: 1rem; height: 220px;">
                         <canvas id="${pieChartId}"></canvas>
                     </div>
-                    <!-- Decay Chart -->
-                    <div class="card" style="padding: 1rem; height: 280px;">
-                        <canvas id="${targetId}-decay-chart"></canvas>
+                    <!-- Activity vs Time Chart -->
+                    <div class="card" style="padding: 1rem; height: 340px; display: flex; flex-direction: column;">
+                        <label class="schedule-toggle" style="align-self: flex-end;">
+                            <input type="checkbox" id="${targetId}-stacked"> Stacked
+                        </label>
+                        <div style="flex: 1; min-height: 0;">
+                            <canvas id="${targetId}-decay-chart"></canvas>
+                        </div>
                     </div>
                 </div>
             </div>
         `;
 
+        let reports = null;
+        if (inventory && this.solver) {
+            const points = this.coolingPoints(inventory.irradiation);
+            // Activity vs time of the whole inventory; without a cooling period, show ~5 half-lives
+            // of the dominant nuclide after EOB
+            let seriesOptions = null;
+            if (topIso) {
+                const hasCooling = Array.isArray(inventory.irradiation)
+                    ? inventory.irradiation.some((seg, i, all) => seg.flux === 0 && all.slice(0, i).some(p => p.flux > 0))
+                    : inventory.tCoolS > 0;
+                const lambda = this.solver.lambdaCache.get(topIso.Isotope) || 0;
+                seriesOptions = { extraCoolingS: 0 };
+                if (!hasCooling && lambda > 0) {
+                    seriesOptions.extraCoolingS = Math.min(Math.max(5 * Math.log(2) / lambda, 30 * SECONDS_PER_DAY), 3650 * SECONDS_PER_DAY);
+                }
+            }
+            reports = await this.runSolverJob('inventoryReports', [
+                inventory.sources, inventory.irradiation, inventory.tIrrS, inventory.tCoolS,
+                points.map(([t]) => t), seriesOptions
+            ], 'Inventory reports');
+
+            if (reports) {
+                html += this.renderProductReport(reports.products);
+                if (this.decayHeat) html += this.renderDecayHeat(results, inventory.irradiation, reports.cooling);
+                if (reports.isomers.length > 0) html += this.renderIsomericStates(reports.isomers, points, targetId);
+            }
+        }
+        const isomers = reports ? reports.isomers : [];
+
+        if (this.doseRate) {
+            html += `
+            <div class="card" style="padding: 1rem; margin-top: 1.5rem;">
+                <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Shielding Designer</h3>
+                <p style="margin: 0 0 1rem 0; font-size: 0.8rem; color: var(--text-muted);">
+                    Thickness that brings the dose rate at the given distance below the target, line by line with B(E, μx)·exp(−μx).
+                </p>
+                <div style="display: flex; gap: 0.75rem; align-items: flex-end; flex-wrap: wrap; margin-bottom: 1rem;">
+                    <div class="form-group" style="margin: 0;">
+                        <label>TARGET (µSv/h)</label>
+                        <input type="number" id="${targetId}-shield-target" value="10" class="input-field" style="width: 120px;">
+                    </div>
+                    <div class="form-group" style="margin: 0;">
+                        <label>DISTANCE (m)</label>
+                        <input type="number" id="${targetId}-shield-distance" value="1" step="0.1" class="input-field" style="width: 120px;">
+                    </div>
+                    <button id="${targetId}-shield-btn" class="btn-secondary">Design Shield</button>
+                </div>
+                <div id="${targetId}-shield-area"></div>
+            </div>`;
+        }
+
+        if (this.doseRate && this.solver) {
+            html += `
+            <div class="card" style="padding: 1rem; margin-top: 1.5rem;">
+                <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Predicted Gamma Spectrum (HPGe)</h3>
+                <p style="margin: 0 0 1rem 0; font-size: 0.8rem; color: var(--text-muted);">
+                    Count started at the end of the scenario. A peak is visible when its net counts exceed the Currie limit L<sub>D</sub> of the Compton continuum under it (no room background).
+                </p>
+                <div style="display: flex; gap: 0.75rem; align-items: flex-end; flex-wrap: wrap; margin-bottom: 1rem;">
+                    <div class="form-group" style="margin: 0;">
+                        <label>COUNT TIME (s)</label>
+                        <input type="number" id="${targetId}-spec-time" value="3600" class="input-field" style="width: 110px;">
+                    </div>
+                    ${this.renderDetectorFields(`${targetId}-spec`)}
+                    <button id="${targetId}-spec-btn" class="btn-secondary">Simulate Spectrum</button>
+                </div>
+                <div id="${targetId}-spec-area"></div>
+            </div>`;
+        }
+
         area.innerHTML = html;
 
         // Render charts and setup PDF export button
         setTimeout(() => {
             renderActivityPieChart(pieChartId, results);
 
-            // Render decay chart for top isotope
-            if (topIso && this.solver) {
-                const lambda = this.solver.lambdaCache.get(topIso.Isotope) || 0;
-                if (lambda > 0) {
-                    const halfLifeSeconds = Math.log(2) / lambda;
-                    // Determine appropriate time range based on half-life
-                    const maxDays = Math.min(Math.max(halfLifeSeconds / 86400 * 5, 30), 365 * 10);
-                    renderDecayChart(`${targetId}-decay-chart`, topIso.Isotope, topIso.Activity, halfLifeSeconds, maxDays);
-                }
+            // Activity vs time of the whole inventory
+            if (reports && reports.series) {
+                const draw = () => renderInventoryChart(`${targetId}-decay-chart`, reports.series, {
+                    stacked: document.getElementById(`${targetId}-stacked`)?.checked
+                });
+                draw();
+                document.getElementById(`${targetId}-stacked`)?.addEventListener('change', draw);
+            }
+
+            // Dose rate at the requested distances, recomputed when they change
+            if (this.doseRate) {
+                const distanceInput = document.getElementById(`${targetId}-dose-distances`);
+                const drawDose = () => {
+                    const distances = distanceInput.value.split(/[,;\s]+/).map(parseFloat).filter(d => d > 0);
+                    document.getElementById(`${targetId}-dose-body`).innerHTML =
+                        this.renderDoseRate(this.doseRate.compute(results, distances.length > 0 ? distances : [1]));
+                };
+                drawDose();
+                distanceInput?.addEventListener('change', drawDose);
             }
 
+            // Isomer-to-ground ratios checked against the purity limit as it is typed
+            const isoLimit = document.getElementById(`${targetId}-iso-limit`);
+            isoLimit?.addEventListener('input', () => {
+                const limitPct = parseFloat(isoLimit.value);
+                document.getElementById(`${targetId}-iso-area`).innerHTML = this.renderIsomerTables(
+                    isomers, this.coolingPoints(inventory.irradiation), limitPct > 0 ? limitPct : null
+                );
+            });
+
+            document.getElementById(`${targetId}-shield-btn`)?.addEventListener('click', () => {
+                this.handleShieldDesign(results, targetId);
+            });
+            document.getElementById(`${targetId}-spec-btn`)?.addEventListener('click', () => {
+                this.handleGammaSpectrum(results, targetId);
+            });
+
             // Setup PDF export button
             const pdfBtn = document.getElementById(`btn-export-pdf-${targetId}`);
             if (pdfBtn) {
@@ -1243,6 +3491,365 @@ class App {
         }, 50);
     }
 
+    handleShieldDesign(results, targetId) {
+        const targetSvH = parseFloat(document.getElementById(`${targetId}-shield-target`).value) * 1e-6;
+        const distanceM = parseFloat(document.getElementById(`${targetId}-shield-distance`).value);
+        if (!(targetSvH > 0) || !(distanceM > 0)) return this.showToast('Enter a positive target and distance', 'warning');
+
+        try {
+            const designs = new ShieldingDesigner(this.doseRate).designAll(results, targetSvH, distanceM);
+            let html = `
+                <table class="data-table" style="width: 100%;">
+                    <thead>
+                        <tr>
+                            <th>Material</th>
+                            <th>Thickness</th>
+                            <th>Unshielded</th>
+                            <th>Behind Shield</th>
+                            <th title="Largest contributions behind the shield">Dominant Lines</th>
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+            designs.forEach(d => {
+                const thickness = d.reachable
+                    ? (d.thicknessCm === 0 ? 'none needed' : `${d.thicknessCm.toFixed(2)} cm`)
+                    : `> ${SHIELD_MATERIALS[d.material].maxCm} cm`;
+                const lines = d.dominant
+                    .filter(l => l.rate > 0)
+                    .map(l => `${l.Isotope} ${(l.energyMeV * 1000).toFixed(0)} keV`)
+                    .join(', ');
+                html += `
+                        <tr>
+                            <td>${d.label}</td>
+                            <td style="font-family: var(--font-mono); font-weight: bold; color: ${d.reachable ? 'var(--accent-green)' : 'var(--accent-red)'};">${thickness}</td>
+                            <td style="font-family: var(--font-mono);">${this.formatDoseRate(d.unshielded)}</td>
+                            <td style="font-family: var(--font-mono);">${this.formatDoseRate(d.shielded)}</td>
+                            <td style="font-size: 0.85em; color: var(--text-muted);">${lines || '-'}</td>
+                        </tr>`;
+            });
+
+            html += `</tbody></table>`;
+            document.getElementById(`${targetId}-shield-area`).innerHTML = html;
+        } catch (e) {
+            console.error(e);
+            this.showToast('Shielding Error', 'error');
+        }
+    }
+
+    /**
+     * HPGe detector model inputs: efficiency curve, FWHM at 122 / 1332 keV, peak-to-total ratio.
+     */
+    renderDetectorFields(prefix) {
+        return `
+                    <div class="form-group" style="margin: 0; flex: 1; min-width: 260px;">
+                        <label title="Full-energy peak efficiency points keV:ε for the counting geometry, interpolated log-log">EFFICIENCY (keV:ε)</label>
+                        <input type="text" id="${prefix}-eff" value="${formatEfficiencyCurve(DEFAULT_DETECTOR.efficiency)}" class="input-field">
+                    </div>
+                    <div class="form-group" style="margin: 0;">
+                        <label>FWHM @122 (keV)</label>
+                        <input type="number" id="${prefix}-fwhm122" value="${DEFAULT_DETECTOR.fwhm122}" step="0.1" class="input-field" style="width: 100px;">
+                    </div>
+                    <div class="form-group" style="margin: 0;">
+                        <label>FWHM @1332 (keV)</label>
+                        <input type="number" id="${prefix}-fwhm1332" value="${DEFAULT_DETECTOR.fwhm1332}" step="0.1" class="input-field" style="width: 100px;">
+                    </div>
+                    <div class="form-group" style="margin: 0;">
+                        <label title="Peak-to-total ratio at 1332 keV">P/T @1332</label>
+                        <input type="number" id="${prefix}-pt" value="${DEFAULT_DETECTOR.peakToTotal}" step="0.01" class="input-field" style="width: 90px;">
+                    </div>`;
+    }
+
+    /**
+     * Detector model from renderDetectorFields() inputs. Throws on invalid values.
+     */
+    readDetector(prefix) {
+        return new HPGeDetector(this.readDetectorConfig(prefix));
+    }
+
+    /**
+     * Detector fields as a plain HPGeDetector config, e.g. for a solver job.
+     */
+    readDetectorConfig(prefix) {
+        const value = suffix => document.getElementById(`${prefix}-${suffix}`).value;
+        return {
+            efficiency: parseEfficiencyCurve(value('eff')),
+            fwhm122: parseFloat(value('fwhm122')),
+            fwhm1332: parseFloat(value('fwhm1332')),
+            peakToTotal: parseFloat(value('pt'))
+        };
+    }
+
+    handleGammaSpectrum(results, targetId) {
+        const value = suffix => document.getElementById(`${targetId}-spec-${suffix}`).value;
+        const countS = parseFloat(value('time'));
+        if (!(countS > 0)) return this.showToast('Enter a positive count time', 'warning');
+
+        let detector;
+        try {
+            detector = this.readDetector(`${targetId}-spec`);
+        } catch (e) {
+            return this.showToast(`Invalid detector: ${e.message}`, 'error');
+        }
+
+        try {
+            const spectrum = new GammaSpectrumSimulator(this.doseRate, this.solver.lambdaCache)
+                .simulate(results, detector, countS);
+            const area = document.getElementById(`${targetId}-spec-area`);
+            if (spectrum.peaks.length === 0) {
+                area.innerHTML = '<p style="margin: 0; color: var(--text-muted);">No gamma lines in the inventory.</p>';
+                return;
+            }
+
+            const visible = spectrum.peaks.filter(p => p.Visible).length;
+            let html = `
+                <div style="height: 320px; margin-bottom: 1rem;"><canvas id="${targetId}-spec-chart"></canvas></div>
+                <p style="margin: 0 0 0.5rem 0; font-size: 0.85rem; color: var(--text-secondary);">
+                    ${visible} of ${spectrum.peaks.length} lines above L<sub>D</sub>
+                </p>
+                <div style="overflow-x: auto;">
+                <table class="data-table" style="width: 100%;">
+                    <thead>
+                        <tr>
+                            <th>Nuclide</th>
+                            <th>Energy (keV)</th>
+                            <th>Yield</th>
+                            <th>Efficiency</th>
+                            <th>FWHM (keV)</th>
+                            <th>Net Counts</th>
+                            <th title="Continuum and neighbouring peaks within ±1.25 FWHM">Background</th>
+                            <th title="Currie detection limit 2.71 + 4.65·√B">L<sub>D</sub></th>
+                            <th>Visible</th>
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+            spectrum.peaks.slice(0, 30).forEach(p => {
+                html += `
+                        <tr>
+                            <td>${p.Isotope}</td>
+                            <td style="font-family: var(--font-mono);">${p.Energy.toFixed(1)}</td>
+                            <td style="font-family: var(--font-mono);">${(p.Yield * 100).toPrecision(3)}%</td>
+                            <td style="font-family: var(--font-mono);">${p.Efficiency.toExponential(2)}</td>
+                            <td style="font-family: var(--font-mono);">${p.FWHM.toFixed(2)}</td>
+                            <td style="font-family: var(--font-mono); font-weight: bold;">${p.Counts.toExponential(3)}</td>
+                            <td style="font-family: var(--font-mono);">${p.Background.toExponential(2)}</td>
+                            <td style="font-family: var(--font-mono);">${p.LD.toExponential(2)}</td>
+                            <td style="font-weight: bold; color: ${p.Visible ? 'var(--accent-green)' : 'var(--accent-red)'};">${p.Visible ? 'yes' : 'no'}</td>
+                        </tr>`;
+            });
+
+            html += `</tbody></table></div>`;
+            area.innerHTML = html;
+            renderGammaSpectrumChart(`${targetId}-spec-chart`, spectrum);
+        } catch (e) {
+            console.error(e);
+            this.showToast('Spectrum Error', 'error');
+        }
+    }
+
+    formatPower(watts) {
+        if (!(watts > 0)) return '0 W';
+        if (watts >= 1e3) return `${(watts / 1e3).toPrecision(3)} kW`;
+        if (watts >= 1) return `${watts.toPrecision(3)} W`;
+        if (watts >= 1e-3) return `${(watts * 1e3).toPrecision(3)} mW`;
+        if (watts >= 1e-6) return `${(watts * 1e6).toPrecision(3)} µW`;
+        return `${(watts * 1e9).toPrecision(3)} nW`;
+    }
+
+    /**
+     * Cooling times [s, label] shown for a scenario: EOB, the scenario's own cooling time
+     * and a fixed set from 1 h to 1 y.
+     */
+    coolingPoints(irradiation) {
+        const tCoolS = scheduleDuration(irradiation) - endOfBombardment(irradiation);
+        const steps = [
+            [3600, '1 h'], [SECONDS_PER_DAY, '1 d'], [7 * SECONDS_PER_DAY, '7 d'],
+            [30 * SECONDS_PER_DAY, '30 d'], [90 * SECONDS_PER_DAY, '90 d'], [365.25 * SECONDS_PER_DAY, '1 y']
+        ].filter(([t]) => Math.abs(t - tCoolS) > 0.01 * t);
+        const coolingLabel = `${(tCoolS / SECONDS_PER_DAY).toPrecision(3)} d (scenario)`;
+        return [[0, 'EOB'], ...(tCoolS > 0 ? [[tCoolS, coolingLabel]] : []), ...steps]
+            .sort((a, b) => a[0] - b[0]);
+    }
+
+    /**
+     * Decay heat card: per-nuclide heat at EOB and after the scenario's cooling time,
+     * and the total over a fixed set of cooling times.
+     * @param {Array} results Inventory at the end of the schedule (solver rows)
+     * @param {Array} irradiation Normalized schedule of the scenario
+     * @param {Array<Array>} cooling { Isotope, Activity } rows at each of coolingPoints(irradiation),
+     *        from NuclearSolver.coolingActivities; the scenario's own point uses results
+     */
+    renderDecayHeat(results, irradiation, cooling, maxNuclides = 8) {
+        const tCoolS = scheduleDuration(irradiation) - endOfBombardment(irradiation);
+        const points = this.coolingPoints(irradiation);
+        const rowsAt = new Map(points.map(([t], i) => [t, t > 0 && t === tCoolS ? results : cooling[i]]));
+        const atEob = this.decayHeat.fromResults(rowsAt.get(0));
+        const atCooling = tCoolS > 0 ? this.decayHeat.fromResults(results) : atEob;
+        if (!(atEob.total > 0) && !(atCooling.total > 0)) return '';
+
+        const curve = this.decayHeat.overCooling(t => rowsAt.get(t), points.map(([t]) => t));
+
+        const afterCooling = new Map(atCooling.nuclides.map(n => [n.Isotope, n.Total]));
+        const shown = new Set([...atEob.nuclides, ...atCooling.nuclides]
+            .filter(n => n.Share >= 1e-4)
+            .sort((a, b) => b.Total - a.Total)
+            .map(n => n.Isotope));
+        const eobByIso = new Map(atEob.nuclides.map(n => [n.Isotope, n]));
+        const missing = atEob.missing.slice(0, 6);
+
+        let html = `
+            <div class="card" style="padding: 1rem; margin-top: 1.5rem;">
+                <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Decay Heat</h3>
+                <p style="margin: 0 0 1rem 0; font-size: 0.85rem; color: var(--text-secondary);">
+                    EOB: <b>${this.formatPower(atEob.total)}</b> (β ${this.formatPower(atEob.beta)}, γ ${this.formatPower(atEob.gamma)})
+                    ${tCoolS > 0 ? ` · after cooling: <b>${this.formatPower(atCooling.total)}</b>` : ''}
+                </p>
+                <div style="display: grid; grid-template-columns: 3fr 2fr; gap: 1.5rem;">
+                <div style="overflow-x: auto;">
+                <table class="data-table" style="width:100%">
+                    <thead>
+                        <tr>
+                            <th>Nuclide</th>
+                            <th title="Mean electron energy per decay, neutrinos excluded">β at EOB</th>
+                            <th>γ at EOB</th>
+                            <th>Total at EOB</th>
+                            ${tCoolS > 0 ? '<th>After Cooling</th>' : ''}
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+        Array.from(shown).slice(0, maxNuclides).forEach(iso => {
+            const n = eobByIso.get(iso) || { Beta: 0, Gamma: 0, Total: 0 };
+            html += `
+                    <tr>
+                        <td>${iso}</td>
+                        <td style="font-family: var(--font-mono);">${this.formatPower(n.Beta)}</td>
+                        <td style="font-family: var(--font-mono);">${this.formatPower(n.Gamma)}</td>
+                        <td style="font-family: var(--font-mono); color: var(--accent-green);">${this.formatPower(n.Total)}</td>
+                        ${tCoolS > 0 ? `<td style="font-family: var(--font-mono);">${this.formatPower(afterCooling.get(iso) || 0)}</td>` : ''}
+                    </tr>`;
+        });
+
+        html += `</tbody></table></div>
+                <div style="overflow-x: auto;">
+                <table class="data-table" style="width:100%">
+                    <thead><tr><th>Cooling</th><th>Decay Heat</th><th>γ Share</th></tr></thead>
+                    <tbody>
+                        ${curve.map((c, i) => `
+                        <tr>
+                            <td>${points[i][1]}</td>
+                            <td style="font-family: var(--font-mono);">${this.formatPower(c.total)}</td>
+                            <td style="font-family: var(--font-mono);">${c.total > 0 ? ((c.gamma / c.total) * 100).toFixed(1) + '%' : '-'}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+                </div>
+                </div>
+                ${missing.length > 0 ? `<p style="margin: 0.75rem 0 0 0; font-size: 0.75rem; color: var(--text-muted);">No decay energy data (not counted): ${missing.join(', ')}</p>` : ''}
+            </div>`;
+        return html;
+    }
+
+    /**
+     * Isomeric states card: metastable and ground-state activities of each isomer pair and
+     * their ratio over cooling, checked against an optional purity limit (e.g. Lu-177m/Lu-177).
+     */
+    renderIsomericStates(pairs, points, targetId) {
+        return `
+            <div class="card" style="padding: 1rem; margin-top: 1.5rem;">
+                <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">Isomeric States</h3>
+                <p style="margin: 0 0 1rem 0; font-size: 0.8rem; color: var(--text-muted);">
+                    Activities of metastable and ground states with IT ingrowth. IR: isomeric ratio σ<sub>m</sub>/σ<sub>γ</sub> of the capture; IT: share of isomer decays feeding the ground state.
+                </p>
+                <div class="form-group" style="margin: 0 0 1rem 0;">
+                    <label>PURITY LIMIT A(m)/A(g) (%)</label>
+                    <input type="number" id="${targetId}-iso-limit" placeholder="none" min="0" step="any" class="input-field" style="width: 120px;">
+                </div>
+                <div id="${targetId}-iso-area">${this.renderIsomerTables(pairs, points, null)}</div>
+            </div>`;
+    }
+
+    /**
+     * One table per isomer pair; ratios above limitPct are flagged.
+     */
+    renderIsomerTables(pairs, points, limitPct, maxPairs = 4) {
+        const ratioCell = ratio => {
+            if (ratio === null) return '<td style="font-family: var(--font-mono);">-</td>';
+            const pct = ratio * 100;
+            const color = limitPct === null ? 'var(--text-primary)' : pct > limitPct ? 'var(--accent-red)' : 'var(--accent-green)';
+            return `<td style="font-family: var(--font-mono); color: ${color};">${pct < 0.01 || pct >= 1e4 ? pct.toExponential(2) : pct.toPrecision(3)}%</td>`;
+        };
+
+        return `
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 1.5rem;">
+                ${pairs.slice(0, maxPairs).map(p => `
+                <div style="overflow-x: auto;">
+                    <p style="margin: 0 0 0.5rem 0; font-size: 0.85rem; color: var(--text-secondary);">
+                        <b>${p.Isomer} / ${p.Ground}</b>
+                        · IT ${(p.ITBranch * 100).toPrecision(3)}%
+                        ${p.IsomericRatio !== null ? ` · IR ${(p.IsomericRatio * 100).toPrecision(3)}%` : ''}
+                    </p>
+                    <table class="data-table" style="width: 100%;">
+                        <thead><tr><th>Cooling</th><th>${p.Isomer} (Bq)</th><th>${p.Ground} (Bq)</th><th>Ratio</th></tr></thead>
+                        <tbody>
+                            ${p.points.map((pt, i) => `
+                            <tr>
+                                <td>${points[i][1]}</td>
+                                <td style="font-family: var(--font-mono);">${pt.Isomer.toExponential(3)}</td>
+                                <td style="font-family: var(--font-mono);">${pt.Ground.toExponential(3)}</td>
+                                ${ratioCell(pt.Ratio)}
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>`).join('')}
+            </div>
+            ${pairs.length > maxPairs ? `<p style="margin: 0.75rem 0 0 0; font-size: 0.75rem; color: var(--text-muted);">Not shown: ${pairs.slice(maxPairs).map(p => p.Isomer).join(', ')}</p>` : ''}`;
+    }
+
+    /**
+     * Dose rate formatted in the most readable unit.
+     */
+    formatDoseRate(svPerHour) {
+        if (svPerHour >= 1) return `${svPerHour.toPrecision(3)} Sv/h`;
+        if (svPerHour >= 1e-3) return `${(svPerHour * 1e3).toPrecision(3)} mSv/h`;
+        if (svPerHour >= 1e-6) return `${(svPerHour * 1e6).toPrecision(3)} µSv/h`;
+        return `${(svPerHour * 1e9).toPrecision(3)} nSv/h`;
+    }
+
+    /**
+     * Body of the dose rate card: total per distance and the main contributors.
+     */
+    renderDoseRate(dose, maxNuclides = 5) {
+        let html = `
+                <table class="data-table" style="width: 100%; font-size: 0.85em;">
+                    <thead>
+                        <tr>
+                            <th>Nuclide</th>
+                            ${dose.distances.map(d => `<th>${d} m</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr style="font-weight: bold; color: var(--accent-yellow);">
+                            <td>Total</td>
+                            ${dose.total.map(v => `<td style="font-family: var(--font-mono);">${this.formatDoseRate(v)}</td>`).join('')}
+                        </tr>`;
+
+        dose.nuclides.filter(n => n.Share >= 1e-4).slice(0, maxNuclides).forEach(n => {
+            html += `
+                        <tr>
+                            <td title="${(n.RateConstant * 1e15).toPrecision(3)} µSv·m²/(h·GBq)">${n.Isotope} <span style="color: var(--text-muted);">(${(n.Share * 100).toFixed(1)}%)</span></td>
+                            ${n.DoseRates.map(v => `<td style="font-family: var(--font-mono);">${this.formatDoseRate(v)}</td>`).join('')}
+                        </tr>`;
+        });
+
+        html += `</tbody></table>`;
+        if (dose.missing.length > 0) {
+            html += `<p style="margin: 0.5rem 0 0 0; font-size: 0.75rem; color: var(--text-muted);">No gamma data: ${dose.missing.slice(0, 6).join(', ')}${dose.missing.length > 6 ? ', …' : ''}</p>`;
+        }
+        return html;
+    }
+
     extractIsotopesFromData(xsData) {
         if (!xsData) return [];
 
@@ -1269,6 +3876,41 @@ class App {
         return Array.from(unique.values());
     }
 
+    /**
+     * Run a solver job (see SolverJobs.js) off the page behind the progress overlay.
+     * @param {string} title Shown on the overlay, e.g. 'Impurity analysis'
+     * @returns {Promise} Job result, or null when another job is running or the user cancelled
+     */
+    async runSolverJob(method, args, title) {
+        if (this.solverClient.busy) {
+            this.showToast('Another calculation is still running', 'warning');
+            return null;
+        }
+        this.showProgress(title);
+        try {
+            return await this.solverClient.run(method, args, (done, total, label) => this.showProgress(title, done, total, label));
+        } catch (e) {
+            if (!(e instanceof SolverCancelled)) throw e;
+            this.showToast(`${title} cancelled`, 'warning');
+            return null;
+        } finally {
+            document.getElementById('loading-overlay')?.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Show the loading overlay; done/total/label come from the solver's progress events.
+     */
+    showProgress(title, done = 0, total = 0, label = '') {
+        const overlay = document.getElementById('loading-overlay');
+        if (!overlay) return;
+        overlay.querySelector('.loading-text').textContent = total > 0
+            ? `${title}: ${label} (${Math.min(done + 1, total)} of ${total})`
+            : `${title}...`;
+        overlay.querySelector('.loading-progress-bar').style.width = `${total > 0 ? (100 * done) / total : 0}%`;
+        overlay.classList.remove('hidden');
+    }
+
     showToast(msg, type = 'info') {
         const container = document.getElementById('toast-container');
         if (!container) return;
@@ -0,0 +1,159 @@
+/**
+ * ScheduleEditor.js
+ * UI Component for multi-segment irradiation schedules (cycles, shutdowns, varying flux).
+ * When enabled it replaces the single irradiation/cooling time fields of a calculator tab.
+ */
+
+import { SECONDS_PER_DAY } from '../utils/Constants.js';
+
+export class ScheduleEditor {
+    /**
+     * @param {string} containerId ID of the element the editor renders into
+     * @param {Object} options Configuration options
+     * @param {Function} options.defaults Returns { flux, irrDays, coolDays } used to seed a new schedule
+     */
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) return;
+
+        this.prefix = containerId;
+        this.options = options;
+        this.segments = [];
+
+        this.render();
+    }
+
+    render() {
+        this.container.classList.add('schedule-editor');
+        this.container.innerHTML = `
+            <label class="schedule-toggle">
+                <input type="checkbox" id="${this.prefix}-toggle">
+                Multi-segment schedule <span style="color: var(--text-muted);">(replaces irradiation/cooling times)</span>
+            </label>
+            <div class="schedule-body hidden">
+                <table class="data-table schedule-table" style="width:100%">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Label</th>
+                            <th>Duration (days)</th>
+                            <th>Flux (n/cm² · s)</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+                <div style="display: flex; gap: 0.5rem; margin-top: 0.5rem;">
+                    <button type="button" class="btn-secondary btn-add-segment" data-kind="irradiation">+ Irradiation</button>
+                    <button type="button" class="btn-secondary btn-add-segment" data-kind="decay">+ Shutdown / Decay</button>
+                    <span class="schedule-total" style="margin-left: auto; align-self: center; color: var(--text-muted); font-size: 0.85rem;"></span>
+                </div>
+            </div>
+        `;
+
+        this.toggle = this.container.querySelector(`#${this.prefix}-toggle`);
+        this.body = this.container.querySelector('.schedule-body');
+        this.tbody = this.container.querySelector('tbody');
+
+        this.toggle.addEventListener('change', () => {
+            if (this.toggle.checked && this.segments.length === 0) this.seedFromDefaults();
+            this.body.classList.toggle('hidden', !this.toggle.checked);
+            this.renderRows();
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const addBtn = e.target.closest('.btn-add-segment');
+            if (addBtn) {
+                const last = this.segments.filter(s => parseFloat(s.flux) > 0).pop();
+                const flux = addBtn.dataset.kind === 'decay' ? '0' : (last ? last.flux : this.getDefaults().flux);
+                const label = addBtn.dataset.kind === 'decay' ? 'Shutdown' : `Cycle ${this.segments.filter(s => parseFloat(s.flux) > 0).length + 1}`;
+                this.segments.push({ label, days: addBtn.dataset.kind === 'decay' ? '7' : '14', flux });
+                this.renderRows();
+            }
+
+            const removeBtn = e.target.closest('.btn-remove-segment');
+            if (removeBtn) {
+                this.segments.splice(parseInt(removeBtn.dataset.index, 10), 1);
+                this.renderRows();
+            }
+        });
+
+        this.tbody.addEventListener('input', (e) => {
+            const row = e.target.closest('tr');
+            if (!row || !e.target.dataset.field) return;
+            this.segments[parseInt(row.dataset.index, 10)][e.target.dataset.field] = e.target.value;
+            this.updateTotal();
+        });
+    }
+
+    getDefaults() {
+        const d = this.options.defaults ? this.options.defaults() : {};
+        return {
+            flux: d.flux || '2.2e14',
+            irrDays: d.irrDays || '14',
+            coolDays: d.coolDays || '0'
+        };
+    }
+
+    seedFromDefaults() {
+        const d = this.getDefaults();
+        this.segments = [{ label: 'Cycle 1', days: d.irrDays, flux: d.flux }];
+        if (parseFloat(d.coolDays) > 0) this.segments.push({ label: 'Cooling', days: d.coolDays, flux: '0' });
+    }
+
+    renderRows() {
+        this.tbody.innerHTML = this.segments.map((seg, i) => `
+            <tr data-index="${i}">
+                <td>${i + 1}</td>
+                <td><input type="text" class="input-field" data-field="label"></td>
+                <td><input type="number" class="input-field" data-field="days" step="0.1" min="0"></td>
+                <td><input type="text" class="input-field" data-field="flux"></td>
+                <td><button type="button" class="btn-remove-segment" data-index="${i}" style="background:none; border:none; color: #ff6b6b; cursor: pointer;">&times;</button></td>
+            </tr>
+        `).join('');
+        // Values are user text (labels may hold quotes), so they are set as properties, not markup
+        this.tbody.querySelectorAll('tr').forEach((row, i) => {
+            row.querySelectorAll('input[data-field]').forEach(input => {
+                input.value = this.segments[i][input.dataset.field] ?? '';
+            });
+        });
+        this.updateTotal();
+    }
+
+    updateTotal() {
+        const total = this.segments.reduce((sum, s) => sum + (parseFloat(s.days) || 0), 0);
+        const irr = this.segments.filter(s => parseFloat(s.flux) > 0).reduce((sum, s) => sum + (parseFloat(s.days) || 0), 0);
+        const el = this.container.querySelector('.schedule-total');
+        if (el) el.textContent = `Total ${total.toFixed(1)} d (in flux ${irr.toFixed(1)} d)`;
+    }
+
+    isEnabled() {
+        return !!(this.toggle && this.toggle.checked);
+    }
+
+    /**
+     * Solver-ready schedule, or null when the editor is switched off.
+     * @returns {Array<{duration: number, flux: number, label: string}>|null}
+     */
+    getSchedule() {
+        if (!this.isEnabled()) return null;
+        return this.segments.map(seg => ({
+            label: seg.label,
+            duration: (parseFloat(seg.days) || 0) * SECONDS_PER_DAY,
+            flux: parseFloat(seg.flux) || 0
+        }));
+    }
+
+    // --- PRESETS HELPERS ---
+    getData() {
+        return { enabled: this.isEnabled(), segments: this.segments.map(s => ({ ...s })) };
+    }
+
+    setData(data) {
+        if (!data || !this.toggle) return;
+        this.segments = Array.isArray(data.segments) ? data.segments.map(s => ({ ...s })) : [];
+        this.toggle.checked = !!data.enabled;
+        this.body.classList.toggle('hidden', !this.toggle.checked);
+        this.renderRows();
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * Batch.js
+ * Sample spreadsheets for the impurity and waste tabs: one row per sample, one column per
+ * element (ppm of the sample mass) and optional Sample, Mass (g), Flux (n/cm²·s),
+ * Time (days), Cool (days) and Waste (g) columns. Missing values fall back to the tab's form.
+ * Each sample is solved on its own and reduced to total activity, dominant nuclide and
+ * sum index. Pure math, no DOM access.
+ */
+
+import { SECONDS_PER_DAY } from '../utils/Constants.js';
+import { PERIODIC_TABLE } from '../utils/PeriodicTable.js';
+import { normalizeSchedule } from './Schedule.js';
+import { quoteCSV } from '../utils/Parser.js';
+
+/**
+ * Accepted header names per sample field, compared in lower case without a "(unit)" suffix.
+ */
+export const BATCH_COLUMNS = {
+    name: ['sample', 'name', 'id', 'sample id', 'sample name', 'label'],
+    mass: ['mass', 'sample mass'],
+    flux: ['flux'],
+    timeDays: ['time', 'irradiation', 'irradiation time'],
+    coolDays: ['cool', 'cooling', 'cooling time'],
+    wasteMass: ['waste', 'waste mass', 'total waste']
+};
+
+const SYMBOLS = new Map(PERIODIC_TABLE.map(e => [e.symbol.toLowerCase(), e.symbol]));
+
+const headerKey = h => h.replace(/\(.*?\)|\[.*?\]/g, '').trim().toLowerCase();
+
+/**
+ * Read the rows of a sample CSV (as returned by DataLoader.parseCSV).
+ * @param {Array<Object>} rows Header → cell text
+ * @param {{mass: number, flux: number, timeDays: number, coolDays: number, wasteMass: number,
+ *          matrix: Object}} defaults Form values; matrix { element: ppm } is added to every sample
+ * @returns {{samples: Array<Object>, elements: Array<string>, ignored: Array<string>}}
+ *          Samples as { name, impurities { element: ppm }, mass, flux, timeDays, coolDays, wasteMass };
+ *          ignored lists the headers that are neither a field nor an element
+ */
+export function parseSampleSheet(rows, defaults = {}) {
+    if (!rows || rows.length === 0) throw new Error('The sample sheet has no data rows');
+    const fields = {};
+    const elements = {};
+    const ignored = [];
+    Object.keys(rows[0]).forEach(header => {
+        const key = headerKey(header);
+        const field = Object.keys(BATCH_COLUMNS).find(f => BATCH_COLUMNS[f].includes(key));
+        if (field && !fields[field]) fields[field] = header;
+        else if (SYMBOLS.has(key) && !Object.values(elements).includes(SYMBOLS.get(key))) elements[header] = SYMBOLS.get(key);
+        else if (header) ignored.push(header);
+    });
+    if (Object.keys(elements).length === 0) {
+        throw new Error('No element columns found (headers such as "Co" or "Eu (ppm)")');
+    }
+
+    const samples = rows.map((row, i) => {
+        const label = `Row ${i + 2}`;
+        const number = (field, fallback) => {
+            const text = fields[field] ? (row[fields[field]] || '').trim() : '';
+            if (text === '') return fallback;
+            const v = Number(text);
+            if (!Number.isFinite(v)) throw new Error(`${label}: ${fields[field]} "${text}" is not a number`);
+            return v;
+        };
+        const impurities = { ...(defaults.matrix || {}) };
+        Object.entries(elements).forEach(([header, sym]) => {
+            const text = (row[header] || '').trim();
+            if (text === '') return;
+            const ppm = Number(text);
+            if (!(ppm >= 0)) throw new Error(`${label}: ${header} "${text}" must be a ppm value ≥ 0`);
+            if (ppm > 0) impurities[sym] = (impurities[sym] || 0) + ppm;
+        });
+        const sample = {
+            name: (fields.name && row[fields.name]) || `Sample ${i + 1}`,
+            impurities,
+            mass: number('mass', defaults.mass),
+            flux: number('flux', defaults.flux),
+            timeDays: number('timeDays', defaults.timeDays),
+            coolDays: number('coolDays', defaults.coolDays),
+            wasteMass: number('wasteMass', defaults.wasteMass)
+        };
+        if (!(sample.mass > 0)) throw new Error(`${label}: mass must be positive`);
+        if (!(sample.flux > 0)) throw new Error(`${label}: flux must be positive`);
+        if (!(sample.timeDays > 0)) throw new Error(`${label}: irradiation time must be positive`);
+        if (!(sample.coolDays >= 0)) throw new Error(`${label}: cooling time cannot be negative`);
+        return sample;
+    });
+    return { samples, elements: Object.values(elements), ignored };
+}
+
+/**
+ * Solve every sample.
+ * impurity: solveElement per element; the sum index compares the sample's own specific
+ *           activity (Bq per g of sample) with the limits of limitType.
+ * waste:    calculateWasteCompliance with the sample's waste mass.
+ * A sample that fails keeps its error message and does not stop the batch.
+ * @param {NuclearSolver} solver
+ * @param {Array<Object>} samples From parseSampleSheet
+ * @param {{type: 'impurity'|'waste', limitType: string, spectrum: Object}} options
+ * @param {Function} onProgress (done, total, sample name)
+ * @returns {Array<{name: string, totalActivity: number, dominant: string|null, sumIndex: number|null,
+ *          compliant: boolean|null, irradiation: Array, rows: Array, waste: Object|null, error: string|null}>}
+ *          rows are merged solveElement rows (impurity) or the waste result rows; waste is the
+ *          full calculateWasteCompliance result
+ */
+export function runSampleBatch(solver, samples, options, onProgress = null) {
+    const limitType = options.limitType || 'clearance';
+    return samples.map((s, i) => {
+        if (onProgress) onProgress(i, samples.length, s.name);
+        const tIrrS = s.timeDays * SECONDS_PER_DAY;
+        const tCoolS = s.coolDays * SECONDS_PER_DAY;
+        const irradiation = normalizeSchedule(s.flux, tIrrS, tCoolS, options.spectrum || {});
+        const result = {
+            name: s.name, totalActivity: 0, dominant: null, sumIndex: null, compliant: null,
+            irradiation, rows: [], waste: null, error: null
+        };
+        try {
+            const activity = new Map();
+            if (options.type === 'waste') {
+                result.waste = solver.calculateWasteCompliance(
+                    s.impurities, null, s.mass, irradiation, tIrrS, tCoolS, s.wasteMass, limitType
+                );
+                result.rows = result.waste.results;
+                result.waste.summary.totalActivity.forEach((a, iso) => activity.set(iso, a));
+                result.sumIndex = result.waste.summary.sumIndex;
+            } else {
+                const merged = new Map();
+                Object.entries(s.impurities).forEach(([sym, ppm]) => {
+                    solver.solveElement(sym, s.mass * ppm * 1e-6, irradiation, tIrrS, tCoolS).forEach(r => {
+                        if (!merged.has(r.Isotope)) merged.set(r.Isotope, { ...r, Activity: 0, Atoms: 0 });
+                        const ex = merged.get(r.Isotope);
+                        ex.Activity += r.Activity;
+                        ex.Atoms += r.Atoms;
+                    });
+                });
+                result.rows = Array.from(merged.values()).sort((a, b) => b.Activity - a.Activity);
+                result.rows.forEach(r => activity.set(r.Isotope, r.Activity));
+                result.sumIndex = 0;
+                activity.forEach((a, iso) => {
+                    const limit = solver.getLimit(iso, limitType);
+                    if (limit > 0 && limit < 1e90) result.sumIndex += a / s.mass / limit;
+                });
+            }
+            activity.forEach((a, iso) => {
+                if (!(a > 0)) return;
+                result.totalActivity += a;
+                if (!result.dominant || a > activity.get(result.dominant)) result.dominant = iso;
+            });
+            result.compliant = result.sumIndex <= 1.0;
+        } catch (e) {
+            result.error = e.message;
+        }
+        return result;
+    });
+}
+
+/**
+ * Summary grid as CSV text, one line per sample.
+ */
+export function batchSummaryToCSV(results) {
+    const lines = ['Sample,TotalActivity_Bq,DominantNuclide,SumIndex,Compliant,Error'];
+    results.forEach(r => {
+        lines.push([
+            quoteCSV(r.name),
+            r.error ? '' : r.totalActivity.toExponential(4),
+            r.dominant || '',
+            r.error || r.sumIndex === null ? '' : r.sumIndex.toExponential(4),
+            r.error ? '' : (r.compliant ? 'yes' : 'no'),
+            quoteCSV(r.error)
+        ].join(','));
+    });
+    return lines.join('\n');
+}
@@ -0,0 +1,94 @@
+/**
+ * DecayHeat.js
+ * Decay heat of a solved inventory: P = Σ A·(Ē_β + Ē_γ), with the mean beta and gamma
+ * energies per decay from Decay_Energies.csv. Neutrinos carry their share of the beta
+ * energy away, so only the mean electron energy counts; all deposited energy is assumed
+ * to stay in the capsule (conservative for thermal analysis).
+ * Pure math, no DOM access.
+ */
+
+import { parseIsotopeClean, getUniqueId } from '../utils/Parser.js';
+
+const KEV_TO_J = 1.602176634e-16;
+
+export class DecayHeat {
+    /**
+     * @param {Array<Object>} rows Rows of Decay_Energies.csv (Isotope, Mean_Beta_keV, Mean_Gamma_keV, Source)
+     */
+    constructor(rows) {
+        this.energies = new Map(); // nuclide key -> { beta, gamma } [keV per decay]
+
+        (rows || []).forEach(row => {
+            const p = parseIsotopeClean((row.Isotope || '').toString());
+            if (!p.symbol) return;
+            const beta = parseFloat(row.Mean_Beta_keV);
+            const gamma = parseFloat(row.Mean_Gamma_keV);
+            this.energies.set(getUniqueId(p.symbol, p.massNumber, p.metastable), {
+                beta: isNaN(beta) ? 0 : beta,
+                gamma: isNaN(gamma) ? 0 : gamma
+            });
+        });
+    }
+
+    hasData(isotope) {
+        return this.energies.has(isotope);
+    }
+
+    /**
+     * Decay heat of an inventory.
+     * @param {Array<{Isotope: string, Activity: number}>} results Solver rows (summed per nuclide)
+     * @returns {{total: number, beta: number, gamma: number,
+     *            nuclides: Array<{Isotope: string, Activity: number, Beta: number, Gamma: number, Total: number, Share: number}>,
+     *            missing: string[]}} Powers in W. `missing` lists active nuclides without energy data.
+     */
+    fromResults(results) {
+        const activity = new Map();
+        results.forEach(r => {
+            if (r.Activity > 0) activity.set(r.Isotope, (activity.get(r.Isotope) || 0) + r.Activity);
+        });
+
+        const nuclides = [];
+        const missing = [];
+        let beta = 0;
+        let gamma = 0;
+        activity.forEach((A, iso) => {
+            const e = this.energies.get(iso);
+            if (!e) {
+                missing.push({ iso, A });
+                return;
+            }
+            const b = A * e.beta * KEV_TO_J;
+            const g = A * e.gamma * KEV_TO_J;
+            if (!(b + g > 0)) return;
+            beta += b;
+            gamma += g;
+            nuclides.push({ Isotope: iso, Activity: A, Beta: b, Gamma: g, Total: b + g, Share: 0 });
+        });
+
+        const total = beta + gamma;
+        nuclides.forEach(n => { n.Share = total > 0 ? n.Total / total : 0; });
+        nuclides.sort((a, b) => b.Total - a.Total);
+
+        return {
+            total,
+            beta,
+            gamma,
+            nuclides,
+            missing: missing.sort((a, b) => b.A - a.A).map(m => m.iso)
+        };
+    }
+
+    /**
+     * Decay heat over cooling time.
+     * @param {function(number): Array<{Isotope: string, Activity: number}>} inventoryAt
+     *        Inventory at a cooling time after EOB [s]
+     * @param {number[]} coolingTimesS
+     * @returns {Array<{t: number, beta: number, gamma: number, total: number}>}
+     */
+    overCooling(inventoryAt, coolingTimesS) {
+        return coolingTimesS.map(t => {
+            const heat = this.fromResults(inventoryAt(t));
+            return { t, beta: heat.beta, gamma: heat.gamma, total: heat.total };
+        });
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * DetectionLimits.js
+ * Currie detection and quantification limits of NAA analytes in a given sample matrix.
+ * The matrix inventory is turned into a simulated HPGe spectrum; for each analyte the
+ * counts per ppm of its strongest lines are compared with the matrix counts under each
+ * line: L_D = 2.71 + 4.65·√B and L_Q = 50·(1 + √(1 + B/12.5)) counts, divided by the
+ * counts per ppm. The analyte itself is left out of the background it is measured on.
+ * Pure math, no DOM access.
+ */
+
+import { currieLD, currieLQ } from './GammaSpectrum.js';
+
+// Above this the element cannot be measured at any concentration
+const MAX_PPM = 1e6;
+
+export class DetectionLimitEstimator {
+    /**
+     * @param {NuclearSolver} solver
+     * @param {GammaSpectrumSimulator} simulator
+     */
+    constructor(solver, simulator) {
+        this.solver = solver;
+        this.simulator = simulator;
+    }
+
+    /**
+     * @param {Object} p
+     * @param {Array<{sym: string, massG: number}>} p.matrix Element masses of the sample matrix
+     * @param {string[]} p.analytes Element symbols (or material names) to estimate
+     * @param {number} p.sampleMassG Sample mass; limits are in ppm of it (µg/g)
+     * @param {number|Array} p.irradiation Flux or schedule (see Schedule.js); the count starts at its end
+     * @param {number} p.tIrrS
+     * @param {number} p.tCoolS
+     * @param {HPGeDetector} p.detector
+     * @param {number} p.countS Count time [s]
+     * @param {number} p.maxLines Strongest lines tried per analyte (default 5)
+     * @param {Function} onProgress (done, total, element) per matrix element, then per analyte
+     * @returns {Array<{Element: string, Status: 'measurable'|'below LD'|'not measurable', LD: number|null,
+     *          LQ: number|null, Present: number|null, Line: Object|null, Reason: string}>}
+     *          LD / LQ / Present in ppm; Line is the line with the lowest L_D
+     */
+    estimate(p, onProgress = null) {
+        if (!(p.sampleMassG > 0)) throw new Error('Sample mass must be positive');
+        const maxLines = p.maxLines || 5;
+        const total = p.matrix.length + p.analytes.length;
+
+        // Matrix inventory per element, so each analyte can be removed from its own background
+        const matrixRows = new Map();
+        p.matrix.forEach(({ sym, massG }, i) => {
+            if (onProgress) onProgress(i, total, sym);
+            if (!(massG > 0)) return;
+            const rows = this.solver.solveElement(sym, massG, p.irradiation, p.tIrrS, p.tCoolS);
+            matrixRows.set(sym, (matrixRows.get(sym) || []).concat(rows));
+        });
+
+        return p.analytes.map((element, i) => {
+            if (onProgress) onProgress(p.matrix.length + i, total, element);
+            const present = p.matrix
+                .filter(m => m.sym === element)
+                .reduce((sum, m) => sum + (m.massG / p.sampleMassG) * 1e6, 0);
+            const result = {
+                Element: element,
+                Status: 'not measurable',
+                LD: null,
+                LQ: null,
+                Present: present > 0 ? present : null,
+                Line: null,
+                Reason: ''
+            };
+
+            // Counts of every analyte line per ppm
+            const perPpm = this.solver.solveElement(element, p.sampleMassG * 1e-6, p.irradiation, p.tIrrS, p.tCoolS);
+            const lines = this.simulator.simulate(perPpm, p.detector, p.countS, { channels: 256 }).peaks.slice(0, maxLines);
+            if (lines.length === 0) {
+                result.Reason = 'No gamma-emitting activation product left at the start of the count';
+                return result;
+            }
+
+            const background = Array.from(matrixRows.entries())
+                .filter(([sym]) => sym !== element)
+                .flatMap(([, rows]) => rows);
+            const spectrum = this.simulator.simulate(background, p.detector, p.countS, {
+                maxEnergyKeV: Math.max(...lines.map(l => l.Energy))
+            });
+
+            lines.forEach(l => {
+                const b = this.simulator.roiCounts(spectrum, l.Energy, l.FWHM);
+                const ld = currieLD(b) / l.Counts;
+                if (result.LD === null || ld < result.LD) {
+                    result.LD = ld;
+                    result.LQ = currieLQ(b) / l.Counts;
+                    result.Line = { Isotope: l.Isotope, Energy: l.Energy, CountsPerPpm: l.Counts, Background: b };
+                }
+            });
+
+            if (!(result.LD < MAX_PPM)) {
+                result.Reason = `L_D above ${MAX_PPM} ppm: too little activity for this count`;
+            } else if (result.Present !== null && result.Present < result.LD) {
+                result.Status = 'below LD';
+                result.Reason = 'Listed concentration is below the detection limit';
+            } else {
+                result.Status = 'measurable';
+            }
+            return result;
+        });
+    }
+}
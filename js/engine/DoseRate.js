@@ -0,0 +1,121 @@
+/**
+ * DoseRate.js
+ * Unshielded point-source ambient dose equivalent rate H*(10) from a solved inventory.
+ * Photon fluence rate A·y / (4π r²) per gamma line, converted with the ICRP 74
+ * fluence-to-H*(10) coefficients (log-log interpolation). Air attenuation and
+ * scatter are neglected, which is conservative at the distances of interest.
+ * Pure math, no DOM access.
+ */
+
+import { parseIsotopeClean, getUniqueId } from '../utils/Parser.js';
+
+// ICRP 74 Table A.21: photon energy [MeV] -> H*(10)/Φ [pSv·cm²]
+const H10_PER_FLUENCE = [
+    [0.010, 0.061], [0.015, 0.83], [0.020, 1.05], [0.030, 0.81], [0.040, 0.64],
+    [0.050, 0.55], [0.060, 0.51], [0.080, 0.53], [0.100, 0.61], [0.150, 0.89],
+    [0.200, 1.20], [0.300, 1.80], [0.400, 2.38], [0.500, 2.93], [0.600, 3.44],
+    [0.800, 4.38], [1.0, 5.20], [1.5, 6.90], [2.0, 8.60], [3.0, 11.1],
+    [4.0, 13.4], [5.0, 15.5], [6.0, 17.6], [8.0, 21.6], [10.0, 25.6]
+];
+
+const PSV_TO_SV = 1e-12;
+const SECONDS_PER_HOUR = 3600;
+
+/**
+ * H*(10) per unit photon fluence at energy E [MeV], in pSv·cm².
+ */
+export function h10PerFluence(energyMeV) {
+    const table = H10_PER_FLUENCE;
+    if (!(energyMeV > 0)) return 0;
+    if (energyMeV <= table[0][0]) return table[0][1];
+    if (energyMeV >= table[table.length - 1][0]) return table[table.length - 1][1];
+
+    const i = table.findIndex(([e]) => e >= energyMeV);
+    const [e0, h0] = table[i - 1];
+    const [e1, h1] = table[i];
+    const t = Math.log(energyMeV / e0) / Math.log(e1 / e0);
+    return Math.exp(Math.log(h0) + t * Math.log(h1 / h0));
+}
+
+export class DoseRate {
+    /**
+     * @param {Array<Object>} gammaRows Rows of Gamma_Lines.csv (Isotope, Energy_keV, Yield, Note).
+     *        A row with no energy marks a nuclide without gamma emission (pure β, EC X-rays only).
+     */
+    constructor(gammaRows) {
+        this.lines = new Map(); // nuclide key -> [{ energyKeV, yield }]
+
+        (gammaRows || []).forEach(row => {
+            const p = parseIsotopeClean((row.Isotope || '').toString());
+            if (!p.symbol) return;
+            const key = getUniqueId(p.symbol, p.massNumber, p.metastable);
+            if (!this.lines.has(key)) this.lines.set(key, []);
+
+            const energyKeV = parseFloat(row.Energy_keV);
+            const y = parseFloat(row.Yield);
+            if (energyKeV > 0 && y > 0) this.lines.get(key).push({ energyKeV, yield: y });
+        });
+    }
+
+    hasData(isotope) {
+        return this.lines.has(isotope);
+    }
+
+    /**
+     * H*(10) rate at 1 m per Bq [Sv/h·m²/Bq]. 0 for nuclides without gamma lines or data.
+     */
+    rateConstant(isotope) {
+        const lines = this.lines.get(isotope) || [];
+        const perFluence = lines.reduce((sum, l) => sum + l.yield * h10PerFluence(l.energyKeV / 1000), 0);
+        const fourPiR2 = 4 * Math.PI * 100 * 100; // cm² at 1 m
+        return (perFluence / fourPiR2) * PSV_TO_SV * SECONDS_PER_HOUR;
+    }
+
+    /**
+     * Dose rate of an inventory at the given distances.
+     * @param {Array<{Isotope: string, Activity: number}>} results Solver rows (summed per nuclide)
+     * @param {number[]} distancesM Distances from the point source [m]
+     * @returns {{distances: number[], total: number[],
+     *            nuclides: Array<{Isotope: string, Activity: number, RateConstant: number, DoseRates: number[], Share: number}>,
+     *            missing: string[]}} Rates in Sv/h; RateConstant in Sv·m²/(h·Bq).
+     *            `missing` lists active nuclides without gamma data (their dose is not counted).
+     */
+    compute(results, distancesM) {
+        const distances = distancesM.filter(d => d > 0);
+        const activity = new Map();
+        results.forEach(r => {
+            if (r.Activity > 0) activity.set(r.Isotope, (activity.get(r.Isotope) || 0) + r.Activity);
+        });
+
+        const nuclides = [];
+        const missing = [];
+        let totalAt1m = 0;
+        activity.forEach((A, iso) => {
+            if (!this.hasData(iso)) {
+                missing.push({ iso, A });
+                return;
+            }
+            const k = this.rateConstant(iso);
+            if (!(k > 0)) return;
+            const at1m = A * k;
+            totalAt1m += at1m;
+            nuclides.push({
+                Isotope: iso,
+                Activity: A,
+                RateConstant: k,
+                DoseRates: distances.map(d => at1m / (d * d)),
+                Share: at1m
+            });
+        });
+
+        nuclides.forEach(n => { n.Share = totalAt1m > 0 ? n.Share / totalAt1m : 0; });
+        nuclides.sort((a, b) => b.Share - a.Share);
+
+        return {
+            distances,
+            total: distances.map(d => totalAt1m / (d * d)),
+            nuclides,
+            missing: missing.sort((a, b) => b.A - a.A).map(m => m.iso)
+        };
+    }
+}
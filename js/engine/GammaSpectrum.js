@@ -0,0 +1,223 @@
+/**
+ * GammaSpectrum.js
+ * Predicted HPGe spectrum of a solved inventory for NAA measurement planning.
+ * Each gamma line gives a Gaussian full-energy peak of N = ε(E)·y·∫A dt counts
+ * (decay during the count included) and a flat Compton continuum up to the Compton
+ * edge, scaled by the peak-to-total ratio. A peak is marked visible when its net
+ * counts exceed the Currie detection limit L_D = 2.71 + 4.65·√B of the continuum
+ * and neighbouring peaks under it. Room background, summing and dead time are not modelled.
+ * Pure math, no DOM access.
+ */
+
+const ELECTRON_MASS_KEV = 511;
+const FWHM_TO_SIGMA = 1 / (2 * Math.sqrt(2 * Math.log(2)));
+// Region of interest ±1.25 FWHM around the centroid (≈ 98% of the peak area)
+const ROI_HALF_WIDTH_FWHM = 1.25;
+
+/**
+ * Typical coaxial p-type HPGe (~40% relative efficiency), point source at 10 cm.
+ * efficiency: full-energy peak efficiency points [keV, ε], interpolated log-log.
+ */
+export const DEFAULT_DETECTOR = {
+    efficiency: [
+        [50, 0.0060], [100, 0.0120], [200, 0.0090], [400, 0.0052], [662, 0.0034],
+        [1000, 0.0024], [1332, 0.0019], [2000, 0.0014], [3000, 0.0010]
+    ],
+    fwhm122: 0.9,   // keV at 122 keV
+    fwhm1332: 1.9,  // keV at 1332 keV
+    peakToTotal: 0.2 // at 1332 keV
+};
+
+/**
+ * Efficiency points from text such as "100:0.012, 662:0.0034, 1332:0.0019".
+ * @returns {Array<[number, number]>} Sorted by energy
+ */
+export function parseEfficiencyCurve(text) {
+    const points = (text || '').split(/[,;\n]/).map(p => p.trim()).filter(p => p).map(part => {
+        const m = part.match(/^(\d+(?:\.\d+)?)\s*[:=\s]\s*(\d*\.?\d+(?:[eE][+-]?\d+)?)$/);
+        if (!m) throw new Error(`Cannot read "${part}" (expected energy:efficiency, e.g. 662:0.0034)`);
+        return [parseFloat(m[1]), parseFloat(m[2])];
+    });
+    if (points.length < 2) throw new Error('The efficiency curve needs at least two points');
+    if (points.some(([e, eff]) => !(e > 0) || !(eff > 0) || eff > 1)) {
+        throw new Error('Efficiency points need a positive energy and 0 < ε ≤ 1');
+    }
+    return points.sort((a, b) => a[0] - b[0]);
+}
+
+export function formatEfficiencyCurve(points) {
+    return points.map(([e, eff]) => `${e}:${eff}`).join(', ');
+}
+
+export class HPGeDetector {
+    /**
+     * @param {Object} config { efficiency: [[keV, ε]], fwhm122, fwhm1332 [keV], peakToTotal }
+     */
+    constructor(config = {}) {
+        const c = { ...DEFAULT_DETECTOR, ...config };
+        if (!(c.fwhm122 > 0) || !(c.fwhm1332 > 0)) throw new Error('FWHM values must be positive');
+        if (!(c.peakToTotal > 0) || c.peakToTotal > 1) throw new Error('Peak-to-total ratio must be in (0, 1]');
+
+        this.points = c.efficiency;
+        this.peakToTotal1332 = c.peakToTotal;
+        // FWHM² = a + b·E through the two specification points (noise + Fano statistics)
+        this.fwhmB = (c.fwhm1332 ** 2 - c.fwhm122 ** 2) / (1332 - 122);
+        this.fwhmA = c.fwhm122 ** 2 - this.fwhmB * 122;
+    }
+
+    /**
+     * Full-energy peak efficiency, log-log interpolation; extrapolated with the end slopes.
+     */
+    efficiency(energyKeV) {
+        const pts = this.points;
+        let i = pts.findIndex(([e]) => e >= energyKeV);
+        if (i <= 0) i = i === 0 ? 1 : pts.length - 1;
+        const [e0, f0] = pts[i - 1];
+        const [e1, f1] = pts[i];
+        const t = Math.log(energyKeV / e0) / Math.log(e1 / e0);
+        return Math.min(1, Math.exp(Math.log(f0) + t * Math.log(f1 / f0)));
+    }
+
+    fwhm(energyKeV) {
+        return Math.sqrt(Math.max(this.fwhmA + this.fwhmB * energyKeV, 0.01));
+    }
+
+    /**
+     * Peak-to-total ratio, rising towards low energies where photoabsorption dominates.
+     */
+    peakToTotal(energyKeV) {
+        return Math.min(1, this.peakToTotal1332 * Math.pow(energyKeV / 1332, -0.6));
+    }
+}
+
+/**
+ * Currie detection limit [counts] for a background of b counts (k = 1.645).
+ */
+export function currieLD(b) {
+    return 2.71 + 4.65 * Math.sqrt(Math.max(b, 0));
+}
+
+/**
+ * Currie quantification limit [counts]: net signal with 10% relative standard deviation.
+ */
+export function currieLQ(b) {
+    return 50 * (1 + Math.sqrt(1 + Math.max(b, 0) / 12.5));
+}
+
+export class GammaSpectrumSimulator {
+    /**
+     * @param {DoseRate} doseRate Provides the gamma line library (doseRate.lines)
+     * @param {Map<string, number>} lambdaCache Decay constants [1/s] per nuclide
+     */
+    constructor(doseRate, lambdaCache) {
+        this.doseRate = doseRate;
+        this.lambdaCache = lambdaCache;
+    }
+
+    /**
+     * Simulate a count started at the end of the scenario.
+     * @param {Array<{Isotope: string, Activity: number}>} results Solver rows
+     * @param {HPGeDetector} detector
+     * @param {number} countS Count (live) time [s]
+     * @param {Object} options { channels: number of channels (default 4096),
+     *        maxEnergyKeV: extend the energy range to at least this energy }
+     * @returns {{energies: number[], counts: number[], keVPerChannel: number,
+     *            peaks: Array<{Isotope: string, Energy: number, Yield: number, Efficiency: number, FWHM: number,
+     *            Counts: number, Background: number, LD: number, Visible: boolean}>}}
+     *          Peaks sorted by net counts; energies are channel centres [keV]
+     */
+    simulate(results, detector, countS, options = {}) {
+        const channels = options.channels || 4096;
+        if (!(countS > 0)) throw new Error('Count time must be positive');
+
+        const activity = new Map();
+        results.forEach(r => {
+            if (r.Activity > 0) activity.set(r.Isotope, (activity.get(r.Isotope) || 0) + r.Activity);
+        });
+
+        const peaks = [];
+        activity.forEach((A, iso) => {
+            const lam = this.lambdaCache.get(iso) || 0;
+            // Decays during the count: A·(1 − e^(−λt))/λ
+            const decays = lam > 0 ? A * (-Math.expm1(-lam * countS)) / lam : A * countS;
+            (this.doseRate.lines.get(iso) || []).forEach(l => {
+                const eff = detector.efficiency(l.energyKeV);
+                const counts = decays * l.yield * eff;
+                if (!(counts > 0)) return;
+                peaks.push({
+                    Isotope: iso,
+                    Energy: l.energyKeV,
+                    Yield: l.yield,
+                    Efficiency: eff,
+                    FWHM: detector.fwhm(l.energyKeV),
+                    Counts: counts,
+                    Background: 0,
+                    LD: 0,
+                    Visible: false
+                });
+            });
+        });
+
+        const maxEnergy = peaks.reduce((m, p) => Math.max(m, p.Energy), options.maxEnergyKeV || 0);
+        const keVPerChannel = Math.max(maxEnergy * 1.1, 500) / channels;
+        const energies = Array.from({ length: channels }, (_, i) => (i + 0.5) * keVPerChannel);
+        const counts = new Float64Array(channels);
+        const continuum = new Float64Array(channels);
+
+        peaks.forEach(p => {
+            // Flat Compton continuum from 0 to the Compton edge
+            const k = 2 * p.Energy / ELECTRON_MASS_KEV;
+            const edge = p.Energy * k / (1 + k);
+            const edgeChannel = Math.max(1, Math.min(channels, Math.round(edge / keVPerChannel)));
+            const comptonCounts = p.Counts * (1 / detector.peakToTotal(p.Energy) - 1);
+            for (let i = 0; i < edgeChannel; i++) continuum[i] += comptonCounts / edgeChannel;
+        });
+
+        const peakShape = (p, i) => {
+            const sigma = p.FWHM * FWHM_TO_SIGMA;
+            const z = (energies[i] - p.Energy) / sigma;
+            return p.Counts * keVPerChannel * Math.exp(-0.5 * z * z) / (sigma * Math.sqrt(2 * Math.PI));
+        };
+        const roi = p => {
+            const half = ROI_HALF_WIDTH_FWHM * p.FWHM;
+            return [
+                Math.max(0, Math.floor((p.Energy - half) / keVPerChannel)),
+                Math.min(channels - 1, Math.floor((p.Energy + half) / keVPerChannel))
+            ];
+        };
+
+        counts.set(continuum);
+        peaks.forEach(p => {
+            // Peaks only matter within a few σ of their centroid
+            const half = 5 * p.FWHM;
+            const lo = Math.max(0, Math.floor((p.Energy - half) / keVPerChannel));
+            const hi = Math.min(channels - 1, Math.floor((p.Energy + half) / keVPerChannel));
+            for (let i = lo; i <= hi; i++) counts[i] += peakShape(p, i);
+        });
+
+        peaks.forEach(p => {
+            const [lo, hi] = roi(p);
+            let b = 0;
+            for (let i = lo; i <= hi; i++) b += counts[i] - peakShape(p, i);
+            p.Background = b;
+            p.LD = currieLD(b);
+            p.Visible = p.Counts >= p.LD;
+        });
+        peaks.sort((a, b) => b.Counts - a.Counts);
+
+        return { energies, counts: Array.from(counts), keVPerChannel, peaks };
+    }
+
+    /**
+     * Counts of a simulated spectrum in the region of interest of a line at energyKeV.
+     */
+    roiCounts(spectrum, energyKeV, fwhmKeV) {
+        const half = ROI_HALF_WIDTH_FWHM * fwhmKeV;
+        const last = spectrum.counts.length - 1;
+        const lo = Math.max(0, Math.floor((energyKeV - half) / spectrum.keVPerChannel));
+        const hi = Math.min(last, Math.floor((energyKeV + half) / spectrum.keVPerChannel));
+        let sum = 0;
+        for (let i = lo; i <= hi; i++) sum += spectrum.counts[i];
+        return sum;
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * GoalSeek.js
+ * Inverse solver on top of NuclearSolver.solve: find the target mass, irradiation time
+ * or flux that yields a requested product activity at a given cooling time.
+ * Pure math, no DOM access.
+ */
+
+import { normalizeSchedule } from './Schedule.js';
+
+const YEAR_S = 365.25 * 86400;
+
+// Search ranges for the free parameter
+const TIME_RANGE_S = [60, 100 * YEAR_S];
+const FLUX_RANGE = [1e8, 1e17];
+
+export class GoalSeek {
+    /**
+     * @param {NuclearSolver} solver
+     */
+    constructor(solver) {
+        this.solver = solver;
+    }
+
+    /**
+     * Activity of one product nuclide for the given parameters [Bq].
+     */
+    productActivity(p, overrides = {}) {
+        const q = { ...p, ...overrides };
+        const irradiation = normalizeSchedule(q.flux, q.tIrrS, q.tCoolS, q.spectrum || {});
+        return this.solver.solveTarget(q.parentIso, q.massG, irradiation, q.tIrrS, q.tCoolS, q.abundance || 1.0)
+            .filter(r => r.Isotope === q.product)
+            .reduce((sum, r) => sum + r.Activity, 0);
+    }
+
+    /**
+     * Solve for the free parameter.
+     * @param {Object} p Scenario: { parentIso, product, targetBq, variable: 'mass'|'time'|'flux',
+     *        massG, flux, tIrrS, tCoolS, abundance, spectrum }. The field named by `variable` is ignored.
+     * @returns {{variable: string, value: number|null, achievedBq: number, maxBq: number,
+     *            saturationBq: number, saturationFraction: number, reachable: boolean, message: string}}
+     */
+    solve(p) {
+        if (!(p.targetBq > 0)) throw new Error('Target activity must be positive');
+
+        if (p.variable === 'mass') return this._solveMass(p);
+        if (p.variable === 'time') return this._solveMonotone(p, 'tIrrS', TIME_RANGE_S);
+        if (p.variable === 'flux') return this._solveMonotone(p, 'flux', FLUX_RANGE);
+        throw new Error(`Unknown goal-seek variable: ${p.variable}`);
+    }
+
+    /**
+     * Activity of the free parameter on a log grid.
+     */
+    _scan(p, field, [lo, hi], steps = 40) {
+        const grid = [];
+        const ratio = Math.pow(hi / lo, 1 / steps);
+        for (let i = 0, x = lo; i <= steps; i++, x *= ratio) {
+            grid.push({ x, a: this.productActivity(p, { [field]: x }) });
+        }
+        return grid;
+    }
+
+    /**
+     * Highest activity any irradiation time gives with the other parameters fixed.
+     * Without burn-up this is the classic saturation activity; with target burn-up it is
+     * the peak of the build-up curve.
+     */
+    _saturation(p) {
+        const grid = this._scan(p, 'tIrrS', TIME_RANGE_S);
+        let best = 0;
+        grid.forEach((g, i) => { if (g.a > grid[best].a) best = i; });
+        if (best === 0 || best === grid.length - 1) return grid[best].a;
+
+        // Golden-section refinement of the peak between the neighbouring grid points (log scale)
+        const act = (u) => this.productActivity(p, { tIrrS: Math.exp(u) });
+        const phi = (Math.sqrt(5) - 1) / 2;
+        let a = Math.log(grid[best - 1].x);
+        let b = Math.log(grid[best + 1].x);
+        let c = b - phi * (b - a);
+        let d = a + phi * (b - a);
+        let fc = act(c);
+        let fd = act(d);
+        for (let i = 0; i < 30; i++) {
+            if (fc > fd) {
+                b = d; d = c; fd = fc;
+                c = b - phi * (b - a); fc = act(c);
+            } else {
+                a = c; c = d; fc = fd;
+                d = a + phi * (b - a); fd = act(d);
+            }
+        }
+        return Math.max(grid[best].a, fc, fd);
+    }
+
+    _result(p, value, achievedBq, maxBq, saturationBq) {
+        const reachable = value !== null;
+        const saturationFraction = saturationBq > 0 ? p.targetBq / saturationBq : Infinity;
+        let message;
+        if (!reachable) {
+            message = `Target not reachable: at most ${maxBq.toExponential(3)} Bq of ${p.product} with the fixed parameters.`;
+        } else if (saturationFraction >= 0.9) {
+            message = `Reachable, but at ${(saturationFraction * 100).toFixed(1)}% of saturation: longer irradiation gains little.`;
+        } else {
+            message = `Reachable at ${(saturationFraction * 100).toFixed(1)}% of saturation.`;
+        }
+        return {
+            variable: p.variable,
+            value,
+            achievedBq: achievedBq,
+            maxBq,
+            saturationBq,
+            saturationFraction,
+            reachable,
+            message
+        };
+    }
+
+    // Activity is linear in target mass
+    _solveMass(p) {
+        const perGram = this.productActivity(p, { massG: 1.0 });
+        if (!(perGram > 0)) return this._result(p, null, 0, 0, 0);
+
+        const massG = p.targetBq / perGram;
+        const saturationBq = this._saturation({ ...p, massG });
+        return this._result(p, massG, perGram * massG, Infinity, saturationBq);
+    }
+
+    /**
+     * Scan the free parameter on a log grid, then bisect the first bracket that crosses
+     * the target. Burn-up can make activity peak and fall again, so the scan also
+     * yields the maximum reachable activity and the first (shortest / lowest) solution is kept.
+     */
+    _solveMonotone(p, field, range) {
+        const grid = this._scan(p, field, range);
+        const saturationBq = field === 'tIrrS' ? this._saturation(p) : null;
+        const maxBq = field === 'tIrrS' ? saturationBq : Math.max(...grid.map(g => g.a));
+
+        const idx = grid.findIndex(g => g.a >= p.targetBq);
+        if (idx < 0) {
+            return this._result(p, null, maxBq, maxBq, saturationBq !== null ? saturationBq : this._saturation(p));
+        }
+
+        let value = grid[idx].x;
+        let achieved = grid[idx].a;
+        if (idx > 0) {
+            let a = grid[idx - 1].x;
+            let b = grid[idx].x;
+            for (let i = 0; i < 60 && b / a > 1 + 1e-9; i++) {
+                const mid = Math.sqrt(a * b);
+                const act = this.productActivity(p, { [field]: mid });
+                if (act >= p.targetBq) {
+                    b = mid;
+                    achieved = act;
+                } else {
+                    a = mid;
+                }
+            }
+            value = b;
+        }
+
+        const sat = saturationBq !== null ? saturationBq : this._saturation({ ...p, [field]: value });
+        return this._result(p, value, achieved, maxBq, sat);
+    }
+}
@@ -0,0 +1,280 @@
+/**
+ * K0NAA.js
+ * Element concentrations from measured net peak areas with the k0 standardization
+ * (Høgdahl convention, single Au comparator):
+ *
+ *   ρ_a = (Asp_a / Asp_Au) · (1 / k0,Au(a)) · (f + Q0,Au(α)) / (f + Q0,a(α)) · ε_Au / ε_a
+ *   Asp = (Np / t_live) / (S · D · C · W),  S = 1 − e^(−λ t_irr),  D = e^(−λ t_d),
+ *   C = (1 − e^(−λ t_real)) / (λ t_real)
+ *
+ * Decay constants, σ0, I0, Ēr and abundances come from the solver's library and γ yields from
+ * the gamma line library; k0 is derived from them unless the lab supplies its own value.
+ * The uncertainty budget propagates relative uncertainties with numerical sensitivities.
+ * Pure math, no DOM access.
+ */
+
+import { getUniqueId } from '../utils/Parser.js';
+import { molarMass } from '../utils/Formula.js';
+
+export const COMPARATOR = { element: 'Au', product: 'Au-198', energyKeV: 411.8 };
+
+// Default relative (α: absolute) standard uncertainties of the budget components
+export const K0_DEFAULT_UNCERTAINTY = {
+    k0: 0.05,       // k0 derived from library data; ~0.01–0.02 for recommended k0 values
+    q0: 0.05,
+    f: 0.05,
+    alpha: 0.01,
+    efficiency: 0.02,
+    mass: 0.001
+};
+
+/**
+ * Q0 corrected for a 1/E^(1+α) epithermal spectrum.
+ */
+export function q0Alpha(q0, er, alpha) {
+    if (!alpha || !(er > 0)) return q0;
+    return (q0 - 0.429) / Math.pow(er, alpha) + 0.429 / ((2 * alpha + 1) * Math.pow(0.55, alpha));
+}
+
+/**
+ * Saturation, decay and counting factors.
+ */
+export function timingFactors(lambda, tIrrS, tDecayS, realS) {
+    const S = -Math.expm1(-lambda * tIrrS);
+    const D = Math.exp(-lambda * tDecayS);
+    const C = realS > 0 ? -Math.expm1(-lambda * realS) / (lambda * realS) : 1;
+    return { S, D, C };
+}
+
+export class K0Analyzer {
+    /**
+     * @param {NuclearSolver} solver Library: xsMap, decayMap, lambdaCache, elementMap
+     * @param {DoseRate} doseRate Gamma line library (doseRate.lines)
+     */
+    constructor(solver, doseRate) {
+        this.solver = solver;
+        this.doseRate = doseRate;
+    }
+
+    /**
+     * (n,γ) products of an element with at least one gamma line of yield ≥ minYield.
+     * @returns {Array<{product: string, target: string, energyKeV: number, yield: number, lambda: number}>}
+     */
+    candidateLines(element, minYield = 0.01) {
+        const lines = [];
+        (this.solver.elementMap.get(element) || []).forEach(({ A }) => {
+            const target = getUniqueId(element, A, '');
+            (this.solver.xsMap.get(target) || []).forEach(rx => {
+                if (!/n,\s*[gγ]/.test(rx.type)) return;
+                // Short-lived isomers are reported through their ground state
+                const product = this._groundState(rx.child);
+                const lambda = this.solver.lambdaCache.get(product) || 0;
+                if (!(lambda > 0)) return;
+                (this.doseRate.lines.get(product) || []).forEach(l => {
+                    if (l.yield < minYield) return;
+                    if (lines.some(x => x.product === product && x.energyKeV === l.energyKeV)) return;
+                    lines.push({ product, target, energyKeV: l.energyKeV, yield: l.yield, lambda });
+                });
+            });
+        });
+        return lines.sort((a, b) => b.yield - a.yield);
+    }
+
+    _groundState(key) {
+        const ground = key.replace(/m\d*$/, '');
+        if (ground === key) return key;
+        const feeds = (this.solver.decayMap.get(key) || []).some(d => d.child === ground);
+        const lamM = this.solver.lambdaCache.get(key) || 0;
+        const lamG = this.solver.lambdaCache.get(ground) || 0;
+        return feeds && lamM > 10 * lamG ? ground : key;
+    }
+
+    /**
+     * Nuclear constants of one analytical line.
+     * σ0 and I0 include feeding through a short-lived isomer of the product.
+     */
+    lineConstants(element, product, energyKeV) {
+        let target = null;
+        let sigma0 = 0;
+        let i0 = 0;
+        let erWeighted = 0;
+        (this.solver.elementMap.get(element) || []).forEach(({ A, theta }) => {
+            const key = getUniqueId(element, A, '');
+            (this.solver.xsMap.get(key) || []).forEach(rx => {
+                if (!/n,\s*[gγ]/.test(rx.type)) return;
+                let share = 0;
+                if (rx.child === product) share = 1;
+                else if (this._groundState(rx.child) === product) {
+                    share = (this.solver.decayMap.get(rx.child) || [])
+                        .filter(d => d.child === product)
+                        .reduce((sum, d) => sum + d.br, 0);
+                }
+                if (!(share > 0)) return;
+                target = { key, theta };
+                sigma0 += share * rx.sigma;
+                i0 += share * (rx.ri || 0);
+                erWeighted += share * (rx.ri || 0) * (rx.er || 0);
+            });
+        });
+        if (!target || !(sigma0 > 0)) throw new Error(`No (n,γ) route from ${element} to ${product} in the library`);
+
+        const line = (this.doseRate.lines.get(product) || [])
+            .find(l => Math.abs(l.energyKeV - energyKeV) < 0.5);
+        if (!line) throw new Error(`No ${energyKeV} keV line of ${product} in the gamma library`);
+
+        const lambda = this.solver.lambdaCache.get(product) || 0;
+        if (!(lambda > 0)) throw new Error(`No decay constant for ${product}`);
+
+        return {
+            Element: element,
+            Target: target.key,
+            Product: product,
+            Energy: line.energyKeV,
+            theta: target.theta,
+            sigma0,
+            Q0: i0 > 0 ? i0 / sigma0 : 0,
+            Er: i0 > 0 ? erWeighted / i0 : 0,
+            gamma: line.yield,
+            M: molarMass({ [element]: 1 }),
+            lambda
+        };
+    }
+
+    /**
+     * k0,Au of a line from its nuclear constants: (M_Au θ σ0 γ) / (M θ_Au σ0,Au γ_Au).
+     */
+    k0(consts, au = this.lineConstants(COMPARATOR.element, COMPARATOR.product, COMPARATOR.energyKeV)) {
+        return (au.M * consts.theta * consts.sigma0 * consts.gamma) / (consts.M * au.theta * au.sigma0 * au.gamma);
+    }
+
+    /**
+     * Concentration [g/g] of one line for a given parameter set.
+     */
+    _concentration(v) {
+        const spec = (area, live, t, lambda, mass) => {
+            const { S, D, C } = timingFactors(lambda, t.tIrrS, t.tDecayS, t.realS);
+            return (area / live) / (S * D * C * mass);
+        };
+        const aspA = spec(v.area, v.sample.liveS, v.sample, v.lambda, v.sample.massG);
+        const aspAu = spec(v.auArea, v.comparator.liveS, v.comparator, v.auLambda, v.comparator.massG);
+        // f = 0 marks a purely thermal flux elsewhere in the tool: the epithermal term drops out
+        const fRatio = v.f > 0
+            ? (v.f + q0Alpha(v.auQ0, v.auEr, v.alpha)) / (v.f + q0Alpha(v.q0, v.er, v.alpha))
+            : 1;
+        return (aspA / aspAu) * (1 / v.k0) * fRatio * (v.auEff / v.eff);
+    }
+
+    /**
+     * @param {Object} p
+     * @param {Object} p.sample { massG, tIrrS, tDecayS, liveS, realS }
+     * @param {Object} p.comparator { massG (Au), area, areaRelUnc, tDecayS, liveS, realS }; co-irradiated with the sample
+     * @param {Object} p.flux { f, alpha }
+     * @param {HPGeDetector} p.detector Full-energy peak efficiency (same geometry for sample and comparator)
+     * @param {Array<{element, product, energyKeV, area, areaRelUnc, k0?, k0RelUnc?}>} p.lines Measured peaks
+     * @param {Object} p.uncertainty Overrides of K0_DEFAULT_UNCERTAINTY
+     * @returns {{lines: Array, elements: Array<{Element: string, Concentration: number, Uncertainty: number,
+     *            Budget: Object<string, number>, Lines: number}>}}
+     *          Concentrations in µg/g; Budget holds each component's share of the variance
+     */
+    analyze(p) {
+        const u = { ...K0_DEFAULT_UNCERTAINTY, ...(p.uncertainty || {}) };
+        const au = this.lineConstants(COMPARATOR.element, COMPARATOR.product, COMPARATOR.energyKeV);
+        if (!(p.comparator.area > 0) || !(p.comparator.massG > 0)) throw new Error('Comparator peak area and mass are required');
+        if (!(p.sample.massG > 0)) throw new Error('Sample mass must be positive');
+
+        const comparator = { ...p.comparator, tIrrS: p.sample.tIrrS };
+        const lines = p.lines.map(m => {
+            const c = this.lineConstants(m.element, m.product, m.energyKeV);
+            const userK0 = m.k0 > 0;
+            const v = {
+                sample: p.sample,
+                comparator,
+                area: m.area,
+                auArea: p.comparator.area,
+                lambda: c.lambda,
+                auLambda: au.lambda,
+                k0: userK0 ? m.k0 : this.k0(c, au),
+                q0: c.Q0,
+                er: c.Er,
+                auQ0: au.Q0,
+                auEr: au.Er,
+                f: p.flux.f,
+                alpha: p.flux.alpha,
+                eff: p.detector.efficiency(c.Energy),
+                auEff: p.detector.efficiency(COMPARATOR.energyKeV)
+            };
+            const rho = this._concentration(v);
+
+            // Relative standard uncertainty of ρ per component, from ∂lnρ/∂ln x (α: ∂lnρ/∂α)
+            const sensitivity = (field, rel = true) => {
+                const h = 1e-4;
+                const shifted = { ...v, [field]: rel ? v[field] * (1 + h) : v[field] + h };
+                return Math.log(this._concentration(shifted) / rho) / h;
+            };
+            const components = {
+                'Peak area': m.areaRelUnc || 0,
+                'Comparator': p.comparator.areaRelUnc || 0,
+                'k0': userK0 ? (m.k0RelUnc || 0) : u.k0,
+                'Q0': Math.hypot(sensitivity('q0') * u.q0, sensitivity('auQ0') * u.q0),
+                'f': v.f > 0 ? Math.abs(sensitivity('f') * u.f) : 0,
+                'α': v.f > 0 ? Math.abs(sensitivity('alpha', false) * u.alpha) : 0,
+                'Efficiency': u.efficiency,
+                'Masses': Math.SQRT2 * u.mass
+            };
+
+            return {
+                Element: m.element,
+                Product: c.Product,
+                Energy: c.Energy,
+                k0: v.k0,
+                Q0: c.Q0,
+                Efficiency: v.eff,
+                Concentration: rho * 1e6,
+                components
+            };
+        });
+
+        return { lines, elements: this._combine(lines) };
+    }
+
+    /**
+     * Lines of the same element are averaged with weights 1/u²(peak area). The peak area
+     * term is independent between lines; every other component is taken as fully correlated.
+     */
+    _combine(lines) {
+        const byElement = new Map();
+        lines.forEach(l => {
+            if (!byElement.has(l.Element)) byElement.set(l.Element, []);
+            byElement.get(l.Element).push(l);
+        });
+
+        return Array.from(byElement.entries()).map(([element, group]) => {
+            const raw = group.map(l => 1 / Math.max(l.components['Peak area'], 1e-6) ** 2);
+            const sumW = raw.reduce((a, b) => a + b, 0);
+            const w = raw.map(x => x / sumW);
+            const mean = group.reduce((sum, l, i) => sum + w[i] * l.Concentration, 0);
+
+            const absolute = {};
+            Object.keys(group[0].components).forEach(name => {
+                const parts = group.map((l, i) => w[i] * l.Concentration * l.components[name]);
+                absolute[name] = name === 'Peak area'
+                    ? Math.hypot(...parts)
+                    : parts.reduce((a, b) => a + b, 0);
+            });
+
+            const variance = Object.values(absolute).reduce((sum, x) => sum + x * x, 0);
+            const budget = {};
+            Object.entries(absolute).forEach(([name, x]) => {
+                budget[name] = variance > 0 ? (x * x) / variance : 0;
+            });
+
+            return {
+                Element: element,
+                Concentration: mean,
+                Uncertainty: Math.sqrt(variance),
+                Budget: budget,
+                Lines: group.length
+            };
+        }).sort((a, b) => b.Concentration - a.Concentration);
+    }
+}
@@ -1,19 +1,260 @@
 import { AVOGADRO, BARN_TO_CM2, SECONDS_PER_DAY } from '../utils/Constants.js';
-import { parseIsotopeClean, getUniqueId } from '../utils/Parser.js';
+import { parseIsotopeClean, getUniqueId, parseHalfLife } from '../utils/Parser.js';
+import { TransmutationMatrix, expmCram, batemanChainFraction } from './MatrixExponential.js';
+import { normalizeSchedule, createSegment, scheduleDuration, endOfBombardment, coolingSchedule } from './Schedule.js';
+
+// Cross-section columns of Database_Fixed_Lambdas2.csv. 'max' is the envelope of the evaluations.
+export const XS_LIBRARIES = {
+    max: { column: 'Max_XS', label: 'Max of libraries' },
+    endf: { column: 'XS_ENDF_VIII_1', label: 'ENDF/B-VIII.1' },
+    jendl: { column: 'XS_JENDL', label: 'JENDL' },
+    jeff: { column: 'XS_JEFF', label: 'JEFF' }
+};
 
 export class NuclearSolver {
-    constructor(dfXs, dfChain, dfLimits) {
+    constructor(dfXs, dfChain, dfLimits, dfResonance = null, dfIsomers = null) {
         this.xsMap = new Map();
         this.decayMap = new Map();
         this.lambdaCache = new Map();
         this.sigmaRemovalCache = new Map();
         this.elementMap = new Map();
+        this.materials = new Map(); // name -> { element, parents: [{A, theta}] }, see setMaterials()
         this.limitsMap = new Map();
+        this.engine = 'bateman'; // 'bateman' (path enumeration) or 'cram' (matrix exponential)
+        this.library = 'max';
+        this.libraryStats = { evaluated: 0, fallback: 0 };
 
-        this._buildMaps(dfXs, dfChain);
+        // Raw tables are kept so the maps can be rebuilt for another XS library.
+        // dfChainImport holds chain rows imported from decay data files, see setImportedChains().
+        this._sources = { dfXs, dfChain, dfResonance, dfIsomers, dfChainImport: [] };
+
+        this._rebuildMaps();
         this._buildLimits(dfLimits);
     }
 
+    /**
+     * Select the cross-section library and rebuild the solver maps from its column.
+     * @param {'max'|'endf'|'jendl'|'jeff'} library
+     */
+    setLibrary(library) {
+        if (!XS_LIBRARIES[library]) throw new Error(`Unknown XS library: ${library}`);
+        if (library === this.library) return;
+
+        this.library = library;
+        this._rebuildMaps();
+    }
+
+    /**
+     * Replace the imported decay chains (rows in the format of BaseDatos_Cadenas_Completas.csv,
+     * e.g. from DecayDataImport.js) and rebuild the solver maps. Every parent present in the
+     * import replaces its local chain entries; a parent marked 'stable' loses them.
+     */
+    setImportedChains(rows) {
+        this._sources.dfChainImport = rows || [];
+        this._rebuildMaps();
+    }
+
+    _rebuildMaps() {
+        this.xsMap = new Map();
+        this.decayMap = new Map();
+        this.lambdaCache = new Map();
+        this.sigmaRemovalCache = new Map();
+        this.elementMap = new Map();
+
+        const { dfXs, dfChain, dfResonance, dfIsomers, dfChainImport } = this._sources;
+        this._buildMaps(dfXs, dfChain);
+        this._applyIsomericTransitions(dfIsomers);
+        this._applyImportedChains(dfChainImport);
+        this._applyResonanceIntegrals(dfResonance);
+        this._applyIsomericRatios();
+    }
+
+    /**
+     * Decay branches of metastable states from Isomeric_Transitions.csv (Isomer, Half_Life_s,
+     * Mode, Daughter, Branching_Ratio). IT feeds the ground state; the other modes bypass it.
+     * Branches already in the chain table are kept, and the half-life only fills a missing λ.
+     */
+    _applyIsomericTransitions(dfIsomers) {
+        if (!dfIsomers || !Array.isArray(dfIsomers)) return;
+        dfIsomers.forEach(row => {
+            const isomer = parseIsotopeClean((row.Isomer || '').toString());
+            const daughter = parseIsotopeClean((row.Daughter || '').toString());
+            const br = parseFloat(row.Branching_Ratio) || 0;
+            if (!isomer.symbol || !isomer.metastable || !daughter.symbol) return;
+            const mKey = getUniqueId(isomer.symbol, isomer.massNumber, isomer.metastable);
+            const dKey = getUniqueId(daughter.symbol, daughter.massNumber, daughter.metastable);
+
+            const halfLife = parseFloat(row.Half_Life_s);
+            if (!this.lambdaCache.has(mKey) && halfLife > 0) this._setLambda(mKey, Math.LN2 / halfLife);
+
+            if (!(br > 0)) return;
+            if (!this.decayMap.has(mKey)) this.decayMap.set(mKey, []);
+            const branches = this.decayMap.get(mKey);
+            if (branches.some(d => d.child === dKey)) return;
+            branches.push({ child: dKey, br: br, type: (row.Mode || 'decay').toString().trim() });
+        });
+    }
+
+    /**
+     * Split (n,γ) capture between the ground state and the isomer. The n,g rows of the
+     * database hold the total capture cross section and the n,g1 rows the isomer partial,
+     * so the ground-state partial is σγ − σm and the resonance integral is shared with
+     * the isomeric ratio IR = σm/σγ. Stores rx.isomericRatio on the isomer reaction.
+     */
+    _applyIsomericRatios() {
+        this.xsMap.forEach((reactions, target) => {
+            const toIsomer = new Map();
+            reactions.forEach(rx => {
+                if (rx.type !== 'n,g1') return;
+                // Duplicated evaluations of the same isomer: keep the largest
+                const kept = toIsomer.get(rx.child);
+                if (!kept || rx.sigma > kept.sigma) toIsomer.set(rx.child, rx);
+            });
+            if (toIsomer.size === 0) return;
+
+            const kept = new Set(toIsomer.values());
+            const list = reactions.filter(rx => rx.type !== 'n,g1' || kept.has(rx));
+            toIsomer.forEach((rxM, isomer) => {
+                const rxG = list.find(rx => rx.type === 'n,g' && rx.child === isomer.replace(/m\d*$/, ''));
+                if (!rxG) return;
+                const total = rxG.partialCapture ? rxG.sigma + rxM.sigma : rxG.sigma;
+                const ir = total > 0 ? Math.min(rxM.sigma / total, 1) : 0;
+                rxM.sigma = ir * total;
+                rxM.isomericRatio = ir;
+                rxG.sigma = total - rxM.sigma;
+                if (rxG.ri > 0 && !(rxM.ri > 0)) {
+                    rxM.ri = ir * rxG.ri;
+                    rxM.er = rxG.er;
+                    rxG.ri *= 1 - ir;
+                }
+            });
+            this.xsMap.set(target, list);
+            this.sigmaRemovalCache.set(target, list.reduce((sum, rx) => sum + rx.sigma, 0));
+        });
+    }
+
+    _applyImportedChains(rows) {
+        const byParent = new Map();
+        (rows || []).forEach(row => {
+            const parent = parseIsotopeClean((row.Padre_Isotopo || '').toString());
+            if (!parent.symbol) return;
+            const pKey = getUniqueId(parent.symbol, parent.massNumber, parent.metastable);
+            if (!byParent.has(pKey)) byParent.set(pKey, []);
+            byParent.get(pKey).push(row);
+        });
+
+        byParent.forEach((list, pKey) => {
+            this.decayMap.delete(pKey);
+            if (list.every(row => row.Modo_Decay === 'stable')) {
+                this.lambdaCache.delete(pKey);
+                return;
+            }
+            list.forEach(row => {
+                if (row.Padre_Lambda) this._setLambda(pKey, row.Padre_Lambda);
+                const child = parseIsotopeClean((row.Hijo_Isotopo || '').toString());
+                const br = parseFloat(row.Branching_Ratio) || 0;
+                if (!child.symbol || !(br > 0)) return;
+                const hKey = getUniqueId(child.symbol, child.massNumber, child.metastable);
+                if (row.Hijo_Lambda) this._setLambda(hKey, row.Hijo_Lambda);
+                if (!this.decayMap.has(pKey)) this.decayMap.set(pKey, []);
+                this.decayMap.get(pKey).push({ child: hKey, br: br, type: row.Modo_Decay || 'decay' });
+            });
+        });
+        this._fillLambdasFromHalfLives(null, rows);
+    }
+
+    /**
+     * Cross section of a database row for the active library. Reactions the library
+     * does not evaluate (empty cell) fall back to Max_XS and are counted in libraryStats.
+     */
+    _readSigma(row) {
+        const column = XS_LIBRARIES[this.library].column;
+        const raw = (row[column] === undefined || row[column] === null) ? '' : row[column].toString().trim();
+        if (column === 'Max_XS' || raw !== '') {
+            this.libraryStats.evaluated++;
+            return parseFloat(raw) || 0;
+        }
+        this.libraryStats.fallback++;
+        return parseFloat(row.Max_XS) || 0;
+    }
+
+    /**
+     * True when the active value of an n,g row is its Max_XS and that is clearly below every
+     * evaluated library: the row then holds the ground-state partial rather than total capture.
+     */
+    _isPartialCapture(row) {
+        const column = XS_LIBRARIES[this.library].column;
+        const own = (row[column] || '').toString().trim();
+        if (column !== 'Max_XS' && own !== '') return false;
+        const values = ['endf', 'jendl', 'jeff']
+            .map(lib => parseFloat(row[XS_LIBRARIES[lib].column]))
+            .filter(v => v > 0);
+        return values.length > 0 && parseFloat(row.Max_XS) < 0.99 * Math.min(...values);
+    }
+
+    /**
+     * Relative standard deviation of the evaluated libraries for a database row,
+     * or null when fewer than two libraries give a value.
+     */
+    _librarySpread(row) {
+        const values = ['endf', 'jendl', 'jeff']
+            .map(lib => parseFloat(row[XS_LIBRARIES[lib].column]))
+            .filter(v => v > 0);
+        if (values.length < 2) return null;
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        const variance = values.reduce((a, v) => a + (v - mean) * (v - mean), 0) / (values.length - 1);
+        return Math.sqrt(variance) / mean;
+    }
+
+    /**
+     * Attach resonance integrals (I0, effective resonance energy Er) to the matching
+     * reactions in xsMap. Rows are keyed by target Symbol, A and Reaction label.
+     */
+    _applyResonanceIntegrals(dfResonance) {
+        if (!dfResonance || !Array.isArray(dfResonance)) return;
+        dfResonance.forEach(row => {
+            const pSym = (row.Symbol || '').toString().trim();
+            const pA = parseInt(row.A, 10) || 0;
+            const reaction = (row.Reaction || 'n,g').toString().trim();
+            const ri = parseFloat(row.I0_barn);
+            const er = parseFloat(row.Er_eV);
+            if (!pSym || !(ri > 0)) return;
+
+            const reactions = this.xsMap.get(getUniqueId(pSym, pA, '')) || [];
+            reactions.forEach(rx => {
+                if (rx.type !== reaction) return;
+                rx.ri = ri;
+                rx.er = (er > 0) ? er : 0;
+            });
+        });
+    }
+
+    /**
+     * Resonance integral corrected for a non-ideal 1/E^(1+α) epithermal spectrum
+     * (Høgdahl convention, 1/v part taken as 0.429·σ0 above the 0.55 eV Cd cut-off).
+     */
+    _resonanceIntegral(rx, alpha = 0) {
+        if (!(rx.ri > 0)) return 0;
+        if (!alpha || !(rx.er > 0)) return rx.ri;
+        const oneOverV = 0.429 * rx.sigma;
+        return (rx.ri - oneOverV) / Math.pow(rx.er, alpha)
+            + oneOverV / ((2 * alpha + 1) * Math.pow(0.55, alpha));
+    }
+
+    /**
+     * Reaction rate per target atom [1/s]: σ0·φth + I0(α)·φepi, with φepi = φth / f.
+     * @param {Object} rx xsMap entry
+     * @param {number|Object} flux Thermal flux or a schedule segment { flux, f, alpha }
+     */
+    getReactionRate(rx, flux) {
+        const seg = (typeof flux === 'object' && flux !== null) ? flux : { flux: flux };
+        let rate = rx.sigma * seg.flux;
+        if (seg.f > 0) {
+            rate += this._resonanceIntegral(rx, seg.alpha) * (seg.flux / seg.f);
+        }
+        return rate * BARN_TO_CM2;
+    }
+
     _buildLimits(dfLimits) {
         if (!dfLimits || !Array.isArray(dfLimits)) return;
         dfLimits.forEach(row => {
@@ -46,6 +287,8 @@ export class NuclearSolver {
     }
 
     _buildMaps(dfXs, dfChain) {
+        this.libraryStats = { evaluated: 0, fallback: 0 };
+
         // Activation
         if (dfXs && dfXs.length > 0) {
             dfXs.forEach(row => {
@@ -69,10 +312,14 @@ export class NuclearSolver {
 
                 if (row.Decay_Constant_Lambda) this._setLambda(dKey, row.Decay_Constant_Lambda);
 
-                const sigma = parseFloat(row.Max_XS) || 0;
+                const sigma = this._readSigma(row);
                 if (sigma > 0) {
                     if (!this.xsMap.has(pKey)) this.xsMap.set(pKey, []);
-                    this.xsMap.get(pKey).push({ child: dKey, sigma: sigma, type: row.Reaction || 'n,γ' });
+                    const rx = {
+                        child: dKey, sigma: sigma, type: row.Reaction || 'n,γ', xsRelSd: this._librarySpread(row)
+                    };
+                    if (rx.type === 'n,g' && this._isPartialCapture(row)) rx.partialCapture = true;
+                    this.xsMap.get(pKey).push(rx);
 
                     const current = this.sigmaRemovalCache.get(pKey) || 0;
                     this.sigmaRemovalCache.set(pKey, current + sigma);
@@ -95,32 +342,110 @@ export class NuclearSolver {
                 const br = parseFloat(row.Branching_Ratio) || 0;
                 if (br > 0) {
                     if (!this.decayMap.has(pKey)) this.decayMap.set(pKey, []);
-                    this.decayMap.get(pKey).push({ child: hKey, br: br, type: 'decay' });
+                    this.decayMap.get(pKey).push({ child: hKey, br: br, type: row.Modo_Decay || 'decay' });
                 }
             });
         }
+
+        this._fillLambdasFromHalfLives(dfXs, dfChain);
+    }
+
+    /**
+     * Decay constants the λ columns leave empty (or ≤ 1e-40), taken from the half-life
+     * columns: Half_Life_Seconds_Daughter of the database and Padre_T1_2 / Hijo_T1_2 of the
+     * chain table. Runs after every λ column has been read, so those always take precedence.
+     */
+    _fillLambdasFromHalfLives(dfXs, dfChain) {
+        const fill = (key, halfLife) => {
+            const t = parseHalfLife(halfLife);
+            if (key === 'UNKNOWN' || this.lambdaCache.has(key) || !(t > 0) || !isFinite(t)) return;
+            this._setLambda(key, Math.LN2 / t);
+        };
+        const keyOf = text => {
+            const p = parseIsotopeClean((text || '').toString());
+            return getUniqueId(p.symbol, p.massNumber, p.metastable);
+        };
+
+        (dfXs || []).forEach(row => {
+            const seconds = (row.Half_Life_Seconds_Daughter || '').toString().trim();
+            if (seconds) fill(keyOf(row.Daughter_Isotope), `${seconds} s`);
+        });
+        (dfChain || []).forEach(row => {
+            fill(keyOf(row.Padre_Isotopo), row.Padre_T1_2);
+            fill(keyOf(row.Hijo_Isotopo), row.Hijo_T1_2);
+        });
+    }
+
+    // =========================================================================
+    // TARGET MATERIALS
+    // =========================================================================
+
+    /**
+     * Register named target materials with a custom isotopic vector (enriched or depleted
+     * targets). A material name is accepted wherever an element symbol is.
+     * @param {Object} materials { name: { element: 'Lu', composition: { 176: 82.0, 175: 18.0 } } }
+     *        Composition values are relative abundances (normalized to 1 here).
+     */
+    setMaterials(materials) {
+        this.materials = new Map();
+        Object.entries(materials || {}).forEach(([name, m]) => {
+            if (!m || !m.element) return;
+            const parents = Object.entries(m.composition || {})
+                .map(([A, value]) => ({ A: parseInt(A, 10), theta: parseFloat(value) }))
+                .filter(p => p.A > 0 && p.theta > 0);
+            const sum = parents.reduce((acc, p) => acc + p.theta, 0);
+            if (sum <= 0) return;
+            parents.forEach(p => { p.theta /= sum; });
+            this.materials.set(name, { element: m.element, parents });
+        });
+    }
+
+    isMaterial(name) {
+        return this.materials.has(name);
+    }
+
+    /**
+     * Element and target isotopes behind an element symbol or material name.
+     * @returns {{element: string, parents: Array<{A: number, theta: number}>, material: string|null}}
+     */
+    _elementParents(name) {
+        const material = this.materials.get(name);
+        if (material) return { element: material.element, parents: material.parents, material: name };
+        return { element: name, parents: this.elementMap.get(name) || [], material: null };
+    }
+
+    /**
+     * Solve a single-isotope target (e.g. 'Lu-176') or a named material. Material rows are
+     * kept per parent so every pathway starts at its target isotope.
+     */
+    solveTarget(target, massG, flux, tIrrS, tCoolS, abundance = 1.0) {
+        if (this.isMaterial(target)) return this.solveElement(target, massG, flux, tIrrS, tCoolS, false);
+        return this.solve(target, massG, flux, tIrrS, tCoolS, abundance);
     }
 
     /**
-     * Solve for a generic Element (natural abundance)
+     * Solve for a generic Element (natural abundance) or a named material (custom abundance)
      * @param {boolean} merge If true (default), sums activity of identical isotopes from different parents.
      */
     solveElement(elementSymbol, totalMassG, flux, tIrrS, tCoolS, merge = true) {
-        const parents = this.elementMap.get(elementSymbol) || [];
+        const { element, parents, material } = this._elementParents(elementSymbol);
         if (parents.length === 0) return [];
 
         let aggregatedResults = [];
 
         parents.forEach(p => {
             const massIso = totalMassG * p.theta; // Mass of this specific isotope
-            const pKey = getUniqueId(elementSymbol, p.A, '');
+            const pKey = getUniqueId(element, p.A, '');
             // Solve for this parent
             // Force abundance=1.0 because we already scaled the mass
             const res = this.solve(pKey, massIso, flux, tIrrS, tCoolS, 1.0);
 
-            // Tag results with the parent isotope for traceability
-            const parentLabel = `${elementSymbol}-${p.A}`;
-            res.forEach(r => r.Parent = parentLabel);
+            // Tag results with the parent isotope (and material) for traceability
+            const parentLabel = `${element}-${p.A}`;
+            res.forEach(r => {
+                r.Parent = parentLabel;
+                if (material) r.Material = material;
+            });
 
             aggregatedResults.push(...res);
         });
@@ -134,56 +459,141 @@ export class NuclearSolver {
         const merged = new Map();
         aggregatedResults.forEach(r => {
             if (!merged.has(r.Isotope)) {
-                merged.set(r.Isotope, { ...r, Activity: 0, Atoms: 0 });
+                merged.set(r.Isotope, { ...r, Activity: 0, Atoms: 0, Parent: '' });
             }
             const exist = merged.get(r.Isotope);
             exist.Activity += r.Activity;
             exist.Atoms += r.Atoms;
-            // Note: Parent info is lost in merge, which is fine for totals
+            // Keep every contributing parent, e.g. "Lu-175, Lu-176"
+            const parentsSoFar = exist.Parent ? exist.Parent.split(', ') : [];
+            if (!parentsSoFar.includes(r.Parent)) exist.Parent = [...parentsSoFar, r.Parent].join(', ');
         });
 
         return Array.from(merged.values()).sort((a, b) => b.Activity - a.Activity);
     }
 
+    /**
+     * Solve every constituent of a compound or alloy.
+     * @param {Object<string, number>} fractions Element (or material) mass fractions, e.g. from compoundComposition()
+     * @returns {Array} Rows per parent isotope, tagged with Element and Parent
+     */
+    solveCompound(fractions, totalMassG, flux, tIrrS, tCoolS) {
+        const rows = [];
+        Object.entries(fractions).forEach(([sym, w]) => {
+            if (!(w > 0)) return;
+            this.solveElement(sym, totalMassG * w, flux, tIrrS, tCoolS, false).forEach(r => {
+                r.Element = sym;
+                rows.push(r);
+            });
+        });
+        return rows.sort((a, b) => b.Activity - a.Activity);
+    }
+
+    /**
+     * Target nuclides of a compound, as sources for activityTimeSeries().
+     */
+    compoundSources(fractions, totalMassG) {
+        return Object.entries(fractions).flatMap(([sym, w]) => this.elementSources(sym, totalMassG * w));
+    }
+
     getLimit(isotope, type = 'exemption') {
         const lim = this.limitsMap.get(isotope);
         if (!lim) return 1e99; // Default high limit if not found (or return null?)
         return (type === 'clearance') ? lim.clearance : lim.exemption;
     }
 
+    /**
+     * @param {number|Object} flux Thermal flux or a schedule segment { flux, f, alpha }
+     */
     getRemovalRate(isoKey, flux) {
         const lam = this.lambdaCache.get(isoKey) || 0;
+        if (typeof flux === 'object' && flux !== null && flux.f > 0) {
+            const reactions = this.xsMap.get(isoKey) || [];
+            return lam + reactions.reduce((sum, rx) => sum + this.getReactionRate(rx, flux), 0);
+        }
+        const phi = (typeof flux === 'object' && flux !== null) ? flux.flux : flux;
         const sig = this.sigmaRemovalCache.get(isoKey) || 0;
-        return lam + (sig * BARN_TO_CM2 * flux);
+        return lam + (sig * BARN_TO_CM2 * phi);
     }
 
+    /**
+     * Select the depletion engine used by solve() and everything built on it.
+     * @param {string} engine 'bateman' (linear path enumeration) or 'cram' (matrix exponential)
+     */
+    setEngine(engine) {
+        this.engine = (engine === 'cram') ? 'cram' : 'bateman';
+    }
+
+    /**
+     * Solve the activation of one parent nuclide.
+     * @param {number|Array<{duration: number, flux: number}>} flux Constant flux for the classic
+     *        irradiation + cooling case, or a full irradiation schedule (tIrrS/tCoolS are then ignored)
+     */
     solve(parentIso, massG, flux, tIrrS, tCoolS, abundance = 1.0, maxDepth = 6) {
-        // Phase 1: Irradiation
-        const phase1Results = this._coreBatemanStep(
-            parentIso, massG, flux, tIrrS, abundance, maxDepth, ''
+        const schedule = normalizeSchedule(flux, tIrrS, tCoolS);
+
+        if (this.engine === 'cram') {
+            return this.solveMatrix(parentIso, massG, schedule, 0, 0, abundance);
+        }
+
+        // Segment 1 starts from the target itself
+        let current = this._coreBatemanStep(
+            parentIso, massG, schedule[0], schedule[0].duration, abundance, maxDepth, ''
         );
 
-        if (tCoolS <= 0) return this._formatResults(phase1Results);
-
-        // Phase 2: Cooling
-        const finalResults = [];
-        phase1Results.forEach(res => {
-            if (res.finalAtoms < 1e-20) return;
-            // Mass number approx for intermediate mass
-            const match = res.finalIso.match(/(\d+)/);
-            const aVal = match ? parseFloat(match[1]) : 0;
-            const massInput = (res.finalAtoms * aVal) / AVOGADRO;
-
-            const coolingStep = this._coreBatemanStep(
-                res.finalIso, massInput, 0.0, tCoolS, 1.0, maxDepth, res.pathStr
-            );
-            finalResults.push(...coolingStep);
+        // Later segments carry the whole inventory forward
+        schedule.slice(1).forEach(seg => {
+            // Collapse pathways per nuclide before re-irradiating, otherwise
+            // every irradiation cycle multiplies the number of paths
+            if (seg.flux > 0) current = this._mergeByNuclide(current);
+
+            const next = [];
+            current.forEach(res => {
+                if (res.finalAtoms < 1e-20) return;
+                // Mass number approx for intermediate mass
+                const match = res.finalIso.match(/(\d+)/);
+                const aVal = match ? parseFloat(match[1]) : 0;
+                const massInput = (res.finalAtoms * aVal) / AVOGADRO;
+
+                const step = this._coreBatemanStep(
+                    res.finalIso, massInput, seg, seg.duration, 1.0, maxDepth, res.pathStr, res
+                );
+                next.push(...step);
+            });
+            current = next;
         });
 
-        return this._formatResults(finalResults);
+        return this._formatResults(current);
+    }
+
+    /**
+     * Sum raw pathway results per final nuclide. The dominant pathway keeps its label.
+     */
+    _mergeByNuclide(rawResults) {
+        const merged = new Map();
+        rawResults.forEach(res => {
+            const exist = merged.get(res.finalIso);
+            if (!exist) {
+                merged.set(res.finalIso, { ...res, topAtoms: res.finalAtoms });
+                return;
+            }
+            exist.finalAtoms += res.finalAtoms;
+            if (res.finalAtoms > exist.topAtoms) {
+                exist.topAtoms = res.finalAtoms;
+                exist.pathStr = res.pathStr;
+                exist.primaryXs = res.primaryXs;
+                exist.contrib = res.contrib;
+            }
+        });
+        return Array.from(merged.values());
     }
 
-    _coreBatemanStep(parentIso, startMassG, flux, timeS, abundance, maxDepth, pathPrefix) {
+    /**
+     * @param {Object} seg Schedule segment { flux, f, alpha } applied during this step
+     * @param {Object|null} origin Raw result this step continues from; its first activation
+     *        (XS and contribution) is inherited when the step itself only decays
+     */
+    _coreBatemanStep(parentIso, startMassG, seg, timeS, abundance, maxDepth, pathPrefix, origin = null) {
         const parent = parseIsotopeClean(parentIso);
         if (!parent.symbol) return [];
 
@@ -198,10 +608,10 @@ export class NuclearSolver {
             const [currIso, currPath, depth] = stack.pop();
             if (depth >= maxDepth) continue;
 
-            if (flux > 0 && this.xsMap.has(currIso)) {
+            if (seg.flux > 0 && this.xsMap.has(currIso)) {
                 this.xsMap.get(currIso).forEach(rx => {
                     if (currPath.some(s => s.iso === rx.child)) return;
-                    const k = rx.sigma * BARN_TO_CM2 * flux;
+                    const k = this.getReactionRate(rx, seg);
                     const newPath = [...currPath, { iso: rx.child, k: k, xs: rx.sigma, type: rx.type }];
                     allPaths.push(newPath);
                     stack.push([rx.child, newPath, depth + 1]);
@@ -225,36 +635,17 @@ export class NuclearSolver {
         const rawResults = [];
         allPaths.forEach(path => {
             const isos = path.map(s => s.iso);
-            const lambdas = isos.map(i => this.getRemovalRate(i, flux));
+            const lambdas = isos.map(i => this.getRemovalRate(i, seg));
             const ks = path.slice(1).map(s => s.k);
             const n = isos.length;
-            let atomsEnd = 0;
-
-            for (let i = 0; i < lambdas.length; i++) {
-                for (let j = i + 1; j < lambdas.length; j++) {
-                    if (Math.abs(lambdas[i] - lambdas[j]) < 1e-12) lambdas[j] += 1e-13;
-                }
-            }
-
-            const prodK = ks.reduce((a, b) => a * b, 1);
-            if (prodK > 0) {
-                for (let i = 0; i < n; i++) {
-                    let denom = 1.0;
-                    for (let j = 0; j < n; j++) {
-                        if (i !== j) denom *= (lambdas[j] - lambdas[i]);
-                    }
-                    if (Math.abs(denom) < 1e-50) denom = 1e-50;
-                    atomsEnd += Math.exp(-lambdas[i] * timeS) / denom;
-                }
-                atomsEnd *= n0 * prodK;
-            }
+            const atomsEnd = ks.every(k => k > 0) ? n0 * batemanChainFraction(lambdas, ks, timeS) : 0;
 
             if (atomsEnd < 1e-25) return;
 
             let currentPathStr = '';
-            let primaryXs = 0;
-            let contrib = 'Secondary';
-            let foundFirstActivation = false;
+            let primaryXs = origin ? origin.primaryXs : 0;
+            let contrib = origin ? origin.contrib : 'Secondary';
+            let foundFirstActivation = contrib === 'Direct';
 
             path.slice(1).forEach((step, idx) => {
                 const t = step.type;
@@ -301,6 +692,476 @@ export class NuclearSolver {
 
         return detail;
     }
+    // =========================================================================
+    // MATRIX EXPONENTIAL ENGINE (CRAM-16)
+    // =========================================================================
+
+    /**
+     * Solve the same problem as solve() with a sparse transmutation matrix and CRAM-16.
+     * Every nuclide reachable from the parent is carried at once, so there is no depth
+     * limit, no cycle pruning and no lambda nudging. Returns the same row shape as solve(),
+     * one row per nuclide; Pathway shows the shortest production route.
+     */
+    solveMatrix(parentIso, massG, flux, tIrrS, tCoolS, abundance = 1.0) {
+        const parent = parseIsotopeClean(parentIso);
+        if (!parent.symbol) return [];
+
+        const startNode = getUniqueId(parent.symbol, parent.massNumber, parent.metastable);
+        const mMol = parseFloat(parent.massNumber) || 1;
+        const n0 = (massG * abundance * AVOGADRO) / mMol;
+
+        let keys = [startNode];
+        let atoms = Float64Array.of(n0);
+        const routes = new Map();
+
+        // One matrix exponential per segment, carrying the full inventory
+        normalizeSchedule(flux, tIrrS, tCoolS).forEach(seg => {
+            const step = this._buildTransmutationMatrix(keys, seg);
+            step.routes.forEach((route, iso) => {
+                if (!routes.has(iso)) routes.set(iso, route);
+            });
+
+            const carried = new Float64Array(step.matrix.size);
+            keys.forEach((k, i) => { carried[step.matrix.index.get(k)] = atoms[i]; });
+            atoms = expmCram(step.matrix, carried, seg.duration);
+            keys = step.matrix.keys;
+        });
+
+        return this._formatMatrixResults(startNode, keys, atoms, routes);
+    }
+
+    /**
+     * Breadth-first walk from the seed nuclides through xsMap (if seg.flux > 0) and decayMap.
+     * Producers are inserted before their products, which keeps the matrix nearly triangular.
+     * @returns {{matrix: TransmutationMatrix, routes: Map<string, Object>}} routes holds the
+     *          first-found (shortest) producing step for every nuclide
+     */
+    _buildTransmutationMatrix(seeds, seg) {
+        const matrix = new TransmutationMatrix();
+        const routes = new Map();
+        const queue = [];
+
+        seeds.forEach(key => {
+            if (matrix.has(key)) return;
+            matrix.addNode(key);
+            queue.push(key);
+        });
+
+        while (queue.length > 0) {
+            const iso = queue.shift();
+            matrix.setRemoval(iso, this.getRemovalRate(iso, seg));
+
+            const link = (child, rate, step) => {
+                if (!(rate > 0)) return;
+                const isNew = !matrix.has(child);
+                matrix.addTransfer(iso, child, rate);
+                if (isNew) {
+                    routes.set(child, { from: iso, ...step });
+                    queue.push(child);
+                }
+            };
+
+            if (seg.flux > 0 && this.xsMap.has(iso)) {
+                this.xsMap.get(iso).forEach(rx => {
+                    link(rx.child, this.getReactionRate(rx, seg), { type: rx.type, xs: rx.sigma });
+                });
+            }
+
+            const lamP = this.lambdaCache.get(iso) || 0;
+            if (lamP > 0 && this.decayMap.has(iso)) {
+                this.decayMap.get(iso).forEach(dec => {
+                    link(dec.child, lamP * dec.br, { type: 'Decay', xs: 0 });
+                });
+            }
+        }
+
+        return { matrix, routes };
+    }
+
+    _formatMatrixResults(startNode, keys, atoms, routes) {
+        const rawResults = [];
+
+        keys.forEach((iso, i) => {
+            const n = atoms[i];
+            if (!(n >= 1e-25)) return;
+
+            // Rebuild the shortest production route for display
+            const steps = [];
+            let cursor = iso;
+            while (cursor !== startNode && routes.has(cursor) && steps.length < keys.length) {
+                const step = routes.get(cursor);
+                steps.unshift({ iso: cursor, type: step.type, xs: step.xs });
+                cursor = step.from;
+            }
+
+            let pathStr = startNode;
+            let primaryXs = 0;
+            let contrib = 'Secondary';
+            steps.forEach(step => {
+                if (step.type === 'Decay') {
+                    pathStr += ` → ${step.iso}`;
+                } else {
+                    pathStr += ` (${step.type}) ${step.iso}`;
+                    if (contrib !== 'Direct') {
+                        primaryXs = step.xs || 0;
+                        contrib = 'Direct';
+                    }
+                }
+            });
+
+            rawResults.push({
+                finalIso: iso,
+                finalAtoms: n,
+                pathStr: pathStr,
+                primaryXs: primaryXs,
+                contrib: contrib,
+                lamFinal: this.lambdaCache.get(iso) || 0
+            });
+        });
+
+        return this._formatResults(rawResults);
+    }
+
+    // =========================================================================
+    // ACTIVITY VS TIME
+    // =========================================================================
+
+    /**
+     * Target nuclides of an element at natural abundance (or of a named material),
+     * as sources for activityTimeSeries().
+     * @returns {Array<{iso: string, massG: number}>}
+     */
+    elementSources(elementSymbol, totalMassG) {
+        const { element, parents } = this._elementParents(elementSymbol);
+        return parents.map(p => ({
+            iso: getUniqueId(element, p.A, ''),
+            massG: totalMassG * p.theta
+        }));
+    }
+
+    /**
+     * Atoms per nuclide key for a list of { iso, massG } sources.
+     * @returns {Map<string, number>}
+     */
+    _initialInventory(sources) {
+        const initial = new Map();
+        sources.forEach(src => {
+            const parent = parseIsotopeClean(src.iso);
+            if (!parent.symbol || !(src.massG > 0)) return;
+            const key = getUniqueId(parent.symbol, parent.massNumber, parent.metastable);
+            const n0 = (src.massG * AVOGADRO) / (parseFloat(parent.massNumber) || 1);
+            initial.set(key, (initial.get(key) || 0) + n0);
+        });
+        return initial;
+    }
+
+    /**
+     * Carry a full inventory through a schedule with the matrix exponential.
+     * @param {Map<string, number>} initial Atoms per nuclide at t = 0
+     * @param {Function} stepsFor seg => number of equal sub-steps for that segment
+     * @param {Function|null} onStep (t, keys, atoms) called after every sub-step
+     * @returns {{keys: string[], atoms: Float64Array}} Inventory at the end, stable nuclides included
+     */
+    _evolveInventory(initial, schedule, stepsFor = () => 1, onStep = null) {
+        let keys = Array.from(initial.keys());
+        let atoms = Float64Array.from(keys.map(k => initial.get(k)));
+
+        let t = 0;
+        schedule.forEach(seg => {
+            if (!(seg.duration > 0)) return;
+            const { matrix } = this._buildTransmutationMatrix(keys, seg);
+            const carried = new Float64Array(matrix.size);
+            keys.forEach((k, i) => { carried[matrix.index.get(k)] = atoms[i]; });
+            keys = matrix.keys;
+            atoms = carried;
+
+            const steps = Math.max(1, stepsFor(seg));
+            const dt = seg.duration / steps;
+            for (let i = 0; i < steps; i++) {
+                atoms = expmCram(matrix, atoms, dt);
+                t += dt;
+                if (onStep) onStep(t, keys, atoms);
+            }
+        });
+
+        return { keys, atoms };
+    }
+
+    /**
+     * Whole-inventory activity on a time grid spanning the irradiation schedule and cooling.
+     * The inventory is stepped with the matrix exponential, so ingrowth (e.g. Lu-177m → Lu-177)
+     * and every nuclide are carried regardless of the selected engine.
+     * @param {Array<{iso: string, massG: number}>} sources Initial target nuclides
+     * @param {number|Array} flux Neutron flux, or an irradiation schedule (see Schedule.js)
+     * @param {Object} options
+     * @param {number} options.points Approximate number of grid points (default 80)
+     * @param {number} options.extraCoolingS Decay time appended after the schedule (default 0)
+     * @param {number} options.maxSeries Nuclides returned as separate series (default 8)
+     * @returns {{times: number[], eob: number, total: number[], series: Array<{Isotope: string, values: number[]}>}}
+     *          times in seconds from the start of irradiation, activities in Bq
+     */
+    activityTimeSeries(sources, flux, tIrrS, tCoolS, options = {}) {
+        const points = options.points || 80;
+        const maxSeries = options.maxSeries || 8;
+        const schedule = normalizeSchedule(flux, tIrrS, tCoolS);
+        if (options.extraCoolingS > 0) schedule.push(createSegment(options.extraCoolingS, 0, 'Cooling'));
+
+        const totalS = scheduleDuration(schedule);
+        const eob = endOfBombardment(schedule);
+
+        const times = [0];
+        const snapshots = [new Map()];
+
+        // Every segment gets a few points so short irradiations stay visible next to long cooling
+        const stepsFor = seg => Math.max(8, Math.round(points * seg.duration / (totalS || 1)));
+        this._evolveInventory(this._initialInventory(sources), schedule, stepsFor, (t, keys, atoms) => {
+            const snap = new Map();
+            keys.forEach((iso, i) => {
+                const a = atoms[i] * (this.lambdaCache.get(iso) || 0);
+                if (a > 1e-20) snap.set(iso, a);
+            });
+            times.push(t);
+            snapshots.push(snap);
+        });
+
+        // Rank nuclides by peak activity over the grid
+        const peaks = new Map();
+        snapshots.forEach(snap => snap.forEach((a, iso) => {
+            if (a > (peaks.get(iso) || 0)) peaks.set(iso, a);
+        }));
+        const top = Array.from(peaks.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, maxSeries)
+            .map(([iso]) => iso);
+
+        return {
+            times,
+            eob,
+            total: snapshots.map(snap => Array.from(snap.values()).reduce((a, b) => a + b, 0)),
+            series: top.map(iso => ({ Isotope: iso, values: snapshots.map(snap => snap.get(iso) || 0) }))
+        };
+    }
+
+    /**
+     * Activity per nuclide after each cooling time: the schedule is evolved to EOB once and
+     * that inventory is decayed to every point.
+     * @returns {{keys: string[], snapshots: Array<Map<string, number>>}} Nuclides of the EOB
+     *          inventory, and activity [Bq] per nuclide for each cooling time
+     */
+    _coolingSnapshots(sources, flux, tIrrS, tCoolS, coolingTimesS) {
+        const schedule = coolingSchedule(normalizeSchedule(flux, tIrrS, tCoolS), 0);
+        const eob = this._evolveInventory(this._initialInventory(sources), schedule);
+        const atEob = new Map(eob.keys.map((k, i) => [k, eob.atoms[i]]));
+
+        const snapshots = coolingTimesS.map(t => {
+            const { keys, atoms } = t > 0
+                ? this._evolveInventory(atEob, [createSegment(t, 0, 'Cooling')])
+                : eob;
+            const activity = new Map();
+            keys.forEach((iso, i) => activity.set(iso, atoms[i] * (this.lambdaCache.get(iso) || 0)));
+            return activity;
+        });
+        return { keys: eob.keys, snapshots };
+    }
+
+    /**
+     * Inventory after each cooling time after EOB (e.g. for decay heat over cooling).
+     * @param {Array<{iso: string, massG: number}>} sources Initial target nuclides
+     * @param {number|Array} flux Neutron flux, or an irradiation schedule (see Schedule.js)
+     * @param {number[]} coolingTimesS Cooling times after EOB [s] (0 = EOB)
+     * @returns {Array<Array<{Isotope: string, Activity: number}>>} Active nuclides per cooling time
+     */
+    coolingActivities(sources, flux, tIrrS, tCoolS, coolingTimesS) {
+        return this._coolingSnapshots(sources, flux, tIrrS, tCoolS, coolingTimesS).snapshots
+            .map(activity => Array.from(activity, ([Isotope, Activity]) => ({ Isotope, Activity }))
+                .filter(r => r.Activity > 1e-20));
+    }
+
+    /**
+     * Metastable and ground-state activities of every isomer pair in the inventory (both
+     * radioactive), at EOB
+     * and after the given cooling times. IT ingrowth of the ground state is included.
+     * @param {Array<{iso: string, massG: number}>} sources Initial target nuclides
+     * @param {number|Array} flux Neutron flux, or an irradiation schedule (see Schedule.js)
+     * @param {number[]} coolingTimesS Cooling times after EOB [s] (0 = EOB)
+     * @returns {Array<{Isomer: string, Ground: string, ITBranch: number, IsomericRatio: number|null,
+     *          points: Array<{t: number, Isomer: number, Ground: number, Ratio: number|null}>}>}
+     *          Activities in Bq, Ratio = A(isomer)/A(ground); sorted by the largest activity of the pair
+     */
+    isomerEvolution(sources, flux, tIrrS, tCoolS, coolingTimesS) {
+        const { keys: eobKeys, snapshots } = this._coolingSnapshots(sources, flux, tIrrS, tCoolS, coolingTimesS);
+
+        const pairs = [];
+        eobKeys.forEach(isomer => {
+            const ground = isomer.replace(/m\d*$/, '');
+            // Pairs with a stable ground state have no ratio to report
+            if (ground === isomer || !(this.lambdaCache.get(isomer) > 0) || !(this.lambdaCache.get(ground) > 0)) return;
+
+            const points = coolingTimesS.map((t, i) => {
+                const a = snapshots[i].get(isomer) || 0;
+                const g = snapshots[i].get(ground) || 0;
+                return { t, Isomer: a, Ground: g, Ratio: g > 0 ? a / g : null };
+            });
+            const peak = Math.max(...points.map(p => Math.max(p.Isomer, p.Ground)));
+            if (!(peak > 0) || !points.some(p => p.Isomer > 0)) return;
+
+            const it = (this.decayMap.get(isomer) || [])
+                .filter(d => d.child === ground)
+                .reduce((sum, d) => sum + d.br, 0);
+            // Isomeric ratio of the direct capture route, if the inventory has its target
+            const route = sources
+                .map(src => parseIsotopeClean(src.iso))
+                .flatMap(p => this.xsMap.get(getUniqueId(p.symbol, p.massNumber, p.metastable)) || [])
+                .find(rx => rx.child === isomer && rx.isomericRatio !== undefined);
+
+            pairs.push({
+                Isomer: isomer,
+                Ground: ground,
+                ITBranch: it,
+                IsomericRatio: route ? route.isomericRatio : null,
+                points,
+                peak
+            });
+        });
+
+        return pairs
+            .sort((a, b) => b.peak - a.peak)
+            .map(({ peak, ...pair }) => pair);
+    }
+
+    // =========================================================================
+    // PRODUCT REPORT (SPECIFIC ACTIVITY / CARRIER)
+    // =========================================================================
+
+    /**
+     * Specific activity, carrier content and target burn-up at the end of the schedule.
+     * Element mass counts every isotope of the product's element left in the sample
+     * (unreacted target, stable carrier and the product itself).
+     * @param {Array<{iso: string, massG: number}>} sources Initial target nuclides
+     * @param {number|Array} flux Neutron flux, or an irradiation schedule (see Schedule.js)
+     * @param {number} maxProducts Number of products (by activity) to report
+     * @returns {{targets: Array<{Isotope: string, InitialAtoms: number, FinalAtoms: number, BurnUp: number}>,
+     *            products: Array<{Isotope: string, Element: string, Activity: number, ElementMassG: number,
+     *            SpecificActivity: number, CarrierFreeSA: number, Ratio: number}>}}
+     *          Specific activities in Bq per gram of element
+     */
+    productReport(sources, flux, tIrrS, tCoolS, maxProducts = 8) {
+        const schedule = normalizeSchedule(flux, tIrrS, tCoolS);
+        const initial = this._initialInventory(sources);
+        const { keys, atoms } = this._evolveInventory(initial, schedule);
+
+        const final = new Map();
+        keys.forEach((iso, i) => final.set(iso, atoms[i]));
+
+        const massNumber = iso => parseFloat((iso.match(/-(\d+)/) || [])[1]) || 0;
+        const symbolOf = iso => iso.split('-')[0];
+
+        const elementMass = new Map();
+        final.forEach((n, iso) => {
+            const sym = symbolOf(iso);
+            elementMass.set(sym, (elementMass.get(sym) || 0) + (n * massNumber(iso)) / AVOGADRO);
+        });
+
+        // Burn-up counts neutron absorption only, so in-growth from lighter isotopes does not hide it
+        const targets = Array.from(initial.entries()).map(([iso, n0]) => {
+            const lam = this.lambdaCache.get(iso) || 0;
+            const exposure = schedule.reduce((sum, seg) => sum + (this.getRemovalRate(iso, seg) - lam) * seg.duration, 0);
+            return { Isotope: iso, InitialAtoms: n0, FinalAtoms: final.get(iso) || 0, BurnUp: 1 - Math.exp(-exposure) };
+        });
+
+        const products = [];
+        final.forEach((n, iso) => {
+            const lam = this.lambdaCache.get(iso) || 0;
+            const activity = n * lam;
+            if (!(activity > 1e-20)) return;
+            const a = massNumber(iso) || 1;
+            const sym = symbolOf(iso);
+            const elemMassG = elementMass.get(sym) || 0;
+            const specificActivity = elemMassG > 0 ? activity / elemMassG : 0;
+            const carrierFreeSA = (lam * AVOGADRO) / a;
+            products.push({
+                Isotope: iso,
+                Element: sym,
+                Activity: activity,
+                ElementMassG: elemMassG,
+                SpecificActivity: specificActivity,
+                CarrierFreeSA: carrierFreeSA,
+                Ratio: carrierFreeSA > 0 ? specificActivity / carrierFreeSA : 0
+            });
+        });
+        products.sort((x, y) => y.Activity - x.Activity);
+
+        return { targets, products: products.slice(0, maxProducts) };
+    }
+
+    /**
+     * Run the same scenario through both engines and compare activity per nuclide.
+     * @returns {Array<{Isotope: string, Bateman: number, Cram: number, RelDiff: number}>}
+     */
+    compareEngines(parentIso, massG, flux, tIrrS, tCoolS, abundance = 1.0) {
+        const previous = this.engine;
+        const byIso = new Map();
+        const collect = (rows, field) => {
+            rows.forEach(r => {
+                if (!byIso.has(r.Isotope)) byIso.set(r.Isotope, { Isotope: r.Isotope, Bateman: 0, Cram: 0 });
+                byIso.get(r.Isotope)[field] += r.Activity;
+            });
+        };
+
+        try {
+            this.setEngine('bateman');
+            collect(this.solveTarget(parentIso, massG, flux, tIrrS, tCoolS, abundance), 'Bateman');
+            this.setEngine('cram');
+            collect(this.solveTarget(parentIso, massG, flux, tIrrS, tCoolS, abundance), 'Cram');
+        } finally {
+            this.engine = previous;
+        }
+
+        return Array.from(byIso.values())
+            .map(r => {
+                const ref = Math.max(r.Bateman, r.Cram);
+                return { ...r, RelDiff: ref > 0 ? (r.Cram - r.Bateman) / ref : 0 };
+            })
+            .sort((a, b) => Math.max(b.Bateman, b.Cram) - Math.max(a.Bateman, a.Cram));
+    }
+
+    /**
+     * Run the same scenario with each evaluated library (ENDF/B-VIII.1, JENDL, JEFF) and
+     * report the activity spread per nuclide. The active library is restored afterwards.
+     * @returns {{rows: Array<{Isotope: string, endf: number, jendl: number, jeff: number, Spread: number}>,
+     *            coverage: Object<string, {evaluated: number, fallback: number}>}}
+     */
+    compareLibraries(parentIso, massG, flux, tIrrS, tCoolS, abundance = 1.0) {
+        const previous = this.library;
+        const libraries = ['endf', 'jendl', 'jeff'];
+        const byIso = new Map();
+        const coverage = {};
+
+        try {
+            libraries.forEach(lib => {
+                this.setLibrary(lib);
+                coverage[lib] = { ...this.libraryStats };
+                this.solveTarget(parentIso, massG, flux, tIrrS, tCoolS, abundance).forEach(r => {
+                    if (!byIso.has(r.Isotope)) byIso.set(r.Isotope, { Isotope: r.Isotope, endf: 0, jendl: 0, jeff: 0 });
+                    byIso.get(r.Isotope)[lib] += r.Activity;
+                });
+            });
+        } finally {
+            this.setLibrary(previous);
+        }
+
+        const rows = Array.from(byIso.values())
+            .map(r => {
+                const values = libraries.map(lib => r[lib]);
+                const hi = Math.max(...values);
+                const lo = Math.min(...values);
+                return { ...r, Spread: hi > 0 ? (hi - lo) / hi : 0 };
+            })
+            .sort((a, b) => Math.max(b.endf, b.jendl, b.jeff) - Math.max(a.endf, a.jendl, a.jeff));
+
+        return { rows, coverage };
+    }
+
     // =========================================================================
     // WASTE COMPLIANCE
     // =========================================================================
@@ -310,13 +1171,14 @@ export class NuclearSolver {
      * @param {Object} impurities Map of { Symbol: ppm }
      * @param {string|null} mainElement Symbol of main element (optional)
      * @param {number} mainMassG Mass of the main element/sample
-     * @param {number} flux Neutron flux
+     * @param {number|Array} flux Neutron flux, or an irradiation schedule (see Schedule.js)
      * @param {number} timeS Irradiation time in seconds
      * @param {number} coolS Cooling time in seconds
      * @param {number} wasteMassG Total mass of the waste container
      * @param {string} limitType 'clearance' or 'exemption'
+     * @param {Function} onProgress Optional (done, total, element), called before each element is solved
      */
-    calculateWasteCompliance(impurities, mainElement, mainMassG, flux, timeS, coolS, wasteMassG, limitType = 'clearance') {
+    calculateWasteCompliance(impurities, mainElement, mainMassG, flux, timeS, coolS, wasteMassG, limitType = 'clearance', onProgress = null) {
         const inventoryTotal = new Map();
 
         // 1. Prepare list of elements to simulate
@@ -327,9 +1189,11 @@ export class NuclearSolver {
         }
 
         // 2. Iterate and Solve
-        Object.entries(elementsToSim).forEach(([sym, ppm]) => {
+        const entries = Object.entries(elementsToSim);
+        entries.forEach(([sym, ppm], i) => {
             const symClean = (sym || '').toString().trim();
             if (!symClean) return;
+            if (onProgress) onProgress(i, entries.length, symClean);
 
             // Calculate active mass of this element in the sample
             // If it's the main element, we take the full mass (or adjusted by purity if we wanted to be strict)
@@ -429,7 +1293,7 @@ export class NuclearSolver {
     /**
      * Calculates the maximum allowed PPM for a list of elements.
      * @param {string[]} elementsList List of element symbols
-     * @param {number} flux
+     * @param {number|Array} flux Neutron flux, or an irradiation schedule (see Schedule.js)
      * @param {number} timeS
      * @param {number} coolS
      * @param {number} wasteMassG
@@ -437,12 +1301,14 @@ export class NuclearSolver {
      * @param {string} limitType 'clearance' or 'exemption'
      * @param {Object} fractions Map { Symbol: FractionDecimal } (default 1.0)
      * @param {Object} wasteFractions Map { Symbol: WasteFractionDecimal } (default 1.0)
+     * @param {Function} onProgress Optional (done, total, element), called before each element is solved
      */
-    calculateMaxPPM(elementsList, flux, timeS, coolS, wasteMassG, sampleMassG, limitType = 'clearance', fractions = {}, wasteFractions = {}) {
+    calculateMaxPPM(elementsList, flux, timeS, coolS, wasteMassG, sampleMassG, limitType = 'clearance', fractions = {}, wasteFractions = {}, onProgress = null) {
         const rows = [];
         const uniqueElements = [...new Set(elementsList.map(e => (e || '').toString().trim()).filter(x => x))];
 
-        uniqueElements.forEach(elemSym => {
+        uniqueElements.forEach((elemSym, i) => {
+            if (onProgress) onProgress(i, uniqueElements.length, elemSym);
             // Get user params for this element
             const f_elem = fractions[elemSym] !== undefined ? fractions[elemSym] : 1.0;
             const f_waste = wasteFractions[elemSym] !== undefined ? wasteFractions[elemSym] : 1.0;
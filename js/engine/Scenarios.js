@@ -0,0 +1,157 @@
+/**
+ * Scenarios.js
+ * Calculation scenarios described as plain objects (JSON), run through a NuclearSolver and
+ * reduced to comparable figures: activity per nuclide, total activity, waste sum index and
+ * element max-ppm. Times are in days and masses in grams, as in the calculator tabs.
+ * Pure math, no DOM access.
+ */
+
+import { SECONDS_PER_DAY } from '../utils/Constants.js';
+
+export const SCENARIO_TYPES = ['single', 'impurity', 'waste', 'maxppm'];
+
+/**
+ * Scenarios the database comparison reruns unless the user saved their own set.
+ */
+export const DEFAULT_REFERENCE_SCENARIOS = [
+    { name: 'Lu-177 production', type: 'single', target: 'Lu-176', mass: 1, flux: 1e14, timeDays: 7, coolDays: 1 },
+    { name: 'Co-60 source', type: 'single', target: 'Co', mass: 1, flux: 1e13, timeDays: 365, coolDays: 30 },
+    {
+        name: 'Steel impurities', type: 'impurity', impurities: { Co: 100, Eu: 1, Cs: 1, Ag: 5 },
+        mass: 1000, flux: 1e13, timeDays: 30, coolDays: 365
+    },
+    {
+        name: 'Aluminium waste', type: 'waste', impurities: { Co: 10, Eu: 0.5, Cs: 0.5, Ag: 1, Sc: 1 },
+        mass: 1000, wasteMass: 1000, flux: 1e13, timeDays: 30, coolDays: 365, limitType: 'clearance'
+    },
+    {
+        name: 'Max ppm', type: 'maxppm', elements: ['Co', 'Eu', 'Cs', 'Ag', 'Sc', 'Ta'],
+        mass: 1000, wasteMass: 1000, flux: 1e13, timeDays: 30, coolDays: 365, limitType: 'clearance'
+    }
+];
+
+/**
+ * Check a list of scenarios and fill the optional fields.
+ * Fields: name, type, flux [n/cm²·s], timeDays, coolDays, mass [g] and per type
+ *   single:   target (isotope 'Lu-176', element or material)
+ *   impurity: impurities { element: ppm of mass }
+ *   waste:    impurities, matrix (optional main element, pure), wasteMass, limitType
+ *   maxppm:   elements [symbols], or { symbol: ppm present } to check them against the limit;
+ *             wasteMass, limitType, fractions / wasteFractions as in calculateMaxPPM
+ * @param {Array<Object>} list Parsed JSON
+ * @returns {Array<Object>} Normalised copies
+ */
+export function validateScenarios(list) {
+    if (!Array.isArray(list)) throw new Error('Scenarios must be a JSON array');
+    return list.map((s, i) => {
+        const label = `Scenario ${i + 1}${s && s.name ? ` (${s.name})` : ''}`;
+        if (!s || typeof s !== 'object') throw new Error(`${label}: not an object`);
+        if (!SCENARIO_TYPES.includes(s.type)) {
+            throw new Error(`${label}: type must be one of ${SCENARIO_TYPES.join(', ')}`);
+        }
+        const out = {
+            ...s,
+            name: (s.name || `${s.type} ${i + 1}`).toString(),
+            flux: Number(s.flux),
+            timeDays: Number(s.timeDays),
+            coolDays: Number(s.coolDays || 0),
+            mass: Number(s.mass)
+        };
+        if (!(out.flux > 0)) throw new Error(`${label}: flux must be positive`);
+        if (!(out.timeDays > 0)) throw new Error(`${label}: timeDays must be positive`);
+        if (!(out.coolDays >= 0)) throw new Error(`${label}: coolDays cannot be negative`);
+        if (!(out.mass > 0)) throw new Error(`${label}: mass must be positive`);
+
+        if (s.type === 'single' && !(s.target || '').toString().trim()) throw new Error(`${label}: target is required`);
+        if (s.type === 'impurity' || s.type === 'waste') {
+            const entries = Object.entries(s.impurities || {});
+            if (entries.length === 0) throw new Error(`${label}: impurities { element: ppm } are required`);
+            if (entries.some(([, ppm]) => !(Number(ppm) >= 0))) throw new Error(`${label}: impurity ppm must be a number ≥ 0`);
+        }
+        if (s.type === 'maxppm') {
+            const given = Array.isArray(s.elements) ? s.elements : Object.keys(s.elements || {});
+            if (given.length === 0) throw new Error(`${label}: elements [...] or { element: ppm } are required`);
+            if (!Array.isArray(s.elements) && Object.values(s.elements).some(ppm => !(Number(ppm) >= 0))) {
+                throw new Error(`${label}: element ppm must be a number ≥ 0`);
+            }
+        }
+        if (s.type === 'waste' || s.type === 'maxppm') {
+            out.wasteMass = Number(s.wasteMass || s.mass);
+            out.limitType = s.limitType || 'clearance';
+            if (!['clearance', 'exemption'].includes(out.limitType)) {
+                throw new Error(`${label}: limitType must be clearance or exemption`);
+            }
+        }
+        return out;
+    });
+}
+
+/**
+ * Run one (validated) scenario.
+ * @param {NuclearSolver} solver
+ * @param {Object} s Scenario
+ * @returns {{name: string, type: string, activity: Map<string, number>, totalActivity: number,
+ *           sumIndex: number|null, compliant: boolean|null, maxPPM: Map<string, number>, rows: Array}}
+ *          Activity in Bq per nuclide; maxPPM per element (maxppm only); compliant for waste, and for
+ *          maxppm with element concentrations; rows are the raw solver rows
+ */
+export function runScenario(solver, s) {
+    const tIrrS = s.timeDays * SECONDS_PER_DAY;
+    const tCoolS = s.coolDays * SECONDS_PER_DAY;
+    const result = {
+        name: s.name,
+        type: s.type,
+        activity: new Map(),
+        totalActivity: 0,
+        sumIndex: null,
+        compliant: null,
+        maxPPM: new Map(),
+        rows: []
+    };
+    const addActivity = (iso, a) => {
+        if (!(a > 0)) return;
+        result.activity.set(iso, (result.activity.get(iso) || 0) + a);
+        result.totalActivity += a;
+    };
+
+    if (s.type === 'single') {
+        // An isotope such as 'Lu-176' is solved alone; an element or material with its abundances
+        const target = s.target.toString().trim();
+        result.rows = /-\d/.test(target) && !solver.isMaterial(target)
+            ? solver.solveTarget(target, s.mass, s.flux, tIrrS, tCoolS)
+            : solver.solveElement(target, s.mass, s.flux, tIrrS, tCoolS);
+        result.rows.forEach(r => addActivity(r.Isotope, r.Activity));
+    } else if (s.type === 'impurity') {
+        Object.entries(s.impurities).forEach(([sym, ppm]) => {
+            const massG = s.mass * Number(ppm) * 1e-6;
+            if (!(massG > 0)) return;
+            const rows = solver.solveElement(sym, massG, s.flux, tIrrS, tCoolS);
+            result.rows.push(...rows);
+            rows.forEach(r => addActivity(r.Isotope, r.Activity));
+        });
+    } else if (s.type === 'waste') {
+        const impurities = {};
+        Object.entries(s.impurities).forEach(([sym, ppm]) => { impurities[sym] = Number(ppm); });
+        const waste = solver.calculateWasteCompliance(
+            impurities, s.matrix || null, s.mass, s.flux, tIrrS, tCoolS, s.wasteMass, s.limitType
+        );
+        result.rows = waste.results;
+        waste.results.forEach(r => addActivity(r.Isotope, r.ActivityTotal));
+        result.sumIndex = waste.summary.sumIndex;
+        result.compliant = waste.summary.isCompliant;
+    } else if (s.type === 'maxppm') {
+        const present = Array.isArray(s.elements) ? null : s.elements;
+        result.rows = solver.calculateMaxPPM(
+            present ? Object.keys(present) : s.elements, s.flux, tIrrS, tCoolS, s.wasteMass, s.mass, s.limitType, s.fractions || {}, s.wasteFractions || {}
+        );
+        result.rows.forEach(r => {
+            if (!result.maxPPM.has(r.Element)) result.maxPPM.set(r.Element, r.ElemMaxPPM);
+        });
+        // Elements without limited products have no max ppm and always pass
+        if (present) {
+            result.compliant = Object.entries(present)
+                .every(([el, ppm]) => !result.maxPPM.has(el) || Number(ppm) <= result.maxPPM.get(el));
+        }
+    }
+    return result;
+}
@@ -0,0 +1,87 @@
+/**
+ * Schedule.js
+ * Irradiation schedule model for multi-cycle reactor campaigns.
+ * A schedule is an ordered list of segments { duration [s], flux [n/cm²·s], label, f, alpha };
+ * a segment with zero flux is a shutdown / decay period. f (thermal/epithermal flux ratio)
+ * and alpha (epithermal 1/E^(1+α) shape) describe the spectrum; f = 0 means pure thermal.
+ */
+
+/**
+ * Create a single schedule segment.
+ * @param {number} duration Segment length in seconds
+ * @param {number} flux Thermal neutron flux (0 = decay only)
+ * @param {string} label Optional display label
+ * @param {Object} spectrum Optional { f, alpha } epithermal description
+ */
+export function createSegment(duration, flux = 0, label = '', spectrum = {}) {
+    const d = parseFloat(duration);
+    const phi = parseFloat(flux);
+    const f = parseFloat(spectrum.f);
+    const alpha = parseFloat(spectrum.alpha);
+    return {
+        duration: (isFinite(d) && d > 0) ? d : 0,
+        flux: (isFinite(phi) && phi > 0) ? phi : 0,
+        label: label || '',
+        f: (isFinite(f) && f > 0) ? f : 0,
+        alpha: isFinite(alpha) ? alpha : 0
+    };
+}
+
+/**
+ * The classic single block: one irradiation followed by one cooling period.
+ */
+export function buildSimpleSchedule(flux, tIrrS, tCoolS, spectrum = {}) {
+    const schedule = [createSegment(tIrrS, flux, 'Irradiation', spectrum)];
+    if (tCoolS > 0) schedule.push(createSegment(tCoolS, 0, 'Cooling', spectrum));
+    return schedule;
+}
+
+/**
+ * Accept either a schedule array or the legacy (flux, tIrrS, tCoolS) triple
+ * and return a clean list of segments. Zero-length segments are dropped, but the
+ * result always holds at least one segment so solvers have a starting step.
+ * @param {number|Array<{duration: number, flux: number}>} flux
+ * @param {Object} spectrum { f, alpha } applied to segments that do not carry their own
+ */
+export function normalizeSchedule(flux, tIrrS = 0, tCoolS = 0, spectrum = {}) {
+    if (!Array.isArray(flux)) return buildSimpleSchedule(flux, tIrrS, tCoolS, spectrum);
+
+    const segments = flux
+        .map(seg => createSegment(seg.duration, seg.flux, seg.label, seg.f > 0 ? seg : spectrum))
+        .filter(seg => seg.duration > 0);
+
+    return segments.length > 0 ? segments : [createSegment(0, 0, 'Irradiation')];
+}
+
+/**
+ * Total length of the schedule in seconds.
+ */
+export function scheduleDuration(schedule) {
+    return schedule.reduce((sum, seg) => sum + seg.duration, 0);
+}
+
+/**
+ * Time at which the last irradiated segment ends (end of bombardment), in seconds
+ * from the start of the schedule. 0 if the schedule never irradiates.
+ */
+export function endOfBombardment(schedule) {
+    let t = 0;
+    let eob = 0;
+    schedule.forEach(seg => {
+        t += seg.duration;
+        if (seg.flux > 0) eob = t;
+    });
+    return eob;
+}
+
+/**
+ * The schedule up to end of bombardment followed by a single cooling period.
+ * Used to evaluate the same irradiation at other cooling times.
+ * @param {number} coolS Cooling time after EOB in seconds (0 = at EOB)
+ */
+export function coolingSchedule(schedule, coolS) {
+    const lastIrradiated = schedule.reduce((last, seg, i) => (seg.flux > 0 ? i : last), -1);
+    const segments = schedule.slice(0, lastIrradiated + 1);
+    if (coolS > 0 || segments.length === 0) segments.push(createSegment(coolS, 0, 'Cooling'));
+    return segments;
+}
@@ -0,0 +1,186 @@
+/**
+ * Sensitivity.js
+ * Local sensitivity analysis for NuclearSolver results.
+ * Every cross section, decay constant and branching ratio on the contributing
+ * pathways is perturbed by ±h and the normalized coefficient S = (dR/R) / (dX/X)
+ * is reported per output quantity.
+ * Pure math, no DOM access.
+ */
+
+// Splits "Co-59 (n,g) Co-60 → Ni-60" into [iso, link, iso, link, iso]
+const PATH_LINK = / (→|\([^)]*\)) /;
+
+export class SensitivityAnalysis {
+    /**
+     * @param {NuclearSolver} solver Solver whose maps are perturbed (restored after each run)
+     * @param {Object} options
+     * @param {number} options.relStep Relative perturbation h (default 1%)
+     * @param {number} options.threshold Coefficients with |S| below this are dropped
+     */
+    constructor(solver, options = {}) {
+        this.solver = solver;
+        this.relStep = options.relStep || 0.01;
+        this.threshold = options.threshold !== undefined ? options.threshold : 1e-3;
+    }
+
+    /**
+     * Nuclear data entries used on the pathways of the given result rows.
+     * @param {Array<{Pathway: string}>} rows Rows from solve()/solveElement()
+     * @returns {Array<{label: string, kind: string, apply: Function, restore: Function}>}
+     */
+    collectParameters(rows) {
+        const s = this.solver;
+        const params = new Map();
+
+        const addLambda = (iso) => {
+            const id = `lambda|${iso}`;
+            if (params.has(id) || !s.lambdaCache.has(iso)) return;
+            const nominal = s.lambdaCache.get(iso);
+            params.set(id, {
+                label: `λ(${iso})`,
+                kind: 'Decay constant',
+                apply: f => s.lambdaCache.set(iso, nominal * f),
+                restore: () => s.lambdaCache.set(iso, nominal)
+            });
+        };
+
+        const addReaction = (from, type, to) => {
+            const id = `xs|${from}|${type}|${to}`;
+            if (params.has(id)) return;
+            const rx = (s.xsMap.get(from) || []).find(r => r.child === to && r.type === type);
+            if (!rx) return;
+            const sigma = rx.sigma;
+            const ri = rx.ri;
+            const removal = s.sigmaRemovalCache.get(from) || 0;
+            params.set(id, {
+                label: `σ(${from} ${type} → ${to})`,
+                kind: 'Cross section',
+                apply: f => {
+                    rx.sigma = sigma * f;
+                    if (ri !== undefined) rx.ri = ri * f;
+                    s.sigmaRemovalCache.set(from, removal + sigma * (f - 1));
+                },
+                restore: () => {
+                    rx.sigma = sigma;
+                    if (ri !== undefined) rx.ri = ri;
+                    s.sigmaRemovalCache.set(from, removal);
+                }
+            });
+        };
+
+        const addBranch = (from, to) => {
+            const id = `br|${from}|${to}`;
+            if (params.has(id)) return;
+            const entry = (s.decayMap.get(from) || []).find(d => d.child === to);
+            if (!entry || entry.br >= 1) return; // a single decay mode carries no branching uncertainty
+            const br = entry.br;
+            params.set(id, {
+                label: `BR(${from} → ${to})`,
+                kind: 'Branching ratio',
+                apply: f => { entry.br = br * f; },
+                restore: () => { entry.br = br; }
+            });
+        };
+
+        rows.forEach(row => {
+            const parts = (row.Pathway || '').split(PATH_LINK);
+            for (let i = 0; i < parts.length; i += 2) {
+                addLambda(parts[i]);
+                if (i + 2 >= parts.length) break;
+                const link = parts[i + 1];
+                if (link === '→') addBranch(parts[i], parts[i + 2]);
+                else addReaction(parts[i], link.slice(1, -1), parts[i + 2]);
+            }
+        });
+
+        return Array.from(params.values());
+    }
+
+    /**
+     * Central-difference coefficients for every parameter and output.
+     * @param {Function} scenario () => raw solver output
+     * @param {Function} extract raw output => Map<string, number>
+     * @param {Array} parameters From collectParameters()
+     * @param {Function} onProgress (done, total, parameter) before each parameter; may throw to stop
+     * @returns {{parameters: number, outputs: Array<{Output: string, Nominal: number,
+     *            Coefficients: Array<{Parameter: string, Kind: string, S: number}>}>}}
+     */
+    run(scenario, extract, parameters, onProgress = null) {
+        const h = this.relStep;
+        const nominal = extract(scenario());
+        const coefficients = new Map();
+        nominal.forEach((v, key) => coefficients.set(key, []));
+
+        parameters.forEach((p, i) => {
+            if (onProgress) onProgress(i, parameters.length, p.label);
+            let up;
+            let down;
+            try {
+                p.apply(1 + h);
+                up = extract(scenario());
+                p.apply(1 - h);
+                down = extract(scenario());
+            } finally {
+                p.restore();
+            }
+
+            nominal.forEach((r0, key) => {
+                if (!(r0 > 0)) return;
+                const S = ((up.get(key) || 0) - (down.get(key) || 0)) / (2 * h * r0);
+                if (Math.abs(S) < this.threshold) return;
+                coefficients.get(key).push({ Parameter: p.label, Kind: p.kind, S });
+            });
+        });
+
+        const outputs = [];
+        coefficients.forEach((list, key) => {
+            list.sort((a, b) => Math.abs(b.S) - Math.abs(a.S));
+            outputs.push({ Output: key, Nominal: nominal.get(key), Coefficients: list });
+        });
+
+        return { parameters: parameters.length, outputs };
+    }
+
+    /**
+     * Sensitivity of each nuclide's activity for a solve()/solveElement() style scenario.
+     */
+    activities(scenario) {
+        const rows = scenario();
+        const result = this.run(scenario, out => {
+            const byIso = new Map();
+            out.forEach(r => byIso.set(r.Isotope, (byIso.get(r.Isotope) || 0) + r.Activity));
+            return byIso;
+        }, this.collectParameters(rows));
+        result.outputs.sort((a, b) => b.Nominal - a.Nominal);
+        return result;
+    }
+
+    /**
+     * Sensitivity of the sum index and of each nuclide's limit fraction for
+     * calculateWasteCompliance() (same arguments, onProgress per perturbed parameter).
+     */
+    wasteCompliance(impurities, mainElement, mainMassG, flux, timeS, coolS, wasteMassG, limitType = 'clearance', onProgress = null) {
+        const s = this.solver;
+        const elements = Object.keys(impurities);
+        if (mainElement && !elements.includes(mainElement)) elements.push(mainElement);
+
+        // Pathways that end in a nuclide with a limit
+        const rows = [];
+        elements.forEach(sym => {
+            s.solveElement(sym, 1.0, flux, timeS, coolS, false).forEach(r => {
+                if (s.getLimit(r.Isotope, limitType) < 1e90) rows.push(r);
+            });
+        });
+
+        const scenario = () => s.calculateWasteCompliance(
+            impurities, mainElement, mainMassG, flux, timeS, coolS, wasteMassG, limitType
+        );
+        const result = this.run(scenario, res => {
+            const values = new Map([['Sum index', res.summary.sumIndex]]);
+            res.results.forEach(r => values.set(r.Isotope, r.Fraction));
+            return values;
+        }, this.collectParameters(rows), onProgress);
+        result.outputs.sort((a, b) => (a.Output === 'Sum index' ? -1 : b.Output === 'Sum index' ? 1 : b.Nominal - a.Nominal));
+        return result;
+    }
+}
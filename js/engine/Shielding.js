@@ -0,0 +1,232 @@
+/**
+ * Shielding.js
+ * Shield thickness for a solved inventory: every gamma line is attenuated as
+ * B(E, μx) · exp(−μx), with μ/ρ from NIST XCOM (total, with coherent) and point-isotropic
+ * exposure buildup factors (ANSI/ANS-6.4.3, rounded). Tungsten alloy uses the lead
+ * buildup table and steel the iron table; concrete uses the water table.
+ * Pure math, no DOM access.
+ */
+
+import { h10PerFluence } from './DoseRate.js';
+
+// Energy [MeV] -> μ/ρ [cm²/g]. Absorption edges appear as two points at the same energy.
+const ATTENUATION = {
+    lead: [
+        [0.05, 8.041], [0.06, 5.021], [0.08, 2.419], [0.088, 1.910], [0.088, 7.683], [0.1, 5.549],
+        [0.15, 2.014], [0.2, 0.9985], [0.3, 0.4031], [0.4, 0.2323], [0.5, 0.1614], [0.6, 0.1248],
+        [0.8, 0.0887], [1.0, 0.07102], [1.25, 0.05876], [1.5, 0.05222], [2.0, 0.04606], [3.0, 0.04234],
+        [4.0, 0.04197], [5.0, 0.04272], [6.0, 0.04391], [8.0, 0.04675], [10.0, 0.04972]
+    ],
+    tungsten: [
+        [0.05, 5.949], [0.06, 3.713], [0.0695, 2.552], [0.0695, 11.23], [0.08, 7.81], [0.1, 4.438],
+        [0.15, 1.581], [0.2, 0.7844], [0.3, 0.3238], [0.4, 0.1925], [0.5, 0.1378], [0.6, 0.1093],
+        [0.8, 0.08066], [1.0, 0.06618], [1.25, 0.05577], [1.5, 0.05], [2.0, 0.04433], [3.0, 0.04075],
+        [4.0, 0.04038], [5.0, 0.04103], [6.0, 0.0421], [8.0, 0.04472], [10.0, 0.04747]
+    ],
+    iron: [
+        [0.05, 1.958], [0.06, 1.205], [0.08, 0.5952], [0.1, 0.3717], [0.15, 0.1964], [0.2, 0.146],
+        [0.3, 0.1099], [0.4, 0.094], [0.5, 0.08414], [0.6, 0.07704], [0.8, 0.06699], [1.0, 0.05995],
+        [1.25, 0.0535], [1.5, 0.04883], [2.0, 0.04265], [3.0, 0.03621], [4.0, 0.03312], [5.0, 0.03146],
+        [6.0, 0.03057], [8.0, 0.02991], [10.0, 0.02994]
+    ],
+    concrete: [
+        [0.05, 0.3466], [0.06, 0.2772], [0.08, 0.2113], [0.1, 0.181], [0.15, 0.1483], [0.2, 0.1307],
+        [0.3, 0.111], [0.4, 0.09905], [0.5, 0.08994], [0.6, 0.08305], [0.8, 0.07282], [1.0, 0.0655],
+        [1.25, 0.05852], [1.5, 0.05332], [2.0, 0.04614], [3.0, 0.03795], [4.0, 0.03322], [5.0, 0.03012],
+        [6.0, 0.02795], [8.0, 0.02516], [10.0, 0.02351]
+    ]
+};
+
+// Buildup factor B at μx = BUILDUP_MFP for each tabulated energy [MeV]
+const BUILDUP_MFP = [1, 2, 4, 7, 10, 15, 20];
+const BUILDUP = {
+    lead: [
+        [0.1, [1.05, 1.08, 1.12, 1.16, 1.19, 1.23, 1.27]],
+        [0.5, [1.24, 1.42, 1.69, 2.0, 2.27, 2.65, 2.73]],
+        [1.0, [1.37, 1.69, 2.26, 3.02, 3.74, 4.81, 5.86]],
+        [2.0, [1.39, 1.76, 2.51, 3.66, 4.84, 6.87, 9.0]],
+        [3.0, [1.34, 1.68, 2.43, 3.75, 5.3, 8.44, 12.3]],
+        [6.0, [1.18, 1.4, 1.97, 3.34, 5.69, 13.8, 32.7]],
+        [10.0, [1.11, 1.25, 1.61, 2.58, 4.45, 12.6, 36.5]]
+    ],
+    iron: [
+        [0.1, [1.4, 1.7, 2.3, 3.0, 3.6, 4.5, 5.3]],
+        [0.5, [1.98, 3.09, 5.98, 11.7, 19.2, 35.4, 55.6]],
+        [1.0, [1.87, 2.89, 5.39, 10.2, 16.2, 28.3, 42.7]],
+        [2.0, [1.76, 2.61, 4.52, 8.09, 12.3, 20.4, 29.7]],
+        [3.0, [1.55, 2.26, 3.78, 6.54, 9.86, 16.2, 23.6]],
+        [6.0, [1.34, 1.71, 2.57, 4.12, 6.02, 9.88, 14.8]],
+        [10.0, [1.28, 1.55, 2.18, 3.26, 4.59, 7.34, 11.1]]
+    ],
+    water: [
+        [0.1, [4.55, 11.8, 37.9, 111, 227, 560, 1060]],
+        [0.5, [2.52, 5.14, 14.3, 38.8, 77.6, 178, 334]],
+        [1.0, [2.13, 3.71, 7.68, 16.2, 27.1, 50.4, 82.2]],
+        [2.0, [1.83, 2.77, 4.88, 8.46, 12.4, 19.5, 27.1]],
+        [3.0, [1.69, 2.42, 3.91, 6.23, 8.63, 12.8, 17.0]],
+        [6.0, [1.47, 1.91, 2.76, 3.96, 5.11, 7.02, 8.9]],
+        [10.0, [1.35, 1.63, 2.18, 2.96, 3.69, 4.87, 6.0]]
+    ]
+};
+
+export const SHIELD_MATERIALS = {
+    lead: { label: 'Lead', density: 11.35, attenuation: 'lead', buildup: 'lead', maxCm: 50 },
+    tungsten: { label: 'Tungsten alloy', density: 18.0, attenuation: 'tungsten', buildup: 'lead', maxCm: 40 },
+    steel: { label: 'Steel', density: 7.87, attenuation: 'iron', buildup: 'iron', maxCm: 100 },
+    concrete: { label: 'Concrete', density: 2.3, attenuation: 'concrete', buildup: 'water', maxCm: 400 }
+};
+
+const FOUR_PI_1M2 = 4 * Math.PI * 100 * 100; // cm² at 1 m
+const PSV_H = 1e-12 * 3600;                 // pSv/s -> Sv/h
+
+/**
+ * Log-log interpolation in an [energy, value] table (clamped at the ends).
+ */
+function interpolateLogLog(table, x) {
+    if (x <= table[0][0]) return table[0][1];
+    if (x >= table[table.length - 1][0]) return table[table.length - 1][1];
+    const i = table.findIndex(([e]) => e >= x);
+    const [x0, y0] = table[i - 1];
+    const [x1, y1] = table[i];
+    if (x1 === x0) return y1;
+    const t = Math.log(x / x0) / Math.log(x1 / x0);
+    return Math.exp(Math.log(y0) + t * Math.log(y1 / y0));
+}
+
+/**
+ * Buildup factor at one tabulated energy: linear from B(0) = 1 below 1 mfp,
+ * log-linear in μx between (and beyond) the tabulated depths.
+ */
+function buildupAtEnergy(values, mfp) {
+    if (mfp <= 0) return 1;
+    if (mfp <= BUILDUP_MFP[0]) return 1 + (values[0] - 1) * mfp;
+    let i = BUILDUP_MFP.findIndex(m => m >= mfp);
+    if (i < 0) i = BUILDUP_MFP.length - 1;
+    const [m0, m1] = [BUILDUP_MFP[i - 1], BUILDUP_MFP[i]];
+    const [b0, b1] = [values[i - 1], values[i]];
+    return Math.exp(Math.log(b0) + (mfp - m0) * (Math.log(b1) - Math.log(b0)) / (m1 - m0));
+}
+
+export class ShieldingDesigner {
+    /**
+     * @param {DoseRate} doseRate Gamma line library (see DoseRate.js)
+     */
+    constructor(doseRate) {
+        this.doseRate = doseRate;
+    }
+
+    /**
+     * Linear attenuation coefficient μ [1/cm] of a shield material at E [MeV].
+     */
+    mu(material, energyMeV) {
+        const m = SHIELD_MATERIALS[material];
+        return interpolateLogLog(ATTENUATION[m.attenuation], energyMeV) * m.density;
+    }
+
+    /**
+     * Point-isotropic buildup factor, log-interpolated in energy between the tabulated rows.
+     */
+    buildup(material, energyMeV, mfp) {
+        const table = BUILDUP[SHIELD_MATERIALS[material].buildup];
+        if (energyMeV <= table[0][0]) return buildupAtEnergy(table[0][1], mfp);
+        if (energyMeV >= table[table.length - 1][0]) return buildupAtEnergy(table[table.length - 1][1], mfp);
+        const i = table.findIndex(([e]) => e >= energyMeV);
+        const [e0, v0] = table[i - 1];
+        const [e1, v1] = table[i];
+        const t = Math.log(energyMeV / e0) / Math.log(e1 / e0);
+        const b0 = buildupAtEnergy(v0, mfp);
+        const b1 = buildupAtEnergy(v1, mfp);
+        return Math.exp(Math.log(b0) + t * Math.log(b1 / b0));
+    }
+
+    /**
+     * Unshielded H*(10) rate at 1 m per gamma line of the inventory.
+     * @param {Array<{Isotope: string, Activity: number}>} results Solver rows
+     * @returns {Array<{Isotope: string, energyMeV: number, rate1m: number}>} rate1m in Sv/h
+     */
+    lineSpectrum(results) {
+        const activity = new Map();
+        results.forEach(r => {
+            if (r.Activity > 0) activity.set(r.Isotope, (activity.get(r.Isotope) || 0) + r.Activity);
+        });
+
+        const spectrum = [];
+        activity.forEach((A, iso) => {
+            (this.doseRate.lines.get(iso) || []).forEach(l => {
+                const energyMeV = l.energyKeV / 1000;
+                const rate1m = (A * l.yield * h10PerFluence(energyMeV) / FOUR_PI_1M2) * PSV_H;
+                if (rate1m > 0) spectrum.push({ Isotope: iso, energyMeV, rate1m });
+            });
+        });
+        return spectrum;
+    }
+
+    /**
+     * Dose rate behind the shield [Sv/h] and the contribution of each line.
+     */
+    shieldedRate(spectrum, material, thicknessCm, distanceM) {
+        const geometry = 1 / (distanceM * distanceM);
+        let total = 0;
+        const lines = spectrum.map(l => {
+            const mfp = this.mu(material, l.energyMeV) * thicknessCm;
+            const rate = l.rate1m * geometry * this.buildup(material, l.energyMeV, mfp) * Math.exp(-mfp);
+            total += rate;
+            return { ...l, rate };
+        });
+        return { total, lines };
+    }
+
+    /**
+     * Thickness of one material that brings the dose rate at the given distance below the target.
+     * @param {Object} p { results, material, targetSvH, distanceM }
+     * @returns {{material: string, label: string, thicknessCm: number|null, unshielded: number,
+     *            shielded: number, reachable: boolean, dominant: Array<{Isotope, energyMeV, rate}>}}
+     */
+    requiredThickness(p) {
+        const m = SHIELD_MATERIALS[p.material];
+        if (!m) throw new Error(`Unknown shield material: ${p.material}`);
+        if (!(p.distanceM > 0)) throw new Error('Distance must be positive');
+        if (!(p.targetSvH > 0)) throw new Error('Target dose rate must be positive');
+
+        const spectrum = p.spectrum || this.lineSpectrum(p.results);
+        const unshielded = this.shieldedRate(spectrum, p.material, 0, p.distanceM).total;
+
+        const result = (thicknessCm, reachable) => {
+            const shielded = this.shieldedRate(spectrum, p.material, thicknessCm, p.distanceM);
+            return {
+                material: p.material,
+                label: m.label,
+                thicknessCm: reachable ? thicknessCm : null,
+                unshielded,
+                shielded: shielded.total,
+                reachable,
+                dominant: shielded.lines.sort((a, b) => b.rate - a.rate).slice(0, 3)
+            };
+        };
+
+        if (unshielded <= p.targetSvH) return result(0, true);
+        if (this.shieldedRate(spectrum, p.material, m.maxCm, p.distanceM).total > p.targetSvH) {
+            return result(m.maxCm, false);
+        }
+
+        // Transmission falls monotonically with thickness: bisect to 0.01 mm
+        let lo = 0;
+        let hi = m.maxCm;
+        while (hi - lo > 1e-3) {
+            const mid = 0.5 * (lo + hi);
+            if (this.shieldedRate(spectrum, p.material, mid, p.distanceM).total > p.targetSvH) lo = mid;
+            else hi = mid;
+        }
+        return result(hi, true);
+    }
+
+    /**
+     * requiredThickness() for every shield material.
+     */
+    designAll(results, targetSvH, distanceM) {
+        const spectrum = this.lineSpectrum(results);
+        return Object.keys(SHIELD_MATERIALS).map(material =>
+            this.requiredThickness({ spectrum, material, targetSvH, distanceM })
+        );
+    }
+}
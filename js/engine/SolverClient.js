@@ -0,0 +1,167 @@
+/**
+ * SolverClient.js
+ * Runs NuclearSolver calculations in a Web Worker (SolverWorker.js) so long impurity and
+ * limit lists do not freeze the page. Message API:
+ *   → { type: 'init', tables }                               build the worker's solver
+ *   → { type: 'configure', materials, importedChains }       keep it in step with the page
+ *   → { type: 'run', id, job: { method, args }, settings: { library, engine } }
+ *   ← { type: 'ready' }
+ *   ← { type: 'progress', id, done, total, label }
+ *   ← { type: 'result', id, result } | { type: 'error', id, message }
+ * One job runs at a time. Cancelling terminates the worker; the next job starts a fresh one.
+ * Where workers cannot start (pages opened from file://, older browsers) jobs run on the page
+ * solver after the progress overlay has painted, and can only be cancelled before they start.
+ */
+
+import { runSolverJob, SolverCancelled } from './SolverJobs.js';
+
+// Relative to index.html; the version follows app.bundle.js?v= there
+export const SOLVER_WORKER_URL = './js/engine/SolverWorker.js?v=1.15';
+
+export class SolverClient {
+    /**
+     * @param {NuclearSolver} solver Page solver: library and engine of each job, and the fallback
+     * @param {Object} tables { xsData, chainData, limitsData, resonanceData, isomerData }
+     * @param {string} workerUrl
+     */
+    constructor(solver, tables, workerUrl = SOLVER_WORKER_URL) {
+        this.solver = solver;
+        this.tables = tables;
+        this.workerUrl = workerUrl;
+        this.config = { materials: {}, importedChains: [] };
+        this.useWorker = typeof Worker !== 'undefined';
+        this.worker = null;
+        this.ready = false;
+        this.job = null; // { id, job, settings, resolve, reject, onProgress, timer }
+        this.nextId = 1;
+    }
+
+    get busy() {
+        return this.job !== null;
+    }
+
+    /**
+     * Materials (Presets.getMaterials()) and imported decay chain rows of the page solver.
+     */
+    configure(config) {
+        Object.assign(this.config, config);
+        if (this.worker) this.worker.postMessage({ type: 'configure', ...this.config });
+    }
+
+    /**
+     * Run a job (see SOLVER_JOBS) with the page solver's current library and engine.
+     * @param {string} method
+     * @param {Array} args
+     * @param {Function} onProgress (done, total, element)
+     * @returns {Promise} Job result; rejects with SolverCancelled when cancelled
+     */
+    run(method, args, onProgress = null) {
+        if (this.job) return Promise.reject(new Error('Another calculation is still running'));
+        return new Promise((resolve, reject) => {
+            this.job = {
+                id: this.nextId++,
+                job: { method, args },
+                settings: { library: this.solver.library, engine: this.solver.engine },
+                resolve,
+                reject,
+                onProgress,
+                timer: null
+            };
+            this.start();
+            if (this.worker) this._post(this.job);
+            else this._runInline();
+        });
+    }
+
+    /**
+     * Stop the running job.
+     * @returns {boolean} false when nothing was running
+     */
+    cancel() {
+        if (!this.job) return false;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+            this.ready = false;
+        }
+        clearTimeout(this.job.timer);
+        this._finish(new SolverCancelled());
+        return true;
+    }
+
+    /**
+     * Start the worker ahead of the first job, so it has built its solver by then.
+     */
+    start() {
+        if (!this.useWorker || this.worker) return;
+        let worker;
+        try {
+            worker = new Worker(this.workerUrl);
+        } catch (e) {
+            console.warn('Solver worker unavailable, calculating on the page:', e.message);
+            this.useWorker = false;
+            return;
+        }
+        worker.onmessage = (e) => this._onMessage(e.data);
+        worker.onerror = (e) => this._onWorkerError(e);
+        worker.postMessage({ type: 'init', tables: this.tables });
+        worker.postMessage({ type: 'configure', ...this.config });
+        this.worker = worker;
+    }
+
+    _post(job) {
+        this.worker.postMessage({ type: 'run', id: job.id, job: job.job, settings: job.settings });
+    }
+
+    _onMessage(msg) {
+        if (msg.type === 'ready') {
+            this.ready = true;
+            return;
+        }
+        // Messages of a cancelled job may still arrive
+        if (!this.job || msg.id !== this.job.id) return;
+        if (msg.type === 'progress' && this.job.onProgress) this.job.onProgress(msg.done, msg.total, msg.label);
+        if (msg.type === 'result') this._finish(null, msg.result);
+        if (msg.type === 'error') this._finish(new Error(msg.message));
+    }
+
+    _onWorkerError(e) {
+        if (e.preventDefault) e.preventDefault();
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        if (!this.ready) {
+            // The worker script did not load: calculate on the page from now on
+            console.warn('Solver worker failed to start, calculating on the page:', e.message);
+            this.useWorker = false;
+            if (this.job) this._runInline();
+            return;
+        }
+        this.ready = false;
+        if (this.job) this._finish(new Error(e.message || 'Solver worker stopped'));
+    }
+
+    _runInline() {
+        const job = this.job;
+        // Let the page paint the progress overlay before the solver blocks it
+        job.timer = setTimeout(() => {
+            if (this.job !== job) return;
+            try {
+                const onProgress = (done, total, label) => {
+                    if (this.job !== job) throw new SolverCancelled();
+                    if (job.onProgress) job.onProgress(done, total, label);
+                };
+                this._finish(null, runSolverJob(this.solver, job.job, job.settings, onProgress));
+            } catch (err) {
+                this._finish(err);
+            }
+        }, 0);
+    }
+
+    _finish(err, result) {
+        const job = this.job;
+        if (!job) return;
+        this.job = null;
+        if (err) job.reject(err);
+        else job.resolve(result);
+    }
+}
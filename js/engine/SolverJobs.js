@@ -0,0 +1,128 @@
+/**
+ * SolverJobs.js
+ * NuclearSolver calculations that can run away from the page (see SolverClient.js). A job
+ * names a calculation and carries structured-clone-safe arguments; progress is reported
+ * per element, sample, iteration or parameter as (done, total, label). Shared by the worker
+ * and the in-page fallback.
+ * Pure math, no DOM access.
+ */
+
+import { runSampleBatch } from './Batch.js';
+import { MonteCarlo } from './Uncertainty.js';
+import { SensitivityAnalysis } from './Sensitivity.js';
+import { GoalSeek } from './GoalSeek.js';
+import { DoseRate } from './DoseRate.js';
+import { HPGeDetector, GammaSpectrumSimulator } from './GammaSpectrum.js';
+import { DetectionLimitEstimator } from './DetectionLimits.js';
+import { buildVersionSolver, diffDatabases, compareScenarios } from '../store/DatabaseDiff.js';
+
+export class SolverCancelled extends Error {
+    constructor() {
+        super('Calculation cancelled');
+        this.name = 'SolverCancelled';
+    }
+}
+
+/**
+ * Job runners by method name: (solver, args, progress) => result.
+ */
+export const SOLVER_JOBS = {
+    // args: [[{ sym, massG }], flux or schedule, tIrrS, tCoolS]; rows of every element, not merged
+    solveElements: (solver, [entries, flux, tIrrS, tCoolS], progress) => {
+        const rows = [];
+        entries.forEach(({ sym, massG }, i) => {
+            progress(i, entries.length, sym);
+            rows.push(...solver.solveElement(sym, massG, flux, tIrrS, tCoolS));
+        });
+        return rows;
+    },
+    // args as NuclearSolver.solveTarget
+    solveTarget: (solver, args, progress) => {
+        progress(0, 1, args[0]);
+        return solver.solveTarget(...args);
+    },
+    // args as NuclearSolver.solveCompound
+    solveCompound: (solver, args, progress) => {
+        progress(0, 1, Object.keys(args[0]).join(', '));
+        return solver.solveCompound(...args);
+    },
+    // args as NuclearSolver.calculateWasteCompliance, without onProgress
+    calculateWasteCompliance: (solver, args, progress) => solver.calculateWasteCompliance(...args.slice(0, 8), progress),
+    // args as NuclearSolver.calculateMaxPPM, without onProgress
+    calculateMaxPPM: (solver, args, progress) => solver.calculateMaxPPM(...args.slice(0, 9), progress),
+    // args: [samples, options] as runSampleBatch; progress per sample
+    runSampleBatch: (solver, [samples, options], progress) => runSampleBatch(solver, samples, options, progress),
+    // args: [kind, options, job]; kind is the MonteCarlo method ('activities', 'wasteSumIndex'
+    // or 'maxPPM'), job the { method, args } of the scenario; progress per iteration
+    monteCarlo: (solver, [kind, options, job], progress) => {
+        if (!['activities', 'wasteSumIndex', 'maxPPM'].includes(kind)) throw new Error(`Unknown Monte Carlo output: ${kind}`);
+        return new MonteCarlo(solver, options)[kind](() => runSolverJob(solver, job), progress);
+    },
+    // args as SensitivityAnalysis.wasteCompliance, without onProgress; progress per parameter
+    wasteSensitivity: (solver, args, progress) => new SensitivityAnalysis(solver).wasteCompliance(...args.slice(0, 8), progress),
+    // args: [p] as GoalSeek.solve
+    goalSeek: (solver, [p], progress) => {
+        progress(0, 1, p.product);
+        return new GoalSeek(solver).solve(p);
+    },
+    // args as NuclearSolver.compareEngines
+    compareEngines: (solver, args, progress) => {
+        progress(0, 1, args[0]);
+        return solver.compareEngines(...args);
+    },
+    // args as NuclearSolver.compareLibraries
+    compareLibraries: (solver, args, progress) => {
+        progress(0, 1, args[0]);
+        return solver.compareLibraries(...args);
+    },
+    // args: [p, gammaRows, detectorConfig]; p as DetectionLimitEstimator.estimate without the
+    // detector, gammaRows the Gamma_Lines.csv rows; progress per matrix element and analyte
+    detectionLimits: (solver, [p, gammaRows, detectorConfig], progress) => {
+        const simulator = new GammaSpectrumSimulator(new DoseRate(gammaRows), solver.lambdaCache);
+        return new DetectionLimitEstimator(solver, simulator).estimate({ ...p, detector: new HPGeDetector(detectorConfig) }, progress);
+    },
+    // args: [versionA, versionB, shared, scenarios]; both solvers are built here (see
+    // buildVersionSolver) with the job's library and engine; { diff, deltas }, progress per scenario
+    compareDatabases: (solver, [versionA, versionB, shared, scenarios], progress) => {
+        progress(0, scenarios.length + 1, 'Database tables');
+        const settings = { ...shared, library: solver.library, engine: solver.engine };
+        const solverA = buildVersionSolver(versionA, settings);
+        const solverB = buildVersionSolver(versionB, settings);
+        const diff = diffDatabases(solverA, solverB);
+        const deltas = compareScenarios(solverA, solverB, scenarios, (i, n, name) => progress(i + 1, n + 1, name));
+        return { diff, deltas };
+    },
+    // args as NuclearSolver.coolingActivities
+    coolingActivities: (solver, args, progress) => {
+        progress(0, 1, 'Decay heat');
+        return solver.coolingActivities(...args);
+    },
+    // args: [sources, flux or schedule, tIrrS, tCoolS, coolingTimesS, seriesOptions]; the reports
+    // under a result table: { products, cooling, isomers, series }, series null without seriesOptions
+    inventoryReports: (solver, [sources, flux, tIrrS, tCoolS, coolingTimesS, seriesOptions], progress) => {
+        progress(0, 4, 'Products');
+        const products = solver.productReport(sources, flux, tIrrS, tCoolS);
+        progress(1, 4, 'Decay heat');
+        const cooling = solver.coolingActivities(sources, flux, tIrrS, tCoolS, coolingTimesS);
+        progress(2, 4, 'Isomers');
+        const isomers = solver.isomerEvolution(sources, flux, tIrrS, tCoolS, coolingTimesS);
+        progress(3, 4, 'Activity vs time');
+        const series = seriesOptions ? solver.activityTimeSeries(sources, flux, tIrrS, tCoolS, seriesOptions) : null;
+        return { products, cooling, isomers, series };
+    }
+};
+
+/**
+ * Run a job on a solver.
+ * @param {NuclearSolver} solver
+ * @param {{method: string, args: Array}} job
+ * @param {{library: string, engine: string}} settings Applied to the solver first
+ * @param {Function} onProgress (done, total, label); may throw SolverCancelled to stop the job
+ */
+export function runSolverJob(solver, job, settings = {}, onProgress = null) {
+    const run = SOLVER_JOBS[job.method];
+    if (!run) throw new Error(`Unknown solver job: ${job.method}`);
+    if (settings.library) solver.setLibrary(settings.library);
+    if (settings.engine) solver.setEngine(settings.engine);
+    return run(solver, job.args, onProgress || (() => { }));
+}
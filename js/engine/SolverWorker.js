@@ -0,0 +1,35 @@
+/**
+ * SolverWorker.js
+ * Web Worker side of SolverClient.js. A classic worker script, not part of the bundle: it
+ * loads js/app.bundle.js with importScripts, so the page globals the bundle touches while
+ * loading (window, document) are stubbed first; NuclearSolver and runSolverJob are globals of
+ * the bundle. The solver is built from the tables sent with 'init'; an exception there
+ * reaches SolverClient as a start-up failure. The ?v= of the worker URL is passed on, so
+ * the worker loads the same bundle version as the page.
+ */
+
+self.window = self;
+self.document = { addEventListener() { } };
+importScripts(`../app.bundle.js${self.location.search}`);
+
+let solver = null;
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === 'init') {
+        const t = msg.tables;
+        solver = new NuclearSolver(t.xsData, t.chainData, t.limitsData, t.resonanceData, t.isomerData);
+        self.postMessage({ type: 'ready' });
+    } else if (msg.type === 'configure') {
+        solver.setMaterials(msg.materials || {});
+        solver.setImportedChains(msg.importedChains || []);
+    } else if (msg.type === 'run') {
+        const progress = (done, total, label) => self.postMessage({ type: 'progress', id: msg.id, done, total, label });
+        try {
+            const result = runSolverJob(solver, msg.job, msg.settings, progress);
+            self.postMessage({ type: 'result', id: msg.id, result });
+        } catch (err) {
+            self.postMessage({ type: 'error', id: msg.id, message: err.message });
+        }
+    }
+};
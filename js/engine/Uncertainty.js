@@ -0,0 +1,224 @@
+/**
+ * Uncertainty.js
+ * Monte Carlo uncertainty propagation for NuclearSolver results.
+ * Each iteration samples cross sections, decay constants and isotopic abundances of
+ * natural elements and target materials (lognormal, mean 1), reruns the scenario and
+ * collects the outputs. Element mass fractions and ppm are part of the scenario and stay exact.
+ * Pure math, no DOM access.
+ */
+
+export const DEFAULT_UNCERTAINTY = {
+    iterations: 200,
+    xsRelSd: 0.10,          // used when the libraries give no spread for a reaction
+    useLibrarySpread: true, // ENDF / JENDL / JEFF spread as the XS uncertainty
+    lambdaRelSd: 0.01,
+    abundanceRelSd: 0.01,
+    seed: 12345
+};
+
+/**
+ * Small seeded PRNG (mulberry32) so a run can be reproduced.
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const pos = (sorted.length - 1) * p;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+export class MonteCarlo {
+    /**
+     * @param {NuclearSolver} solver Solver whose maps are perturbed (restored after each run)
+     * @param {Object} options See DEFAULT_UNCERTAINTY
+     */
+    constructor(solver, options = {}) {
+        this.solver = solver;
+        this.options = { ...DEFAULT_UNCERTAINTY, ...options };
+        this.random = createRandom(this.options.seed);
+        this._spare = null;
+    }
+
+    _gaussian() {
+        if (this._spare !== null) {
+            const v = this._spare;
+            this._spare = null;
+            return v;
+        }
+        let u = 0;
+        while (u === 0) u = this.random();
+        const v = this.random();
+        const r = Math.sqrt(-2 * Math.log(u));
+        this._spare = r * Math.sin(2 * Math.PI * v);
+        return r * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Multiplicative factor with mean 1 and the given relative standard deviation.
+     */
+    _factor(relSd) {
+        if (!(relSd > 0)) return 1;
+        const s2 = Math.log(1 + relSd * relSd);
+        return Math.exp(Math.sqrt(s2) * this._gaussian() - s2 / 2);
+    }
+
+    /**
+     * Isotope lists of the natural elements and of the registered target materials.
+     */
+    _isotopeVectors() {
+        const s = this.solver;
+        return [...s.elementMap.values(), ...Array.from(s.materials.values(), m => m.parents)];
+    }
+
+    _snapshot() {
+        const s = this.solver;
+        const reactions = [];
+        s.xsMap.forEach(list => list.forEach(rx => reactions.push({ rx, sigma: rx.sigma, ri: rx.ri })));
+        const abundances = [];
+        this._isotopeVectors().forEach(list => list.forEach(item => abundances.push({ item, theta: item.theta })));
+        return {
+            reactions,
+            abundances,
+            lambdas: new Map(s.lambdaCache),
+            removal: new Map(s.sigmaRemovalCache)
+        };
+    }
+
+    _restore(snap) {
+        const s = this.solver;
+        snap.reactions.forEach(({ rx, sigma, ri }) => {
+            rx.sigma = sigma;
+            if (ri !== undefined) rx.ri = ri;
+        });
+        snap.abundances.forEach(({ item, theta }) => { item.theta = theta; });
+        s.lambdaCache = new Map(snap.lambdas);
+        s.sigmaRemovalCache = new Map(snap.removal);
+    }
+
+    /**
+     * Draw one perturbed data set into the solver maps.
+     */
+    _perturb(snap) {
+        const s = this.solver;
+        const o = this.options;
+
+        // Resonance integral follows the thermal XS of the same reaction
+        snap.reactions.forEach(({ rx, sigma, ri }) => {
+            const relSd = (o.useLibrarySpread && rx.xsRelSd > 0) ? rx.xsRelSd : o.xsRelSd;
+            const f = this._factor(relSd);
+            rx.sigma = sigma * f;
+            if (ri !== undefined) rx.ri = ri * f;
+        });
+        s.sigmaRemovalCache = new Map();
+        s.xsMap.forEach((list, key) => {
+            s.sigmaRemovalCache.set(key, list.reduce((sum, rx) => sum + rx.sigma, 0));
+        });
+
+        s.lambdaCache = new Map();
+        snap.lambdas.forEach((lam, key) => s.lambdaCache.set(key, lam * this._factor(o.lambdaRelSd)));
+
+        // Keep each element's (or material's) abundance sum unchanged
+        this._isotopeVectors().forEach(list => {
+            const nominal = list.reduce((sum, item) => sum + item.theta, 0);
+            list.forEach(item => { item.theta *= this._factor(o.abundanceRelSd); });
+            const sampled = list.reduce((sum, item) => sum + item.theta, 0);
+            if (sampled > 0) list.forEach(item => { item.theta *= nominal / sampled; });
+        });
+    }
+
+    /**
+     * Run a scenario N times on sampled data.
+     * @param {Function} scenario () => raw solver output
+     * @param {Function} extract raw output => Map<string, number> of quantities to track
+     * @param {Function} onProgress (done, total, label) before each iteration; may throw to stop
+     * @returns {{iterations: number, stats: Array<{Key: string, Nominal: number, Mean: number, SD: number, P2_5: number, P97_5: number}>}}
+     */
+    run(scenario, extract, onProgress = null) {
+        const nominal = extract(scenario());
+        const samples = new Map();
+        nominal.forEach((v, key) => samples.set(key, []));
+
+        const snap = this._snapshot();
+        const n = Math.max(1, Math.floor(this.options.iterations));
+        try {
+            for (let i = 0; i < n; i++) {
+                if (onProgress) onProgress(i, n, 'Iteration');
+                this._perturb(snap);
+                const values = extract(scenario());
+                samples.forEach((list, key) => list.push(values.get(key) || 0));
+                this._restore(snap);
+            }
+        } finally {
+            this._restore(snap);
+        }
+
+        const stats = [];
+        samples.forEach((list, key) => {
+            const mean = list.reduce((a, b) => a + b, 0) / list.length;
+            const variance = list.length > 1
+                ? list.reduce((a, v) => a + (v - mean) * (v - mean), 0) / (list.length - 1)
+                : 0;
+            const sorted = [...list].sort((a, b) => a - b);
+            stats.push({
+                Key: key,
+                Nominal: nominal.get(key),
+                Mean: mean,
+                SD: Math.sqrt(variance),
+                P2_5: percentile(sorted, 0.025),
+                P97_5: percentile(sorted, 0.975)
+            });
+        });
+
+        return { iterations: n, stats };
+    }
+
+    /**
+     * Activity per nuclide for a solve()/solveElement() style scenario returning result rows.
+     */
+    activities(scenario, onProgress = null) {
+        const result = this.run(scenario, rows => {
+            const byIso = new Map();
+            rows.forEach(r => byIso.set(r.Isotope, (byIso.get(r.Isotope) || 0) + r.Activity));
+            return byIso;
+        }, onProgress);
+        result.stats.sort((a, b) => b.Nominal - a.Nominal);
+        return result;
+    }
+
+    /**
+     * Sum index and per-nuclide fractions for a calculateWasteCompliance() scenario.
+     */
+    wasteSumIndex(scenario, onProgress = null) {
+        const result = this.run(scenario, res => {
+            const values = new Map([['Sum index', res.summary.sumIndex]]);
+            res.results.forEach(r => values.set(r.Isotope, r.Fraction));
+            return values;
+        }, onProgress);
+        result.stats.sort((a, b) => (a.Key === 'Sum index' ? -1 : b.Key === 'Sum index' ? 1 : b.Nominal - a.Nominal));
+        return result;
+    }
+
+    /**
+     * Element max-ppm for a calculateMaxPPM() scenario.
+     */
+    maxPPM(scenario, onProgress = null) {
+        return this.run(scenario, rows => {
+            const byElem = new Map();
+            rows.forEach(r => {
+                if (isFinite(r.ElemMaxPPM)) byElem.set(r.Element, r.ElemMaxPPM);
+            });
+            return byElem;
+        }, onProgress);
+    }
+}
@@ -8,22 +8,45 @@ export class DataLoader {
         this.paths = {
             xs: './public/data/Database_Fixed_Lambdas2.csv',
             chain: './public/data/BaseDatos_Cadenas_Completas.csv',
-            limits: './public/data/limits.csv'
+            limits: './public/data/limits.csv',
+            resonance: './public/data/Resonance_Integrals.csv',
+            isomer: './public/data/Isomeric_Transitions.csv',
+            gamma: './public/data/Gamma_Lines.csv',
+            decayEnergy: './public/data/Decay_Energies.csv',
+            // Other database versions in the same layout, loaded on demand with loadTable()
+            xsPrevious: './public/data/Final_Processed_Database23.csv',
+            abundances: './public/data/Updated_Abundances_Cleaned.csv'
         };
     }
 
+    /**
+     * Load one table by its path key (e.g. 'xsPrevious') without touching the store.
+     */
+    async loadTable(key) {
+        if (!this.paths[key]) throw new Error(`Unknown data table: ${key}`);
+        return this.loadCSV(this.paths[key]);
+    }
+
     async loadAll() {
         try {
-            const [xsData, chainData, limitsData] = await Promise.all([
+            const [xsData, chainData, limitsData, resonanceData, isomerData, gammaData, decayEnergyData] = await Promise.all([
                 this.loadCSV(this.paths.xs),
                 this.loadCSV(this.paths.chain),
-                this.loadCSV(this.paths.limits)
+                this.loadCSV(this.paths.limits),
+                this.loadCSV(this.paths.resonance),
+                this.loadCSV(this.paths.isomer),
+                this.loadCSV(this.paths.gamma),
+                this.loadCSV(this.paths.decayEnergy)
             ]);
 
             appStore.setState({
                 xsData,
                 chainData,
                 limitsData,
+                resonanceData,
+                isomerData,
+                gammaData,
+                decayEnergyData,
                 dataLoaded: true
             });
 
@@ -42,6 +65,12 @@ export class DataLoader {
         if (url.includes('Database_Fixed_Lambdas2')) key = 'xs';
         else if (url.includes('BaseDatos_Cadenas_Completas')) key = 'chain';
         else if (url.includes('limits')) key = 'limits';
+        else if (url.includes('Resonance_Integrals')) key = 'resonance';
+        else if (url.includes('Isomeric_Transitions')) key = 'isomer';
+        else if (url.includes('Gamma_Lines')) key = 'gamma';
+        else if (url.includes('Decay_Energies')) key = 'decayEnergy';
+        else if (url.includes('Final_Processed_Database23')) key = 'xsPrevious';
+        else if (url.includes('Updated_Abundances_Cleaned')) key = 'abundances';
 
         if (key && window.NUCLEAR_DATA_OFFLINE && window.NUCLEAR_DATA_OFFLINE[key]) {
             console.log(`Using embedded data for ${key}`);
@@ -76,7 +105,10 @@ export class DataLoader {
             let inQuote = false;
             for (let i = 0; i < line.length; i++) {
                 const char = line[i];
-                if (char === '"') inQuote = !inQuote;
+                if (char === '"' && inQuote && line[i + 1] === '"') {
+                    current += '"'; // "" inside quotes is a literal quote
+                    i++;
+                } else if (char === '"') inQuote = !inQuote;
                 else if (char === ',' && !inQuote) {
                     values.push(current.trim());
                     current = '';
@@ -0,0 +1,434 @@
+/**
+ * DataQuality.js
+ * Consistency checks of the loaded nuclear data tables. Half-lives: every decay constant
+ * or half-life given for a nuclide (chain table T½ strings and λ columns, database λ and
+ * half-life seconds, isomer table, imported decay data) is converted to λ and compared
+ * with a reference value: the one most statements agree with, preferring the chain table
+ * (whose λ columns the solver applies last). Lint: abundance sums, duplicate and inconsistent
+ * rows, daughters without decay data, branching sums and limit rows the solver cannot use,
+ * each reported as error or warning. Row numbers are CSV line numbers (header = line 1).
+ */
+
+import { parseIsotopeClean, getUniqueId, parseHalfLife, quoteCSV } from '../utils/Parser.js';
+import { PERIODIC_TABLE } from '../utils/PeriodicTable.js';
+
+export const DEFAULT_HALF_LIFE_TOLERANCE = 0.01;
+
+// λ values the solver drops (see NuclearSolver._setLambda)
+const MIN_LAMBDA = 1e-40;
+
+/**
+ * Every half-life statement of the tables as { Nuclide, Table, Column, Row, Text, Lambda }.
+ * Lambda is in 1/s (0 = stable); entries the solver cannot use are returned separately.
+ * @param {Object} tables { xsData, chainData, isomerData, imports: [{ name, rows }] }
+ * @returns {{entries: Array<Object>, unreadable: Array<Object>, ignored: Array<Object>}}
+ */
+export function collectHalfLives(tables) {
+    const entries = [];
+    const unreadable = [];
+    const ignored = [];
+
+    const keyOf = text => {
+        const p = parseIsotopeClean((text || '').toString());
+        return p.symbol ? getUniqueId(p.symbol, p.massNumber, p.metastable) : null;
+    };
+    const addHalfLife = (nuclide, table, column, row, text) => {
+        const clean = (text || '').toString().trim();
+        if (!nuclide || !clean) return;
+        const t = parseHalfLife(clean);
+        const entry = { Nuclide: nuclide, Table: table, Column: column, Row: row, Text: clean, Kind: 'halfLife' };
+        if (t === null) return unreadable.push(entry);
+        entries.push({ ...entry, Lambda: isFinite(t) ? Math.LN2 / t : 0 });
+    };
+    const addLambda = (nuclide, table, column, row, text) => {
+        const clean = (text || '').toString().trim();
+        if (!nuclide || !clean) return;
+        const v = parseFloat(clean);
+        const entry = { Nuclide: nuclide, Table: table, Column: column, Row: row, Text: clean, Kind: 'lambda' };
+        if (isNaN(v)) return unreadable.push(entry);
+        // 0 marks a stable nuclide; anything else at or below MIN_LAMBDA is dropped by the solver
+        if (v !== 0 && !(v > MIN_LAMBDA)) return ignored.push(entry);
+        entries.push({ ...entry, Lambda: v });
+    };
+    const chainTable = (rows, table) => (rows || []).forEach((row, i) => {
+        const parent = keyOf(row.Padre_Isotopo);
+        const child = keyOf(row.Hijo_Isotopo);
+        addHalfLife(parent, table, 'Padre_T1_2', i + 2, row.Padre_T1_2);
+        addLambda(parent, table, 'Padre_Lambda', i + 2, row.Padre_Lambda);
+        addHalfLife(child, table, 'Hijo_T1_2', i + 2, row.Hijo_T1_2);
+        addLambda(child, table, 'Hijo_Lambda', i + 2, row.Hijo_Lambda);
+    });
+
+    chainTable(tables.chainData, 'Chain table');
+    (tables.xsData || []).forEach((row, i) => {
+        const daughter = keyOf(row.Daughter_Isotope);
+        addLambda(daughter, 'Database', 'Decay_Constant_Lambda', i + 2, row.Decay_Constant_Lambda);
+        const seconds = (row.Half_Life_Seconds_Daughter || '').toString().trim();
+        if (seconds) addHalfLife(daughter, 'Database', 'Half_Life_Seconds_Daughter', i + 2, `${seconds} s`);
+    });
+    (tables.isomerData || []).forEach((row, i) => {
+        const seconds = (row.Half_Life_s || '').toString().trim();
+        if (seconds) addHalfLife(keyOf(row.Isomer), 'Isomer table', 'Half_Life_s', i + 2, `${seconds} s`);
+    });
+    (tables.imports || []).forEach(imp => chainTable(imp.rows, imp.name));
+
+    return { entries, unreadable, ignored };
+}
+
+/**
+ * Cross-check of all half-life statements per nuclide.
+ * @param {Object} tables See collectHalfLives()
+ * @param {number} tolerance Relative λ difference above which a value is reported
+ * @returns {{tolerance: number, checked: number,
+ *            mismatches: Array<{Nuclide: string, Reference: Object, Entry: Object, RelDiff: number}>,
+ *            stableConflicts: Array<{Nuclide: string, Reference: Object, Entry: Object}>,
+ *            filled: Array<{Nuclide: string, Lambda: number, From: Object}>,
+ *            unreadable: Array<Object>, ignored: Array<Object>}}
+ *          filled: nuclides without a usable λ column whose decay constant the solver takes from a half-life
+ */
+export function halfLifeReport(tables, tolerance = DEFAULT_HALF_LIFE_TOLERANCE) {
+    const { entries, unreadable, ignored } = collectHalfLives(tables);
+
+    const byNuclide = new Map();
+    entries.forEach(e => {
+        if (!byNuclide.has(e.Nuclide)) byNuclide.set(e.Nuclide, []);
+        const list = byNuclide.get(e.Nuclide);
+        // Repeated statements of the same value in the same column are checked once
+        if (!list.some(x => x.Table === e.Table && x.Column === e.Column && x.Lambda === e.Lambda)) list.push(e);
+    });
+
+    const rank = e => {
+        if (e.Table === 'Chain table') return e.Kind === 'lambda' ? 0 : 1;
+        if (e.Table === 'Database') return e.Kind === 'lambda' ? 2 : 3;
+        return e.Table === 'Isomer table' ? 4 : 5;
+    };
+
+    const mismatches = [];
+    const stableConflicts = [];
+    const filled = [];
+    let checked = 0;
+    byNuclide.forEach((list, nuclide) => {
+        // Reference: the value most other statements agree with, ties going to the higher-ranked source
+        const agree = (a, b) => (a.Lambda > 0 && b.Lambda > 0)
+            ? Math.abs(a.Lambda - b.Lambda) <= tolerance * a.Lambda
+            : a.Lambda === b.Lambda;
+        const support = new Map(list.map(e => [e, list.filter(x => agree(e, x)).length]));
+        const sorted = list.slice().sort((a, b) => (support.get(b) - support.get(a)) || (rank(a) - rank(b)));
+        const reference = sorted[0];
+
+        if (!list.some(e => e.Kind === 'lambda' && e.Lambda > 0)) {
+            const from = sorted.find(e => e.Kind === 'halfLife' && e.Lambda > 0);
+            if (from) filled.push({ Nuclide: nuclide, Lambda: from.Lambda, From: from });
+        }
+
+        if (sorted.length < 2) return;
+        checked++;
+        sorted.slice(1).forEach(entry => {
+            if ((reference.Lambda > 0) !== (entry.Lambda > 0)) {
+                stableConflicts.push({ Nuclide: nuclide, Reference: reference, Entry: entry });
+                return;
+            }
+            if (!(reference.Lambda > 0)) return;
+            const relDiff = Math.abs(entry.Lambda - reference.Lambda) / reference.Lambda;
+            if (relDiff > tolerance) mismatches.push({ Nuclide: nuclide, Reference: reference, Entry: entry, RelDiff: relDiff });
+        });
+    });
+
+    return {
+        tolerance,
+        checked,
+        mismatches: mismatches.sort((a, b) => b.RelDiff - a.RelDiff),
+        stableConflicts,
+        filled: filled.sort((a, b) => a.Nuclide.localeCompare(b.Nuclide)),
+        unreadable,
+        ignored
+    };
+}
+
+/**
+ * Findings of a half-life report as CSV, one line per finding.
+ */
+export function halfLifeReportToCSV(report) {
+    const where = e => `${e.Table} ${e.Column} row ${e.Row}`;
+    const lines = [['Category', 'Nuclide', 'Reference', 'Reference_Value', 'Entry', 'Entry_Value', 'Rel_Diff']];
+    report.mismatches.forEach(m => lines.push(['mismatch', m.Nuclide, where(m.Reference), m.Reference.Text,
+        where(m.Entry), m.Entry.Text, m.RelDiff.toPrecision(4)]));
+    report.stableConflicts.forEach(m => lines.push(['stable conflict', m.Nuclide, where(m.Reference), m.Reference.Text,
+        where(m.Entry), m.Entry.Text, '']));
+    report.filled.forEach(f => lines.push(['filled from half-life', f.Nuclide, '', '', where(f.From), f.From.Text, '']));
+    report.unreadable.forEach(e => lines.push(['unreadable', e.Nuclide, '', '', where(e), e.Text, '']));
+    report.ignored.forEach(e => lines.push(['ignored lambda', e.Nuclide, '', '', where(e), e.Text, '']));
+    return lines.map(l => l.map(quoteCSV).join(',')).join('\n') + '\n';
+}
+
+// =========================================================================
+// DATABASE LINT
+// =========================================================================
+
+// Abundance sums further than this from 1 are errors; closer than ABUNDANCE_WARN they pass
+const ABUNDANCE_ERROR = 0.01;
+const ABUNDANCE_WARN = 0.001;
+// Branching ratio sums of a parent further than this from 1
+const BRANCHING_TOLERANCE = 0.01;
+
+// Daughter of each reaction relative to the target: ΔZ, ΔA, metastable suffix
+const REACTION_DAUGHTERS = {
+    'n,g': { dZ: 0, dA: 1, meta: '' },
+    'n,g1': { dZ: 0, dA: 1, meta: 'm' },
+    'n,p': { dZ: -1, dA: 0, meta: '' },
+    'n,a': { dZ: -2, dA: -3, meta: '' }
+};
+
+export const LINT_CATEGORIES = {
+    unreadable: 'Unreadable value',
+    abundanceSum: 'Abundances do not sum to 1',
+    abundanceConflict: 'Conflicting abundance',
+    duplicateReaction: 'Duplicate reaction row',
+    wrongDaughter: 'Daughter does not match the reaction',
+    maxBelowLibraries: 'Max_XS below every evaluated library',
+    daughterNoLambda: 'Daughter without decay constant',
+    branchingSum: 'Branching ratios do not sum to 1',
+    limitName: 'Limit row the solver cannot match',
+    duplicateLimit: 'Duplicate limit row',
+    limitOrder: 'Clearance level above exemption level',
+    limitNeverProduced: 'Limit for a nuclide the solver never produces',
+    productNoLimit: 'Radioactive product without limits'
+};
+
+/**
+ * Lint of the hand-maintained tables. Every issue names its table, CSV rows and nuclides.
+ * @param {Object} tables { xsData, xsName, chainData, limitsData, isomerData, imports: [{ name, rows }] }
+ *        xsData may be any table in the Database_Fixed_Lambdas2.csv layout (xsName labels it)
+ * @returns {{issues: Array<{severity: 'error'|'warning', category: string, table: string, rows: number[],
+ *            nuclides: string[], message: string}>, errors: number, warnings: number}}
+ */
+export function lintDatabase(tables) {
+    const issues = [];
+    const add = (severity, category, table, rows, nuclides, message) =>
+        issues.push({ severity, category, table, rows, nuclides, message });
+    const xsName = tables.xsName || 'Database';
+    const keyOf = text => {
+        const p = parseIsotopeClean((text || '').toString());
+        return p.symbol ? getUniqueId(p.symbol, p.massNumber, p.metastable) : null;
+    };
+    const number = v => {
+        const clean = (v === undefined || v === null) ? '' : v.toString().trim();
+        return clean === '' ? null : parseFloat(clean);
+    };
+    const zOf = new Map(PERIODIC_TABLE.map(e => [e.symbol, e.Z]));
+    const symbolOf = new Map(PERIODIC_TABLE.map(e => [e.Z, e.symbol]));
+
+    // --- Cross-section table ---
+    const abundances = new Map();  // element -> Map(A -> [{ value, row }])
+    const reactions = new Map();   // target|reaction|daughter -> [{ row, sigma }]
+    const edges = new Map();       // nuclide -> Set of products (activation and decay)
+    const addEdge = (from, to) => {
+        if (!from || !to) return;
+        if (!edges.has(from)) edges.set(from, new Set());
+        edges.get(from).add(to);
+    };
+    const xsColumns = Object.keys((tables.xsData || [])[0] || {}).filter(c => /^XS_/.test(c));
+
+    (tables.xsData || []).forEach((row, i) => {
+        const line = i + 2;
+        const sym = (row.Symbol || '').toString().trim();
+        const A = parseInt(row.A, 10);
+        const target = sym && A > 0 ? getUniqueId(sym, A, '') : null;
+        const daughter = keyOf(row.Daughter_Isotope);
+        const reaction = (row.Reaction || '').toString().trim();
+        if (!target || !daughter) {
+            add('error', 'unreadable', xsName, [line], [daughter || '?'], !sym && row.Z
+                ? `Symbol missing (Z = ${row.Z}, A = ${row.A}); the solver skips the row`
+                : `Cannot read target "${sym}-${row.A}" or daughter "${row.Daughter_Isotope}"`);
+            return;
+        }
+
+        const theta = number(row.Abundance);
+        if (theta !== null && (isNaN(theta) || theta < 0 || theta > 1)) {
+            add('error', 'unreadable', xsName, [line], [target], `Abundance "${row.Abundance}" is not a fraction`);
+        } else if (theta > 0) {
+            if (!abundances.has(sym)) abundances.set(sym, new Map());
+            const byA = abundances.get(sym);
+            if (!byA.has(A)) byA.set(A, []);
+            byA.get(A).push({ value: theta, row: line });
+        }
+
+        const sigma = number(row.Max_XS);
+        if (sigma === null || isNaN(sigma) || sigma < 0) {
+            add('error', 'unreadable', xsName, [line], [target], `Max_XS "${row.Max_XS}" is not a cross section`);
+        } else {
+            const evaluated = xsColumns.map(c => number(row[c])).filter(v => v > 0);
+            if (sigma > 0 && evaluated.length > 0 && sigma < 0.99 * Math.min(...evaluated)) {
+                add('warning', 'maxBelowLibraries', xsName, [line], [target, daughter],
+                    `${reaction}: Max_XS ${sigma.toPrecision(4)} b, libraries ${evaluated.map(v => v.toPrecision(4)).join(' / ')} b`
+                    + (reaction === 'n,g' ? ' (read as the ground-state partial)' : ''));
+            }
+        }
+
+        const rule = REACTION_DAUGHTERS[reaction];
+        const p = parseIsotopeClean(row.Daughter_Isotope.toString());
+        if (rule && zOf.has(sym)) {
+            const expected = getUniqueId(symbolOf.get(zOf.get(sym) + rule.dZ), A + rule.dA, rule.meta);
+            if (daughter !== expected && !(rule.meta && p.metastable && daughter.replace(/m\d*$/, 'm') === expected)) {
+                add('error', 'wrongDaughter', xsName, [line], [target, daughter], `${target} (${reaction}) should give ${expected}`);
+            }
+        }
+
+        const id = `${target}|${reaction}|${daughter}`;
+        if (!reactions.has(id)) reactions.set(id, []);
+        reactions.get(id).push({ row: line, sigma });
+        if (sigma > 0) addEdge(target, daughter);
+    });
+
+    abundances.forEach((byA, sym) => {
+        let sum = 0;
+        const rows = [];
+        byA.forEach((list, A) => {
+            sum += list[0].value;
+            rows.push(list[0].row);
+            const distinct = Array.from(new Set(list.map(x => x.value)));
+            if (distinct.length > 1) {
+                add('error', 'abundanceConflict', xsName, list.map(x => x.row), [getUniqueId(sym, A, '')],
+                    `Abundance given as ${distinct.join(', ')}`);
+            }
+        });
+        const off = Math.abs(sum - 1);
+        if (off > ABUNDANCE_WARN) {
+            add(off > ABUNDANCE_ERROR ? 'error' : 'warning', 'abundanceSum', xsName, rows.sort((a, b) => a - b),
+                Array.from(byA.keys()).sort((a, b) => a - b).map(A => getUniqueId(sym, A, '')),
+                `${sym}: natural abundances sum to ${sum.toPrecision(5)}`);
+        }
+    });
+
+    reactions.forEach((list, id) => {
+        if (list.length < 2) return;
+        const [target, reaction, daughter] = id.split('|');
+        const same = list.every(x => x.sigma === list[0].sigma);
+        add(same ? 'warning' : 'error', 'duplicateReaction', xsName, list.map(x => x.row), [target, daughter],
+            `${target} (${reaction}) ${daughter} listed ${list.length} times`
+            + (same ? ' with the same cross section (counted once per row)' : `: ${list.map(x => x.sigma).join(' / ')} b`));
+    });
+
+    // --- Decay data ---
+    const decayTable = (rows, table, parentColumn, childColumn) => {
+        const sums = new Map();
+        (rows || []).forEach((row, i) => {
+            const line = i + 2;
+            const parent = keyOf(row[parentColumn]);
+            const childText = (row[childColumn] || '').toString().trim();
+            const child = keyOf(childText);
+            if (!parent || (childText && !child)) {
+                add('error', 'unreadable', table, [line], [parent || '?'],
+                    `Cannot read "${row[parentColumn]}" → "${childText}"`);
+                return;
+            }
+            const br = number(row.Branching_Ratio);
+            if (br === null || !(br > 0)) return;
+            addEdge(parent, child);
+            if (!sums.has(parent)) sums.set(parent, { sum: 0, rows: [] });
+            const s = sums.get(parent);
+            s.sum += br;
+            s.rows.push(line);
+        });
+        sums.forEach((s, parent) => {
+            if (Math.abs(s.sum - 1) > BRANCHING_TOLERANCE) {
+                add(s.sum > 1 ? 'error' : 'warning', 'branchingSum', table, s.rows, [parent],
+                    `Branches of ${parent} sum to ${s.sum.toPrecision(4)}`);
+            }
+        });
+    };
+    decayTable(tables.chainData, 'Chain table', 'Padre_Isotopo', 'Hijo_Isotopo');
+    decayTable(tables.isomerData, 'Isomer table', 'Isomer', 'Daughter');
+    (tables.imports || []).forEach(imp => decayTable(imp.rows, imp.name, 'Padre_Isotopo', 'Hijo_Isotopo'));
+
+    // Decay constants known for each nuclide (0 = stable)
+    const { entries } = collectHalfLives(tables);
+    const lambdas = new Map();
+    entries.forEach(e => lambdas.set(e.Nuclide, Math.max(lambdas.get(e.Nuclide) || 0, e.Lambda)));
+
+    const daughterRows = new Map();
+    (tables.xsData || []).forEach((row, i) => {
+        const d = keyOf(row.Daughter_Isotope);
+        if (!d) return;
+        if (!daughterRows.has(d)) daughterRows.set(d, []);
+        daughterRows.get(d).push(i + 2);
+    });
+    daughterRows.forEach((rows, d) => {
+        if (lambdas.has(d)) return;
+        add('warning', 'daughterNoLambda', xsName, rows, [d], `${d} has no decay constant or half-life and is treated as stable`);
+    });
+
+    // --- Limits ---
+    const limitRows = new Map();
+    (tables.limitsData || []).forEach((row, i) => {
+        const line = i + 2;
+        const name = (row.Isotope || row.Nuclide || '').toString().trim();
+        // Names such as "Sr-90+" (with progeny) or "S-35Gas" carry a suffix after the nuclide
+        const m = name.match(/^([A-Za-z]{1,2}-\d+(?:m\d*)?)(.*)$/);
+        const nuclide = m ? keyOf(m[1]) : null;
+        const clearance = number(row.Limit_Clearance_Bq_g);
+        const exemption = number(row.Limit_Exemption_Bq_g);
+        if (!nuclide || !(clearance > 0) || !(exemption > 0)) {
+            add('error', 'unreadable', 'Limits', [line], [nuclide || name || '?'],
+                `Cannot read "${name}": ${row.Limit_Clearance_Bq_g} / ${row.Limit_Exemption_Bq_g} Bq/g`);
+            return;
+        }
+        if (m[2].trim() !== '' || nuclide !== name) {
+            add('error', 'limitName', 'Limits', [line], [nuclide],
+                `"${name}" is not a plain nuclide name; the solver looks up "${nuclide}" and never uses this row`);
+            return;
+        }
+        if (clearance > exemption) {
+            add('warning', 'limitOrder', 'Limits', [line], [nuclide], `Clearance ${clearance} Bq/g, exemption ${exemption} Bq/g`);
+        }
+        if (!limitRows.has(nuclide)) limitRows.set(nuclide, []);
+        limitRows.get(nuclide).push({ row: line, clearance, exemption });
+    });
+    limitRows.forEach((list, nuclide) => {
+        if (list.length < 2) return;
+        const same = list.every(x => x.clearance === list[0].clearance && x.exemption === list[0].exemption);
+        add(same ? 'warning' : 'error', 'duplicateLimit', 'Limits', list.map(x => x.row), [nuclide],
+            `${nuclide} listed ${list.length} times${same ? '' : ' with different values'}`);
+    });
+
+    // Nuclides reachable from the natural targets through activation and decay
+    const reachable = new Set();
+    const queue = [];
+    abundances.forEach((byA, sym) => byA.forEach((_, A) => queue.push(getUniqueId(sym, A, ''))));
+    while (queue.length > 0) {
+        const n = queue.pop();
+        if (reachable.has(n)) continue;
+        reachable.add(n);
+        (edges.get(n) || []).forEach(next => { if (!reachable.has(next)) queue.push(next); });
+    }
+
+    limitRows.forEach((list, nuclide) => {
+        if (reachable.has(nuclide)) return;
+        add('warning', 'limitNeverProduced', 'Limits', list.map(x => x.row), [nuclide],
+            `No activation or decay route from a natural target leads to ${nuclide}`);
+    });
+    reachable.forEach(nuclide => {
+        if (!(lambdas.get(nuclide) > 0) || limitRows.has(nuclide)) return;
+        add('warning', 'productNoLimit', 'Limits', [], [nuclide],
+            `${nuclide} can be produced but has no clearance or exemption level the solver can match (ignored in sum indices)`);
+    });
+
+    const order = Object.keys(LINT_CATEGORIES);
+    issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1)
+        || order.indexOf(a.category) - order.indexOf(b.category));
+    return {
+        issues,
+        errors: issues.filter(x => x.severity === 'error').length,
+        warnings: issues.filter(x => x.severity === 'warning').length
+    };
+}
+
+/**
+ * Lint issues as CSV, one line per issue (rows and nuclides separated by spaces).
+ */
+export function lintReportToCSV(lint) {
+    const lines = [['Severity', 'Category', 'Table', 'Rows', 'Nuclides', 'Message']];
+    lint.issues.forEach(i => lines.push([i.severity, LINT_CATEGORIES[i.category], i.table,
+        i.rows.join(' '), i.nuclides.join(' '), i.message]));
+    return lines.map(l => l.map(quoteCSV).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,181 @@
+/**
+ * DatabaseDiff.js
+ * Comparison of two nuclear database versions as the solver sees them: cross sections
+ * (target, reaction, product) of the active library, decay constants, isotopic abundances
+ * and limits are each listed as added, removed or changed. Reference scenarios (see
+ * Scenarios.js) are then run on both solvers to show the impact on activities, waste sum
+ * indices and max-ppm values.
+ */
+
+import { NuclearSolver } from '../engine/NuclearSolver.js';
+import { runScenario } from '../engine/Scenarios.js';
+import { quoteCSV } from '../utils/Parser.js';
+
+export const DIFF_CATEGORIES = {
+    xs: 'Cross sections (b)',
+    lambda: 'Decay constants (1/s)',
+    abundance: 'Abundances',
+    limits: 'Limits (Bq/g, clearance / exemption)'
+};
+
+// Relative change below which two values count as equal
+export const DEFAULT_DIFF_TOLERANCE = 1e-6;
+
+// Nuclides listed per scenario: those above this share of the total activity in either version
+const ACTIVITY_SHARE = 1e-3;
+
+/**
+ * Values of one solver per category, keyed for comparison.
+ * @returns {{xs: Map, lambda: Map, abundance: Map, limits: Map}} Number values, limits as [clearance, exemption]
+ */
+export function snapshotDatabase(solver) {
+    const xs = new Map();
+    solver.xsMap.forEach((reactions, target) => {
+        reactions.forEach(rx => {
+            const key = `${target} (${rx.type}) ${rx.child}`;
+            xs.set(key, (xs.get(key) || 0) + rx.sigma);
+        });
+    });
+    const abundance = new Map();
+    solver.elementMap.forEach((parents, sym) => {
+        parents.forEach(({ A, theta }) => abundance.set(`${sym}-${A}`, theta));
+    });
+    const limits = new Map();
+    solver.limitsMap.forEach((l, nuclide) => limits.set(nuclide, [l.clearance, l.exemption]));
+    return { xs, lambda: new Map(solver.lambdaCache), abundance, limits };
+}
+
+const relChange = (a, b) => {
+    if (a === b) return 0;
+    const scale = Math.max(Math.abs(a), Math.abs(b));
+    return scale > 0 ? (b - a) / scale : 0;
+};
+
+/**
+ * Added, removed and changed entries between two solvers.
+ * @param {NuclearSolver} solverA Reference version
+ * @param {NuclearSolver} solverB New version
+ * @param {number} tolerance Relative change treated as equal
+ * @returns {Object<string, {added: Array, removed: Array, changed: Array}>} Per DIFF_CATEGORIES key;
+ *          entries { Key, A, B, RelChange } with A/B numbers (limits: [clearance, exemption]) or null
+ */
+export function diffDatabases(solverA, solverB, tolerance = DEFAULT_DIFF_TOLERANCE) {
+    const a = snapshotDatabase(solverA);
+    const b = snapshotDatabase(solverB);
+    const byKey = (x, y) => x.Key.localeCompare(y.Key, undefined, { numeric: true });
+    const diff = {};
+
+    Object.keys(DIFF_CATEGORIES).forEach(category => {
+        const before = a[category];
+        const after = b[category];
+        const added = [];
+        const removed = [];
+        const changed = [];
+        const change = (x, y) => (Array.isArray(x)
+            ? x.reduce((worst, v, i) => (Math.abs(relChange(v, y[i])) > Math.abs(worst) ? relChange(v, y[i]) : worst), 0)
+            : relChange(x, y));
+
+        after.forEach((value, key) => {
+            if (!before.has(key)) return added.push({ Key: key, A: null, B: value, RelChange: null });
+            const rc = change(before.get(key), value);
+            if (Math.abs(rc) > tolerance) changed.push({ Key: key, A: before.get(key), B: value, RelChange: rc });
+        });
+        before.forEach((value, key) => {
+            if (!after.has(key)) removed.push({ Key: key, A: value, B: null, RelChange: null });
+        });
+        changed.sort((x, y) => Math.abs(y.RelChange) - Math.abs(x.RelChange) || byKey(x, y));
+        diff[category] = { added: added.sort(byKey), removed: removed.sort(byKey), changed };
+    });
+    return diff;
+}
+
+/**
+ * Solver of one version: its cross-section and limit tables with the shared tables and settings.
+ * @param {{xsData: Array, limitsData: Array}} version
+ * @param {{chainData: Array, resonanceData: Array, isomerData: Array, materials: Object,
+ *          importedChains: Array, library: string, engine: string}} shared
+ */
+export function buildVersionSolver(version, shared) {
+    const solver = new NuclearSolver(version.xsData, shared.chainData, version.limitsData, shared.resonanceData, shared.isomerData);
+    solver.setLibrary(shared.library);
+    solver.setEngine(shared.engine);
+    solver.setMaterials(shared.materials || {});
+    solver.setImportedChains(shared.importedChains || []);
+    return solver;
+}
+
+/**
+ * Run every scenario on both solvers and list the differences.
+ * @param {NuclearSolver} solverA
+ * @param {NuclearSolver} solverB
+ * @param {Array<Object>} scenarios Validated scenarios (validateScenarios)
+ * @param {Function} onProgress (done, total, scenario name) before each scenario
+ * @returns {Array<{Scenario: string, Quantity: string, Key: string, A: number|null, B: number|null,
+ *          Delta: number|null, RelChange: number|null}>} Quantity: 'Total activity', 'Activity',
+ *          'Sum index' or 'Max ppm'; a scenario that fails on one version gets an 'Error' row
+ */
+export function compareScenarios(solverA, solverB, scenarios, onProgress = null) {
+    const rows = [];
+    scenarios.forEach((s, i) => {
+        if (onProgress) onProgress(i, scenarios.length, s.name);
+        let ra;
+        let rb;
+        try {
+            ra = runScenario(solverA, s);
+            rb = runScenario(solverB, s);
+        } catch (e) {
+            rows.push({ Scenario: s.name, Quantity: 'Error', Key: e.message, A: null, B: null, Delta: null, RelChange: null });
+            return;
+        }
+        const push = (quantity, key, x, y) => {
+            const a = x === undefined ? null : x;
+            const b = y === undefined ? null : y;
+            const both = a !== null && b !== null;
+            rows.push({
+                Scenario: s.name,
+                Quantity: quantity,
+                Key: key,
+                A: a,
+                B: b,
+                Delta: both ? b - a : null,
+                RelChange: both ? relChange(a, b) : null
+            });
+        };
+
+        if (s.type === 'maxppm') {
+            const elements = new Set([...ra.maxPPM.keys(), ...rb.maxPPM.keys()]);
+            elements.forEach(el => push('Max ppm', el, ra.maxPPM.get(el), rb.maxPPM.get(el)));
+            return;
+        }
+        push('Total activity', 'Bq', ra.totalActivity, rb.totalActivity);
+        if (s.type === 'waste') push('Sum index', s.limitType, ra.sumIndex, rb.sumIndex);
+
+        const nuclides = new Set();
+        [ra, rb].forEach(r => r.activity.forEach((act, iso) => {
+            if (act >= ACTIVITY_SHARE * r.totalActivity) nuclides.add(iso);
+        }));
+        Array.from(nuclides)
+            .sort((x, y) => Math.max(rb.activity.get(y) || 0, ra.activity.get(y) || 0)
+                - Math.max(rb.activity.get(x) || 0, ra.activity.get(x) || 0))
+            .forEach(iso => push('Activity', iso, ra.activity.get(iso) || 0, rb.activity.get(iso) || 0));
+    });
+    return rows;
+}
+
+const cell = v => (v === null || v === undefined ? '' : Array.isArray(v) ? v.join(' / ') : String(v));
+
+export function databaseDiffToCSV(diff) {
+    const lines = [['Category', 'Change', 'Key', 'A', 'B', 'RelChange']];
+    Object.entries(diff).forEach(([category, groups]) => {
+        ['added', 'removed', 'changed'].forEach(change => groups[change].forEach(e => {
+            lines.push([category, change, e.Key, cell(e.A), cell(e.B), cell(e.RelChange)]);
+        }));
+    });
+    return lines.map(l => l.map(quoteCSV).join(',')).join('\n') + '\n';
+}
+
+export function scenarioDeltasToCSV(rows) {
+    const columns = ['Scenario', 'Quantity', 'Key', 'A', 'B', 'Delta', 'RelChange'];
+    return [columns, ...rows.map(r => columns.map(c => cell(r[c])))]
+        .map(l => l.map(quoteCSV).join(',')).join('\n') + '\n';
+}
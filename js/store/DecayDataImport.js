@@ -0,0 +1,353 @@
+/**
+ * DecayDataImport.js
+ * Builds decay chain tables from standard decay data files:
+ *  - ENDF-6 decay sublibrary (MF=8, MT=457): half-life, decay modes (RTYP), final isomeric
+ *    state (RFS) and branching ratios of every material in the file.
+ *  - ENSDF-derived CSV tables as exported by the IAEA LiveChart (ground_states or levels,
+ *    columns z, n, half_life_sec, decay_1, decay_1_%, ...). Excited levels with a decay
+ *    mode are numbered as isomers (m, m2, ...) in order of energy.
+ *  - The chain table of this tool (BaseDatos_Cadenas_Completas.csv layout), e.g. a table
+ *    exported from an earlier import.
+ * The result is a chain table in the BaseDatos_Cadenas_Completas.csv layout (plus
+ * Padre_Lambda) for NuclearSolver.setImportedChains(). Files are read locally; no network access.
+ */
+
+import { DataLoader } from './DataLoader.js';
+import { PERIODIC_TABLE } from '../utils/PeriodicTable.js';
+import { getUniqueId, quoteCSV } from '../utils/Parser.js';
+
+export const CHAIN_COLUMNS = [
+    'Target', 'Padre_Isotopo', 'Padre_T1_2', 'Modo_Decay', 'Porcentaje', 'Branching_Ratio',
+    'Hijo_Isotopo', 'Hijo_T1_2', 'Hijo_Lambda', 'Padre_Fuente', 'Hijo_Fuente', 'Padre_Lambda'
+];
+
+// ENDF-6 RTYP digits: label and change of (Z, A); null = no tracked daughter
+const ENDF_STEPS = {
+    1: { label: 'β-', dZ: 1, dA: 0 },
+    2: { label: 'EC/β+', dZ: -1, dA: 0 },
+    3: { label: 'IT', dZ: 0, dA: 0 },
+    4: { label: 'α', dZ: -2, dA: -4 },
+    5: { label: 'n', dZ: 0, dA: -1 },
+    6: null, // spontaneous fission
+    7: { label: 'p', dZ: -1, dA: -1 }
+};
+
+// ENSDF / LiveChart decay mode labels
+const ENSDF_MODES = {
+    'B-': { label: 'β-', dZ: 1, dA: 0 },
+    '2B-': { label: '2β-', dZ: 2, dA: 0 },
+    'EC': { label: 'EC', dZ: -1, dA: 0 },
+    'B+': { label: 'β+', dZ: -1, dA: 0 },
+    'EC+B+': { label: 'EC/β+', dZ: -1, dA: 0 },
+    'B+EC': { label: 'EC/β+', dZ: -1, dA: 0 },
+    '2EC': { label: '2EC', dZ: -2, dA: 0 },
+    'A': { label: 'α', dZ: -2, dA: -4 },
+    'IT': { label: 'IT', dZ: 0, dA: 0 },
+    'N': { label: 'n', dZ: 0, dA: -1 },
+    '2N': { label: '2n', dZ: 0, dA: -2 },
+    'P': { label: 'p', dZ: -1, dA: -1 },
+    '2P': { label: '2p', dZ: -2, dA: -2 },
+    'B-N': { label: 'β-,n', dZ: 1, dA: -1 },
+    'B-2N': { label: 'β-,2n', dZ: 1, dA: -2 },
+    'B-A': { label: 'β-,α', dZ: -1, dA: -4 },
+    'ECP': { label: 'EC,p', dZ: -2, dA: -1 },
+    'B+P': { label: 'EC,p', dZ: -2, dA: -1 },
+    'ECA': { label: 'EC,α', dZ: -3, dA: -4 },
+    'B+A': { label: 'EC,α', dZ: -3, dA: -4 },
+    'SF': null
+};
+
+const LN2 = Math.LN2;
+
+const symbolOf = z => {
+    const el = PERIODIC_TABLE.find(e => e.Z === z);
+    return el ? el.symbol : null;
+};
+
+const stateSuffix = level => (level > 0 ? (level === 1 ? 'm' : `m${level}`) : '');
+
+/**
+ * ENDF-6 real number, e.g. " 2.706500+4", "-1.0-10" or " 1.5E+02".
+ */
+function endfFloat(field) {
+    const s = (field || '').trim();
+    if (!s) return 0;
+    return parseFloat(s.replace(/^([+-]?[\d.]+)([+-]\d+)$/, '$1e$2'));
+}
+
+/**
+ * Decay records of every MF=8/MT=457 section in an ENDF-6 file.
+ * @returns {{nuclides: Array, warnings: string[]}}
+ */
+export function parseEndf6Decay(text) {
+    const sections = new Map(); // MAT -> data lines
+    text.split(/\r?\n/).forEach(line => {
+        if (line.length < 75) return;
+        if (line.slice(70, 72).trim() !== '8' || line.slice(72, 75).trim() !== '457') return;
+        const mat = line.slice(66, 70).trim();
+        if (!sections.has(mat)) sections.set(mat, []);
+        sections.get(mat).push(line);
+    });
+
+    const nuclides = [];
+    const warnings = [];
+    sections.forEach((lines, mat) => {
+        const fields = i => Array.from({ length: 6 }, (_, k) => lines[i].slice(k * 11, k * 11 + 11));
+        try {
+            // HEAD: ZA, AWR, LIS, LISO, 0, NST
+            const head = fields(0);
+            const za = Math.round(endfFloat(head[0]));
+            const liso = parseInt(head[3], 10) || 0;
+            const stable = parseInt(head[5], 10) === 1;
+
+            // LIST of average decay energies: T1/2, ΔT1/2, 0, 0, NPL, 0
+            const energies = fields(1);
+            const halfLifeS = endfFloat(energies[0]);
+            let i = 2 + Math.ceil((parseInt(energies[4], 10) || 0) / 6);
+
+            // LIST of decay modes: SPI, PAR, 0, 0, 6·NDK, NDK / RTYP, RFS, Q, ΔQ, BR, ΔBR
+            const ndk = parseInt(fields(i)[5], 10) || 0;
+            const modes = [];
+            for (let k = 0; k < ndk; k++) {
+                const [rtyp, rfs, , , br] = fields(i + 1 + k).map(endfFloat);
+                modes.push({ code: rtyp, finalState: Math.round(rfs), br });
+            }
+
+            const z = Math.floor(za / 1000);
+            const a = za % 1000;
+            const symbol = symbolOf(z);
+            if (!symbol) {
+                warnings.push(`MAT ${mat}: no element with Z = ${z}, skipped`);
+                return;
+            }
+
+            nuclides.push({
+                key: getUniqueId(symbol, a, stateSuffix(liso)),
+                halfLifeS: stable ? 0 : halfLifeS,
+                stable: stable || !(halfLifeS > 0),
+                branches: modes.flatMap(m => {
+                    // RTYP 1.5 = β- followed by neutron emission: one digit per step
+                    const steps = parseFloat(m.code.toFixed(6)).toString().replace('.', '').split('').map(Number);
+                    if (steps.every(s => s === 0)) return [];
+                    let dZ = 0;
+                    let dA = 0;
+                    const labels = [];
+                    for (const s of steps) {
+                        const step = ENDF_STEPS[s];
+                        if (!step) {
+                            if (s !== 6) warnings.push(`${symbol}-${a}: decay mode RTYP ${m.code} has no tracked daughter, skipped`);
+                            return [];
+                        }
+                        dZ += step.dZ;
+                        dA += step.dA;
+                        labels.push(step.label);
+                    }
+                    const daughter = symbolOf(z + dZ);
+                    if (!daughter) return [];
+                    return [{
+                        mode: labels.join(','),
+                        daughter: getUniqueId(daughter, a + dA, stateSuffix(m.finalState)),
+                        br: m.br
+                    }];
+                })
+            });
+        } catch (e) {
+            warnings.push(`MAT ${mat}: malformed MF=8/MT=457 section, skipped`);
+        }
+    });
+
+    return { nuclides, warnings };
+}
+
+/**
+ * Decay records of an ENSDF-derived table (IAEA LiveChart CSV export).
+ * @param {Array<Object>} rows Parsed CSV rows
+ * @returns {{nuclides: Array, warnings: string[]}}
+ */
+export function parseEnsdfTable(rows) {
+    const nuclides = [];
+    const warnings = [];
+    const isomerCount = new Map();
+
+    const sorted = rows
+        .map(row => ({ row, energy: parseFloat(row.energy) || 0 }))
+        .sort((x, y) => x.energy - y.energy);
+
+    sorted.forEach(({ row, energy }) => {
+        const z = parseInt(row.z, 10);
+        const a = z + parseInt(row.n, 10);
+        const symbol = symbolOf(z);
+        if (!symbol || !(a > 0)) return;
+
+        const modeColumns = Object.keys(row).filter(c => /^decay_\d+$/.test(c));
+        const modes = modeColumns.map(c => ({ name: (row[c] || '').replace(/[%\s]/g, '').toUpperCase(), pct: row[`${c}_%`] }))
+            .filter(m => m.name);
+        const halfLifeS = parseFloat(row.half_life_sec);
+        const stable = /stable/i.test(row.half_life || '') || (modes.length === 0 && !(halfLifeS > 0));
+
+        // Excited levels only matter when they decay (isomers)
+        let level = 0;
+        if (energy > 0) {
+            if (stable || modes.length === 0) return;
+            const id = `${z}-${a}`;
+            level = (isomerCount.get(id) || 0) + 1;
+            isomerCount.set(id, level);
+        }
+        const key = getUniqueId(symbol, a, stateSuffix(level));
+
+        const branches = [];
+        modes.forEach(m => {
+            if (!(m.name in ENSDF_MODES)) {
+                warnings.push(`${key}: unknown decay mode "${m.name}", skipped`);
+                return;
+            }
+            const mode = ENSDF_MODES[m.name];
+            if (!mode) return; // spontaneous fission
+            let pct = parseFloat((m.pct || '').toString().replace(/^[^\d.]+/, ''));
+            if (isNaN(pct)) {
+                if (modes.length > 1) {
+                    warnings.push(`${key}: no branching for ${m.name}, skipped`);
+                    return;
+                }
+                pct = 100;
+            }
+            const daughter = symbolOf(z + mode.dZ);
+            if (!daughter) return;
+            branches.push({ mode: mode.label, daughter: getUniqueId(daughter, a + mode.dA, ''), br: pct / 100 });
+        });
+
+        nuclides.push({ key, halfLifeS: stable ? 0 : halfLifeS, stable, branches });
+    });
+
+    return { nuclides, warnings };
+}
+
+/**
+ * Chain table rows from decay records. Stable nuclides get one row with Modo_Decay 'stable'.
+ */
+export function buildChainRows(nuclides, source) {
+    const halfLives = new Map(nuclides.map(n => [n.key, n]));
+    // Same notation as the local table, e.g. "4.28e+08 s"
+    const fmtT = t => (t > 0 ? `${t.toExponential(2).replace(/e([+-])(\d)$/, 'e$10$2')} s` : 'stable');
+    const rows = [];
+
+    nuclides.forEach(n => {
+        const parent = {
+            Target: '',
+            Padre_Isotopo: n.key,
+            Padre_T1_2: fmtT(n.halfLifeS),
+            Padre_Fuente: source,
+            Padre_Lambda: n.halfLifeS > 0 ? (LN2 / n.halfLifeS).toExponential(6) : ''
+        };
+        if (n.stable || n.branches.length === 0) {
+            rows.push({ ...parent, Modo_Decay: 'stable', Porcentaje: '', Branching_Ratio: '0',
+                Hijo_Isotopo: '', Hijo_T1_2: '', Hijo_Lambda: '', Hijo_Fuente: '' });
+            return;
+        }
+        n.branches.forEach(b => {
+            const d = halfLives.get(b.daughter);
+            rows.push({
+                ...parent,
+                Modo_Decay: b.mode,
+                Porcentaje: `${(b.br * 100).toFixed(2)}%`,
+                Branching_Ratio: b.br.toPrecision(6),
+                Hijo_Isotopo: b.daughter,
+                Hijo_T1_2: d ? fmtT(d.halfLifeS) : '',
+                Hijo_Lambda: d && d.halfLifeS > 0 ? (LN2 / d.halfLifeS).toExponential(6) : '',
+                Hijo_Fuente: d ? source : ''
+            });
+        });
+    });
+    return rows;
+}
+
+/**
+ * Read one decay data file.
+ * @param {string} name File name, used as source label
+ * @param {string} text File contents
+ * @returns {{format: string, nuclides: number, rows: Array<Object>, warnings: string[]}}
+ */
+export function importDecayFile(name, text) {
+    const firstLine = (text.split(/\r?\n/).find(l => l.trim()) || '');
+
+    if (text.split(/\r?\n/).some(l => l.length >= 75 && l.slice(70, 72).trim() === '8' && l.slice(72, 75).trim() === '457')) {
+        const { nuclides, warnings } = parseEndf6Decay(text);
+        return { format: 'ENDF-6', nuclides: nuclides.length, rows: buildChainRows(nuclides, name), warnings };
+    }
+
+    const csv = new DataLoader().parseCSV(text);
+    if (firstLine.includes('Padre_Isotopo')) {
+        const rows = csv.filter(r => r.Padre_Isotopo).map(r => ({ ...r, Padre_Fuente: r.Padre_Fuente || name }));
+        return { format: 'Chain table', nuclides: new Set(rows.map(r => r.Padre_Isotopo)).size, rows, warnings: [] };
+    }
+    if (/\bdecay_1\b/.test(firstLine) && /\bz\b/.test(firstLine)) {
+        const { nuclides, warnings } = parseEnsdfTable(csv);
+        return { format: 'ENSDF table', nuclides: nuclides.length, rows: buildChainRows(nuclides, name), warnings };
+    }
+
+    throw new Error(`${name}: not an ENDF-6 decay file (MF=8, MT=457) or ENSDF-derived table`);
+}
+
+/**
+ * Combine chain tables; a parent in a later table replaces the same parent in earlier ones.
+ */
+export function combineChainTables(tables) {
+    const byParent = new Map();
+    tables.forEach(rows => {
+        const parents = new Map();
+        rows.forEach(r => {
+            if (!parents.has(r.Padre_Isotopo)) parents.set(r.Padre_Isotopo, []);
+            parents.get(r.Padre_Isotopo).push(r);
+        });
+        parents.forEach((list, parent) => byParent.set(parent, list));
+    });
+    return Array.from(byParent.values()).flat();
+}
+
+export function chainRowsToCSV(rows) {
+    return [CHAIN_COLUMNS.join(','), ...rows.map(r => CHAIN_COLUMNS.map(c => quoteCSV(r[c])).join(','))].join('\n');
+}
+
+/**
+ * Decay branches per parent, for compareDecayData().
+ * @returns {Map<string, Map<string, number>>} parent -> (daughter -> BR)
+ */
+export function snapshotDecayData(solver) {
+    const snap = new Map();
+    solver.decayMap.forEach((list, parent) => {
+        if (list.length === 0) return;
+        snap.set(parent, new Map(list.map(d => [d.child, d.br])));
+    });
+    return snap;
+}
+
+/**
+ * Which nuclides gained, lost or changed decay chain data between two snapshots.
+ * @returns {{gained: Array, lost: Array, changed: Array}} Entries { nuclide, before, after }
+ *          with before/after as "Daughter (BR %)" lists
+ */
+export function compareDecayData(before, after) {
+    const describe = branches => (branches
+        ? Array.from(branches.entries()).map(([d, br]) => `${d} (${(br * 100).toPrecision(3)}%)`).join(', ')
+        : '');
+    const gained = [];
+    const lost = [];
+    const changed = [];
+
+    after.forEach((branches, parent) => {
+        const old = before.get(parent);
+        if (!old) {
+            gained.push({ nuclide: parent, before: '', after: describe(branches) });
+            return;
+        }
+        const differs = old.size !== branches.size
+            || Array.from(branches.entries()).some(([d, br]) => !old.has(d) || Math.abs(old.get(d) - br) > 1e-4 * Math.max(br, 1e-12));
+        if (differs) changed.push({ nuclide: parent, before: describe(old), after: describe(branches) });
+    });
+    before.forEach((branches, parent) => {
+        if (!after.has(parent)) lost.push({ nuclide: parent, before: describe(branches), after: '' });
+    });
+
+    const byName = (x, y) => x.nuclide.localeCompare(y.nuclide, undefined, { numeric: true });
+    return { gained: gained.sort(byName), lost: lost.sort(byName), changed: changed.sort(byName) };
+}
@@ -23,7 +23,7 @@ export class Presets {
 
     /**
      * Save a preset
-     * @param {string} type - 'single', 'impurity', 'waste', 'limit'
+     * @param {string} type - 'single', 'impurity', 'waste', 'limit', 'k0', 'material', 'decayData', 'referenceScenarios'
      * @param {string} name - User defined name
      * @param {Object} data - The form data
      */
@@ -63,6 +63,44 @@ export class Presets {
         return false;
     }
 
+    /**
+     * Named target materials, stored as presets of type 'material'
+     * @returns {Object} { name: { element, composition: { A: percent } } }
+     */
+    static getMaterials() {
+        const all = this.getAll();
+        const materials = {};
+        Object.entries(all.material || {}).forEach(([name, entry]) => {
+            materials[name] = entry.data;
+        });
+        return materials;
+    }
+
+    /**
+     * Imported decay data files, stored as presets of type 'decayData', oldest first
+     * @returns {Array<{name: string, timestamp: number, format: string, nuclides: number, rows: Array, warnings: string[]}>}
+     */
+    static getDecayData() {
+        const all = this.getAll();
+        return Object.entries(all.decayData || {})
+            .map(([name, entry]) => ({ name, timestamp: entry.timestamp, ...entry.data }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Reference scenarios of the database comparison, stored as the single preset 'current'
+     * of type 'referenceScenarios'
+     * @returns {Array<Object>|null} null when none were saved
+     */
+    static getReferenceScenarios() {
+        return this.load('referenceScenarios', 'current');
+    }
+
+    static setReferenceScenarios(list) {
+        if (list === null) return this.delete('referenceScenarios', 'current');
+        return this.save('referenceScenarios', 'current', list);
+    }
+
     /**
      * Get list of preset names for a type
      */
@@ -21,6 +21,12 @@ const ADMIN_ONLY_FIELDS = [
     'input-flux',
     'input-time',
     'input-cool',
+    'input-f',
+    'input-alpha',
+    'input-engine',
+    'input-library',
+    'input-mc',
+    'input-schedule-toggle',
 
     // Impurity Tab
     'imp-ppm',
@@ -28,6 +34,13 @@ const ADMIN_ONLY_FIELDS = [
     'imp-flux',
     'imp-time',
     'imp-cool',
+    'imp-f',
+    'imp-alpha',
+    'imp-engine',
+    'imp-library',
+    'imp-mc',
+    'imp-schedule-toggle',
+    'imp-batch-file',
 
     // Waste Tab
     'waste-imp-ppm',
@@ -36,6 +49,13 @@ const ADMIN_ONLY_FIELDS = [
     'waste-flux',
     'waste-time',
     'waste-cool',
+    'waste-f',
+    'waste-alpha',
+    'waste-engine',
+    'waste-library',
+    'waste-mc',
+    'waste-schedule-toggle',
+    'waste-batch-file',
 
     // Limit Tab
     'lim-frac',
@@ -45,21 +65,32 @@ const ADMIN_ONLY_FIELDS = [
     'lim-flux',
     'lim-time',
     'lim-cool',
-    'lim-type'
+    'lim-type',
+    'lim-f',
+    'lim-alpha',
+    'lim-engine',
+    'lim-library',
+    'lim-mc',
+    'lim-schedule-toggle'
 ];
 
 // Buttons that require admin access
 const ADMIN_ONLY_BUTTONS = [
     'btn-add-imp',
     'btn-add-waste-imp',
-    'btn-add-lim'
+    'btn-add-lim',
+    'btn-decay-data',
+    'btn-data-quality'
 ];
 
 // Button classes that require admin access
 const ADMIN_ONLY_BUTTON_CLASSES = [
     'btn-save-preset',
     'btn-load-preset',
-    'btn-remove-item'
+    'btn-remove-item',
+    'btn-add-segment',
+    'btn-remove-segment',
+    'btn-materials'
 ];
 
 export class UserRoles {
@@ -202,9 +202,40 @@ export function renderComplianceBarChart(canvasId, results, maxItems = 10) {
 }
 
 /**
- * Render a line chart showing activity decay over time
+ * Vertical marker at end of bombardment (x in days), drawn after the datasets
  */
-export function renderDecayChart(canvasId, isotope, initialActivity, halfLifeSeconds, maxDays = 365) {
+function eobMarkerPlugin(eobDays) {
+    return {
+        id: 'eobMarker',
+        afterDatasetsDraw(chart) {
+            const xScale = chart.scales.x;
+            if (!xScale || !(eobDays > 0) || eobDays > xScale.max) return;
+            const x = xScale.getPixelForValue(eobDays);
+            const { top, bottom } = chart.chartArea;
+            const ctx = chart.ctx;
+            ctx.save();
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.setLineDash([5, 5]);
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, bottom);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#e0e0e0';
+            ctx.font = '10px sans-serif';
+            ctx.fillText('EOB', x + 4, top + 10);
+            ctx.restore();
+        }
+    };
+}
+
+/**
+ * Render per-nuclide and total activity over irradiation and cooling (log scale)
+ * @param {Object} timeSeries Output of NuclearSolver.activityTimeSeries()
+ * @param {Object} options { stacked: stack the nuclide series, title }
+ */
+export function renderInventoryChart(canvasId, timeSeries, options = {}) {
     if (!window.Chart) {
         console.warn('Chart.js not loaded');
         return;
@@ -212,71 +243,207 @@ export function renderDecayChart(canvasId, isotope, initialActivity, halfLifeSec
 
     destroyChart(canvasId);
     const canvas = document.getElementById(canvasId);
-    if (!canvas) return;
+    if (!canvas || !timeSeries || timeSeries.times.length === 0) return;
 
-    const ctx = canvas.getContext('2d');
+    const stacked = !!options.stacked;
+    const days = timeSeries.times.map(t => t / 86400);
+    const peak = Math.max(...timeSeries.total);
+    const floor = peak > 0 ? peak * 1e-12 : 1e-20;
+    // Log axis cannot show zeros
+    const toPoints = values => values.map((v, i) => ({ x: days[i], y: v > floor ? v : null }));
 
-    // Create gradient fill
-    const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height || 200);
-    gradient.addColorStop(0, 'rgba(0, 212, 255, 0.4)');
-    gradient.addColorStop(0.5, 'rgba(0, 212, 255, 0.15)');
-    gradient.addColorStop(1, 'rgba(0, 212, 255, 0.02)');
+    const datasets = timeSeries.series.map((s, i) => ({
+        label: s.Isotope,
+        data: toPoints(s.values),
+        borderColor: CHART_BORDERS[i % CHART_BORDERS.length],
+        backgroundColor: CHART_COLORS[i % CHART_COLORS.length].replace('0.8', '0.35'),
+        fill: stacked ? (i === 0 ? 'origin' : '-1') : false,
+        stack: 'nuclides',
+        tension: 0.2,
+        pointRadius: 0,
+        pointHoverRadius: 3,
+        borderWidth: 1.5,
+        spanGaps: false
+    }));
 
-    const lambda = Math.log(2) / halfLifeSeconds;
-    const halfLifeDays = halfLifeSeconds / 86400;
-    const points = 60;
-    const maxSeconds = maxDays * 86400;
+    datasets.push({
+        label: 'Total',
+        data: toPoints(timeSeries.total),
+        borderColor: '#ffffff',
+        backgroundColor: 'transparent',
+        borderDash: [6, 3],
+        fill: false,
+        stack: 'total',
+        tension: 0.2,
+        pointRadius: 0,
+        pointHoverRadius: 3,
+        borderWidth: 2
+    });
 
-    const timePoints = [];
-    const activityPoints = [];
+    const chart = new window.Chart(canvas, {
+        type: 'line',
+        data: { datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    max: days[days.length - 1],
+                    grid: {
+                        color: 'rgba(255,255,255,0.05)',
+                        drawBorder: false
+                    },
+                    ticks: {
+                        color: '#888',
+                        font: { size: 10 },
+                        maxTicksLimit: 8,
+                        callback: (val) => val.toFixed(val < 10 ? 1 : 0)
+                    },
+                    title: {
+                        display: true,
+                        text: 'Time since start of irradiation (days)',
+                        color: '#aaa',
+                        font: { size: 11 }
+                    }
+                },
+                y: {
+                    type: 'logarithmic',
+                    stacked: stacked,
+                    min: floor,
+                    grid: {
+                        color: 'rgba(255,255,255,0.05)',
+                        drawBorder: false
+                    },
+                    ticks: {
+                        color: '#888',
+                        font: { size: 10 },
+                        callback: (val) => {
+                            const exp = Math.log10(val);
+                            if (Number.isInteger(exp)) {
+                                return `10^${exp}`;
+                            }
+                            return '';
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Activity (Bq)',
+                        color: '#aaa',
+                        font: { size: 11 }
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: { color: '#e0e0e0', font: { size: 10 }, boxWidth: 10, padding: 6 }
+                },
+                title: {
+                    display: true,
+                    text: options.title || 'Activity vs Time',
+                    color: '#00d4ff',
+                    font: { size: 12, weight: '600' },
+                    padding: { bottom: 10 }
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(20, 30, 50, 0.95)',
+                    titleColor: '#00d4ff',
+                    bodyColor: '#e0e0e0',
+                    borderColor: 'rgba(0, 212, 255, 0.3)',
+                    borderWidth: 1,
+                    cornerRadius: 6,
+                    filter: (item) => item.parsed.y !== null,
+                    callbacks: {
+                        title: (items) => {
+                            const d = items[0].parsed.x;
+                            const eobDays = timeSeries.eob / 86400;
+                            const phase = d <= eobDays ? 'irradiation' : `${(d - eobDays).toFixed(1)} d after EOB`;
+                            return `Day ${d.toFixed(2)} (${phase})`;
+                        },
+                        // Stacked mode shows each nuclide's own activity, not the stack height
+                        label: (ctx) => {
+                            const raw = ctx.datasetIndex < timeSeries.series.length
+                                ? timeSeries.series[ctx.datasetIndex].values[ctx.dataIndex]
+                                : timeSeries.total[ctx.dataIndex];
+                            return `${ctx.dataset.label}: ${raw.toExponential(2)} Bq`;
+                        }
+                    }
+                }
+            }
+        },
+        plugins: [eobMarkerPlugin(timeSeries.eob / 86400)]
+    });
 
-    for (let i = 0; i <= points; i++) {
-        const t = (maxSeconds / points) * i;
-        const days = t / 86400;
-        const activity = initialActivity * Math.exp(-lambda * t);
+    chartInstances.set(canvasId, chart);
+    return chart;
+}
 
-        timePoints.push(days);
-        activityPoints.push(activity);
+/**
+ * Render a predicted gamma spectrum (counts per channel, log scale) with markers on the
+ * visible peaks.
+ * @param {Object} spectrum Output of GammaSpectrumSimulator.simulate()
+ * @param {Object} options { maxLabels: peaks marked (default 15), title }
+ */
+export function renderGammaSpectrumChart(canvasId, spectrum, options = {}) {
+    if (!window.Chart) {
+        console.warn('Chart.js not loaded');
+        return;
     }
 
-    // Format half-life for display
-    let halfLifeStr;
-    if (halfLifeDays < 1) {
-        const hours = halfLifeDays * 24;
-        halfLifeStr = hours < 1 ? `${(hours * 60).toFixed(1)} min` : `${hours.toFixed(1)} h`;
-    } else if (halfLifeDays < 365) {
-        halfLifeStr = `${halfLifeDays.toFixed(1)} days`;
-    } else {
-        halfLifeStr = `${(halfLifeDays / 365).toFixed(1)} years`;
-    }
+    destroyChart(canvasId);
+    const canvas = document.getElementById(canvasId);
+    if (!canvas || !spectrum || spectrum.energies.length === 0) return;
+
+    const maxLabels = options.maxLabels || 15;
+    const floor = 0.1;
+    const channelOf = e => Math.min(spectrum.counts.length - 1, Math.floor(e / spectrum.keVPerChannel));
+    const marked = spectrum.peaks.filter(p => p.Visible).slice(0, maxLabels);
 
     const chart = new window.Chart(canvas, {
         type: 'line',
         data: {
-            labels: timePoints,
-            datasets: [{
-                label: `${isotope}`,
-                data: activityPoints,
-                borderColor: 'rgba(0, 212, 255, 1)',
-                backgroundColor: gradient,
-                fill: true,
-                tension: 0.3,
-                pointRadius: 0,
-                pointHoverRadius: 4,
-                pointHoverBackgroundColor: '#00d4ff',
-                borderWidth: 2
-            }]
+            datasets: [
+                {
+                    label: 'Spectrum',
+                    data: spectrum.energies.map((e, i) => ({ x: e, y: Math.max(spectrum.counts[i], floor) })),
+                    borderColor: CHART_BORDERS[0],
+                    backgroundColor: CHART_COLORS[0].replace('0.8', '0.15'),
+                    fill: 'origin',
+                    stepped: true,
+                    pointRadius: 0,
+                    borderWidth: 1
+                },
+                {
+                    label: 'Visible peaks',
+                    type: 'scatter',
+                    data: marked.map(p => ({ x: p.Energy, y: Math.max(spectrum.counts[channelOf(p.Energy)], floor), peak: p })),
+                    borderColor: CHART_BORDERS[3],
+                    backgroundColor: CHART_COLORS[3],
+                    pointRadius: 4,
+                    pointStyle: 'triangle'
+                }
+            ]
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            animation: false,
             interaction: {
-                mode: 'index',
+                mode: 'nearest',
                 intersect: false
             },
             scales: {
                 x: {
                     type: 'linear',
+                    min: 0,
+                    max: spectrum.energies[spectrum.energies.length - 1],
                     grid: {
                         color: 'rgba(255,255,255,0.05)',
                         drawBorder: false
@@ -284,18 +451,18 @@ export function renderDecayChart(canvasId, isotope, initialActivity, halfLifeSec
                     ticks: {
                         color: '#888',
                         font: { size: 10 },
-                        maxTicksLimit: 8,
-                        callback: (val) => val.toFixed(0)
+                        maxTicksLimit: 10
                     },
                     title: {
                         display: true,
-                        text: 'Cooling Time (days)',
+                        text: 'Energy (keV)',
                         color: '#aaa',
                         font: { size: 11 }
                     }
                 },
                 y: {
                     type: 'logarithmic',
+                    min: floor,
                     grid: {
                         color: 'rgba(255,255,255,0.05)',
                         drawBorder: false
@@ -303,7 +470,6 @@ export function renderDecayChart(canvasId, isotope, initialActivity, halfLifeSec
                     ticks: {
                         color: '#888',
                         font: { size: 10 },
-                        maxTicksLimit: 5,
                         callback: (val) => {
                             const exp = Math.log10(val);
                             if (Number.isInteger(exp)) {
@@ -314,7 +480,7 @@ export function renderDecayChart(canvasId, isotope, initialActivity, halfLifeSec
                     },
                     title: {
                         display: true,
-                        text: 'Activity (Bq)',
+                        text: `Counts / channel (${spectrum.keVPerChannel.toPrecision(2)} keV)`,
                         color: '#aaa',
                         font: { size: 11 }
                     }
@@ -322,11 +488,13 @@ export function renderDecayChart(canvasId, isotope, initialActivity, halfLifeSec
             },
             plugins: {
                 legend: {
-                    display: false
+                    display: true,
+                    position: 'bottom',
+                    labels: { color: '#e0e0e0', font: { size: 10 }, boxWidth: 10, padding: 6 }
                 },
                 title: {
                     display: true,
-                    text: [`${isotope} Decay`, `t½ = ${halfLifeStr}`],
+                    text: options.title || 'Predicted Gamma Spectrum',
                     color: '#00d4ff',
                     font: { size: 12, weight: '600' },
                     padding: { bottom: 10 }
@@ -338,10 +506,13 @@ export function renderDecayChart(canvasId, isotope, initialActivity, halfLifeSec
                     borderColor: 'rgba(0, 212, 255, 0.3)',
                     borderWidth: 1,
                     cornerRadius: 6,
-                    displayColors: false,
                     callbacks: {
-                        title: (items) => `Day ${items[0].parsed.x.toFixed(1)}`,
-                        label: (ctx) => `Activity: ${ctx.parsed.y.toExponential(2)} Bq`
+                        title: (items) => `${items[0].parsed.x.toFixed(1)} keV`,
+                        label: (ctx) => {
+                            const peak = ctx.raw.peak;
+                            if (peak) return `${peak.Isotope} ${peak.Energy.toFixed(1)} keV: ${peak.Counts.toExponential(2)} net counts`;
+                            return `${ctx.parsed.y.toExponential(2)} counts`;
+                        }
                     }
                 }
             }
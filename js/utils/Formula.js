@@ -0,0 +1,116 @@
+/**
+ * Formula.js
+ * Chemical formula parser for compound targets and matrices.
+ * "Lu2O3", "Ho(NO3)3", "K4[Fe(CN)6]", "CuSO4·5H2O" are read as atom counts; alloys can
+ * also be given by mass percent ("Fe 70%, Cr 18%, Ni 12%"). Either way the result is a set
+ * of element mass fractions derived from the standard atomic weights.
+ */
+
+import { PERIODIC_TABLE } from './PeriodicTable.js';
+
+const WEIGHTS = new Map(PERIODIC_TABLE.map(e => [e.symbol, e.weight]));
+
+function addCounts(target, counts, factor = 1) {
+    Object.entries(counts).forEach(([sym, n]) => {
+        target[sym] = (target[sym] || 0) + n * factor;
+    });
+}
+
+/**
+ * Atom counts of one formula unit without hydrate separators, e.g. "Ho(NO3)3".
+ */
+function parseGroup(text) {
+    const stack = [{}];
+    let i = 0;
+
+    const readNumber = () => {
+        const m = text.slice(i).match(/^\d+(?:\.\d+)?/);
+        if (!m) return 1;
+        i += m[0].length;
+        return parseFloat(m[0]);
+    };
+
+    while (i < text.length) {
+        const ch = text[i];
+        if (ch === '(' || ch === '[') {
+            stack.push({});
+            i++;
+        } else if (ch === ')' || ch === ']') {
+            if (stack.length < 2) throw new Error(`Unbalanced "${ch}" in ${text}`);
+            i++;
+            const group = stack.pop();
+            addCounts(stack[stack.length - 1], group, readNumber());
+        } else {
+            const m = text.slice(i).match(/^[A-Z][a-z]?/);
+            if (!m || !WEIGHTS.has(m[0])) throw new Error(`Unknown element at "${text.slice(i)}"`);
+            i += m[0].length;
+            addCounts(stack[stack.length - 1], { [m[0]]: 1 }, readNumber());
+        }
+    }
+
+    if (stack.length !== 1) throw new Error(`Unbalanced parentheses in ${text}`);
+    return stack[0];
+}
+
+/**
+ * Atom counts per formula unit.
+ * @param {string} formula e.g. "Lu2O3" or "CuSO4·5H2O" (· or * separates hydrate water)
+ * @returns {Object<string, number>} { Lu: 2, O: 3 }
+ */
+export function parseFormula(formula) {
+    const text = (formula || '').replace(/\s+/g, '');
+    if (!text) throw new Error('Empty formula');
+
+    const counts = {};
+    text.split(/[·•*]/).forEach(part => {
+        const m = part.match(/^(\d+(?:\.\d+)?)?(.+)$/);
+        if (!m) throw new Error(`Empty formula part in ${text}`);
+        addCounts(counts, parseGroup(m[2]), m[1] ? parseFloat(m[1]) : 1);
+    });
+    return counts;
+}
+
+/**
+ * Molar mass [g/mol] from atom counts.
+ */
+export function molarMass(counts) {
+    return Object.entries(counts).reduce((sum, [sym, n]) => sum + n * WEIGHTS.get(sym), 0);
+}
+
+/**
+ * Mass percent list "Fe 70%, Cr 18%, Ni 12%" (also "Fe:70%"). Normalized to a sum of 1.
+ */
+function parseMassPercent(text) {
+    const fractions = {};
+    text.split(/[,;]/).map(p => p.trim()).filter(p => p).forEach(part => {
+        const m = part.match(/^([A-Z][a-z]?)\s*:?\s*(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\s*%$/);
+        if (!m || !WEIGHTS.has(m[1])) throw new Error(`Cannot read "${part}" (expected e.g. "Fe 70%")`);
+        fractions[m[1]] = (fractions[m[1]] || 0) + parseFloat(m[2]);
+    });
+
+    const sum = Object.values(fractions).reduce((a, b) => a + b, 0);
+    if (!(sum > 0)) throw new Error('Mass percentages must be positive');
+    Object.keys(fractions).forEach(sym => { fractions[sym] /= sum; });
+    return fractions;
+}
+
+/**
+ * Element mass fractions of a compound or alloy.
+ * @param {string} text Chemical formula or mass percent list
+ * @returns {{fractions: Object<string, number>, molarMass: number|null, basis: 'formula'|'mass'}}
+ */
+export function compoundComposition(text) {
+    if ((text || '').includes('%')) {
+        return { fractions: parseMassPercent(text), molarMass: null, basis: 'mass' };
+    }
+
+    const counts = parseFormula(text);
+    const M = molarMass(counts);
+    if (!(M > 0)) throw new Error(`Formula ${text} has no mass`);
+
+    const fractions = {};
+    Object.entries(counts).forEach(([sym, n]) => {
+        fractions[sym] = (n * WEIGHTS.get(sym)) / M;
+    });
+    return { fractions, molarMass: M, basis: 'formula' };
+}
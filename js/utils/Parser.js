@@ -42,3 +42,52 @@ export function parseScientific(str) {
     const num = parseFloat(cleaned);
     return isNaN(num) ? 0 : num;
 }
+
+// Half-life units in seconds. 'm' is minutes; 'By' (billion years) is read as Gy.
+const JULIAN_YEAR_S = 365.25 * 86400;
+const HALF_LIFE_UNITS = {
+    ns: 1e-9, us: 1e-6, 'µs': 1e-6, ms: 1e-3, s: 1, sec: 1,
+    m: 60, min: 60, h: 3600, d: 86400,
+    y: JULIAN_YEAR_S, ky: 1e3 * JULIAN_YEAR_S, My: 1e6 * JULIAN_YEAR_S, Gy: 1e9 * JULIAN_YEAR_S, By: 1e9 * JULIAN_YEAR_S,
+    Ty: 1e12 * JULIAN_YEAR_S, Py: 1e15 * JULIAN_YEAR_S, Ey: 1e18 * JULIAN_YEAR_S
+};
+
+/**
+ * Half-life in seconds from a chain-table string such as "4.28e+08 s", "0.108 Py" or "stable".
+ * @returns {number|null} Infinity for stable nuclides, null when the text cannot be read
+ */
+export function parseHalfLife(text) {
+    const clean = (text === undefined || text === null) ? '' : text.toString().trim();
+    if (/^stable$/i.test(clean)) return Infinity;
+    const m = clean.match(/^(\d*\.?\d+(?:[eE][+-]?\d+)?)\s*([A-Za-zµ]+)$/);
+    if (!m || !HALF_LIFE_UNITS[m[2]]) return null;
+    const value = parseFloat(m[1]) * HALF_LIFE_UNITS[m[2]];
+    return value > 0 ? value : null;
+}
+
+/**
+ * Half-life in the largest unit that keeps the value ≥ 1, e.g. "6.65 d".
+ */
+export function formatHalfLife(seconds) {
+    if (!isFinite(seconds)) return 'stable';
+    const units = [['y', JULIAN_YEAR_S], ['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+    const [unit, size] = units.find(([, s]) => seconds >= s) || ['s', 1];
+    const value = seconds / size;
+    return `${value >= 1e5 ? value.toExponential(3) : value.toPrecision(4)} ${unit}`;
+}
+
+/**
+ * User text (e.g. a sample name from a spreadsheet) made safe for innerHTML.
+ */
+export function escapeHtml(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text).replace(/[&<>"']/g, c => entities[c]);
+}
+
+/**
+ * One CSV cell: quoted when it holds a comma, quote or line break, with quotes doubled.
+ */
+export function quoteCSV(value) {
+    const s = (value === undefined || value === null) ? '' : String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
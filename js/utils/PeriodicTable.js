@@ -1,126 +1,127 @@
 /**
  * PeriodicTable.js
  * Enriched list of elements for autocomplete and visualization.
- * Contains atomic number (Z), symbol, name, and category.
+ * Contains atomic number (Z), symbol, name, category and standard atomic weight
+ * (mass number of the longest-lived isotope for elements without a stable one).
  */
 
 export const PERIODIC_TABLE = [
-    { Z: 1, symbol: "H", name: "Hydrogen", group: 1, period: 1, category: "diatomic nonmetal" },
-    { Z: 2, symbol: "He", name: "Helium", group: 18, period: 1, category: "noble gas" },
-    { Z: 3, symbol: "Li", name: "Lithium", group: 1, period: 2, category: "alkali metal" },
-    { Z: 4, symbol: "Be", name: "Beryllium", group: 2, period: 2, category: "alkaline earth metal" },
-    { Z: 5, symbol: "B", name: "Boron", group: 13, period: 2, category: "metalloid" },
-    { Z: 6, symbol: "C", name: "Carbon", group: 14, period: 2, category: "polyatomic nonmetal" },
-    { Z: 7, symbol: "N", name: "Nitrogen", group: 15, period: 2, category: "diatomic nonmetal" },
-    { Z: 8, symbol: "O", name: "Oxygen", group: 16, period: 2, category: "diatomic nonmetal" },
-    { Z: 9, symbol: "F", name: "Fluorine", group: 17, period: 2, category: "diatomic nonmetal" },
-    { Z: 10, symbol: "Ne", name: "Neon", group: 18, period: 2, category: "noble gas" },
-    { Z: 11, symbol: "Na", name: "Sodium", group: 1, period: 3, category: "alkali metal" },
-    { Z: 12, symbol: "Mg", name: "Magnesium", group: 2, period: 3, category: "alkaline earth metal" },
-    { Z: 13, symbol: "Al", name: "Aluminium", group: 13, period: 3, category: "post-transition metal" },
-    { Z: 14, symbol: "Si", name: "Silicon", group: 14, period: 3, category: "metalloid" },
-    { Z: 15, symbol: "P", name: "Phosphorus", group: 15, period: 3, category: "polyatomic nonmetal" },
-    { Z: 16, symbol: "S", name: "Sulfur", group: 16, period: 3, category: "polyatomic nonmetal" },
-    { Z: 17, symbol: "Cl", name: "Chlorine", group: 17, period: 3, category: "diatomic nonmetal" },
-    { Z: 18, symbol: "Ar", name: "Argon", group: 18, period: 3, category: "noble gas" },
-    { Z: 19, symbol: "K", name: "Potassium", group: 1, period: 4, category: "alkali metal" },
-    { Z: 20, symbol: "Ca", name: "Calcium", group: 2, period: 4, category: "alkaline earth metal" },
-    { Z: 21, symbol: "Sc", name: "Scandium", group: 3, period: 4, category: "transition metal" },
-    { Z: 22, symbol: "Ti", name: "Titanium", group: 4, period: 4, category: "transition metal" },
-    { Z: 23, symbol: "V", name: "Vanadium", group: 5, period: 4, category: "transition metal" },
-    { Z: 24, symbol: "Cr", name: "Chromium", group: 6, period: 4, category: "transition metal" },
-    { Z: 25, symbol: "Mn", name: "Manganese", group: 7, period: 4, category: "transition metal" },
-    { Z: 26, symbol: "Fe", name: "Iron", group: 8, period: 4, category: "transition metal" },
-    { Z: 27, symbol: "Co", name: "Cobalt", group: 9, period: 4, category: "transition metal" },
-    { Z: 28, symbol: "Ni", name: "Nickel", group: 10, period: 4, category: "transition metal" },
-    { Z: 29, symbol: "Cu", name: "Copper", group: 11, period: 4, category: "transition metal" },
-    { Z: 30, symbol: "Zn", name: "Zinc", group: 12, period: 4, category: "transition metal" },
-    { Z: 31, symbol: "Ga", name: "Gallium", group: 13, period: 4, category: "post-transition metal" },
-    { Z: 32, symbol: "Ge", name: "Germanium", group: 14, period: 4, category: "metalloid" },
-    { Z: 33, symbol: "As", name: "Arsenic", group: 15, period: 4, category: "metalloid" },
-    { Z: 34, symbol: "Se", name: "Selenium", group: 16, period: 4, category: "polyatomic nonmetal" },
-    { Z: 35, symbol: "Br", name: "Bromine", group: 17, period: 4, category: "diatomic nonmetal" },
-    { Z: 36, symbol: "Kr", name: "Krypton", group: 18, period: 4, category: "noble gas" },
-    { Z: 37, symbol: "Rb", name: "Rubidium", group: 1, period: 5, category: "alkali metal" },
-    { Z: 38, symbol: "Sr", name: "Strontium", group: 2, period: 5, category: "alkaline earth metal" },
-    { Z: 39, symbol: "Y", name: "Yttrium", group: 3, period: 5, category: "transition metal" },
-    { Z: 40, symbol: "Zr", name: "Zirconium", group: 4, period: 5, category: "transition metal" },
-    { Z: 41, symbol: "Nb", name: "Niobium", group: 5, period: 5, category: "transition metal" },
-    { Z: 42, symbol: "Mo", name: "Molybdenum", group: 6, period: 5, category: "transition metal" },
-    { Z: 43, symbol: "Tc", name: "Technetium", group: 7, period: 5, category: "transition metal" },
-    { Z: 44, symbol: "Ru", name: "Ruthenium", group: 8, period: 5, category: "transition metal" },
-    { Z: 45, symbol: "Rh", name: "Rhodium", group: 9, period: 5, category: "transition metal" },
-    { Z: 46, symbol: "Pd", name: "Palladium", group: 10, period: 5, category: "transition metal" },
-    { Z: 47, symbol: "Ag", name: "Silver", group: 11, period: 5, category: "transition metal" },
-    { Z: 48, symbol: "Cd", name: "Cadmium", group: 12, period: 5, category: "transition metal" },
-    { Z: 49, symbol: "In", name: "Indium", group: 13, period: 5, category: "post-transition metal" },
-    { Z: 50, symbol: "Sn", name: "Tin", group: 14, period: 5, category: "post-transition metal" },
-    { Z: 51, symbol: "Sb", name: "Antimony", group: 15, period: 5, category: "metalloid" },
-    { Z: 52, symbol: "Te", name: "Tellurium", group: 16, period: 5, category: "metalloid" },
-    { Z: 53, symbol: "I", name: "Iodine", group: 17, period: 5, category: "diatomic nonmetal" },
-    { Z: 54, symbol: "Xe", name: "Xenon", group: 18, period: 5, category: "noble gas" },
-    { Z: 55, symbol: "Cs", name: "Cesium", group: 1, period: 6, category: "alkali metal" },
-    { Z: 56, symbol: "Ba", name: "Barium", group: 2, period: 6, category: "alkaline earth metal" },
-    { Z: 57, symbol: "La", name: "Lanthanum", group: 3, period: 6, category: "lanthanide" },
-    { Z: 58, symbol: "Ce", name: "Cerium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 59, symbol: "Pr", name: "Praseodymium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 60, symbol: "Nd", name: "Neodymium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 61, symbol: "Pm", name: "Promethium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 62, symbol: "Sm", name: "Samarium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 63, symbol: "Eu", name: "Europium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 64, symbol: "Gd", name: "Gadolinium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 65, symbol: "Tb", name: "Terbium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 66, symbol: "Dy", name: "Dysprosium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 67, symbol: "Ho", name: "Holmium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 68, symbol: "Er", name: "Erbium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 69, symbol: "Tm", name: "Thulium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 70, symbol: "Yb", name: "Ytterbium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 71, symbol: "Lu", name: "Lutetium", group: 3, period: 6, category: "lanthanide" },
-    { Z: 72, symbol: "Hf", name: "Hafnium", group: 4, period: 6, category: "transition metal" },
-    { Z: 73, symbol: "Ta", name: "Tantalum", group: 5, period: 6, category: "transition metal" },
-    { Z: 74, symbol: "W", name: "Tungsten", group: 6, period: 6, category: "transition metal" },
-    { Z: 75, symbol: "Re", name: "Rhenium", group: 7, period: 6, category: "transition metal" },
-    { Z: 76, symbol: "Os", name: "Osmium", group: 8, period: 6, category: "transition metal" },
-    { Z: 77, symbol: "Ir", name: "Iridium", group: 9, period: 6, category: "transition metal" },
-    { Z: 78, symbol: "Pt", name: "Platinum", group: 10, period: 6, category: "transition metal" },
-    { Z: 79, symbol: "Au", name: "Gold", group: 11, period: 6, category: "transition metal" },
-    { Z: 80, symbol: "Hg", name: "Mercury", group: 12, period: 6, category: "transition metal" },
-    { Z: 81, symbol: "Tl", name: "Thallium", group: 13, period: 6, category: "post-transition metal" },
-    { Z: 82, symbol: "Pb", name: "Lead", group: 14, period: 6, category: "post-transition metal" },
-    { Z: 83, symbol: "Bi", name: "Bismuth", group: 15, period: 6, category: "post-transition metal" },
-    { Z: 84, symbol: "Po", name: "Polonium", group: 16, period: 6, category: "post-transition metal" },
-    { Z: 85, symbol: "At", name: "Astatine", group: 17, period: 6, category: "metalloid" },
-    { Z: 86, symbol: "Rn", name: "Radon", group: 18, period: 6, category: "noble gas" },
-    { Z: 87, symbol: "Fr", name: "Francium", group: 1, period: 7, category: "alkali metal" },
-    { Z: 88, symbol: "Ra", name: "Radium", group: 2, period: 7, category: "alkaline earth metal" },
-    { Z: 89, symbol: "Ac", name: "Actinium", group: 3, period: 7, category: "actinide" },
-    { Z: 90, symbol: "Th", name: "Thorium", group: 3, period: 7, category: "actinide" },
-    { Z: 91, symbol: "Pa", name: "Protactinium", group: 3, period: 7, category: "actinide" },
-    { Z: 92, symbol: "U", name: "Uranium", group: 3, period: 7, category: "actinide" },
-    { Z: 93, symbol: "Np", name: "Neptunium", group: 3, period: 7, category: "actinide" },
-    { Z: 94, symbol: "Pu", name: "Plutonium", group: 3, period: 7, category: "actinide" },
-    { Z: 95, symbol: "Am", name: "Americium", group: 3, period: 7, category: "actinide" },
-    { Z: 96, symbol: "Cm", name: "Curium", group: 3, period: 7, category: "actinide" },
-    { Z: 97, symbol: "Bk", name: "Berkelium", group: 3, period: 7, category: "actinide" },
-    { Z: 98, symbol: "Cf", name: "Californium", group: 3, period: 7, category: "actinide" },
-    { Z: 99, symbol: "Es", name: "Einsteinium", group: 3, period: 7, category: "actinide" },
-    { Z: 100, symbol: "Fm", name: "Fermium", group: 3, period: 7, category: "actinide" },
-    { Z: 101, symbol: "Md", name: "Mendelevium", group: 3, period: 7, category: "actinide" },
-    { Z: 102, symbol: "No", name: "Nobelium", group: 3, period: 7, category: "actinide" },
-    { Z: 103, symbol: "Lr", name: "Lawrencium", group: 3, period: 7, category: "actinide" },
-    { Z: 104, symbol: "Rf", name: "Rutherfordium", group: 4, period: 7, category: "transition metal" },
-    { Z: 105, symbol: "Db", name: "Dubnium", group: 5, period: 7, category: "transition metal" },
-    { Z: 106, symbol: "Sg", name: "Seaborgium", group: 6, period: 7, category: "transition metal" },
-    { Z: 107, symbol: "Bh", name: "Bohrium", group: 7, period: 7, category: "transition metal" },
-    { Z: 108, symbol: "Hs", name: "Hassium", group: 8, period: 7, category: "transition metal" },
-    { Z: 109, symbol: "Mt", name: "Meitnerium", group: 9, period: 7, category: "chemical element" },
-    { Z: 110, symbol: "Ds", name: "Darmstadtium", group: 10, period: 7, category: "chemical element" },
-    { Z: 111, symbol: "Rg", name: "Roentgenium", group: 11, period: 7, category: "chemical element" },
-    { Z: 112, symbol: "Cn", name: "Copernicium", group: 12, period: 7, category: "transition metal" },
-    { Z: 113, symbol: "Nh", name: "Nihonium", group: 13, period: 7, category: "chemical element" },
-    { Z: 114, symbol: "Fl", name: "Flerovium", group: 14, period: 7, category: "post-transition metal" },
-    { Z: 115, symbol: "Mc", name: "Moscovium", group: 15, period: 7, category: "chemical element" },
-    { Z: 116, symbol: "Lv", name: "Livermorium", group: 16, period: 7, category: "chemical element" },
-    { Z: 117, symbol: "Ts", name: "Tennessine", group: 17, period: 7, category: "chemical element" },
-    { Z: 118, symbol: "Og", name: "Oganesson", group: 18, period: 7, category: "noble gas" }
+    { Z: 1, symbol: "H", name: "Hydrogen", group: 1, period: 1, category: "diatomic nonmetal", weight: 1.008 },
+    { Z: 2, symbol: "He", name: "Helium", group: 18, period: 1, category: "noble gas", weight: 4.0026 },
+    { Z: 3, symbol: "Li", name: "Lithium", group: 1, period: 2, category: "alkali metal", weight: 6.94 },
+    { Z: 4, symbol: "Be", name: "Beryllium", group: 2, period: 2, category: "alkaline earth metal", weight: 9.0122 },
+    { Z: 5, symbol: "B", name: "Boron", group: 13, period: 2, category: "metalloid", weight: 10.81 },
+    { Z: 6, symbol: "C", name: "Carbon", group: 14, period: 2, category: "polyatomic nonmetal", weight: 12.011 },
+    { Z: 7, symbol: "N", name: "Nitrogen", group: 15, period: 2, category: "diatomic nonmetal", weight: 14.007 },
+    { Z: 8, symbol: "O", name: "Oxygen", group: 16, period: 2, category: "diatomic nonmetal", weight: 15.999 },
+    { Z: 9, symbol: "F", name: "Fluorine", group: 17, period: 2, category: "diatomic nonmetal", weight: 18.998 },
+    { Z: 10, symbol: "Ne", name: "Neon", group: 18, period: 2, category: "noble gas", weight: 20.180 },
+    { Z: 11, symbol: "Na", name: "Sodium", group: 1, period: 3, category: "alkali metal", weight: 22.990 },
+    { Z: 12, symbol: "Mg", name: "Magnesium", group: 2, period: 3, category: "alkaline earth metal", weight: 24.305 },
+    { Z: 13, symbol: "Al", name: "Aluminium", group: 13, period: 3, category: "post-transition metal", weight: 26.982 },
+    { Z: 14, symbol: "Si", name: "Silicon", group: 14, period: 3, category: "metalloid", weight: 28.085 },
+    { Z: 15, symbol: "P", name: "Phosphorus", group: 15, period: 3, category: "polyatomic nonmetal", weight: 30.974 },
+    { Z: 16, symbol: "S", name: "Sulfur", group: 16, period: 3, category: "polyatomic nonmetal", weight: 32.06 },
+    { Z: 17, symbol: "Cl", name: "Chlorine", group: 17, period: 3, category: "diatomic nonmetal", weight: 35.45 },
+    { Z: 18, symbol: "Ar", name: "Argon", group: 18, period: 3, category: "noble gas", weight: 39.95 },
+    { Z: 19, symbol: "K", name: "Potassium", group: 1, period: 4, category: "alkali metal", weight: 39.098 },
+    { Z: 20, symbol: "Ca", name: "Calcium", group: 2, period: 4, category: "alkaline earth metal", weight: 40.078 },
+    { Z: 21, symbol: "Sc", name: "Scandium", group: 3, period: 4, category: "transition metal", weight: 44.956 },
+    { Z: 22, symbol: "Ti", name: "Titanium", group: 4, period: 4, category: "transition metal", weight: 47.867 },
+    { Z: 23, symbol: "V", name: "Vanadium", group: 5, period: 4, category: "transition metal", weight: 50.942 },
+    { Z: 24, symbol: "Cr", name: "Chromium", group: 6, period: 4, category: "transition metal", weight: 51.996 },
+    { Z: 25, symbol: "Mn", name: "Manganese", group: 7, period: 4, category: "transition metal", weight: 54.938 },
+    { Z: 26, symbol: "Fe", name: "Iron", group: 8, period: 4, category: "transition metal", weight: 55.845 },
+    { Z: 27, symbol: "Co", name: "Cobalt", group: 9, period: 4, category: "transition metal", weight: 58.933 },
+    { Z: 28, symbol: "Ni", name: "Nickel", group: 10, period: 4, category: "transition metal", weight: 58.693 },
+    { Z: 29, symbol: "Cu", name: "Copper", group: 11, period: 4, category: "transition metal", weight: 63.546 },
+    { Z: 30, symbol: "Zn", name: "Zinc", group: 12, period: 4, category: "transition metal", weight: 65.38 },
+    { Z: 31, symbol: "Ga", name: "Gallium", group: 13, period: 4, category: "post-transition metal", weight: 69.723 },
+    { Z: 32, symbol: "Ge", name: "Germanium", group: 14, period: 4, category: "metalloid", weight: 72.630 },
+    { Z: 33, symbol: "As", name: "Arsenic", group: 15, period: 4, category: "metalloid", weight: 74.922 },
+    { Z: 34, symbol: "Se", name: "Selenium", group: 16, period: 4, category: "polyatomic nonmetal", weight: 78.971 },
+    { Z: 35, symbol: "Br", name: "Bromine", group: 17, period: 4, category: "diatomic nonmetal", weight: 79.904 },
+    { Z: 36, symbol: "Kr", name: "Krypton", group: 18, period: 4, category: "noble gas", weight: 83.798 },
+    { Z: 37, symbol: "Rb", name: "Rubidium", group: 1, period: 5, category: "alkali metal", weight: 85.468 },
+    { Z: 38, symbol: "Sr", name: "Strontium", group: 2, period: 5, category: "alkaline earth metal", weight: 87.62 },
+    { Z: 39, symbol: "Y", name: "Yttrium", group: 3, period: 5, category: "transition metal", weight: 88.906 },
+    { Z: 40, symbol: "Zr", name: "Zirconium", group: 4, period: 5, category: "transition metal", weight: 91.224 },
+    { Z: 41, symbol: "Nb", name: "Niobium", group: 5, period: 5, category: "transition metal", weight: 92.906 },
+    { Z: 42, symbol: "Mo", name: "Molybdenum", group: 6, period: 5, category: "transition metal", weight: 95.95 },
+    { Z: 43, symbol: "Tc", name: "Technetium", group: 7, period: 5, category: "transition metal", weight: 98 },
+    { Z: 44, symbol: "Ru", name: "Ruthenium", group: 8, period: 5, category: "transition metal", weight: 101.07 },
+    { Z: 45, symbol: "Rh", name: "Rhodium", group: 9, period: 5, category: "transition metal", weight: 102.91 },
+    { Z: 46, symbol: "Pd", name: "Palladium", group: 10, period: 5, category: "transition metal", weight: 106.42 },
+    { Z: 47, symbol: "Ag", name: "Silver", group: 11, period: 5, category: "transition metal", weight: 107.87 },
+    { Z: 48, symbol: "Cd", name: "Cadmium", group: 12, period: 5, category: "transition metal", weight: 112.41 },
+    { Z: 49, symbol: "In", name: "Indium", group: 13, period: 5, category: "post-transition metal", weight: 114.82 },
+    { Z: 50, symbol: "Sn", name: "Tin", group: 14, period: 5, category: "post-transition metal", weight: 118.71 },
+    { Z: 51, symbol: "Sb", name: "Antimony", group: 15, period: 5, category: "metalloid", weight: 121.76 },
+    { Z: 52, symbol: "Te", name: "Tellurium", group: 16, period: 5, category: "metalloid", weight: 127.60 },
+    { Z: 53, symbol: "I", name: "Iodine", group: 17, period: 5, category: "diatomic nonmetal", weight: 126.90 },
+    { Z: 54, symbol: "Xe", name: "Xenon", group: 18, period: 5, category: "noble gas", weight: 131.29 },
+    { Z: 55, symbol: "Cs", name: "Cesium", group: 1, period: 6, category: "alkali metal", weight: 132.91 },
+    { Z: 56, symbol: "Ba", name: "Barium", group: 2, period: 6, category: "alkaline earth metal", weight: 137.33 },
+    { Z: 57, symbol: "La", name: "Lanthanum", group: 3, period: 6, category: "lanthanide", weight: 138.91 },
+    { Z: 58, symbol: "Ce", name: "Cerium", group: 3, period: 6, category: "lanthanide", weight: 140.12 },
+    { Z: 59, symbol: "Pr", name: "Praseodymium", group: 3, period: 6, category: "lanthanide", weight: 140.91 },
+    { Z: 60, symbol: "Nd", name: "Neodymium", group: 3, period: 6, category: "lanthanide", weight: 144.24 },
+    { Z: 61, symbol: "Pm", name: "Promethium", group: 3, period: 6, category: "lanthanide", weight: 145 },
+    { Z: 62, symbol: "Sm", name: "Samarium", group: 3, period: 6, category: "lanthanide", weight: 150.36 },
+    { Z: 63, symbol: "Eu", name: "Europium", group: 3, period: 6, category: "lanthanide", weight: 151.96 },
+    { Z: 64, symbol: "Gd", name: "Gadolinium", group: 3, period: 6, category: "lanthanide", weight: 157.25 },
+    { Z: 65, symbol: "Tb", name: "Terbium", group: 3, period: 6, category: "lanthanide", weight: 158.93 },
+    { Z: 66, symbol: "Dy", name: "Dysprosium", group: 3, period: 6, category: "lanthanide", weight: 162.50 },
+    { Z: 67, symbol: "Ho", name: "Holmium", group: 3, period: 6, category: "lanthanide", weight: 164.93 },
+    { Z: 68, symbol: "Er", name: "Erbium", group: 3, period: 6, category: "lanthanide", weight: 167.26 },
+    { Z: 69, symbol: "Tm", name: "Thulium", group: 3, period: 6, category: "lanthanide", weight: 168.93 },
+    { Z: 70, symbol: "Yb", name: "Ytterbium", group: 3, period: 6, category: "lanthanide", weight: 173.05 },
+    { Z: 71, symbol: "Lu", name: "Lutetium", group: 3, period: 6, category: "lanthanide", weight: 174.97 },
+    { Z: 72, symbol: "Hf", name: "Hafnium", group: 4, period: 6, category: "transition metal", weight: 178.49 },
+    { Z: 73, symbol: "Ta", name: "Tantalum", group: 5, period: 6, category: "transition metal", weight: 180.95 },
+    { Z: 74, symbol: "W", name: "Tungsten", group: 6, period: 6, category: "transition metal", weight: 183.84 },
+    { Z: 75, symbol: "Re", name: "Rhenium", group: 7, period: 6, category: "transition metal", weight: 186.21 },
+    { Z: 76, symbol: "Os", name: "Osmium", group: 8, period: 6, category: "transition metal", weight: 190.23 },
+    { Z: 77, symbol: "Ir", name: "Iridium", group: 9, period: 6, category: "transition metal", weight: 192.22 },
+    { Z: 78, symbol: "Pt", name: "Platinum", group: 10, period: 6, category: "transition metal", weight: 195.08 },
+    { Z: 79, symbol: "Au", name: "Gold", group: 11, period: 6, category: "transition metal", weight: 196.97 },
+    { Z: 80, symbol: "Hg", name: "Mercury", group: 12, period: 6, category: "transition metal", weight: 200.59 },
+    { Z: 81, symbol: "Tl", name: "Thallium", group: 13, period: 6, category: "post-transition metal", weight: 204.38 },
+    { Z: 82, symbol: "Pb", name: "Lead", group: 14, period: 6, category: "post-transition metal", weight: 207.2 },
+    { Z: 83, symbol: "Bi", name: "Bismuth", group: 15, period: 6, category: "post-transition metal", weight: 208.98 },
+    { Z: 84, symbol: "Po", name: "Polonium", group: 16, period: 6, category: "post-transition metal", weight: 209 },
+    { Z: 85, symbol: "At", name: "Astatine", group: 17, period: 6, category: "metalloid", weight: 210 },
+    { Z: 86, symbol: "Rn", name: "Radon", group: 18, period: 6, category: "noble gas", weight: 222 },
+    { Z: 87, symbol: "Fr", name: "Francium", group: 1, period: 7, category: "alkali metal", weight: 223 },
+    { Z: 88, symbol: "Ra", name: "Radium", group: 2, period: 7, category: "alkaline earth metal", weight: 226 },
+    { Z: 89, symbol: "Ac", name: "Actinium", group: 3, period: 7, category: "actinide", weight: 227 },
+    { Z: 90, symbol: "Th", name: "Thorium", group: 3, period: 7, category: "actinide", weight: 232.04 },
+    { Z: 91, symbol: "Pa", name: "Protactinium", group: 3, period: 7, category: "actinide", weight: 231.04 },
+    { Z: 92, symbol: "U", name: "Uranium", group: 3, period: 7, category: "actinide", weight: 238.03 },
+    { Z: 93, symbol: "Np", name: "Neptunium", group: 3, period: 7, category: "actinide", weight: 237 },
+    { Z: 94, symbol: "Pu", name: "Plutonium", group: 3, period: 7, category: "actinide", weight: 244 },
+    { Z: 95, symbol: "Am", name: "Americium", group: 3, period: 7, category: "actinide", weight: 243 },
+    { Z: 96, symbol: "Cm", name: "Curium", group: 3, period: 7, category: "actinide", weight: 247 },
+    { Z: 97, symbol: "Bk", name: "Berkelium", group: 3, period: 7, category: "actinide", weight: 247 },
+    { Z: 98, symbol: "Cf", name: "Californium", group: 3, period: 7, category: "actinide", weight: 251 },
+    { Z: 99, symbol: "Es", name: "Einsteinium", group: 3, period: 7, category: "actinide", weight: 252 },
+    { Z: 100, symbol: "Fm", name: "Fermium", group: 3, period: 7, category: "actinide", weight: 257 },
+    { Z: 101, symbol: "Md", name: "Mendelevium", group: 3, period: 7, category: "actinide", weight: 258 },
+    { Z: 102, symbol: "No", name: "Nobelium", group: 3, period: 7, category: "actinide", weight: 259 },
+    { Z: 103, symbol: "Lr", name: "Lawrencium", group: 3, period: 7, category: "actinide", weight: 266 },
+    { Z: 104, symbol: "Rf", name: "Rutherfordium", group: 4, period: 7, category: "transition metal", weight: 267 },
+    { Z: 105, symbol: "Db", name: "Dubnium", group: 5, period: 7, category: "transition metal", weight: 268 },
+    { Z: 106, symbol: "Sg", name: "Seaborgium", group: 6, period: 7, category: "transition metal", weight: 269 },
+    { Z: 107, symbol: "Bh", name: "Bohrium", group: 7, period: 7, category: "transition metal", weight: 270 },
+    { Z: 108, symbol: "Hs", name: "Hassium", group: 8, period: 7, category: "transition metal", weight: 269 },
+    { Z: 109, symbol: "Mt", name: "Meitnerium", group: 9, period: 7, category: "chemical element", weight: 278 },
+    { Z: 110, symbol: "Ds", name: "Darmstadtium", group: 10, period: 7, category: "chemical element", weight: 281 },
+    { Z: 111, symbol: "Rg", name: "Roentgenium", group: 11, period: 7, category: "chemical element", weight: 282 },
+    { Z: 112, symbol: "Cn", name: "Copernicium", group: 12, period: 7, category: "transition metal", weight: 285 },
+    { Z: 113, symbol: "Nh", name: "Nihonium", group: 13, period: 7, category: "chemical element", weight: 286 },
+    { Z: 114, symbol: "Fl", name: "Flerovium", group: 14, period: 7, category: "post-transition metal", weight: 289 },
+    { Z: 115, symbol: "Mc", name: "Moscovium", group: 15, period: 7, category: "chemical element", weight: 290 },
+    { Z: 116, symbol: "Lv", name: "Livermorium", group: 16, period: 7, category: "chemical element", weight: 293 },
+    { Z: 117, symbol: "Ts", name: "Tennessine", group: 17, period: 7, category: "chemical element", weight: 294 },
+    { Z: 118, symbol: "Og", name: "Oganesson", group: 18, period: 7, category: "noble gas", weight: 294 }
 ];
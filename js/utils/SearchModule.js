@@ -18,6 +18,23 @@ export class SearchModule {
         // Format: { label: "Lu-176 (2.59%)", value: "Lu-176", element: "Lu", lower: "lu-176" }
         this.isotopes = [];
         this.isotopeMap = new Map(); // "Lu" -> ["Lu-176", "Lu-177", ...]
+
+        // Named target materials (see Presets.getMaterials), offered like elements
+        this.materials = [];
+    }
+
+    /**
+     * Load user-defined target materials
+     * @param {Object} materials { name: { element, composition } }
+     */
+    loadMaterials(materials) {
+        this.materials = Object.entries(materials || {}).map(([name, m]) => ({
+            label: `${name} (${m.element}, custom)`,
+            value: name,
+            type: 'element',
+            category: 'Material',
+            lower: name.toLowerCase()
+        }));
     }
 
     /**
@@ -120,6 +137,13 @@ export class SearchModule {
             }
         }
 
+        // 3. Material Search (names may contain digits, e.g. "Lu176-enriched")
+        this.materials.forEach(m => {
+            if (m.lower.includes(q)) {
+                matches.push({ ...m, score: m.lower.startsWith(q) ? 95 : 40 });
+            }
+        });
+
         // Deduplicate by value
         const unique = new Map();
         matches.forEach(m => {
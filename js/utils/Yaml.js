@@ -0,0 +1,182 @@
+/**
+ * Yaml.js
+ * Reader for the YAML subset used by scenario files: block mappings and sequences by
+ * indentation, flow collections ([a, b], { Co: 10 }), quoted and plain scalars, numbers,
+ * booleans, null and # comments. Anchors, tags, multi-document streams and block scalars
+ * (| and >) are not supported and raise an error.
+ */
+
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+function scalar(text) {
+    const t = text.trim();
+    if (t === '' || t === '~' || t === 'null') return null;
+    if (t === 'true') return true;
+    if (t === 'false') return false;
+    if (NUMBER.test(t)) return parseFloat(t);
+    if (t.startsWith('"')) return JSON.parse(t);
+    if (t.startsWith("'")) return t.slice(1, -1).replace(/''/g, "'");
+    return t;
+}
+
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+/**
+ * Flow collection or scalar, e.g. "[Co, Eu]" or "{ Co: 10, Eu: 1 }".
+ */
+function flowValue(text, lineNo) {
+    let pos = 0;
+    const src = text.trim();
+    const fail = msg => { throw new Error(`YAML line ${lineNo}: ${msg}`); };
+    const skip = () => { while (pos < src.length && /\s/.test(src[pos])) pos++; };
+    const plain = stops => {
+        skip();
+        const start = pos;
+        if (src[pos] === '"' || src[pos] === "'") {
+            const q = src[pos++];
+            while (pos < src.length && src[pos] !== q) pos += src[pos] === '\\' && q === '"' ? 2 : 1;
+            if (pos >= src.length) fail('unterminated string');
+            pos++;
+        } else {
+            while (pos < src.length && !stops.includes(src[pos])) pos++;
+        }
+        return src.slice(start, pos);
+    };
+    const value = () => {
+        skip();
+        if (src[pos] === '[') {
+            pos++;
+            const list = [];
+            skip();
+            if (src[pos] === ']') { pos++; return list; }
+            for (;;) {
+                list.push(value());
+                skip();
+                if (src[pos] === ',') { pos++; continue; }
+                if (src[pos] === ']') { pos++; return list; }
+                fail('expected , or ] in flow sequence');
+            }
+        }
+        if (src[pos] === '{') {
+            pos++;
+            const map = {};
+            skip();
+            if (src[pos] === '}') { pos++; return map; }
+            for (;;) {
+                const key = scalar(plain(':,}'));
+                skip();
+                if (src[pos] !== ':') fail('expected : in flow mapping');
+                pos++;
+                map[key] = value();
+                skip();
+                if (src[pos] === ',') { pos++; continue; }
+                if (src[pos] === '}') { pos++; return map; }
+                fail('expected , or } in flow mapping');
+            }
+        }
+        return scalar(plain(',]}'));
+    };
+    const v = value();
+    skip();
+    if (pos < src.length) fail(`unexpected "${src.slice(pos)}"`);
+    return v;
+}
+
+/**
+ * Split "key: value" at the first colon followed by a space or the end of the line.
+ * @returns {[string, string]|null}
+ */
+function splitKey(text) {
+    const m = text.match(/^("[^"]*"|'[^']*'|[^"'][^:]*?)\s*:(\s+|$)(.*)$/);
+    if (!m) return null;
+    return [String(scalar(m[1])), m[3]];
+}
+
+/**
+ * @param {string} text
+ * @returns {*} Parsed document
+ */
+export function parseYaml(text) {
+    const lines = [];
+    text.replace(/^﻿/, '').split(/\r?\n/).forEach((raw, i) => {
+        if (/^\s*---\s*$/.test(raw) && lines.length === 0) return;
+        if (/\t/.test(raw.match(/^\s*/)[0])) throw new Error(`YAML line ${i + 1}: tabs are not allowed for indentation`);
+        const line = stripComment(raw).replace(/\s+$/, '');
+        if (line.trim() === '') return;
+        lines.push({ indent: line.match(/^ */)[0].length, text: line.trim(), no: i + 1 });
+    });
+    if (lines.length === 0) return null;
+
+    let i = 0;
+    const fail = (line, msg) => { throw new Error(`YAML line ${line.no}: ${msg}`); };
+    const inline = (line, rest) => {
+        if (/^[|>&*!]/.test(rest)) fail(line, 'block scalars, anchors and tags are not supported');
+        return flowValue(rest, line.no);
+    };
+
+    const block = (indent) => {
+        const first = lines[i];
+        if (first.text === '-' || first.text.startsWith('- ')) return sequence(indent);
+        if (splitKey(first.text)) return mapping(indent);
+        i++;
+        return inline(first, first.text);
+    };
+
+    // Value after "key:" or "- ": inline, or a nested block on the following lines
+    const nested = (line, rest, parentIndent) => {
+        if (rest.trim() !== '') return inline(line, rest);
+        if (i < lines.length && lines[i].indent > parentIndent) return block(lines[i].indent);
+        // A sequence may sit at the same indentation as its key
+        if (i < lines.length && lines[i].indent === parentIndent && lines[i].text.startsWith('-')) return sequence(parentIndent);
+        return null;
+    };
+
+    const mapping = (indent) => {
+        const map = {};
+        while (i < lines.length && lines[i].indent === indent) {
+            const line = lines[i];
+            const kv = splitKey(line.text);
+            if (!kv) fail(line, `expected "key: value", got "${line.text}"`);
+            i++;
+            map[kv[0]] = nested(line, kv[1], indent);
+        }
+        if (i < lines.length && lines[i].indent > indent) fail(lines[i], 'unexpected indentation');
+        return map;
+    };
+
+    const sequence = (indent) => {
+        const list = [];
+        while (i < lines.length && lines[i].indent === indent && (lines[i].text === '-' || lines[i].text.startsWith('- '))) {
+            const line = lines[i];
+            const rest = line.text.slice(1).trimStart();
+            if (rest !== '' && splitKey(rest)) {
+                // "- key: value" opens a mapping whose keys line up with "key"
+                const itemIndent = indent + (line.text.length - rest.length);
+                lines[i] = { ...line, indent: itemIndent, text: rest };
+                list.push(mapping(itemIndent));
+            } else {
+                i++;
+                list.push(nested(line, rest, indent));
+            }
+        }
+        if (i < lines.length && lines[i].indent > indent) fail(lines[i], 'unexpected indentation');
+        return list;
+    };
+
+    const doc = block(lines[0].indent);
+    if (i < lines.length) fail(lines[i], 'unexpected content');
+    return doc;
+}